@@ -0,0 +1,318 @@
+/**
+ * @fileoverview JSON with BigInts. `JSON.stringify` throws on a BigInt and
+ * `JSON.parse` reads every number as a double, so an ID past
+ * `Number.MAX_SAFE_INTEGER` either cannot be sent or silently changes on the
+ * way back (lesson 008, "Edge Cases & Brain-Benders"). {@link stringify} and
+ * {@link parse} round-trip BigInts without losing a digit, in one of three
+ * encodings:
+ *
+ * - `"string"`: a tagged string, `"18446744073709551615n"`;
+ * - `"number"`: a bare number literal, `18446744073709551615`, as most other
+ *   languages write 64-bit integers;
+ * - `"object"`: `{ "$bigint": "18446744073709551615" }`.
+ *
+ * Data that would read as a tag is escaped on the way out and unescaped on
+ * the way back: the string `"99n"` is written `"'99n"`, and an object whose
+ * only key is `$bigint` gets the key `$$bigint`. So only BigInts come back as
+ * BigInts. {@link parse} restores them wherever the tag appears, or only at
+ * its `paths`; with the `"number"` encoding, which has no tag, the paths say
+ * which integers are BigInts. Any other number literal too big to be read
+ * exactly is an error, unless `unsafe` says otherwise.
+ *
+ *   stringify({ id: 2n ** 64n - 1n }, { encoding: "number" }); // '{"id":18446744073709551615}'
+ *   parse('{"id":18446744073709551615}', { encoding: "number", paths: ["$.id"] }); // { id: 18446744073709551615n }
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.bigintJson`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.bigintJson = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const ENCODINGS = ["string", "number", "object"];
+  const UNSAFE = ["throw", "bigint", "number"];
+  const OBJECT_KEY = "$bigint";
+  const TAGGED = /^-?\d+n$/;
+  // Tags behind one or more escapes, which stringify adds and parse removes.
+  const ESCAPED_TAG = /^'+-?\d+n$/;
+  const ESCAPED_KEY = /^\$+bigint$/;
+  const INTEGER = /^-?\d+$/;
+  const NUMBER = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+  const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+  /**
+   * A path into a JSON value: the keys and indexes from the root.
+   *
+   * @typedef {Array<string|number>} JsonPath
+   */
+
+  /**
+   * Where BigInts are expected: a path pattern such as `$.users[*].id`, where
+   * `*` stands for any one key or index and `**` for any number of them, or a
+   * regular expression tested against the written path (`$.users[0].id`).
+   *
+   * @typedef {string|RegExp} PathPattern
+   */
+
+  /**
+   * Writes a path as in the error messages: `$.users[0].id`.
+   *
+   * @param {JsonPath} path
+   * @returns {string}
+   */
+  function formatPath(path) {
+    return path
+      .map((key) => {
+        if (typeof key === "number") return `[${key}]`;
+        return IDENTIFIER.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+      })
+      .reduce((text, part) => text + part, "$");
+  }
+
+  /**
+   * Splits a path pattern into its keys: `$.users[*].id` into `users`, `*`
+   * and `id`.
+   *
+   * @param {string} pattern
+   * @returns {string[]}
+   * @throws {SyntaxError} When the pattern is not written as a path.
+   */
+  function parsePattern(pattern) {
+    const keys = [];
+    const part = /\.(\*\*|\*|[^.[\]]+)|\[(\*|\d+|"(?:[^"\\]|\\.)*")\]/y;
+    let index = pattern.startsWith("$") ? 1 : 0;
+    while (index < pattern.length) {
+      part.lastIndex = index;
+      const match = part.exec(pattern);
+      if (!match) throw new SyntaxError(`Cannot read the path pattern ${JSON.stringify(pattern)} at offset ${index}; write it as $.users[*].id.`);
+      const key = match[1] !== undefined ? match[1] : match[2];
+      keys.push(key.startsWith('"') ? JSON.parse(key) : key);
+      index = part.lastIndex;
+    }
+    return keys;
+  }
+
+  /**
+   * Whether a path matches the keys of a pattern.
+   *
+   * @param {string[]} keys
+   * @param {JsonPath} path
+   * @returns {boolean}
+   */
+  function matchKeys(keys, path) {
+    if (keys.length === 0) return path.length === 0;
+    const [key, ...rest] = keys;
+    if (key === "**") return path.some((_, index) => matchKeys(rest, path.slice(index))) || matchKeys(rest, []);
+    if (path.length === 0) return false;
+    return (key === "*" || key === String(path[0])) && matchKeys(rest, path.slice(1));
+  }
+
+  /**
+   * Turns path patterns into one test of a path.
+   *
+   * @param {PathPattern[]} patterns
+   * @returns {function(JsonPath): boolean}
+   */
+  function compilePaths(patterns) {
+    const tests = patterns.map((pattern) => {
+      if (pattern instanceof RegExp) return (path) => pattern.test(formatPath(path));
+      if (typeof pattern !== "string") throw new TypeError(`A path must be a string or a RegExp, not ${typeof pattern}.`);
+      const keys = parsePattern(pattern);
+      return (path) => matchKeys(keys, path);
+    });
+    return (path) => tests.some((test) => test(path));
+  }
+
+  /**
+   * The key of an object that reads as a `$bigint` object, escaped or not.
+   *
+   * @param {*} value
+   * @returns {string|null}
+   */
+  function tagKey(value) {
+    if (value === null || typeof value !== "object" || Array.isArray(value)) return null;
+    const keys = Object.keys(value);
+    return keys.length === 1 && ESCAPED_KEY.test(keys[0]) ? keys[0] : null;
+  }
+
+  /**
+   * Checks an option against the values it may take.
+   *
+   * @param {string} name
+   * @param {*} value
+   * @param {string[]} allowed
+   * @throws {RangeError}
+   */
+  function checkOption(name, value, allowed) {
+    if (!allowed.includes(value)) throw new RangeError(`Unknown ${name} ${JSON.stringify(value)}; use one of ${allowed.join(", ")}.`);
+  }
+
+  /**
+   * Like `JSON.stringify`, but writes BigInts in the chosen encoding
+   * instead of throwing. A `BigInt.prototype.toJSON`, if there is one, still
+   * runs first, as it does for `JSON.stringify`.
+   *
+   * @param {*} value
+   * @param {{ encoding?: string, replacer?: function(string, *): *, space?: (string|number) }} [options]
+   *   The encoding is one of {@link ENCODINGS}, `"string"` by default; the
+   *   replacer and space are those of `JSON.stringify`, and the replacer
+   *   sees BigInts before they are encoded and strings and objects before
+   *   they are escaped.
+   * @returns {string|undefined} Undefined where `JSON.stringify` gives it,
+   *   e.g. for a function.
+   */
+  function stringify(value, { encoding = "string", replacer, space } = {}) {
+    checkOption("encoding", encoding, ENCODINGS);
+    if (replacer !== undefined && typeof replacer !== "function") throw new TypeError("The replacer must be a function.");
+
+    // A bare number cannot come out of JSON.stringify, so each BigInt is
+    // written as a marked string first, and the marks are taken off after.
+    const marker = `\u0000bigint-${Math.random().toString(36).slice(2)}:`;
+    const text = JSON.stringify(
+      value,
+      function (key, current) {
+        let result = replacer ? replacer.call(this, key, current) : current;
+        if (Object.prototype.toString.call(result) === "[object BigInt]" && typeof result === "object") result = result.valueOf();
+        if (typeof result !== "bigint") {
+          if (encoding === "string" && typeof result === "string" && (TAGGED.test(result) || ESCAPED_TAG.test(result))) return `'${result}`;
+          const key = encoding === "object" ? tagKey(result) : null;
+          return key ? { [`$${key}`]: result[key] } : result;
+        }
+        if (encoding === "string") return `${result}n`;
+        if (encoding === "object") return { [OBJECT_KEY]: String(result) };
+        return `${marker}${result}`;
+      },
+      space
+    );
+    if (encoding !== "number" || text === undefined) return text;
+    // JSON.stringify writes the marker's NUL as \u0000.
+    const escaped = JSON.stringify(marker).slice(1, -1).replace(/[\\$]/g, "\\$&");
+    return text.replace(new RegExp(`"${escaped}(-?\\d+)"`, "g"), "$1");
+  }
+
+  /**
+   * Quotes every integer literal in JSON text that is too big to be read
+   * exactly as a Number, so `JSON.parse` keeps its digits.
+   *
+   * @param {string} text
+   * @param {string} marker Put before the digits in the quoted string.
+   * @returns {string}
+   */
+  function quoteUnsafeIntegers(text, marker) {
+    let result = "";
+    let last = 0;
+    let index = 0;
+    while (index < text.length) {
+      const char = text[index];
+      if (char === '"') {
+        // Skip the string, escapes included.
+        index++;
+        while (index < text.length && text[index] !== '"') index += text[index] === "\\" ? 2 : 1;
+        index++;
+        continue;
+      }
+      if (char !== "-" && (char < "0" || char > "9")) {
+        index++;
+        continue;
+      }
+      NUMBER.lastIndex = index;
+      const match = NUMBER.exec(text);
+      if (!match) {
+        index++;
+        continue;
+      }
+      const literal = match[0];
+      if (INTEGER.test(literal) && !Number.isSafeInteger(Number(literal))) {
+        result += text.slice(last, index) + JSON.stringify(marker + literal);
+        last = index + literal.length;
+      }
+      index += literal.length;
+    }
+    return result + text.slice(last);
+  }
+
+  /**
+   * Like `JSON.parse`, but restores BigInts written by {@link stringify} and
+   * refuses to round a number literal it cannot read exactly.
+   *
+   * - `encoding`: how the BigInts were written, one of {@link ENCODINGS};
+   *   `"string"` by default.
+   * - `paths`: where BigInts are expected. Without them, every `"123n"`
+   *   string or `{ "$bigint": "123" }` object becomes a BigInt; with them,
+   *   only those at these paths do, and any integer literal there does too.
+   *   The `"number"` encoding has no tag, so only its paths make BigInts.
+   * - `unsafe`: what to do with an integer literal beyond
+   *   `Number.MAX_SAFE_INTEGER` that is not at one of the paths: `"throw"` (the
+   *   default), `"bigint"` to read it as a BigInt, or `"number"` to round it
+   *   as `JSON.parse` does.
+   *
+   * @param {string} text
+   * @param {{ encoding?: string, paths?: PathPattern[], unsafe?: string }} [options]
+   * @returns {*}
+   * @throws {SyntaxError} When the text is not JSON, or a `$bigint` object
+   *   does not hold an integer.
+   * @throws {RangeError} When an integer literal would lose precision.
+   */
+  function parse(text, { encoding = "string", paths, unsafe = "throw" } = {}) {
+    checkOption("encoding", encoding, ENCODINGS);
+    checkOption("unsafe", unsafe, UNSAFE);
+    const atPath = paths === undefined ? null : compilePaths(paths);
+    const tagged = (path) => atPath === null || atPath(path);
+    const bare = (path) => atPath !== null && atPath(path);
+
+    const marker = `\u0000bigint-${Math.random().toString(36).slice(2)}:`;
+    const source = String(text);
+    const parsed = JSON.parse(quoteUnsafeIntegers(source, marker));
+
+    const restore = (value, path) => {
+      if (typeof value === "string" && value.startsWith(marker)) {
+        const literal = value.slice(marker.length);
+        if (bare(path) || unsafe === "bigint") return BigInt(literal);
+        if (unsafe === "number") return Number(literal);
+        throw new RangeError(
+          `${literal} at ${formatPath(path)} is beyond Number.MAX_SAFE_INTEGER (${Number.MAX_SAFE_INTEGER}) and would be read as ${Number(literal)}; ` +
+            `list its path in the paths option, or set unsafe to "bigint", to read it as a BigInt.`
+        );
+      }
+      if (encoding === "string" && typeof value === "string") {
+        if (TAGGED.test(value) && tagged(path)) return BigInt(value.slice(0, -1));
+        if (ESCAPED_TAG.test(value)) return value.slice(1);
+      }
+      if (Number.isInteger(value) && bare(path)) return BigInt(value);
+      if (value === null || typeof value !== "object") return value;
+
+      if (Array.isArray(value)) return value.map((item, index) => restore(item, [...path, index]));
+      const key = encoding === "object" ? tagKey(value) : null;
+      if (key === OBJECT_KEY && tagged(path)) {
+        const digits = value[OBJECT_KEY];
+        if (typeof digits !== "string" || !INTEGER.test(digits)) {
+          throw new SyntaxError(`The ${OBJECT_KEY} at ${formatPath(path)} must be a string of digits, not ${JSON.stringify(digits)}.`);
+        }
+        return BigInt(digits);
+      }
+      if (key && key !== OBJECT_KEY) return { [key.slice(1)]: restore(value[key], [...path, key.slice(1)]) };
+      const keys = Object.keys(value);
+      // Assigned with defineProperty, so a "__proto__" key stays an own
+      // property, as JSON.parse makes it.
+      const result = {};
+      for (const key of keys) {
+        Object.defineProperty(result, key, { value: restore(value[key], [...path, key]), enumerable: true, writable: true, configurable: true });
+      }
+      return result;
+    };
+    return restore(parsed, []);
+  }
+
+  return {
+    ENCODINGS,
+    formatPath,
+    stringify,
+    parse,
+  };
+});
@@ -0,0 +1,508 @@
+/**
+ * @fileoverview Shows what the bitwise operators do to the bits of their
+ * operands: each operand after ToInt32 (or ToUint32) as 32 bits in two's
+ * complement, the bits of the result, and where a fraction was dropped, a
+ * number wrapped around to fit in 32 bits, or a shift filled in copies of
+ * the sign bit or zeros. Lesson 018 prints only the decimal results; these
+ * are the bits behind `~~-4.9 === -4` and `-1 >>> 0 === 4294967295`.
+ *
+ * {@link instrumentExpression} finds the bitwise operations of an
+ * expression (`&`, `|`, `^`, `~`, `<<`, `>>`, `>>>` and their assignments),
+ * except those inside calls, literals and function bodies, and turns each
+ * into a call to the recorder from {@link createRecorder}. The recorder runs
+ * the operator on the same operands, once, so `valueOf` and its side effects
+ * happen just as they would, and records the bits.
+ *
+ *   instrumentExpression("~~x").operations.map((operation) => operation.text); // ["~~x", "~x"]
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.bitwise` (load `lib/js-tokens.js`, `lib/inspect.js` and
+ * `lib/coercion-trace.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"), require("./inspect"), require("./coercion-trace"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.bitwise = factory(root.LessonKit.jsTokens, root.LessonKit.inspect, root.LessonKit.coercionTrace);
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens, inspectModule, coercionTrace) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+  const { inspect } = inspectModule;
+  const { splitExpression } = coercionTrace;
+
+  const RECORDER_NAME = "__bitwiseTrace";
+  const OPERATIONS = {
+    "&": (left, right) => left & right,
+    "|": (left, right) => left | right,
+    "^": (left, right) => left ^ right,
+    "<<": (left, right) => left << right,
+    ">>": (left, right) => left >> right,
+    ">>>": (left, right) => left >>> right,
+  };
+  const OPERATORS = [...Object.keys(OPERATIONS), "~"];
+  const ASSIGNMENT = /^(?:[-+*/%&|^]|\*\*|<<|>>>?|&&|\|\||\?\?)?=$/;
+  const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+  const PREFIXES = new Set(["!", "-", "+", "typeof", "void"]);
+  const MAX_STEPS = 100;
+
+  /**
+   * @typedef {Object} BitwiseOperation
+   * @property {string} operator One of {@link OPERATORS}; `^` for `^=`.
+   * @property {string} text Its source, e.g. `a ^= b`.
+   * @property {string[]} operands The source of each operand.
+   */
+
+  /**
+   * @typedef {Object} InstrumentedExpression
+   * @property {string} source
+   * @property {string} code A statement that runs the expression, with every
+   *   operation it found turned into a call to the recorder stored as the
+   *   global `__bitwiseTrace`, and passes its value to the recorder's `done`.
+   * @property {BitwiseOperation[]} operations
+   */
+
+  /**
+   * Finds the part of a `?` expression's right side that ends the first
+   * branch: the `:` that belongs to it.
+   *
+   * @param {string} source What follows the `?`.
+   * @returns {string[]|null} The two branches.
+   */
+  function splitBranches(source) {
+    let depth = 0;
+    let nested = 0;
+    for (const token of tokenize(source)) {
+      if (token.type !== "punctuator") continue;
+      if (token.value === "(" || token.value === "[" || token.value === "{") depth++;
+      else if (token.value === ")" || token.value === "]" || token.value === "}") depth--;
+      else if (depth === 0 && token.value === "?") nested++;
+      else if (depth === 0 && token.value === ":") {
+        if (nested === 0) return [source.slice(0, token.start).trim(), source.slice(token.end).trim()];
+        nested--;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Turns every bitwise operation of an expression into a call to the
+   * recorder. The rest of the expression is left as it is.
+   *
+   * @param {string} source
+   * @returns {InstrumentedExpression}
+   */
+  function instrumentExpression(source) {
+    const operations = [];
+    const add = (operator, text, operands) => operations.push({ operator, text, operands }) - 1;
+
+    const rewriteParts = (text) => {
+      const split = splitExpression(text);
+      if (split && split.left && split.right) {
+        const { left, operator, right } = split;
+        if (OPERATIONS[operator]) {
+          const id = add(operator, text, [left, right]);
+          return `${RECORDER_NAME}.binary(${id}, ${JSON.stringify(operator)}, ${rewrite(left)}, ${rewrite(right)})`;
+        }
+        // `a ^= b` becomes `a = a ^ b`, which reads `a` twice, so only a
+        // plain variable is safe to rewrite.
+        const compound = operator.slice(0, -1);
+        if (ASSIGNMENT.test(operator) && OPERATIONS[compound] && IDENTIFIER.test(left)) {
+          const id = add(compound, text, [left, right]);
+          return `${left} = ${RECORDER_NAME}.binary(${id}, ${JSON.stringify(compound)}, ${left}, ${rewrite(right)})`;
+        }
+        if (operator === "?") {
+          const branches = splitBranches(right);
+          return branches ? `${rewrite(left)} ? ${rewrite(branches[0])} : ${rewrite(branches[1])}` : text;
+        }
+        if (operator === "=>") return right.startsWith("{") ? text : `${left} => ${rewrite(right)}`;
+        if (ASSIGNMENT.test(operator)) return `${left} ${operator} ${rewrite(right)}`;
+        return `${rewrite(left)} ${operator} ${rewrite(right)}`;
+      }
+
+      const tokens = tokenize(text).filter((token) => token.type !== "comment" && token.type !== "whitespace");
+      if (tokens.length < 2) return text;
+      const [first] = tokens;
+      const rest = text.slice(first.end).trim();
+      if (first.type === "punctuator" && first.value === "~") {
+        const id = add("~", text, [rest]);
+        return `${RECORDER_NAME}.not(${id}, ${rewrite(rest)})`;
+      }
+      if (first.type !== "string" && PREFIXES.has(first.value)) return `${first.value} (${rewrite(rest)})`;
+      if (first.type === "punctuator" && first.value === "(") {
+        let depth = 0;
+        const close = tokens.findIndex((token) => {
+          if (token.type !== "punctuator") return false;
+          if (token.value === "(" || token.value === "[" || token.value === "{") depth++;
+          else if (token.value === ")" || token.value === "]" || token.value === "}") depth--;
+          return depth === 0;
+        });
+        if (close === tokens.length - 1) return `(${rewrite(text.slice(first.end, tokens[close].start))})`;
+      }
+      return text;
+    };
+
+    // Parts without an operation are kept exactly as written.
+    const rewrite = (text) => {
+      const before = operations.length;
+      const code = rewriteParts(text.trim());
+      return operations.length > before ? code : text.trim();
+    };
+
+    // Comments are dropped first, so none can swallow an added bracket.
+    let stripped = "";
+    let last = 0;
+    for (const token of tokenize(source)) {
+      if (token.type !== "comment") continue;
+      stripped += `${source.slice(last, token.start)} `;
+      last = token.end;
+    }
+    stripped += source.slice(last);
+    return { source, code: `${RECORDER_NAME}.done((${rewrite(stripped)}));`, operations };
+  }
+
+  /**
+   * @typedef {Object} BitRow
+   * @property {string} value The number the bits stand for.
+   * @property {string} bits In two's complement, most significant first: 32
+   *   of them, or as many as the BigInts of the step need.
+   * @property {string|null} conversion How an operand got its bits, e.g.
+   *   "ToInt32"; null for the result.
+   * @property {string|null} input An operand before that conversion, when it
+   *   was not already that number.
+   * @property {number} used How many of the low bits count: 5 for a shift count.
+   * @property {{ start: number, end: number, bit: string }|null} filled The
+   *   bits a shift moved in, counted from the left.
+   * @property {string[]} notes Where a fraction was dropped or a number
+   *   wrapped around.
+   */
+
+  /**
+   * @typedef {Object} BitwiseStep
+   * @property {number} operation Index into the expression's operations.
+   * @property {string} operator
+   * @property {BitRow[]} operands
+   * @property {BitRow} result
+   * @property {string[]} notes What the operator did to the bits: flipped
+   *   them, filled a shift with the sign bit or with zeros.
+   */
+
+  /**
+   * @typedef {Object} BitwiseRun
+   * @property {BitwiseStep[]} steps In the order the operators ran.
+   * @property {string|null} value What the expression gave.
+   * @property {string[]} errors What it threw.
+   * @property {boolean} truncated Whether more operators ran than were recorded.
+   */
+
+  /**
+   * Formats a value for a row.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function describe(value) {
+    if (typeof value === "function") return `ƒ ${value.name || "(anonymous)"}()`;
+    return inspect(value, { depth: 1 });
+  }
+
+  /**
+   * Writes a number as the lessons do, keeping the sign of -0.
+   *
+   * @param {number} number
+   * @returns {string}
+   */
+  function formatNumber(number) {
+    return Object.is(number, -0) ? "-0" : String(number);
+  }
+
+  /**
+   * The 32 bits of a 32-bit integer, signed or not.
+   *
+   * @param {number} integer
+   * @returns {string}
+   */
+  function bitsOf(integer) {
+    return (integer >>> 0).toString(2).padStart(32, "0");
+  }
+
+  /**
+   * Writes `count` followed by a noun, in the singular or plural: "1 bit",
+   * "3 bits", or, with `the`, "the bit" and "the 3 bits".
+   *
+   * @param {number} count
+   * @param {string} noun
+   * @param {boolean} [the]
+   * @returns {string}
+   */
+  function plural(count, noun, the = false) {
+    if (count === 1) return the ? `the ${noun}` : `1 ${noun}`;
+    return `${the ? "the " : ""}${count} ${noun}s`;
+  }
+
+  /**
+   * Starts a sentence with a capital letter.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  }
+
+  /**
+   * Converts an operand to a 32-bit integer, noting what was lost on the way.
+   *
+   * @param {*} original The operand as given.
+   * @param {number} number It after ToNumeric.
+   * @param {boolean} unsigned ToUint32 instead of ToInt32.
+   * @returns {BitRow}
+   */
+  function convert(original, number, unsigned) {
+    const converted = unsigned ? number >>> 0 : number | 0;
+    const notes = [];
+    if (typeof original !== "number") notes.push(`${describe(original)} is converted to a number first: ${formatNumber(number)}.`);
+    if (!Number.isFinite(number)) {
+      notes.push(`${formatNumber(number)} has no bits to keep, so it becomes 0.`);
+    } else {
+      const whole = Math.trunc(number);
+      if (whole !== number) notes.push(`The fraction is dropped, towards zero: ${formatNumber(number)} → ${formatNumber(whole)}.`);
+      if (whole !== converted && unsigned && whole < 0 && whole >= -(2 ** 31)) {
+        notes.push(
+          `${whole} is negative, so it does not fit in an unsigned 32-bit integer; its bits in two's complement, read as unsigned, are ${converted}.`
+        );
+      } else if (whole !== converted) {
+        const range = unsigned ? "an unsigned 32-bit integer (0 … 4294967295)" : "a signed 32-bit integer (-2147483648 … 2147483647)";
+        notes.push(`${formatNumber(whole)} does not fit in ${range}, so only its low 32 bits are kept: ${converted}.`);
+      }
+    }
+    return {
+      value: String(converted),
+      bits: bitsOf(converted),
+      conversion: unsigned ? "ToUint32" : "ToInt32",
+      input: typeof original === "number" && number === converted ? null : describe(original),
+      used: 32,
+      filled: null,
+      notes,
+    };
+  }
+
+  /**
+   * Converts the right operand of a shift: ToUint32, of which only the low
+   * five bits count, as no 32-bit number can shift further than 31.
+   *
+   * @param {*} original
+   * @param {number} number
+   * @returns {BitRow}
+   */
+  function shiftCount(original, number) {
+    const row = convert(original, number, true);
+    const count = Number(row.value) & 31;
+    if (count !== Number(row.value)) row.notes.push(`Only the low 5 bits of a shift count are used: ${row.value} → ${count}.`);
+    return { ...row, value: String(count), conversion: "ToUint32 & 31", input: original === count ? null : describe(original), used: 5 };
+  }
+
+  /**
+   * Rows for BigInt operands, which keep all their bits: as many as the
+   * widest value needs, in whole bytes.
+   *
+   * @param {bigint[]} values
+   * @returns {BitRow[]}
+   */
+  function bigintRows(values) {
+    const needed = Math.max(...values.map((value) => (value < 0n ? -value - 1n : value).toString(2).length + 1));
+    const width = Math.ceil(needed / 8) * 8;
+    return values.map((value) => ({
+      value: `${value}n`,
+      bits: BigInt.asUintN(width, value).toString(2).padStart(width, "0"),
+      conversion: "BigInt",
+      input: null,
+      used: width,
+      filled: null,
+      notes: [],
+    }));
+  }
+
+  /**
+   * Describes a binary operation on numbers.
+   *
+   * @param {number} operation
+   * @param {string} operator
+   * @param {Array<*>} originals
+   * @param {number[]} numbers
+   * @param {number} result
+   * @returns {BitwiseStep}
+   */
+  function numberStep(operation, operator, originals, numbers, result) {
+    const left = convert(originals[0], numbers[0], operator === ">>>");
+    const right = operator.includes("<") || operator.includes(">") ? shiftCount(originals[1], numbers[1]) : convert(originals[1], numbers[1], false);
+    const row = { value: String(result), bits: bitsOf(result), conversion: null, input: null, used: 32, filled: null, notes: [] };
+    const notes = [];
+    const count = Number(right.value);
+    const sign = left.bits[0];
+    if (operator === "<<" && count > 0) {
+      row.filled = { start: 32 - count, end: 32, bit: "0" };
+      notes.push(
+        `${capitalize(plural(count, "bit", true))} shifted in on the right ${count === 1 ? "is a 0" : "are 0s"}; ` +
+          `${plural(count, "highest bit", true)} fell off the left end.`
+      );
+      const product = Number(left.value) * 2 ** count;
+      if (product !== result) notes.push(`So the result is not ${left.value} × 2^${count} = ${product}: bits fell off or reached the sign bit.`);
+    } else if (operator === ">>" && count > 0) {
+      row.filled = { start: 0, end: count, bit: sign };
+      notes.push(
+        `Sign extension: ${plural(count, "bit", true)} shifted in on the left ${count === 1 ? "is a copy" : "are copies"} of the sign bit, ${sign}` +
+          `${sign === "1" ? ", so the result stays negative" : ""}. ${capitalize(plural(count, "lowest bit", true))} fell off the right end.`
+      );
+    } else if (operator === ">>>" && count > 0) {
+      row.filled = { start: 0, end: count, bit: "0" };
+      notes.push(
+        `Zero fill: ${plural(count, "bit", true)} shifted in on the left ${count === 1 ? "is a 0" : "are 0s"}, whatever the sign bit was. ` +
+          `${capitalize(plural(count, "lowest bit", true))} fell off the right end.`
+      );
+    }
+    if (operator !== ">>>" && operator !== ">>" && result < 0) {
+      notes.push(`The sign bit of the result is 1, so in two's complement it is a negative number: ${result}.`);
+    }
+    if (operator === ">>>" && count === 0 && sign === "1") {
+      notes.push(`Nothing is shifted, but >>> reads the bits as an unsigned number, so the result is ${result}.`);
+    }
+    return { operation, operator, operands: [left, right], result: row, notes };
+  }
+
+  /**
+   * Creates the recorder an instrumented expression reports to. Store it as
+   * the global `__bitwiseTrace`, pass the expression's value to `done` and
+   * what it throws to `fail`.
+   *
+   * @returns {{ binary: function(number, string, *, *): (number|bigint), not: function(number, *): (number|bigint), done: function(*): *, fail: function(*): void, result: function(): BitwiseRun }}
+   */
+  function createRecorder() {
+    const steps = [];
+    const errors = [];
+    let value = null;
+    let truncated = false;
+
+    const record = (step) => {
+      if (steps.length < MAX_STEPS) steps.push(step);
+      else truncated = true;
+    };
+
+    // Negating twice gives back the very same number, -0 and NaN included,
+    // after a single ToNumeric, so `valueOf` runs once, as with the operator.
+    const toNumeric = (operand) => -(-operand);
+
+    return {
+      binary(operation, operator, left, right) {
+        const numbers = [toNumeric(left), toNumeric(right)];
+        // Mixing a BigInt and a number throws here, just as with the operator.
+        const result = OPERATIONS[operator](numbers[0], numbers[1]);
+        if (typeof result === "bigint") {
+          const [leftRow, rightRow, row] = bigintRows([...numbers, result]);
+          record({
+            operation,
+            operator,
+            operands: [leftRow, rightRow],
+            result: { ...row, conversion: null },
+            notes: ["BigInts keep all their bits: the operator works on as many as the values need, in two's complement."],
+          });
+        } else {
+          record(numberStep(operation, operator, [left, right], numbers, result));
+        }
+        return result;
+      },
+      not(operation, operand) {
+        const number = toNumeric(operand);
+        const result = ~number;
+        if (typeof result === "bigint") {
+          const [row, resultRow] = bigintRows([number, result]);
+          record({
+            operation,
+            operator: "~",
+            operands: [row],
+            result: { ...resultRow, conversion: null },
+            notes: [`Every bit is flipped: ~${number}n is -(${number}n) - 1n.`],
+          });
+        } else {
+          const row = convert(operand, number, false);
+          record({
+            operation,
+            operator: "~",
+            operands: [row],
+            result: { value: String(result), bits: bitsOf(result), conversion: null, input: null, used: 32, filled: null, notes: [] },
+            notes: [`Every bit is flipped, the sign bit too, so ~${row.value} is -(${row.value}) - 1 = ${result}.`],
+          });
+        }
+        return result;
+      },
+      done(result) {
+        value = describe(result);
+        return result;
+      },
+      fail(error) {
+        errors.push(error && typeof error === "object" && "message" in error ? `${error.name}: ${error.message}` : describe(error));
+      },
+      result() {
+        return { steps, value, errors, truncated };
+      },
+    };
+  }
+
+  /**
+   * Groups bits into bytes: `00000000 00000000 …`.
+   *
+   * @param {string} bits
+   * @returns {string}
+   */
+  function groupBits(bits) {
+    return bits.replace(/(.{8})(?=.)/g, "$1 ");
+  }
+
+  /**
+   * Formats a run as text: for every operator that ran, its operands' and
+   * its result's bits, with a line of ^ under the bits a shift moved in, and
+   * notes on what happened to them.
+   *
+   * @param {InstrumentedExpression} instrumented
+   * @param {BitwiseRun} run
+   * @returns {string}
+   */
+  function formatSteps(instrumented, run) {
+    const lines = [];
+    if (run.value !== null) lines.push(`${instrumented.source.trim()} → ${run.value}`);
+    for (const step of run.steps) {
+      const operation = instrumented.operations[step.operation];
+      const rows = [
+        ...step.operands.map((row, index) => [operation.operands[index], row.conversion, row.value, groupBits(row.bits), row]),
+        [step.operator, "result", step.result.value, groupBits(step.result.bits), step.result],
+      ];
+      const widths = [0, 1, 2].map((column) => Math.max(...rows.map((row) => row[column].length)));
+      if (lines.length > 0) lines.push("");
+      lines.push(operation.text);
+      for (const [label, conversion, value, bits, row] of rows) {
+        lines.push(`  ${label.padEnd(widths[0])}  ${conversion.padEnd(widths[1])}  ${value.padStart(widths[2])}  ${bits}`);
+        const indent = " ".repeat(widths[0] + widths[1] + widths[2] + 8);
+        if (row.filled) {
+          const marks = [...row.bits].map((bit, index) => (index >= row.filled.start && index < row.filled.end ? "^" : " ")).join("");
+          lines.push(`${indent}${groupBits(marks)}`.trimEnd());
+        }
+        for (const note of row.notes) lines.push(`    · ${note}`);
+      }
+      for (const note of step.notes) lines.push(`  · ${note}`);
+    }
+    if (run.steps.length === 0 && run.errors.length === 0) lines.push("No bitwise operator ran.");
+    if (run.truncated) lines.push("", `Only the first ${MAX_STEPS} operations are shown.`);
+    for (const error of run.errors) lines.push(`✗ ${error}`);
+    return lines.join("\n");
+  }
+
+  return {
+    RECORDER_NAME,
+    OPERATORS,
+    instrumentExpression,
+    createRecorder,
+    formatSteps,
+  };
+});
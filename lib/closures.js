@@ -0,0 +1,449 @@
+/**
+ * @fileoverview Shows which binding each closure created in a loop captured:
+ * one environment record per iteration for `let`, or one record shared by
+ * every iteration for `var` — why the loop questions of lessons 002, 003 and
+ * 015 (Q6, Q8) print 3, 3, 3 with `var` and 0, 1, 2 with `let`.
+ *
+ * {@link analyzeClosures} finds the loops of a snippet (see the scope
+ * analysis in `lib/tdz-stepper.js`), the functions and arrows written
+ * directly in their bodies, and which of the loop's variables each one reads.
+ * {@link instrument} then marks where each loop starts and each iteration
+ * starts, and wraps each of those closures, so the recorder from
+ * {@link createRecorder} knows which iteration made it and what its variables
+ * held when it was made and each time it was called. The variables are read
+ * through arrow functions written next to the closure, so they read the
+ * very bindings the closure captured.
+ *
+ * Run the snippet on a virtual clock (see `lib/virtual-clock.js`) and flush
+ * it before taking the result, so the timer callbacks have run.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.closures` (load `lib/js-tokens.js`, `lib/inspect.js`,
+ * `lib/statements.js` and `lib/tdz-stepper.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"), require("./inspect"), require("./statements"), require("./tdz-stepper"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.closures = factory(
+      root.LessonKit.jsTokens,
+      root.LessonKit.inspect,
+      root.LessonKit.statements,
+      root.LessonKit.tdzStepper
+    );
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens, inspectModule, statementsModule, tdzStepper) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+  const { inspect, formatArgs } = inspectModule;
+  const { shorten } = statementsModule;
+  const { analyzeScopes } = tdzStepper;
+
+  // The global the instrumented snippet reports to.
+  const RECORDER_NAME = "__closureTrace";
+  const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug"];
+  // Enough for the lessons' loops; beyond these, nothing more is recorded.
+  const MAX_RUNS = 20;
+  const MAX_ITERATIONS = 50;
+  const MAX_CALLS = 20;
+  const UNINITIALIZED = "<uninitialized>";
+
+  /**
+   * @typedef {Object} LoopVariable
+   * @property {string} name
+   * @property {string} kind "var", "let", "const" or "class".
+   */
+
+  /**
+   * @typedef {Object} ClosureLoop
+   * @property {number} id
+   * @property {"for"|"while"|"do"} keyword
+   * @property {number} line
+   * @property {string} text
+   * @property {LoopVariable[]} perIteration Variables every iteration gets
+   *   its own binding of: `let` and `const` in the head or the body.
+   * @property {LoopVariable[]} shared `var`s declared in the loop, which all
+   *   iterations share.
+   * @property {string} sharedIn The scope the shared ones live in, e.g.
+   *   "Global" or "counter_q8".
+   */
+
+  /**
+   * @typedef {Object} Closure
+   * @property {number} id
+   * @property {number} loop The loop whose body it is written in.
+   * @property {number} line
+   * @property {string} text
+   * @property {string[]} captures The loop variables it reads.
+   */
+
+  /**
+   * @typedef {Object} ClosureAnalysis
+   * @property {string} source
+   * @property {ClosureLoop[]} loops
+   * @property {Closure[]} closures
+   * @property {import("./tdz-stepper").Loop[]} sites Where each loop is, by id.
+   * @property {Array<{ start: number, end: number }>} closureSites Where each closure is, by id.
+   */
+
+  /**
+   * The names code reads, leaving out property names.
+   *
+   * @param {string} code
+   * @returns {string[]} Each name once, in order.
+   */
+  function readNames(code) {
+    const tokens = tokenize(code).filter((token) => token.type !== "comment");
+    const names = [];
+    tokens.forEach((token, index) => {
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      if (token.type !== "identifier" || names.includes(token.value)) return;
+      if (previous && (previous.value === "." || previous.value === "?.")) return;
+      if (next && next.value === ":" && previous && (previous.value === "{" || previous.value === ",")) return;
+      names.push(token.value);
+    });
+    return names;
+  }
+
+  /**
+   * Finds the loops of a snippet and the closures written in their bodies
+   * that read the loop's variables.
+   *
+   * @param {string} source
+   * @returns {ClosureAnalysis}
+   */
+  function analyzeClosures(source) {
+    const analysis = analyzeScopes(source);
+    const { scopes } = analysis;
+    const lexical = new Set(["let", "const", "class"]);
+
+    const loops = analysis.loops.map((loop, id) => {
+      const perIteration = loop.declarations.filter((variable) => variable.kind !== "var");
+      if (loop.bodyScope !== null) {
+        for (const { name, kind } of scopes[loop.bodyScope].bindings) if (lexical.has(kind)) perIteration.push({ name, kind });
+      }
+      let varScope = scopes[loop.scope];
+      while (varScope.kind !== "function" && varScope.kind !== "global") varScope = scopes[varScope.parent];
+      const shared = varScope.bindings
+        .filter((binding) => binding.kind === "var" && binding.offsets.some((offset) => offset >= loop.start && offset < loop.end))
+        .map(({ name, kind }) => ({ name, kind }));
+      return { id, keyword: loop.keyword, line: loop.line, text: loop.text, perIteration, shared, sharedIn: varScope.label };
+    });
+
+    const closures = [];
+    const closureSites = [];
+    for (const fn of analysis.functions) {
+      if (fn.kind !== "arrow" && fn.kind !== "expression") continue;
+      const inside = analysis.loops.filter((loop) => fn.start >= loop.body.start && fn.end <= loop.body.end);
+      if (inside.length === 0) continue;
+      const site = inside.reduce((innermost, loop) => (loop.body.start > innermost.body.start ? loop : innermost));
+      // A closure made by another function in the loop is made when that one runs, not by the iteration.
+      const nested = analysis.functions.some((other) => other !== fn && other.start <= fn.start && other.end >= fn.end && other.start >= site.body.start);
+      if (nested) continue;
+
+      const loop = loops[analysis.loops.indexOf(site)];
+      const scope = scopes[fn.scope];
+      const own = new Set(scope.bindings.map((binding) => binding.name));
+      if (scope.parent !== null && scopes[scope.parent].kind === "parameters") {
+        for (const binding of scopes[scope.parent].bindings) own.add(binding.name);
+      }
+      const variables = new Set([...loop.perIteration, ...loop.shared].map((variable) => variable.name));
+      const captures = readNames(source.slice(fn.start, fn.end)).filter((name) => variables.has(name) && !own.has(name));
+      if (captures.length === 0) continue;
+      closures.push({ id: closures.length, loop: loop.id, line: fn.line, text: shorten(source.slice(fn.start, fn.end)), captures });
+      closureSites.push({ start: fn.start, end: fn.end });
+    }
+
+    return { source, loops, closures, sites: analysis.loops, closureSites };
+  }
+
+  /**
+   * Readers for names, written where they are in scope.
+   *
+   * @param {string[]} names
+   * @returns {string}
+   */
+  function readersCode(names) {
+    return `{ ${names.map((name) => `${JSON.stringify(name)}: () => ${name}`).join(", ")} }`;
+  }
+
+  /**
+   * Adds the probes to the snippet, reporting to the recorder stored in the
+   * global `__closureTrace`: one before each loop, one at the start of each
+   * iteration, and a wrapper around each closure. Nothing is added on new
+   * lines, so line numbers in errors stay the same.
+   *
+   * @param {ClosureAnalysis} analysis
+   * @returns {string}
+   */
+  function instrument(analysis) {
+    // At the same offset: a closure's end, then added closing braces, then
+    // added opening braces, then probes, then a closure's start.
+    const edits = [];
+    analysis.loops.forEach((loop) => {
+      const site = analysis.sites[loop.id];
+      const names = [...loop.perIteration, ...loop.shared].map((variable) => variable.name);
+      if (site.wrap) edits.push({ at: site.start, order: 2, text: "{" }, { at: site.end, order: 1, text: "}" });
+      edits.push({ at: site.start, order: 3, text: `;${RECORDER_NAME}.enter(${loop.id});` });
+      if (site.body.wrap) edits.push({ at: site.body.start, order: 2, text: "{" }, { at: site.body.end, order: 1, text: "}" });
+      edits.push({ at: site.body.start, order: 3, text: `${RECORDER_NAME}.iteration(${loop.id}, ${readersCode(names)});` });
+    });
+    analysis.closures.forEach((closure) => {
+      const { start, end } = analysis.closureSites[closure.id];
+      edits.push(
+        { at: start, order: 4, text: `${RECORDER_NAME}.capture(${closure.id}, ${closure.loop}, ` },
+        { at: end, order: 0, text: `, ${readersCode(closure.captures)})` }
+      );
+    });
+    edits.sort((a, b) => a.at - b.at || a.order - b.order);
+
+    let code = "";
+    let last = 0;
+    for (const { at, text } of edits) {
+      code += analysis.source.slice(last, at) + text;
+      last = at;
+    }
+    return code + analysis.source.slice(last);
+  }
+
+  /**
+   * Formats a value for a record.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function describe(value) {
+    if (typeof value === "function") return `ƒ ${value.name || "(anonymous)"}()`;
+    return inspect(value, { depth: 1 });
+  }
+
+  /**
+   * @typedef {Object} ClosureCall
+   * @property {Object<string, string>} values What its variables held when it was called.
+   * @property {string[]} output What it printed.
+   */
+
+  /**
+   * @typedef {Object} CapturedClosure
+   * @property {number} closure Index into the analysis' closures.
+   * @property {number} iteration Index of the iteration that made it.
+   * @property {Object<string, string>} created What its variables held when it was made.
+   * @property {ClosureCall[]} calls
+   */
+
+  /**
+   * @typedef {Object} LoopRun
+   * @property {number} loop Index into the analysis' loops.
+   * @property {Array<{ start: Object<string, string>, end: Object<string, string> }>} iterations
+   *   What the loop's variables held as each iteration started, and, read
+   *   through that iteration's own bindings, at the end of the run.
+   * @property {CapturedClosure[]} closures
+   */
+
+  /**
+   * @typedef {Object} ClosureRun
+   * @property {LoopRun[]} loops Every time a loop ran, in order.
+   * @property {string[]} errors What the snippet and its timers threw.
+   * @property {boolean} truncated Whether a limit on loops, iterations or calls was hit.
+   */
+
+  /**
+   * Creates the recorder an instrumented snippet reports to. Store it as the
+   * global `__closureTrace` before running the snippet, and pass what it
+   * throws to `fail`.
+   *
+   * @returns {{ enter: function(number): void, iteration: function(number, Object): void, capture: function(number, number, Function, Object): Function, watchConsole: function(Object): void, fail: function(*): void, result: function(): ClosureRun }}
+   */
+  function createRecorder() {
+    const runs = [];
+    const active = new Map();
+    const running = [];
+    const errors = [];
+    let truncated = false;
+    // Showing a value can run the snippet's own getters, and their probes.
+    let reading = 0;
+
+    const read = (readers) => {
+      reading++;
+      try {
+        const values = {};
+        for (const [name, reader] of Object.entries(readers)) {
+          let value;
+          try {
+            value = reader();
+          } catch (error) {
+            values[name] = UNINITIALIZED;
+            continue;
+          }
+          values[name] = describe(value);
+        }
+        return values;
+      } finally {
+        reading--;
+      }
+    };
+
+    const enter = (loop) => {
+      if (runs.length >= MAX_RUNS) {
+        truncated = true;
+        active.set(loop, null);
+        return;
+      }
+      const run = { loop, iterations: [], closures: [], full: false };
+      runs.push(run);
+      active.set(loop, run);
+    };
+
+    return {
+      enter(loop) {
+        if (reading === 0) enter(loop);
+      },
+      iteration(loop, readers) {
+        if (reading > 0) return;
+        if (!active.has(loop)) enter(loop);
+        const run = active.get(loop);
+        if (!run || run.full) return;
+        if (run.iterations.length >= MAX_ITERATIONS) {
+          truncated = run.full = true;
+          return;
+        }
+        run.iterations.push({ readers, start: read(readers) });
+      },
+      capture(closure, loop, fn, readers) {
+        const run = active.get(loop);
+        if (reading > 0 || typeof fn !== "function" || !run || run.full) return fn;
+        const entry = { closure, iteration: run.iterations.length - 1, created: read(readers), calls: [] };
+        run.closures.push(entry);
+        const wrapper = function (...args) {
+          const call = { values: read(readers), output: [] };
+          if (entry.calls.length < MAX_CALLS) entry.calls.push(call);
+          else truncated = true;
+          running.push(call);
+          try {
+            return new.target ? Reflect.construct(fn, args, new.target) : fn.apply(this, args);
+          } finally {
+            running.pop();
+          }
+        };
+        Object.defineProperty(wrapper, "name", { value: fn.name });
+        return wrapper;
+      },
+      // Console calls are passed on, and also kept with the closure call that made them.
+      watchConsole(target) {
+        for (const method of CONSOLE_METHODS) {
+          const original = target[method];
+          target[method] = (...args) => {
+            if (running.length > 0 && reading === 0) running[running.length - 1].output.push(formatArgs(args));
+            return original.apply(target, args);
+          };
+        }
+      },
+      fail(error) {
+        errors.push(error && typeof error === "object" && "message" in error ? `${error.name}: ${error.message}` : describe(error));
+      },
+      result() {
+        return {
+          loops: runs.map(({ loop, iterations, closures }) => ({
+            loop,
+            iterations: iterations.map(({ readers, start }) => ({ start, end: read(readers) })),
+            closures,
+          })),
+          errors,
+          truncated,
+        };
+      },
+    };
+  }
+
+  /**
+   * Where a closure's variable lives: its iteration's record, or the
+   * record every iteration shares.
+   *
+   * @param {ClosureLoop} loop
+   * @param {string} name
+   * @returns {boolean} Whether each iteration has its own binding of it.
+   */
+  function isPerIteration(loop, name) {
+    return loop.perIteration.some((variable) => variable.name === name);
+  }
+
+  /**
+   * Describes how a loop's variables are bound, one sentence per variable.
+   *
+   * @param {ClosureLoop} loop
+   * @returns {string[]}
+   */
+  function describeBindings(loop) {
+    return [
+      ...loop.perIteration.map(({ name, kind }) => `${kind} ${name}: every iteration gets a binding of its own.`),
+      ...loop.shared.map(
+        ({ name, kind }) => `${kind} ${name}: one binding, shared by every iteration (it lives in ${loop.sharedIn === "Global" ? "the global scope" : loop.sharedIn}).`
+      ),
+    ];
+  }
+
+  /**
+   * Formats a run as text: for every run of a loop that made closures, its
+   * environment records and, for each closure, the record each of its
+   * variables points to.
+   *
+   * @param {ClosureAnalysis} analysis
+   * @param {ClosureRun} run
+   * @returns {string}
+   */
+  function formatClosures(analysis, run) {
+    const lines = [];
+    const runs = run.loops.filter((loopRun) => loopRun.closures.length > 0);
+    const counts = new Map();
+    for (const loopRun of runs) {
+      const loop = analysis.loops[loopRun.loop];
+      counts.set(loop.id, (counts.get(loop.id) || 0) + 1);
+      const times = run.loops.filter((other) => other.loop === loop.id).length;
+      const heading = times > 1 ? `Loop on line ${loop.line} (run ${counts.get(loop.id)} of ${times})` : `Loop on line ${loop.line}`;
+      if (lines.length > 0) lines.push("");
+      lines.push(`${heading}: ${loop.text}`, ...describeBindings(loop).map((text) => `  ${text}`), "  Records after the run:");
+
+      if (loop.shared.length > 0) {
+        const values = loop.shared.map(({ name }) => `${name} = ${loopRun.iterations.length > 0 ? loopRun.iterations[0].end[name] : "?"}`);
+        lines.push(`    [shared] ${loop.sharedIn}: ${values.join(", ")}`);
+      }
+      if (loop.perIteration.length > 0) {
+        loopRun.iterations.forEach((iteration, index) => {
+          const values = loop.perIteration.map(({ name }) => `${name} = ${iteration.end[name]}`);
+          lines.push(`    [iteration ${index + 1}] ${values.join(", ")}`);
+        });
+      }
+
+      lines.push("  Closures:");
+      loopRun.closures.forEach((captured, index) => {
+        const closure = analysis.closures[captured.closure];
+        lines.push(`    #${index + 1} made in iteration ${captured.iteration + 1}: ${closure.text}`);
+        for (const name of closure.captures) {
+          const record = isPerIteration(loop, name) ? `iteration ${captured.iteration + 1}` : "shared";
+          const called = captured.calls.map((call) => call.values[name]);
+          const when = called.length > 0 ? `${called.join(", ")} when it ran` : "never called";
+          lines.push(`       ${name} → [${record}] (${captured.created[name]} when it was made; ${when})`);
+        }
+        const printed = captured.calls.flatMap((call) => call.output);
+        if (printed.length > 0) lines.push(`       printed: ${printed.join(" | ")}`);
+      });
+    }
+    if (runs.length === 0) lines.push("No closure made in a loop reads the loop's variables.");
+    if (run.truncated) lines.push("", "Some loops ran too often to record every iteration, closure or call.");
+    for (const error of run.errors) lines.push(`✗ ${error}`);
+    return lines.join("\n");
+  }
+
+  return {
+    RECORDER_NAME,
+    analyzeClosures,
+    instrument,
+    createRecorder,
+    isPerIteration,
+    describeBindings,
+    formatClosures,
+  };
+});
@@ -0,0 +1,656 @@
+/**
+ * @fileoverview Runs `==`, `===`, `Object.is`, `+` and the relational
+ * operators the way the specification describes them, and records every step: which rule applied,
+ * which coercion ran (ToPrimitive, ToNumber, ToString, ...), which method it
+ * called, and the value each step produced.
+ *
+ * Lesson 016 walks through `[] == ![]` by hand; this does the same for any
+ * two values, including objects with their own `valueOf`, `toString` or
+ * `Symbol.toPrimitive`. The methods are really called, so their side effects
+ * and errors happen just as they would with the operator itself.
+ *
+ *   traceOperation("==", [], false).steps[0].text; // "IsLooselyEqual([], false)"
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.coercionTrace` (load `lib/js-tokens.js` and `lib/inspect.js`
+ * first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"), require("./inspect"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.coercionTrace = factory(root.LessonKit.jsTokens, root.LessonKit.inspect);
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens, inspectModule) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+  const { inspect } = inspectModule;
+
+  // `Object.is` is not an operator, but it compares two values just as
+  // `===` does, with a different rule for NaN and -0.
+  const OPERATORS = ["==", "!=", "===", "!==", "Object.is", "+", "<", ">", "<=", ">="];
+  const INFIX_OPERATORS = OPERATORS.filter((operator) => operator !== "Object.is");
+
+  // Binding power of the binary operators, used to find the operator an
+  // expression applies last. Higher binds tighter.
+  const PRECEDENCE = {
+    ",": 1,
+    "=>": 2,
+    "?": 3,
+    "??": 4,
+    "||": 4,
+    "&&": 5,
+    "|": 6,
+    "^": 7,
+    "&": 8,
+    "==": 9,
+    "!=": 9,
+    "===": 9,
+    "!==": 9,
+    "<": 10,
+    ">": 10,
+    "<=": 10,
+    ">=": 10,
+    in: 10,
+    instanceof: 10,
+    "<<": 11,
+    ">>": 11,
+    ">>>": 11,
+    "+": 12,
+    "-": 12,
+    "*": 13,
+    "/": 13,
+    "%": 13,
+    "**": 14,
+  };
+  const ASSIGNMENT = /^(?:[-+*/%&|^]|\*\*|<<|>>>?|&&|\|\||\?\?)?=$/;
+  const OPENERS = new Set(["(", "[", "{"]);
+  const CLOSERS = new Set([")", "]", "}"]);
+  // Tokens after which `+`, `-` and `/` are binary operators rather than unary ones.
+  const VALUE_KEYWORDS = new Set(["this", "super", "true", "false", "null", "undefined"]);
+
+  /**
+   * @typedef {Object} TraceStep
+   * @property {number} depth How deeply the step is nested in the ones before it.
+   * @property {"operation"|"call"|"rule"} kind An abstract operation such as
+   *   `ToPrimitive`, a method the engine called, or the rule that decided
+   *   what happens next.
+   * @property {string} text
+   * @property {string} [result] The value the operation or call produced.
+   * @property {string} [error] What it threw.
+   */
+
+  /**
+   * @typedef {Object} Trace
+   * @property {string} operator
+   * @property {string} left The left operand, formatted.
+   * @property {string} right The right operand, formatted.
+   * @property {TraceStep[]} steps
+   * @property {string|null} result The value of the expression, unless it threw.
+   * @property {string|null} error What the expression threw, if anything.
+   */
+
+  /**
+   * Formats a value for a step.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function describe(value) {
+    return inspect(value, { depth: 1 });
+  }
+
+  /**
+   * Formats a thrown value.
+   *
+   * @param {*} error
+   * @returns {string}
+   */
+  function describeError(error) {
+    return error && typeof error === "object" && "message" in error ? `${error.name}: ${error.message}` : describe(error);
+  }
+
+  /**
+   * The specification's name for the type of a value.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function typeName(value) {
+    if (value === null) return "Null";
+    const type = typeof value;
+    if (type === "function") return "Object";
+    if (type === "bigint") return "BigInt";
+    return type.charAt(0).toUpperCase() + type.slice(1);
+  }
+
+  /**
+   * "a String", "an Object".
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function article(value) {
+    const type = typeName(value);
+    return `${/^[AEIOU]/.test(type) ? "an" : "a"} ${type}`;
+  }
+
+  function isObject(value) {
+    return (typeof value === "object" && value !== null) || typeof value === "function";
+  }
+
+  /**
+   * Names the method an object would run for `key`: "Array.prototype.toString",
+   * "Date.prototype[Symbol.toPrimitive]", or "its own valueOf".
+   *
+   * @param {Object} object
+   * @param {string|symbol} key
+   * @returns {string}
+   */
+  function methodName(object, key) {
+    const property = typeof key === "symbol" ? "[Symbol.toPrimitive]" : `.${key}`;
+    for (let owner = object; owner !== null; owner = Object.getPrototypeOf(owner)) {
+      if (!Object.prototype.hasOwnProperty.call(owner, key)) continue;
+      if (owner === object) return `its own ${property.replace(/^\./, "")}`;
+      const constructor = Object.getOwnPropertyDescriptor(owner, "constructor");
+      if (constructor && typeof constructor.value === "function" && constructor.value.prototype === owner && constructor.value.name) {
+        return `${constructor.value.name}.prototype${property}`;
+      }
+      return `an inherited ${property.replace(/^\./, "")}`;
+    }
+    return property.replace(/^\./, "");
+  }
+
+  /**
+   * Creates the recorder the operations below write their steps to.
+   *
+   * `run` records a step, runs `body` one level deeper and records what it
+   * returned. An error is recorded on the innermost step it came from and
+   * then passed on, as it would be by the operator itself.
+   */
+  function createRecorder() {
+    const steps = [];
+    let depth = 0;
+    let recordedError = {};
+
+    return {
+      steps,
+      rule(text) {
+        steps.push({ depth, kind: "rule", text });
+      },
+      run(kind, text, body) {
+        const step = { depth, kind, text };
+        steps.push(step);
+        depth += 1;
+        try {
+          const value = body();
+          step.result = describe(value);
+          return value;
+        } catch (error) {
+          if (error !== recordedError) {
+            step.error = describeError(error);
+            recordedError = error;
+          }
+          throw error;
+        } finally {
+          depth -= 1;
+        }
+      },
+    };
+  }
+
+  /**
+   * Builds the abstract operations on top of a recorder.
+   *
+   * @param {ReturnType<typeof createRecorder>} trace
+   */
+  function createOperations(trace) {
+    /**
+     * Calls a method on an object and records the call.
+     */
+    function call(object, key, method, args) {
+      const shown = args.map(describe).join(", ");
+      return trace.run("call", `calls ${methodName(object, key)}(${shown})`, () => method.apply(object, args));
+    }
+
+    // ToPrimitive(input, preferredType): Symbol.toPrimitive if the object has
+    // one, otherwise valueOf/toString in the order the hint asks for.
+    function toPrimitive(input, hint) {
+      return trace.run("operation", `ToPrimitive(${describe(input)}, hint "${hint}")`, () => {
+        if (!isObject(input)) {
+          trace.rule(`${describe(input)} is already a primitive, so it is returned as is.`);
+          return input;
+        }
+        const exotic = input[Symbol.toPrimitive];
+        if (exotic !== undefined && exotic !== null) {
+          if (typeof exotic !== "function") throw new TypeError("Symbol.toPrimitive is not a function");
+          trace.rule(`The object has a Symbol.toPrimitive method, so it decides, given the hint "${hint}".`);
+          const result = call(input, Symbol.toPrimitive, exotic, [hint]);
+          if (isObject(result)) throw new TypeError("Cannot convert object to primitive value");
+          return result;
+        }
+        const order = hint === "string" ? ["toString", "valueOf"] : ["valueOf", "toString"];
+        trace.rule(
+          `No Symbol.toPrimitive method, so OrdinaryToPrimitive tries ${order.join("() then ")}()` +
+            (hint === "default" ? ' (the "default" hint counts as "number").' : ".")
+        );
+        for (const name of order) {
+          const method = input[name];
+          if (typeof method !== "function") {
+            trace.rule(`${name} is not a function here, so it is skipped.`);
+            continue;
+          }
+          const result = call(input, name, method, []);
+          if (!isObject(result)) return result;
+          trace.rule(`${name}() returned an object, not a primitive, so it is ignored.`);
+        }
+        throw new TypeError("Cannot convert object to primitive value");
+      });
+    }
+
+    function toNumber(value) {
+      return trace.run("operation", `ToNumber(${describe(value)})`, () => {
+        if (isObject(value)) {
+          trace.rule("Objects are first converted to a primitive, preferring a number.");
+          return toNumber(toPrimitive(value, "number"));
+        }
+        const rules = {
+          Undefined: "undefined becomes NaN.",
+          Null: "null becomes 0.",
+          Boolean: "true becomes 1 and false becomes 0.",
+          Number: "A number is returned as is.",
+          String: "The string is parsed as a numeric literal; surrounding whitespace is ignored, \"\" becomes 0 and anything else becomes NaN.",
+          Symbol: "A Symbol cannot become a number: TypeError.",
+          BigInt: "A BigInt is not converted implicitly: TypeError.",
+        };
+        trace.rule(rules[typeName(value)]);
+        return +value;
+      });
+    }
+
+    // ToNumeric keeps BigInts as they are and makes everything else a Number.
+    function toNumeric(value) {
+      return trace.run("operation", `ToNumeric(${describe(value)})`, () => {
+        const primitive = isObject(value) ? toPrimitive(value, "number") : value;
+        if (typeof primitive === "bigint") {
+          trace.rule("A BigInt stays a BigInt.");
+          return primitive;
+        }
+        return toNumber(primitive);
+      });
+    }
+
+    function toString(value) {
+      return trace.run("operation", `ToString(${describe(value)})`, () => {
+        if (isObject(value)) {
+          trace.rule("Objects are first converted to a primitive, preferring a string.");
+          return toString(toPrimitive(value, "string"));
+        }
+        if (typeof value === "symbol") trace.rule("A Symbol cannot be converted implicitly: TypeError.");
+        return `${value}`;
+      });
+    }
+
+    // StringToBigInt returns undefined for text that is not an integer.
+    function stringToBigInt(text) {
+      return trace.run("operation", `StringToBigInt(${describe(text)})`, () => {
+        try {
+          return BigInt(text);
+        } catch (error) {
+          trace.rule("The string is not an integer literal, so there is no BigInt for it.");
+          return undefined;
+        }
+      });
+    }
+
+    function isStrictlyEqual(x, y) {
+      return trace.run("operation", `IsStrictlyEqual(${describe(x)}, ${describe(y)})`, () => {
+        if (typeName(x) !== typeName(y)) {
+          trace.rule("The types differ, so the values are not equal.");
+          return false;
+        }
+        if (typeof x === "number") {
+          trace.rule("Numbers are equal when they have the same value; NaN equals nothing and 0 equals -0.");
+        } else if (isObject(x)) {
+          trace.rule("Objects are equal only when both sides are the very same object.");
+        } else {
+          trace.rule("Both have the same type, so their values are compared directly.");
+        }
+        return x === y;
+      });
+    }
+
+    function sameValue(x, y) {
+      return trace.run("operation", `SameValue(${describe(x)}, ${describe(y)})`, () => {
+        if (typeName(x) !== typeName(y)) {
+          trace.rule("The types differ, so the values are not the same.");
+          return false;
+        }
+        if (typeof x === "number") {
+          trace.rule("Numbers are the same when they have the same value, except that NaN is the same as NaN and 0 is not the same as -0.");
+        } else if (isObject(x)) {
+          trace.rule("Objects are the same only when both sides are the very same object.");
+        } else {
+          trace.rule("Both have the same type, so their values are compared directly.");
+        }
+        return Object.is(x, y);
+      });
+    }
+
+    function isLooselyEqual(x, y) {
+      return trace.run("operation", `IsLooselyEqual(${describe(x)}, ${describe(y)})`, () => {
+        const tx = typeName(x);
+        const ty = typeName(y);
+        if (tx === ty) {
+          trace.rule(`Both have the type ${tx}, so == compares them like ===.`);
+          return isStrictlyEqual(x, y);
+        }
+        if ((x === null || x === undefined) && (y === null || y === undefined)) {
+          trace.rule("null and undefined are loosely equal to each other.");
+          return true;
+        }
+        if (tx === "Number" && ty === "String") {
+          trace.rule("x is a Number and y is a String, so compare x == ToNumber(y).");
+          return isLooselyEqual(x, toNumber(y));
+        }
+        if (tx === "String" && ty === "Number") {
+          trace.rule("x is a String and y is a Number, so compare ToNumber(x) == y.");
+          return isLooselyEqual(toNumber(x), y);
+        }
+        if (tx === "BigInt" && ty === "String") {
+          trace.rule("x is a BigInt and y is a String, so y is converted with StringToBigInt.");
+          const n = stringToBigInt(y);
+          if (n === undefined) {
+            trace.rule("y is not an integer, so the values are not equal.");
+            return false;
+          }
+          return isLooselyEqual(x, n);
+        }
+        if (tx === "String" && ty === "BigInt") {
+          trace.rule("x is a String and y is a BigInt, so compare y == x instead.");
+          return isLooselyEqual(y, x);
+        }
+        if (tx === "Boolean") {
+          trace.rule("x is a Boolean, so compare ToNumber(x) == y.");
+          return isLooselyEqual(toNumber(x), y);
+        }
+        if (ty === "Boolean") {
+          trace.rule("y is a Boolean, so compare x == ToNumber(y).");
+          return isLooselyEqual(x, toNumber(y));
+        }
+        if (["String", "Number", "BigInt", "Symbol"].includes(tx) && ty === "Object") {
+          trace.rule(`x is ${article(x)} and y is an Object, so compare x == ToPrimitive(y).`);
+          return isLooselyEqual(x, toPrimitive(y, "default"));
+        }
+        if (tx === "Object" && ["String", "Number", "BigInt", "Symbol"].includes(ty)) {
+          trace.rule(`x is an Object and y is ${article(y)}, so compare ToPrimitive(x) == y.`);
+          return isLooselyEqual(toPrimitive(x, "default"), y);
+        }
+        if ((tx === "BigInt" && ty === "Number") || (tx === "Number" && ty === "BigInt")) {
+          trace.rule("A BigInt and a Number are equal when they have the same mathematical value; NaN and Infinity never are.");
+          return x == y;
+        }
+        trace.rule(`No rule converts ${article(x)} and ${article(y)} into each other, so they are not equal.`);
+        return false;
+      });
+    }
+
+    // The + operator: ApplyStringOrNumericBinaryOperator(lval, +, rval).
+    function add(left, right) {
+      return trace.run("operation", `ApplyStringOrNumericBinaryOperator(${describe(left)}, +, ${describe(right)})`, () => {
+        trace.rule("+ first converts both operands to primitives, with no preferred type.");
+        const lprim = toPrimitive(left, "default");
+        const rprim = toPrimitive(right, "default");
+        if (typeof lprim === "string" || typeof rprim === "string") {
+          trace.rule("One of them is a string, so + concatenates: both are converted with ToString.");
+          const lstr = toString(lprim);
+          const rstr = toString(rprim);
+          return lstr + rstr;
+        }
+        trace.rule("Neither is a string, so + adds: both are converted with ToNumeric.");
+        const lnum = toNumeric(lprim);
+        const rnum = toNumeric(rprim);
+        if (typeof lnum !== typeof rnum) trace.rule("One is a BigInt and the other a Number, which cannot be mixed: TypeError.");
+        return lnum + rnum;
+      });
+    }
+
+    // IsLessThan(x, y, LeftFirst): true, false, or undefined when NaN is involved.
+    function isLessThan(x, y, leftFirst) {
+      return trace.run("operation", `IsLessThan(${describe(x)}, ${describe(y)})`, () => {
+        let px;
+        let py;
+        if (leftFirst) {
+          px = toPrimitive(x, "number");
+          py = toPrimitive(y, "number");
+        } else {
+          py = toPrimitive(y, "number");
+          px = toPrimitive(x, "number");
+        }
+        if (typeof px === "string" && typeof py === "string") {
+          trace.rule("Both are strings, so they are compared code unit by code unit, not as numbers.");
+          return px < py;
+        }
+        if (typeof px === "bigint" && typeof py === "string") {
+          trace.rule("A BigInt and a String: the string is converted with StringToBigInt.");
+          const ny = stringToBigInt(py);
+          return ny === undefined ? undefined : px < ny;
+        }
+        if (typeof px === "string" && typeof py === "bigint") {
+          trace.rule("A String and a BigInt: the string is converted with StringToBigInt.");
+          const nx = stringToBigInt(px);
+          return nx === undefined ? undefined : nx < py;
+        }
+        trace.rule("Otherwise both are converted with ToNumeric and compared as numbers.");
+        const nx = toNumeric(px);
+        const ny = toNumeric(py);
+        if (Number.isNaN(nx) || Number.isNaN(ny)) {
+          trace.rule("NaN is not less than, greater than or equal to anything: the result is undefined.");
+          return undefined;
+        }
+        return nx < ny;
+      });
+    }
+
+    return { isStrictlyEqual, sameValue, isLooselyEqual, add, isLessThan };
+  }
+
+  /**
+   * Applies an operator to two values and records how the engine gets to the
+   * result.
+   *
+   * @param {string} operator One of {@link OPERATORS}.
+   * @param {*} left
+   * @param {*} right
+   * @returns {Trace}
+   */
+  function traceOperation(operator, left, right) {
+    if (!OPERATORS.includes(operator)) {
+      throw new RangeError(`Cannot trace "${operator}"; use one of ${OPERATORS.join(" ")}.`);
+    }
+    const recorder = createRecorder();
+    const { isStrictlyEqual, sameValue, isLooselyEqual, add, isLessThan } = createOperations(recorder);
+    const trace = { operator, left: describe(left), right: describe(right), steps: recorder.steps, result: null, error: null };
+
+    try {
+      let result;
+      if (operator === "==") {
+        result = isLooselyEqual(left, right);
+      } else if (operator === "!=") {
+        result = !isLooselyEqual(left, right);
+        recorder.rule("!= is the opposite of ==.");
+      } else if (operator === "===") {
+        result = isStrictlyEqual(left, right);
+      } else if (operator === "!==") {
+        result = !isStrictlyEqual(left, right);
+        recorder.rule("!== is the opposite of ===.");
+      } else if (operator === "Object.is") {
+        result = sameValue(left, right);
+      } else if (operator === "+") {
+        result = add(left, right);
+      } else if (operator === "<" || operator === ">=") {
+        const r = isLessThan(left, right, true);
+        result = operator === "<" ? r === true : r === false;
+        if (r === undefined) recorder.rule(`IsLessThan gave undefined, so ${operator} is false.`);
+        else if (operator === ">=") recorder.rule("a >= b is true when a < b is false.");
+      } else {
+        // a > b is b < a and a <= b is !(b < a); the left operand is still converted first.
+        recorder.rule(`a ${operator} b is worked out as ${operator === ">" ? "b < a" : "not (b < a)"}.`);
+        const r = isLessThan(right, left, false);
+        result = operator === ">" ? r === true : r === false;
+        if (r === undefined) recorder.rule(`IsLessThan gave undefined, so ${operator} is false.`);
+      }
+      trace.result = describe(result);
+    } catch (error) {
+      trace.error = describeError(error);
+    }
+    return trace;
+  }
+
+  /**
+   * Whether the token before a `+` or `-` ends an operand, which makes the
+   * sign a binary operator.
+   *
+   * @param {Object|undefined} token
+   * @returns {boolean}
+   */
+  function endsOperand(token) {
+    if (!token) return false;
+    if (token.type === "punctuator") return CLOSERS.has(token.value) || token.value === "++" || token.value === "--";
+    if (token.type === "keyword") return VALUE_KEYWORDS.has(token.value);
+    return token.type !== "comment";
+  }
+
+  /**
+   * Splits `Object.is(a, b)` into its two arguments.
+   *
+   * @param {string} source
+   * @param {Object[]} tokens The tokens of `source`, without comments.
+   * @returns {{ left: string, operator: string, right: string }|null} Null
+   *   when the source is not one call to `Object.is`.
+   */
+  function parseObjectIs(source, tokens) {
+    const head = tokens.slice(0, 4).map((token) => token.value).join("");
+    if (head !== "Object.is(" || tokens[tokens.length - 1].value !== ")") return null;
+    let depth = 0;
+    const commas = [];
+    for (let index = 3; index < tokens.length; index++) {
+      const token = tokens[index];
+      if (token.type === "punctuator" && OPENERS.has(token.value)) depth += 1;
+      else if (token.type === "punctuator" && CLOSERS.has(token.value)) depth -= 1;
+      // The call's own parentheses close before the end: `Object.is(a, b)(c)`.
+      if (depth === 0 && index < tokens.length - 1) return null;
+      if (depth === 1 && token.value === ",") commas.push(token);
+    }
+    if (commas.length !== 1) throw new SyntaxError("Object.is takes two arguments, such as Object.is(-0, 0).");
+    const left = source.slice(tokens[3].end, commas[0].start).trim();
+    const right = source.slice(commas[0].end, tokens[tokens.length - 1].start).trim();
+    if (!left || !right) throw new SyntaxError("Object.is needs two arguments.");
+    return { left, operator: "Object.is", right };
+  }
+
+  /**
+   * Splits an expression at the binary operator it applies last, outside any
+   * brackets: `a = b | c` into `a`, `=` and `b | c`. Commas, assignments,
+   * `=>`, `?` and `**` split at their leftmost occurrence; the other
+   * operators group to the left, so at their rightmost.
+   *
+   *   splitExpression("x & 1 ? y : z"); // { left: "x & 1", operator: "?", right: "y : z" }
+   *
+   * @param {string} source
+   * @returns {{ left: string, operator: string, right: string }|null} Null
+   *   when there is no such operator, e.g. for `~x` or `f(a, b)`.
+   */
+  function splitExpression(source) {
+    const tokens = tokenize(source).filter((token) => token.type !== "comment");
+    let depth = 0;
+    let split = null;
+    tokens.forEach((token, index) => {
+      if (token.type === "punctuator" && OPENERS.has(token.value)) depth += 1;
+      else if (token.type === "punctuator" && CLOSERS.has(token.value)) depth -= 1;
+      if (depth !== 0 || (token.type !== "punctuator" && token.value !== "in" && token.value !== "instanceof")) return;
+
+      let precedence = PRECEDENCE[token.value];
+      if (ASSIGNMENT.test(token.value) && !PRECEDENCE[token.value]) precedence = 2;
+      if (precedence === undefined) return;
+      if ((token.value === "+" || token.value === "-") && !endsOperand(tokens[index - 1])) return;
+      // Left-associative operators apply last at their rightmost occurrence.
+      if (!split || precedence < split.precedence || (precedence === split.precedence && precedence > 3 && token.value !== "**")) {
+        split = { token, precedence };
+      }
+    });
+    if (!split) return null;
+    return {
+      left: source.slice(0, split.token.start).trim(),
+      operator: split.token.value,
+      right: source.slice(split.token.end).trim(),
+    };
+  }
+
+  /**
+   * Splits an expression at the operator it applies last: `[] == ![]` into
+   * `[]`, `==` and `![]`. A call such as `Object.is(-0, 0)` is split into its
+   * arguments.
+   *
+   * @param {string} source
+   * @returns {{ left: string, operator: string, right: string }}
+   * @throws {SyntaxError} When that operator is not one {@link traceOperation} explains.
+   */
+  function parseExpression(source) {
+    const split = splitExpression(source);
+    if (!split) {
+      const tokens = tokenize(source).filter((token) => token.type !== "comment");
+      const call = tokens.length > 0 ? parseObjectIs(source, tokens) : null;
+      if (call) return call;
+      throw new SyntaxError(`Enter two operands joined by one of ${INFIX_OPERATORS.join(" ")}, such as [] == ![], or Object.is(a, b).`);
+    }
+    if (!INFIX_OPERATORS.includes(split.operator)) {
+      throw new SyntaxError(`The outermost operator here is ${split.operator}; only ${INFIX_OPERATORS.join(" ")} can be explained.`);
+    }
+    if (!split.left || !split.right) throw new SyntaxError(`${split.operator} needs an operand on both sides.`);
+    return split;
+  }
+
+  /**
+   * Writes an operator applied to two operands: `[] == ![]`, or
+   * `Object.is(-0, 0)`.
+   *
+   * @param {string} operator One of {@link OPERATORS}.
+   * @param {string} left
+   * @param {string} right
+   * @returns {string}
+   */
+  function formatExpression(operator, left, right) {
+    return operator === "Object.is" ? `Object.is(${left}, ${right})` : `${left} ${operator} ${right}`;
+  }
+
+  /**
+   * Formats a trace as indented text, one step per line.
+   *
+   * @param {Trace} trace
+   * @returns {string}
+   */
+  function formatTrace(trace) {
+    const lines = [formatExpression(trace.operator, trace.left, trace.right)];
+    for (const step of trace.steps) {
+      const indent = "  ".repeat(step.depth + 1);
+      let line = `${indent}${step.kind === "rule" ? "· " : ""}${step.text}`;
+      if (step.error) line += ` ✗ throws ${step.error}`;
+      else if (step.result !== undefined) line += ` → ${step.result}`;
+      lines.push(line);
+    }
+    lines.push(trace.error ? `Throws ${trace.error}` : `Result: ${trace.result}`);
+    return lines.join("\n");
+  }
+
+  return {
+    OPERATORS,
+    traceOperation,
+    splitExpression,
+    parseExpression,
+    formatExpression,
+    formatTrace,
+  };
+});
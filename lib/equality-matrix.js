@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Builds the full equality matrix over a set of values: every
+ * pair compared with `==`, `===`, `Object.is`, `<` and `>=` — the pairs that
+ * lessons 010 ("Tricky Loose Equality"), 012 ("Comparison Paradox") and 016
+ * ("Comparison Brain-Benders") pick a few of.
+ *
+ * The values are given as the expressions that make them, and each side of
+ * each comparison is made afresh, just as when the pair is written out:
+ * `[] === []` compares two different arrays, so it is false even on the
+ * diagonal. {@link valuesCode} turns the expressions into code that
+ * {@link buildMatrix} can run wherever the values should be made, such as a
+ * sandbox.
+ *
+ *   buildMatrix(eval(valuesCode(["null", "0"]))).cells[">="][0][1]; // { result: true, error: null }
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.equalityMatrix` (load `lib/js-tokens.js`, `lib/inspect.js` and
+ * `lib/coercion-trace.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./coercion-trace"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.equalityMatrix = factory(root.LessonKit.coercionTrace);
+  }
+})(typeof self !== "undefined" ? self : this, function (coercionTrace) {
+  "use strict";
+
+  const { formatExpression } = coercionTrace;
+
+  const STANDARD_VALUES = ["0", "-0", '""', '"0"', "[]", "[0]", "{}", "null", "undefined", "NaN", "false", "true", "0n", "Symbol()"];
+
+  const COMPARISONS = {
+    "==": (left, right) => left == right,
+    "===": (left, right) => left === right,
+    "Object.is": (left, right) => Object.is(left, right),
+    "<": (left, right) => left < right,
+    ">=": (left, right) => left >= right,
+  };
+  const OPERATORS = Object.keys(COMPARISONS);
+
+  /**
+   * @typedef {Object} MatrixValue
+   * @property {string} label The expression that makes the value.
+   * @property {function(): *} make Makes a fresh value.
+   */
+
+  /**
+   * @typedef {Object} MatrixCell
+   * @property {boolean|null} result Null when the comparison threw.
+   * @property {string|null} error What it threw, e.g. "TypeError: Cannot convert a Symbol value to a number".
+   */
+
+  /**
+   * @typedef {Object} EqualityMatrix
+   * @property {string[]} labels The values, in row and column order.
+   * @property {string[]} operators
+   * @property {Object<string, MatrixCell[][]>} cells By operator, then row
+   *   (the left operand), then column (the right one).
+   */
+
+  /**
+   * The source of an array of {@link MatrixValue}s, one per expression.
+   * Evaluate it where the values should be made.
+   *
+   * @param {string[]} expressions
+   * @returns {string}
+   */
+  function valuesCode(expressions) {
+    // The newline ends any line comment at the end of an expression.
+    return `[${expressions.map((expression) => `{ label: ${JSON.stringify(expression)}, make: () => (${expression}\n) }`).join(", ")}]`;
+  }
+
+  /**
+   * Compares every pair of values with every operator.
+   *
+   * @param {MatrixValue[]} values
+   * @param {{ operators?: string[] }} [options] A subset of {@link OPERATORS}.
+   * @returns {EqualityMatrix}
+   */
+  function buildMatrix(values, { operators = OPERATORS } = {}) {
+    const cells = {};
+    for (const operator of operators) {
+      if (!COMPARISONS[operator]) throw new RangeError(`Cannot compare with "${operator}"; use one of ${OPERATORS.join(" ")}.`);
+      const compare = COMPARISONS[operator];
+      cells[operator] = values.map((left) =>
+        values.map((right) => {
+          try {
+            return { result: compare(left.make(), right.make()), error: null };
+          } catch (error) {
+            const message = error && typeof error === "object" && "message" in error ? `${error.name}: ${error.message}` : String(error);
+            return { result: null, error: message };
+          }
+        })
+      );
+    }
+    return { labels: values.map((value) => value.label), operators, cells };
+  }
+
+  /**
+   * The expression a cell stands for, as `explain.html?q=` and
+   * `tools/explain-coercion.js` take it.
+   *
+   * @param {EqualityMatrix} matrix
+   * @param {string} operator
+   * @param {number} row
+   * @param {number} column
+   * @returns {string}
+   */
+  function cellExpression(matrix, operator, row, column) {
+    return formatExpression(operator, matrix.labels[row], matrix.labels[column]);
+  }
+
+  /**
+   * Formats the matrix of one operator as a text grid: ✔ where the
+   * comparison is true, · where it is false and ✗ where it throws.
+   *
+   * @param {EqualityMatrix} matrix
+   * @param {string} operator
+   * @returns {string}
+   */
+  function formatMatrix(matrix, operator) {
+    const mark = (cell) => (cell.error ? "✗" : cell.result ? "✔" : "·");
+    const labelWidth = Math.max(operator.length, ...matrix.labels.map((label) => label.length));
+    const widths = matrix.labels.map((label) => Math.max(label.length, 1));
+    const line = (first, cells) => `${first.padEnd(labelWidth)}  ${cells.map((text, column) => text.padEnd(widths[column])).join("  ")}`.trimEnd();
+    const lines = [line(operator, matrix.labels)];
+    matrix.cells[operator].forEach((row, index) => lines.push(line(matrix.labels[index], row.map(mark))));
+
+    const errors = new Set(matrix.cells[operator].flat().filter((cell) => cell.error).map((cell) => cell.error));
+    lines.push("", `Rows are the left operand. ✔ true  · false${errors.size > 0 ? "  ✗ throws" : ""}`);
+    for (const error of errors) lines.push(`  ✗ ${error}`);
+    return lines.join("\n");
+  }
+
+  return {
+    STANDARD_VALUES,
+    OPERATORS,
+    valuesCode,
+    buildMatrix,
+    cellExpression,
+    formatMatrix,
+  };
+});
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview The newer language features lessons may need, how to detect
+ * whether the current engine supports them, and how to spot them in code.
+ *
+ * A lesson section declares what it needs with a `@requires` tag in its
+ * heading comment (see `lib/lesson-model.js`):
+ *
+ *   // @requires bigint, optional-chaining
+ *
+ * The pages that run lessons check each section with
+ * {@link missingFeatures} and show "requires ES2020 BigInt" in place of a
+ * section the browser cannot run, instead of letting one SyntaxError stop the
+ * whole lesson. {@link findUsedFeatures} lets the build check that sections
+ * declare everything they use.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.features` (load `lib/js-tokens.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"), globalThis);
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.features = factory(root.LessonKit.jsTokens, root);
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens, global) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+
+  /**
+   * @typedef {Object} Feature
+   * @property {string} label Shown after "requires", e.g. "ES2020 BigInt".
+   * @property {string} [syntax] Code that only compiles when the feature is supported.
+   * @property {string} [global] Dotted path of a global that must exist, e.g. "Object.fromEntries".
+   */
+
+  /** @type {Object<string, Feature>} */
+  const FEATURES = {
+    bigint: { label: "ES2020 BigInt", syntax: "1n", global: "BigInt" },
+    "nullish-coalescing": { label: "ES2020 nullish coalescing (??)", syntax: "null ?? 1" },
+    "optional-chaining": { label: "ES2020 optional chaining (?.)", syntax: "null?.a" },
+    "logical-assignment": { label: "ES2021 logical assignment (||=, &&=, ??=)", syntax: "let a; a ??= 1" },
+    "numeric-separators": { label: "ES2021 numeric separators (1_000)", syntax: "1_000" },
+    "object-from-entries": { label: "ES2019 Object.fromEntries", global: "Object.fromEntries" },
+    "structured-clone": { label: "structuredClone (2022 browsers)", global: "structuredClone" },
+  };
+
+  const PUNCTUATOR_FEATURES = {
+    "??": "nullish-coalescing",
+    "?.": "optional-chaining",
+    "||=": "logical-assignment",
+    "&&=": "logical-assignment",
+    "??=": "logical-assignment",
+  };
+
+  const supportCache = new Map();
+
+  /**
+   * Whether the engine running this code supports a feature. Unknown ids are
+   * reported as supported, since nothing can be checked for them.
+   *
+   * @param {string} id Key of {@link FEATURES}.
+   * @returns {boolean}
+   */
+  function isSupported(id) {
+    const feature = FEATURES[id];
+    if (!feature) return true;
+    if (supportCache.has(id)) return supportCache.get(id);
+
+    let supported = true;
+    if (feature.syntax) {
+      try {
+        new Function(feature.syntax);
+      } catch (error) {
+        supported = false;
+      }
+    }
+    if (supported && feature.global) {
+      let value = global;
+      for (const name of feature.global.split(".")) value = value == null ? undefined : value[name];
+      supported = value !== undefined;
+    }
+    supportCache.set(id, supported);
+    return supported;
+  }
+
+  /**
+   * Lists the features a section needs that this engine lacks.
+   *
+   * @param {string[]} ids
+   * @returns {string[]}
+   */
+  function missingFeatures(ids) {
+    return ids.filter((id) => !isSupported(id));
+  }
+
+  /**
+   * Describes missing features for the learner: "requires ES2020 BigInt".
+   *
+   * @param {string[]} ids
+   * @returns {string}
+   */
+  function describeRequirement(ids) {
+    return `requires ${ids.map((id) => (FEATURES[id] ? FEATURES[id].label : id)).join(", ")}`;
+  }
+
+  /**
+   * Finds the features a piece of code uses, going by its tokens, so strings
+   * and comments that only mention `??` or `10n` do not count.
+   *
+   * @param {string} code
+   * @returns {string[]} Feature ids, in the order of {@link FEATURES}.
+   */
+  function findUsedFeatures(code) {
+    const used = new Set();
+    const tokens = tokenize(code).filter((token) => token.type !== "comment");
+    tokens.forEach((token, index) => {
+      const previous = tokens[index - 1];
+      const afterDot = previous && (previous.value === "." || previous.value === "?.");
+      if (token.type === "number") {
+        if (/n$/.test(token.value)) used.add("bigint");
+        if (token.value.includes("_")) used.add("numeric-separators");
+      } else if (token.type === "punctuator" && PUNCTUATOR_FEATURES[token.value]) {
+        used.add(PUNCTUATOR_FEATURES[token.value]);
+      } else if (token.type === "identifier") {
+        if (token.value === "BigInt" && !afterDot) used.add("bigint");
+        if (token.value === "structuredClone" && !afterDot) used.add("structured-clone");
+        if (token.value === "fromEntries" && previous && previous.value === "." && tokens[index - 2] && tokens[index - 2].value === "Object") {
+          used.add("object-from-entries");
+        }
+      }
+    });
+    return Object.keys(FEATURES).filter((id) => used.has(id));
+  }
+
+  return {
+    FEATURES,
+    isSupported,
+    missingFeatures,
+    describeRequirement,
+    findUsedFeatures,
+  };
+});
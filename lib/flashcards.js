@@ -0,0 +1,262 @@
+/**
+ * @fileoverview Turns the brain-benders in the lessons into flashcards.
+ *
+ * Cards come from sections whose title names a brain-bender, an interview
+ * trap or trick, or hidden insights (016's `[] == ![]`, 017's "Round 1",
+ * 019's chained assignment, …), in three shapes:
+ *
+ * - code split by `// Q1: …` headers, or by `// 1. …` headers after a blank
+ *   line: the front is the header (or the expression inside
+ *   `// Q1: console.log(expr);`) and the code without its comments; the back
+ *   is the code with its answer comments, any `✅ Answer:` lines, and the
+ *   remaining comments as the explanation;
+ * - a section of code without headers, which becomes one card the same way;
+ * - prose list items "1. `[] == ![]` is `true`" (with the steps as nested
+ *   items) or "1. Q: … A: …".
+ *
+ * Questions without a written answer ("for you to solve") are skipped.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.flashcards` (load `lib/js-tokens.js`, `lib/highlight.js`,
+ * `lib/prose-format.js` and `lib/lesson-model.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"), require("./prose-format"), require("./lesson-model"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.flashcards = factory(root.LessonKit.jsTokens, root.LessonKit.proseFormat, root.LessonKit.lessonModel);
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens, proseFormat, lessonModel) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+  const { parseProse } = proseFormat;
+  const { slugify } = lessonModel;
+
+  const CARD_SECTION = /\b(?:brain[- ]?benders?|interview (?:traps?|tricks?)|traps|hidden insights)\b/i;
+  const MARKER_LINE = /^\s*console\.log\(\s*(["'`])\\n---.*---\1\s*\);?\s*$/;
+  const QUESTION_HEADER = /^(Q\d+)\s*[:.)]\s*(.+)$/;
+  const NUMBERED_HEADER = /^(\d+)\.\s+(.+)$/;
+  const LOGGED_EXPRESSION = /^console\.log\((.+)\);?$/;
+  const ANSWER_LINE = /^✅\s*(.+)$/;
+  const REASONING = /^Reasoning:\s*/i;
+  const FACT = /^`([^`]+)`\s+is\s+(`[^`]+`|\S+)$/;
+  const QUESTION_AND_ANSWER = /^Q:\s*([\s\S]+?)\s+A:\s*([\s\S]+)$/;
+
+  /**
+   * @typedef {Object} Flashcard
+   * @property {string} id Stable id: `lessonId/sectionId/question`.
+   * @property {string} lessonId
+   * @property {string} sectionId
+   * @property {string} sectionTitle
+   * @property {number} line 1-based line of the question in the lesson.
+   * @property {{ title: string, prompt: string|null, code: string }} front
+   *   `prompt` is the expression asked about, when the question names one.
+   * @property {{ answers: string[], code: string, explanation: string }} back
+   *   `code` is the question's code with its answer comments; `explanation`
+   *   is prose (see `lib/prose-format.js`).
+   */
+
+  /**
+   * Describes each line of a piece of code: a full-line comment, code with an
+   * optional trailing comment, or blank.
+   *
+   * @param {string} code
+   * @returns {Array<{ code: string, comment: string|null, trailing: string|null }>}
+   */
+  function classifyLines(code) {
+    const lines = code.split("\n").map((text) => ({ text, hasCode: false, comment: null, cut: null }));
+    for (const token of tokenize(code)) {
+      const line = lines[token.line - 1];
+      if (token.type !== "comment") {
+        for (let index = token.line - 1; index <= token.line - 1 + (token.value.match(/\n/g) || []).length; index++) {
+          lines[index].hasCode = true;
+        }
+      } else if (token.value.startsWith("//") && line.comment === null) {
+        line.comment = token.value.slice(2).replace(/^ /, "");
+        line.cut = token.column;
+      }
+    }
+    return lines.map((line) => {
+      if (!line.hasCode) return { code: "", comment: line.comment, trailing: null };
+      if (line.comment === null) return { code: line.text.replace(/\s+$/, ""), comment: null, trailing: null };
+      return { code: line.text.slice(0, line.cut).replace(/\s+$/, ""), comment: null, trailing: line.comment };
+    });
+  }
+
+  /**
+   * Describes the lines of a section from its first line of code to its end.
+   * Comments after the last line of code (usually the answer to the last
+   * question) are prose blocks in the model, so they are added back as
+   * comment lines.
+   *
+   * @param {Object} section Section model.
+   * @returns {Array<{ code: string, comment: string|null, trailing: string|null }>}
+   */
+  function sectionLines(section) {
+    const lines = classifyLines(section.code);
+    let last = section.codeLine + lines.length - 1;
+    for (const block of section.blocks) {
+      if (block.type !== "prose" || block.line <= last) continue;
+      if (block.line > last + 1) lines.push({ code: "", comment: null, trailing: null });
+      const text = block.text.split("\n");
+      for (const comment of text) lines.push({ code: "", comment, trailing: null });
+      last = block.line + text.length - 1;
+    }
+    return lines;
+  }
+
+  /**
+   * Removes leading and trailing blank lines, collapses runs of blank lines
+   * and the common indentation.
+   *
+   * @param {string[]} lines
+   * @returns {string}
+   */
+  function tidy(lines) {
+    const kept = lines.filter((line, index) => line.trim() !== "" || (index > 0 && lines[index - 1].trim() !== ""));
+    const text = kept.join("\n").trim() === "" ? [] : kept;
+    const indents = text.filter((line) => line.trim()).map((line) => line.length - line.trimStart().length);
+    const common = indents.length ? Math.min(...indents) : 0;
+    return text.map((line) => line.slice(common)).join("\n").replace(/^\n+|\n+$/g, "");
+  }
+
+  /**
+   * Splits classified lines into questions at their headers.
+   *
+   * @returns {Array<{ key: string|null, title: string, start: number, lines: Object[] }>}
+   */
+  function splitQuestions(lines) {
+    const isHeader = (line, index, pattern) =>
+      line.comment !== null && pattern.test(line.comment.trim()) && (index === 0 || (lines[index - 1].code === "" && lines[index - 1].comment === null));
+    const pattern = lines.some((line, index) => isHeader(line, index, QUESTION_HEADER)) ? QUESTION_HEADER : NUMBERED_HEADER;
+
+    const questions = [];
+    lines.forEach((line, index) => {
+      if (isHeader(line, index, pattern)) {
+        const [, key, title] = pattern.exec(line.comment.trim());
+        questions.push({ key, title, start: index, lines: [] });
+      } else if (questions.length > 0) {
+        questions[questions.length - 1].lines.push(line);
+      }
+    });
+    return questions;
+  }
+
+  /**
+   * Builds a card from the lines of one question, or returns null when the
+   * question has no code or no written answer.
+   */
+  function codeCard(lines, { key, title }) {
+    const codeLines = lines.filter((line) => line.code !== "" && !MARKER_LINE.test(line.code));
+    if (codeLines.length === 0) return null;
+
+    const answers = [];
+    const explanation = [];
+    for (const line of lines) {
+      if (line.comment === null) continue;
+      const answer = ANSWER_LINE.exec(line.comment.trim());
+      if (answer) answers.push(answer[1]);
+      else if (line.code === "") explanation.push(line.comment.replace(REASONING, ""));
+    }
+    const hasTrailing = codeLines.some((line) => line.trailing !== null);
+    if (answers.length === 0 && !hasTrailing && explanation.join("").trim() === "") return null;
+
+    const logged = LOGGED_EXPRESSION.exec(title);
+    const visible = lines.filter((line) => !MARKER_LINE.test(line.code) && (line.code !== "" || line.comment === null));
+    return {
+      key,
+      title: logged ? "What does this evaluate to?" : title,
+      prompt: logged ? logged[1] : null,
+      frontCode: tidy(visible.map((line) => line.code)),
+      backCode: tidy(visible.map((line) => (line.trailing === null ? line.code : `${line.code} // ${line.trailing}`))),
+      answers,
+      explanation: tidy(explanation),
+    };
+  }
+
+  /**
+   * Finds the cards written as prose list items.
+   *
+   * @param {string} text
+   * @returns {Object[]}
+   */
+  function proseCards(text) {
+    const cards = [];
+    const visit = (blocks) => {
+      for (const block of blocks) {
+        if (block.type !== "list") continue;
+        for (const item of block.items) {
+          const first = item[0];
+          if (!first || first.type !== "paragraph") continue;
+          const heading = first.lines.join(" ");
+          const fact = FACT.exec(heading);
+          const question = QUESTION_AND_ANSWER.exec(heading);
+          const steps = item.slice(1).filter((nested) => nested.type === "list");
+          const explanation = steps.flatMap((list) => list.items.map((blocks) => `- ${blocks[0].lines.join(" ")}`)).join("\n");
+          if (fact) {
+            cards.push({ title: `What is \`${fact[1]}\`?`, prompt: fact[1], answers: [fact[2]], explanation });
+          } else if (question) {
+            cards.push({ title: question[1], prompt: null, answers: [question[2]], explanation });
+          }
+        }
+      }
+    };
+    visit(parseProse(text));
+    return cards;
+  }
+
+  /**
+   * Extracts the flashcards of one lesson.
+   *
+   * @param {Object} lesson Lesson model (see `lib/lesson-model.js`).
+   * @returns {Flashcard[]}
+   */
+  function extractCards(lesson) {
+    const cards = [];
+    for (const section of lesson.sections) {
+      if (!CARD_SECTION.test(section.title)) continue;
+      const used = new Set();
+      const add = (key, card, line) => {
+        let id = `${lesson.id}/${section.id}/${slugify(key)}`;
+        for (let n = 2; used.has(id); n++) id = `${lesson.id}/${section.id}/${slugify(key)}-${n}`;
+        used.add(id);
+        cards.push({
+          id,
+          lessonId: lesson.id,
+          sectionId: section.id,
+          sectionTitle: section.title,
+          line,
+          front: { title: card.title, prompt: card.prompt, code: card.frontCode || "" },
+          back: { answers: card.answers, code: card.backCode || "", explanation: card.explanation },
+        });
+      };
+
+      // Prose after the first line of code explains the code, so only the
+      // prose above it can hold cards of its own.
+      const fromProse = section.blocks
+        .filter((block) => block.type === "prose" && (section.codeLine === null || block.line < section.codeLine))
+        .flatMap((block) => proseCards(block.text).map((card) => ({ card, line: block.line })));
+      fromProse.forEach(({ card, line }, index) => add(`p${index + 1}`, card, line));
+
+      if (!section.code.trim()) continue;
+      const lines = sectionLines(section);
+      const questions = splitQuestions(lines);
+      if (questions.length > 0) {
+        for (const question of questions) {
+          const card = codeCard(question.lines, question);
+          if (card) add(question.key, card, section.codeLine + question.start);
+        }
+      } else if (fromProse.length === 0) {
+        const card = codeCard(lines, { key: "card", title: section.title });
+        if (card) add("card", card, section.codeLine);
+      }
+    }
+    return cards;
+  }
+
+  return {
+    extractCards,
+  };
+});
@@ -0,0 +1,380 @@
+/**
+ * @fileoverview Finds the traps the lessons teach in any JavaScript source:
+ * `var` loop variables captured by callbacks, `~~x` truncation, BigInts
+ * passed to `JSON.stringify`, `||` defaults that swallow `0` and `""`, the
+ * global `isNaN`, and nested mutation through a shallow spread copy.
+ *
+ * The checks work on tokens (see `lib/js-tokens.js`), not on a full syntax
+ * tree, so they look for the shapes the lessons show rather than proving a
+ * bug: a finding is a place worth a second look. The code in template
+ * literal substitutions (`${isNaN(x)}`) is checked too, one substitution at
+ * a time, so a copy made outside one is not followed into it. Each rule
+ * names the lesson sections that explain the trap.
+ *
+ *   findGotchas("for (var i = 0; i < 3; i++) setTimeout(() => log(i));");
+ *   // [{ rule: "var-loop-closure", line: 1, column: 6, message: "…", … }]
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.gotchas` (load `lib/js-tokens.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.gotchas = factory(root.LessonKit.jsTokens);
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+
+  const OPENERS = { "(": ")", "[": "]", "{": "}" };
+  const ASSIGNMENT_OPERATORS = new Set(["=", "+=", "-=", "*=", "/=", "%=", "**=", "<<=", ">>=", ">>>=", "&=", "|=", "^=", "&&=", "||=", "??="]);
+  const MUTATING_METHODS = new Set(["push", "pop", "shift", "unshift", "splice", "sort", "reverse", "fill", "copyWithin", "set", "add", "delete", "clear"]);
+  const DECLARATIONS = new Set(["var", "let", "const"]);
+  // Calls that keep a callback to run later, after the loop has finished.
+  const DEFERRING_CALLS = new Set(["setTimeout", "setInterval", "setImmediate", "requestAnimationFrame", "queueMicrotask", "addEventListener", "then", "push"]);
+
+  /**
+   * @typedef {Object} GotchaRule
+   * @property {string} id
+   * @property {string} title
+   * @property {"warning"|"hint"} severity `hint` for shapes that are often fine.
+   * @property {Array<{ lesson: string, section: string }>} lessons Sections that
+   *   explain the trap, as lesson id and section id.
+   */
+
+  /** @type {Object<string, GotchaRule>} */
+  const RULES = {
+    "var-loop-closure": {
+      id: "var-loop-closure",
+      title: "`var` loop variable captured by a callback",
+      severity: "warning",
+      lessons: [
+        { lesson: "002", section: "3-common-pitfalls-interview-traps" },
+        { lesson: "015", section: "q6-loop-trap-the-classic" },
+      ],
+    },
+    "double-not-truncation": {
+      id: "double-not-truncation",
+      title: "`~~x` to truncate a number",
+      severity: "hint",
+      lessons: [{ lesson: "018", section: "1-double-not-for-fast-truncation" }],
+    },
+    "json-stringify-bigint": {
+      id: "json-stringify-bigint",
+      title: "BigInt passed to `JSON.stringify`",
+      severity: "warning",
+      lessons: [{ lesson: "008", section: "edge-cases-brain-benders" }],
+    },
+    "or-default": {
+      id: "or-default",
+      title: "`||` default where `??` may be meant",
+      severity: "hint",
+      lessons: [{ lesson: "012", section: "edge-cases-gotchas" }],
+    },
+    "global-isnan": {
+      id: "global-isnan",
+      title: "global `isNaN` instead of `Number.isNaN`",
+      severity: "warning",
+      lessons: [{ lesson: "006", section: "pitfalls-interview-traps" }],
+    },
+    "shallow-copy-mutation": {
+      id: "shallow-copy-mutation",
+      title: "nested mutation through a shallow copy",
+      severity: "warning",
+      lessons: [{ lesson: "023", section: "1-shallow-vs-deep-copy-trap" }],
+    },
+  };
+
+  /**
+   * @typedef {Object} Gotcha
+   * @property {string} rule Id of the {@link GotchaRule}.
+   * @property {"warning"|"hint"} severity
+   * @property {number} line 1-based.
+   * @property {number} column 1-based.
+   * @property {string} message
+   */
+
+  /**
+   * Finds the index of the bracket that closes the one at `index`.
+   *
+   * @param {import("./js-tokens").Token[]} tokens
+   * @param {number} index
+   * @returns {number} `tokens.length` when it is never closed.
+   */
+  function matchBracket(tokens, index) {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type !== "punctuator") continue;
+      if (OPENERS[token.value]) depth++;
+      else if (token.value === ")" || token.value === "]" || token.value === "}") {
+        if (--depth === 0) return i;
+      }
+    }
+    return tokens.length;
+  }
+
+  /**
+   * Finds where the statement starting at `index` ends: its closing brace
+   * for a block, otherwise the first `;` outside brackets.
+   *
+   * @returns {number} Index of the last token of the statement.
+   */
+  function statementEnd(tokens, index) {
+    if (tokens[index] && tokens[index].value === "{") return matchBracket(tokens, index);
+    for (let i = index; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === "punctuator" && OPENERS[token.value]) i = matchBracket(tokens, i);
+      else if (token.value === ";") return i;
+    }
+    return tokens.length - 1;
+  }
+
+  /**
+   * The tokens of each `${…}` substitution of a template literal, placed
+   * where they are in the whole source. Templates nested in them stay single
+   * tokens, for the caller to open in turn.
+   *
+   * @param {import("./js-tokens").Token} template
+   * @returns {Array<import("./js-tokens").Token[]>}
+   */
+  function substitutionTokens(template) {
+    const text = template.value;
+    const groups = [];
+    let i = 1;
+    while (i < text.length) {
+      if (text[i] === "\\") {
+        i += 2;
+        continue;
+      }
+      if (text[i] !== "$" || text[i + 1] !== "{") {
+        i++;
+        continue;
+      }
+      const from = i + 2;
+      const tokens = tokenize(text.slice(from));
+      let depth = 0;
+      let end = tokens.findIndex((token) => {
+        if (token.type !== "punctuator") return false;
+        if (token.value === "{") depth++;
+        else if (token.value === "}" && depth-- === 0) return true;
+        return false;
+      });
+      if (end === -1) end = tokens.length;
+      const before = text.slice(0, from).split("\n");
+      const line = template.line + before.length - 1;
+      const column = (before.length === 1 ? template.column : 0) + before[before.length - 1].length;
+      groups.push(
+        tokens.slice(0, end).map((token) => ({
+          ...token,
+          start: template.start + from + token.start,
+          end: template.start + from + token.end,
+          line: line + token.line - 1,
+          column: token.line === 1 ? column + token.column : token.column,
+        }))
+      );
+      i = end < tokens.length ? from + tokens[end].end : text.length;
+    }
+    return groups;
+  }
+
+  const isPropertyName = (tokens, index) => index > 0 && (tokens[index - 1].value === "." || tokens[index - 1].value === "?.");
+
+  /**
+   * `for (var i …)` loops whose body hands a function that uses `i` to
+   * something that calls it later (`setTimeout`, `addEventListener`, …).
+   */
+  function findVarLoopClosures(tokens, report) {
+    tokens.forEach((token, index) => {
+      if (token.value !== "for" || token.type !== "keyword") return;
+      const open = index + 1;
+      if (!tokens[open + 2] || tokens[open].value !== "(" || tokens[open + 1].value !== "var" || tokens[open + 2].type !== "identifier") return;
+      const name = tokens[open + 2].value;
+      const close = matchBracket(tokens, open);
+      const end = Math.min(statementEnd(tokens, close + 1), tokens.length - 1);
+      const body = tokens.slice(close + 1, end + 1);
+      if (!body.some((current) => DEFERRING_CALLS.has(current.value))) return;
+
+      let closure = false;
+      for (let i = close + 1; i <= end; i++) {
+        const current = tokens[i];
+        if (current.value === "function" || current.value === "=>") closure = true;
+        if (closure && current.type === "identifier" && current.value === name && !isPropertyName(tokens, i)) {
+          report("var-loop-closure", tokens[open + 1], `\`${name}\` is declared with \`var\`, so every callback created in this loop shares one \`${name}\` and sees its last value. Declare it with \`let\` to get one binding per iteration.`);
+          return;
+        }
+      }
+    });
+  }
+
+  /**
+   * `~~x`.
+   */
+  function findDoubleNot(tokens, report) {
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+      const previous = tokens[index - 1];
+      if (token.value !== "~" || !next || next.value !== "~" || (previous && previous.value === "~")) return;
+      report("double-not-truncation", token, "`~~x` truncates toward zero (`~~-4.9` is -4, `Math.floor(-4.9)` is -5) and wraps numbers outside the 32-bit range. Use `Math.trunc()` or `Math.floor()` unless that is intended.");
+    });
+  }
+
+  /**
+   * `JSON.stringify(…)` with a BigInt literal or a `BigInt(…)` call in its
+   * arguments, and no replacer.
+   */
+  function findStringifiedBigInts(tokens, report) {
+    tokens.forEach((token, index) => {
+      if (token.value !== "JSON" || !tokens[index + 2] || tokens[index + 1].value !== "." || tokens[index + 2].value !== "stringify") return;
+      const open = index + 3;
+      if (!tokens[open] || tokens[open].value !== "(") return;
+      const close = matchBracket(tokens, open);
+      let depth = 0;
+      let hasReplacer = false;
+      let hasBigInt = false;
+      for (let i = open + 1; i < close; i++) {
+        const current = tokens[i];
+        if (current.type === "punctuator" && OPENERS[current.value]) depth++;
+        else if (current.value === ")" || current.value === "]" || current.value === "}") depth--;
+        else if (current.value === "," && depth === 0) hasReplacer = true;
+        if (current.type === "number" && /n$/.test(current.value)) hasBigInt = true;
+        if (current.value === "BigInt" && tokens[i + 1] && tokens[i + 1].value === "(" && !isPropertyName(tokens, i)) hasBigInt = true;
+      }
+      if (hasBigInt && !hasReplacer) {
+        report("json-stringify-bigint", token, "`JSON.stringify` throws a TypeError on BigInt values. Convert them first (`value.toString()`) or pass a replacer.");
+      }
+    });
+  }
+
+  /**
+   * `value || 0`, `value || ""` and other `||` defaults that also replace
+   * valid falsy values.
+   */
+  function findOrDefaults(tokens, report) {
+    tokens.forEach((token, index) => {
+      if (token.value !== "||" || token.type !== "punctuator") return;
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      if (!previous || !next) return;
+      const leftIsValue = previous.type === "identifier" || previous.value === ")" || previous.value === "]";
+      const rightIsDefault =
+        next.type === "number" ||
+        next.type === "string" ||
+        next.type === "template" ||
+        ((next.value === "[" || next.value === "{") && tokens[index + 2] && tokens[index + 2].value === OPENERS[next.value]);
+      if (!leftIsValue || !rightIsDefault) return;
+      report("or-default", token, "`||` falls back for every falsy value, including `0`, `\"\"` and `false`. If those are valid values here, use `??`, which only falls back for `null` and `undefined`.");
+    });
+  }
+
+  /**
+   * Calls to the global `isNaN(…)`.
+   */
+  function findGlobalIsNaN(tokens, report) {
+    tokens.forEach((token, index) => {
+      const next = tokens[index + 1];
+      if (token.value !== "isNaN" || !next || next.value !== "(") return;
+      const previous = tokens[index - 1];
+      const owner = tokens[index - 2];
+      if (isPropertyName(tokens, index) && !(owner && (owner.value === "window" || owner.value === "globalThis"))) return;
+      if (previous && previous.value === "function") return;
+      report("global-isnan", token, "The global `isNaN` converts its argument to a number first, so `isNaN(\"foo\")` is true. Use `Number.isNaN()` to test for the NaN value itself.");
+    });
+  }
+
+  /**
+   * `const copy = { ...original }` (or `[...original]`,
+   * `Object.assign({}, original)`) followed by a write to a nested property
+   * of `copy`, which the original shares.
+   */
+  function findShallowCopyMutations(tokens, report) {
+    const copies = new Map();
+    tokens.forEach((token, index) => {
+      if (!DECLARATIONS.has(token.value) || !tokens[index + 3]) return;
+      const name = tokens[index + 1];
+      if (name.type !== "identifier" || tokens[index + 2].value !== "=") return;
+      const start = index + 3;
+      const first = tokens[start];
+      let source = null;
+      if ((first.value === "{" || first.value === "[") && tokens[start + 1] && tokens[start + 1].value === "..." && tokens[start + 2].type === "identifier") {
+        source = tokens[start + 2].value;
+      } else if (
+        first.value === "Object" &&
+        tokens[start + 2] && tokens[start + 2].value === "assign" &&
+        tokens[start + 4] && tokens[start + 4].value === "{" && tokens[start + 5].value === "}" &&
+        tokens[start + 6] && tokens[start + 6].value === "," && tokens[start + 7].type === "identifier"
+      ) {
+        source = tokens[start + 7].value;
+      }
+      if (source) copies.set(name.value, { source, line: name.line, index: index + 1 });
+    });
+    if (copies.size === 0) return;
+
+    tokens.forEach((token, index) => {
+      const copy = copies.get(token.value);
+      if (!copy || token.type !== "identifier" || isPropertyName(tokens, index) || index <= copy.index) return;
+      // Walk the property path: copy.a.b, copy[0].a, …
+      let i = index + 1;
+      let depth = 0;
+      let lastName = null;
+      while (tokens[i] && (tokens[i].value === "." || tokens[i].value === "[")) {
+        if (tokens[i].value === ".") {
+          lastName = tokens[i + 1] ? tokens[i + 1].value : null;
+          i += 2;
+        } else {
+          lastName = null;
+          i = matchBracket(tokens, i) + 1;
+        }
+        depth++;
+      }
+      const next = tokens[i];
+      if (!next) return;
+      const assigns = depth >= 2 && ASSIGNMENT_OPERATORS.has(next.value);
+      const updates = depth >= 2 && (next.value === "++" || next.value === "--");
+      const mutates = depth >= 2 && next.value === "(" && MUTATING_METHODS.has(lastName);
+      if (assigns || updates || mutates) {
+        report("shallow-copy-mutation", token, `\`${token.value}\` is a shallow copy of \`${copy.source}\` (line ${copy.line}): nested objects are shared, so this also changes \`${copy.source}\`. Use \`structuredClone(${copy.source})\` for a deep copy.`);
+      }
+    });
+  }
+
+  const CHECKS = [
+    findVarLoopClosures,
+    findDoubleNot,
+    findStringifiedBigInts,
+    findOrDefaults,
+    findGlobalIsNaN,
+    findShallowCopyMutations,
+  ];
+
+  /**
+   * Finds every gotcha in a piece of JavaScript.
+   *
+   * @param {string} source
+   * @returns {Gotcha[]} Sorted by position.
+   */
+  function findGotchas(source) {
+    // The code of each template substitution is checked as a piece of its own.
+    const pieces = [tokenize(source)];
+    for (let i = 0; i < pieces.length; i++) {
+      for (const token of pieces[i]) if (token.type === "template") pieces.push(...substitutionTokens(token));
+    }
+    const found = [];
+    const report = (rule, token, message) => {
+      found.push({ rule, severity: RULES[rule].severity, line: token.line, column: token.column + 1, message });
+    };
+    for (const piece of pieces) {
+      const tokens = piece.filter((token) => token.type !== "comment");
+      for (const check of CHECKS) check(tokens, report);
+    }
+    return found.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+
+  return {
+    RULES,
+    findGotchas,
+  };
+});
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Syntax highlighting for lesson code, as HTML.
+ *
+ * Tokenizes with `lib/js-tokens.js` and wraps every token in a
+ * `<span class="tok-TYPE">`, keeping the whitespace between tokens as-is, so
+ * the result can go straight into a `<pre>`:
+ *
+ *   highlight("const a = 1; // one");
+ *   // '<span class="tok-keyword">const</span> <span class="tok-identifier">a</span> …'
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.highlight` (load `lib/js-tokens.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.highlight = factory(root.LessonKit.jsTokens);
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+
+  /**
+   * Escapes text for HTML element content and attribute values.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeHtml(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Highlights JavaScript source. Text the tokenizer cannot make sense of is
+   * still included, escaped, so the output always reads the same as the input.
+   *
+   * @param {string} code
+   * @returns {string} HTML.
+   */
+  function highlight(code) {
+    let html = "";
+    let last = 0;
+    for (const token of tokenize(code)) {
+      html += escapeHtml(code.slice(last, token.start));
+      html += `<span class="tok-${token.type}">${escapeHtml(token.value)}</span>`;
+      last = token.end;
+    }
+    return html + escapeHtml(code.slice(last));
+  }
+
+  return {
+    escapeHtml,
+    highlight,
+  };
+});
@@ -0,0 +1,374 @@
+/**
+ * @fileoverview Builds the "Memory Creation Phase" and "Execution Phase"
+ * tables lesson 014 draws by hand, for any snippet.
+ *
+ * {@link analyzeHoisting} reads the snippet's tokens (see `lib/js-tokens.js`)
+ * to find every binding of the top-level execution context: `var`, `let`,
+ * `const`, `class` and function declarations, including `var`s inside
+ * blocks and loops, and splits the snippet into its top-level statements.
+ * That is enough for the creation table: `var` starts as `undefined`, `let`,
+ * `const` and `class` in the Temporal Dead Zone, a function declaration with
+ * its body, and a function declaration wins over a `var` of the same name
+ * (lesson 015, Q7).
+ *
+ * For the execution table the snippet is run: {@link instrument} adds a
+ * snapshot of every binding after each top-level statement, taken by a
+ * recorder from {@link createRecorder}, so the values are the engine's own
+ * and a read in the TDZ really throws. Declarations inside functions and
+ * block-scoped ones inside blocks belong to other scopes and are left out.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.hoisting` (load `lib/js-tokens.js`, `lib/inspect.js` and
+ * `lib/statements.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"), require("./inspect"), require("./statements"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.hoisting = factory(root.LessonKit.jsTokens, root.LessonKit.inspect, root.LessonKit.statements);
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens, inspectModule, statementsModule) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+  const { inspect, formatArgs } = inspectModule;
+  const { shorten, matchBracket, statementEnd, readDeclarators, functionBody, isMethodBody } = statementsModule;
+
+  // The global the instrumented snippet reports to.
+  const RECORDER_NAME = "__hoistingTrace";
+  const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug"];
+
+  /**
+   * @typedef {Object} Binding
+   * @property {string} name
+   * @property {string} kind How it is declared: "var", "let", "const",
+   *   "class", "function", "function + var" or "function (in a block)".
+   * @property {number} line Line of its first declaration.
+   * @property {"undefined"|"tdz"|"function"} creation Its state before the first statement runs.
+   * @property {string} creationText That state as shown in the table.
+   * @property {string|null} initializer "function expression", "arrow
+   *   function" or "class expression" when a `var`, `let` or `const` is
+   *   initialized with one.
+   * @property {string|null} note Anything surprising about it, such as a
+   *   function declaration that wins over a `var`.
+   */
+
+  /**
+   * @typedef {Object} Statement
+   * @property {number} line First line, 1-based.
+   * @property {number} endLine
+   * @property {number} start Offset of its first character in the snippet.
+   * @property {number} end Offset just past its last character.
+   * @property {string} text Its first line, shortened for display.
+   */
+
+  /**
+   * @typedef {Object} HoistingAnalysis
+   * @property {Binding[]} bindings In order of declaration.
+   * @property {Statement[]} statements
+   */
+
+  /**
+   * Finds the bindings of the top-level scope and the top-level statements.
+   *
+   * @param {string} source
+   * @returns {HoistingAnalysis}
+   */
+  function analyzeHoisting(source) {
+    const tokens = tokenize(source).filter((token) => token.type !== "comment");
+    const bindings = new Map();
+    const statements = [];
+
+    const declare = (token, kind, details = {}) => {
+      const existing = bindings.get(token.value);
+      if (!existing) {
+        bindings.set(token.value, { name: token.value, kinds: [kind], line: token.line, initializer: null, functionText: null, ...details });
+        return;
+      }
+      existing.kinds.push(kind);
+      if (details.functionText) existing.functionText = details.functionText;
+      if (details.initializer) existing.initializer = details.initializer;
+    };
+
+    // `var`s and block-level function declarations anywhere in a top-level
+    // statement, except inside functions and classes, which have their own scope.
+    const scanNested = (from, to) => {
+      for (let i = from; i <= to; i++) {
+        const token = tokens[i];
+        if (token.type === "keyword" && token.value === "class") {
+          let open = i;
+          while (open <= to && tokens[open].value !== "{") open++;
+          i = matchBracket(tokens, open);
+        } else if ((token.type === "keyword" && token.value === "function") || token.value === "=>") {
+          const previous = tokens[i - 1];
+          const body = functionBody(tokens, i);
+          if (token.value === "function" && previous && ["{", "}", ";", ")"].includes(previous.value) && tokens[i + 1].type === "identifier") {
+            declare(tokens[i + 1], "block function");
+          }
+          if (body !== -1) i = matchBracket(tokens, body);
+        } else if (token.value === "{" && isMethodBody(tokens, i)) {
+          i = matchBracket(tokens, i);
+        } else if (token.type === "keyword" && token.value === "var") {
+          const { declarators, end } = readDeclarators(tokens, i, to);
+          for (const { name, initializer } of declarators) declare(name, "var", { initializer });
+          i = end;
+        }
+      }
+    };
+
+    let index = 0;
+    while (index < tokens.length) {
+      const first = tokens[index];
+      const last = Math.max(statementEnd(tokens, index), index);
+      statements.push({
+        line: first.line,
+        endLine: tokens[last].line,
+        start: first.start,
+        end: tokens[last].end,
+        text: shorten(source.slice(first.start, tokens[last].end)),
+      });
+
+      const keyword = first.value === "async" && tokens[index + 1] && tokens[index + 1].value === "function" ? index + 1 : index;
+      if (tokens[keyword].type === "keyword" && tokens[keyword].value === "function" && tokens[keyword + 1]) {
+        const name = tokens[keyword + (tokens[keyword + 1].value === "*" ? 2 : 1)];
+        if (name && name.type === "identifier") {
+          declare(name, "function", { functionText: shorten(source.slice(first.start, tokens[last].end)) });
+        }
+        scanNested(keyword + 1, last);
+      } else if (first.type === "keyword" && first.value === "class" && tokens[index + 1] && tokens[index + 1].type === "identifier") {
+        declare(tokens[index + 1], "class");
+      } else if (first.type === "keyword" && (first.value === "let" || first.value === "const")) {
+        const { declarators, end } = readDeclarators(tokens, index, last);
+        for (const { name, initializer } of declarators) declare(name, first.value, { initializer });
+        scanNested(end + 1, last);
+      } else {
+        scanNested(index, last);
+      }
+      index = last + 1;
+    }
+
+    return { bindings: [...bindings.values()].map(describeBinding), statements };
+  }
+
+  /**
+   * Works out how a name declared one or more times starts out.
+   *
+   * @returns {Binding}
+   */
+  function describeBinding({ name, kinds, line, initializer, functionText }) {
+    const has = (kind) => kinds.includes(kind);
+    const binding = { name, line, initializer, note: null };
+    if (has("function")) {
+      binding.kind = has("var") ? "function + var" : "function";
+      binding.creation = "function";
+      binding.creationText = functionText;
+      if (has("var")) {
+        binding.note = `\`${name}\` is declared both as a function and with \`var\`: during memory creation the function wins, and the \`var\` only matters when a line assigns to it.`;
+      } else if (kinds.filter((kind) => kind === "function").length > 1) {
+        binding.note = `\`${name}\` is declared as a function more than once; the last declaration wins.`;
+      }
+    } else if (has("let") || has("const") || has("class")) {
+      binding.kind = kinds.find((kind) => kind === "let" || kind === "const" || kind === "class");
+      binding.creation = "tdz";
+      binding.creationText = "❌ In Temporal Dead Zone";
+      if (kinds.length > 1) binding.note = `\`${name}\` is declared more than once, which is a SyntaxError for \`${binding.kind}\`.`;
+    } else if (has("var")) {
+      binding.kind = "var";
+      binding.creation = "undefined";
+      binding.creationText = "undefined";
+    } else {
+      binding.kind = "function (in a block)";
+      binding.creation = "undefined";
+      binding.creationText = "undefined";
+      binding.note = `\`${name}\` is a function declared inside a block: outside strict mode it also gets a \`var\`-like binding here, which stays undefined until the block runs.`;
+    }
+    if (initializer && binding.creation !== "function") binding.kind += ` (${initializer})`;
+    return binding;
+  }
+
+  /**
+   * Adds a snapshot of every binding to the snippet: one before the first
+   * statement and one after each top-level statement, reported to the
+   * recorder stored in the global `__hoistingTrace`. The snapshots are put on
+   * the statements' own lines, so line numbers in errors stay the same.
+   *
+   * @param {string} source
+   * @param {HoistingAnalysis} analysis
+   * @returns {string}
+   */
+  function instrument(source, analysis) {
+    const readers = analysis.bindings.map(({ name }) => `${JSON.stringify(name)}: () => ${name}`).join(", ");
+    const snapshot = (index) => `;${RECORDER_NAME}.snapshot(${index}, { ${readers} });`;
+    let code = snapshot(-1);
+    let last = 0;
+    analysis.statements.forEach((statement, index) => {
+      code += source.slice(last, statement.end) + snapshot(index);
+      last = statement.end;
+    });
+    return code + source.slice(last);
+  }
+
+  /**
+   * Formats a value for the execution table.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function describe(value) {
+    if (typeof value === "function") {
+      const isClass = /^class\b/.test(Function.prototype.toString.call(value));
+      return isClass ? `class ${value.name || "(anonymous)"}` : `ƒ ${value.name || "(anonymous)"}()`;
+    }
+    return inspect(value, { depth: 1 });
+  }
+
+  /**
+   * @typedef {Object} HoistingStep
+   * @property {number} statement Index into the analysis' statements.
+   * @property {Object<string, string>} values Every binding after the
+   *   statement: its value formatted, or "TDZ".
+   * @property {string[]} changed The bindings whose value the statement changed.
+   * @property {string[]} output What the statement printed.
+   * @property {string|null} error What it threw, ending the run.
+   */
+
+  /**
+   * @typedef {Object} HoistingRun
+   * @property {Object<string, string>|null} initial Every binding before the first statement.
+   * @property {HoistingStep[]} steps
+   */
+
+  /**
+   * Creates the recorder an instrumented snippet reports to. Store it as the
+   * global `__hoistingTrace` before running the snippet, and call its
+   * `fail` with the error if the snippet throws.
+   *
+   * @returns {{ snapshot: function(number, Object<string, function(): *>): void, watchConsole: function(Object): void, fail: function(*): void, result: function(): HoistingRun }}
+   */
+  function createRecorder() {
+    const steps = [];
+    let initial = null;
+    let previous = null;
+    let output = [];
+
+    const read = (readers) => {
+      const values = {};
+      for (const [name, reader] of Object.entries(readers)) {
+        try {
+          values[name] = describe(reader());
+        } catch (error) {
+          values[name] = "TDZ";
+        }
+      }
+      return values;
+    };
+
+    return {
+      snapshot(index, readers) {
+        const values = read(readers);
+        if (index === -1) {
+          initial = values;
+        } else {
+          const changed = Object.keys(values).filter((name) => !previous || values[name] !== previous[name]);
+          steps.push({ statement: index, values, changed, output, error: null });
+        }
+        previous = values;
+        output = [];
+      },
+      // Console calls are passed on, and also kept with the statement that made them.
+      watchConsole(target) {
+        for (const method of CONSOLE_METHODS) {
+          const original = target[method];
+          target[method] = (...args) => {
+            output.push(formatArgs(args));
+            return original.apply(target, args);
+          };
+        }
+      },
+      fail(error) {
+        const message = error && typeof error === "object" && "message" in error ? `${error.name}: ${error.message}` : describe(error);
+        steps.push({ statement: steps.length, values: previous || {}, changed: [], output, error: message });
+        output = [];
+      },
+      result() {
+        return { initial, steps };
+      },
+    };
+  }
+
+  /**
+   * Escapes text for a Markdown table cell.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function cell(text) {
+    return text.replace(/\|/g, "\\|").replace(/\n/g, " ");
+  }
+
+  /**
+   * Wraps code in a Markdown code span, with enough backticks for the ones inside it.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function codeSpan(text) {
+    const fence = text.includes("`") ? "``" : "`";
+    return `${fence}${fence.length > 1 ? " " : ""}${text}${fence.length > 1 ? " " : ""}${fence}`;
+  }
+
+  /**
+   * Formats the two tables as Markdown, in the layout of lesson 014. Without
+   * a run, only the memory creation table is shown.
+   *
+   * @param {HoistingAnalysis} analysis
+   * @param {HoistingRun} [run]
+   * @returns {string}
+   */
+  function formatTables(analysis, run) {
+    const lines = ["### Memory Creation Phase (before execution)", ""];
+    if (analysis.bindings.length === 0) {
+      lines.push("The snippet declares nothing in its top-level scope.");
+    } else {
+      lines.push("| Variable | Declared as | Value now |", "| :------- | :---------- | :-------- |");
+      for (const binding of analysis.bindings) {
+        const value = binding.creation === "tdz" ? binding.creationText : codeSpan(binding.creationText);
+        lines.push(`| \`${binding.name}\` | ${binding.kind} | ${cell(value)} |`);
+      }
+    }
+    const notes = analysis.bindings.filter((binding) => binding.note);
+    if (notes.length > 0) lines.push("", ...notes.map((binding) => `- ${binding.note}`));
+
+    if (!run) return lines.join("\n");
+
+    const names = analysis.bindings.map((binding) => binding.name);
+    lines.push("", "### Execution Phase (line by line)", "");
+    const row = (cells) => `| ${cells.join(" | ")} |`;
+    lines.push(
+      row(["Line", "Statement", ...names.map((name) => `\`${name}\``), "Printed"]),
+      row(["---:", ":--------", ...names.map(() => ":--"), ":------"])
+    );
+    run.steps.forEach((step, index) => {
+      const statement = analysis.statements[step.statement];
+      const values = names.map((name) => {
+        const value = step.error ? "" : step.values[name] || "";
+        return cell(step.changed.includes(name) ? `**${value}**` : value);
+      });
+      const printed = step.error ? `❌ ${step.error}` : step.output.join("; ");
+      lines.push(row([statement ? statement.line : "?", cell(codeSpan(statement ? statement.text : "")), ...values, cell(printed)]));
+      if (step.error && index === run.steps.length - 1 && step.statement < analysis.statements.length - 1) {
+        lines.push("", `Execution stopped at line ${statement.line}; the statements after it never ran.`);
+      }
+    });
+    return lines.join("\n");
+  }
+
+  return {
+    RECORDER_NAME,
+    analyzeHoisting,
+    instrument,
+    createRecorder,
+    formatTables,
+  };
+});
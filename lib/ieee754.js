@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Shows how a Number is stored: the 64 bits of its IEEE-754
+ * double (sign, exponent and mantissa), the exact decimal value those bits
+ * hold, and the gap to the next double — what lessons 006 and 007 describe
+ * in prose, for `0.1 + 0.2`, `-0`, `Number.MAX_SAFE_INTEGER` or
+ * `Number.EPSILON`.
+ *
+ *   inspectNumber(0.1).stored; // "0.1000000000000000055511151231257827021181583404541015625"
+ *
+ * {@link compareNumbers} lines two of them up, bit by bit, and tells how far
+ * apart they are.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.ieee754`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.ieee754 = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const EXPONENT_BITS = 11;
+  const MANTISSA_BITS = 52;
+  const BIAS = 1023;
+  const SIGN_BIT = 1n << 63n;
+  const MANTISSA_MASK = (1n << 52n) - 1n;
+
+  const view = new DataView(new ArrayBuffer(8));
+
+  /**
+   * @typedef {Object} NumberBits
+   * @property {string} value The number as JavaScript prints it ("-0" for negative zero).
+   * @property {"normal"|"subnormal"|"zero"|"infinity"|"nan"} kind
+   * @property {string} bits All 64 bits, sign first.
+   * @property {string} sign 1 bit.
+   * @property {string} exponent 11 bits.
+   * @property {string} mantissa 52 bits.
+   * @property {number|null} power The power of two the significand is
+   *   scaled by: the exponent minus 1023, or -1022 for subnormals. Null for
+   *   zero, Infinity and NaN.
+   * @property {string} stored The exact decimal value of the bits.
+   * @property {string|null} next The next double up, towards +Infinity.
+   * @property {{ power: number, approximate: string }|null} gap How far the
+   *   next double up is: always a power of two.
+   */
+
+  /**
+   * @typedef {Object} NumberComparison
+   * @property {boolean} identical Whether all 64 bits are the same.
+   * @property {number[]} differing The positions of the bits that differ,
+   *   counted from the left (0 is the sign bit).
+   * @property {string|null} steps How many doubles apart the two are, or
+   *   null when one is NaN.
+   * @property {string|null} difference The exact value of the first minus
+   *   the second, or null when one is not finite.
+   */
+
+  /**
+   * @param {number} value
+   * @returns {bigint}
+   */
+  function toBits(value) {
+    view.setFloat64(0, value);
+    return view.getBigUint64(0);
+  }
+
+  /**
+   * @param {bigint} bits
+   * @returns {number}
+   */
+  function fromBits(bits) {
+    view.setBigUint64(0, bits);
+    return view.getFloat64(0);
+  }
+
+  /**
+   * Formats a number the way JavaScript prints it, keeping the sign of -0.
+   *
+   * @param {number} value
+   * @returns {string}
+   */
+  function describe(value) {
+    return Object.is(value, -0) ? "-0" : String(value);
+  }
+
+  /**
+   * The value of finite bits as `significand × 2^power`, exactly.
+   *
+   * @param {bigint} bits
+   * @returns {{ negative: boolean, significand: bigint, power: number }}
+   */
+  function exactParts(bits) {
+    const biased = Number((bits >> 52n) & 0x7ffn);
+    const fraction = bits & MANTISSA_MASK;
+    const negative = (bits & SIGN_BIT) !== 0n;
+    if (biased === 0) return { negative, significand: fraction, power: 1 - BIAS - MANTISSA_BITS };
+    return { negative, significand: fraction | (1n << 52n), power: biased - BIAS - MANTISSA_BITS };
+  }
+
+  /**
+   * Writes `±significand × 2^power` out in decimal, every digit of it.
+   *
+   * @param {boolean} negative
+   * @param {bigint} significand
+   * @param {number} power
+   * @returns {string}
+   */
+  function exactDecimal(negative, significand, power) {
+    if (significand === 0n) return negative ? "-0" : "0";
+    const sign = negative ? "-" : "";
+    if (power >= 0) return sign + (significand << BigInt(power)).toString();
+    // m × 2^-k is m × 5^k / 10^k.
+    const places = -power;
+    const digits = (significand * 5n ** BigInt(places)).toString().padStart(places + 1, "0");
+    const fraction = digits.slice(-places).replace(/0+$/, "");
+    return `${sign}${digits.slice(0, -places)}${fraction ? `.${fraction}` : ""}`;
+  }
+
+  /**
+   * Shows how a number is stored.
+   *
+   * @param {number} value
+   * @returns {NumberBits}
+   * @throws {TypeError} When the value is not a Number.
+   */
+  function inspectNumber(value) {
+    if (typeof value !== "number") throw new TypeError(`Expected a Number, got ${value === null ? "null" : `a ${typeof value}`}.`);
+    const bits = toBits(value);
+    const text = bits.toString(2).padStart(64, "0");
+    const biased = Number((bits >> 52n) & 0x7ffn);
+    const fraction = bits & MANTISSA_MASK;
+
+    let kind;
+    if (biased === 2 ** EXPONENT_BITS - 1) kind = fraction === 0n ? "infinity" : "nan";
+    else if (biased === 0) kind = fraction === 0n ? "zero" : "subnormal";
+    else kind = "normal";
+
+    const result = {
+      value: describe(value),
+      kind,
+      bits: text,
+      sign: text.slice(0, 1),
+      exponent: text.slice(1, 1 + EXPONENT_BITS),
+      mantissa: text.slice(1 + EXPONENT_BITS),
+      power: kind === "normal" ? biased - BIAS : kind === "subnormal" ? 1 - BIAS : null,
+      stored: describe(value),
+      next: null,
+      gap: null,
+    };
+    if (kind === "nan" || value === Infinity) return result;
+
+    if (kind !== "infinity") {
+      const parts = exactParts(bits);
+      result.stored = exactDecimal(parts.negative, parts.significand, parts.power);
+    }
+    let next;
+    if (value === -Infinity) next = -Number.MAX_VALUE;
+    else if (value === 0) next = Number.MIN_VALUE;
+    else next = fromBits(value > 0 ? bits + 1n : bits - 1n);
+    result.next = describe(next);
+    if (Number.isFinite(value) && Number.isFinite(next)) {
+      // Neighbouring doubles are always a power of two apart.
+      const gap = next - value;
+      const power = Math.round(Math.log2(gap));
+      result.gap = { power, approximate: String(gap) };
+    } else if (value === Number.MAX_VALUE) {
+      result.gap = { power: 1024 - MANTISSA_BITS - 1, approximate: String(2 ** (1024 - MANTISSA_BITS - 1)) };
+    }
+    return result;
+  }
+
+  /**
+   * Where a double falls among all doubles, in order: +0 and -0 are both 0,
+   * the next double up is one more.
+   *
+   * @param {bigint} bits
+   * @returns {bigint}
+   */
+  function ordinal(bits) {
+    return bits & SIGN_BIT ? -(bits & ~SIGN_BIT) : bits;
+  }
+
+  /**
+   * Lines up two inspected numbers.
+   *
+   * @param {NumberBits} a
+   * @param {NumberBits} b
+   * @returns {NumberComparison}
+   */
+  function compareNumbers(a, b) {
+    const differing = [];
+    for (let index = 0; index < 64; index++) if (a.bits[index] !== b.bits[index]) differing.push(index);
+    const bitsA = BigInt(`0b${a.bits}`);
+    const bitsB = BigInt(`0b${b.bits}`);
+    const comparison = { identical: differing.length === 0, differing, steps: null, difference: null };
+    if (a.kind === "nan" || b.kind === "nan") return comparison;
+
+    const apart = ordinal(bitsA) - ordinal(bitsB);
+    comparison.steps = (apart < 0n ? -apart : apart).toString();
+    if (a.kind === "infinity" || b.kind === "infinity") return comparison;
+
+    // Bring both to the smaller power of two, then subtract the significands.
+    const x = exactParts(bitsA);
+    const y = exactParts(bitsB);
+    const power = Math.min(x.power, y.power);
+    const scaled = (parts) => (parts.negative ? -1n : 1n) * (parts.significand << BigInt(parts.power - power));
+    const difference = scaled(x) - scaled(y);
+    comparison.difference = exactDecimal(difference < 0n, difference < 0n ? -difference : difference, power);
+    return comparison;
+  }
+
+  /**
+   * Describes the kind of value the bits encode, with the formula for it.
+   *
+   * @param {NumberBits} number
+   * @returns {string}
+   */
+  function describeKind(number) {
+    const sign = number.sign === "1" ? "−" : "+";
+    switch (number.kind) {
+      case "normal":
+        return `normal: ${sign}1.mantissa × 2^${number.power}`;
+      case "subnormal":
+        return `subnormal (exponent bits all 0): ${sign}0.mantissa × 2^${number.power}`;
+      case "zero":
+        return `${number.sign === "1" ? "negative" : "positive"} zero: exponent and mantissa bits all 0`;
+      case "infinity":
+        return `${number.sign === "1" ? "negative" : "positive"} Infinity: exponent bits all 1, mantissa 0`;
+      default:
+        return "NaN: exponent bits all 1, mantissa not 0";
+    }
+  }
+
+  /**
+   * Describes the exponent bits: their value, minus the bias.
+   *
+   * @param {NumberBits} number
+   * @returns {string}
+   */
+  function describeExponent(number) {
+    const biased = parseInt(number.exponent, 2);
+    if (number.kind === "normal") return `${biased} − ${BIAS} = ${number.power}`;
+    if (number.kind === "subnormal") return `0, read as 1 − ${BIAS} = ${number.power}`;
+    return String(biased);
+  }
+
+  /**
+   * Describes the next double up and how far it is.
+   *
+   * @param {NumberBits} number
+   * @returns {string}
+   */
+  function describeNext(number) {
+    if (number.next === null) return "none";
+    if (number.gap === null) return number.next;
+    return `${number.next}, 2^${number.gap.power} (≈ ${number.gap.approximate}) away`;
+  }
+
+  /**
+   * Describes a comparison, one sentence per line.
+   *
+   * @param {NumberComparison} comparison
+   * @returns {string[]}
+   */
+  function describeComparison(comparison) {
+    if (comparison.identical) return ["The bits are identical: the two are the same double."];
+    const lines = [`${comparison.differing.length} of 64 bits differ.`];
+    if (comparison.steps === "0") lines.push("+0 and -0 are different bits for the same value: equal to ===, but not to Object.is.");
+    else if (comparison.steps !== null) lines.push(`They are ${comparison.steps} ${comparison.steps === "1" ? "double" : "doubles"} apart.`);
+    if (comparison.difference !== null) lines.push(`First minus second, exactly: ${comparison.difference}`);
+    return lines;
+  }
+
+  /**
+   * Formats an inspected number as text.
+   *
+   * @param {NumberBits} number
+   * @param {string} [label] The expression it came from.
+   * @returns {string}
+   */
+  function formatNumber(number, label) {
+    return [
+      label && label !== number.value ? `${label} → ${number.value}` : number.value,
+      `  sign      ${number.sign}  (${number.sign === "1" ? "negative" : "positive"})`,
+      `  exponent  ${number.exponent}  (${describeExponent(number)})`,
+      `  mantissa  ${number.mantissa}`,
+      `  kind      ${describeKind(number)}`,
+      `  stored    ${number.stored}`,
+      `  next up   ${describeNext(number)}`,
+    ].join("\n");
+  }
+
+  /**
+   * Formats two inspected numbers side by side: their bits, one above the
+   * other with the differing ones marked, and how far apart they are.
+   *
+   * @param {NumberBits} a
+   * @param {NumberBits} b
+   * @param {string[]} [labels] The expressions they came from.
+   * @returns {string}
+   */
+  function formatComparison(a, b, labels = [a.value, b.value]) {
+    const comparison = compareNumbers(a, b);
+    const width = Math.max(...labels.map((label) => label.length));
+    const split = (text) => `${text.slice(0, 1)} ${text.slice(1, 1 + EXPONENT_BITS)} ${text.slice(1 + EXPONENT_BITS)}`;
+    const marks = split(a.bits.replace(/./g, (bit, index) => (comparison.differing.includes(index) ? "^" : " "))).trimEnd();
+    const lines = [
+      `${"".padEnd(width)}  s exponent${" ".repeat(EXPONENT_BITS - 7)}mantissa`,
+      `${labels[0].padEnd(width)}  ${split(a.bits)}`,
+      `${labels[1].padEnd(width)}  ${split(b.bits)}`,
+    ];
+    if (marks) lines.push(`${"".padEnd(width)}  ${marks}`);
+    lines.push("", ...describeComparison(comparison));
+    return lines.join("\n");
+  }
+
+  return {
+    inspectNumber,
+    compareNumbers,
+    describeKind,
+    describeExponent,
+    describeNext,
+    describeComparison,
+    formatNumber,
+    formatComparison,
+  };
+});
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Formats values the way Node's `console.log` prints them.
+ *
+ * The lessons' expected-output comments are written against Node's console
+ * (`[ 1, 2, 3 ]`, `{ name: 'Alice' }`, `10n`, `[Function: greet]`), so the
+ * in-browser runner uses this to print the same text.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.inspect`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.inspect = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const IDENTIFIER_KEY = /^[A-Za-z_$][\w$]*$/;
+
+  /**
+   * Quotes a string for display inside an object or array.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function quote(text) {
+    const escaped = text.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+    if (!text.includes("'")) return `'${escaped}'`;
+    if (!text.includes('"')) return `"${escaped}"`;
+    return `\`${escaped.replace(/`/g, "\\`")}\``;
+  }
+
+  /**
+   * Formats an object key.
+   *
+   * @param {string|symbol} key
+   * @returns {string}
+   */
+  function formatKey(key) {
+    if (typeof key === "symbol") return `[${key.toString()}]`;
+    return IDENTIFIER_KEY.test(key) ? key : quote(key);
+  }
+
+  /**
+   * Describes a function the way Node does: `[Function: name]` or `[class Name]`.
+   *
+   * @param {Function} fn
+   * @returns {string}
+   */
+  function formatFunction(fn) {
+    const source = Function.prototype.toString.call(fn);
+    if (/^class\b/.test(source)) return `[class ${fn.name || "(anonymous)"}]`;
+    return fn.name ? `[Function: ${fn.name}]` : "[Function (anonymous)]";
+  }
+
+  /**
+   * Joins formatted entries on one line, or one per line when they get long.
+   *
+   * @param {string} open
+   * @param {string[]} parts
+   * @param {string} close
+   * @param {number} indent
+   * @returns {string}
+   */
+  function wrap(open, parts, close, indent) {
+    if (parts.length === 0) return `${open}${close}`;
+    const oneLine = `${open} ${parts.join(", ")} ${close}`;
+    if (oneLine.length <= 72 && !oneLine.includes("\n")) return oneLine;
+    const pad = "  ".repeat(indent + 1);
+    return `${open}\n${parts.map((part) => pad + part).join(",\n")}\n${"  ".repeat(indent)}${close}`;
+  }
+
+  /**
+   * Formats any value as Node's `util.inspect` would, to a limited depth.
+   *
+   * @param {*} value
+   * @param {{ depth?: number }} [options]
+   * @returns {string}
+   */
+  function inspect(value, { depth = 2 } = {}) {
+    const seen = [];
+
+    const format = (current, level) => {
+      switch (typeof current) {
+        case "string":
+          return quote(current);
+        case "number":
+          return Object.is(current, -0) ? "-0" : String(current);
+        case "bigint":
+          return `${current}n`;
+        case "symbol":
+          return current.toString();
+        case "undefined":
+          return "undefined";
+        case "boolean":
+          return String(current);
+        case "function":
+          return formatFunction(current);
+        default:
+          break;
+      }
+      if (current === null) return "null";
+      if (seen.includes(current)) return "[Circular *1]";
+
+      const tag = Object.prototype.toString.call(current).slice(8, -1);
+      if (tag === "Error" || current instanceof Error) {
+        return current.stack || `${current.name}: ${current.message}`;
+      }
+      if (tag === "Date") return isNaN(current) ? "Invalid Date" : current.toISOString();
+      if (tag === "RegExp") return String(current);
+      if (tag === "Symbol" || tag === "Number" || tag === "String" || tag === "Boolean" || tag === "BigInt") {
+        return `[${tag}: ${format(current.valueOf(), level)}]`;
+      }
+
+      if (level > depth) {
+        if (Array.isArray(current)) return "[Array]";
+        return tag === "Object" ? "[Object]" : `[${tag}]`;
+      }
+
+      seen.push(current);
+      let result;
+      if (Array.isArray(current)) {
+        const parts = [];
+        let holes = 0;
+        const flushHoles = () => {
+          if (holes > 0) parts.push(`<${holes} empty item${holes > 1 ? "s" : ""}>`);
+          holes = 0;
+        };
+        for (let i = 0; i < current.length; i++) {
+          if (!(i in current)) {
+            holes++;
+            continue;
+          }
+          flushHoles();
+          parts.push(format(current[i], level + 1));
+        }
+        flushHoles();
+        result = wrap("[", parts, "]", level);
+      } else if (tag === "Map") {
+        const parts = [...current].map(([k, v]) => `${format(k, level + 1)} => ${format(v, level + 1)}`);
+        result = wrap(`Map(${current.size}) {`, parts, "}", level);
+      } else if (tag === "Set") {
+        const parts = [...current].map((item) => format(item, level + 1));
+        result = wrap(`Set(${current.size}) {`, parts, "}", level);
+      } else {
+        const keys = Reflect.ownKeys(current).filter((key) => Object.prototype.propertyIsEnumerable.call(current, key));
+        const parts = keys.map((key) => {
+          const descriptor = Object.getOwnPropertyDescriptor(current, key);
+          if (descriptor.get || descriptor.set) {
+            const kind = descriptor.get && descriptor.set ? "Getter/Setter" : descriptor.get ? "Getter" : "Setter";
+            return `${formatKey(key)}: [${kind}]`;
+          }
+          return `${formatKey(key)}: ${format(descriptor.value, level + 1)}`;
+        });
+        const proto = Object.getPrototypeOf(current);
+        let prefix = "";
+        if (proto === null) prefix = "[Object: null prototype] ";
+        else if (proto.constructor && proto.constructor.name && proto.constructor.name !== "Object") {
+          prefix = `${proto.constructor.name} `;
+        }
+        result = prefix + wrap("{", parts, "}", level);
+      }
+      seen.pop();
+      return result;
+    };
+
+    return format(value, 0);
+  }
+
+  /**
+   * Formats a list of console arguments: top-level strings print as-is,
+   * everything else is inspected, and the pieces are joined with spaces.
+   *
+   * @param {Array<*>} args
+   * @returns {string}
+   */
+  function formatArgs(args) {
+    return args.map((arg) => (typeof arg === "string" ? arg : inspect(arg))).join(" ");
+  }
+
+  /**
+   * @typedef {Object} ValueTree
+   * @property {string} summary One-line preview, as `inspect` prints it.
+   * @property {Array<{ key: string, value: ValueTree }>} [entries] Children
+   *   that can be expanded; absent for primitives, functions and errors.
+   * @property {boolean} [error] Whether the value is an Error.
+   */
+
+  /**
+   * Describes a value as a plain, structured-cloneable tree, so that a page
+   * can render it as an expandable view after receiving it with
+   * `postMessage`. Top-level strings are kept as-is, as `formatArgs` does.
+   *
+   * @param {*} value
+   * @param {{ depth?: number, top?: boolean }} [options] How many levels get entries.
+   * @returns {ValueTree}
+   */
+  function toTree(value, { depth = 4, top = true } = {}) {
+    const seen = [];
+
+    const build = (current, level, isTop) => {
+      if (isTop && typeof current === "string") return { summary: current };
+      if (current === null || (typeof current !== "object" && typeof current !== "function")) {
+        return { summary: inspect(current) };
+      }
+      if (typeof current === "function") return { summary: formatFunction(current) };
+      if (current instanceof Error) return { summary: inspect(current), error: true };
+      if (seen.includes(current)) return { summary: "[Circular]" };
+
+      const preview = inspect(current, { depth: 0 }).replace(/\s*\n\s*/g, " ");
+      const summary = preview.length > 120 ? `${preview.slice(0, 119)}…` : preview;
+      const tag = Object.prototype.toString.call(current).slice(8, -1);
+      if (level >= depth || ["Date", "RegExp", "Number", "String", "Boolean", "Symbol", "BigInt"].includes(tag)) {
+        return { summary };
+      }
+
+      seen.push(current);
+      let entries;
+      if (tag === "Map") {
+        entries = [...current].map(([k, v], index) => ({
+          key: `${index}: ${inspect(k, { depth: 0 })} =>`,
+          value: build(v, level + 1, false),
+        }));
+      } else if (tag === "Set") {
+        entries = [...current].map((item, index) => ({ key: String(index), value: build(item, level + 1, false) }));
+      } else {
+        const keys = Reflect.ownKeys(current).filter((key) => Object.prototype.propertyIsEnumerable.call(current, key));
+        entries = keys.map((key) => {
+          const descriptor = Object.getOwnPropertyDescriptor(current, key);
+          const value = descriptor.get || descriptor.set ? { summary: "[Getter/Setter]" } : build(descriptor.value, level + 1, false);
+          return { key: Array.isArray(current) && /^\d+$/.test(key) ? key : formatKey(key), value };
+        });
+      }
+      seen.pop();
+      return entries.length > 0 ? { summary, entries } : { summary };
+    };
+
+    return build(value, 0, top);
+  }
+
+  return {
+    inspect,
+    formatArgs,
+    toTree,
+  };
+});
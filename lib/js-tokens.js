@@ -0,0 +1,249 @@
+/**
+ * @fileoverview A small, dependency-free JavaScript tokenizer.
+ *
+ * It understands comments, strings, template literals (including nested
+ * `${...}` expressions), numbers (including BigInt and numeric separators),
+ * regular expression literals and punctuators — enough to highlight lesson
+ * code and to find the comment that trails a statement. Whitespace is not
+ * emitted; the text between two tokens can always be recovered with
+ * `source.slice(previous.end, next.start)`.
+ *
+ * Works both in Node (`require("../lib/js-tokens")`) and in the browser,
+ * where it is exposed as `LessonKit.jsTokens`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.jsTokens = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const KEYWORDS = new Set([
+    "async", "await", "break", "case", "catch", "class", "const", "continue",
+    "debugger", "default", "delete", "do", "else", "export", "extends", "false",
+    "finally", "for", "function", "if", "import", "in", "instanceof", "let",
+    "new", "null", "of", "return", "super", "switch", "this", "throw", "true",
+    "try", "typeof", "undefined", "var", "void", "while", "with", "yield",
+  ]);
+
+  // Keywords after which a `/` starts a regular expression, not a division.
+  const REGEX_AFTER_KEYWORDS = new Set([
+    "await", "case", "delete", "do", "else", "in", "instanceof", "new", "of",
+    "return", "throw", "typeof", "void", "yield",
+  ]);
+
+  const PUNCTUATORS = [
+    ">>>=", "...", "===", "!==", "**=", "<<=", ">>=", ">>>", "&&=", "||=", "??=",
+    "=>", "==", "!=", "<=", ">=", "&&", "||", "??", "?.", "++", "--", "+=", "-=",
+    "*=", "/=", "%=", "&=", "|=", "^=", "<<", ">>", "**",
+    "{", "}", "(", ")", "[", "]", ";", ",", "<", ">", "+", "-", "*", "/", "%",
+    "&", "|", "^", "!", "~", "?", ":", "=", ".", "@", "#",
+  ];
+
+  const NUMBER_PATTERN =
+    /(?:0[xX][\da-fA-F_]+|0[oO][0-7_]+|0[bB][01_]+)n?|(?:\d[\d_]*(?:\.[\d_]*)?|\.\d[\d_]*)(?:[eE][+-]?\d[\d_]*)?n?/y;
+  const IDENTIFIER_PATTERN = /#?[A-Za-z_$\u0080-\uffff][\w$\u0080-\uffff]*/y;
+
+  /**
+   * @typedef {Object} Token
+   * @property {string} type One of "comment", "string", "template", "number",
+   *   "regex", "keyword", "identifier", "punctuator" or "invalid".
+   * @property {string} value The exact source text of the token.
+   * @property {number} start Offset of the first character.
+   * @property {number} end Offset just past the last character.
+   * @property {number} line 1-based line of the first character.
+   * @property {number} column 0-based column of the first character.
+   */
+
+  /**
+   * Decides whether a `/` at this point starts a regex literal.
+   *
+   * @param {Token|null} previous The previous non-comment token.
+   * @returns {boolean}
+   */
+  function regexAllowedAfter(previous) {
+    if (!previous) return true;
+    switch (previous.type) {
+      case "number":
+      case "string":
+      case "template":
+      case "regex":
+      case "identifier":
+        return false;
+      case "keyword":
+        return REGEX_AFTER_KEYWORDS.has(previous.value);
+      case "punctuator":
+        return !(previous.value === ")" || previous.value === "]" || previous.value === "}" ||
+          previous.value === "++" || previous.value === "--");
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Splits JavaScript source into tokens.
+   *
+   * @param {string} source
+   * @returns {Token[]}
+   */
+  function tokenize(source) {
+    const tokens = [];
+    let pos = 0;
+    let line = 1;
+    let lineStart = 0;
+    let previous = null;
+
+    const advanceLines = (from, to) => {
+      for (let i = from; i < to; i++) {
+        if (source[i] === "\n") {
+          line++;
+          lineStart = i + 1;
+        }
+      }
+    };
+
+    // Returns the offset just past the closing quote (or the end of the line).
+    const scanString = (start) => {
+      const quote = source[start];
+      let i = start + 1;
+      while (i < source.length && source[i] !== quote && source[i] !== "\n") {
+        i += source[i] === "\\" ? 2 : 1;
+      }
+      return { end: Math.min(i + 1, source.length), terminated: source[i] === quote };
+    };
+
+    // Returns the offset just past the closing backtick.
+    const scanTemplate = (start) => {
+      let i = start + 1;
+      while (i < source.length) {
+        const char = source[i];
+        if (char === "`") return { end: i + 1, terminated: true };
+        if (char === "\\") {
+          i += 2;
+        } else if (char === "$" && source[i + 1] === "{") {
+          i = scanBraces(i + 2);
+        } else {
+          i++;
+        }
+      }
+      return { end: source.length, terminated: false };
+    };
+
+    // Skips a `${ ... }` substitution and returns the offset past its `}`.
+    const scanBraces = (start) => {
+      let depth = 0;
+      let i = start;
+      let last = null;
+      while (i < source.length) {
+        const token = readToken(i, last);
+        token.value = source.slice(i, token.end);
+        i = token.end;
+        if (token.type === "punctuator") {
+          if (token.value === "{") depth++;
+          if (token.value === "}") {
+            if (depth === 0) return i;
+            depth--;
+          }
+        }
+        if (token.type !== "comment" && token.type !== "whitespace") last = token;
+      }
+      return i;
+    };
+
+    const scanRegex = (start) => {
+      let i = start + 1;
+      let inClass = false;
+      while (i < source.length && source[i] !== "\n") {
+        const char = source[i];
+        if (char === "\\") {
+          i += 2;
+          continue;
+        }
+        if (char === "[") inClass = true;
+        else if (char === "]") inClass = false;
+        else if (char === "/" && !inClass) {
+          i++;
+          while (i < source.length && /[a-z]/i.test(source[i])) i++;
+          return { end: i, terminated: true };
+        }
+        i++;
+      }
+      return { end: i, terminated: false };
+    };
+
+    // Reads one token starting at `start` without touching line bookkeeping.
+    function readToken(start, last) {
+      const char = source[start];
+      const next = source[start + 1];
+
+      if (/\s/.test(char)) {
+        let i = start + 1;
+        while (i < source.length && /\s/.test(source[i])) i++;
+        return { type: "whitespace", end: i };
+      }
+      if (char === "/" && next === "/") {
+        const newline = source.indexOf("\n", start);
+        return { type: "comment", end: newline === -1 ? source.length : newline };
+      }
+      if (char === "/" && next === "*") {
+        const close = source.indexOf("*/", start + 2);
+        return { type: "comment", end: close === -1 ? source.length : close + 2, terminated: close !== -1 };
+      }
+      if (char === '"' || char === "'") return { type: "string", ...scanString(start) };
+      if (char === "`") return { type: "template", ...scanTemplate(start) };
+
+      NUMBER_PATTERN.lastIndex = start;
+      if (/[\d.]/.test(char) && (char !== "." || /\d/.test(next))) {
+        const match = NUMBER_PATTERN.exec(source);
+        if (match) return { type: "number", end: start + match[0].length };
+      }
+
+      IDENTIFIER_PATTERN.lastIndex = start;
+      const identifier = IDENTIFIER_PATTERN.exec(source);
+      if (identifier) {
+        const word = identifier[0];
+        return { type: KEYWORDS.has(word) ? "keyword" : "identifier", end: start + word.length };
+      }
+
+      if (char === "/" && regexAllowedAfter(last)) return { type: "regex", ...scanRegex(start) };
+
+      for (const punctuator of PUNCTUATORS) {
+        if (source.startsWith(punctuator, start)) {
+          // `a?.5:1` is a conditional, not optional chaining.
+          if (punctuator === "?." && /\d/.test(source[start + 2] || "")) continue;
+          return { type: "punctuator", end: start + punctuator.length };
+        }
+      }
+      return { type: "invalid", end: start + 1 };
+    }
+
+    while (pos < source.length) {
+      const raw = readToken(pos, previous);
+      if (raw.type !== "whitespace") {
+        const token = {
+          type: raw.type,
+          value: source.slice(pos, raw.end),
+          start: pos,
+          end: raw.end,
+          line,
+          column: pos - lineStart,
+        };
+        if (raw.terminated === false) token.unterminated = true;
+        tokens.push(token);
+        if (token.type !== "comment") previous = token;
+      }
+      advanceLines(pos, raw.end);
+      pos = raw.end;
+    }
+
+    return tokens;
+  }
+
+  return {
+    KEYWORDS,
+    tokenize,
+  };
+});
@@ -0,0 +1,679 @@
+/**
+ * @fileoverview Parses a lesson script into a structured model.
+ *
+ * Lessons mark their structure with comments rather than code: a banner of
+ * `=` rules around the lesson title, headings underlined (or boxed) with `-`
+ * rules in JSDoc or `//` comments, `console.log("\n--- Title ---")` markers
+ * that print a section heading, and "Solutions" banners before the answers to
+ * earlier questions. This module turns those conventions into:
+ *
+ *   {
+ *     id, title, summary, metadata,
+ *     sections: [{ id, title, kind: "lesson" | "exercise" | "solution",
+ *                  code, prose, expected, blocks, ... }]
+ *   }
+ *
+ * so that other tools (the site, the quiz, search) can work with sections
+ * instead of raw text.
+ *
+ * Lessons declare their metadata with JSDoc-style tags, either in their
+ * `@fileoverview` block or in a block of their own at the top:
+ *
+ *   @difficulty intermediate
+ *   @duration 20 min
+ *   @prerequisites 002, 003, 004   (ranges such as 006–013 work too)
+ *   @tags var, let, const, scope
+ *
+ * and a section lists the newer language features its code needs with a
+ * `@requires bigint, optional-chaining` line in its heading comment (see
+ * `lib/features.js`).
+ *
+ * Works both in Node (`require("../lib/lesson-model")`) and in the browser,
+ * where it is exposed as `LessonKit.lessonModel`. In the browser,
+ * `lib/js-tokens.js` must be loaded first.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.lessonModel = factory(root.LessonKit.jsTokens);
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+
+  const RULE = /^\s*([-=])\1{3,}\s*$/;
+  const MARKER_CALL = /^\s*console\.log\(\s*(["'`])\\n---\s*(.+?)\s*---\1\s*\)\s*;?\s*(?:\/\/.*)?$/;
+  const LEADING_SYMBOLS = /^(?:\d\ufe0f?\u20e3|[\p{Extended_Pictographic}\u2190-\u21ff\u2600-\u27bf\ufe0f\u200d])+\s*/u;
+  const NUMBERING = /^(\d+)[.)]\s+/;
+  const SOLUTION_TITLE = /\b(?:solutions?|answers?)\b/i;
+  const EXERCISE_TITLE =
+    /\b(?:Q\d+|exercises?|brain[- ]?benders?|quiz|practice|predict|questions|traps|round \d+)\b/i;
+  const BLOCK_EXPECTATION = /^\s*(?:✅\s*)?(?:Output|Answer|Result)(?:\s*\([^)]*\))?\s*:\s*(.*)$/i;
+  const METADATA_TAG = /^\s*@(difficulty|duration|prerequisites|tags)\b\s*(.*)$/;
+  const DURATION = /^(\d+)\s*(?:m|min|mins|minutes?)?$/i;
+  const LESSON_RANGE = /^(\d{1,3})\s*[-–]\s*(\d{1,3})$/;
+  const REQUIRES_TAG = /^\s*@requires\b\s*(.*)$/;
+
+  /**
+   * @typedef {Object} ExpectedOutput
+   * @property {number} line 1-based line of the claim.
+   * @property {string} text The claimed output.
+   * @property {"inline"|"block"} kind `inline` for a comment trailing a
+   *   console call, `block` for an "Output:" paragraph in the prose.
+   * @property {string} [code] For inline claims, the console call itself.
+   */
+
+  /**
+   * @typedef {Object} LessonBlock
+   * @property {"prose"|"code"} type
+   * @property {string} text Cleaned comment text, or verbatim source lines.
+   * @property {number} line 1-based line the block starts on.
+   */
+
+  /**
+   * @typedef {Object} LessonSection
+   * @property {string} id Slug, unique within the lesson.
+   * @property {string} title Display title without leading emoji or numbering.
+   * @property {string|null} number Leading number of the heading ("1", "2"), if any.
+   * @property {string|null} heading Title as written in the comment heading, if any.
+   * @property {string|null} marker Title printed by the `--- Title ---` marker, if any.
+   * @property {1|2} level 1 for `=` banners, 2 for everything else.
+   * @property {"lesson"|"exercise"|"solution"} kind
+   * @property {string|null} exerciseId "Q1", "Exercise 2", … when the title names one.
+   * @property {string|null} solutionId For exercises: id of the section with the answer.
+   * @property {string|null} solutionOf For solutions: id of the exercise they answer.
+   * @property {number} startLine
+   * @property {number} endLine
+   * @property {number|null} codeLine First line of code, if the section has any.
+   * @property {string} code Source from the first to the last line of code.
+   * @property {string[]} prose Cleaned text of each comment block.
+   * @property {LessonBlock[]} blocks Prose and code in source order.
+   * @property {ExpectedOutput[]} expected
+   * @property {string[]} requires Features declared with `@requires`.
+   */
+
+  /**
+   * @typedef {Object} LessonModel
+   * @property {string|null} id
+   * @property {string} title
+   * @property {string} summary Text of the `@fileoverview` tag, if any.
+   * @property {LessonMetadata|null} metadata Null when the lesson declares none.
+   * @property {LessonSection[]} sections
+   */
+
+  /**
+   * @typedef {Object} LessonMetadata
+   * @property {string|null} difficulty As written, lower-cased: "beginner",
+   *   "intermediate" or "advanced" in a valid lesson.
+   * @property {string|null} duration The `@duration` text, e.g. "20 min".
+   * @property {number|null} minutes Estimated time, or null when `duration`
+   *   is missing or not a number of minutes.
+   * @property {string[]} prerequisites Lesson ids, ranges expanded. Entries
+   *   that are not lesson numbers are kept as written.
+   * @property {string[]} tags Concept tags, lower-cased.
+   * @property {number} line 1-based line of the first tag.
+   */
+
+  /**
+   * Finds every `console.<method>(...)` call that is followed on the same line
+   * by a `//` comment, the convention lessons use for expected output.
+   *
+   * @param {string} source
+   * @param {import("./js-tokens").Token[]} [tokens] Tokens of `source`, if already computed.
+   * @returns {{ line: number, endLine: number, call: string, comment: string }[]}
+   */
+  function findConsoleComments(source, tokens = tokenize(source)) {
+    const found = [];
+
+    for (let i = 0; i + 3 < tokens.length; i++) {
+      const isConsoleCall =
+        tokens[i].value === "console" &&
+        tokens[i + 1].value === "." &&
+        tokens[i + 2].type === "identifier" &&
+        tokens[i + 3].value === "(";
+      if (!isConsoleCall) continue;
+
+      let depth = 0;
+      let close = i + 3;
+      for (; close < tokens.length; close++) {
+        const token = tokens[close];
+        if (token.type !== "punctuator") continue;
+        if (token.value === "(") depth++;
+        if (token.value === ")" && --depth === 0) break;
+      }
+      if (close >= tokens.length) continue;
+
+      let after = close + 1;
+      if (tokens[after] && tokens[after].value === ";") after++;
+      const comment = tokens[after];
+      if (
+        !comment ||
+        comment.type !== "comment" ||
+        !comment.value.startsWith("//") ||
+        comment.line !== tokens[close].line
+      ) {
+        continue;
+      }
+
+      found.push({
+        line: tokens[i].line,
+        endLine: comment.line,
+        call: source.slice(tokens[i].start, tokens[after - 1].end),
+        comment: comment.value.slice(2).trim(),
+      });
+    }
+
+    return found;
+  }
+
+  /**
+   * Splits a comment token into text lines with the comment syntax removed:
+   * `//`, `/*`, `*\/` and the leading ` * ` of JSDoc lines.
+   *
+   * @param {import("./js-tokens").Token} token
+   * @returns {{ text: string, line: number }[]}
+   */
+  function commentLines(token) {
+    if (token.value.startsWith("//")) {
+      return [{ text: token.value.slice(2).replace(/^ /, ""), line: token.line }];
+    }
+    const body = token.value.replace(/^\/\*\*?/, "").replace(/\*\/$/, "");
+    return body.split("\n").map((text, index) => ({
+      text: index === 0 ? text.trim() : text.replace(/\r$/, "").replace(/^\s*\* ?/, ""),
+      line: token.line + index,
+    }));
+  }
+
+  /**
+   * Removes leading emoji and arrows, e.g. "🔹 Intro" -> "Intro".
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function stripSymbols(text) {
+    return text.replace(LEADING_SYMBOLS, "");
+  }
+
+  /**
+   * Splits a heading into its number and display title:
+   * "🔹 1. Double NOT" and "1. 🔹 Double NOT" both give { number: "1", title: "Double NOT" }.
+   *
+   * @param {string} text
+   * @returns {{ number: string|null, title: string }}
+   */
+  function splitHeading(text) {
+    let title = stripSymbols(text.trim());
+    const numbered = NUMBERING.exec(title);
+    if (numbered) title = stripSymbols(title.slice(numbered[0].length));
+    return { number: numbered ? numbered[1] : null, title: title.trim() };
+  }
+
+  /**
+   * Turns a title into a URL fragment: "Q1: Hoisting + Shadowing" -> "q1-hoisting-shadowing".
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function slugify(text) {
+    const slug = text
+      .normalize("NFKD")
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60)
+      .replace(/-+$/, "");
+    return slug || "section";
+  }
+
+  /**
+   * Whether a comment line can be a heading title (the line above a rule).
+   *
+   * @param {string|undefined} text
+   * @returns {boolean}
+   */
+  function isTitleLine(text) {
+    if (text === undefined) return false;
+    const trimmed = text.trim();
+    return trimmed.length > 0 && trimmed.length <= 120 && !RULE.test(trimmed) && !/^[@|*]/.test(trimmed);
+  }
+
+  /**
+   * Splits the lines of one comment block at its headings.
+   *
+   * @param {{ text: string, line: number }[]} lines
+   * @returns {{ before: { text: string, line: number }[], headings: { text: string, level: 1|2, line: number, lines: { text: string, line: number }[] }[] }}
+   */
+  function splitAtHeadings(lines) {
+    const before = [];
+    const headings = [];
+    let target = before;
+
+    for (let i = 0; i < lines.length; i++) {
+      const rule = RULE.exec(lines[i].text);
+      if (rule) continue;
+      const next = lines[i + 1] && RULE.exec(lines[i + 1].text);
+      if (next && isTitleLine(lines[i].text)) {
+        const heading = { text: lines[i].text.trim(), level: next[1] === "=" ? 1 : 2, line: lines[i].line, lines: [] };
+        headings.push(heading);
+        target = heading.lines;
+        i++;
+        continue;
+      }
+      target.push(lines[i]);
+    }
+
+    return { before, headings };
+  }
+
+  /**
+   * Joins comment lines into a prose paragraph, trimming blank edges and the
+   * common indentation.
+   *
+   * @param {{ text: string }[]} lines
+   * @returns {string}
+   */
+  function joinProse(lines) {
+    const texts = lines.map((entry) => entry.text.replace(/\s+$/, ""));
+    while (texts.length > 0 && texts[0] === "") texts.shift();
+    while (texts.length > 0 && texts[texts.length - 1] === "") texts.pop();
+    const indents = texts.filter((text) => text !== "").map((text) => /^ */.exec(text)[0].length);
+    const common = indents.length > 0 ? Math.min(...indents) : 0;
+    return texts.map((text) => text.slice(common)).join("\n");
+  }
+
+  /**
+   * Finds "Output: ..." claims in prose lines. The claim is the rest of the
+   * line, or the indented lines that follow when the line ends at the colon.
+   *
+   * @param {{ text: string, line: number }[]} lines
+   * @returns {ExpectedOutput[]}
+   */
+  function findBlockExpectations(lines) {
+    const expected = [];
+    for (let i = 0; i < lines.length; i++) {
+      const match = BLOCK_EXPECTATION.exec(lines[i].text);
+      if (!match) continue;
+      if (match[1].trim() !== "") {
+        expected.push({ line: lines[i].line, text: match[1].trim(), kind: "block" });
+        continue;
+      }
+      const body = [];
+      for (let j = i + 1; j < lines.length && lines[j].text.trim() !== ""; j++) {
+        if (BLOCK_EXPECTATION.exec(lines[j].text) || /^\S.*:\s*$/.test(lines[j].text)) break;
+        body.push(lines[j].text.trim());
+      }
+      if (body.length > 0) expected.push({ line: lines[i].line, text: body.join("\n"), kind: "block" });
+    }
+    return expected;
+  }
+
+  /**
+   * Extracts the `@fileoverview` text from a JSDoc block, if it has one.
+   *
+   * @param {{ text: string }[]} lines
+   * @returns {string|null}
+   */
+  function readFileOverview(lines) {
+    const start = lines.findIndex((entry) => /^\s*@fileoverview\b/.test(entry.text));
+    if (start === -1) return null;
+    const parts = [lines[start].text.replace(/^\s*@fileoverview\s*/, "")];
+    for (let i = start + 1; i < lines.length && !/^\s*@\w/.test(lines[i].text); i++) {
+      parts.push(lines[i].text.trim());
+    }
+    return parts.join(" ").replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Splits a comma-separated tag value, dropping empty entries.
+   *
+   * @param {string} value
+   * @returns {string[]}
+   */
+  function splitList(value) {
+    return value
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Expands a `@prerequisites` value into lesson ids: "2, 006–008" ->
+   * ["002", "006", "007", "008"].
+   *
+   * @param {string} value
+   * @returns {string[]}
+   */
+  function parsePrerequisites(value) {
+    const ids = [];
+    for (const entry of splitList(value)) {
+      const range = LESSON_RANGE.exec(entry);
+      if (range && Number(range[1]) <= Number(range[2])) {
+        for (let id = Number(range[1]); id <= Number(range[2]); id++) ids.push(String(id).padStart(3, "0"));
+      } else {
+        ids.push(/^\d{1,3}$/.test(entry) ? entry.padStart(3, "0") : entry);
+      }
+    }
+    return ids;
+  }
+
+  /**
+   * Reads the metadata tags from a JSDoc block, if it has any.
+   *
+   * @param {{ text: string, line: number }[]} lines
+   * @returns {LessonMetadata|null}
+   */
+  function readMetadata(lines) {
+    let metadata = null;
+    for (const entry of lines) {
+      const match = METADATA_TAG.exec(entry.text);
+      if (!match) continue;
+      if (!metadata) {
+        metadata = { difficulty: null, duration: null, minutes: null, prerequisites: [], tags: [], line: entry.line };
+      }
+      const value = match[2].trim();
+      if (match[1] === "difficulty") {
+        metadata.difficulty = value.toLowerCase() || null;
+      } else if (match[1] === "duration") {
+        const minutes = DURATION.exec(value);
+        metadata.duration = value || null;
+        metadata.minutes = minutes ? Number(minutes[1]) : null;
+      } else if (match[1] === "prerequisites") {
+        metadata.prerequisites.push(...parsePrerequisites(value));
+      } else {
+        metadata.tags.push(...splitList(value).map((tag) => tag.toLowerCase()));
+      }
+    }
+    return metadata;
+  }
+
+  /**
+   * Turns a lesson file name into a title: "016_type-conversion.js" -> "Type conversion",
+   * "001_IntroToVariables.js" -> "Intro To Variables".
+   *
+   * @param {string} name
+   * @returns {string}
+   */
+  function humanize(name) {
+    const words = name
+      .replace(/\.js$/, "")
+      .replace(/^\d+_/, "")
+      .replace(/[-_]+/g, " ")
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+  }
+
+  /**
+   * Groups the source into comment blocks, code lines and blank lines, in order.
+   * Comments that trail code on the same line stay part of that code line.
+   *
+   * @param {string} source
+   * @param {import("./js-tokens").Token[]} tokens
+   * @returns {Array<{ type: "comment", lines: { text: string, line: number }[], line: number, endLine: number } | { type: "code", line: number, text: string } | { type: "blank", line: number }>}
+   */
+  function scanItems(source, tokens) {
+    const sourceLines = source.split("\n").map((line) => line.replace(/\r$/, ""));
+    const codeLines = new Set();
+    for (const token of tokens) {
+      if (token.type === "comment") continue;
+      const endLine = token.line + (token.value.match(/\n/g) || []).length;
+      for (let line = token.line; line <= endLine; line++) codeLines.add(line);
+    }
+
+    const commentsByLine = new Map();
+    for (const token of tokens) {
+      if (token.type !== "comment") continue;
+      const endLine = token.line + (token.value.match(/\n/g) || []).length;
+      if (codeLines.has(token.line) || codeLines.has(endLine)) continue;
+      commentsByLine.set(token.line, { token, endLine });
+    }
+
+    const items = [];
+    for (let line = 1; line <= sourceLines.length; line++) {
+      const comment = commentsByLine.get(line);
+      if (comment) {
+        const previous = items[items.length - 1];
+        const lines = commentLines(comment.token);
+        const isLineComment = comment.token.value.startsWith("//");
+        if (isLineComment && previous && previous.type === "comment" && previous.lineComments && previous.endLine === line - 1) {
+          previous.lines.push(...lines);
+          previous.endLine = line;
+        } else {
+          items.push({ type: "comment", lines, line, endLine: comment.endLine, lineComments: isLineComment });
+        }
+        line = comment.endLine;
+      } else if (codeLines.has(line)) {
+        items.push({ type: "code", line, text: sourceLines[line - 1] });
+      } else {
+        items.push({ type: "blank", line });
+      }
+    }
+    return { items, sourceLines };
+  }
+
+  /**
+   * Parses a lesson script into sections.
+   *
+   * A section starts at a comment heading or at a `--- Title ---` marker;
+   * a marker directly after a heading (with no code in between) belongs to
+   * that heading's section. Comments separated from the code above them by a
+   * blank line are attached to the next section when a marker follows them.
+   * The first `=` banner is the lesson title, and every section after a
+   * level-1 "Solutions" banner (until the next level-1 banner) is a solution.
+   *
+   * @param {string} source Lesson source code.
+   * @param {{ id?: string, fileName?: string }} [meta] Lesson id and file name, used for the fallback title.
+   * @returns {LessonModel}
+   */
+  function parseLesson(source, meta = {}) {
+    const tokens = tokenize(source);
+    const { items, sourceLines } = scanItems(source, tokens);
+
+    const model = { id: meta.id || null, title: "", summary: "", metadata: null, sections: [] };
+    let current = null;
+    let pending = [];
+    let blankSinceCode = false;
+    let inSolutions = false;
+
+    const openSection = (fields, line) => {
+      current = {
+        heading: null,
+        marker: null,
+        number: null,
+        level: 2,
+        startLine: line,
+        endLine: line,
+        entries: [],
+        hasCode: false,
+        ...fields,
+      };
+      model.sections.push(current);
+    };
+
+    const addProse = (lines) => {
+      if (lines.every((entry) => entry.text.trim() === "")) return;
+      if (!current) openSection({ intro: true }, lines[0].line);
+      current.entries.push({ type: "prose", lines });
+    };
+
+    const flushPending = () => {
+      for (const lines of pending) addProse(lines);
+      pending = [];
+    };
+
+    for (const item of items) {
+      if (item.type === "blank") {
+        blankSinceCode = true;
+        continue;
+      }
+
+      if (item.type === "comment") {
+        const overview = readFileOverview(item.lines);
+        const metadata = readMetadata(item.lines);
+        if (overview !== null || metadata !== null) {
+          if (overview && !model.summary) model.summary = overview;
+          if (metadata && !model.metadata) model.metadata = metadata;
+          continue;
+        }
+
+        const { before, headings } = splitAtHeadings(item.lines);
+        if (headings.length === 0) {
+          if (before.every((entry) => entry.text.trim() === "")) continue;
+          if (blankSinceCode && current && current.hasCode) pending.push(before);
+          else addProse(before);
+          continue;
+        }
+
+        flushPending();
+        addProse(before);
+        for (const heading of headings) {
+          const isTitle = !model.title && heading.level === 1 && model.sections.every((section) => !section.hasCode);
+          if (isTitle) {
+            model.title = splitHeading(heading.text).title;
+            if (!current) openSection({ intro: true }, heading.line);
+          } else {
+            openSection({ heading: heading.text, level: heading.level }, heading.line);
+          }
+          addProse(heading.lines);
+        }
+        continue;
+      }
+
+      const marker = MARKER_CALL.exec(item.text);
+      if (marker) {
+        const canMerge = current && !current.hasCode && !current.marker && (current.heading || current.intro) && pending.length === 0;
+        if (canMerge) {
+          current.marker = marker[2];
+        } else {
+          const leading = pending;
+          pending = [];
+          openSection({ marker: marker[2] }, leading.length > 0 ? leading[0][0].line : item.line);
+          for (const lines of leading) addProse(lines);
+        }
+      } else {
+        flushPending();
+        if (!current) openSection({ intro: true }, item.line);
+      }
+      current.entries.push({ type: "code", line: item.line, text: item.text });
+      current.hasCode = true;
+      blankSinceCode = false;
+    }
+    flushPending();
+
+    if (!model.title) model.title = meta.fileName ? humanize(meta.fileName) : "Untitled lesson";
+
+    const consoleComments = findConsoleComments(source, tokens);
+    const usedIds = new Set();
+
+    model.sections = model.sections.map((section, index) => {
+      const next = model.sections[index + 1];
+      const lastEntry = section.entries[section.entries.length - 1];
+      const lastLine = lastEntry ? (lastEntry.type === "code" ? lastEntry.line : lastEntry.lines[lastEntry.lines.length - 1].line) : section.startLine;
+      const endLine = next ? Math.max(lastLine, next.startLine - 1) : Math.max(lastLine, sourceLines.length);
+
+      const { number, title: headingTitle } = splitHeading(section.marker || section.heading || "");
+      const title = headingTitle || (section.intro ? "Introduction" : `Section ${index + 1}`);
+
+      const names = `${section.heading || ""} ${section.marker || ""}`;
+      if (section.level === 1) inSolutions = SOLUTION_TITLE.test(names);
+      const kind = inSolutions || SOLUTION_TITLE.test(names) ? "solution" : EXERCISE_TITLE.test(names) ? "exercise" : "lesson";
+
+      // Solutions usually repeat their question's title, so they get a suffix instead of a number.
+      const base = slugify(number ? `${number} ${title}` : title);
+      let slug = kind === "solution" && usedIds.has(base) ? `${base}-solution` : base;
+      for (let n = 2; usedIds.has(slug); n++) slug = `${base}-${n}`;
+      usedIds.add(slug);
+      const exercise = /\b(Q\d+)\b/.exec(names) || /\b(Exercise \d+)\b/i.exec(names);
+
+      const blocks = [];
+      const prose = [];
+      const expected = [];
+      const requires = [];
+      for (const entry of section.entries) {
+        if (entry.type === "prose") {
+          const lines = entry.lines.filter((line) => {
+            const tag = REQUIRES_TAG.exec(line.text);
+            if (tag) requires.push(...splitList(tag[1]).map((id) => id.toLowerCase()));
+            return !tag;
+          });
+          const text = joinProse(lines);
+          if (text) {
+            prose.push(text);
+            blocks.push({ type: "prose", text, line: entry.lines[0].line });
+          }
+          expected.push(...findBlockExpectations(entry.lines));
+        } else {
+          const previous = blocks[blocks.length - 1];
+          if (previous && previous.type === "code") {
+            previous.text = sourceLines.slice(previous.line - 1, entry.line).join("\n");
+          } else {
+            blocks.push({ type: "code", text: entry.text, line: entry.line });
+          }
+        }
+      }
+
+      const codeEntries = section.entries.filter((entry) => entry.type === "code");
+      const codeLine = codeEntries.length > 0 ? codeEntries[0].line : null;
+      const code = codeLine ? sourceLines.slice(codeLine - 1, codeEntries[codeEntries.length - 1].line).join("\n") : "";
+
+      for (const found of consoleComments) {
+        if (found.line >= section.startLine && found.line <= endLine) {
+          expected.push({ line: found.line, text: found.comment, kind: "inline", code: found.call });
+        }
+      }
+      expected.sort((a, b) => a.line - b.line);
+
+      return {
+        id: slug,
+        title,
+        number,
+        heading: section.heading,
+        marker: section.marker,
+        level: section.level,
+        kind,
+        exerciseId: exercise ? exercise[1].replace(/^exercise/i, "Exercise") : null,
+        solutionId: null,
+        solutionOf: null,
+        startLine: section.startLine,
+        endLine,
+        codeLine,
+        code,
+        prose,
+        blocks,
+        expected,
+        requires: [...new Set(requires)],
+      };
+    });
+
+    linkSolutions(model.sections);
+    return model;
+  }
+
+  /**
+   * Pairs each solution with the closest earlier exercise of the same id.
+   *
+   * @param {LessonSection[]} sections
+   */
+  function linkSolutions(sections) {
+    sections.forEach((section, index) => {
+      if (section.kind !== "solution" || !section.exerciseId) return;
+      for (let i = index - 1; i >= 0; i--) {
+        const candidate = sections[i];
+        if (candidate.kind === "exercise" && candidate.exerciseId === section.exerciseId && !candidate.solutionId) {
+          candidate.solutionId = section.id;
+          section.solutionOf = candidate.id;
+          return;
+        }
+      }
+    });
+  }
+
+  return {
+    parseLesson,
+    findConsoleComments,
+    slugify,
+  };
+});
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Line-by-line diff between predicted and actual console output.
+ *
+ * Lines are compared after collapsing runs of whitespace, so a prediction of
+ * `Q4.1 (inside block):  10 20` still matches `Q4.1 (inside block): 10 20`,
+ * and blank lines are ignored on both sides.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.outputDiff`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.outputDiff = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /**
+   * @typedef {Object} DiffLine
+   * @property {"same"|"missing"|"extra"} type `missing`: predicted but not
+   *   printed; `extra`: printed but not predicted.
+   * @property {string} text
+   */
+
+  /**
+   * Normalizes one line for comparison.
+   *
+   * @param {string} line
+   * @returns {string}
+   */
+  function normalizeLine(line) {
+    return line.trim().replace(/\s+/g, " ");
+  }
+
+  /**
+   * Splits text into the non-blank lines that take part in the diff.
+   *
+   * @param {string|string[]} text
+   * @returns {string[]}
+   */
+  function toLines(text) {
+    const lines = Array.isArray(text) ? text.flatMap((entry) => entry.split("\n")) : text.split("\n");
+    return lines.map((line) => line.replace(/\s+$/, "")).filter((line) => line.trim() !== "");
+  }
+
+  /**
+   * Diffs predicted output against actual output using the longest common
+   * subsequence of lines.
+   *
+   * @param {string|string[]} predicted Text, or one entry per console call.
+   * @param {string|string[]} actual Text, or one entry per console call.
+   * @returns {{ lines: DiffLine[], matched: number, total: number, exact: boolean }}
+   *   `total` is the number of actual lines; `exact` is true when nothing is missing or extra.
+   */
+  function diffLines(predicted, actual) {
+    const expected = toLines(predicted);
+    const printed = toLines(actual);
+    const a = expected.map(normalizeLine);
+    const b = printed.map(normalizeLine);
+
+    // lengths[i][j] = LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const lines = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        lines.push({ type: "same", text: printed[j] });
+        i++;
+        j++;
+      } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+        lines.push({ type: "missing", text: expected[i] });
+        i++;
+      } else {
+        lines.push({ type: "extra", text: printed[j] });
+        j++;
+      }
+    }
+
+    const matched = lines.filter((line) => line.type === "same").length;
+    return { lines, matched, total: b.length, exact: matched === a.length && matched === b.length };
+  }
+
+  return {
+    normalizeLine,
+    diffLines,
+  };
+});
@@ -0,0 +1,338 @@
+/**
+ * @fileoverview Turns the prose in lesson comments into HTML.
+ *
+ * Lesson comments are written as plain text with a little Markdown and JSDoc
+ * mixed in. This understands exactly what the lessons use:
+ *
+ * - paragraphs, hard-wrapped at ~80 columns;
+ * - `### Heading` and `--- Heading ---` lines;
+ * - `-`, `*`, `1.`, `a)` lists, nested by indentation, with items that
+ *   continue on indented lines or contain blocks of their own;
+ * - `| a | b |` tables with a `| :--- | --- |` separator row;
+ * - `@example <caption>Title</caption>` / `@example (Title)` followed by code
+ *   up to the next blank line, and indented code blocks;
+ * - inline `code`, **bold** and *italic*.
+ *
+ *   formatProse("Use `let`:\n\n  let a = 1;");
+ *   // '<p>Use <code>let</code>:</p>\n<pre class="code"><code>…</code></pre>'
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.proseFormat` (load `lib/js-tokens.js` and `lib/highlight.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./highlight"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.proseFormat = factory(root.LessonKit.highlight);
+  }
+})(typeof self !== "undefined" ? self : this, function (highlighter) {
+  "use strict";
+
+  const { escapeHtml, highlight } = highlighter;
+
+  const HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+  const DASH_HEADING = /^---\s*(.+?)\s*---$/;
+  const LIST_ITEM = /^([-*•]|\d+[.)]|[a-z]\))\s+(.*)$/;
+  const TABLE_SEPARATOR = /^\|?\s*:?-{2,}:?\s*(?:\|\s*:?-{2,}:?\s*)*\|?$/;
+  const EXAMPLE = /^@example\b\s*(?:<caption>(.*?)<\/caption>|\(([^)]*)\))?\s*(.*)$/;
+  // A line at least this long was wrapped by the author; a shorter one ends
+  // where the author meant it to.
+  const WRAP_WIDTH = 60;
+
+  /**
+   * @typedef {Object} ProseBlock
+   * @property {"paragraph"|"heading"|"list"|"table"|"code"} type
+   * @property {string[]} [lines] `paragraph`: its lines, trimmed.
+   * @property {number} [level] `heading`: 1 for `#`, 3 for `###` and `--- X ---`.
+   * @property {string} [text] `heading`: its text; `code`: the code, dedented.
+   * @property {boolean} [ordered] `list`
+   * @property {string} [start] `list`: marker of the first item without
+   *   punctuation, e.g. "1", "a" or "-".
+   * @property {ProseBlock[][]} [items] `list`: the blocks of each item.
+   * @property {string[]} [header] `table`: header cells.
+   * @property {Array<"left"|"center"|"right"|null>} [align] `table`
+   * @property {string[][]} [rows] `table`: body cells.
+   * @property {string|null} [caption] `code`: the `@example` caption, if any.
+   */
+
+  function indentOf(line) {
+    return line.length - line.trimStart().length;
+  }
+
+  function isBlank(line) {
+    return line.trim() === "";
+  }
+
+  /**
+   * Removes the common leading indentation of the non-blank lines.
+   *
+   * @param {string[]} lines
+   * @returns {string[]}
+   */
+  function dedent(lines) {
+    const indents = lines.filter((line) => !isBlank(line)).map(indentOf);
+    const common = indents.length ? Math.min(...indents) : 0;
+    return lines.map((line) => (isBlank(line) ? "" : line.slice(common)));
+  }
+
+  function trimBlankLines(lines) {
+    let start = 0;
+    let end = lines.length;
+    while (start < end && isBlank(lines[start])) start++;
+    while (end > start && isBlank(lines[end - 1])) end--;
+    return lines.slice(start, end);
+  }
+
+  function splitRow(line) {
+    return line.trim().replace(/^\|/, "").replace(/\|$/, "").split("|").map((cell) => cell.trim());
+  }
+
+  function cellAlignment(cell) {
+    const left = cell.startsWith(":");
+    const right = cell.endsWith(":");
+    if (left && right) return "center";
+    if (right) return "right";
+    if (left) return "left";
+    return null;
+  }
+
+  function startsTable(lines, index) {
+    return lines[index].trim().startsWith("|") && index + 1 < lines.length && TABLE_SEPARATOR.test(lines[index + 1].trim());
+  }
+
+  /**
+   * Whether a line at block level starts something other than a paragraph.
+   */
+  function startsBlock(lines, index) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    return (
+      indentOf(line) >= 2 ||
+      HEADING.test(trimmed) ||
+      DASH_HEADING.test(trimmed) ||
+      LIST_ITEM.test(trimmed) ||
+      EXAMPLE.test(trimmed) ||
+      startsTable(lines, index)
+    );
+  }
+
+  /**
+   * Collects the lines of an indented block starting at `index`: every line
+   * indented by at least `minIndent`, plus blank lines between them.
+   *
+   * @returns {{ lines: string[], next: number }}
+   */
+  function collectIndented(lines, index, minIndent) {
+    let end = index;
+    for (let i = index; i < lines.length; i++) {
+      if (isBlank(lines[i])) continue;
+      if (indentOf(lines[i]) < minIndent) break;
+      end = i + 1;
+    }
+    return { lines: lines.slice(index, end), next: end };
+  }
+
+  /**
+   * Parses a list whose items start at column 0 of `lines[index]`.
+   *
+   * @returns {{ block: ProseBlock, next: number }}
+   */
+  function parseList(lines, index) {
+    const first = LIST_ITEM.exec(lines[index].trim())[1];
+    const ordered = /^[\da-z]/.test(first);
+    const items = [];
+    let i = index;
+    while (i < lines.length) {
+      const match = indentOf(lines[i]) === 0 && LIST_ITEM.exec(lines[i]);
+      if (!match || /^[\da-z]/.test(match[1]) !== ordered) break;
+      const rest = collectIndented(lines, i + 1, 1);
+      items.push(parseBlocks([match[2], ...dedent(rest.lines)]));
+      i = rest.next;
+      // Items may be separated by blank lines.
+      let after = i;
+      while (after < lines.length && isBlank(lines[after])) after++;
+      if (after < lines.length && indentOf(lines[after]) === 0 && LIST_ITEM.test(lines[after])) i = after;
+      else break;
+    }
+    return { block: { type: "list", ordered, start: first.replace(/[.)]$/, ""), items }, next: i };
+  }
+
+  /**
+   * Parses dedented prose into blocks.
+   *
+   * @param {string[]} lines
+   * @returns {ProseBlock[]}
+   */
+  function parseBlocks(lines) {
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+      const line = lines[i];
+      const trimmed = line.trim();
+      if (trimmed === "") {
+        i++;
+        continue;
+      }
+
+      if (indentOf(line) >= 2) {
+        const indented = collectIndented(lines, i, 2);
+        const body = dedent(trimBlankLines(indented.lines));
+        if (LIST_ITEM.test(body[0])) blocks.push(...parseBlocks(body));
+        else blocks.push({ type: "code", caption: null, text: body.join("\n") });
+        i = indented.next;
+        continue;
+      }
+
+      const heading = HEADING.exec(trimmed);
+      const dashHeading = DASH_HEADING.exec(trimmed);
+      if (heading || dashHeading) {
+        blocks.push({ type: "heading", level: heading ? heading[1].length : 3, text: heading ? heading[2] : dashHeading[1] });
+        i++;
+        continue;
+      }
+
+      const example = EXAMPLE.exec(trimmed);
+      if (example) {
+        const code = example[3] ? [example[3]] : [];
+        for (i++; i < lines.length && !isBlank(lines[i]); i++) code.push(lines[i]);
+        blocks.push({ type: "code", caption: example[1] || example[2] || null, text: dedent(code).join("\n") });
+        continue;
+      }
+
+      if (startsTable(lines, i)) {
+        const header = splitRow(lines[i]);
+        const align = splitRow(lines[i + 1]).map(cellAlignment);
+        const rows = [];
+        for (i += 2; i < lines.length && lines[i].trim().startsWith("|"); i++) rows.push(splitRow(lines[i]));
+        blocks.push({ type: "table", header, align, rows });
+        continue;
+      }
+
+      if (LIST_ITEM.test(trimmed)) {
+        const list = parseList(lines, i);
+        blocks.push(list.block);
+        i = list.next;
+        continue;
+      }
+
+      const paragraph = [trimmed];
+      for (i++; i < lines.length && !isBlank(lines[i]) && !startsBlock(lines, i); i++) paragraph.push(lines[i].trim());
+      blocks.push({ type: "paragraph", lines: paragraph });
+    }
+    return blocks;
+  }
+
+  /**
+   * Parses prose text into blocks.
+   *
+   * @param {string} text
+   * @returns {ProseBlock[]}
+   */
+  function parseProse(text) {
+    return parseBlocks(dedent(text.replace(/\s+$/, "").split("\n")));
+  }
+
+  /**
+   * Formats one line of prose: escapes it and renders `code`, **bold** and
+   * *italic*. Nothing inside a code span is formatted.
+   *
+   * @param {string} text
+   * @returns {string} HTML.
+   */
+  function formatInline(text) {
+    // Code spans are set aside first, so `**` inside them stays literal while
+    // **bold `code`** still works.
+    const spans = [];
+    const withoutCode = text.replace(/`([^`]+)`/g, (match, code) => {
+      spans.push(`<code>${escapeHtml(code)}</code>`);
+      return `\u0000${spans.length - 1}\u0000`;
+    });
+    return escapeHtml(withoutCode)
+      .replace(/\*\*(?=\S)(.+?)\*\*/g, "<strong>$1</strong>")
+      .replace(/(^|[^\w*])\*(?=[^\s*])([^*]+?)\*(?![\w*])/g, "$1<em>$2</em>")
+      .replace(/\u0000(\d+)\u0000/g, (match, index) => spans[Number(index)]);
+  }
+
+  function renderParagraphLines(lines) {
+    return lines
+      .map((line, index) => {
+        if (index === 0) return formatInline(line);
+        return (lines[index - 1].length >= WRAP_WIDTH ? " " : "<br>\n") + formatInline(line);
+      })
+      .join("");
+  }
+
+  function renderCode(block) {
+    const code = `<pre class="code"><code>${highlight(block.text)}</code></pre>`;
+    if (!block.caption) return code;
+    return `<figure class="example"><figcaption>${formatInline(block.caption)}</figcaption>${code}</figure>`;
+  }
+
+  function renderTable(block) {
+    const cell = (tag, text, index) => {
+      const align = block.align[index];
+      return `<${tag}${align ? ` style="text-align: ${align}"` : ""}>${formatInline(text)}</${tag}>`;
+    };
+    const header = block.header.map((text, index) => cell("th", text, index)).join("");
+    const rows = block.rows.map((row) => `<tr>${row.map((text, index) => cell("td", text, index)).join("")}</tr>`);
+    return `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${rows.join("\n")}\n</tbody>\n</table>`;
+  }
+
+  function renderList(block) {
+    const items = block.items.map((blocks) => {
+      // A one-paragraph item stays inline, without a <p>.
+      const content = blocks.length === 1 && blocks[0].type === "paragraph" ? renderParagraphLines(blocks[0].lines) : renderBlocks(blocks);
+      return `<li>${content}</li>`;
+    });
+    if (!block.ordered) return `<ul>\n${items.join("\n")}\n</ul>`;
+    const attributes = /^[a-z]$/.test(block.start)
+      ? ` type="a"${block.start === "a" ? "" : ` start="${block.start.charCodeAt(0) - 96}"`}`
+      : block.start === "1" ? "" : ` start="${Number(block.start)}"`;
+    return `<ol${attributes}>\n${items.join("\n")}\n</ol>`;
+  }
+
+  /**
+   * Renders parsed blocks as HTML. Headings start at `<h4>`, below the `<h2>`
+   * and `<h3>` of lesson sections.
+   *
+   * @param {ProseBlock[]} blocks
+   * @returns {string}
+   */
+  function renderBlocks(blocks) {
+    return blocks
+      .map((block) => {
+        switch (block.type) {
+          case "heading": {
+            const level = Math.min(block.level + 1, 6);
+            return `<h${level}>${formatInline(block.text)}</h${level}>`;
+          }
+          case "list":
+            return renderList(block);
+          case "table":
+            return renderTable(block);
+          case "code":
+            return renderCode(block);
+          default:
+            return `<p>${renderParagraphLines(block.lines)}</p>`;
+        }
+      })
+      .join("\n");
+  }
+
+  /**
+   * Formats prose text as HTML.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function formatProse(text) {
+    return renderBlocks(parseProse(text));
+  }
+
+  return {
+    parseProse,
+    formatInline,
+    formatProse,
+  };
+});
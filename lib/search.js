@@ -0,0 +1,298 @@
+/**
+ * @fileoverview Ranked search over lesson sections.
+ *
+ * Every section of every lesson (see `lib/lesson-model.js`) is a document
+ * with three fields: its title, its prose and its code. A query matches a
+ * section when each of its terms appears in at least one field; matches in
+ * the title count most, then prose, then code, and rare terms count more
+ * than common ones.
+ *
+ * Words match their simple variants ("hoist" finds "hoisted" and
+ * "hoisting"), symbols match as written ("-0" does not find "-0.5"), and a
+ * few concepts are known under several names, so "negative zero" also finds
+ * `-0` and "optional chaining" finds `?.`. "Quoted text" matches as a phrase.
+ *
+ *   const index = createSearchIndex(lessons);
+ *   search(index, "negative zero", { limit: 5 });
+ *   // [{ lessonId: "006", sectionId: "…", score: 12.3, snippet: {…}, … }, …]
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.search`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.search = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /**
+   * Names the lessons use for the same idea. A query containing one of them
+   * matches any of them.
+   */
+  const CONCEPTS = [
+    ["negative zero", "-0"],
+    ["temporal dead zone", "tdz"],
+    ["not a number", "nan"],
+    ["iife", "immediately invoked"],
+    ["nullish coalescing", "??"],
+    ["optional chaining", "?."],
+    ["spread", "rest", "..."],
+    ["loose equality", "abstract equality", "=="],
+    ["strict equality", "==="],
+    ["type coercion", "coercion", "implicit conversion"],
+    ["ieee 754", "ieee-754", "floating point", "floating-point", "double precision"],
+    ["max_safe_integer", "safe integer"],
+    ["falsy", "falsey"],
+    ["hoisting", "memory creation phase"],
+  ];
+
+  const STOP_WORDS = new Set([
+    "a", "an", "and", "are", "as", "do", "does", "explain", "for", "how", "i", "is", "it", "the", "to",
+    "we", "what", "when", "where", "which", "who", "why", "with",
+  ]);
+
+  const FIELD_WEIGHTS = { title: 8, prose: 3, code: 1 };
+  const OPERATOR_CHARS = "=!<>?&|.+\\-*/%^~:";
+  const SNIPPET_RADIUS = 60;
+
+  /**
+   * @typedef {Object} SearchDocument
+   * @property {Object} lesson Lesson model.
+   * @property {Object} section Section model.
+   * @property {{ title: string, prose: string, code: string }} text Original field text.
+   * @property {{ title: string, prose: string, code: string }} lower Lowercased field text.
+   */
+
+  /**
+   * @typedef {Object} SearchIndex
+   * @property {SearchDocument[]} documents
+   */
+
+  /**
+   * @typedef {Object} SearchResult
+   * @property {string} lessonId
+   * @property {string} lessonTitle
+   * @property {string} lessonPath Lesson file, relative to the repository root.
+   * @property {string} sectionId Use as `lesson.html#<lessonId>/<sectionId>`.
+   * @property {string} sectionTitle
+   * @property {string} kind Section kind: "lesson", "exercise" or "solution".
+   * @property {number} line 1-based line where the section starts.
+   * @property {number} score Higher is better.
+   * @property {"title"|"prose"|"code"} field Field the snippet comes from.
+   * @property {{ text: string, ranges: Array<[number, number]> }} snippet
+   *   The line around the first match; `ranges` are the matches within it.
+   */
+
+  function escapeRegExp(text) {
+    return text.replace(/[\\^$.*+?()[\]{}|/-]/g, "\\$&");
+  }
+
+  function isWordChar(char) {
+    return /[\w$]/.test(char);
+  }
+
+  /**
+   * Builds the pattern for one search term. Words of five letters or more
+   * (after dropping a plural or -ed/-ing ending) also match longer forms of
+   * the same word; shorter words, like `var` or `let`, match only themselves.
+   *
+   * @param {string} term Lowercased term.
+   * @returns {RegExp}
+   */
+  function termPattern(term) {
+    if (/^[a-z]+$/.test(term)) {
+      const stem = term.replace(/(?:ing|ed|s)$/, "");
+      if (stem.length >= 5) return new RegExp(`\\b${stem}\\w{0,4}\\b`, "g");
+      return new RegExp(`\\b${term}\\b`, "g");
+    }
+    const operator = `[${OPERATOR_CHARS}]`;
+    const before = isWordChar(term[0]) ? "(?<![\\w$])" : `(?<!${operator})`;
+    const after = isWordChar(term[term.length - 1]) ? "(?![\\w$]|\\.\\d)" : `(?!${operator})`;
+    return new RegExp(before + escapeRegExp(term).replace(/\s+/g, "\\s+") + after, "g");
+  }
+
+  /**
+   * Splits a query into units. Each unit is a list of alternatives, any of
+   * which satisfies it: a quoted phrase, a known concept with all its names,
+   * or a single term.
+   *
+   * @param {string} query
+   * @returns {string[][]}
+   */
+  function parseQuery(query) {
+    const units = [];
+    let rest = query.toLowerCase().replace(/"([^"]+)"/g, (match, phrase) => {
+      units.push([phrase.trim()]);
+      return " ";
+    });
+
+    const aliases = CONCEPTS.flatMap((names) => names.map((name) => ({ name, names }))).sort(
+      (a, b) => b.name.length - a.name.length
+    );
+    for (const { name, names } of aliases) {
+      const pattern = termPattern(name);
+      if (!pattern.test(rest)) continue;
+      rest = rest.replace(pattern, " ");
+      if (!units.some((unit) => unit === names)) units.push(names);
+    }
+
+    const terms = rest.split(/\s+/).map((term) => term.replace(/^[,;!?'"]+|[,;:!?'"]+$/g, "")).filter(Boolean);
+    const meaningful = terms.filter((term) => !STOP_WORDS.has(term));
+    const kept = meaningful.length > 0 || units.length > 0 ? meaningful : terms;
+    for (const term of kept) units.push([term]);
+    return units;
+  }
+
+  /**
+   * Indexes the sections of the given lessons.
+   *
+   * @param {Object[]} lessons Lesson models, e.g. `LessonKit.lessons`.
+   * @returns {SearchIndex}
+   */
+  function createSearchIndex(lessons) {
+    const documents = [];
+    for (const lesson of lessons) {
+      for (const section of lesson.sections) {
+        const text = {
+          title: section.title,
+          prose: section.prose.join("\n\n"),
+          code: section.code,
+        };
+        const lower = { title: text.title.toLowerCase(), prose: text.prose.toLowerCase(), code: text.code.toLowerCase() };
+        documents.push({ lesson, section, text, lower });
+      }
+    }
+    return { documents };
+  }
+
+  function countMatches(pattern, text) {
+    pattern.lastIndex = 0;
+    let count = 0;
+    while (pattern.exec(text)) count++;
+    return count;
+  }
+
+  /**
+   * Scores one unit in one document: the best of its alternatives.
+   *
+   * @returns {{ score: number, field: string|null }}
+   */
+  function scoreUnit(patterns, document) {
+    let best = { score: 0, field: null };
+    for (const pattern of patterns) {
+      let score = 0;
+      let field = null;
+      for (const name of Object.keys(FIELD_WEIGHTS)) {
+        const count = countMatches(pattern, document.lower[name]);
+        if (count === 0) continue;
+        score += FIELD_WEIGHTS[name] * (1 + Math.log(count));
+        if (!field) field = name;
+      }
+      if (score > best.score) best = { score, field };
+    }
+    return best;
+  }
+
+  /**
+   * Cuts the line around the first match out of a field and marks every match
+   * inside it.
+   *
+   * @param {string} text
+   * @param {RegExp[]} patterns
+   * @returns {{ text: string, ranges: Array<[number, number]> }}
+   */
+  function makeSnippet(text, patterns) {
+    const lower = text.toLowerCase();
+    let first = -1;
+    for (const pattern of patterns) {
+      pattern.lastIndex = 0;
+      const match = pattern.exec(lower);
+      if (match && (first === -1 || match.index < first)) first = match.index;
+    }
+    if (first === -1) first = 0;
+
+    const lineStart = lower.lastIndexOf("\n", first) + 1;
+    const lineEnd = lower.indexOf("\n", first) === -1 ? lower.length : lower.indexOf("\n", first);
+    const start = Math.max(lineStart, first - SNIPPET_RADIUS);
+    const end = Math.min(lineEnd, first + SNIPPET_RADIUS * 2);
+    const prefix = start > lineStart ? "…" : "";
+    const suffix = end < lineEnd ? "…" : "";
+    const raw = text.slice(start, end);
+    const leading = raw.length - raw.trimStart().length;
+    const snippet = prefix + raw.trim() + suffix;
+
+    const ranges = [];
+    const shift = prefix.length - start - leading;
+    for (const pattern of patterns) {
+      pattern.lastIndex = start;
+      for (let match = pattern.exec(lower); match && match.index < end; match = pattern.exec(lower)) {
+        if (match.index + match[0].length <= end && match.index >= start + leading) {
+          ranges.push([match.index + shift, match.index + match[0].length + shift]);
+        }
+        if (match[0].length === 0) pattern.lastIndex++;
+      }
+    }
+    ranges.sort((a, b) => a[0] - b[0]);
+    return { text: snippet, ranges: ranges.filter((range, index) => index === 0 || range[0] >= ranges[index - 1][1]) };
+  }
+
+  /**
+   * Searches the index.
+   *
+   * @param {SearchIndex} index
+   * @param {string} query
+   * @param {{ limit?: number }} [options] Maximum number of results (default 20).
+   * @returns {SearchResult[]}
+   */
+  function search(index, query, { limit = 20 } = {}) {
+    const units = parseQuery(query).map((alternatives) => alternatives.map(termPattern));
+    if (units.length === 0) return [];
+
+    const matches = [];
+    const documentFrequency = units.map(() => 0);
+    for (const document of index.documents) {
+      const scores = units.map((patterns) => scoreUnit(patterns, document));
+      scores.forEach((unitScore, unit) => {
+        if (unitScore.score > 0) documentFrequency[unit]++;
+      });
+      if (scores.every((unitScore) => unitScore.score > 0)) matches.push({ document, scores });
+    }
+
+    const total = index.documents.length;
+    const phrase = units.length > 1 ? termPattern(query.toLowerCase().replace(/"/g, "").trim()) : null;
+    const results = matches.map(({ document, scores }) => {
+      let score = scores.reduce((sum, unitScore, unit) => sum + unitScore.score * Math.log(1 + total / documentFrequency[unit]), 0);
+      if (phrase && (countMatches(phrase, document.lower.title) || countMatches(phrase, document.lower.prose))) score *= 1.5;
+
+      // The snippet comes from the field where the rarest unit matched.
+      const rarest = scores.reduce((best, unitScore, unit) => (documentFrequency[unit] < documentFrequency[best] ? unit : best), 0);
+      const field = scores[rarest].field;
+      return {
+        lessonId: document.lesson.id,
+        lessonTitle: document.lesson.title,
+        lessonPath: document.lesson.path,
+        sectionId: document.section.id,
+        sectionTitle: document.section.title,
+        kind: document.section.kind,
+        line: document.section.startLine,
+        score: Math.round(score * 100) / 100,
+        field,
+        snippet: makeSnippet(document.text[field], units.flat()),
+      };
+    });
+
+    results.sort((a, b) => b.score - a.score);
+    return results.slice(0, limit);
+  }
+
+  return {
+    CONCEPTS,
+    parseQuery,
+    createSearchIndex,
+    search,
+  };
+});
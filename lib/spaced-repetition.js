@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Review scheduling for flashcards, using the SM-2 algorithm
+ * (the one behind SuperMemo 2 and, loosely, Anki).
+ *
+ * After each review the learner grades their answer. A card that was
+ * remembered comes back after 1 day, then 6 days, then after a growing
+ * interval that is multiplied by the card's ease factor; a card that was
+ * forgotten starts over and comes back in 10 minutes. Easy answers raise the
+ * ease factor and stretch the interval (a first Easy goes straight to 4
+ * days), hard ones lower the ease factor (never below 1.3) and only stretch
+ * the interval by 20%.
+ *
+ *   let state = newCardState();
+ *   state = reviewCard(state, "good", Date.now()); // due tomorrow
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.spacedRepetition`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.spacedRepetition = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const RELEARN_DELAY = 10 * 60 * 1000;
+  const MIN_EASE = 1.3;
+  const EASY_BONUS = 1.3;
+  const EASY_FIRST_INTERVAL = 4;
+  const HARD_FACTOR = 1.2;
+
+  /** SM-2 quality (0–5) for each grade the learner can give. */
+  const GRADES = { again: 1, hard: 3, good: 4, easy: 5 };
+
+  /**
+   * @typedef {Object} CardState
+   * @property {number} repetitions Reviews in a row that were remembered.
+   * @property {number} interval Days until the next review, 0 while relearning.
+   * @property {number} ease Ease factor, starting at 2.5.
+   * @property {number|null} due When the card is next due (ms since the epoch);
+   *   null for a card that was never reviewed.
+   * @property {number} lapses How often the card was forgotten.
+   * @property {number} reviews How often the card was reviewed.
+   */
+
+  /**
+   * @returns {CardState} The state of a card that was never reviewed.
+   */
+  function newCardState() {
+    return { repetitions: 0, interval: 0, ease: 2.5, due: null, lapses: 0, reviews: 0 };
+  }
+
+  /**
+   * Applies one review.
+   *
+   * @param {CardState} state
+   * @param {"again"|"hard"|"good"|"easy"} grade
+   * @param {number} now Time of the review, in ms since the epoch.
+   * @returns {CardState} The new state; `state` is not modified.
+   * @throws {RangeError} On an unknown grade.
+   */
+  function reviewCard(state, grade, now) {
+    if (!Object.prototype.hasOwnProperty.call(GRADES, grade)) throw new RangeError(`Unknown grade: ${grade}`);
+    const quality = GRADES[grade];
+    const ease = Math.max(MIN_EASE, state.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    const reviews = state.reviews + 1;
+
+    if (quality < 3) {
+      return { repetitions: 0, interval: 0, ease, due: now + RELEARN_DELAY, lapses: state.lapses + 1, reviews };
+    }
+
+    const repetitions = state.repetitions + 1;
+    let interval;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else if (grade === "hard") interval = Math.max(state.interval + 1, Math.round(state.interval * HARD_FACTOR));
+    else interval = Math.round(state.interval * ease);
+    if (grade === "easy") interval = repetitions === 1 ? EASY_FIRST_INTERVAL : Math.round(interval * EASY_BONUS);
+
+    return { repetitions, interval, ease, due: now + interval * DAY, lapses: state.lapses, reviews };
+  }
+
+  /**
+   * Whether a card should be shown now. Cards that were never reviewed are
+   * always due.
+   *
+   * @param {CardState|undefined} state
+   * @param {number} now
+   * @returns {boolean}
+   */
+  function isDue(state, now) {
+    return !state || state.due === null || state.due <= now;
+  }
+
+  /**
+   * Describes how long until a card is due again, e.g. "10 min" or "6 days".
+   *
+   * @param {CardState} state
+   * @param {number} now
+   * @returns {string}
+   */
+  function describeDelay(state, now) {
+    const delay = Math.max(0, state.due - now);
+    if (delay < 60 * 60 * 1000) return `${Math.max(1, Math.round(delay / 60000))} min`;
+    if (delay < DAY) return `${Math.round(delay / 3600000)} h`;
+    const days = Math.round(delay / DAY);
+    return days === 1 ? "1 day" : `${days} days`;
+  }
+
+  return {
+    GRADES,
+    newCardState,
+    reviewCard,
+    isDue,
+    describeDelay,
+  };
+});
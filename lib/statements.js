@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Finds the structure of a snippet in its tokens (see
+ * `lib/js-tokens.js`): where statements end, brackets close and function
+ * bodies start, and which names a declaration declares.
+ *
+ * This is not a parser. It follows the shapes the lessons use, including the
+ * common cases of automatic semicolon insertion, which is all the hoisting
+ * visualizer and the TDZ stepper need to find declarations and put probes
+ * between statements.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.statements`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.statements = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const OPENERS = { "(": ")", "[": "]", "{": "}" };
+  const CLOSERS = new Set([")", "]", "}"]);
+  const CONTROL_KEYWORDS = new Set(["if", "for", "while", "with", "switch", "catch"]);
+  const VALUE_KEYWORDS = new Set(["this", "super", "true", "false", "null", "undefined"]);
+  // Tokens that continue an expression on the next line, so no semicolon is inserted before them.
+  const CONTINUING_KEYWORDS = new Set(["in", "instanceof", "of"]);
+  const TEXT_LIMIT = 60;
+
+  /**
+   * Shortens code to its first line, for a table cell or a step.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function shorten(text) {
+    const lines = text.trim().split("\n");
+    let shown = lines[0].trim();
+    if (lines.length > 1 && /\{$/.test(shown) && /^\}/.test(lines[lines.length - 1].trim())) shown += " … }";
+    else if (lines.length > 1) shown += " …";
+    return shown.length > TEXT_LIMIT ? `${shown.slice(0, TEXT_LIMIT - 1)}…` : shown;
+  }
+
+  /**
+   * Finds the index of the bracket that closes the one at `index`.
+   *
+   * @param {import("./js-tokens").Token[]} tokens
+   * @param {number} index
+   * @returns {number} The last index when it is never closed.
+   */
+  function matchBracket(tokens, index) {
+    let depth = 0;
+    for (let i = index; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type !== "punctuator") continue;
+      if (OPENERS[token.value]) depth++;
+      else if (CLOSERS.has(token.value) && --depth === 0) return i;
+    }
+    return tokens.length - 1;
+  }
+
+  /**
+   * Whether the token at `index` can end an expression, which makes a line
+   * break after it a possible end of the statement. `++` and `--` only do
+   * when they follow their operand on the same line.
+   *
+   * @param {import("./js-tokens").Token[]} tokens
+   * @param {number} index
+   * @returns {boolean}
+   */
+  function endsOperand(tokens, index) {
+    const token = tokens[index];
+    if (token.value === "++" || token.value === "--") {
+      const previous = tokens[index - 1];
+      return Boolean(previous) && previous.line === token.line && endsOperand(tokens, index - 1);
+    }
+    if (token.type === "punctuator") return CLOSERS.has(token.value);
+    if (token.type === "keyword") return VALUE_KEYWORDS.has(token.value);
+    return true;
+  }
+
+  /**
+   * Whether a line break after the token at `index` ends the statement,
+   * following the common cases of automatic semicolon insertion: the next
+   * line starts with something that cannot continue the expression.
+   */
+  function insertsSemicolon(tokens, index) {
+    const next = tokens[index + 1];
+    if (next.line === tokens[index].line || !endsOperand(tokens, index)) return false;
+    if (next.type === "punctuator") return ["{", "!", "~", "++", "--"].includes(next.value);
+    if (next.type === "template") return false;
+    return !(next.type === "keyword" && CONTINUING_KEYWORDS.has(next.value));
+  }
+
+  /**
+   * Finds the last token of the statement that starts at `index`.
+   *
+   * @param {import("./js-tokens").Token[]} tokens
+   * @param {number} index
+   * @returns {number}
+   */
+  function statementEnd(tokens, index) {
+    const token = tokens[index];
+    const next = (i) => (i + 1 < tokens.length ? i + 1 : i);
+    const afterParens = (i) => (tokens[i] && tokens[i].value === "(" ? matchBracket(tokens, i) : i - 1);
+
+    if (token.value === "{") return matchBracket(tokens, index);
+    if (token.value === ";") return index;
+    if (token.type === "keyword") {
+      if (token.value === "function" || token.value === "class") {
+        let i = index;
+        while (i < tokens.length && tokens[i].value !== "{") i = tokens[i].value === "(" ? matchBracket(tokens, i) + 1 : i + 1;
+        return matchBracket(tokens, i);
+      }
+      if (token.value === "if") {
+        let end = statementEnd(tokens, next(afterParens(index + 1)));
+        if (tokens[end + 1] && tokens[end + 1].value === "else") end = statementEnd(tokens, next(end + 1));
+        return end;
+      }
+      if (["for", "while", "with", "switch"].includes(token.value)) {
+        const close = afterParens(tokens[index + 1] && tokens[index + 1].value === "await" ? index + 2 : index + 1);
+        return token.value === "switch" ? matchBracket(tokens, close + 1) : statementEnd(tokens, next(close));
+      }
+      if (token.value === "do") {
+        const body = statementEnd(tokens, index + 1);
+        const close = afterParens(body + 2);
+        return tokens[close + 1] && tokens[close + 1].value === ";" ? close + 1 : close;
+      }
+      if (token.value === "try") {
+        let end = matchBracket(tokens, index + 1);
+        while (tokens[end + 1] && (tokens[end + 1].value === "catch" || tokens[end + 1].value === "finally")) {
+          let i = end + 2;
+          if (tokens[i] && tokens[i].value === "(") i = matchBracket(tokens, i) + 1;
+          end = matchBracket(tokens, i);
+        }
+        return end;
+      }
+    }
+    if (token.value === "async" && tokens[index + 1] && tokens[index + 1].value === "function" && tokens[index + 1].line === token.line) {
+      return statementEnd(tokens, index + 1);
+    }
+    if (token.type === "identifier" && tokens[index + 1] && tokens[index + 1].value === ":") {
+      return statementEnd(tokens, next(index + 1));
+    }
+
+    for (let i = index; i < tokens.length; i++) {
+      const current = tokens[i];
+      if (current.type === "punctuator" && OPENERS[current.value]) i = matchBracket(tokens, i);
+      else if (current.value === ";") return i;
+      if (tokens[i + 1] && insertsSemicolon(tokens, i)) return i;
+    }
+    return tokens.length - 1;
+  }
+
+  /**
+   * Reads the names a binding pattern declares: `a`, `{ a, b: c, ...rest }`
+   * or `[x, [y] = [], z = 1]`.
+   *
+   * @param {import("./js-tokens").Token[]} tokens
+   * @param {number} index First token of the pattern.
+   * @returns {{ names: import("./js-tokens").Token[], end: number }}
+   */
+  function bindingNames(tokens, index) {
+    const token = tokens[index];
+    if (!token) return { names: [], end: index };
+    if (token.type === "identifier") return { names: [token], end: index };
+    if (token.value !== "{" && token.value !== "[") return { names: [], end: index };
+
+    const close = matchBracket(tokens, index);
+    const names = [];
+    for (let i = index + 1; i < close; i++) {
+      const current = tokens[i];
+      if (current.value === "=") {
+        // A default value: skip its expression.
+        let j = i + 1;
+        while (j < close && tokens[j].value !== "," && !CLOSERS.has(tokens[j].value)) {
+          j = OPENERS[tokens[j].value] ? matchBracket(tokens, j) + 1 : j + 1;
+        }
+        i = j - 1;
+      } else if (current.type === "identifier" && [",", "}", "]", "="].includes(tokens[i + 1].value)) {
+        names.push(current);
+      }
+    }
+    return { names, end: close };
+  }
+
+  /**
+   * Describes what a declarator is initialized with, if it is a function or class.
+   *
+   * @returns {string|null}
+   */
+  function describeInitializer(tokens, index) {
+    let i = index;
+    if (tokens[i] && tokens[i].value === "async") i++;
+    const token = tokens[i];
+    if (!token) return null;
+    if (token.value === "function") return "function expression";
+    if (token.value === "class") return "class expression";
+    if (token.type === "identifier" && tokens[i + 1] && tokens[i + 1].value === "=>") return "arrow function";
+    if (token.value === "(") {
+      const close = matchBracket(tokens, i);
+      if (tokens[close + 1] && tokens[close + 1].value === "=>") return "arrow function";
+    }
+    return null;
+  }
+
+  /**
+   * Reads a `var`, `let` or `const` declaration list.
+   *
+   * @param {import("./js-tokens").Token[]} tokens
+   * @param {number} index The declaration keyword.
+   * @param {number} last Last token the list may extend to.
+   * @returns {{ declarators: Array<{ name: import("./js-tokens").Token, initializer: string|null }>, end: number }}
+   */
+  function readDeclarators(tokens, index, last) {
+    const declarators = [];
+    let i = index + 1;
+    while (i <= last) {
+      const { names, end } = bindingNames(tokens, i);
+      if (names.length === 0) break;
+      i = end + 1;
+      let initializer = null;
+      if (tokens[i] && tokens[i].value === "=") {
+        initializer = describeInitializer(tokens, i + 1);
+        i++;
+        while (i <= last && tokens[i].value !== "," && tokens[i].value !== ";" && !CLOSERS.has(tokens[i].value)) {
+          if (tokens[i].type === "keyword" && (tokens[i].value === "in" || tokens[i].value === "of") && tokens[index - 1] && tokens[index - 1].value === "(") break;
+          i = OPENERS[tokens[i].value] ? matchBracket(tokens, i) + 1 : i + 1;
+        }
+      }
+      for (const name of names) declarators.push({ name, initializer: names.length === 1 ? initializer : null });
+      if (!tokens[i] || tokens[i].value !== ",") break;
+      i++;
+    }
+    return { declarators, end: i - 1 };
+  }
+
+  /**
+   * Finds the index of the body `{` of the function whose `function`
+   * keyword or `=>` is at `index`, or -1 for an arrow with an expression body.
+   */
+  function functionBody(tokens, index) {
+    if (tokens[index].value === "=>") return tokens[index + 1] && tokens[index + 1].value === "{" ? index + 1 : -1;
+    let i = index + 1;
+    while (i < tokens.length && tokens[i].value !== "(") i++;
+    i = matchBracket(tokens, i) + 1;
+    return tokens[i] && tokens[i].value === "{" ? i : -1;
+  }
+
+  /**
+   * Whether the `{` at `index` is the body of a method (`name() {`).
+   */
+  function isMethodBody(tokens, index) {
+    if (index === 0 || tokens[index - 1].value !== ")") return false;
+    let depth = 0;
+    let open = index - 1;
+    for (; open >= 0; open--) {
+      if (tokens[open].value === ")") depth++;
+      else if (tokens[open].value === "(" && --depth === 0) break;
+    }
+    const before = tokens[open - 1];
+    return Boolean(before) && !(before.type === "keyword" && CONTROL_KEYWORDS.has(before.value)) && before.value !== "function";
+  }
+
+  return {
+    OPENERS,
+    CLOSERS,
+    shorten,
+    matchBracket,
+    statementEnd,
+    bindingNames,
+    describeInitializer,
+    readDeclarators,
+    functionBody,
+    isMethodBody,
+  };
+});
@@ -0,0 +1,842 @@
+/**
+ * @fileoverview Steps through a snippet one statement at a time, showing
+ * every scope frame and whether each binding in it is still uninitialized
+ * (in its Temporal Dead Zone) — the TDZ questions of lessons 003 and 015.
+ *
+ * {@link analyzeScopes} reads the snippet's tokens (see `lib/statements.js`)
+ * to find its scopes: the global scope, every function, the separate scope
+ * the parameters of a function get when they have default values (015, Q9),
+ * and every block, loop and `catch` clause that declares something. It also
+ * finds the statements each scope runs, and the default value of every
+ * parameter, which runs like a statement of its own. Where its functions and
+ * loops are is kept too, for the closure visualizer (`lib/closures.js`).
+ *
+ * {@link instrument} puts a probe before each of them that reads every
+ * binding in scope, so the states are the engine's own: a read that throws a
+ * ReferenceError is a binding in its TDZ. When a statement throws,
+ * {@link locateAccess} finds the read in it that hit an uninitialized binding.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.tdzStepper` (load `lib/js-tokens.js`, `lib/inspect.js` and
+ * `lib/statements.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./js-tokens"), require("./inspect"), require("./statements"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.tdzStepper = factory(root.LessonKit.jsTokens, root.LessonKit.inspect, root.LessonKit.statements);
+  }
+})(typeof self !== "undefined" ? self : this, function (jsTokens, inspectModule, statementsModule) {
+  "use strict";
+
+  const { tokenize } = jsTokens;
+  const { inspect, formatArgs } = inspectModule;
+  const { OPENERS, CLOSERS, shorten, matchBracket, statementEnd, bindingNames, readDeclarators, isMethodBody } =
+    statementsModule;
+
+  // The global the instrumented snippet reports to.
+  const RECORDER_NAME = "__tdzStepper";
+  const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug"];
+  // Enough for the lessons' snippets; a loop that runs longer is cut short.
+  const MAX_STEPS = 500;
+  const PARAMETER_NOTE =
+    "A scope of its own, because the parameters have default values: each default runs in it, before the function body's variables exist.";
+
+  /**
+   * @typedef {Object} ScopeBinding
+   * @property {string} name
+   * @property {string} kind "var", "let", "const", "class", "function",
+   *   "parameter" or "catch parameter".
+   * @property {number} line Line of its declaration.
+   * @property {number[]} offsets Offset of every declaration of the name in
+   *   the scope, in order: a `var` can be declared again.
+   */
+
+  /**
+   * @typedef {Object} Scope
+   * @property {number} id Its index in the analysis' scopes.
+   * @property {"global"|"function"|"parameters"|"block"|"catch"} kind
+   * @property {string} label How it is shown, e.g. "test_q9 (parameters)" or "try block".
+   * @property {number} line Line it starts on.
+   * @property {number|null} parent The enclosing scope.
+   * @property {ScopeBinding[]} bindings In order of declaration.
+   * @property {string|null} note Why the scope exists, when that is not obvious.
+   */
+
+  /**
+   * @typedef {Object} Read
+   * @property {string} name
+   * @property {number} line
+   * @property {number} column 1-based.
+   * @property {number} start Offset in the snippet.
+   * @property {number} end
+   */
+
+  /**
+   * @typedef {Object} Statement
+   * @property {number} id Its index in the analysis' statements.
+   * @property {"statement"|"parameter"} kind A parameter is the default
+   *   value of one; `start` and `end` then cover just that value.
+   * @property {number} scope The scope it runs in.
+   * @property {boolean} wrap Whether it is the body of an `if`, a loop or
+   *   an `else` without braces, which the probe needs added.
+   * @property {number} line
+   * @property {number} column 1-based.
+   * @property {number} endLine
+   * @property {number} start Offset of its first character in the snippet.
+   * @property {number} end Offset just past its last character.
+   * @property {string} text Its first line, shortened for display.
+   * @property {Read[]} reads The names it reads itself, leaving out those
+   *   in nested statements and functions, which have their own steps.
+   */
+
+  /**
+   * @typedef {Object} FunctionSite
+   * @property {number} scope The scope of its body.
+   * @property {"declaration"|"expression"|"arrow"|"method"} kind
+   * @property {string} name Its name, or the one it gets from where it is written.
+   * @property {number} line
+   * @property {number} start Offset of its first character, including `async`.
+   * @property {number} end Offset just past its last character.
+   */
+
+  /**
+   * @typedef {Object} Loop
+   * @property {"for"|"while"|"do"} keyword
+   * @property {number} scope The scope its head declares `let` and `const` in,
+   *   or the one around it.
+   * @property {number|null} bodyScope The scope of its body block, when that
+   *   declares something.
+   * @property {Array<{ name: string, kind: string }>} declarations What its head declares.
+   * @property {number} line
+   * @property {number} endLine
+   * @property {number} start Offset of its first character, including labels.
+   * @property {number} end Offset just past its last character.
+   * @property {boolean} wrap Like a statement's `wrap`.
+   * @property {string} text Its first line, shortened for display.
+   * @property {{ start: number, end: number, wrap: boolean }} body Where code
+   *   can be added to the body: inside its braces, or around the single
+   *   statement it is, which then needs braces added.
+   */
+
+  /**
+   * @typedef {Object} ScopeAnalysis
+   * @property {string} source
+   * @property {Scope[]} scopes The global scope first.
+   * @property {Statement[]} statements In source order.
+   * @property {FunctionSite[]} functions In source order.
+   * @property {Loop[]} loops In source order.
+   * @property {Array<{ at: number, param: string|null }>} catches Where each
+   *   `catch` body starts, and the name it gives the error.
+   */
+
+  /**
+   * Finds the scopes of a snippet, their bindings, and the statements they run.
+   *
+   * @param {string} source
+   * @returns {ScopeAnalysis}
+   */
+  function analyzeScopes(source) {
+    const tokens = tokenize(source).filter((token) => token.type !== "comment");
+    const scopes = [];
+    const statements = [];
+    const catches = [];
+    const functions = [];
+    const loops = [];
+    // The statement each token belongs to, or -1 when it is part of no
+    // statement's own code (a function, until its statements are found).
+    const owner = tokens.map(() => -1);
+    // Tokens that name a binding where it is declared, which are not reads.
+    const declared = new Set();
+
+    const addScope = (kind, label, parent, line) => {
+      scopes.push({ id: scopes.length, kind, label, line, parent, bindings: [], note: null });
+      return scopes.length - 1;
+    };
+    const varScope = (id) => {
+      let scope = scopes[id];
+      while (scope.kind !== "function" && scope.kind !== "global") scope = scopes[scope.parent];
+      return scope.id;
+    };
+    const declare = (id, token, kind) => {
+      declared.add(token);
+      const existing = scopes[id].bindings.find((binding) => binding.name === token.value);
+      if (!existing) {
+        scopes[id].bindings.push({ name: token.value, kind, line: token.line, offsets: [token.start] });
+        return;
+      }
+      existing.offsets.push(token.start);
+      if (kind === "function") existing.kind = kind;
+    };
+    const record = (first, last, scope, { kind = "statement", wrap = false, textStart = first } = {}) => {
+      const id = statements.length;
+      statements.push({
+        id,
+        kind,
+        scope,
+        wrap,
+        line: tokens[first].line,
+        column: tokens[first].column + 1,
+        endLine: tokens[last].line,
+        start: tokens[first].start,
+        end: tokens[last].end,
+        text: shorten(source.slice(tokens[textStart].start, tokens[last].end)),
+        reads: [],
+      });
+      for (let i = first; i <= last; i++) owner[i] = id;
+    };
+
+    // The name a function expression or arrow gets from where it is written:
+    // `const name = function () {}`, `name: () => {}` or a method `name() {}`.
+    const inferName = (index, fallback) => {
+      const before = tokens[index - 1];
+      const name = tokens[index - 2];
+      if (before && (before.value === "=" || before.value === ":") && name && name.type === "identifier") return name.value;
+      return fallback;
+    };
+
+    // The last token of an arrow function's expression body.
+    const expressionEnd = (index, limit) => {
+      let i = index;
+      while (i <= limit) {
+        const token = tokens[i];
+        if (token.type === "punctuator" && OPENERS[token.value]) {
+          i = matchBracket(tokens, i) + 1;
+          continue;
+        }
+        if (token.type === "punctuator" && (token.value === "," || token.value === ";" || CLOSERS.has(token.value))) break;
+        i++;
+      }
+      return Math.max(i - 1, index);
+    };
+
+    // A function starting at `start`: its parameters from `open` (a `(` or a
+    // lone name) to `close`, and its body at `body`. Returns its last token.
+    const walkFunction = (label, open, close, body, scope, limit, kind = "arrow", start = open) => {
+      const block = tokens[body] && tokens[body].value === "{";
+      const end = block ? matchBracket(tokens, body) : expressionEnd(body, limit);
+      for (let i = open; i <= end; i++) owner[i] = -1;
+
+      const line = tokens[open].line;
+      const hasDefaults = tokens.slice(open, close + 1).some((token) => token.value === "=");
+      let parameterScope;
+      let bodyScope;
+      if (hasDefaults) {
+        parameterScope = addScope("parameters", `${label} (parameters)`, scope, line);
+        scopes[parameterScope].note = PARAMETER_NOTE;
+        bodyScope = addScope("function", label, parameterScope, line);
+      } else {
+        parameterScope = bodyScope = addScope("function", label, scope, line);
+      }
+      functions.push({ scope: bodyScope, kind, name: label, line: tokens[start].line, start: tokens[start].start, end: tokens[end].end });
+
+      if (open === close) {
+        declare(parameterScope, tokens[open], "parameter");
+      } else {
+        let i = open + 1;
+        while (i < close) {
+          if (tokens[i].value === "...") i++;
+          const first = i;
+          const { names, end: patternEnd } = bindingNames(tokens, i);
+          for (const name of names) declare(parameterScope, name, "parameter");
+          i = patternEnd + 1;
+          if (tokens[i] && tokens[i].value === "=") {
+            let last = i + 1;
+            while (last < close && tokens[last].value !== ",") last = OPENERS[tokens[last].value] ? matchBracket(tokens, last) + 1 : last + 1;
+            record(i + 1, last - 1, parameterScope, { kind: "parameter", textStart: first });
+            scanExpression(i + 1, last - 1, parameterScope);
+            i = last;
+          }
+          // A destructured parameter's own defaults run with the parameter.
+          if (names.length > 0 && first !== patternEnd) scanExpression(first, patternEnd, parameterScope);
+          i++;
+        }
+      }
+
+      if (block) walkList(body + 1, end - 1, bodyScope);
+      else scanExpression(body, end, bodyScope);
+      return end;
+    };
+
+    // A `function` keyword, as a declaration or an expression.
+    const walkFunctionKeyword = (index, scope, limit, kind = "expression") => {
+      const start = tokens[index - 1] && tokens[index - 1].value === "async" ? index - 1 : index;
+      let i = index + 1;
+      if (tokens[i] && tokens[i].value === "*") i++;
+      let label = inferName(start, "anonymous function");
+      if (tokens[i] && tokens[i].type === "identifier") {
+        declared.add(tokens[i]);
+        label = tokens[i].value;
+        i++;
+      }
+      if (!tokens[i] || tokens[i].value !== "(") return index;
+      const close = matchBracket(tokens, i);
+      return walkFunction(label, i, close, close + 1, scope, limit, kind, start);
+    };
+
+    // Where an arrow starting at `index` really starts: at `async`, if it has one.
+    const asyncStart = (index) => (tokens[index - 1] && tokens[index - 1].value === "async" ? index - 1 : index);
+
+    // An expression: finds the functions, arrows and methods written in it.
+    const scanExpression = (from, to, scope) => {
+      for (let i = from; i <= to; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        if (token.type === "keyword" && token.value === "function") {
+          i = walkFunctionKeyword(i, scope, to);
+        } else if (token.type === "identifier" && next && next.value === "=>") {
+          const start = asyncStart(i);
+          i = walkFunction(inferName(start, "arrow function"), i, i, i + 2, scope, to, "arrow", start);
+        } else if (token.type === "keyword" && token.value === "class" && next && next.type === "identifier") {
+          declared.add(next);
+        } else if (token.type === "punctuator" && token.value === "(") {
+          const close = matchBracket(tokens, i);
+          const after = tokens[close + 1];
+          if (after && after.value === "=>") {
+            const start = asyncStart(i);
+            i = walkFunction(inferName(start, "arrow function"), i, close, close + 2, scope, to, "arrow", start);
+          } else if (after && after.value === "{" && isMethodBody(tokens, close + 1)) {
+            const name = tokens[i - 1];
+            if (name.type === "identifier") declared.add(name);
+            i = walkFunction(name.type === "identifier" ? name.value : "method", i, close, close + 1, scope, to, "method");
+          }
+        }
+      }
+    };
+
+    // The body of an `if`, a loop, `try` or `catch`: a block, or a single statement.
+    const walkBody = (index, scope, label) => {
+      if (!tokens[index]) return index - 1;
+      if (tokens[index].value === "{") {
+        const close = matchBracket(tokens, index);
+        walkList(index + 1, close - 1, addScope("block", `${label} block`, scope, tokens[index].line));
+        return close;
+      }
+      const end = Math.max(statementEnd(tokens, index), index);
+      walkStatement(index, end, scope, true);
+      return end;
+    };
+
+    const walkStatement = (first, last, scope, wrap = false) => {
+      let i = first;
+      while (tokens[i].type === "identifier" && tokens[i + 1] && tokens[i + 1].value === ":" && i + 1 < last) {
+        declared.add(tokens[i]);
+        i += 2;
+      }
+      const token = tokens[i];
+      const keyword = token.type === "keyword" ? token.value : null;
+      const statement = (options = {}) => record(first, last, scope, { wrap, ...options });
+      // Walks a loop's body at `body`, and keeps where the loop is.
+      const loop = (loopScope, declarations, body, label) => {
+        const bodyScope = tokens[body] && tokens[body].value === "{" ? scopes.length : null;
+        const end = walkBody(body, loopScope, label);
+        loops.push({
+          keyword,
+          scope: loopScope,
+          bodyScope,
+          declarations,
+          line: tokens[first].line,
+          endLine: tokens[last].line,
+          start: tokens[first].start,
+          end: tokens[last].end,
+          wrap,
+          text: shorten(source.slice(tokens[first].start, tokens[last].end)),
+          body:
+            bodyScope === null
+              ? { start: tokens[body].start, end: tokens[end].end, wrap: true }
+              : { start: tokens[body].end, end: tokens[end].start, wrap: false },
+        });
+        return end;
+      };
+
+      if (token.value === ";") return;
+      if (token.value === "{") {
+        walkList(i + 1, matchBracket(tokens, i) - 1, addScope("block", "Block", scope, token.line));
+        return;
+      }
+      if (token.type === "string" && (i === last || (i + 1 === last && tokens[last].value === ";"))) return;
+      if (keyword === "function" || (keyword === "async" && tokens[i + 1] && tokens[i + 1].value === "function")) {
+        const index = keyword === "async" ? i + 1 : i;
+        const name = tokens[index + (tokens[index + 1] && tokens[index + 1].value === "*" ? 2 : 1)];
+        if (name && name.type === "identifier") declare(scope, name, "function");
+        walkFunctionKeyword(index, scope, last, "declaration");
+        return;
+      }
+      if (keyword === "class") {
+        statement();
+        if (tokens[i + 1] && tokens[i + 1].type === "identifier") declare(scope, tokens[i + 1], "class");
+        scanExpression(i + 1, last, scope);
+        return;
+      }
+      if (keyword === "var" || keyword === "let" || keyword === "const") {
+        statement();
+        const { declarators } = readDeclarators(tokens, i, last);
+        for (const { name } of declarators) declare(keyword === "var" ? varScope(scope) : scope, name, keyword);
+        scanExpression(i + 1, last, scope);
+        return;
+      }
+      if (keyword === "if") {
+        statement();
+        const close = matchBracket(tokens, i + 1);
+        scanExpression(i + 2, close - 1, scope);
+        const end = walkBody(close + 1, scope, "if");
+        if (tokens[end + 1] && tokens[end + 1].value === "else") walkBody(end + 2, scope, "else");
+        return;
+      }
+      if (keyword === "for") {
+        statement();
+        const open = tokens[i + 1] && tokens[i + 1].value === "await" ? i + 2 : i + 1;
+        const close = matchBracket(tokens, open);
+        const head = tokens[open + 1];
+        let loopScope = scope;
+        const declarations = [];
+        if (head && head.type === "keyword" && (head.value === "let" || head.value === "const")) {
+          loopScope = addScope("block", "for loop", scope, token.line);
+        }
+        if (head && head.type === "keyword" && (head.value === "var" || loopScope !== scope)) {
+          const { declarators } = readDeclarators(tokens, open + 1, close - 1);
+          for (const { name } of declarators) {
+            declare(head.value === "var" ? varScope(scope) : loopScope, name, head.value);
+            declarations.push({ name: name.value, kind: head.value });
+          }
+        }
+        scanExpression(open + 1, close - 1, loopScope);
+        loop(loopScope, declarations, close + 1, "for");
+        return;
+      }
+      if (keyword === "while" || keyword === "with") {
+        statement();
+        const close = matchBracket(tokens, i + 1);
+        scanExpression(i + 2, close - 1, scope);
+        if (keyword === "while") loop(scope, [], close + 1, keyword);
+        else walkBody(close + 1, scope, keyword);
+        return;
+      }
+      if (keyword === "do") {
+        statement();
+        const end = loop(scope, [], i + 1, "do");
+        if (tokens[end + 2] && tokens[end + 2].value === "(") scanExpression(end + 3, matchBracket(tokens, end + 2) - 1, scope);
+        return;
+      }
+      if (keyword === "switch") {
+        statement();
+        const close = matchBracket(tokens, i + 1);
+        scanExpression(i + 2, close - 1, scope);
+        if (tokens[close + 1] && tokens[close + 1].value === "{") {
+          const block = addScope("block", "switch block", scope, tokens[close + 1].line);
+          walkList(close + 2, matchBracket(tokens, close + 1) - 1, block, true);
+        }
+        return;
+      }
+      if (keyword === "try") {
+        let end = walkBody(i + 1, scope, "try");
+        while (tokens[end + 1] && (tokens[end + 1].value === "catch" || tokens[end + 1].value === "finally")) {
+          const clause = tokens[end + 1];
+          let body = end + 2;
+          let catchScope = scope;
+          let param = null;
+          if (clause.value === "catch" && tokens[body] && tokens[body].value === "(") {
+            const close = matchBracket(tokens, body);
+            catchScope = addScope("catch", "catch", scope, clause.line);
+            const { names } = bindingNames(tokens, body + 1);
+            for (const name of names) declare(catchScope, name, "catch parameter");
+            if (names.length === 1 && tokens[body + 1] === names[0]) param = names[0].value;
+            scanExpression(body + 1, close - 1, catchScope);
+            body = close + 1;
+          }
+          if (clause.value === "catch" && tokens[body]) catches.push({ at: tokens[body].end, param });
+          end = walkBody(body, catchScope, clause.value);
+        }
+        return;
+      }
+      statement();
+      scanExpression(i, last, scope);
+    };
+
+    const walkList = (from, to, scope, inSwitch = false) => {
+      let i = from;
+      while (i <= to) {
+        const token = tokens[i];
+        if (inSwitch && token.type === "keyword" && (token.value === "case" || token.value === "default")) {
+          let colon = i + 1;
+          while (colon <= to && tokens[colon].value !== ":") colon = OPENERS[tokens[colon].value] ? matchBracket(tokens, colon) + 1 : colon + 1;
+          scanExpression(i + 1, colon - 1, scope);
+          i = colon + 1;
+          continue;
+        }
+        const end = Math.min(Math.max(statementEnd(tokens, i), i), to);
+        walkStatement(i, end, scope);
+        i = end + 1;
+      }
+    };
+
+    walkList(0, tokens.length - 1, addScope("global", "Global", null, 1));
+
+    tokens.forEach((token, index) => {
+      const id = owner[index];
+      if (id === -1 || token.type !== "identifier" || declared.has(token)) return;
+      const previous = tokens[index - 1];
+      const next = tokens[index + 1];
+      if (previous && (previous.value === "." || previous.value === "?.")) return;
+      if (next && next.value === ":" && previous && (previous.value === "{" || previous.value === ",")) return;
+      statements[id].reads.push({ name: token.value, line: token.line, column: token.column + 1, start: token.start, end: token.end });
+    });
+
+    const { kept, target } = pruneScopes(scopes);
+    const remap = (item) => ({ ...item, scope: target(item.scope) });
+    return {
+      source,
+      scopes: kept,
+      statements: statements.map(remap),
+      functions: functions.map(remap),
+      loops: loops.map((loop) => {
+        const block = loop.bodyScope === null ? null : scopes[loop.bodyScope];
+        return { ...remap(loop), bodyScope: block && block.bindings.length > 0 ? target(block.id) : null };
+      }),
+      catches,
+    };
+  }
+
+  /**
+   * Drops the blocks that declare nothing, so the frames shown are the
+   * ones that hold bindings, and renumbers the scopes that are left.
+   *
+   * @param {Scope[]} scopes
+   * @returns {{ kept: Scope[], target: function(number): number }} The
+   *   scopes left, and the new id of the scope an old id now belongs to.
+   */
+  function pruneScopes(scopes) {
+    const kept = [];
+    const ids = scopes.map(() => null);
+    const keep = (scope) => scope.kind !== "block" || scope.bindings.length > 0;
+    const target = (id) => {
+      let scope = scopes[id];
+      while (!keep(scope)) scope = scopes[scope.parent];
+      return ids[scope.id];
+    };
+    for (const scope of scopes) {
+      if (!keep(scope)) continue;
+      ids[scope.id] = kept.length;
+      kept.push({ ...scope, id: kept.length, parent: scope.parent === null ? null : target(scope.parent) });
+    }
+    return { kept, target };
+  }
+
+  /**
+   * The probe's argument: a reader for every binding in scope, frame by
+   * frame from the innermost out. A name an inner frame declares again is
+   * left out of the outer ones, where it cannot be read.
+   *
+   * @param {ScopeAnalysis} analysis
+   * @param {number} id The innermost scope.
+   * @returns {string}
+   */
+  function framesCode(analysis, id) {
+    const seen = new Set();
+    const frames = [];
+    for (let scope = analysis.scopes[id]; scope; scope = analysis.scopes[scope.parent]) {
+      const readers = scope.bindings
+        .filter((binding) => !seen.has(binding.name))
+        .map(({ name }) => `${JSON.stringify(name)}: () => ${name}`);
+      for (const binding of scope.bindings) seen.add(binding.name);
+      frames.push(`[${scope.id}, { ${readers.join(", ")} }]`);
+      if (scope.parent === null) break;
+    }
+    return `[${frames.join(", ")}]`;
+  }
+
+  /**
+   * Adds the probes to the snippet: a step before every statement and every
+   * parameter default, reported to the recorder stored in the global
+   * `__tdzStepper`, and a note at the start of every `catch` body of the
+   * error it caught. Nothing is added on new lines, so line numbers in
+   * errors stay the same.
+   *
+   * @param {ScopeAnalysis} analysis
+   * @returns {string}
+   */
+  function instrument(analysis) {
+    // At the same offset, what closes goes first, then what opens.
+    const edits = [];
+    for (const statement of analysis.statements) {
+      const probe = `${RECORDER_NAME}.step(${statement.id}, ${framesCode(analysis, statement.scope)})`;
+      if (statement.kind === "parameter") {
+        edits.push({ at: statement.start, order: 1, text: `(${probe}, ` }, { at: statement.end, order: 0, text: ")" });
+        continue;
+      }
+      if (statement.wrap) edits.push({ at: statement.start, order: 1, text: "{" }, { at: statement.end, order: 0, text: "}" });
+      edits.push({ at: statement.start, order: 3, text: `;${probe};` });
+    }
+    for (const { at, param } of analysis.catches) {
+      edits.push({ at, order: 2, text: `${RECORDER_NAME}.caught(${param ? `() => ${param}` : ""});` });
+    }
+    edits.sort((a, b) => a.at - b.at || a.order - b.order);
+
+    let code = "";
+    let last = 0;
+    for (const { at, text } of edits) {
+      code += analysis.source.slice(last, at) + text;
+      last = at;
+    }
+    return code + analysis.source.slice(last);
+  }
+
+  /**
+   * Formats a value for a frame.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function describe(value) {
+    if (typeof value === "function") {
+      const isClass = /^class\b/.test(Function.prototype.toString.call(value));
+      return isClass ? `class ${value.name || "(anonymous)"}` : `ƒ ${value.name || "(anonymous)"}()`;
+    }
+    // An error caught by a `catch` is shown without its stack.
+    if (Object.prototype.toString.call(value) === "[object Error]") return `${value.name}: ${value.message}`;
+    return inspect(value, { depth: 1 });
+  }
+
+  /**
+   * Formats something that was thrown.
+   *
+   * @param {*} error
+   * @returns {string}
+   */
+  function describeError(error) {
+    return error && typeof error === "object" && "message" in error ? `${error.name}: ${error.message}` : describe(error);
+  }
+
+  /**
+   * @typedef {Object} BindingState
+   * @property {"initialized"|"uninitialized"} state
+   * @property {string|null} value Its value formatted, when initialized.
+   */
+
+  /**
+   * @typedef {Object} Frame
+   * @property {number} scope
+   * @property {Object<string, BindingState>} values The frame's bindings that
+   *   can be read from the step; the ones an inner frame shadows are missing.
+   */
+
+  /**
+   * @typedef {Object} Step
+   * @property {number} statement Index into the analysis' statements.
+   * @property {Frame[]} frames Every frame in scope before the statement
+   *   runs, from the innermost out.
+   * @property {string[]} output What was printed while it ran, leaving out
+   *   what nested steps printed.
+   * @property {{ message: string, caught: boolean }|null} error What it threw,
+   *   and whether a `catch` caught it.
+   */
+
+  /**
+   * @typedef {Object} StepperRun
+   * @property {Step[]} steps
+   * @property {boolean} truncated Whether recording stopped after 500 steps.
+   * @property {string|null} error What was thrown before the first step,
+   *   such as a SyntaxError.
+   */
+
+  /**
+   * Creates the recorder an instrumented snippet reports to. Store it as the
+   * global `__tdzStepper` before running the snippet, and call its `fail`
+   * with the error if the snippet throws.
+   *
+   * @returns {{ step: function(number, Array): void, caught: function(function(): *=): void, watchConsole: function(Object): void, fail: function(*): void, result: function(): StepperRun }}
+   */
+  function createRecorder() {
+    const steps = [];
+    let truncated = false;
+    let error = null;
+    // Showing a value can run the snippet's own getters, and their probes.
+    let reading = false;
+    const current = () => (truncated ? null : steps[steps.length - 1]);
+
+    const read = (readers) => {
+      const values = {};
+      for (const [name, reader] of Object.entries(readers)) {
+        let value;
+        try {
+          value = reader();
+        } catch (thrown) {
+          values[name] = { state: "uninitialized", value: null };
+          continue;
+        }
+        values[name] = { state: "initialized", value: describe(value) };
+      }
+      return values;
+    };
+
+    return {
+      step(statement, frames) {
+        if (reading) return;
+        if (steps.length >= MAX_STEPS) {
+          truncated = true;
+          return;
+        }
+        reading = true;
+        try {
+          steps.push({ statement, frames: frames.map(([scope, readers]) => ({ scope, values: read(readers) })), output: [], error: null });
+        } finally {
+          reading = false;
+        }
+      },
+      // The last step is the statement that threw: nothing else ran after it.
+      caught(reader) {
+        const step = current();
+        if (step && !step.error) {
+          step.error = { message: reader ? describeError(reader()) : "an error the catch clause does not name", caught: true };
+        }
+      },
+      // Console calls are passed on, and also kept with the step that made them.
+      watchConsole(target) {
+        for (const method of CONSOLE_METHODS) {
+          const original = target[method];
+          target[method] = (...args) => {
+            const step = current();
+            if (step && !reading) step.output.push(formatArgs(args));
+            return original.apply(target, args);
+          };
+        }
+      },
+      fail(thrown) {
+        const step = current();
+        if (step && !step.error) step.error = { message: describeError(thrown), caught: false };
+        else if (!step) error = describeError(thrown);
+      },
+      result() {
+        return { steps, truncated, error };
+      },
+    };
+  }
+
+  /**
+   * Finds the frame a step reads a name from, and the binding it holds.
+   *
+   * @param {ScopeAnalysis} analysis
+   * @param {Step} step
+   * @param {string} name
+   * @returns {{ scope: Scope, binding: ScopeBinding, state: BindingState }|null}
+   */
+  function resolve(analysis, step, name) {
+    for (const frame of step.frames) {
+      if (!(name in frame.values)) continue;
+      const scope = analysis.scopes[frame.scope];
+      return { scope, binding: scope.bindings.find((binding) => binding.name === name), state: frame.values[name] };
+    }
+    return null;
+  }
+
+  /**
+   * @typedef {Object} Access
+   * @property {Read} read Where the statement reads the name.
+   * @property {Scope|null} scope The frame the binding lives in, if the name is declared.
+   * @property {ScopeBinding|null} binding
+   */
+
+  /**
+   * Finds the read that made a step throw a ReferenceError: the one that
+   * names the binding in the message, or else the first read of a binding
+   * that was uninitialized when the step started.
+   *
+   * @param {ScopeAnalysis} analysis
+   * @param {Step} step
+   * @returns {Access|null} Null when the step did not throw a ReferenceError.
+   */
+  function locateAccess(analysis, step) {
+    if (!step.error || !/^ReferenceError\b/.test(step.error.message)) return null;
+    const statement = analysis.statements[step.statement];
+    const match = /'([^']+)'|:\s*(\S+) is not defined/.exec(step.error.message);
+    const name = match && (match[1] || match[2]);
+    const read = name
+      ? statement.reads.find((candidate) => candidate.name === name)
+      : statement.reads.find((candidate) => {
+          const found = resolve(analysis, step, candidate.name);
+          return found && found.state.state === "uninitialized";
+        });
+    if (!read) return null;
+    const found = resolve(analysis, step, read.name);
+    return { read, scope: found ? found.scope : null, binding: found ? found.binding : null };
+  }
+
+  /**
+   * Explains an access that threw, e.g. "`y` (parameter, line 1) is read
+   * before it is initialized: it is in its Temporal Dead Zone."
+   *
+   * @param {Access} access
+   * @returns {string}
+   */
+  function explainAccess({ read, scope, binding }) {
+    if (!binding) return `\`${read.name}\` is not declared in any scope of the snippet.`;
+    const where = scope.kind === "global" ? "the global scope" : `the scope "${scope.label}"`;
+    let text = `\`${read.name}\` (${binding.kind}, line ${binding.line}, in ${where}) is read before it is initialized: it is in its Temporal Dead Zone.`;
+    if (scope.kind === "parameters") text += " Parameters are initialized left to right, so a default can only read the parameters before it.";
+    return text;
+  }
+
+  /**
+   * Formats the frames of a step, one line per frame.
+   *
+   * @returns {string[]}
+   */
+  function formatFrames(analysis, step) {
+    return step.frames.map((frame) => {
+      const scope = analysis.scopes[frame.scope];
+      const label = scope.kind === "global" ? scope.label : `${scope.label}, line ${scope.line}`;
+      const values = scope.bindings.map(({ name }) => {
+        const value = frame.values[name];
+        if (!value) return `${name} (shadowed)`;
+        return value.state === "uninitialized" ? `${name} <uninitialized>` : `${name} = ${value.value}`;
+      });
+      return `    ${label}: ${values.length > 0 ? values.join(", ") : "(nothing declared)"}`;
+    });
+  }
+
+  /**
+   * Formats a run as text: every step with its frames, what it printed, and
+   * for a step that threw, the line with the access that threw marked.
+   *
+   * @param {ScopeAnalysis} analysis
+   * @param {StepperRun} run
+   * @returns {string}
+   */
+  function formatSteps(analysis, run) {
+    const lines = [];
+    const sourceLines = analysis.source.split("\n");
+    run.steps.forEach((step, index) => {
+      const statement = analysis.statements[step.statement];
+      const what = statement.kind === "parameter" ? `default of ${statement.text}` : statement.text;
+      lines.push(`Step ${index + 1} · line ${statement.line} · ${what}`, ...formatFrames(analysis, step));
+      for (const output of step.output) lines.push(`  > ${output.replace(/\n/g, "\n    ")}`);
+      if (!step.error) return;
+
+      lines.push(`  ✗ ${step.error.message}${step.error.caught ? " (caught)" : ""}`);
+      const access = locateAccess(analysis, step);
+      if (access) {
+        const number = String(access.read.line);
+        lines.push(
+          `    ${number} | ${sourceLines[access.read.line - 1]}`,
+          `    ${" ".repeat(number.length)} | ${" ".repeat(access.read.column - 1)}${"^".repeat(access.read.name.length)}`,
+          `    ${explainAccess(access).replace(/`/g, "")}`
+        );
+      }
+    });
+    if (run.truncated) lines.push(`Stopped recording after ${MAX_STEPS} steps.`);
+    if (run.error) lines.push(`✗ ${run.error}`);
+    if (run.steps.length === 0 && !run.error) lines.push("The snippet has no statements to step through.");
+    return lines.join("\n");
+  }
+
+  return {
+    RECORDER_NAME,
+    analyzeScopes,
+    instrument,
+    createRecorder,
+    locateAccess,
+    explainAccess,
+    formatSteps,
+  };
+});
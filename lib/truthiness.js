@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Builds truthiness tables: for each value, `Boolean(v)`,
+ * `!!v`, the branch `if (v)` takes, and what `v || "fb"`, `v ?? "fb"` and
+ * `v && "x"` evaluate to — the comparison table of lesson 010, for any
+ * values.
+ *
+ * {@link buildTable} evaluates the operators on the values themselves; the
+ * table can then be printed for the console ({@link formatConsole}), or as
+ * HTML ({@link formatHtml}) or Markdown ({@link formatMarkdown}) to paste
+ * into a review comment.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.truthiness` (load `lib/inspect.js`, `lib/js-tokens.js` and
+ * `lib/highlight.js` first).
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory(require("./inspect"), require("./highlight"));
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.truthiness = factory(root.LessonKit.inspect, root.LessonKit.highlight);
+  }
+})(typeof self !== "undefined" ? self : this, function (inspectModule, highlighter) {
+  "use strict";
+
+  const { inspect } = inspectModule;
+  const { escapeHtml } = highlighter;
+
+  // The `valuesToTest` of lesson 010, as written there.
+  const LESSON_VALUES = [
+    "false",
+    "true",
+    "0",
+    "-0",
+    "0n",
+    "42",
+    "-7",
+    "NaN",
+    "Infinity",
+    "-Infinity",
+    '""',
+    '"0"',
+    '"false"',
+    '" "',
+    "[]",
+    "{}",
+    "function() {}",
+    "null",
+    "undefined",
+    "new Boolean(false)",
+  ];
+
+  const COLUMNS = [
+    { heading: "Boolean(v)", apply: (value) => Boolean(value) },
+    { heading: "!!v", apply: (value) => !!value },
+    { heading: "if (v)", apply: (value) => (value ? "if branch" : "else branch"), prose: true },
+    { heading: 'v || "fb"', apply: (value) => value || "fb" },
+    { heading: 'v ?? "fb"', apply: (value) => value ?? "fb" },
+    { heading: 'v && "x"', apply: (value) => value && "x" },
+  ];
+
+  /**
+   * @typedef {Object} TruthinessCell
+   * @property {string} text
+   * @property {boolean} code Whether the text is a value, shown as code.
+   */
+
+  /**
+   * @typedef {Object} TruthinessRow
+   * @property {string} label How the value is written.
+   * @property {string} type Its `typeof`.
+   * @property {boolean} truthy
+   * @property {TruthinessCell[]} cells One per column, in order.
+   */
+
+  /**
+   * @typedef {Object} TruthinessTable
+   * @property {string[]} headings The headings of the operator columns.
+   * @property {TruthinessRow[]} rows
+   */
+
+  /**
+   * Builds the table for some values.
+   *
+   * @param {Array<*>} values
+   * @param {{ labels?: string[] }} [options] How each value is written, e.g.
+   *   the expression it came from, kept to one line. By default it is
+   *   formatted as `console.log` would print it.
+   * @returns {TruthinessTable}
+   */
+  function buildTable(values, { labels = [] } = {}) {
+    const rows = values.map((value, index) => ({
+      label: labels[index] !== undefined ? labels[index].replace(/\s*\n\s*/g, " ") : inspect(value),
+      type: typeof value,
+      truthy: Boolean(value),
+      cells: COLUMNS.map((column) => {
+        const result = column.apply(value);
+        return column.prose ? { text: result, code: false } : { text: inspect(result), code: true };
+      }),
+    }));
+    return { headings: COLUMNS.map((column) => column.heading), rows };
+  }
+
+  /**
+   * The header and the rows of a table, as plain text cells.
+   *
+   * @param {TruthinessTable} table
+   * @returns {string[][]}
+   */
+  function textRows(table) {
+    return [
+      ["Value", "typeof", ...table.headings],
+      ...table.rows.map((row) => [row.label, row.type, ...row.cells.map((cell) => cell.text)]),
+    ];
+  }
+
+  /**
+   * Formats a table for the console, boxed in the style of `console.table`.
+   *
+   * @param {TruthinessTable} table
+   * @returns {string}
+   */
+  function formatConsole(table) {
+    const rows = textRows(table);
+    const widths = rows[0].map((_, column) => Math.max(...rows.map((row) => [...row[column]].length)));
+    const line = (cells) => `│ ${cells.map((text, column) => text + " ".repeat(widths[column] - [...text].length)).join(" │ ")} │`;
+    const rule = (left, middle, right) => `${left}${widths.map((width) => "─".repeat(width + 2)).join(middle)}${right}`;
+    return [rule("┌", "┬", "┐"), line(rows[0]), rule("├", "┼", "┤"), ...rows.slice(1).map(line), rule("└", "┴", "┘")].join("\n");
+  }
+
+  /**
+   * Formats a table as an HTML `<table>`, with the values as code.
+   *
+   * @param {TruthinessTable} table
+   * @returns {string}
+   */
+  function formatHtml(table) {
+    const code = (text) => `<code>${escapeHtml(text)}</code>`;
+    const header = ["Value", "typeof", ...table.headings].map((heading, index) => `<th>${index < 2 ? escapeHtml(heading) : code(heading)}</th>`).join("");
+    const rows = table.rows.map((row) => {
+      const cells = [code(row.label), escapeHtml(row.type), ...row.cells.map((cell) => (cell.code ? code(cell.text) : escapeHtml(cell.text)))];
+      return `<tr>${cells.map((cell) => `<td>${cell}</td>`).join("")}</tr>`;
+    });
+    return `<table>\n<thead><tr>${header}</tr></thead>\n<tbody>\n${rows.join("\n")}\n</tbody>\n</table>`;
+  }
+
+  /**
+   * Escapes text for a Markdown table cell.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function cell(text) {
+    return text.replace(/\|/g, "\\|").replace(/\n/g, " ");
+  }
+
+  /**
+   * Wraps code in a Markdown code span, with enough backticks for the ones inside it.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function codeSpan(text) {
+    const fence = text.includes("`") ? "``" : "`";
+    return `${fence}${fence.length > 1 ? " " : ""}${text}${fence.length > 1 ? " " : ""}${fence}`;
+  }
+
+  /**
+   * Formats a table as a Markdown table, with the values as code.
+   *
+   * @param {TruthinessTable} table
+   * @returns {string}
+   */
+  function formatMarkdown(table) {
+    const row = (cells) => `| ${cells.map(cell).join(" | ")} |`;
+    return [
+      row(["Value", "typeof", ...table.headings.map(codeSpan)]),
+      row([":----", ":-----", ...table.headings.map(() => ":--")]),
+      ...table.rows.map((entry) => row([codeSpan(entry.label), entry.type, ...entry.cells.map((value) => (value.code ? codeSpan(value.text) : value.text))])),
+    ].join("\n");
+  }
+
+  return {
+    LESSON_VALUES,
+    buildTable,
+    formatConsole,
+    formatHtml,
+    formatMarkdown,
+  };
+});
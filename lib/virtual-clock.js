@@ -0,0 +1,123 @@
+/**
+ * @fileoverview A virtual clock: drop-in `setTimeout`/`setInterval` that never
+ * fire on their own, plus a `flush()` that runs everything pending in order.
+ *
+ * Lessons such as 015 Q6/Q8 schedule timers with hand-tuned delays
+ * (`i * 100 + 200`) only to keep their output apart. On a virtual clock,
+ * timers run when the runner flushes them — for example right before the next
+ * section starts — in due-time order, with no real waiting, so the output is
+ * the same on every run.
+ *
+ * Works both in Node and in the browser, where it is exposed as
+ * `LessonKit.virtualClock`.
+ */
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LessonKit = root.LessonKit || {};
+    root.LessonKit.virtualClock = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  /**
+   * @typedef {Object} FlushResult
+   * @property {number} ran Number of callbacks that ran.
+   * @property {boolean} exhausted Whether the flush stopped at the callback
+   *   limit with timers still pending (usually an interval nobody clears).
+   */
+
+  /**
+   * @typedef {Object} VirtualClock
+   * @property {function(Function, number=, ...*): number} setTimeout
+   * @property {function(number): void} clearTimeout
+   * @property {function(Function, number=, ...*): number} setInterval
+   * @property {function(number): void} clearInterval
+   * @property {function({ onError?: function(*): void }=): FlushResult} flush
+   *   Runs pending timers in due-time order, including timers they schedule,
+   *   advancing the clock to each one's due time.
+   * @property {function({ onError?: function(*): void }=): boolean} tick Runs
+   *   just the next pending timer, the way the event loop runs one per task,
+   *   so the caller can let promise callbacks run in between. Returns
+   *   whether there was one.
+   * @property {function(): number} now Current virtual time in ms, starting at 0.
+   * @property {function(): number} pending Number of timers waiting to run.
+   */
+
+  /**
+   * Creates a virtual clock.
+   *
+   * @param {{ maxCallbacks?: number }} [options] Upper bound on callbacks per
+   *   flush, so an interval that is never cleared cannot loop forever.
+   * @returns {VirtualClock}
+   */
+  function createVirtualClock({ maxCallbacks = 10000 } = {}) {
+    const timers = new Map();
+    let currentTime = 0;
+    let nextId = 1;
+    let sequence = 0;
+
+    const schedule = (callback, delay, args, repeat) => {
+      const id = nextId++;
+      const interval = Math.max(0, Number(delay) || 0);
+      timers.set(id, { id, callback, args, interval, repeat, due: currentTime + interval, order: sequence++ });
+      return id;
+    };
+
+    const clear = (id) => {
+      timers.delete(id);
+    };
+
+    const nextTimer = () => {
+      let next = null;
+      for (const timer of timers.values()) {
+        if (!next || timer.due < next.due || (timer.due === next.due && timer.order < next.order)) next = timer;
+      }
+      return next;
+    };
+
+    const tick = ({ onError = (error) => { throw error; } } = {}) => {
+      const timer = nextTimer();
+      if (!timer) return false;
+      currentTime = Math.max(currentTime, timer.due);
+      if (timer.repeat) {
+        timer.due = currentTime + Math.max(1, timer.interval);
+        timer.order = sequence++;
+      } else {
+        timers.delete(timer.id);
+      }
+      try {
+        if (typeof timer.callback === "function") timer.callback(...timer.args);
+      } catch (error) {
+        onError(error);
+      }
+      return true;
+    };
+
+    const flush = (options) => {
+      let ran = 0;
+      while (timers.size > 0) {
+        if (ran >= maxCallbacks) return { ran, exhausted: true };
+        tick(options);
+        ran++;
+      }
+      return { ran, exhausted: false };
+    };
+
+    return {
+      setTimeout: (callback, delay, ...args) => schedule(callback, delay, args, false),
+      clearTimeout: clear,
+      setInterval: (callback, delay, ...args) => schedule(callback, delay, args, true),
+      clearInterval: clear,
+      flush,
+      tick,
+      now: () => currentTime,
+      pending: () => timers.size,
+    };
+  }
+
+  return {
+    createVirtualClock,
+  };
+});
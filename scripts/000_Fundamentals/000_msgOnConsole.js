@@ -1,2 +1,8 @@
+/**
+ * @difficulty beginner
+ * @duration 2 min
+ * @tags console
+ */
+
 // Printing a message to the console
 console.log("Hello, World!");
@@ -1,3 +1,9 @@
+/**
+ * @difficulty beginner
+ * @duration 10 min
+ * @prerequisites 000
+ * @tags variables, strict mode
+ */
 
 "use strict"; // This enables strict mode which helps catch common coding errors
 
@@ -1,3 +1,9 @@
+/**
+ * @difficulty intermediate
+ * @duration 25 min
+ * @prerequisites 001
+ * @tags var, scope, hoisting, global object
+ */
 
 /**
  * =============================================================================
@@ -2,6 +2,11 @@
  * @fileoverview A deep dive into the 'let' keyword in JavaScript.
  * This file explains its block-scoping, Temporal Dead Zone (TDZ), and
  * other features introduced in ES6 (2015).
+ *
+ * @difficulty intermediate
+ * @duration 25 min
+ * @prerequisites 002
+ * @tags let, block scope, tdz, hoisting
  */
 
 /**
@@ -1,3 +1,9 @@
+/**
+ * @difficulty intermediate
+ * @duration 20 min
+ * @prerequisites 003
+ * @tags const, immutability, objects
+ */
 
 /**
  * =============================================================================
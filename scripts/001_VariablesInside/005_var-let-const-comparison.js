@@ -2,6 +2,11 @@
  * @fileoverview A side-by-side comparison cheatsheet for `var`, `let`, and `const`.
  * This file covers scope, hoisting, reassignment, and other key differences
  * with examples and interview questions.
+ *
+ * @difficulty intermediate
+ * @duration 20 min
+ * @prerequisites 002–004
+ * @tags var, let, const, scope, hoisting, tdz
  */
 
 /**
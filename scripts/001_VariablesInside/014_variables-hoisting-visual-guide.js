@@ -1,3 +1,9 @@
+/**
+ * @difficulty beginner
+ * @duration 25 min
+ * @prerequisites 001
+ * @tags variables, hoisting, tdz, execution context
+ */
 
 /**
  * =============================================================================
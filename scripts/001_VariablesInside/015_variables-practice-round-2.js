@@ -1,3 +1,9 @@
+/**
+ * @difficulty intermediate
+ * @duration 40 min
+ * @prerequisites 005, 014
+ * @tags hoisting, tdz, closures, scope, practice
+ */
 
 /**
  * =============================================================================
@@ -2,6 +2,11 @@
  * @fileoverview A deep dive into the 'Number' primitive type in JavaScript.
  * This file covers its internal representation, special values, pitfalls,
  * and interview questions with runnable examples.
+ *
+ * @difficulty intermediate
+ * @duration 25 min
+ * @prerequisites 001
+ * @tags number, ieee 754, nan, coercion
  */
 
 /**
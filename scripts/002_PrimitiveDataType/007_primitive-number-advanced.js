@@ -2,6 +2,11 @@
  * @fileoverview An advanced deep dive into the 'Number' primitive in JavaScript.
  * This file covers engine optimizations, number ranges, special constants,
  * and other in-depth details.
+ *
+ * @difficulty advanced
+ * @duration 15 min
+ * @prerequisites 006
+ * @tags number, infinity, safe integers, negative zero
  */
 
 /**
@@ -1,3 +1,9 @@
+/**
+ * @difficulty intermediate
+ * @duration 20 min
+ * @prerequisites 006, 007
+ * @tags bigint, precision
+ */
 
 /**
  * =============================================================================
@@ -16,6 +22,8 @@
  *
  * A `BigInt` is created by appending `n` to the end of an integer literal or by
  * calling the `BigInt()` function.
+ *
+ * @requires bigint
  */
 
 console.log("--- BigInt Definition ---");
@@ -28,6 +36,8 @@ console.log("Created with BigInt() function:", big2);
  * ⚙️ Why BigInt?
  * --------------------
  * `BigInt` solves the precision problem for large integers that `Number` has.
+ *
+ * @requires bigint
  */
 
 console.log("\n--- Why BigInt? (Precision) ---");
@@ -38,6 +48,8 @@ console.log("With BigInt (preserves precision):", 9999999999999999n); // 9999999
  * 🌟 Operations with BigInt
  * --------------------
  * Standard arithmetic operators work with BigInts.
+ *
+ * @requires bigint
  */
 
 console.log("\n--- Operations with BigInt ---");
@@ -53,6 +65,8 @@ console.log(`${a} / ${b} =`, a / b); // 3n
 /**
  * ⚠️ BigInt Edge Cases & Brain-Benders
  * --------------------
+ *
+ * @requires bigint
  */
 
 console.log("\n--- Edge Cases & Brain-Benders ---");
@@ -125,6 +139,8 @@ console.log("Object.is(0n, -0n) is", Object.is(0n, -0n)); // true
 /**
  * 🧩 BigInt Exercises with Solutions
  * --------------------
+ *
+ * @requires bigint
  */
 
 console.log("\n--- BigInt Exercises with Solutions ---");
@@ -2,6 +2,11 @@
  * @fileoverview A deep dive into the 'String' primitive in JavaScript.
  * This file covers its definition, immutability, Unicode representation,
  * common methods, and interview traps with runnable examples.
+ *
+ * @difficulty intermediate
+ * @duration 25 min
+ * @prerequisites 001
+ * @tags string, unicode, immutability
  */
 
 /**
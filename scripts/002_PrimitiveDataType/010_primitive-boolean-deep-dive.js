@@ -1,3 +1,9 @@
+/**
+ * @difficulty beginner
+ * @duration 25 min
+ * @prerequisites 001
+ * @tags boolean, truthiness, coercion, equality
+ */
 
 /**
  * =============================================================================
@@ -63,6 +69,8 @@ console.log("Boolean({}):", Boolean({})); // true (empty object)
 /**
  * ⚡ How Coercion Happens in Practice
  * ------------------------------------
+ *
+ * @requires nullish-coalescing
  */
 
 console.log("\n--- Coercion in Practice ---");
@@ -106,6 +114,8 @@ console.log("null == false is", null == false); // false (special rule for null/
 /**
  * 🚀 Real-World Use Cases
  * --------------------
+ *
+ * @requires optional-chaining
  */
 
 function validateInput(userInput) {
@@ -179,6 +189,8 @@ console.log('Q3.2: !!"false" ->', !!"false");
  * 🧾 Truthy vs Falsy Comparison Table
  * ------------------------------------
  * A practical demonstration of the ToBoolean algorithm.
+ *
+ * @requires bigint
  */
 
 console.log("\n--- Truthy vs Falsy Comparison Table ---");
@@ -1,3 +1,9 @@
+/**
+ * @difficulty beginner
+ * @duration 20 min
+ * @prerequisites 001
+ * @tags undefined, coercion
+ */
 
 /**
  * =============================================================================
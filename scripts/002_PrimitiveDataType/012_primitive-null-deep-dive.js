@@ -1,3 +1,9 @@
+/**
+ * @difficulty beginner
+ * @duration 20 min
+ * @prerequisites 011
+ * @tags null, coercion, equality
+ */
 
 /**
  * =============================================================================
@@ -100,6 +106,8 @@ console.log("Q5: null + true is", null + true);
 /**
  * 5. 🟣 `null` — Edge Cases & Gotchas
  * -----------------------------------
+ *
+ * @requires nullish-coalescing, optional-chaining
  */
 
 console.log("\n--- Edge Cases & Gotchas ---");
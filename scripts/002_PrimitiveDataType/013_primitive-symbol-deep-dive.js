@@ -1,3 +1,9 @@
+/**
+ * @difficulty advanced
+ * @duration 30 min
+ * @prerequisites 009
+ * @tags symbol, well-known symbols, object keys
+ */
 
 /**
  * =============================================================================
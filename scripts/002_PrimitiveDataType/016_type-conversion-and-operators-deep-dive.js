@@ -1,3 +1,9 @@
+/**
+ * @difficulty advanced
+ * @duration 30 min
+ * @prerequisites 006–013
+ * @tags coercion, equality, operators, toprimitive
+ */
 
 /**
  * =============================================================================
@@ -1,3 +1,9 @@
+/**
+ * @difficulty intermediate
+ * @duration 30 min
+ * @prerequisites 010–012
+ * @tags logical operators, short-circuit, nullish coalescing, truthiness
+ */
 
 // =============================================================================
 // 🔥 JavaScript Learning Path: Logical Operators Deep Dive
@@ -108,6 +114,7 @@ a_q5() || b_q5();
 console.log("\n--- Advanced Corner Cases ---");
 
 // --- Case 1: `||` vs `??` (Nullish Coalescing Operator) ---
+// @requires nullish-coalescing
 console.log("\n--- Case 1: || vs ?? ---");
 // `||` treats any falsy value (0, "", false) as "empty".
 console.log("0 || 'default' ->", 0 || "default"); // "default"
@@ -141,6 +148,7 @@ console.log("Result of (x = 0) || (x = 5):", (x_case5 = 0) || (x_case5 = 5)); //
 console.log("Final value of x:", x_case5); // 5
 
 // --- Case 6: Mixing `||` and `??` ---
+// @requires nullish-coalescing
 console.log("\n--- Case 6: Mixing || and ?? ---");
 try {
   // This is a SyntaxError because `||` and `??` cannot be mixed without parentheses.
@@ -159,6 +167,7 @@ console.log('"" || [] ->', "" || []); // [] (since "" is falsy)
 // =============================================================================
 // 🧠 Final Brain-Benders with Solutions
 // =============================================================================
+// @requires nullish-coalescing
 console.log("\n--- Final Brain-Benders with Solutions ---");
 
 // Q1: console.log(false || {} && []);
@@ -1,6 +1,11 @@
 /**
  * @fileoverview A deep dive into Bitwise Operators in JavaScript, focusing on
  * real-world optimizations, performance tricks, and interview-level brain-benders.
+ *
+ * @difficulty advanced
+ * @duration 20 min
+ * @prerequisites 006
+ * @tags bitwise, 32-bit integers, performance
  */
 
 // =============================================================================
@@ -2,6 +2,11 @@
  * @fileoverview A deep dive into JavaScript's Assignment Operators and
  * Destructuring syntax, covering the internal evaluation process, reference vs.
  * value, and common interview brain-benders.
+ *
+ * @difficulty intermediate
+ * @duration 30 min
+ * @prerequisites 004
+ * @tags assignment, references, destructuring
  */
 
 // =============================================================================
@@ -2,6 +2,11 @@
  * @fileoverview A deep dive into how JavaScript destructuring works under the
  * hood in engines like V8 and SpiderMonkey. This file explains the "syntactic
  * sugar" by showing the code it translates to.
+ *
+ * @difficulty advanced
+ * @duration 25 min
+ * @prerequisites 019
+ * @tags destructuring, internals, iterators
  */
 
 // =============================================================================
@@ -136,6 +141,7 @@ console.log("   Engine uses default `{}` for `a`, so `a.b` is just `undefined`."
 // =============================================================================
 // ⚡ Real Optimization Insight
 // =============================================================================
+// @requires optional-chaining
 console.log("\n--- Real Optimization Insight ---");
 console.log("Best practice: For deep paths, use optional chaining for performance and readability:");
 const user_deep = {};
@@ -1,6 +1,11 @@
 /**
  * @fileoverview A deep dive into special use cases, gotchas, and common
  * patterns for JavaScript destructuring.
+ *
+ * @difficulty intermediate
+ * @duration 20 min
+ * @prerequisites 019, 020
+ * @tags destructuring, gotchas
  */
 
 // =============================================================================
@@ -2,6 +2,11 @@
  * @fileoverview A deep dive into the Spread (...) and Rest (...) operators,
  * covering their differences, use cases, hidden internals, performance, and
  * common interview questions.
+ *
+ * @difficulty intermediate
+ * @duration 25 min
+ * @prerequisites 019
+ * @tags spread, rest, shallow copy
  */
 
 // =============================================================================
@@ -1,6 +1,11 @@
 /**
  * @fileoverview A deep dive into advanced tricks, pro-use cases, and hidden
  * traps of the Spread (...) and Rest (...) operators in JavaScript.
+ *
+ * @difficulty intermediate
+ * @duration 20 min
+ * @prerequisites 022
+ * @tags spread, rest, immutability, shallow copy
  */
 
 // =============================================================================
@@ -13,6 +18,7 @@ console.log("===================================================================
 // -----------------------------------------------------------------------------
 // 1. Shallow vs. Deep Copy — The Trap
 // -----------------------------------------------------------------------------
+// @requires structured-clone
 console.log("\n--- 1. Shallow vs. Deep Copy Trap ---");
 const obj_s1 = { a: 1, b: { c: 2 } };
 const copy_s1 = { ...obj_s1 };
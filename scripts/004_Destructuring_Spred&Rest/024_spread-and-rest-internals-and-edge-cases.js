@@ -1,6 +1,11 @@
 /**
  * @fileoverview A deep dive into hidden internals, edge cases, and advanced
  * patterns for JavaScript's Spread and Rest operators.
+ *
+ * @difficulty advanced
+ * @duration 20 min
+ * @prerequisites 013, 022, 023
+ * @tags spread, rest, symbol, getters, iterables
  */
 
 // =============================================================================
@@ -31,6 +36,7 @@ console.log("Symbol property in Object.assign copy:", copyWithSymbols_s1[sym_s1]
 // -----------------------------------------------------------------------------
 // 2. Spread with Set / Map
 // -----------------------------------------------------------------------------
+// @requires object-from-entries
 console.log("\n--- 2. Spread with Set and Map ---");
 // Spread converts a Set into an Array of its values.
 const set_s2 = new Set([1, 2, 3, 3]); // Set only stores unique values
@@ -1,6 +1,11 @@
 /**
  * @fileoverview A deep dive into conditional branching in JavaScript, covering
  * if/else, switch, ternary operators, and common pitfalls.
+ *
+ * @difficulty beginner
+ * @duration 25 min
+ * @prerequisites 010, 017
+ * @tags conditionals, switch, ternary, truthiness
  */
 
 // =============================================================================
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview The bitwise visualizer on bitwise.html.
+ *
+ * Finds the bitwise operations of the expression here (see
+ * `lib/bitwise.js`), then runs it in a sandboxed frame, after the learner's
+ * setup code, with each operation reporting its operands to the recorder.
+ * Every operation that ran is shown as rows of 32 bits: each operand after
+ * ToInt32 or ToUint32, then the result, with the sign bit, the bits a shift
+ * moved in and the bits of a shift count that do not count marked, and notes
+ * on where a fraction was dropped, a number wrapped around or the sign bit
+ * was copied. The expression is kept in the URL (`bitwise.html?q=-1+>>>+0`)
+ * so explanations can be shared.
+ *
+ * Needs `lib/js-tokens.js`, `lib/inspect.js`, `lib/coercion-trace.js`,
+ * `lib/bitwise.js`, `site/dom.js`, `site/frame-runner.js` and
+ * `site/tool-page.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { RECORDER_NAME, instrumentExpression } = self.LessonKit.bitwise;
+  const { element } = self.LessonKit.dom;
+  const { setPermalink, addExamples, startRecordedRun } = self.LessonKit.toolPage;
+
+  const FRAME_SCRIPTS = ["lib/js-tokens.js", "lib/coercion-trace.js", "lib/bitwise.js"];
+  const EXAMPLES = [
+    { expression: "~~4.9" },
+    { expression: "~~-4.9" },
+    { expression: '5 & 1 ? "odd" : "even"' },
+    { label: "XOR swap", expression: "a = a ^ b, b = a ^ b, a = a ^ b", setup: "let a = 5; // binary 101\nlet b = 3; // binary 011" },
+    { expression: "-3.7 | 0" },
+    {
+      label: "Permission mask",
+      expression: "(permissions & READ_PERMISSION) > 0",
+      setup: "let permissions = 0b1011; // 11 in decimal\nlet READ_PERMISSION = 0b0100; // 4",
+    },
+    { expression: "123 & 0b1111" },
+    { expression: "5 << 3" },
+    { expression: "20 >> 2" },
+    { expression: "-5 >> 1" },
+    { expression: "-5 >>> 0" },
+    { expression: "-1 >>> 0" },
+    { expression: "1 << 31" },
+    { expression: "2 ** 32 + 5 | 0" },
+  ];
+
+  /**
+   * Renders the bits of a row in bytes, marking the sign bit, the bits a
+   * shift moved in and the bits that do not count.
+   *
+   * @param {import("../lib/bitwise").BitRow} row
+   * @returns {HTMLElement}
+   */
+  function renderBits(row) {
+    const wrapper = element("span", "bitwise-bits");
+    const unused = row.bits.length - row.used;
+    let byte = null;
+    [...row.bits].forEach((bit, index) => {
+      if (index % 8 === 0) {
+        byte = element("span", "bitwise-byte");
+        wrapper.append(byte);
+      }
+      const classes = ["bitwise-bit"];
+      if (index === 0 && row.used === row.bits.length) classes.push("bitwise-sign-bit");
+      if (index < unused) classes.push("bitwise-unused");
+      if (row.filled && index >= row.filled.start && index < row.filled.end) classes.push("bitwise-filled");
+      const span = element("span", classes.join(" "), bit);
+      span.title = `bit ${row.bits.length - 1 - index}`;
+      byte.append(span);
+    });
+    return wrapper;
+  }
+
+  /**
+   * Renders one row of a step's table, with its notes on the rows below.
+   *
+   * @param {HTMLElement} table
+   * @param {string} label The operand's source, or the operator.
+   * @param {import("../lib/bitwise").BitRow} row
+   * @param {string|null} className
+   */
+  function appendRow(table, label, row, className) {
+    const line = element("tr", className);
+    const heading = element("th");
+    heading.scope = "row";
+    heading.append(element("code", null, label));
+    const conversion = element("td", "bitwise-conversion", row.conversion || "result");
+    if (row.input !== null) conversion.append(" of ", element("code", null, row.input));
+    const bits = element("td");
+    bits.append(renderBits(row));
+    line.append(heading, conversion, element("td", "bitwise-value", row.value), bits);
+    table.append(line);
+    for (const note of row.notes) {
+      const noteRow = element("tr", "bitwise-note");
+      const cell = element("td", null, note);
+      cell.colSpan = 3;
+      noteRow.append(element("td"), cell);
+      table.append(noteRow);
+    }
+  }
+
+  /**
+   * Renders one operation that ran: its operands' and its result's bits, and
+   * what the operator did to them.
+   *
+   * @param {import("../lib/bitwise").BitwiseOperation} operation
+   * @param {import("../lib/bitwise").BitwiseStep} step
+   * @returns {HTMLElement}
+   */
+  function renderStep(operation, step) {
+    const section = element("section", "bitwise-step");
+    const heading = element("h2");
+    heading.append(element("code", null, operation.text), " → ", element("code", null, step.result.value));
+    const table = element("table", "hoisting-table bitwise-table");
+    step.operands.forEach((row, index) => appendRow(table, operation.operands[index], row, null));
+    appendRow(table, step.operator, step.result, "bitwise-result");
+    section.append(heading, table);
+    if (step.notes.length > 0) {
+      const notes = element("ul", "bitwise-notes");
+      for (const note of step.notes) notes.append(element("li", null, note));
+      section.append(notes);
+    }
+    return section;
+  }
+
+  function init() {
+    const form = document.getElementById("bitwise-form");
+    const setupInput = document.getElementById("bitwise-setup");
+    const expressionInput = document.getElementById("bitwise-expression");
+    const status = document.getElementById("bitwise-status");
+    const output = document.getElementById("bitwise-steps");
+    let running = null;
+
+    const visualize = () => {
+      if (running) running.stop();
+      running = null;
+      output.replaceChildren();
+      status.textContent = "";
+
+      const params = { q: expressionInput.value };
+      if (setupInput.value.trim()) params.setup = setupInput.value;
+      setPermalink(params);
+      if (!expressionInput.value.trim()) {
+        status.textContent = "Enter an expression that uses a bitwise operator.";
+        return;
+      }
+
+      const instrumented = instrumentExpression(expressionInput.value);
+      if (instrumented.operations.length === 0) {
+        status.textContent = "There is no bitwise operator here, outside calls, literals and function bodies.";
+        return;
+      }
+
+      // The setup and the expression run as scripts of their own, so their
+      // errors are reported and the report still runs after them.
+      running = startRecordedRun(
+        {
+          recorder: RECORDER_NAME,
+          create: "LessonKit.bitwise.createRecorder()",
+          sections: [
+            { title: "Setup", code: setupInput.value },
+            { title: "Expression", code: instrumented.code },
+          ],
+          type: "bitwise",
+          scripts: FRAME_SCRIPTS,
+          title: "Sandbox for the bitwise visualizer",
+        },
+        (run) => {
+          running = null;
+          const notes = run.errors.map((error) => `✗ ${error}`);
+          if (run.steps.length === 0 && run.errors.length === 0) notes.push("No bitwise operator ran.");
+          if (run.truncated) notes.push(`Only the first ${run.steps.length} operations are shown.`);
+          status.textContent = notes.join(" ");
+          if (run.value !== null) {
+            const result = element("p", "trace-result");
+            result.append("Result: ", element("code", "trace-value", run.value));
+            output.append(result);
+          }
+          for (const step of run.steps) output.append(renderStep(instrumented.operations[step.operation], step));
+        }
+      );
+    };
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      visualize();
+    });
+
+    addExamples(EXAMPLES, { label: (example) => example.label || example.expression, code: true }, (example) => {
+      expressionInput.value = example.expression;
+      setupInput.value = example.setup || "";
+      visualize();
+    });
+
+    const params = new URLSearchParams(location.search);
+    if (params.has("q")) {
+      expressionInput.value = params.get("q");
+      setupInput.value = params.get("setup") || "";
+    }
+    visualize();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview The closure visualizer on closures.html.
+ *
+ * Finds the snippet's loops and the closures made in them here (see
+ * `lib/closures.js`), then runs the instrumented snippet in a sandboxed frame
+ * on a virtual clock, so timer callbacks run right after it. Each run of a
+ * loop is drawn as a diagram: on the left its environment records, one per
+ * iteration for `let` and a single shared one for `var`, and on the right the
+ * closures it made, with an arrow from each variable a closure reads to the
+ * binding it captured. The snippet is kept in the URL
+ * (`closures.html?code=…`) so runs can be shared.
+ *
+ * Needs `lib/js-tokens.js`, `lib/inspect.js`, `lib/statements.js`,
+ * `lib/tdz-stepper.js`, `lib/closures.js`, `site/dom.js`,
+ * `site/frame-runner.js` and `site/tool-page.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { RECORDER_NAME, analyzeClosures, instrument, isPerIteration, describeBindings } = self.LessonKit.closures;
+  const { element } = self.LessonKit.dom;
+  const { setPermalink, addExamples, startRecordedRun } = self.LessonKit.toolPage;
+
+  const FRAME_SCRIPTS = ["lib/js-tokens.js", "lib/statements.js", "lib/tdz-stepper.js", "lib/closures.js", "lib/virtual-clock.js"];
+  const CLOCK_NAME = "__closureClock";
+  const EXAMPLES = [
+    {
+      label: "Loop trap (015, Q6)",
+      code: 'for (var i_q6 = 0; i_q6 < 3; i_q6++) {\n  setTimeout(() => console.log("Q6 var:", i_q6), 100);\n}',
+    },
+    {
+      label: "Closure + var/let (015, Q8)",
+      code: 'function counter_q8() {\n  for (var i = 0; i < 3; i++) {\n    setTimeout(() => console.log("Q8 var:", i), i * 100 + 200);\n  }\n  for (let j = 0; j < 3; j++) {\n    setTimeout(() => console.log("Q8 let:", j), j * 100 + 200);\n  }\n}\ncounter_q8();',
+    },
+    {
+      label: "Problem with var in loops (002)",
+      code: "for (var i = 0; i < 3; i++) {\n  // The same `i` is shared across all timeout functions.\n  setTimeout(() => console.log(i), 1000);\n}",
+    },
+    {
+      label: "Fix with let (003)",
+      code: "for (let i = 0; i < 3; i++) {\n  // `let` creates a new `i` for each iteration.\n  setTimeout(() => console.log(i), 1000);\n}",
+    },
+    {
+      label: "A let copy inside a var loop",
+      code: "for (var i = 0; i < 3; i++) {\n  let copy = i;\n  setTimeout(() => console.log(i, copy), 100);\n}",
+    },
+    {
+      label: "Functions kept in an array",
+      code: "const fns = [];\nfor (var i = 0; i < 3; i++) {\n  fns.push(() => i);\n}\nconsole.log(fns.map((fn) => fn()));",
+    },
+  ];
+
+  // Diagram geometry, in SVG units (one unit is one CSS pixel at full size).
+  const SVG = "http://www.w3.org/2000/svg";
+  const PADDING = 8;
+  const RECORD_WIDTH = 220;
+  const CLOSURE_WIDTH = 340;
+  const GAP = 110;
+  const HEADER = 26;
+  const ROW = 22;
+  const SPACING = 14;
+  // About the width of a character of the 12px monospace font the diagram uses.
+  const CHARACTER = 7.3;
+  let diagrams = 0;
+
+  /**
+   * Creates an SVG element with attributes.
+   *
+   * @param {string} tag
+   * @param {Object<string, string|number>} attributes
+   * @returns {SVGElement}
+   */
+  function svgElement(tag, attributes) {
+    const node = document.createElementNS(SVG, tag);
+    for (const [name, value] of Object.entries(attributes)) node.setAttribute(name, String(value));
+    return node;
+  }
+
+  /**
+   * Creates a line of SVG text, cut short with an ellipsis when it would not
+   * fit in `width`. The whole text is kept as its tooltip.
+   *
+   * @param {string} text
+   * @param {number} x
+   * @param {number} y The top of the row.
+   * @param {number} width
+   * @param {string} className
+   * @returns {SVGElement}
+   */
+  function svgText(text, x, y, width, className) {
+    const fits = Math.floor((width - 2 * PADDING) / CHARACTER);
+    const node = svgElement("text", { x: x + PADDING, y: y + ROW * 0.7, class: className });
+    node.textContent = text.length > fits ? `${text.slice(0, fits - 1)}…` : text;
+    const title = svgElement("title", {});
+    title.textContent = text;
+    node.append(title);
+    return node;
+  }
+
+  /**
+   * Draws a box: a rectangle with a heading and one row of text per line.
+   *
+   * @param {SVGElement} svg
+   * @param {{ x: number, y: number, width: number, heading: string, rows: Array<{ text: string, className: string }>, className: string }} box
+   * @returns {number} The box's height.
+   */
+  function drawBox(svg, { x, y, width, heading, rows, className }) {
+    const height = HEADER + rows.length * ROW + 4;
+    svg.append(
+      svgElement("rect", { x, y, width, height, rx: 6, class: className }),
+      svgText(heading, x, y + 2, width, "closure-heading"),
+      svgElement("line", { x1: x, y1: y + HEADER, x2: x + width, y2: y + HEADER, class: "closure-divider" })
+    );
+    rows.forEach((row, index) => svg.append(svgText(row.text, x, y + HEADER + index * ROW, width, row.className)));
+    return height;
+  }
+
+  /**
+   * Draws one run of a loop: its environment records on the left, the
+   * closures it made on the right, and an arrow from each variable a closure
+   * reads to the binding it captured.
+   *
+   * @param {import("../lib/closures").ClosureAnalysis} analysis
+   * @param {import("../lib/closures").ClosureLoop} loop
+   * @param {import("../lib/closures").LoopRun} loopRun
+   * @returns {SVGElement}
+   */
+  function renderDiagram(analysis, loop, loopRun) {
+    const id = `closure-diagram-${++diagrams}`;
+    const svg = svgElement("svg", { class: "closure-diagram", role: "img", "aria-label": `Environment records and closures of the loop on line ${loop.line}` });
+    const defs = svgElement("defs", {});
+    for (const kind of ["shared", "iteration"]) {
+      const marker = svgElement("marker", { id: `${id}-${kind}`, viewBox: "0 0 10 10", refX: 9, refY: 5, markerWidth: 7, markerHeight: 7, orient: "auto" });
+      marker.append(svgElement("path", { d: "M 0 0 L 10 5 L 0 10 z", class: `closure-arrowhead closure-arrowhead-${kind}` }));
+      defs.append(marker);
+    }
+    svg.append(defs);
+
+    // The records, with where each of their bindings is drawn.
+    const after = (iteration, name) => (iteration ? iteration.end[name] : "?");
+    const records = [];
+    if (loop.shared.length > 0) {
+      const names = loop.shared.map((variable) => variable.name);
+      records.push({ kind: "shared", heading: `Shared · ${loop.sharedIn}`, names, values: names.map((name) => after(loopRun.iterations[0], name)) });
+    }
+    if (loop.perIteration.length > 0) {
+      const names = loop.perIteration.map((variable) => variable.name);
+      loopRun.iterations.forEach((iteration, index) => {
+        records.push({ kind: "iteration", heading: `Iteration ${index + 1}`, names, values: names.map((name) => after(iteration, name)), iteration: index });
+      });
+    }
+    let recordsHeight = PADDING;
+    for (const record of records) {
+      record.y = recordsHeight;
+      const rows = record.names.map((name, index) => ({ text: `${name} = ${record.values[index]}`, className: "closure-binding" }));
+      recordsHeight += drawBox(svg, { x: PADDING, y: record.y, width: RECORD_WIDTH, heading: record.heading, rows, className: `closure-record closure-record-${record.kind}` }) + SPACING;
+    }
+
+    const left = PADDING + RECORD_WIDTH + GAP;
+    let closuresHeight = PADDING;
+    loopRun.closures.forEach((captured, index) => {
+      const closure = analysis.closures[captured.closure];
+      const rows = [{ text: closure.text, className: "closure-code" }];
+      const arrows = [];
+      for (const name of closure.captures) {
+        const perIteration = isPerIteration(loop, name);
+        const record = records.find((candidate) => (perIteration ? candidate.iteration === captured.iteration : candidate.kind === "shared"));
+        const called = captured.calls.map((call) => call.values[name]);
+        const when = called.length > 0 ? `${called.join(", ")} when it ran` : "never called";
+        arrows.push({ record, name, kind: perIteration ? "iteration" : "shared", row: rows.length });
+        rows.push({ text: `${name}: ${captured.created[name]} when made, ${when}`, className: "closure-binding" });
+      }
+      const printed = captured.calls.flatMap((call) => call.output);
+      if (printed.length > 0) rows.push({ text: `printed: ${printed.join(" | ")}`, className: "closure-printed" });
+
+      const y = closuresHeight;
+      const heading = `#${index + 1} · made in iteration ${captured.iteration + 1}`;
+      closuresHeight += drawBox(svg, { x: left, y, width: CLOSURE_WIDTH, heading, rows, className: "closure-box" }) + SPACING;
+
+      for (const arrow of arrows) {
+        if (!arrow.record) continue;
+        const fromY = y + HEADER + arrow.row * ROW + ROW / 2;
+        const toX = PADDING + RECORD_WIDTH;
+        const toY = arrow.record.y + HEADER + arrow.record.names.indexOf(arrow.name) * ROW + ROW / 2;
+        svg.append(
+          svgElement("path", {
+            d: `M ${left} ${fromY} C ${left - GAP / 2} ${fromY}, ${toX + GAP / 2} ${toY}, ${toX} ${toY}`,
+            class: `closure-arrow closure-arrow-${arrow.kind}`,
+            "marker-end": `url(#${id}-${arrow.kind})`,
+          })
+        );
+      }
+    });
+
+    const width = left + CLOSURE_WIDTH + PADDING;
+    const height = Math.max(recordsHeight, closuresHeight) - SPACING + PADDING;
+    svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    svg.setAttribute("width", String(width));
+    return svg;
+  }
+
+  /**
+   * Renders every run of a loop that made closures reading its variables.
+   *
+   * @param {import("../lib/closures").ClosureAnalysis} analysis
+   * @param {import("../lib/closures").ClosureRun} run
+   * @returns {HTMLElement}
+   */
+  function renderRun(analysis, run) {
+    const wrapper = element("div", "closure-runs");
+    const counts = new Map();
+    for (const loopRun of run.loops) {
+      if (loopRun.closures.length === 0) continue;
+      const loop = analysis.loops[loopRun.loop];
+      counts.set(loop.id, (counts.get(loop.id) || 0) + 1);
+      const times = run.loops.filter((other) => other.loop === loop.id).length;
+
+      const section = element("section", "closure-run");
+      section.append(element("h2", null, times > 1 ? `Loop on line ${loop.line} (run ${counts.get(loop.id)} of ${times})` : `Loop on line ${loop.line}`));
+      const text = element("p");
+      text.append(element("code", null, loop.text));
+      const bindings = element("ul", "hoisting-notes");
+      for (const sentence of describeBindings(loop)) bindings.append(element("li", null, sentence));
+      section.append(text, bindings, renderDiagram(analysis, loop, loopRun));
+
+      const printed = loopRun.closures.flatMap((captured) => captured.calls.flatMap((call) => call.output));
+      if (printed.length > 0) section.append(element("pre", "tdz-output", printed.join("\n")));
+      wrapper.append(section);
+    }
+    return wrapper;
+  }
+
+  function init() {
+    const form = document.getElementById("closures-form");
+    const input = document.getElementById("closures-code");
+    const status = document.getElementById("closures-status");
+    const output = document.getElementById("closures-diagrams");
+    let running = null;
+
+    const visualize = () => {
+      if (running) running.stop();
+      running = null;
+      output.replaceChildren();
+      status.textContent = "";
+
+      const source = input.value;
+      setPermalink({ code: source });
+
+      const analysis = analyzeClosures(source);
+      if (analysis.closures.length === 0) {
+        status.textContent = "No closure made in a loop reads the loop's variables.";
+        return;
+      }
+      status.textContent = "Running…";
+
+      // The timers run on a virtual clock, flushed just before the report.
+      running = startRecordedRun(
+        {
+          recorder: RECORDER_NAME,
+          create: "LessonKit.closures.createRecorder()",
+          prepare:
+            `${RECORDER_NAME}.watchConsole(console);\n` +
+            `self.${CLOCK_NAME} = LessonKit.virtualClock.createVirtualClock({ maxCallbacks: 1000 });\n` +
+            `for (const name of ["setTimeout", "clearTimeout", "setInterval", "clearInterval"]) self[name] = ${CLOCK_NAME}[name];\n`,
+          sections: [{ title: "Snippet", code: instrument(analysis) }],
+          finish: `${CLOCK_NAME}.flush({ onError: ${RECORDER_NAME}.fail });\n`,
+          type: "closures",
+          scripts: FRAME_SCRIPTS,
+          title: "Sandbox for the closure visualizer",
+        },
+        (run) => {
+          running = null;
+          const made = run.loops.some((loopRun) => loopRun.closures.length > 0);
+          const notes = run.errors.map((error) => `✗ ${error}`);
+          if (!made) notes.unshift("No loop made a closure while the snippet ran.");
+          if (run.truncated) notes.push("Some loops ran too often to record every iteration, closure or call.");
+          status.textContent = notes.join(" ");
+          if (made) output.append(renderRun(analysis, run));
+        }
+      );
+    };
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      visualize();
+    });
+
+    addExamples(EXAMPLES, { label: (example) => example.label }, (example) => {
+      input.value = example.code;
+      visualize();
+    });
+
+    const params = new URLSearchParams(location.search);
+    input.value = params.has("code") ? params.get("code") : EXAMPLES[0].code;
+    visualize();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Renders the messages posted by a lesson frame (see
+ * `site/lesson-frame.js`) as a console panel.
+ *
+ * Output is grouped under the lesson's `--- Section ---` headings, logged
+ * objects and arrays are shown as expandable trees, errors (uncaught or
+ * logged) are highlighted, and sections the browser could not run say why.
+ * Shared by index.html and the lesson playground; exposed as
+ * `LessonKit.consoleView`. Needs `site/dom.js` to be loaded first.
+ */
+(function (root) {
+  "use strict";
+
+  const { element } = root.LessonKit.dom;
+
+  const SECTION_MARKER = /^\s*---\s*(.+?)\s*---\s*$/;
+  // Lessons print caught errors as `console.log("x throws error:", e.message)`.
+  const CAUGHT_ERROR_LABEL = /\b(?:error|throws|fails)\b[^:]*:\s*$/i;
+
+  /**
+   * Renders a value tree from `LessonKit.inspect.toTree`. Objects become a
+   * `<details>` whose children are only built the first time it is opened.
+   *
+   * @param {{ summary: string, entries?: Array<{ key: string, value: Object }>, error?: boolean }} node
+   * @returns {HTMLElement}
+   */
+  function renderTree(node) {
+    if (!node.entries) {
+      return element("span", node.error ? "console-value console-error-value" : "console-value", node.summary);
+    }
+
+    const tree = element("details", "console-tree");
+    tree.append(element("summary", null, node.summary));
+    tree.addEventListener(
+      "toggle",
+      () => {
+        for (const entry of node.entries) {
+          const row = element("div", "console-tree-entry");
+          row.append(element("span", "console-key", `${entry.key}: `), renderTree(entry.value));
+          tree.append(row);
+        }
+      },
+      { once: true }
+    );
+    return tree;
+  }
+
+  /**
+   * @typedef {Object} ConsoleState
+   * @property {number} lines Console calls received.
+   * @property {number} errors Uncaught errors received.
+   * @property {boolean} done Whether the lesson script has finished loading.
+   */
+
+  /**
+   * Turns an element into a console panel fed with frame messages.
+   *
+   * @param {HTMLElement} log Element the output is appended to.
+   * @param {{ sections?: boolean }} [options] Set `sections: false` to print
+   *   `--- Title ---` markers as plain lines instead of starting a group.
+   * @returns {{ handle: function(Object): void, clear: function(): void, state: ConsoleState }}
+   */
+  function createConsoleView(log, { sections = true } = {}) {
+    const state = { lines: 0, errors: 0, done: false };
+    let section = null;
+
+    // Lines go into the current section, or straight into the panel before the first one.
+    const append = (line) => {
+      (section || log).append(line);
+    };
+
+    const startSection = (title) => {
+      section = element("details", "console-section");
+      section.open = true;
+      section.append(element("summary", null, title));
+      log.append(section);
+    };
+
+    // Only uncaught errors count as failures; logged ones are just highlighted.
+    const markError = (uncaught) => {
+      if (uncaught) state.errors++;
+      if (section) section.classList.add("has-errors");
+    };
+
+    const handle = (message) => {
+      if (message.type === "console") {
+        state.lines++;
+        const marker = sections && SECTION_MARKER.exec(message.text);
+        if (marker) {
+          startSection(marker[1]);
+          return;
+        }
+        const parts = message.parts || [{ summary: message.text }];
+        const line = element("div", `console-line console-${message.method}`);
+        parts.forEach((part, index) => {
+          if (index > 0) line.append(" ");
+          line.append(renderTree(part));
+        });
+        const isCaughtError = parts.length > 1 && CAUGHT_ERROR_LABEL.test(parts[0].summary);
+        if (message.method === "error" || isCaughtError || parts.some((part) => part.error)) {
+          line.classList.add("console-has-error");
+          markError(false);
+        }
+        append(line);
+      } else if (message.type === "error") {
+        markError(true);
+        append(element("div", "console-line console-uncaught", `Uncaught ${message.message}${message.line ? ` (line ${message.line})` : ""}`));
+      } else if (message.type === "skipped") {
+        if (sections) startSection(message.title);
+        append(element("div", "console-line console-skipped", sections ? `⏭ Skipped: ${message.reason}` : `⏭ Skipped ${message.title}: ${message.reason}`));
+      } else if (message.type === "done") {
+        state.done = true;
+      }
+    };
+
+    const clear = () => {
+      log.replaceChildren();
+      section = null;
+      Object.assign(state, { lines: 0, errors: 0, done: false });
+    };
+
+    return { handle, clear, state };
+  }
+
+  root.LessonKit = root.LessonKit || {};
+  root.LessonKit.consoleView = {
+    createConsoleView,
+    renderTree,
+  };
+})(self);
@@ -0,0 +1,63 @@
+/**
+ * @fileoverview Small helpers shared by the site's pages: building elements,
+ * and keeping a value in this browser's `localStorage`.
+ *
+ * Exposed as `LessonKit.dom`; load it before the page's own script.
+ */
+(function (root) {
+  "use strict";
+
+  /**
+   * Creates an element with a class name and text.
+   *
+   * @param {string} tag
+   * @param {string} [className]
+   * @param {string} [text]
+   * @returns {HTMLElement}
+   */
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  /**
+   * Keeps one JSON object in `localStorage` under `key`. When storage is
+   * unavailable (some browsers block it for `file://` pages, or in private
+   * windows) the object is kept in memory instead, until the page is closed.
+   *
+   * @param {string} key
+   * @returns {{ load: function(): (Object|null), save: function(Object): void }}
+   *   `load` reads the stored object again each time, so other open tabs'
+   *   changes are seen; it gives null when nothing was saved yet.
+   */
+  function createStore(key) {
+    let memory = null;
+    return {
+      load() {
+        try {
+          const stored = JSON.parse(localStorage.getItem(key));
+          if (stored && typeof stored === "object") return stored;
+        } catch (error) {
+          // Fall through to the in-memory copy.
+        }
+        return memory;
+      },
+      save(value) {
+        memory = value;
+        try {
+          localStorage.setItem(key, JSON.stringify(value));
+        } catch (error) {
+          // Storage is blocked or full; keep the in-memory copy.
+        }
+      },
+    };
+  }
+
+  root.LessonKit = root.LessonKit || {};
+  root.LessonKit.dom = {
+    element,
+    createStore,
+  };
+})(self);
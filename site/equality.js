@@ -0,0 +1,165 @@
+/**
+ * @fileoverview The equality matrix on equality.html.
+ *
+ * Makes the values and compares every pair in a sandboxed frame (see
+ * `lib/equality-matrix.js`), so the learner's own values run there and not
+ * in this page, then shows the matrix of one operator at a time. Every cell
+ * links to the operator explainer (explain.html) with its expression, for
+ * the step-by-step coercion behind the result. The operator, and the values
+ * when they are not the standard ones, are kept in the URL
+ * (`equality.html?op=%3E%3D`) so matrices can be shared.
+ *
+ * Needs `lib/js-tokens.js`, `lib/inspect.js`, `lib/coercion-trace.js`,
+ * `lib/equality-matrix.js`, `site/dom.js`, `site/frame-runner.js` and
+ * `site/tool-page.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { STANDARD_VALUES, OPERATORS, valuesCode, cellExpression } = self.LessonKit.equalityMatrix;
+  const { startFrame } = self.LessonKit.frameRunner;
+  const { element } = self.LessonKit.dom;
+  const { setPermalink } = self.LessonKit.toolPage;
+
+  const FRAME_SCRIPTS = ["lib/js-tokens.js", "lib/coercion-trace.js", "lib/equality-matrix.js"];
+
+  /**
+   * Renders the matrix of one operator. Rows are the left operand; each
+   * cell links to the explanation of its expression.
+   *
+   * @param {import("../lib/equality-matrix").EqualityMatrix} matrix
+   * @param {string} operator
+   * @returns {HTMLElement}
+   */
+  function renderMatrix(matrix, operator) {
+    const table = element("table", "equality-matrix");
+    table.append(element("caption", null, "Rows are the left operand, columns the right one. Click a cell to see how it got its result."));
+
+    const header = element("tr");
+    const corner = element("th");
+    corner.append(element("code", null, operator));
+    header.append(corner);
+    for (const label of matrix.labels) {
+      const heading = element("th");
+      heading.scope = "col";
+      heading.append(element("code", null, label));
+      header.append(heading);
+    }
+    const head = element("thead");
+    head.append(header);
+
+    const body = element("tbody");
+    matrix.cells[operator].forEach((cells, row) => {
+      const line = element("tr");
+      const heading = element("th");
+      heading.scope = "row";
+      heading.append(element("code", null, matrix.labels[row]));
+      line.append(heading);
+      cells.forEach((cell, column) => {
+        const expression = cellExpression(matrix, operator, row, column);
+        const text = cell.error ? "throws" : String(cell.result);
+        const td = element("td", `equality-${cell.error ? "throws" : cell.result}${row === column ? " equality-diagonal" : ""}`);
+        const link = element("a", null, text);
+        link.href = `explain.html?${new URLSearchParams({ q: expression })}`;
+        link.title = `${expression} → ${cell.error || text}`;
+        td.append(link);
+        line.append(td);
+      });
+      body.append(line);
+    });
+    table.append(head, body);
+    return table;
+  }
+
+  function init() {
+    const form = document.getElementById("equality-form");
+    const input = document.getElementById("equality-values");
+    const status = document.getElementById("equality-status");
+    const output = document.getElementById("equality-matrix");
+    const buttons = document.querySelector(".equality-operators");
+    let running = null;
+    let matrix = null;
+
+    const params = new URLSearchParams(location.search);
+    let operator = OPERATORS.includes(params.get("op")) ? params.get("op") : OPERATORS[0];
+    input.value = params.has("values") ? params.get("values") : STANDARD_VALUES.join("\n");
+
+    const expressions = () =>
+      input.value
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean);
+
+    const remember = () => {
+      const query = { op: operator };
+      if (expressions().join("\n") !== STANDARD_VALUES.join("\n")) query.values = expressions().join("\n");
+      setPermalink(query);
+    };
+
+    const show = () => {
+      for (const button of buttons.querySelectorAll("button")) button.setAttribute("aria-pressed", String(button.value === operator));
+      output.replaceChildren();
+      if (matrix) output.append(renderMatrix(matrix, operator));
+    };
+
+    const compare = () => {
+      if (running) running.stop();
+      running = null;
+      matrix = null;
+      show();
+      remember();
+
+      const values = expressions();
+      if (values.length === 0) {
+        status.textContent = "Enter at least one value.";
+        return;
+      }
+      status.textContent = "Comparing…";
+      const code = `lessonFrame.report({ type: "matrix", matrix: LessonKit.equalityMatrix.buildMatrix(${valuesCode(values)}) });`;
+      running = startFrame({ code, scripts: FRAME_SCRIPTS, title: "Sandbox for the equality matrix" }, (message) => {
+        if (message.type === "matrix") {
+          running.stop();
+          running = null;
+          matrix = message.matrix;
+          status.textContent = "";
+          show();
+        } else if (message.type === "error") {
+          status.textContent = `The values could not be made: ${message.message}`;
+        } else if (message.type === "done" && !matrix) {
+          running.stop();
+          running = null;
+        }
+      });
+    };
+
+    for (const name of OPERATORS) {
+      const button = element("button", "equality-operator");
+      button.type = "button";
+      button.value = name;
+      button.append(element("code", null, name));
+      button.addEventListener("click", () => {
+        operator = name;
+        remember();
+        show();
+      });
+      buttons.append(" ", button);
+    }
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      compare();
+    });
+    document.getElementById("equality-reset").addEventListener("click", () => {
+      input.value = STANDARD_VALUES.join("\n");
+      compare();
+    });
+
+    compare();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview The operator explainer on explain.html.
+ *
+ * Splits the expression at its operator (see `lib/coercion-trace.js`), then
+ * evaluates the operands and traces the operator in a sandboxed frame, after
+ * the learner's setup code, so their objects' `valueOf` and `toString` run
+ * there and not in this page. The frame reports the trace back and it is
+ * shown as nested steps; anything the code logs or throws goes to the
+ * console panel below. The expression is kept in the URL
+ * (`explain.html?q=null+>=+0`) so explanations can be shared.
+ *
+ * Needs `lib/js-tokens.js`, `lib/inspect.js`, `lib/coercion-trace.js`,
+ * `site/dom.js`, `site/frame-runner.js`, `site/console-view.js` and
+ * `site/tool-page.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { parseExpression, formatExpression } = self.LessonKit.coercionTrace;
+  const { startFrame } = self.LessonKit.frameRunner;
+  const { createConsoleView } = self.LessonKit.consoleView;
+  const { element } = self.LessonKit.dom;
+  const { setPermalink, addExamples } = self.LessonKit.toolPage;
+
+  const TRACE_SCRIPTS = ["lib/js-tokens.js", "lib/coercion-trace.js"];
+  const EXAMPLES = [
+    { expression: "[] == ![]" },
+    { expression: "[1] + [2,3]" },
+    { expression: "null >= 0" },
+    { expression: "null == 0" },
+    { expression: "NaN === NaN" },
+    { expression: "Object.is(-0, 0)" },
+    { expression: '"10" < "9"' },
+    { expression: "new Date(0) + 1" },
+    { expression: '1n == "1"' },
+    {
+      expression: "money + 1",
+      setup: "const money = {\n  valueOf() { return 5; },\n  toString() { return \"$5\"; },\n};",
+    },
+    {
+      expression: "temperature + 1",
+      setup:
+        "const temperature = {\n  [Symbol.toPrimitive](hint) {\n    return hint === \"number\" ? 21 : \"21°C\";\n  },\n};",
+    },
+  ];
+
+  /**
+   * Renders a trace as a list of steps indented by how deeply they are nested.
+   *
+   * @param {import("../lib/coercion-trace").Trace} trace
+   * @returns {HTMLElement}
+   */
+  function renderTrace(trace) {
+    const wrapper = element("div", "trace");
+    wrapper.append(element("p", "trace-operands", formatExpression(trace.operator, trace.left, trace.right)));
+
+    const list = element("ol", "trace-steps");
+    for (const step of trace.steps) {
+      const item = element("li", `trace-step trace-${step.kind}`);
+      item.style.marginLeft = `${step.depth * 1.5}rem`;
+      item.append(element(step.kind === "rule" ? "span" : "code", null, step.text));
+      if (step.error) item.append(" ", element("span", "trace-error", `throws ${step.error}`));
+      else if (step.result !== undefined) item.append(" → ", element("code", "trace-value", step.result));
+      list.append(item);
+    }
+    wrapper.append(list);
+
+    const result = element("p", "trace-result");
+    if (trace.error) result.append("Throws ", element("code", "trace-error", trace.error));
+    else result.append("Result: ", element("code", "trace-value", trace.result));
+    wrapper.append(result);
+    return wrapper;
+  }
+
+  function init() {
+    const form = document.getElementById("explain-form");
+    const setupInput = document.getElementById("explain-setup");
+    const expressionInput = document.getElementById("explain-expression");
+    const status = document.getElementById("explain-status");
+    const output = document.getElementById("explain-trace");
+    const log = document.getElementById("explain-console");
+    const view = createConsoleView(log, { sections: false });
+    let running = null;
+
+    const explain = () => {
+      if (running) running.stop();
+      running = null;
+      output.replaceChildren();
+      view.clear();
+      log.hidden = true;
+      status.textContent = "";
+
+      let expression;
+      try {
+        expression = parseExpression(expressionInput.value);
+      } catch (error) {
+        status.textContent = error.message;
+        return;
+      }
+
+      const params = { q: expressionInput.value };
+      if (setupInput.value.trim()) params.setup = setupInput.value;
+      setPermalink(params);
+
+      // The newlines end any line comment at the end of an operand.
+      const code =
+        `${setupInput.value}\n;lessonFrame.report({ type: "trace", trace: LessonKit.coercionTrace.traceOperation(` +
+        `${JSON.stringify(expression.operator)}, (${expression.left}\n), (${expression.right}\n)) });`;
+      running = startFrame({ code, scripts: TRACE_SCRIPTS, title: "Sandbox for the explained expression" }, (message) => {
+        if (message.type === "trace") {
+          output.replaceChildren(renderTrace(message.trace));
+          return;
+        }
+        view.handle(message);
+        if (message.type === "console" || message.type === "error") log.hidden = false;
+      });
+    };
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      explain();
+    });
+
+    addExamples(EXAMPLES, { label: (example) => example.expression, code: true }, (example) => {
+      expressionInput.value = example.expression;
+      setupInput.value = example.setup || "";
+      explain();
+    });
+
+    const params = new URLSearchParams(location.search);
+    if (params.has("q")) {
+      expressionInput.value = params.get("q");
+      setupInput.value = params.get("setup") || "";
+    }
+    explain();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
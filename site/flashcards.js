@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Flashcard reviews for flashcards.html.
+ *
+ * Cards are extracted from the brain-benders in the lessons (see
+ * `lib/flashcards.js`) and scheduled with SM-2 (see
+ * `lib/spaced-repetition.js`). Each session shows the cards that are due,
+ * oldest first, then the cards never reviewed. The learner reads the front,
+ * reveals the back and grades their answer: Again, Hard, Good or Easy
+ * (keys 1–4; Space reveals the answer).
+ *
+ * The review state of every card is kept in this browser's `localStorage`.
+ * `flashcards.html#016` only reviews the cards of one lesson.
+ * Needs `lib/js-tokens.js`, `lib/highlight.js`, `lib/prose-format.js`,
+ * `lib/lesson-model.js`, `lib/flashcards.js`, `lib/spaced-repetition.js`,
+ * `site/generated/lessons.js` and `site/dom.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { highlight } = self.LessonKit.highlight;
+  const { formatInline, formatProse } = self.LessonKit.proseFormat;
+  const { extractCards } = self.LessonKit.flashcards;
+  const { newCardState, reviewCard, isDue, describeDelay } = self.LessonKit.spacedRepetition;
+  const lessons = self.LessonKit.lessons;
+  const { element, createStore } = self.LessonKit.dom;
+
+  const STORAGE_KEY = "lessonkit:flashcards";
+  const GRADE_BUTTONS = [
+    { grade: "again", label: "Again" },
+    { grade: "hard", label: "Hard" },
+    { grade: "good", label: "Good" },
+    { grade: "easy", label: "Easy" },
+  ];
+
+  const store = createStore(STORAGE_KEY);
+
+  /**
+   * Reads the review state of every card, keyed by card id.
+   *
+   * @returns {Object<string, Object>}
+   */
+  function loadStates() {
+    return store.load() || {};
+  }
+
+  function saveState(cardId, state) {
+    const states = loadStates();
+    states[cardId] = state;
+    store.save(states);
+  }
+
+  /**
+   * Creates an element from HTML produced by the lib/ formatters, which
+   * escape everything they are given.
+   */
+  function htmlElement(tag, className, html) {
+    const node = element(tag, className);
+    node.innerHTML = html;
+    return node;
+  }
+
+  function codeBlock(code) {
+    return htmlElement("pre", "code", `<code>${highlight(code)}</code>`);
+  }
+
+  /**
+   * Orders the cards for a session: due cards by due date, then new cards in
+   * lesson order.
+   *
+   * @param {Object[]} cards
+   * @param {number} now
+   * @returns {Object[]}
+   */
+  function buildQueue(cards, now) {
+    const states = loadStates();
+    const due = cards.filter((card) => states[card.id] && isDue(states[card.id], now));
+    due.sort((a, b) => states[a.id].due - states[b.id].due);
+    return [...due, ...cards.filter((card) => !states[card.id])];
+  }
+
+  function init() {
+    const root = document.getElementById("flashcards");
+    const lessonId = decodeURIComponent(location.hash.slice(1));
+    const cards = lessons
+      .filter((lesson) => !lessonId || lesson.id === lessonId.padStart(3, "0"))
+      .flatMap((lesson) => extractCards(lesson).map((card) => ({ ...card, lessonTitle: lesson.title })));
+
+    const stats = element("p", "flashcard-stats");
+    const view = element("div", "flashcard-view");
+    root.replaceChildren(stats, view);
+
+    if (cards.length === 0) {
+      stats.textContent = "No flashcards found. Run `node tools/build-index.js` to generate the lesson data.";
+      return;
+    }
+
+    let queue = buildQueue(cards, Date.now());
+    let grade = null;
+    let reveal = null;
+
+    const updateStats = () => {
+      const states = loadStates();
+      const now = Date.now();
+      const fresh = cards.filter((card) => !states[card.id]).length;
+      const due = cards.filter((card) => states[card.id] && isDue(states[card.id], now)).length;
+      stats.textContent = `${cards.length} cards · ${due} due · ${fresh} new · ${cards.length - fresh - due} scheduled for later`;
+    };
+
+    const showDone = () => {
+      grade = null;
+      reveal = null;
+      const states = loadStates();
+      const next = cards.map((card) => states[card.id]).filter(Boolean).sort((a, b) => a.due - b.due)[0];
+      const message = next ? `All caught up! The next card is due in ${describeDelay(next, Date.now())}.` : "All caught up!";
+      view.replaceChildren(element("p", "flashcard-done", message));
+    };
+
+    const showCard = () => {
+      updateStats();
+      const card = queue[0];
+      if (!card) {
+        showDone();
+        return;
+      }
+      const state = loadStates()[card.id] || newCardState();
+
+      const source = element("p", "flashcard-source");
+      const link = element("a", null, `${card.lessonId} · ${card.sectionTitle}`);
+      link.href = `lesson.html#${card.lessonId}/${card.sectionId}`;
+      source.append("From ", link, state.reviews === 0 ? " · new card" : "");
+
+      const front = element("div", "flashcard-front");
+      front.append(htmlElement("h2", null, formatInline(card.front.title)));
+      if (card.front.prompt) front.append(codeBlock(card.front.prompt));
+      if (card.front.code) front.append(codeBlock(card.front.code));
+
+      const back = element("div", "flashcard-back");
+      back.hidden = true;
+      if (card.back.answers.length > 0) {
+        const answers = element("ul", "flashcard-answers");
+        for (const answer of card.back.answers) answers.append(htmlElement("li", null, formatInline(answer)));
+        back.append(answers);
+      }
+      if (card.back.code) back.append(element("h3", null, "With the answers"), codeBlock(card.back.code));
+      if (card.back.explanation) back.append(element("h3", null, "Why"), htmlElement("div", "flashcard-explanation", formatProse(card.back.explanation)));
+
+      const showButton = element("button", "flashcard-show", "Show answer");
+      const grades = element("div", "flashcard-grades");
+      grades.hidden = true;
+      const now = Date.now();
+      for (const [index, { grade: name, label }] of GRADE_BUTTONS.entries()) {
+        const button = element("button", `flashcard-grade grade-${name}`);
+        button.append(element("strong", null, label), element("span", null, describeDelay(reviewCard(state, name, now), now)));
+        button.title = `${label} (key ${index + 1})`;
+        button.addEventListener("click", () => grade(name));
+        grades.append(button);
+      }
+
+      reveal = () => {
+        back.hidden = false;
+        showButton.hidden = true;
+        grades.hidden = false;
+        grades.querySelector(".grade-good").focus();
+      };
+      grade = (name) => {
+        const next = reviewCard(loadStates()[card.id] || newCardState(), name, Date.now());
+        saveState(card.id, next);
+        queue = queue.slice(1);
+        // Forgotten cards come back at the end of this session.
+        if (name === "again") queue.push(card);
+        showCard();
+      };
+      showButton.addEventListener("click", reveal);
+
+      view.replaceChildren(source, front, showButton, back, grades);
+      showButton.focus();
+    };
+
+    document.addEventListener("keydown", (event) => {
+      if (event.target.tagName === "INPUT" || event.target.tagName === "TEXTAREA") return;
+      if (event.key === " " && reveal && document.querySelector(".flashcard-back[hidden]")) {
+        event.preventDefault();
+        reveal();
+      } else if (/^[1-4]$/.test(event.key) && grade && !document.querySelector(".flashcard-grades[hidden]")) {
+        grade(GRADE_BUTTONS[Number(event.key) - 1].grade);
+      }
+    });
+
+    showCard();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
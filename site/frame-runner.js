@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Runs lesson code in sandboxed iframes and routes the messages
+ * each frame posts (see `site/lesson-frame.js`) back to whoever started it.
+ *
+ * Shared by the pages that run lessons (index.html, the quiz, the lesson
+ * playground). Exposed as `LessonKit.frameRunner`. Needs `site/dom.js` to be
+ * loaded first.
+ */
+(function (root) {
+  "use strict";
+
+  const { element } = root.LessonKit.dom;
+
+  const CHANNEL = "lesson-frame";
+  const FRAME_SCRIPTS = ["lib/inspect.js", "site/lesson-frame.js"];
+
+  const runs = [];
+  let container = null;
+
+  /**
+   * Escapes text for use inside an HTML attribute value.
+   *
+   * @param {string} text
+   * @returns {string}
+   */
+  function escapeAttribute(text) {
+    return text.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+  }
+
+  /**
+   * Wraps code in an inline script tag.
+   *
+   * @param {string} code
+   * @returns {string}
+   */
+  function inlineScript(code) {
+    // A literal "</script" inside the code would end the inline script early.
+    return `<script>${code.replace(/<\/(script)/gi, "<\\/$1")}\n</script>`;
+  }
+
+  /**
+   * Builds the document loaded into a frame: the frame scripts and any extra
+   * `scripts` the code needs, then inline code or a lesson's sections. A
+   * srcdoc document resolves relative URLs against the page that created it,
+   * so the paths work as-is.
+   *
+   * Code always runs from inline scripts: the frame has an opaque origin, so
+   * the browser would hide the message and line of any error thrown by a
+   * `<script src>` behind "Script error.". Nothing before the first inline
+   * script takes up a line, so without `setup` the lines errors in `code`
+   * report are the code's own.
+   *
+   * `setup` code runs first with the console muted, so a lesson section can
+   * see the declarations of the sections before it without repeating their
+   * output. Each piece is a separate classic script, so top-level `let` and
+   * `const` declarations are still shared between them.
+   *
+   * `sections` runs a lesson one section per script, so a section the
+   * browser cannot parse only stops itself. Sections with a `skipped` reason
+   * are not run at all; the frame reports them instead.
+   *
+   * @param {{ code?: string, setup?: string, sections?: Array<{ title: string, code?: string, skipped?: string }>, scripts?: string[] }} lesson
+   * @returns {string}
+   */
+  function buildFrameDocument({ code, setup, sections, scripts: extraScripts = [] }) {
+    const scripts = [...FRAME_SCRIPTS, ...extraScripts].map((script) => `<script src="${escapeAttribute(script)}"></script>`);
+    if (setup) scripts.push(inlineScript("lessonFrame.mute();"), inlineScript(setup), inlineScript("lessonFrame.unmute();"));
+    if (code !== undefined) scripts.push(inlineScript(code));
+    for (const section of sections || []) {
+      scripts.push(
+        section.skipped
+          ? inlineScript(`lessonFrame.skip(${JSON.stringify(section.title)}, ${JSON.stringify(section.skipped)});`)
+          : inlineScript(section.code)
+      );
+    }
+    return `<!DOCTYPE html><meta charset="UTF-8">${scripts.join("")}`;
+  }
+
+  function onMessage(event) {
+    if (!event.data || event.data.channel !== CHANNEL) return;
+    const run = runs.find((candidate) => candidate.frame.contentWindow === event.source);
+    if (run) run.handle(event.data);
+  }
+
+  /**
+   * Starts a piece of code or a lesson's sections in a fresh sandboxed frame
+   * (see {@link buildFrameDocument}).
+   *
+   * @param {{ code?: string, setup?: string, sections?: Object[], scripts?: string[], title?: string }} lesson
+   * @param {function(Object): void} handle Called with every message the frame posts.
+   * @returns {{ frame: HTMLIFrameElement, stop: function(): void }}
+   */
+  function startFrame(lesson, handle) {
+    if (!container) {
+      container = element("div", "lesson-frames");
+      container.hidden = true;
+      document.body.append(container);
+      window.addEventListener("message", onMessage);
+    }
+
+    const frame = document.createElement("iframe");
+    frame.sandbox = "allow-scripts";
+    frame.title = lesson.title || "Lesson sandbox";
+    frame.srcdoc = buildFrameDocument(lesson);
+    container.append(frame);
+
+    const run = { frame, handle };
+    runs.push(run);
+    return {
+      frame,
+      stop() {
+        const index = runs.indexOf(run);
+        if (index !== -1) runs.splice(index, 1);
+        frame.remove();
+      },
+    };
+  }
+
+  /**
+   * @typedef {Object} CollectedOutput
+   * @property {Array<{ method: string, text: string }>} output Console calls, in order.
+   * @property {Array<{ message: string, line: number|null }>} errors Uncaught errors.
+   * @property {boolean} timedOut Whether timers were still pending at the deadline.
+   */
+
+  /**
+   * Runs code to completion, including its timers, and collects what it printed.
+   *
+   * @param {{ code?: string, title?: string }} lesson
+   * @param {{ timeout?: number }} [options] Longest wait for pending timers, in ms.
+   * @returns {Promise<CollectedOutput>}
+   */
+  function collectOutput(lesson, { timeout = 5000 } = {}) {
+    return new Promise((resolve) => {
+      const result = { output: [], errors: [], timedOut: false };
+      let timer = null;
+
+      const finish = () => {
+        clearTimeout(timer);
+        running.stop();
+        resolve(result);
+      };
+
+      const running = startFrame(lesson, (message) => {
+        if (message.type === "console") result.output.push({ method: message.method, text: message.text });
+        else if (message.type === "error") result.errors.push({ message: message.message, line: message.line || null });
+        else if (message.type === "idle") finish();
+      });
+
+      timer = setTimeout(() => {
+        result.timedOut = true;
+        finish();
+      }, timeout);
+    });
+  }
+
+  root.LessonKit = root.LessonKit || {};
+  root.LessonKit.frameRunner = {
+    startFrame,
+    collectOutput,
+  };
+})(self);
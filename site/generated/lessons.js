@@ -0,0 +1,12965 @@
+// Generated by tools/build-index.js from scripts/. Do not edit by hand.
+(function (root) {
+  root.LessonKit = root.LessonKit || {};
+  root.LessonKit.lessons = [
+    {
+      "id": "000",
+      "title": "Msg On Console",
+      "summary": "",
+      "metadata": {
+        "difficulty": "beginner",
+        "duration": "2 min",
+        "minutes": 2,
+        "prerequisites": [],
+        "tags": [
+          "console"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 7,
+          "endLine": 9,
+          "codeLine": 8,
+          "code": "console.log(\"Hello, World!\");",
+          "prose": [
+            "Printing a message to the console"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Printing a message to the console",
+              "line": 7
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Hello, World!\");",
+              "line": 8
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "000_msgOnConsole.js",
+      "chapter": "000_Fundamentals",
+      "path": "scripts/000_Fundamentals/000_msgOnConsole.js",
+      "chapterTitle": "Fundamentals"
+    },
+    {
+      "id": "001",
+      "title": "Intro To Variables",
+      "summary": "",
+      "metadata": {
+        "difficulty": "beginner",
+        "duration": "10 min",
+        "minutes": 10,
+        "prerequisites": [
+          "000"
+        ],
+        "tags": [
+          "variables",
+          "strict mode"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 8,
+          "endLine": 67,
+          "codeLine": 8,
+          "code": "\"use strict\"; // This enables strict mode which helps catch common coding errors\n\nvar firstName = \"Anoop\";\n\n// lastName = \"Yadav\"; // This will throw an error in strict mode\n\n// Using a variable\nconsole.log(firstName);\n\n// change the value of the variable\nfirstName = \"Anil\"; \nconsole.log(firstName);\n\n// Rules for naming variables\n// 1. Cannot start with a number\n// var 1name = \"Anoop\"; // This will throw an error \nvar name1 = \"Anoop\"; // This is valid\n\n// 2. Cannot use reserved keywords\n// var var = \"Anoop\"; // This will throw an error\nvar myVar = \"Anoop\"; // This is valid\n\n// 3. Cannot contain spaces or hyphens\n// var my-name = \"Anoop\"; // This will throw an error\nvar my_name = \"Anoop\"; // This is valid\nvar myName = \"Anoop\"; // This is also valid (camelCase)\n\n// 4. Case sensitive\nvar myname = \"Anoop\";\nconsole.log(myName); // \"Anoop\"\nconsole.log(myname); // \"Anoop\" - different variable\n\n// 5. Should be meaningful\nvar a = \"Anoop\"; // Not meaningful\nvar userFirstName = \"Anoop\"; // Meaningful\n\n// 6. Cannot be a reserved keyword\n// var function = \"Anoop\"; // This will throw an error\nvar myFunction = \"Anoop\"; // This is valid\n\n// 7. Use camelCase for multi-word variables\nvar userFirstName = \"Anoop\"; // This is valid\nvar user_first_name = \"Anoop\"; // This is also valid but not preferred in JS    \nvar UserFirstName = \"Anoop\"; // This is valid but not preferred for variables (used for classes)\n\n// 8. Avoid using single character variable names\nvar x = 10; // Not meaningful\nvar userAge = 10; // Meaningful \n\n// 9. Avoid using underscores at the beginning or end\n// var _userName = \"Anoop\"; // Not preferred\n// var userName_ = \"Anoop\"; // Not preferred\nvar userName = \"Anoop\"; // Preferred\nconsole.log(userName);\n\n// 10. Avoid using dollar signs unless necessary\n// var $userName = \"Anoop\"; // Not preferred\nvar userName2 = \"Anoop\"; // Preferred\nconsole.log(userName2);",
+          "prose": [
+            "lastName = \"Yadav\"; // This will throw an error in strict mode",
+            "Using a variable",
+            "change the value of the variable",
+            "Rules for naming variables\n1. Cannot start with a number\nvar 1name = \"Anoop\"; // This will throw an error",
+            "2. Cannot use reserved keywords\nvar var = \"Anoop\"; // This will throw an error",
+            "3. Cannot contain spaces or hyphens\nvar my-name = \"Anoop\"; // This will throw an error",
+            "4. Case sensitive",
+            "5. Should be meaningful",
+            "6. Cannot be a reserved keyword\nvar function = \"Anoop\"; // This will throw an error",
+            "7. Use camelCase for multi-word variables",
+            "8. Avoid using single character variable names",
+            "9. Avoid using underscores at the beginning or end\nvar _userName = \"Anoop\"; // Not preferred\nvar userName_ = \"Anoop\"; // Not preferred",
+            "10. Avoid using dollar signs unless necessary\nvar $userName = \"Anoop\"; // Not preferred"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "\"use strict\"; // This enables strict mode which helps catch common coding errors\n\nvar firstName = \"Anoop\";",
+              "line": 8
+            },
+            {
+              "type": "prose",
+              "text": "lastName = \"Yadav\"; // This will throw an error in strict mode",
+              "line": 12
+            },
+            {
+              "type": "prose",
+              "text": "Using a variable",
+              "line": 14
+            },
+            {
+              "type": "code",
+              "text": "console.log(firstName);",
+              "line": 15
+            },
+            {
+              "type": "prose",
+              "text": "change the value of the variable",
+              "line": 17
+            },
+            {
+              "type": "code",
+              "text": "firstName = \"Anil\"; \nconsole.log(firstName);",
+              "line": 18
+            },
+            {
+              "type": "prose",
+              "text": "Rules for naming variables\n1. Cannot start with a number\nvar 1name = \"Anoop\"; // This will throw an error",
+              "line": 21
+            },
+            {
+              "type": "code",
+              "text": "var name1 = \"Anoop\"; // This is valid",
+              "line": 24
+            },
+            {
+              "type": "prose",
+              "text": "2. Cannot use reserved keywords\nvar var = \"Anoop\"; // This will throw an error",
+              "line": 26
+            },
+            {
+              "type": "code",
+              "text": "var myVar = \"Anoop\"; // This is valid",
+              "line": 28
+            },
+            {
+              "type": "prose",
+              "text": "3. Cannot contain spaces or hyphens\nvar my-name = \"Anoop\"; // This will throw an error",
+              "line": 30
+            },
+            {
+              "type": "code",
+              "text": "var my_name = \"Anoop\"; // This is valid\nvar myName = \"Anoop\"; // This is also valid (camelCase)",
+              "line": 32
+            },
+            {
+              "type": "prose",
+              "text": "4. Case sensitive",
+              "line": 35
+            },
+            {
+              "type": "code",
+              "text": "var myname = \"Anoop\";\nconsole.log(myName); // \"Anoop\"\nconsole.log(myname); // \"Anoop\" - different variable",
+              "line": 36
+            },
+            {
+              "type": "prose",
+              "text": "5. Should be meaningful",
+              "line": 40
+            },
+            {
+              "type": "code",
+              "text": "var a = \"Anoop\"; // Not meaningful\nvar userFirstName = \"Anoop\"; // Meaningful",
+              "line": 41
+            },
+            {
+              "type": "prose",
+              "text": "6. Cannot be a reserved keyword\nvar function = \"Anoop\"; // This will throw an error",
+              "line": 44
+            },
+            {
+              "type": "code",
+              "text": "var myFunction = \"Anoop\"; // This is valid",
+              "line": 46
+            },
+            {
+              "type": "prose",
+              "text": "7. Use camelCase for multi-word variables",
+              "line": 48
+            },
+            {
+              "type": "code",
+              "text": "var userFirstName = \"Anoop\"; // This is valid\nvar user_first_name = \"Anoop\"; // This is also valid but not preferred in JS    \nvar UserFirstName = \"Anoop\"; // This is valid but not preferred for variables (used for classes)",
+              "line": 49
+            },
+            {
+              "type": "prose",
+              "text": "8. Avoid using single character variable names",
+              "line": 53
+            },
+            {
+              "type": "code",
+              "text": "var x = 10; // Not meaningful\nvar userAge = 10; // Meaningful ",
+              "line": 54
+            },
+            {
+              "type": "prose",
+              "text": "9. Avoid using underscores at the beginning or end\nvar _userName = \"Anoop\"; // Not preferred\nvar userName_ = \"Anoop\"; // Not preferred",
+              "line": 57
+            },
+            {
+              "type": "code",
+              "text": "var userName = \"Anoop\"; // Preferred\nconsole.log(userName);",
+              "line": 60
+            },
+            {
+              "type": "prose",
+              "text": "10. Avoid using dollar signs unless necessary\nvar $userName = \"Anoop\"; // Not preferred",
+              "line": 63
+            },
+            {
+              "type": "code",
+              "text": "var userName2 = \"Anoop\"; // Preferred\nconsole.log(userName2);",
+              "line": 65
+            }
+          ],
+          "expected": [
+            {
+              "line": 37,
+              "text": "\"Anoop\"",
+              "kind": "inline",
+              "code": "console.log(myName);"
+            },
+            {
+              "line": 38,
+              "text": "\"Anoop\" - different variable",
+              "kind": "inline",
+              "code": "console.log(myname);"
+            }
+          ],
+          "requires": []
+        }
+      ],
+      "fileName": "001_introToVariables.js",
+      "chapter": "001_VariablesInside",
+      "path": "scripts/001_VariablesInside/001_introToVariables.js",
+      "chapterTitle": "Variables"
+    },
+    {
+      "id": "002",
+      "title": "JavaScript Learning Path: Deep Dive into `var`",
+      "summary": "",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "25 min",
+        "minutes": 25,
+        "prerequisites": [
+          "001"
+        ],
+        "tags": [
+          "var",
+          "scope",
+          "hoisting",
+          "global object"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 17,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a comprehensive exploration of the `var` keyword in\nJavaScript, covering its history, internal mechanisms, common quirks,\nperformance optimizations, and typical interview questions."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a comprehensive exploration of the `var` keyword in\nJavaScript, covering its history, internal mechanisms, common quirks,\nperformance optimizations, and typical interview questions.",
+              "line": 12
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "var-in-javascript-deep-dive",
+          "title": "var in JavaScript (Deep Dive)",
+          "number": null,
+          "heading": "🔎 var in JavaScript (Deep Dive)",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 18,
+          "endLine": 20,
+          "codeLine": null,
+          "code": "",
+          "prose": [],
+          "blocks": [],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-background",
+          "title": "Background",
+          "number": "1",
+          "heading": "1. Background",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 21,
+          "endLine": 29,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "`var` is the original way to declare variables in JavaScript, dating back to\nits inception in 1995. While it still functions, modern JavaScript (ES6+)\nfavors `let` and `const` because `var` has certain characteristics that can\nlead to subtle bugs. Understanding the differences between `var`, `let`, and\n`const` is a common topic in technical interviews."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`var` is the original way to declare variables in JavaScript, dating back to\nits inception in 1995. While it still functions, modern JavaScript (ES6+)\nfavors `let` and `const` because `var` has certain characteristics that can\nlead to subtle bugs. Understanding the differences between `var`, `let`, and\n`const` is a common topic in technical interviews.",
+              "line": 23
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "2-core-properties-of-var",
+          "title": "Core Properties of `var`",
+          "number": "2",
+          "heading": "2. Core Properties of `var`",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 30,
+          "endLine": 96,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "a) Function-scoped (not block-scoped)\n   Unlike `let` and `const`, which are scoped to the nearest enclosing block\n   (e.g., `if` statements, `for` loops), `var` declarations are scoped to the\n   enclosing function or the global scope if declared outside a function.\n\n   @example\n   function testScope() {\n     if (true) {\n       var x = 10;\n     }\n     console.log(x); // Logs 10, because `var` \"escapes\" the if-block.\n   }\n   testScope();\n\n\nb) Hoisting\n   Variables declared with `var` are \"hoisted\" to the top of their scope\n   (function or global) during the compilation phase. However, only the\n   declaration is hoisted, not the initialization (the assignment). The\n   variable exists but its value is `undefined` until the assignment line is\n   executed.\n\n   @example\n   console.log(a); // undefined (hoisted declaration, but not initialized)\n   var a = 5;\n   console.log(a); // 5\n\n   // The engine interprets the above as:\n   var a; // Declaration is hoisted to the top.\n   console.log(a); // Logs `undefined`.\n   a = 5; // Assignment happens here.\n   console.log(a); // Logs 5.\n\n\nc) Can be re-declared\n   You can re-declare the same variable using `var` within the same scope\n   without any errors. This is not allowed with `let` or `const`.\n\n   @example\n   var x = 1;\n   var x = 2; // No error.\n   console.log(x); // 2\n\n\nd) Attaches to the global object\n   When `var` is used in the global scope (outside any function), it creates\n   a property on the global object (`window` in browsers, `global` in Node.js).\n   `let` and `const` do not exhibit this behavior.\n\n   @example\n   var globalName = \"Anoop\";\n   // In a browser environment:\n   console.log(window.globalName); // \"Anoop\"\n\n\ne) Default value is `undefined`\n   If a variable is declared with `var` but not initialized, it has a default\n   value of `undefined`.\n\n   @example\n   var y;\n   console.log(y); // undefined"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "a) Function-scoped (not block-scoped)\n   Unlike `let` and `const`, which are scoped to the nearest enclosing block\n   (e.g., `if` statements, `for` loops), `var` declarations are scoped to the\n   enclosing function or the global scope if declared outside a function.\n\n   @example\n   function testScope() {\n     if (true) {\n       var x = 10;\n     }\n     console.log(x); // Logs 10, because `var` \"escapes\" the if-block.\n   }\n   testScope();\n\n\nb) Hoisting\n   Variables declared with `var` are \"hoisted\" to the top of their scope\n   (function or global) during the compilation phase. However, only the\n   declaration is hoisted, not the initialization (the assignment). The\n   variable exists but its value is `undefined` until the assignment line is\n   executed.\n\n   @example\n   console.log(a); // undefined (hoisted declaration, but not initialized)\n   var a = 5;\n   console.log(a); // 5\n\n   // The engine interprets the above as:\n   var a; // Declaration is hoisted to the top.\n   console.log(a); // Logs `undefined`.\n   a = 5; // Assignment happens here.\n   console.log(a); // Logs 5.\n\n\nc) Can be re-declared\n   You can re-declare the same variable using `var` within the same scope\n   without any errors. This is not allowed with `let` or `const`.\n\n   @example\n   var x = 1;\n   var x = 2; // No error.\n   console.log(x); // 2\n\n\nd) Attaches to the global object\n   When `var` is used in the global scope (outside any function), it creates\n   a property on the global object (`window` in browsers, `global` in Node.js).\n   `let` and `const` do not exhibit this behavior.\n\n   @example\n   var globalName = \"Anoop\";\n   // In a browser environment:\n   console.log(window.globalName); // \"Anoop\"\n\n\ne) Default value is `undefined`\n   If a variable is declared with `var` but not initialized, it has a default\n   value of `undefined`.\n\n   @example\n   var y;\n   console.log(y); // undefined",
+              "line": 32
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "3-common-pitfalls-interview-traps",
+          "title": "Common Pitfalls (Interview Traps)",
+          "number": "3",
+          "heading": "3. ⚡ Common Pitfalls (Interview Traps)",
+          "marker": null,
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 97,
+          "endLine": 142,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "a) Block leakage in loops\n   Because `var` is function-scoped, when used in a loop, the same variable\n   is used for every iteration. This is a classic problem with async\n   operations inside loops.\n\n   @example <caption>Problem with var in loops</caption>\n   for (var i = 0; i < 3; i++) {\n     // The same `i` is shared across all timeout functions.\n     // By the time they execute, the loop has finished and `i` is 3.\n     setTimeout(() => console.log(i), 1000);\n   }\n   // Output: 3, 3, 3 (not 0, 1, 2)\n\n   @example <caption>Fix with let</caption>\n   for (let i = 0; i < 3; i++) {\n     // `let` creates a new `i` for each iteration.\n     setTimeout(() => console.log(i), 1000);\n   }\n   // Output: 0, 1, 2\n\n\nb) Redeclaration bugs\n   The ability to re-declare variables can lead to accidentally overwriting\n   a variable from an outer scope.\n\n   @example\n   var score = 50;\n   if (true) {\n     var score = 100; // This re-declares and overwrites the same variable.\n   }\n   console.log(score); // 100 (The original value was unintentionally changed)\n\n\nc) Hoisting confusion\n   Hoisting can lead to unexpected behavior where a variable is read as\n   `undefined` instead of throwing a ReferenceError, which might be what a\n   developer expects.\n\n   @example\n   console.log(msg); // undefined, not a ReferenceError\n   var msg = \"Hello\";"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "a) Block leakage in loops\n   Because `var` is function-scoped, when used in a loop, the same variable\n   is used for every iteration. This is a classic problem with async\n   operations inside loops.\n\n   @example <caption>Problem with var in loops</caption>\n   for (var i = 0; i < 3; i++) {\n     // The same `i` is shared across all timeout functions.\n     // By the time they execute, the loop has finished and `i` is 3.\n     setTimeout(() => console.log(i), 1000);\n   }\n   // Output: 3, 3, 3 (not 0, 1, 2)\n\n   @example <caption>Fix with let</caption>\n   for (let i = 0; i < 3; i++) {\n     // `let` creates a new `i` for each iteration.\n     setTimeout(() => console.log(i), 1000);\n   }\n   // Output: 0, 1, 2\n\n\nb) Redeclaration bugs\n   The ability to re-declare variables can lead to accidentally overwriting\n   a variable from an outer scope.\n\n   @example\n   var score = 50;\n   if (true) {\n     var score = 100; // This re-declares and overwrites the same variable.\n   }\n   console.log(score); // 100 (The original value was unintentionally changed)\n\n\nc) Hoisting confusion\n   Hoisting can lead to unexpected behavior where a variable is read as\n   `undefined` instead of throwing a ReferenceError, which might be what a\n   developer expects.\n\n   @example\n   console.log(msg); // undefined, not a ReferenceError\n   var msg = \"Hello\";",
+              "line": 99
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "4-interview-brain-benders-with-solutions",
+          "title": "Interview Brain-Benders (with Solutions)",
+          "number": "4",
+          "heading": "4. 🧠 Interview Brain-Benders (with Solutions)",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 143,
+          "endLine": 185,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Q1: What is the output?\n   var a = 1;\n   function test() {\n     console.log(a);\n     var a = 2;\n   }\n   test();\n\nAnswer: `undefined`\nExplanation: Inside `test()`, the declaration `var a` is hoisted to the top\nof the function. This local `a` shadows the global `a`. When `console.log(a)`\nis called, the local `a` has been declared but not yet assigned the value of 2,\nso it is `undefined`.\n\n\nQ2: What is the output?\n   var x = 5;\n   (function() {\n     console.log(x); // ?\n     var x = 10;\n   })();\n\nAnswer: `undefined`\nExplanation: Same reasoning as Q1. The IIFE (Immediately Invoked Function\nExpression) has its own scope. The `var x` inside it is hoisted to the top\nof that function's scope, shadowing the global `x`.\n\n\nQ3: What is the output?\n   if (true) {\n     var foo = \"bar\";\n   }\n   console.log(foo); // ?\n\nAnswer: `\"bar\"`\nExplanation: `var` is not block-scoped. The `foo` variable is declared in the\nglobal scope (or the enclosing function's scope), so it is accessible\noutside the `if` block."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Q1: What is the output?\n   var a = 1;\n   function test() {\n     console.log(a);\n     var a = 2;\n   }\n   test();\n\nAnswer: `undefined`\nExplanation: Inside `test()`, the declaration `var a` is hoisted to the top\nof the function. This local `a` shadows the global `a`. When `console.log(a)`\nis called, the local `a` has been declared but not yet assigned the value of 2,\nso it is `undefined`.\n\n\nQ2: What is the output?\n   var x = 5;\n   (function() {\n     console.log(x); // ?\n     var x = 10;\n   })();\n\nAnswer: `undefined`\nExplanation: Same reasoning as Q1. The IIFE (Immediately Invoked Function\nExpression) has its own scope. The `var x` inside it is hoisted to the top\nof that function's scope, shadowing the global `x`.\n\n\nQ3: What is the output?\n   if (true) {\n     var foo = \"bar\";\n   }\n   console.log(foo); // ?\n\nAnswer: `\"bar\"`\nExplanation: `var` is not block-scoped. The `foo` variable is declared in the\nglobal scope (or the enclosing function's scope), so it is accessible\noutside the `if` block.",
+              "line": 145
+            }
+          ],
+          "expected": [
+            {
+              "line": 154,
+              "text": "`undefined`",
+              "kind": "block"
+            },
+            {
+              "line": 168,
+              "text": "`undefined`",
+              "kind": "block"
+            },
+            {
+              "line": 180,
+              "text": "`\"bar\"`",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "5-real-world-optimizations-best-practices",
+          "title": "Real-World Optimizations & Best Practices",
+          "number": "5",
+          "heading": "5. 🔧 Real-World Optimizations & Best Practices",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 186,
+          "endLine": 205,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "- **Avoid `var`**: In modern JavaScript (ES6+), prefer `let` for variables\n  that will be reassigned and `const` for variables that won't. This avoids\n  all the pitfalls associated with `var`.\n\n- **If you must use `var`** (e.g., in legacy codebases):\n  1. Declare all variables at the top of their function scope. This makes the\n     hoisting behavior explicit and prevents confusion.\n  2. Use IIFEs to create block-like scope and prevent variables from leaking.\n\n     @example (Using an IIFE for scope)\n     (function() {\n       var temp = \"isolated\";\n       console.log(temp); // \"isolated\"\n     })();\n     // console.log(temp); // This would cause a ReferenceError, as `temp` is not defined here."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "- **Avoid `var`**: In modern JavaScript (ES6+), prefer `let` for variables\n  that will be reassigned and `const` for variables that won't. This avoids\n  all the pitfalls associated with `var`.\n\n- **If you must use `var`** (e.g., in legacy codebases):\n  1. Declare all variables at the top of their function scope. This makes the\n     hoisting behavior explicit and prevents confusion.\n  2. Use IIFEs to create block-like scope and prevent variables from leaking.\n\n     @example (Using an IIFE for scope)\n     (function() {\n       var temp = \"isolated\";\n       console.log(temp); // \"isolated\"\n     })();\n     // console.log(temp); // This would cause a ReferenceError, as `temp` is not defined here.",
+              "line": 188
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "6-hidden-internals",
+          "title": "Hidden Internals",
+          "number": "6",
+          "heading": "6. ⚙️ Hidden Internals",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 206,
+          "endLine": 227,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "During the compilation phase of JavaScript execution, the engine creates an\nExecution Context. `var` declarations are registered in the\n`VariableEnvironment` of this context.\n\n- **Compilation Phase**: The engine scans for function and variable declarations.\n  All `var` declarations are found and a property is created for them in the\n  scope, initialized with `undefined`.\n- **Execution Phase**: The code is executed line by line. When an assignment\n  to a `var` variable is encountered, its value is updated.\n\nThis two-phase process is why `var` variables are hoisted and accessible as\n`undefined` before their declaration line. It's also why they do not have a\n\"Temporal Dead Zone\" (TDZ), unlike `let` and `const`, which cannot be\naccessed before their declaration is executed."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "During the compilation phase of JavaScript execution, the engine creates an\nExecution Context. `var` declarations are registered in the\n`VariableEnvironment` of this context.\n\n- **Compilation Phase**: The engine scans for function and variable declarations.\n  All `var` declarations are found and a property is created for them in the\n  scope, initialized with `undefined`.\n- **Execution Phase**: The code is executed line by line. When an assignment\n  to a `var` variable is encountered, its value is updated.\n\nThis two-phase process is why `var` variables are hoisted and accessible as\n`undefined` before their declaration line. It's also why they do not have a\n\"Temporal Dead Zone\" (TDZ), unlike `let` and `const`, which cannot be\naccessed before their declaration is executed.",
+              "line": 208
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "002_var-deep-dive.js",
+      "chapter": "001_VariablesInside",
+      "path": "scripts/001_VariablesInside/002_var-deep-dive.js",
+      "chapterTitle": "Variables"
+    },
+    {
+      "id": "003",
+      "title": "JavaScript Learning Path: Deep Dive into `let`",
+      "summary": "A deep dive into the 'let' keyword in JavaScript. This file explains its block-scoping, Temporal Dead Zone (TDZ), and other features introduced in ES6 (2015).",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "25 min",
+        "minutes": 25,
+        "prerequisites": [
+          "002"
+        ],
+        "tags": [
+          "let",
+          "block scope",
+          "tdz",
+          "hoisting"
+        ],
+        "line": 6
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 14,
+          "endLine": 21,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a comprehensive exploration of the `let` keyword,\nthe modern replacement for `var`. We will cover its history, core rules,\ncommon quirks, interview questions, and internal behavior."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a comprehensive exploration of the `let` keyword,\nthe modern replacement for `var`. We will cover its history, core rules,\ncommon quirks, interview questions, and internal behavior.",
+              "line": 16
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "let-in-javascript-deep-dive",
+          "title": "let in JavaScript (Deep Dive)",
+          "number": null,
+          "heading": "🔎 let in JavaScript (Deep Dive)",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 22,
+          "endLine": 24,
+          "codeLine": null,
+          "code": "",
+          "prose": [],
+          "blocks": [],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-background",
+          "title": "Background",
+          "number": "1",
+          "heading": "1. Background",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 25,
+          "endLine": 32,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "`let` was introduced in ECMAScript 2015 (ES6) to address the shortcomings of\n`var`. It is the preferred way to declare variables whose values may change\n(mutable variables). Its key features are block scope and the Temporal Dead\nZone (TDZ), which help write safer and more predictable code."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`let` was introduced in ECMAScript 2015 (ES6) to address the shortcomings of\n`var`. It is the preferred way to declare variables whose values may change\n(mutable variables). Its key features are block scope and the Temporal Dead\nZone (TDZ), which help write safer and more predictable code.",
+              "line": 27
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "2-core-properties-of-let",
+          "title": "Core Properties of `let`",
+          "number": "2",
+          "heading": "2. Core Properties of `let`",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 33,
+          "endLine": 89,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "a) Block-scoped\n   Unlike `var`, `let` declarations are confined to the block (`{...}`) in\n   which they are defined. This includes `if` statements, `for` loops, and\n   standalone blocks.\n\n   @example\n   if (true) {\n     let x = 10;\n     console.log(x); // 10\n   }\n   // console.log(x); // ❌ Uncaught ReferenceError: x is not defined\n\n\nb) No Redeclaration (in the same scope)\n   `let` prevents you from accidentally re-declaring the same variable in the\n   same scope, which is a common source of bugs with `var`.\n\n   @example\n   let a = 5;\n   // let a = 10; // ❌ Uncaught SyntaxError: Identifier 'a' has already been declared\n\n\nc) Reassignment is Allowed\n   While you cannot re-declare a `let` variable, you can change (reassign)\n   its value.\n\n   @example\n   let score = 50;\n   score = 100; // ✅ This is allowed.\n   console.log(score); // 100\n\n\nd) Not attached to the global object\n   Globally declared `let` variables do not become properties of the `window`\n   object in browsers. This prevents polluting the global namespace.\n\n   @example\n   let globalName = \"Anoop\";\n   // In a browser environment:\n   // console.log(window.globalName); // undefined\n\n\ne) Hoisted but in Temporal Dead Zone (TDZ)\n   Like `var`, `let` declarations are hoisted (moved to the top of their scope\n   by the JavaScript engine). However, they are not initialized. The period\n   from the start of the block until the declaration is executed is the\n   \"Temporal Dead Zone\" (TDZ). Accessing the variable in the TDZ results in a\n   ReferenceError.\n\n   @example\n   // console.log(x); // ❌ Uncaught ReferenceError: Cannot access 'x' before initialization\n   let x = 5;"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "a) Block-scoped\n   Unlike `var`, `let` declarations are confined to the block (`{...}`) in\n   which they are defined. This includes `if` statements, `for` loops, and\n   standalone blocks.\n\n   @example\n   if (true) {\n     let x = 10;\n     console.log(x); // 10\n   }\n   // console.log(x); // ❌ Uncaught ReferenceError: x is not defined\n\n\nb) No Redeclaration (in the same scope)\n   `let` prevents you from accidentally re-declaring the same variable in the\n   same scope, which is a common source of bugs with `var`.\n\n   @example\n   let a = 5;\n   // let a = 10; // ❌ Uncaught SyntaxError: Identifier 'a' has already been declared\n\n\nc) Reassignment is Allowed\n   While you cannot re-declare a `let` variable, you can change (reassign)\n   its value.\n\n   @example\n   let score = 50;\n   score = 100; // ✅ This is allowed.\n   console.log(score); // 100\n\n\nd) Not attached to the global object\n   Globally declared `let` variables do not become properties of the `window`\n   object in browsers. This prevents polluting the global namespace.\n\n   @example\n   let globalName = \"Anoop\";\n   // In a browser environment:\n   // console.log(window.globalName); // undefined\n\n\ne) Hoisted but in Temporal Dead Zone (TDZ)\n   Like `var`, `let` declarations are hoisted (moved to the top of their scope\n   by the JavaScript engine). However, they are not initialized. The period\n   from the start of the block until the declaration is executed is the\n   \"Temporal Dead Zone\" (TDZ). Accessing the variable in the TDZ results in a\n   ReferenceError.\n\n   @example\n   // console.log(x); // ❌ Uncaught ReferenceError: Cannot access 'x' before initialization\n   let x = 5;",
+              "line": 35
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "3-common-pitfalls-interview-traps",
+          "title": "Common Pitfalls (Interview Traps)",
+          "number": "3",
+          "heading": "3. ⚡ Common Pitfalls (Interview Traps)",
+          "marker": null,
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 90,
+          "endLine": 132,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "a) TDZ Confusion\n   The TDZ is a common point of confusion. It exists to prevent using a\n   variable before it's declared, which is often a mistake.\n\n   @example\n   {\n     // Start of the TDZ for `a`\n     // console.log(a); // ❌ ReferenceError\n     // End of the TDZ for `a`\n     let a = 20;\n     console.log(a); // 20\n   }\n\n\nb) Loops with closures (The `var` problem, fixed!)\n   `let` solves the classic loop problem because it creates a new binding\n   for each iteration of the loop.\n\n   @example\n   for (let i = 0; i < 3; i++) {\n     // Each iteration has its own `i` in a new block scope.\n     setTimeout(() => console.log(i), 1000);\n   }\n   // ✅ Output: 0, 1, 2\n\n\nc) Block scope shadowing\n   A variable declared with `let` in an inner scope can \"shadow\" (hide) a\n   variable with the same name from an outer scope. This is valid and often\n   useful, but important to be aware of.\n\n   @example\n   let x = 1;\n   {\n     let x = 2; // This `x` is different from the outer `x`.\n     console.log(x); // 2\n   }\n   console.log(x); // 1 (The outer `x` is unaffected)."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "a) TDZ Confusion\n   The TDZ is a common point of confusion. It exists to prevent using a\n   variable before it's declared, which is often a mistake.\n\n   @example\n   {\n     // Start of the TDZ for `a`\n     // console.log(a); // ❌ ReferenceError\n     // End of the TDZ for `a`\n     let a = 20;\n     console.log(a); // 20\n   }\n\n\nb) Loops with closures (The `var` problem, fixed!)\n   `let` solves the classic loop problem because it creates a new binding\n   for each iteration of the loop.\n\n   @example\n   for (let i = 0; i < 3; i++) {\n     // Each iteration has its own `i` in a new block scope.\n     setTimeout(() => console.log(i), 1000);\n   }\n   // ✅ Output: 0, 1, 2\n\n\nc) Block scope shadowing\n   A variable declared with `let` in an inner scope can \"shadow\" (hide) a\n   variable with the same name from an outer scope. This is valid and often\n   useful, but important to be aware of.\n\n   @example\n   let x = 1;\n   {\n     let x = 2; // This `x` is different from the outer `x`.\n     console.log(x); // 2\n   }\n   console.log(x); // 1 (The outer `x` is unaffected).",
+              "line": 92
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "4-interview-brain-benders-with-solutions",
+          "title": "Interview Brain-Benders (with Solutions)",
+          "number": "4",
+          "heading": "4. 🧠 Interview Brain-Benders (with Solutions)",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 133,
+          "endLine": 176,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Q1: What is the output?\n   let a = 1;\n   function test() {\n     console.log(a); // ?\n     let a = 2;\n   }\n   // test();\n\nAnswer: ❌ ReferenceError\nExplanation: The `let a` inside the function creates a new scope for `a`\nwithin that function. The `console.log(a)` is inside the TDZ for the\nfunction-scoped `a`, so it throws an error before it can look at the\nouter-scoped `a`.\n\n\nQ2: What is the output?\n   let x = 10;\n   if (true) {\n     let x = 20;\n     console.log(x); // ?\n   }\n   console.log(x); // ?\n\nAnswer:\nInside block -> 20\nOutside block -> 10\nExplanation: The `let x = 20` inside the `if` block shadows the outer `x`.\nThe inner `console.log` sees the inner `x`. The outer `console.log` sees\nthe outer `x`.\n\n\nQ3: What is the output?\n   for (let i = 0; i < 3; i++) {\n     setTimeout(() => console.log(i), 1000);\n   }\n\nAnswer: 0, 1, 2\nExplanation: `let` creates a new block-scoped `i` for each loop iteration.\nThe closure created by `setTimeout` captures a different `i` each time."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Q1: What is the output?\n   let a = 1;\n   function test() {\n     console.log(a); // ?\n     let a = 2;\n   }\n   // test();\n\nAnswer: ❌ ReferenceError\nExplanation: The `let a` inside the function creates a new scope for `a`\nwithin that function. The `console.log(a)` is inside the TDZ for the\nfunction-scoped `a`, so it throws an error before it can look at the\nouter-scoped `a`.\n\n\nQ2: What is the output?\n   let x = 10;\n   if (true) {\n     let x = 20;\n     console.log(x); // ?\n   }\n   console.log(x); // ?\n\nAnswer:\nInside block -> 20\nOutside block -> 10\nExplanation: The `let x = 20` inside the `if` block shadows the outer `x`.\nThe inner `console.log` sees the inner `x`. The outer `console.log` sees\nthe outer `x`.\n\n\nQ3: What is the output?\n   for (let i = 0; i < 3; i++) {\n     setTimeout(() => console.log(i), 1000);\n   }\n\nAnswer: 0, 1, 2\nExplanation: `let` creates a new block-scoped `i` for each loop iteration.\nThe closure created by `setTimeout` captures a different `i` each time.",
+              "line": 135
+            }
+          ],
+          "expected": [
+            {
+              "line": 144,
+              "text": "❌ ReferenceError",
+              "kind": "block"
+            },
+            {
+              "line": 159,
+              "text": "Inside block -> 20\nOutside block -> 10\nExplanation: The `let x = 20` inside the `if` block shadows the outer `x`.\nThe inner `console.log` sees the inner `x`. The outer `console.log` sees\nthe outer `x`.",
+              "kind": "block"
+            },
+            {
+              "line": 172,
+              "text": "0, 1, 2",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "5-hidden-internals",
+          "title": "Hidden Internals",
+          "number": "5",
+          "heading": "5. ⚙️ Hidden Internals",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 177,
+          "endLine": 189,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "During the compilation phase, the JavaScript engine processes `let`\ndeclarations and registers them in the `LexicalEnvironment`. However, unlike\n`var` (which is initialized to `undefined`), `let` variables remain in an\n**uninitialized** state.\n\nAccessing an uninitialized variable is what triggers the TDZ ReferenceError.\nThe variable is only initialized when the `let` statement is executed during\nthe runtime phase. This mechanism prevents the bugs associated with `var`'s\nhoisting behavior."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "During the compilation phase, the JavaScript engine processes `let`\ndeclarations and registers them in the `LexicalEnvironment`. However, unlike\n`var` (which is initialized to `undefined`), `let` variables remain in an\n**uninitialized** state.\n\nAccessing an uninitialized variable is what triggers the TDZ ReferenceError.\nThe variable is only initialized when the `let` statement is executed during\nthe runtime phase. This mechanism prevents the bugs associated with `var`'s\nhoisting behavior.",
+              "line": 179
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "6-real-world-best-practices",
+          "title": "Real-World Best Practices",
+          "number": "6",
+          "heading": "6. 🔧 Real-World Best Practices",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 190,
+          "endLine": 212,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "- **Use `const` by default**: Start by declaring all variables with `const`.\n  Only change to `let` if you discover that you need to reassign the variable.\n  This promotes immutability and makes code easier to reason about.\n\n- **Use `let` for mutable variables**: Use `let` for variables whose values\n  are expected to change, such as loop counters or values that get updated\n  based on application state.\n\n- **Avoid mixing `var` and `let`**: In modern code, avoid `var` entirely. If\n  working in a legacy codebase, be extremely careful when mixing `var` with\n  `let` and `const` in the same scope to avoid confusion with scoping rules.\n\n\n📌 Summary:\n- `var`: Function-scoped, hoisted with `undefined`, can be re-declared, attaches to global object. (Avoid)\n- `let`: Block-scoped, has a TDZ, cannot be re-declared in the same scope. (Use for mutable variables)"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "- **Use `const` by default**: Start by declaring all variables with `const`.\n  Only change to `let` if you discover that you need to reassign the variable.\n  This promotes immutability and makes code easier to reason about.\n\n- **Use `let` for mutable variables**: Use `let` for variables whose values\n  are expected to change, such as loop counters or values that get updated\n  based on application state.\n\n- **Avoid mixing `var` and `let`**: In modern code, avoid `var` entirely. If\n  working in a legacy codebase, be extremely careful when mixing `var` with\n  `let` and `const` in the same scope to avoid confusion with scoping rules.\n\n\n📌 Summary:\n- `var`: Function-scoped, hoisted with `undefined`, can be re-declared, attaches to global object. (Avoid)\n- `let`: Block-scoped, has a TDZ, cannot be re-declared in the same scope. (Use for mutable variables)",
+              "line": 192
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "003_let-deep-dive.js",
+      "chapter": "001_VariablesInside",
+      "path": "scripts/001_VariablesInside/003_let-deep-dive.js",
+      "chapterTitle": "Variables"
+    },
+    {
+      "id": "004",
+      "title": "JavaScript Learning Path: Deep Dive into `const`",
+      "summary": "",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "20 min",
+        "minutes": 20,
+        "prerequisites": [
+          "003"
+        ],
+        "tags": [
+          "const",
+          "immutability",
+          "objects"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 17,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a comprehensive exploration of the `const` keyword,\nthe most common way to declare variables in modern JavaScript. We will cover\nits rules, examples, common pitfalls, internal behavior, and interview traps."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a comprehensive exploration of the `const` keyword,\nthe most common way to declare variables in modern JavaScript. We will cover\nits rules, examples, common pitfalls, internal behavior, and interview traps.",
+              "line": 12
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "const-in-javascript-deep-dive",
+          "title": "const in JavaScript (Deep Dive)",
+          "number": null,
+          "heading": "🔎 const in JavaScript (Deep Dive)",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 18,
+          "endLine": 20,
+          "codeLine": null,
+          "code": "",
+          "prose": [],
+          "blocks": [],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-background",
+          "title": "Background",
+          "number": "1",
+          "heading": "1. Background",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 21,
+          "endLine": 28,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "`const` was introduced in ES6 (2015) alongside `let`. It is designed for\nvariables that should not be reassigned after their initial declaration.\nUsing `const` is a best practice as it encourages immutability, making code\nsafer and easier to understand."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`const` was introduced in ES6 (2015) alongside `let`. It is designed for\nvariables that should not be reassigned after their initial declaration.\nUsing `const` is a best practice as it encourages immutability, making code\nsafer and easier to understand.",
+              "line": 23
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "2-core-rules-of-const",
+          "title": "Core Rules of `const`",
+          "number": "2",
+          "heading": "2. Core Rules of `const`",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 29,
+          "endLine": 77,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "a) Must be Initialized at Declaration\n   Unlike `var` or `let`, a `const` variable must be given a value when it is\n   declared.\n\n   @example\n   // const x; // ❌ Uncaught SyntaxError: Missing initializer in const declaration\n   const y = 10; // ✅ This is required.\n\n\nb) Block-scoped\n   Just like `let`, `const` variables are scoped to the nearest enclosing\n   block (`{...}`).\n\n   @example\n   if (true) {\n     const a = 5;\n   }\n   // console.log(a); // ❌ Uncaught ReferenceError: a is not defined\n\n\nc) No Re-declaration\n   You cannot re-declare a `const` variable in the same scope.\n\n   @example\n   const a = 10;\n   // const a = 20; // ❌ Uncaught SyntaxError: Identifier 'a' has already been declared\n\n\nd) No Reassignment\n   The core feature of `const` is that the variable's binding (reference)\n   cannot be changed.\n\n   @example\n   const PI = 3.14;\n   // PI = 3.14159; // ❌ Uncaught TypeError: Assignment to constant variable.\n\n\ne) Hoisted but in Temporal Dead Zone (TDZ)\n   Like `let`, `const` declarations are hoisted but remain in the TDZ until\n   the line of declaration is executed, preventing access before declaration.\n\n   @example\n   // console.log(num); // ❌ Uncaught ReferenceError: Cannot access 'num' before initialization\n   const num = 100;"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "a) Must be Initialized at Declaration\n   Unlike `var` or `let`, a `const` variable must be given a value when it is\n   declared.\n\n   @example\n   // const x; // ❌ Uncaught SyntaxError: Missing initializer in const declaration\n   const y = 10; // ✅ This is required.\n\n\nb) Block-scoped\n   Just like `let`, `const` variables are scoped to the nearest enclosing\n   block (`{...}`).\n\n   @example\n   if (true) {\n     const a = 5;\n   }\n   // console.log(a); // ❌ Uncaught ReferenceError: a is not defined\n\n\nc) No Re-declaration\n   You cannot re-declare a `const` variable in the same scope.\n\n   @example\n   const a = 10;\n   // const a = 20; // ❌ Uncaught SyntaxError: Identifier 'a' has already been declared\n\n\nd) No Reassignment\n   The core feature of `const` is that the variable's binding (reference)\n   cannot be changed.\n\n   @example\n   const PI = 3.14;\n   // PI = 3.14159; // ❌ Uncaught TypeError: Assignment to constant variable.\n\n\ne) Hoisted but in Temporal Dead Zone (TDZ)\n   Like `let`, `const` declarations are hoisted but remain in the TDZ until\n   the line of declaration is executed, preventing access before declaration.\n\n   @example\n   // console.log(num); // ❌ Uncaught ReferenceError: Cannot access 'num' before initialization\n   const num = 100;",
+              "line": 31
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "3-the-tricky-part-const-objects-arrays",
+          "title": "The Tricky Part — `const` Objects & Arrays",
+          "number": "3",
+          "heading": "3. ⚠️ The Tricky Part — `const` Objects & Arrays",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 78,
+          "endLine": 109,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "A common point of confusion is that `const` does not make the *value*\nimmutable, only the *variable binding*. This means if the variable holds an\nobject or an array, the contents of that object or array can still be changed.\n\na) Objects with `const`\n   You can mutate the properties of an object declared with `const`, but you\n   cannot reassign the variable to a new object.\n\n   @example\n   const person = { name: \"Anoop\" };\n   person.name = \"Rahul\"; // ✅ Allowed. We are mutating the object's property.\n   console.log(person.name); // \"Rahul\"\n\n   // person = { name: \"Vikas\" }; // ❌ TypeError: Assignment to constant variable.\n\n\nb) Arrays with `const`\n   Similarly, you can add, remove, or change elements in an array declared\n   with `const`.\n\n   @example\n   const arr = [1, 2, 3];\n   arr.push(4); // ✅ Allowed.\n   console.log(arr); // [1, 2, 3, 4]\n\n   // arr = [5, 6]; // ❌ TypeError: Assignment to constant variable.\n\n👉 To make an object's properties truly immutable, you can use `Object.freeze()`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "A common point of confusion is that `const` does not make the *value*\nimmutable, only the *variable binding*. This means if the variable holds an\nobject or an array, the contents of that object or array can still be changed.\n\na) Objects with `const`\n   You can mutate the properties of an object declared with `const`, but you\n   cannot reassign the variable to a new object.\n\n   @example\n   const person = { name: \"Anoop\" };\n   person.name = \"Rahul\"; // ✅ Allowed. We are mutating the object's property.\n   console.log(person.name); // \"Rahul\"\n\n   // person = { name: \"Vikas\" }; // ❌ TypeError: Assignment to constant variable.\n\n\nb) Arrays with `const`\n   Similarly, you can add, remove, or change elements in an array declared\n   with `const`.\n\n   @example\n   const arr = [1, 2, 3];\n   arr.push(4); // ✅ Allowed.\n   console.log(arr); // [1, 2, 3, 4]\n\n   // arr = [5, 6]; // ❌ TypeError: Assignment to constant variable.\n\n👉 To make an object's properties truly immutable, you can use `Object.freeze()`.",
+              "line": 80
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "4-interview-traps",
+          "title": "Interview Traps",
+          "number": "4",
+          "heading": "4. 🧠 Interview Traps",
+          "marker": null,
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 110,
+          "endLine": 147,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Q1: What is the output?\n   const a = 10;\n   {\n     const a = 20;\n     console.log(a);\n   }\n   console.log(a);\n\nAnswer:\nInside block -> 20\nOutside block -> 10\nExplanation: Block scope shadowing works the same for `const` as it does for `let`.\nThe inner `a` is a completely different variable from the outer `a`.\n\n\nQ2: What is the output?\n   const obj = { x: 1 };\n   obj.x = 2;\n   console.log(obj.x);\n\nAnswer: 2\nExplanation: This is a valid mutation. The `const` keyword prevents `obj` from\nbeing reassigned to a new object, but it does not prevent the properties of\nthe existing object from being changed.\n\n\nQ3: What happens here?\n   const obj = { x: 1 };\n   obj = { y: 2 };\n\nAnswer: ❌ TypeError\nExplanation: This is an attempt to reassign the `obj` variable, which is not\nallowed for a constant."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Q1: What is the output?\n   const a = 10;\n   {\n     const a = 20;\n     console.log(a);\n   }\n   console.log(a);\n\nAnswer:\nInside block -> 20\nOutside block -> 10\nExplanation: Block scope shadowing works the same for `const` as it does for `let`.\nThe inner `a` is a completely different variable from the outer `a`.\n\n\nQ2: What is the output?\n   const obj = { x: 1 };\n   obj.x = 2;\n   console.log(obj.x);\n\nAnswer: 2\nExplanation: This is a valid mutation. The `const` keyword prevents `obj` from\nbeing reassigned to a new object, but it does not prevent the properties of\nthe existing object from being changed.\n\n\nQ3: What happens here?\n   const obj = { x: 1 };\n   obj = { y: 2 };\n\nAnswer: ❌ TypeError\nExplanation: This is an attempt to reassign the `obj` variable, which is not\nallowed for a constant.",
+              "line": 112
+            }
+          ],
+          "expected": [
+            {
+              "line": 121,
+              "text": "Inside block -> 20\nOutside block -> 10\nExplanation: Block scope shadowing works the same for `const` as it does for `let`.\nThe inner `a` is a completely different variable from the outer `a`.",
+              "kind": "block"
+            },
+            {
+              "line": 133,
+              "text": "2",
+              "kind": "block"
+            },
+            {
+              "line": 143,
+              "text": "❌ TypeError",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "5-internals",
+          "title": "Internals",
+          "number": "5",
+          "heading": "5. ⚙️ Internals",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 148,
+          "endLine": 155,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "The internal behavior of `const` is nearly identical to `let`. During the\ncompilation phase, it is registered in the `LexicalEnvironment` and enters\nthe TDZ. The only difference is that the engine flags its binding as\nimmutable, preventing any future reassignment."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "The internal behavior of `const` is nearly identical to `let`. During the\ncompilation phase, it is registered in the `LexicalEnvironment` and enters\nthe TDZ. The only difference is that the engine flags its binding as\nimmutable, preventing any future reassignment.",
+              "line": 150
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "6-best-practices",
+          "title": "Best Practices",
+          "number": "6",
+          "heading": "6. 🔧 Best Practices",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 156,
+          "endLine": 181,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "- **Use `const` by default**: This is the cornerstone of modern JavaScript\n  variable declaration. It signals that a variable's reference should not change,\n  which makes code more predictable.\n\n- **Switch to `let` only when needed**: Only use `let` if you know a variable's\n  value needs to be reassigned later (e.g., loop counters, state flags).\n\n- **Avoid `var`**: There is no reason to use `var` in modern ES6+ codebases.\n\n- **True Immutability**: If you need to ensure an object or array cannot be\n  mutated, use `Object.freeze()` for shallow freezing or look into libraries\n  like `Immutable.js` for deep, performant immutability.\n\n\n📌 Summary:\n- `const` is block-scoped, has a TDZ, and must be initialized.\n- It creates an immutable binding, not an immutable value.\n- The reference cannot be changed, but the contents of objects/arrays can be.\n- It is the default and recommended choice for declaring variables in modern JavaScript."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "- **Use `const` by default**: This is the cornerstone of modern JavaScript\n  variable declaration. It signals that a variable's reference should not change,\n  which makes code more predictable.\n\n- **Switch to `let` only when needed**: Only use `let` if you know a variable's\n  value needs to be reassigned later (e.g., loop counters, state flags).\n\n- **Avoid `var`**: There is no reason to use `var` in modern ES6+ codebases.\n\n- **True Immutability**: If you need to ensure an object or array cannot be\n  mutated, use `Object.freeze()` for shallow freezing or look into libraries\n  like `Immutable.js` for deep, performant immutability.\n\n\n📌 Summary:\n- `const` is block-scoped, has a TDZ, and must be initialized.\n- It creates an immutable binding, not an immutable value.\n- The reference cannot be changed, but the contents of objects/arrays can be.\n- It is the default and recommended choice for declaring variables in modern JavaScript.",
+              "line": 158
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "004_const-deep-dive.js",
+      "chapter": "001_VariablesInside",
+      "path": "scripts/001_VariablesInside/004_const-deep-dive.js",
+      "chapterTitle": "Variables"
+    },
+    {
+      "id": "005",
+      "title": "var vs let vs const in JavaScript",
+      "summary": "A side-by-side comparison cheatsheet for `var`, `let`, and `const`. This file covers scope, hoisting, reassignment, and other key differences with examples and interview questions.",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "20 min",
+        "minutes": 20,
+        "prerequisites": [
+          "002",
+          "003",
+          "004"
+        ],
+        "tags": [
+          "var",
+          "let",
+          "const",
+          "scope",
+          "hoisting",
+          "tdz"
+        ],
+        "line": 6
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 14,
+          "endLine": 20,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document serves as a complete cheatsheet and deep-dive comparison of\nJavaScript's three variable declaration keywords."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document serves as a complete cheatsheet and deep-dive comparison of\nJavaScript's three variable declaration keywords.",
+              "line": 16
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-scope",
+          "title": "Scope",
+          "number": "1",
+          "heading": "1. Scope",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 21,
+          "endLine": 47,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Scope determines where a variable is accessible.\n\n| Feature    | `var`           | `let`         | `const`       |\n| :--------- | :-------------- | :------------ | :------------ |\n| Scope type | Function-scoped | Block-scoped  | Block-scoped  |\n\n@example <caption>var is function-scoped</caption>\nif (true) {\n  var x = 10;\n}\nconsole.log(x); // 10 ✅ (Accessible outside the block)\n\n@example <caption>let is block-scoped</caption>\nif (true) {\n  let y = 20;\n}\n// console.log(y); // ❌ ReferenceError: y is not defined\n\n@example <caption>const is block-scoped</caption>\nif (true) {\n  const z = 30;\n}\n// console.log(z); // ❌ ReferenceError: z is not defined"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Scope determines where a variable is accessible.\n\n| Feature    | `var`           | `let`         | `const`       |\n| :--------- | :-------------- | :------------ | :------------ |\n| Scope type | Function-scoped | Block-scoped  | Block-scoped  |\n\n@example <caption>var is function-scoped</caption>\nif (true) {\n  var x = 10;\n}\nconsole.log(x); // 10 ✅ (Accessible outside the block)\n\n@example <caption>let is block-scoped</caption>\nif (true) {\n  let y = 20;\n}\n// console.log(y); // ❌ ReferenceError: y is not defined\n\n@example <caption>const is block-scoped</caption>\nif (true) {\n  const z = 30;\n}\n// console.log(z); // ❌ ReferenceError: z is not defined",
+              "line": 23
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "2-hoisting",
+          "title": "Hoisting",
+          "number": "2",
+          "heading": "2. Hoisting",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 48,
+          "endLine": 72,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Hoisting is JavaScript's behavior of moving declarations to the top of their\nscope before code execution.\n\n| Feature                        | `var`           | `let`         | `const`       |\n| :----------------------------- | :-------------- | :------------ | :------------ |\n| Hoisted?                       | ✅ Yes          | ✅ Yes        | ✅ Yes        |\n| Initialized before declaration?| ✅ `undefined`  | ❌ No (TDZ)   | ❌ No (TDZ)   |\n\nTDZ = Temporal Dead Zone: The period where a variable is hoisted but not yet accessible.\n\n@example <caption>var is hoisted and initialized to undefined</caption>\nconsole.log(a); // undefined\nvar a = 5;\n\n@example <caption>let is in the TDZ</caption>\n// console.log(b); // ❌ ReferenceError: Cannot access 'b' before initialization\nlet b = 5;\n\n@example <caption>const is in the TDZ</caption>\n// console.log(c); // ❌ ReferenceError: Cannot access 'c' before initialization\nconst c = 5;"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Hoisting is JavaScript's behavior of moving declarations to the top of their\nscope before code execution.\n\n| Feature                        | `var`           | `let`         | `const`       |\n| :----------------------------- | :-------------- | :------------ | :------------ |\n| Hoisted?                       | ✅ Yes          | ✅ Yes        | ✅ Yes        |\n| Initialized before declaration?| ✅ `undefined`  | ❌ No (TDZ)   | ❌ No (TDZ)   |\n\nTDZ = Temporal Dead Zone: The period where a variable is hoisted but not yet accessible.\n\n@example <caption>var is hoisted and initialized to undefined</caption>\nconsole.log(a); // undefined\nvar a = 5;\n\n@example <caption>let is in the TDZ</caption>\n// console.log(b); // ❌ ReferenceError: Cannot access 'b' before initialization\nlet b = 5;\n\n@example <caption>const is in the TDZ</caption>\n// console.log(c); // ❌ ReferenceError: Cannot access 'c' before initialization\nconst c = 5;",
+              "line": 50
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "3-redeclaration-reassignment",
+          "title": "Redeclaration & Reassignment",
+          "number": "3",
+          "heading": "3. Redeclaration & Reassignment",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 73,
+          "endLine": 93,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "| Feature                  | `var`           | `let`         | `const`         |\n| :----------------------- | :-------------- | :------------ | :-------------- |\n| Redeclare in same scope? | ✅ Allowed      | ❌ Error      | ❌ Error        |\n| Reassign value?          | ✅ Allowed      | ✅ Allowed     | ❌ Not allowed  |\n\n@example\nvar x = 1;\nvar x = 2; // ✅ Works\n\nlet y = 1;\n// let y = 2; // ❌ SyntaxError\ny = 3; // ✅ Reassignment is fine\n\nconst z = 1;\n// const z = 2; // ❌ SyntaxError\n// z = 3; // ❌ TypeError"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "| Feature                  | `var`           | `let`         | `const`         |\n| :----------------------- | :-------------- | :------------ | :-------------- |\n| Redeclare in same scope? | ✅ Allowed      | ❌ Error      | ❌ Error        |\n| Reassign value?          | ✅ Allowed      | ✅ Allowed     | ❌ Not allowed  |\n\n@example\nvar x = 1;\nvar x = 2; // ✅ Works\n\nlet y = 1;\n// let y = 2; // ❌ SyntaxError\ny = 3; // ✅ Reassignment is fine\n\nconst z = 1;\n// const z = 2; // ❌ SyntaxError\n// z = 3; // ❌ TypeError",
+              "line": 75
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "4-global-object-binding",
+          "title": "Global Object Binding",
+          "number": "4",
+          "heading": "4. Global Object Binding",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 94,
+          "endLine": 113,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "In the global scope, `var` creates a property on the global object (`window`\nin browsers), while `let` and `const` do not.\n\n| Feature                      | `var`           | `let`         | `const`       |\n| :--------------------------- | :-------------- | :------------ | :------------ |\n| Added to `window` (browser)? | ✅ Yes          | ❌ No          | ❌ No          |\n\n@example\nvar globalVar = \"JS\";\nlet globalLet = \"JS\";\nconst globalConst = \"JS\";\n\n// In a browser:\n// console.log(window.globalVar);   // \"JS\"\n// console.log(window.globalLet);   // undefined\n// console.log(window.globalConst); // undefined"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "In the global scope, `var` creates a property on the global object (`window`\nin browsers), while `let` and `const` do not.\n\n| Feature                      | `var`           | `let`         | `const`       |\n| :--------------------------- | :-------------- | :------------ | :------------ |\n| Added to `window` (browser)? | ✅ Yes          | ❌ No          | ❌ No          |\n\n@example\nvar globalVar = \"JS\";\nlet globalLet = \"JS\";\nconst globalConst = \"JS\";\n\n// In a browser:\n// console.log(window.globalVar);   // \"JS\"\n// console.log(window.globalLet);   // undefined\n// console.log(window.globalConst); // undefined",
+              "line": 96
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "5-loop-behavior",
+          "title": "Loop Behavior",
+          "number": "5",
+          "heading": "5. Loop Behavior",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 114,
+          "endLine": 140,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "`let` and `const` create a new binding for each loop iteration, fixing a\ncommon bug with `var` in closures.\n\n| Feature                      | `var`           | `let`         | `const`       |\n| :--------------------------- | :-------------- | :------------ | :------------ |\n| Same variable reused in loop?| ✅ Yes (buggy)  | ❌ No          | ❌ No          |\n\n@example <caption>var reuses the same variable</caption>\nfor (var i = 0; i < 3; i++) {\n  setTimeout(() => console.log(i), 100); // Logs 3, three times\n}\n\n@example <caption>let creates a new binding per iteration</caption>\nfor (let i = 0; i < 3; i++) {\n  setTimeout(() => console.log(i), 100); // Logs 0, 1, 2\n}\n\n@example <caption>const in a for-loop</caption>\n// for (const i = 0; i < 3; i++) {\n//   // This would throw a TypeError on the second iteration (i++)\n//   // because `i` cannot be reassigned.\n// }\n// Note: `for...of` loops work fine with const: for (const item of [1,2,3])"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`let` and `const` create a new binding for each loop iteration, fixing a\ncommon bug with `var` in closures.\n\n| Feature                      | `var`           | `let`         | `const`       |\n| :--------------------------- | :-------------- | :------------ | :------------ |\n| Same variable reused in loop?| ✅ Yes (buggy)  | ❌ No          | ❌ No          |\n\n@example <caption>var reuses the same variable</caption>\nfor (var i = 0; i < 3; i++) {\n  setTimeout(() => console.log(i), 100); // Logs 3, three times\n}\n\n@example <caption>let creates a new binding per iteration</caption>\nfor (let i = 0; i < 3; i++) {\n  setTimeout(() => console.log(i), 100); // Logs 0, 1, 2\n}\n\n@example <caption>const in a for-loop</caption>\n// for (const i = 0; i < 3; i++) {\n//   // This would throw a TypeError on the second iteration (i++)\n//   // because `i` cannot be reassigned.\n// }\n// Note: `for...of` loops work fine with const: for (const item of [1,2,3])",
+              "line": 116
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "6-objects-arrays",
+          "title": "Objects & Arrays",
+          "number": "6",
+          "heading": "6. Objects & Arrays",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 141,
+          "endLine": 155,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "`const` only makes the variable binding constant, not the value itself.\n\n| Feature                      | `var`           | `let`         | `const`         |\n| :--------------------------- | :-------------- | :------------ | :-------------- |\n| Object/Array mutation?       | ✅ Allowed      | ✅ Allowed     | ✅ Allowed      |\n| Reassignment of object/array?| ✅ Allowed      | ✅ Allowed     | ❌ Not allowed  |\n\n@example <caption>const allows mutation but not reassignment</caption>\nconst obj = { a: 1 };\nobj.a = 2; // ✅ Allowed\n// obj = { b: 3 }; // ❌ TypeError"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`const` only makes the variable binding constant, not the value itself.\n\n| Feature                      | `var`           | `let`         | `const`         |\n| :--------------------------- | :-------------- | :------------ | :-------------- |\n| Object/Array mutation?       | ✅ Allowed      | ✅ Allowed     | ✅ Allowed      |\n| Reassignment of object/array?| ✅ Allowed      | ✅ Allowed     | ❌ Not allowed  |\n\n@example <caption>const allows mutation but not reassignment</caption>\nconst obj = { a: 1 };\nobj.a = 2; // ✅ Allowed\n// obj = { b: 3 }; // ❌ TypeError",
+              "line": 143
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "7-interview-brain-benders",
+          "title": "Interview Brain-Benders",
+          "number": "7",
+          "heading": "7. Interview Brain-Benders",
+          "marker": null,
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 156,
+          "endLine": 187,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Q1: `var` hoisting\n   function testVar() { console.log(a); var a = 10; }\n   // testVar();\n   // ✅ Output: undefined. `var a` is hoisted and initialized as `undefined`.\n\nQ2: `let` TDZ\n   function testLet() { console.log(b); let b = 20; }\n   // testLet();\n   // ❌ Output: ReferenceError. `b` is in the Temporal Dead Zone (TDZ).\n\nQ3: `const` object mutation\n   const obj_q3 = { x: 1 };\n   obj_q3.x = 2;\n   // console.log(obj_q3.x);\n   // ✅ Output: 2. The object's property is mutated, not the reference.\n\nQ4: `var` in a loop closure\n   for (var i_q4 = 0; i_q4 < 2; i_q4++) {\n     setTimeout(() => console.log(i_q4), 0);\n   }\n   // ✅ Output: 2, 2. The same `i_q4` variable (which is 2 after the loop) is captured.\n\nQ5: `let` in a loop closure\n   for (let i_q5 = 0; i_q5 < 2; i_q5++) {\n     setTimeout(() => console.log(i_q5), 0);\n   }\n   // ✅ Output: 0, 1. A new `i_q5` is created for each iteration."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Q1: `var` hoisting\n   function testVar() { console.log(a); var a = 10; }\n   // testVar();\n   // ✅ Output: undefined. `var a` is hoisted and initialized as `undefined`.\n\nQ2: `let` TDZ\n   function testLet() { console.log(b); let b = 20; }\n   // testLet();\n   // ❌ Output: ReferenceError. `b` is in the Temporal Dead Zone (TDZ).\n\nQ3: `const` object mutation\n   const obj_q3 = { x: 1 };\n   obj_q3.x = 2;\n   // console.log(obj_q3.x);\n   // ✅ Output: 2. The object's property is mutated, not the reference.\n\nQ4: `var` in a loop closure\n   for (var i_q4 = 0; i_q4 < 2; i_q4++) {\n     setTimeout(() => console.log(i_q4), 0);\n   }\n   // ✅ Output: 2, 2. The same `i_q4` variable (which is 2 after the loop) is captured.\n\nQ5: `let` in a loop closure\n   for (let i_q5 = 0; i_q5 < 2; i_q5++) {\n     setTimeout(() => console.log(i_q5), 0);\n   }\n   // ✅ Output: 0, 1. A new `i_q5` is created for each iteration.",
+              "line": 158
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "8-best-practices-final-rule-of-thumb",
+          "title": "Best Practices & Final Rule of Thumb",
+          "number": "8",
+          "heading": "8. Best Practices & Final Rule of Thumb",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 188,
+          "endLine": 205,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "### Best Practices:\n- ✅ **Use `const` by default.** This makes your code more predictable by\n  preventing accidental reassignments.\n- ✅ **Use `let` only if the variable's value must change.**\n- ❌ **Avoid `var`** in all modern JavaScript code to prevent scope and\n  hoisting issues.\n- ✅ For true immutability of objects, use `Object.freeze(obj)` for a shallow\n  freeze or libraries like `Immutable.js` for deep immutability.\n\n### Final Rule of Thumb:\n- `var`:   Old, function-scoped, buggy. **Avoid.**\n- `let`:   Modern, block-scoped, for **mutable** values.\n- `const`: Modern, block-scoped, for **immutable** bindings. **Default choice.**"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "### Best Practices:\n- ✅ **Use `const` by default.** This makes your code more predictable by\n  preventing accidental reassignments.\n- ✅ **Use `let` only if the variable's value must change.**\n- ❌ **Avoid `var`** in all modern JavaScript code to prevent scope and\n  hoisting issues.\n- ✅ For true immutability of objects, use `Object.freeze(obj)` for a shallow\n  freeze or libraries like `Immutable.js` for deep immutability.\n\n### Final Rule of Thumb:\n- `var`:   Old, function-scoped, buggy. **Avoid.**\n- `let`:   Modern, block-scoped, for **mutable** values.\n- `const`: Modern, block-scoped, for **immutable** bindings. **Default choice.**",
+              "line": 190
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "005_var-let-const-comparison.js",
+      "chapter": "001_VariablesInside",
+      "path": "scripts/001_VariablesInside/005_var-let-const-comparison.js",
+      "chapterTitle": "Variables"
+    },
+    {
+      "id": "006",
+      "title": "JavaScript Learning Path: Primitive 1: Number",
+      "summary": "A deep dive into the 'Number' primitive type in JavaScript. This file covers its internal representation, special values, pitfalls, and interview questions with runnable examples.",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "25 min",
+        "minutes": 25,
+        "prerequisites": [
+          "001"
+        ],
+        "tags": [
+          "number",
+          "ieee 754",
+          "nan",
+          "coercion"
+        ],
+        "line": 6
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 14,
+          "endLine": 20,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a comprehensive exploration of the `Number` type,\nwhich is one of JavaScript's fundamental primitive data types."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a comprehensive exploration of the `Number` type,\nwhich is one of JavaScript's fundamental primitive data types.",
+              "line": 16
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "definition",
+          "title": "Definition",
+          "number": null,
+          "heading": "✅ Definition",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 21,
+          "endLine": 29,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "In JavaScript, there is only one number type. All numbers, whether they are\nintegers (like 42) or floating-point numbers (like 3.14), are represented\nas 64-bit floating-point numbers according to the IEEE-754 standard.\nThis means that even special values like `NaN`, `Infinity`, and `-0` are of\nthe type `number`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "In JavaScript, there is only one number type. All numbers, whether they are\nintegers (like 42) or floating-point numbers (like 3.14), are represented\nas 64-bit floating-point numbers according to the IEEE-754 standard.\nThis means that even special values like `NaN`, `Infinity`, and `-0` are of\nthe type `number`.",
+              "line": 23
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "internal-representation",
+          "title": "Internal Representation",
+          "number": null,
+          "heading": "⚙️ Internal Representation",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 30,
+          "endLine": 41,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "A number is stored in 64 bits (8 bytes) of memory, broken down as follows:\n- 1 bit for the sign (+ or -)\n- 11 bits for the exponent (the position of the decimal point)\n- 52 bits for the fraction/mantissa (the significant digits)\n\nThis structure gives us about 53 bits of precision for integers, which means\nintegers are only \"safe\" (guaranteed to be represented accurately) up to\n`2^53 - 1`, or `9007199254740991`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "A number is stored in 64 bits (8 bytes) of memory, broken down as follows:\n- 1 bit for the sign (+ or -)\n- 11 bits for the exponent (the position of the decimal point)\n- 52 bits for the fraction/mantissa (the significant digits)\n\nThis structure gives us about 53 bits of precision for integers, which means\nintegers are only \"safe\" (guaranteed to be represented accurately) up to\n`2^53 - 1`, or `9007199254740991`.",
+              "line": 32
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "special-values",
+          "title": "Special Values",
+          "number": null,
+          "heading": "🌟 Special Values",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 42,
+          "endLine": 55,
+          "codeLine": 47,
+          "code": "console.log(\"--- Special Values ---\");\n// `NaN` stands for \"Not-a-Number\", but its type is still 'number'.\nconsole.log(`typeof NaN:`, typeof NaN); // \"number\"\n\n// `Infinity` results from operations like dividing by zero or number overflows.\nconsole.log(`1 / 0:`, 1 / 0); // Infinity\nconsole.log(`1 / -0:`, 1 / -0); // -Infinity",
+          "prose": [
+            "JavaScript numbers include several special values.",
+            "`NaN` stands for \"Not-a-Number\", but its type is still 'number'.",
+            "`Infinity` results from operations like dividing by zero or number overflows."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "JavaScript numbers include several special values.",
+              "line": 44
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- Special Values ---\");",
+              "line": 47
+            },
+            {
+              "type": "prose",
+              "text": "`NaN` stands for \"Not-a-Number\", but its type is still 'number'.",
+              "line": 48
+            },
+            {
+              "type": "code",
+              "text": "console.log(`typeof NaN:`, typeof NaN); // \"number\"",
+              "line": 49
+            },
+            {
+              "type": "prose",
+              "text": "`Infinity` results from operations like dividing by zero or number overflows.",
+              "line": 51
+            },
+            {
+              "type": "code",
+              "text": "console.log(`1 / 0:`, 1 / 0); // Infinity\nconsole.log(`1 / -0:`, 1 / -0); // -Infinity",
+              "line": 52
+            }
+          ],
+          "expected": [
+            {
+              "line": 49,
+              "text": "\"number\"",
+              "kind": "inline",
+              "code": "console.log(`typeof NaN:`, typeof NaN);"
+            },
+            {
+              "line": 52,
+              "text": "Infinity",
+              "kind": "inline",
+              "code": "console.log(`1 / 0:`, 1 / 0);"
+            },
+            {
+              "line": 53,
+              "text": "-Infinity",
+              "kind": "inline",
+              "code": "console.log(`1 / -0:`, 1 / -0);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "type-conversion-to-number",
+          "title": "Type Conversion to Number",
+          "number": null,
+          "heading": "🔄 Type Conversion to Number",
+          "marker": "Type Conversion to Number",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 56,
+          "endLine": 70,
+          "codeLine": 61,
+          "code": "console.log(\"\\n--- Type Conversion to Number ---\");\nconsole.log(`Number(\"42\"):`, Number(\"42\")); // 42\nconsole.log(`Number(\"\"):`, Number(\"\")); // 0\nconsole.log(`Number(\"foo\"):`, Number(\"foo\")); // NaN\nconsole.log(`Number(true):`, Number(true)); // 1\nconsole.log(`Number(false):`, Number(false)); // 0\nconsole.log(`Number(null):`, Number(null)); // 0\nconsole.log(`Number(undefined):`, Number(undefined)); // NaN",
+          "prose": [
+            "The `Number()` function can be used to explicitly convert other types to numbers."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "The `Number()` function can be used to explicitly convert other types to numbers.",
+              "line": 58
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Type Conversion to Number ---\");\nconsole.log(`Number(\"42\"):`, Number(\"42\")); // 42\nconsole.log(`Number(\"\"):`, Number(\"\")); // 0\nconsole.log(`Number(\"foo\"):`, Number(\"foo\")); // NaN\nconsole.log(`Number(true):`, Number(true)); // 1\nconsole.log(`Number(false):`, Number(false)); // 0\nconsole.log(`Number(null):`, Number(null)); // 0\nconsole.log(`Number(undefined):`, Number(undefined)); // NaN",
+              "line": 61
+            }
+          ],
+          "expected": [
+            {
+              "line": 62,
+              "text": "42",
+              "kind": "inline",
+              "code": "console.log(`Number(\"42\"):`, Number(\"42\"));"
+            },
+            {
+              "line": 63,
+              "text": "0",
+              "kind": "inline",
+              "code": "console.log(`Number(\"\"):`, Number(\"\"));"
+            },
+            {
+              "line": 64,
+              "text": "NaN",
+              "kind": "inline",
+              "code": "console.log(`Number(\"foo\"):`, Number(\"foo\"));"
+            },
+            {
+              "line": 65,
+              "text": "1",
+              "kind": "inline",
+              "code": "console.log(`Number(true):`, Number(true));"
+            },
+            {
+              "line": 66,
+              "text": "0",
+              "kind": "inline",
+              "code": "console.log(`Number(false):`, Number(false));"
+            },
+            {
+              "line": 67,
+              "text": "0",
+              "kind": "inline",
+              "code": "console.log(`Number(null):`, Number(null));"
+            },
+            {
+              "line": 68,
+              "text": "NaN",
+              "kind": "inline",
+              "code": "console.log(`Number(undefined):`, Number(undefined));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "pitfalls-interview-traps",
+          "title": "Pitfalls & Interview Traps",
+          "number": null,
+          "heading": "⚠️ Pitfalls & Interview Traps",
+          "marker": "Pitfalls & Interview Traps",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 71,
+          "endLine": 99,
+          "codeLine": 76,
+          "code": "console.log(\"\\n--- Pitfalls & Interview Traps ---\");\n\n// 1. Floating-point precision issues\nconsole.log(\"0.1 + 0.2 =\", 0.1 + 0.2); // 0.30000000000000004\nconsole.log(\"0.1 + 0.2 === 0.3 is\", 0.1 + 0.2 === 0.3); // false\n\n// 2. NaN's weird behavior\n// NaN is not equal to anything, including itself.\nconsole.log(\"NaN === NaN is\", NaN === NaN); // false\n// Use the `Number.isNaN()` method to correctly check for NaN.\nconsole.log(\"Number.isNaN(NaN) is\", Number.isNaN(NaN)); // true\n\n// 3. The existence of -0 (Negative Zero)\n// Negative zero is equal to positive zero with the `===` operator.\nconsole.log(\"0 === -0 is\", 0 === -0); // true\n// To distinguish them, use `Object.is()`.\nconsole.log(\"Object.is(0, -0) is\", Object.is(0, -0)); // false\n\n// 4. Maximum Safe Integer\n// Integers beyond `MAX_SAFE_INTEGER` may lose precision.\nconsole.log(\"Number.MAX_SAFE_INTEGER:\", Number.MAX_SAFE_INTEGER); // 9007199254740991\nconsole.log(\"A large number (9999999999999999) becomes:\", 9999999999999999); // 10000000000000000 (rounded!)",
+          "prose": [
+            "The nature of floating-point math leads to some common gotchas.",
+            "1. Floating-point precision issues",
+            "2. NaN's weird behavior\nNaN is not equal to anything, including itself.",
+            "Use the `Number.isNaN()` method to correctly check for NaN.",
+            "3. The existence of -0 (Negative Zero)\nNegative zero is equal to positive zero with the `===` operator.",
+            "To distinguish them, use `Object.is()`.",
+            "4. Maximum Safe Integer\nIntegers beyond `MAX_SAFE_INTEGER` may lose precision."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "The nature of floating-point math leads to some common gotchas.",
+              "line": 73
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Pitfalls & Interview Traps ---\");",
+              "line": 76
+            },
+            {
+              "type": "prose",
+              "text": "1. Floating-point precision issues",
+              "line": 78
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"0.1 + 0.2 =\", 0.1 + 0.2); // 0.30000000000000004\nconsole.log(\"0.1 + 0.2 === 0.3 is\", 0.1 + 0.2 === 0.3); // false",
+              "line": 79
+            },
+            {
+              "type": "prose",
+              "text": "2. NaN's weird behavior\nNaN is not equal to anything, including itself.",
+              "line": 82
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"NaN === NaN is\", NaN === NaN); // false",
+              "line": 84
+            },
+            {
+              "type": "prose",
+              "text": "Use the `Number.isNaN()` method to correctly check for NaN.",
+              "line": 85
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Number.isNaN(NaN) is\", Number.isNaN(NaN)); // true",
+              "line": 86
+            },
+            {
+              "type": "prose",
+              "text": "3. The existence of -0 (Negative Zero)\nNegative zero is equal to positive zero with the `===` operator.",
+              "line": 88
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"0 === -0 is\", 0 === -0); // true",
+              "line": 90
+            },
+            {
+              "type": "prose",
+              "text": "To distinguish them, use `Object.is()`.",
+              "line": 91
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Object.is(0, -0) is\", Object.is(0, -0)); // false",
+              "line": 92
+            },
+            {
+              "type": "prose",
+              "text": "4. Maximum Safe Integer\nIntegers beyond `MAX_SAFE_INTEGER` may lose precision.",
+              "line": 94
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Number.MAX_SAFE_INTEGER:\", Number.MAX_SAFE_INTEGER); // 9007199254740991\nconsole.log(\"A large number (9999999999999999) becomes:\", 9999999999999999); // 10000000000000000 (rounded!)",
+              "line": 96
+            }
+          ],
+          "expected": [
+            {
+              "line": 79,
+              "text": "0.30000000000000004",
+              "kind": "inline",
+              "code": "console.log(\"0.1 + 0.2 =\", 0.1 + 0.2);"
+            },
+            {
+              "line": 80,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"0.1 + 0.2 === 0.3 is\", 0.1 + 0.2 === 0.3);"
+            },
+            {
+              "line": 84,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"NaN === NaN is\", NaN === NaN);"
+            },
+            {
+              "line": 86,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Number.isNaN(NaN) is\", Number.isNaN(NaN));"
+            },
+            {
+              "line": 90,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"0 === -0 is\", 0 === -0);"
+            },
+            {
+              "line": 92,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"Object.is(0, -0) is\", Object.is(0, -0));"
+            },
+            {
+              "line": 96,
+              "text": "9007199254740991",
+              "kind": "inline",
+              "code": "console.log(\"Number.MAX_SAFE_INTEGER:\", Number.MAX_SAFE_INTEGER);"
+            },
+            {
+              "line": 97,
+              "text": "10000000000000000 (rounded!)",
+              "kind": "inline",
+              "code": "console.log(\"A large number (9999999999999999) becomes:\", 9999999999999999);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "optimization-tips",
+          "title": "Optimization Tips",
+          "number": null,
+          "heading": "🚀 Optimization Tips",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 100,
+          "endLine": 108,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "- Prefer integers for exact math, as long as they are within the safe integer range.\n- For financial applications or when high precision is critical, avoid floating-point\n  math. Use libraries like `Decimal.js` or the native `BigInt` type.\n- In performance-critical code (hot loops), avoid mixing types (e.g., `\"5\" + 1`).\n  This can cause the JavaScript engine's optimizer to de-optimize the code."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "- Prefer integers for exact math, as long as they are within the safe integer range.\n- For financial applications or when high precision is critical, avoid floating-point\n  math. Use libraries like `Decimal.js` or the native `BigInt` type.\n- In performance-critical code (hot loops), avoid mixing types (e.g., `\"5\" + 1`).\n  This can cause the JavaScript engine's optimizer to de-optimize the code.",
+              "line": 102
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "mini-exercises",
+          "title": "Mini-Exercises",
+          "number": null,
+          "heading": "🧩 Mini-Exercises",
+          "marker": "Mini-Exercises",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 109,
+          "endLine": 132,
+          "codeLine": 114,
+          "code": "console.log(\"\\n--- Mini-Exercises ---\");\n\n// Exercise 1:\nconsole.log(\"1. 0.1 + 0.2 == 0.3 is\", 0.1 + 0.2 == 0.3);\n\n// Exercise 2:\nconsole.log(\"2. Math.sqrt(-1) is\", Math.sqrt(-1));\n\n// Exercise 3:\nconsole.log(\"3. Number(null) is\", Number(null));\nconsole.log(\"   Number(undefined) is\", Number(undefined));\n\n// Exercise 4:\nconsole.log(\n  \"4. 9999999999999999 === 10000000000000000 is\",\n  9999999999999999 === 10000000000000000\n);",
+          "prose": [
+            "Try to predict the output of these expressions.",
+            "Exercise 1:",
+            "Exercise 2:",
+            "Exercise 3:",
+            "Exercise 4:"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Try to predict the output of these expressions.",
+              "line": 111
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Mini-Exercises ---\");",
+              "line": 114
+            },
+            {
+              "type": "prose",
+              "text": "Exercise 1:",
+              "line": 116
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"1. 0.1 + 0.2 == 0.3 is\", 0.1 + 0.2 == 0.3);",
+              "line": 117
+            },
+            {
+              "type": "prose",
+              "text": "Exercise 2:",
+              "line": 119
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"2. Math.sqrt(-1) is\", Math.sqrt(-1));",
+              "line": 120
+            },
+            {
+              "type": "prose",
+              "text": "Exercise 3:",
+              "line": 122
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"3. Number(null) is\", Number(null));\nconsole.log(\"   Number(undefined) is\", Number(undefined));",
+              "line": 123
+            },
+            {
+              "type": "prose",
+              "text": "Exercise 4:",
+              "line": 126
+            },
+            {
+              "type": "code",
+              "text": "console.log(\n  \"4. 9999999999999999 === 10000000000000000 is\",\n  9999999999999999 === 10000000000000000\n);",
+              "line": 127
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "mini-exercises-with-solutions",
+          "title": "Mini-Exercises with Solutions",
+          "number": null,
+          "heading": "🧩 Mini-Exercises with Solutions",
+          "marker": "Mini-Exercises with Solutions",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 133,
+          "endLine": 171,
+          "codeLine": 136,
+          "code": "console.log(\"\\n--- Mini-Exercises with Solutions ---\");",
+          "prose": [
+            "Q1: console.log(0.1 + 0.2 == 0.3);\n✅ Output: false\nStep-by-step:\n1. JavaScript uses binary floating-point math (IEEE-754).\n2. Numbers like 0.1 and 0.2 cannot be represented perfectly in binary.\n3. Their binary approximations add up to a number that is extremely close to 0.3,\n   but is actually `0.30000000000000004`.\n4. The comparison `0.30000000000000004 == 0.3` is therefore false.",
+            "Q2: console.log(Math.sqrt(-1));\n✅ Output: NaN\nStep-by-step:\n1. The `Math.sqrt()` function calculates the square root of a number.\n2. In real numbers, the square root is only defined for non-negative numbers (>= 0).\n3. Passing a negative number results in an invalid mathematical operation.\n4. JavaScript represents such results with the special numeric value `NaN`.",
+            "Q3: console.log(Number(null)); console.log(Number(undefined));\n✅ Output: 0, then NaN\nStep-by-step:\n1. The `Number()` conversion follows specific rules defined in the ECMAScript standard.\n2. The rule for `null` is to convert it to `0`.\n3. The rule for `undefined` is to convert it to `NaN`.",
+            "Q4: console.log(9999999999999999 === 10000000000000000);\n✅ Output: true\nStep-by-step:\n1. Both numbers are larger than `Number.MAX_SAFE_INTEGER`.\n2. When a number exceeds this limit, JavaScript can no longer guarantee its precision.\n3. The engine rounds the number to the nearest representable value. In this case,\n   `9999999999999999` is rounded up to `10000000000000000`.\n4. The comparison `10000000000000000 === 10000000000000000` is therefore true."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Mini-Exercises with Solutions ---\");",
+              "line": 136
+            },
+            {
+              "type": "prose",
+              "text": "Q1: console.log(0.1 + 0.2 == 0.3);\n✅ Output: false\nStep-by-step:\n1. JavaScript uses binary floating-point math (IEEE-754).\n2. Numbers like 0.1 and 0.2 cannot be represented perfectly in binary.\n3. Their binary approximations add up to a number that is extremely close to 0.3,\n   but is actually `0.30000000000000004`.\n4. The comparison `0.30000000000000004 == 0.3` is therefore false.",
+              "line": 138
+            },
+            {
+              "type": "prose",
+              "text": "Q2: console.log(Math.sqrt(-1));\n✅ Output: NaN\nStep-by-step:\n1. The `Math.sqrt()` function calculates the square root of a number.\n2. In real numbers, the square root is only defined for non-negative numbers (>= 0).\n3. Passing a negative number results in an invalid mathematical operation.\n4. JavaScript represents such results with the special numeric value `NaN`.",
+              "line": 147
+            },
+            {
+              "type": "prose",
+              "text": "Q3: console.log(Number(null)); console.log(Number(undefined));\n✅ Output: 0, then NaN\nStep-by-step:\n1. The `Number()` conversion follows specific rules defined in the ECMAScript standard.\n2. The rule for `null` is to convert it to `0`.\n3. The rule for `undefined` is to convert it to `NaN`.",
+              "line": 155
+            },
+            {
+              "type": "prose",
+              "text": "Q4: console.log(9999999999999999 === 10000000000000000);\n✅ Output: true\nStep-by-step:\n1. Both numbers are larger than `Number.MAX_SAFE_INTEGER`.\n2. When a number exceeds this limit, JavaScript can no longer guarantee its precision.\n3. The engine rounds the number to the nearest representable value. In this case,\n   `9999999999999999` is rounded up to `10000000000000000`.\n4. The comparison `10000000000000000 === 10000000000000000` is therefore true.",
+              "line": 162
+            }
+          ],
+          "expected": [
+            {
+              "line": 139,
+              "text": "false",
+              "kind": "block"
+            },
+            {
+              "line": 148,
+              "text": "NaN",
+              "kind": "block"
+            },
+            {
+              "line": 156,
+              "text": "0, then NaN",
+              "kind": "block"
+            },
+            {
+              "line": 163,
+              "text": "true",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "interview-brain-benders",
+          "title": "Interview Brain-Benders",
+          "number": null,
+          "heading": "🧠 Interview Brain-Benders",
+          "marker": null,
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 172,
+          "endLine": 184,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "1. Q: Why is `typeof NaN === \"number\"`?\n   A: Because `NaN` is a special value within the IEEE-754 numeric type specification. It's not a separate type; it's a specific kind of number used to represent the result of an invalid mathematical operation.\n\n2. Q: How can you check for `NaN` safely?\n   A: Use `Number.isNaN(value)`. It is the most reliable method because it does not coerce its argument. The global `isNaN(value)` function will first try to convert the value to a number, which can lead to unexpected results (e.g., `isNaN(\"foo\")` is true).\n\n3. Q: How can you detect `-0` vs `+0`?\n   A: Use `Object.is(value, -0)`. For example, `Object.is(-0, 0)` returns `false`. Another clever trick is to use division: `1 / -0` results in `-Infinity`, while `1 / 0` results in `Infinity`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "1. Q: Why is `typeof NaN === \"number\"`?\n   A: Because `NaN` is a special value within the IEEE-754 numeric type specification. It's not a separate type; it's a specific kind of number used to represent the result of an invalid mathematical operation.\n\n2. Q: How can you check for `NaN` safely?\n   A: Use `Number.isNaN(value)`. It is the most reliable method because it does not coerce its argument. The global `isNaN(value)` function will first try to convert the value to a number, which can lead to unexpected results (e.g., `isNaN(\"foo\")` is true).\n\n3. Q: How can you detect `-0` vs `+0`?\n   A: Use `Object.is(value, -0)`. For example, `Object.is(-0, 0)` returns `false`. Another clever trick is to use division: `1 / -0` results in `-Infinity`, while `1 / 0` results in `Infinity`.",
+              "line": 174
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "006_primitive-number-deep-dive.js",
+      "chapter": "002_PrimitiveDataType",
+      "path": "scripts/002_PrimitiveDataType/006_primitive-number-deep-dive.js",
+      "chapterTitle": "Primitives"
+    },
+    {
+      "id": "007",
+      "title": "More Depth on JavaScript Number",
+      "summary": "An advanced deep dive into the 'Number' primitive in JavaScript. This file covers engine optimizations, number ranges, special constants, and other in-depth details.",
+      "metadata": {
+        "difficulty": "advanced",
+        "duration": "15 min",
+        "minutes": 15,
+        "prerequisites": [
+          "006"
+        ],
+        "tags": [
+          "number",
+          "infinity",
+          "safe integers",
+          "negative zero"
+        ],
+        "line": 6
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 14,
+          "endLine": 20,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document refines our understanding of the `Number` type by exploring\nengine-level optimizations, memory representation, and special constants."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document refines our understanding of the `Number` type by exploring\nengine-level optimizations, memory representation, and special constants.",
+              "line": 16
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-whole-numbers-vs-decimals-engine-optimization",
+          "title": "Whole Numbers vs. Decimals (Engine Optimization)",
+          "number": "1",
+          "heading": "1. Whole Numbers vs. Decimals (Engine Optimization)",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 21,
+          "endLine": 40,
+          "codeLine": 36,
+          "code": "console.log(\"--- Whole Numbers vs. Decimals ---\");\nlet price = 200.00;\nconsole.log(`let price = 200.00; console.log(price) ->`, price); // 200",
+          "prose": [
+            "Even though JavaScript has only one `number` type (IEEE-754 64-bit float),\nJavaScript engines like V8 (in Chrome/Node.js) are highly optimized.\n\n✅ Engine Optimization: If a number value is a whole number within a specific\nrange, the engine can use a more efficient internal representation called\na \"Small Integer\" (SMI). This saves memory and makes arithmetic operations\nmuch faster. When a number goes outside this range or becomes a decimal,\nthe engine transparently converts it to a full floating-point representation.\n\nThis is an internal optimization; from the developer's perspective, it's all\njust one `number` type."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Even though JavaScript has only one `number` type (IEEE-754 64-bit float),\nJavaScript engines like V8 (in Chrome/Node.js) are highly optimized.\n\n✅ Engine Optimization: If a number value is a whole number within a specific\nrange, the engine can use a more efficient internal representation called\na \"Small Integer\" (SMI). This saves memory and makes arithmetic operations\nmuch faster. When a number goes outside this range or becomes a decimal,\nthe engine transparently converts it to a full floating-point representation.\n\nThis is an internal optimization; from the developer's perspective, it's all\njust one `number` type.",
+              "line": 23
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- Whole Numbers vs. Decimals ---\");\nlet price = 200.00;\nconsole.log(`let price = 200.00; console.log(price) ->`, price); // 200",
+              "line": 36
+            }
+          ],
+          "expected": [
+            {
+              "line": 38,
+              "text": "200",
+              "kind": "inline",
+              "code": "console.log(`let price = 200.00; console.log(price) ->`, price);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "range-of-numbers",
+          "title": "Range of Numbers",
+          "number": null,
+          "heading": "2. Range of Representable Numbers",
+          "marker": "Range of Numbers",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 41,
+          "endLine": 54,
+          "codeLine": 50,
+          "code": "console.log(\"\\n--- Range of Numbers ---\");\nconsole.log(\"Number.MAX_VALUE:\", Number.MAX_VALUE);\nconsole.log(\"Number.MIN_VALUE:\", Number.MIN_VALUE);",
+          "prose": [
+            "JavaScript provides constants to see the limits of the number type.\n\n- `Number.MAX_VALUE`: The largest positive number that can be represented.\n- `Number.MIN_VALUE`: The smallest positive number greater than 0. This is NOT\n  the most negative number. The most negative number is `-Number.MAX_VALUE`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "JavaScript provides constants to see the limits of the number type.\n\n- `Number.MAX_VALUE`: The largest positive number that can be represented.\n- `Number.MIN_VALUE`: The smallest positive number greater than 0. This is NOT\n  the most negative number. The most negative number is `-Number.MAX_VALUE`.",
+              "line": 43
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Range of Numbers ---\");\nconsole.log(\"Number.MAX_VALUE:\", Number.MAX_VALUE);\nconsole.log(\"Number.MIN_VALUE:\", Number.MIN_VALUE);",
+              "line": 50
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "infinity-infinity",
+          "title": "Infinity & -Infinity",
+          "number": null,
+          "heading": "3. Infinity & -Infinity",
+          "marker": "Infinity & -Infinity",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 55,
+          "endLine": 70,
+          "codeLine": 61,
+          "code": "console.log(\"\\n--- Infinity & -Infinity ---\");\n// Arithmetic overflow\nconsole.log(\"Number.MAX_VALUE + Number.MAX_VALUE =\", Number.MAX_VALUE + Number.MAX_VALUE);\nconsole.log(\"-Number.MAX_VALUE - Number.MAX_VALUE =\", -Number.MAX_VALUE - Number.MAX_VALUE);\n\n// Division by zero\nconsole.log(\"1 / 0 =\", 1 / 0);\nconsole.log(\"-1 / 0 =\", -1 / 0);",
+          "prose": [
+            "These special values represent concepts of infinity. They typically occur\nduring arithmetic overflow or division by zero.",
+            "Arithmetic overflow",
+            "Division by zero"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "These special values represent concepts of infinity. They typically occur\nduring arithmetic overflow or division by zero.",
+              "line": 57
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Infinity & -Infinity ---\");",
+              "line": 61
+            },
+            {
+              "type": "prose",
+              "text": "Arithmetic overflow",
+              "line": 62
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Number.MAX_VALUE + Number.MAX_VALUE =\", Number.MAX_VALUE + Number.MAX_VALUE);\nconsole.log(\"-Number.MAX_VALUE - Number.MAX_VALUE =\", -Number.MAX_VALUE - Number.MAX_VALUE);",
+              "line": 63
+            },
+            {
+              "type": "prose",
+              "text": "Division by zero",
+              "line": 66
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"1 / 0 =\", 1 / 0);\nconsole.log(\"-1 / 0 =\", -1 / 0);",
+              "line": 67
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "safe-integer-range",
+          "title": "Safe Integer Range",
+          "number": null,
+          "heading": "4. Safe Integer Range",
+          "marker": "Safe Integer Range",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 71,
+          "endLine": 81,
+          "codeLine": 77,
+          "code": "console.log(\"\\n--- Safe Integer Range ---\");\nconsole.log(\"Number.MAX_SAFE_INTEGER:\", Number.MAX_SAFE_INTEGER);\nconsole.log(\"Number.MIN_SAFE_INTEGER:\", Number.MIN_SAFE_INTEGER);",
+          "prose": [
+            "This is the range where integers are guaranteed to be represented precisely\nwithout any rounding errors."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This is the range where integers are guaranteed to be represented precisely\nwithout any rounding errors.",
+              "line": 73
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Safe Integer Range ---\");\nconsole.log(\"Number.MAX_SAFE_INTEGER:\", Number.MAX_SAFE_INTEGER);\nconsole.log(\"Number.MIN_SAFE_INTEGER:\", Number.MIN_SAFE_INTEGER);",
+              "line": 77
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "the-zero-quirk",
+          "title": "The Zero Quirk",
+          "number": null,
+          "heading": "5. The Zero Quirk (-0)",
+          "marker": "The Zero Quirk",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 82,
+          "endLine": 93,
+          "codeLine": 89,
+          "code": "console.log(\"\\n--- The Zero Quirk ---\");\nconsole.log(\"0 === -0 is\", 0 === -0);\nconsole.log(\"Object.is(0, -0) is\", Object.is(0, -0));",
+          "prose": [
+            "Negative zero (`-0`) exists due to the sign bit in the IEEE-754 standard.\nWhile `0 === -0` is true, they can behave differently in certain mathematical\ncontexts (e.g., indicating the direction of an approach to zero)."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Negative zero (`-0`) exists due to the sign bit in the IEEE-754 standard.\nWhile `0 === -0` is true, they can behave differently in certain mathematical\ncontexts (e.g., indicating the direction of an approach to zero).",
+              "line": 84
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- The Zero Quirk ---\");\nconsole.log(\"0 === -0 is\", 0 === -0);\nconsole.log(\"Object.is(0, -0) is\", Object.is(0, -0));",
+              "line": 89
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "special-numeric-constants",
+          "title": "Special Numeric Constants",
+          "number": null,
+          "heading": "6. Special Numeric Constants",
+          "marker": "Special Numeric Constants",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 94,
+          "endLine": 107,
+          "codeLine": 99,
+          "code": "console.log(\"\\n--- Special Numeric Constants ---\");\nconsole.log(\"Number.POSITIVE_INFINITY:\", Number.POSITIVE_INFINITY);\nconsole.log(\"Number.NEGATIVE_INFINITY:\", Number.NEGATIVE_INFINITY);\nconsole.log(\"Number.NaN:\", Number.NaN);\n\n// `Number.EPSILON` represents the difference between 1 and the smallest\n// floating-point number greater than 1. It's useful for floating-point equality checks.\nconsole.log(\"Number.EPSILON:\", Number.EPSILON);",
+          "prose": [
+            "The `Number` object holds several useful constants.",
+            "`Number.EPSILON` represents the difference between 1 and the smallest\nfloating-point number greater than 1. It's useful for floating-point equality checks."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "The `Number` object holds several useful constants.",
+              "line": 96
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Special Numeric Constants ---\");\nconsole.log(\"Number.POSITIVE_INFINITY:\", Number.POSITIVE_INFINITY);\nconsole.log(\"Number.NEGATIVE_INFINITY:\", Number.NEGATIVE_INFINITY);\nconsole.log(\"Number.NaN:\", Number.NaN);",
+              "line": 99
+            },
+            {
+              "type": "prose",
+              "text": "`Number.EPSILON` represents the difference between 1 and the smallest\nfloating-point number greater than 1. It's useful for floating-point equality checks.",
+              "line": 104
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Number.EPSILON:\", Number.EPSILON);",
+              "line": 106
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "007_primitive-number-advanced.js",
+      "chapter": "002_PrimitiveDataType",
+      "path": "scripts/002_PrimitiveDataType/007_primitive-number-advanced.js",
+      "chapterTitle": "Primitives"
+    },
+    {
+      "id": "008",
+      "title": "JavaScript Learning Path: Primitive 2: BigInt",
+      "summary": "",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "20 min",
+        "minutes": 20,
+        "prerequisites": [
+          "006",
+          "007"
+        ],
+        "tags": [
+          "bigint",
+          "precision"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 16,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a comprehensive exploration of the `BigInt` type,\nintroduced in ES2020 to handle integers of arbitrary size."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a comprehensive exploration of the `BigInt` type,\nintroduced in ES2020 to handle integers of arbitrary size.",
+              "line": 12
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "definition",
+          "title": "Definition",
+          "number": null,
+          "heading": "✅ Definition",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 17,
+          "endLine": 35,
+          "codeLine": 29,
+          "code": "console.log(\"--- BigInt Definition ---\");\nconst big1 = 123456789012345678901234567890n;\nconst big2 = BigInt(\"9007199254740993\");\nconsole.log(\"Created with 'n' suffix:\", big1);\nconsole.log(\"Created with BigInt() function:\", big2);",
+          "prose": [
+            "`BigInt` is a primitive type for representing integers of arbitrary precision,\nallowing you to work with numbers beyond the safe integer limit of the\n`Number` type (Number.MAX_SAFE_INTEGER, which is 2^53 - 1).\n\nA `BigInt` is created by appending `n` to the end of an integer literal or by\ncalling the `BigInt()` function."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`BigInt` is a primitive type for representing integers of arbitrary precision,\nallowing you to work with numbers beyond the safe integer limit of the\n`Number` type (Number.MAX_SAFE_INTEGER, which is 2^53 - 1).\n\nA `BigInt` is created by appending `n` to the end of an integer literal or by\ncalling the `BigInt()` function.",
+              "line": 19
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- BigInt Definition ---\");\nconst big1 = 123456789012345678901234567890n;\nconst big2 = BigInt(\"9007199254740993\");\nconsole.log(\"Created with 'n' suffix:\", big1);\nconsole.log(\"Created with BigInt() function:\", big2);",
+              "line": 29
+            }
+          ],
+          "expected": [],
+          "requires": [
+            "bigint"
+          ]
+        },
+        {
+          "id": "why-bigint-precision",
+          "title": "Why BigInt? (Precision)",
+          "number": null,
+          "heading": "⚙️ Why BigInt?",
+          "marker": "Why BigInt? (Precision)",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 36,
+          "endLine": 47,
+          "codeLine": 43,
+          "code": "console.log(\"\\n--- Why BigInt? (Precision) ---\");\nconsole.log(\"With Number (loses precision):\", 9999999999999999); // 10000000000000000\nconsole.log(\"With BigInt (preserves precision):\", 9999999999999999n); // 9999999999999999n",
+          "prose": [
+            "`BigInt` solves the precision problem for large integers that `Number` has."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`BigInt` solves the precision problem for large integers that `Number` has.",
+              "line": 38
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Why BigInt? (Precision) ---\");\nconsole.log(\"With Number (loses precision):\", 9999999999999999); // 10000000000000000\nconsole.log(\"With BigInt (preserves precision):\", 9999999999999999n); // 9999999999999999n",
+              "line": 43
+            }
+          ],
+          "expected": [
+            {
+              "line": 44,
+              "text": "10000000000000000",
+              "kind": "inline",
+              "code": "console.log(\"With Number (loses precision):\", 9999999999999999);"
+            },
+            {
+              "line": 45,
+              "text": "9999999999999999n",
+              "kind": "inline",
+              "code": "console.log(\"With BigInt (preserves precision):\", 9999999999999999n);"
+            }
+          ],
+          "requires": [
+            "bigint"
+          ]
+        },
+        {
+          "id": "operations-with-bigint",
+          "title": "Operations with BigInt",
+          "number": null,
+          "heading": "🌟 Operations with BigInt",
+          "marker": "Operations with BigInt",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 48,
+          "endLine": 65,
+          "codeLine": 55,
+          "code": "console.log(\"\\n--- Operations with BigInt ---\");\nlet a = 10n;\nlet b = 3n;\nconsole.log(`${a} + ${b} =`, a + b); // 13n\nconsole.log(`${a} - ${b} =`, a - b); // 7n\nconsole.log(`${a} * ${b} =`, a * b); // 30n\nconsole.log(`${a} % ${b} =`, a % b); // 1n\n// ⚠️ Division always truncates the result toward zero (no decimals).\nconsole.log(`${a} / ${b} =`, a / b); // 3n",
+          "prose": [
+            "Standard arithmetic operators work with BigInts.",
+            "⚠️ Division always truncates the result toward zero (no decimals)."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Standard arithmetic operators work with BigInts.",
+              "line": 50
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Operations with BigInt ---\");\nlet a = 10n;\nlet b = 3n;\nconsole.log(`${a} + ${b} =`, a + b); // 13n\nconsole.log(`${a} - ${b} =`, a - b); // 7n\nconsole.log(`${a} * ${b} =`, a * b); // 30n\nconsole.log(`${a} % ${b} =`, a % b); // 1n",
+              "line": 55
+            },
+            {
+              "type": "prose",
+              "text": "⚠️ Division always truncates the result toward zero (no decimals).",
+              "line": 62
+            },
+            {
+              "type": "code",
+              "text": "console.log(`${a} / ${b} =`, a / b); // 3n",
+              "line": 63
+            }
+          ],
+          "expected": [
+            {
+              "line": 58,
+              "text": "13n",
+              "kind": "inline",
+              "code": "console.log(`${a} + ${b} =`, a + b);"
+            },
+            {
+              "line": 59,
+              "text": "7n",
+              "kind": "inline",
+              "code": "console.log(`${a} - ${b} =`, a - b);"
+            },
+            {
+              "line": 60,
+              "text": "30n",
+              "kind": "inline",
+              "code": "console.log(`${a} * ${b} =`, a * b);"
+            },
+            {
+              "line": 61,
+              "text": "1n",
+              "kind": "inline",
+              "code": "console.log(`${a} % ${b} =`, a % b);"
+            },
+            {
+              "line": 63,
+              "text": "3n",
+              "kind": "inline",
+              "code": "console.log(`${a} / ${b} =`, a / b);"
+            }
+          ],
+          "requires": [
+            "bigint"
+          ]
+        },
+        {
+          "id": "edge-cases-brain-benders",
+          "title": "Edge Cases & Brain-Benders",
+          "number": null,
+          "heading": "⚠️ BigInt Edge Cases & Brain-Benders",
+          "marker": "Edge Cases & Brain-Benders",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 66,
+          "endLine": 130,
+          "codeLine": 72,
+          "code": "console.log(\"\\n--- Edge Cases & Brain-Benders ---\");\n\n// 1. Mixing BigInt with Number\n// This is not allowed directly to prevent silent precision loss.\ntry {\n  console.log(\"1n + 2 throws error:\", 1n + 2);\n} catch (e) {\n  console.log(\"1n + 2 throws error:\", e.message); // ❌ TypeError\n}\n// You must explicitly convert one of the types.\nconsole.log(\"Explicit conversion (to BigInt):\", 1n + BigInt(2)); // ✅ 3n\nconsole.log(\"Explicit conversion (to Number):\", Number(1n) + 2); // ✅ 3\n\n// 2. No Math support\n// The built-in `Math` object does not support BigInt.\ntry {\n  console.log(\"Math.sqrt(16n) throws error:\", Math.sqrt(16n));\n} catch (e) {\n  console.log(\"Math.sqrt(16n) throws error:\", e.message); // ❌ TypeError\n}\ntry {\n  console.log(\"Math.max(10n, 20n) throws error:\", Math.max(10n, 20n));\n} catch (e) {\n  console.log(\"Math.max(10n, 20n) throws error:\", e.message); // ❌ TypeError\n}\n\n// 3. Boolean behavior\n// `0n` is falsy, all other BigInts are truthy.\nconsole.log(\"Boolean(0n) is\", Boolean(0n)); // false\nconsole.log(\"Boolean(123n) is\", Boolean(123n)); // true\nconsole.log(\"0n ? 'yes' : 'no' ->\", 0n ? \"yes\" : \"no\"); // no\n\n// 4. Comparisons\n// Loose equality (==) can work between Number and BigInt via coercion.\nconsole.log(\"20n > 15 is\", 20n > 15); // true\nconsole.log(\"20n < 30 is\", 20n < 30); // true\nconsole.log(\"20n == 20 is\", 20n == 20); // true\n// Strict equality (===) will always be false because they are different types.\nconsole.log(\"20n === 20 is\", 20n === 20); // false\n\n// 5. JSON doesn't support BigInt\n// `JSON.stringify` will throw a TypeError for BigInts.\ntry {\n  JSON.stringify({ big: 10n });\n} catch (e) {\n  console.log(\"JSON.stringify({ big: 10n }) throws error:\", e.message); // ❌ TypeError\n}\n// The fix is to convert the BigInt to a string first.\nconsole.log(\"JSON.stringify with .toString():\", JSON.stringify({ big: 10n.toString() })); // ✅\n\n// 6. BigInt with bitwise ops\n// Bitwise operations work as long as both operands are BigInts.\nconsole.log(\"10n & 7n =\", 10n & 7n); // 2n\n\n// 7. Negative zero doesn't exist\n// BigInt simplifies the concept of zero from IEEE-754.\nconsole.log(\"Object.is(0n, -0n) is\", Object.is(0n, -0n)); // true",
+          "prose": [
+            "1. Mixing BigInt with Number\nThis is not allowed directly to prevent silent precision loss.",
+            "You must explicitly convert one of the types.",
+            "2. No Math support\nThe built-in `Math` object does not support BigInt.",
+            "3. Boolean behavior\n`0n` is falsy, all other BigInts are truthy.",
+            "4. Comparisons\nLoose equality (==) can work between Number and BigInt via coercion.",
+            "Strict equality (===) will always be false because they are different types.",
+            "5. JSON doesn't support BigInt\n`JSON.stringify` will throw a TypeError for BigInts.",
+            "The fix is to convert the BigInt to a string first.",
+            "6. BigInt with bitwise ops\nBitwise operations work as long as both operands are BigInts.",
+            "7. Negative zero doesn't exist\nBigInt simplifies the concept of zero from IEEE-754."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Edge Cases & Brain-Benders ---\");",
+              "line": 72
+            },
+            {
+              "type": "prose",
+              "text": "1. Mixing BigInt with Number\nThis is not allowed directly to prevent silent precision loss.",
+              "line": 74
+            },
+            {
+              "type": "code",
+              "text": "try {\n  console.log(\"1n + 2 throws error:\", 1n + 2);\n} catch (e) {\n  console.log(\"1n + 2 throws error:\", e.message); // ❌ TypeError\n}",
+              "line": 76
+            },
+            {
+              "type": "prose",
+              "text": "You must explicitly convert one of the types.",
+              "line": 81
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Explicit conversion (to BigInt):\", 1n + BigInt(2)); // ✅ 3n\nconsole.log(\"Explicit conversion (to Number):\", Number(1n) + 2); // ✅ 3",
+              "line": 82
+            },
+            {
+              "type": "prose",
+              "text": "2. No Math support\nThe built-in `Math` object does not support BigInt.",
+              "line": 85
+            },
+            {
+              "type": "code",
+              "text": "try {\n  console.log(\"Math.sqrt(16n) throws error:\", Math.sqrt(16n));\n} catch (e) {\n  console.log(\"Math.sqrt(16n) throws error:\", e.message); // ❌ TypeError\n}\ntry {\n  console.log(\"Math.max(10n, 20n) throws error:\", Math.max(10n, 20n));\n} catch (e) {\n  console.log(\"Math.max(10n, 20n) throws error:\", e.message); // ❌ TypeError\n}",
+              "line": 87
+            },
+            {
+              "type": "prose",
+              "text": "3. Boolean behavior\n`0n` is falsy, all other BigInts are truthy.",
+              "line": 98
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Boolean(0n) is\", Boolean(0n)); // false\nconsole.log(\"Boolean(123n) is\", Boolean(123n)); // true\nconsole.log(\"0n ? 'yes' : 'no' ->\", 0n ? \"yes\" : \"no\"); // no",
+              "line": 100
+            },
+            {
+              "type": "prose",
+              "text": "4. Comparisons\nLoose equality (==) can work between Number and BigInt via coercion.",
+              "line": 104
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"20n > 15 is\", 20n > 15); // true\nconsole.log(\"20n < 30 is\", 20n < 30); // true\nconsole.log(\"20n == 20 is\", 20n == 20); // true",
+              "line": 106
+            },
+            {
+              "type": "prose",
+              "text": "Strict equality (===) will always be false because they are different types.",
+              "line": 109
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"20n === 20 is\", 20n === 20); // false",
+              "line": 110
+            },
+            {
+              "type": "prose",
+              "text": "5. JSON doesn't support BigInt\n`JSON.stringify` will throw a TypeError for BigInts.",
+              "line": 112
+            },
+            {
+              "type": "code",
+              "text": "try {\n  JSON.stringify({ big: 10n });\n} catch (e) {\n  console.log(\"JSON.stringify({ big: 10n }) throws error:\", e.message); // ❌ TypeError\n}",
+              "line": 114
+            },
+            {
+              "type": "prose",
+              "text": "The fix is to convert the BigInt to a string first.",
+              "line": 119
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"JSON.stringify with .toString():\", JSON.stringify({ big: 10n.toString() })); // ✅",
+              "line": 120
+            },
+            {
+              "type": "prose",
+              "text": "6. BigInt with bitwise ops\nBitwise operations work as long as both operands are BigInts.",
+              "line": 122
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"10n & 7n =\", 10n & 7n); // 2n",
+              "line": 124
+            },
+            {
+              "type": "prose",
+              "text": "7. Negative zero doesn't exist\nBigInt simplifies the concept of zero from IEEE-754.",
+              "line": 126
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Object.is(0n, -0n) is\", Object.is(0n, -0n)); // true",
+              "line": 128
+            }
+          ],
+          "expected": [
+            {
+              "line": 79,
+              "text": "❌ TypeError",
+              "kind": "inline",
+              "code": "console.log(\"1n + 2 throws error:\", e.message);"
+            },
+            {
+              "line": 82,
+              "text": "✅ 3n",
+              "kind": "inline",
+              "code": "console.log(\"Explicit conversion (to BigInt):\", 1n + BigInt(2));"
+            },
+            {
+              "line": 83,
+              "text": "✅ 3",
+              "kind": "inline",
+              "code": "console.log(\"Explicit conversion (to Number):\", Number(1n) + 2);"
+            },
+            {
+              "line": 90,
+              "text": "❌ TypeError",
+              "kind": "inline",
+              "code": "console.log(\"Math.sqrt(16n) throws error:\", e.message);"
+            },
+            {
+              "line": 95,
+              "text": "❌ TypeError",
+              "kind": "inline",
+              "code": "console.log(\"Math.max(10n, 20n) throws error:\", e.message);"
+            },
+            {
+              "line": 100,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"Boolean(0n) is\", Boolean(0n));"
+            },
+            {
+              "line": 101,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Boolean(123n) is\", Boolean(123n));"
+            },
+            {
+              "line": 102,
+              "text": "no",
+              "kind": "inline",
+              "code": "console.log(\"0n ? 'yes' : 'no' ->\", 0n ? \"yes\" : \"no\");"
+            },
+            {
+              "line": 106,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"20n > 15 is\", 20n > 15);"
+            },
+            {
+              "line": 107,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"20n < 30 is\", 20n < 30);"
+            },
+            {
+              "line": 108,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"20n == 20 is\", 20n == 20);"
+            },
+            {
+              "line": 110,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"20n === 20 is\", 20n === 20);"
+            },
+            {
+              "line": 117,
+              "text": "❌ TypeError",
+              "kind": "inline",
+              "code": "console.log(\"JSON.stringify({ big: 10n }) throws error:\", e.message);"
+            },
+            {
+              "line": 120,
+              "text": "✅",
+              "kind": "inline",
+              "code": "console.log(\"JSON.stringify with .toString():\", JSON.stringify({ big: 10n.toString() }));"
+            },
+            {
+              "line": 124,
+              "text": "2n",
+              "kind": "inline",
+              "code": "console.log(\"10n & 7n =\", 10n & 7n);"
+            },
+            {
+              "line": 128,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Object.is(0n, -0n) is\", Object.is(0n, -0n));"
+            }
+          ],
+          "requires": [
+            "bigint"
+          ]
+        },
+        {
+          "id": "use-cases",
+          "title": "Use Cases",
+          "number": null,
+          "heading": "🚀 Use Cases",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 131,
+          "endLine": 139,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "- Cryptography (e.g., RSA, hashing algorithms)\n- Arbitrary-precision financial calculations\n- Scientific computing with very large integers\n- Handling large unique IDs (e.g., from databases or blockchains)"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "- Cryptography (e.g., RSA, hashing algorithms)\n- Arbitrary-precision financial calculations\n- Scientific computing with very large integers\n- Handling large unique IDs (e.g., from databases or blockchains)",
+              "line": 133
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "bigint-exercises-with-solutions",
+          "title": "BigInt Exercises with Solutions",
+          "number": null,
+          "heading": "🧩 BigInt Exercises with Solutions",
+          "marker": "BigInt Exercises with Solutions",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 140,
+          "endLine": 177,
+          "codeLine": 146,
+          "code": "console.log(\"\\n--- BigInt Exercises with Solutions ---\");\n\n// Q1: console.log(5n / 2n);\nconsole.log(\"Q1: 5n / 2n =\", 5n / 2n);\n// ✅ Output: 2n\n// Step-by-step:\n// 1. `BigInt` division only works with integers.\n// 2. The result is always truncated towards zero (the decimal part is discarded).\n// 3. 5 / 2 = 2.5, which truncates to 2. The result is `2n`.\n\n// Q2: console.log(5n == 5); console.log(5n === 5);\nconsole.log(\"Q2.1: 5n == 5 is\", 5n == 5);\nconsole.log(\"Q2.2: 5n === 5 is\", 5n === 5);\n// ✅ Output: true, then false\n// Step-by-step:\n// 1. Loose equality (`==`) performs type coercion. It converts the `BigInt` `5n` to the\n//    `Number` `5` before comparing. `5 == 5` is `true`.\n// 2. Strict equality (`===`) checks for both value and type. Since the left operand\n//    is a `BigInt` and the right is a `Number`, the types are different, so it returns `false`.\n\n// Q3: console.log(BigInt(Number.MAX_SAFE_INTEGER) + 2n);\nconst resultQ3 = BigInt(Number.MAX_SAFE_INTEGER) + 2n;\nconsole.log(\"Q3: BigInt(Number.MAX_SAFE_INTEGER) + 2n =\", resultQ3);",
+          "prose": [
+            "Q1: console.log(5n / 2n);",
+            "✅ Output: 2n\nStep-by-step:\n1. `BigInt` division only works with integers.\n2. The result is always truncated towards zero (the decimal part is discarded).\n3. 5 / 2 = 2.5, which truncates to 2. The result is `2n`.",
+            "Q2: console.log(5n == 5); console.log(5n === 5);",
+            "✅ Output: true, then false\nStep-by-step:\n1. Loose equality (`==`) performs type coercion. It converts the `BigInt` `5n` to the\n   `Number` `5` before comparing. `5 == 5` is `true`.\n2. Strict equality (`===`) checks for both value and type. Since the left operand\n   is a `BigInt` and the right is a `Number`, the types are different, so it returns `false`.",
+            "Q3: console.log(BigInt(Number.MAX_SAFE_INTEGER) + 2n);",
+            "✅ Output: 9007199254740993n\nStep-by-step:\n1. `Number.MAX_SAFE_INTEGER` is `9007199254740991`.\n2. `BigInt(Number.MAX_SAFE_INTEGER)` converts this to `9007199254740991n`.\n3. Adding `2n` results in `9007199254740993n`.\n4. This operation would have been unsafe and produced a rounding error if done\n   with `Number`, but `BigInt` handles it perfectly."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- BigInt Exercises with Solutions ---\");",
+              "line": 146
+            },
+            {
+              "type": "prose",
+              "text": "Q1: console.log(5n / 2n);",
+              "line": 148
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q1: 5n / 2n =\", 5n / 2n);",
+              "line": 149
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: 2n\nStep-by-step:\n1. `BigInt` division only works with integers.\n2. The result is always truncated towards zero (the decimal part is discarded).\n3. 5 / 2 = 2.5, which truncates to 2. The result is `2n`.",
+              "line": 150
+            },
+            {
+              "type": "prose",
+              "text": "Q2: console.log(5n == 5); console.log(5n === 5);",
+              "line": 156
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q2.1: 5n == 5 is\", 5n == 5);\nconsole.log(\"Q2.2: 5n === 5 is\", 5n === 5);",
+              "line": 157
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: true, then false\nStep-by-step:\n1. Loose equality (`==`) performs type coercion. It converts the `BigInt` `5n` to the\n   `Number` `5` before comparing. `5 == 5` is `true`.\n2. Strict equality (`===`) checks for both value and type. Since the left operand\n   is a `BigInt` and the right is a `Number`, the types are different, so it returns `false`.",
+              "line": 159
+            },
+            {
+              "type": "prose",
+              "text": "Q3: console.log(BigInt(Number.MAX_SAFE_INTEGER) + 2n);",
+              "line": 166
+            },
+            {
+              "type": "code",
+              "text": "const resultQ3 = BigInt(Number.MAX_SAFE_INTEGER) + 2n;\nconsole.log(\"Q3: BigInt(Number.MAX_SAFE_INTEGER) + 2n =\", resultQ3);",
+              "line": 167
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: 9007199254740993n\nStep-by-step:\n1. `Number.MAX_SAFE_INTEGER` is `9007199254740991`.\n2. `BigInt(Number.MAX_SAFE_INTEGER)` converts this to `9007199254740991n`.\n3. Adding `2n` results in `9007199254740993n`.\n4. This operation would have been unsafe and produced a rounding error if done\n   with `Number`, but `BigInt` handles it perfectly.",
+              "line": 169
+            }
+          ],
+          "expected": [
+            {
+              "line": 150,
+              "text": "2n",
+              "kind": "block"
+            },
+            {
+              "line": 159,
+              "text": "true, then false",
+              "kind": "block"
+            },
+            {
+              "line": 169,
+              "text": "9007199254740993n",
+              "kind": "block"
+            }
+          ],
+          "requires": [
+            "bigint"
+          ]
+        },
+        {
+          "id": "interview-tip-when-to-use-bigint-vs-number",
+          "title": "Interview Tip: When to use BigInt vs Number?",
+          "number": null,
+          "heading": "🔑 Interview Tip: When to use BigInt vs Number?",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 178,
+          "endLine": 191,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Use `Number` for:\n- General-purpose math where numbers are within the safe integer range.\n- Floating-point / decimal calculations.\n- Situations where performance is critical for smaller numbers (engines are highly\n  optimized for `Number` arithmetic).\n\nUse `BigInt` for:\n- Any calculation involving integers that might exceed `Number.MAX_SAFE_INTEGER`.\n- Cryptography, high-precision finance, or handling large unique IDs.\n- When any potential for rounding errors with large integers is unacceptable."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Use `Number` for:\n- General-purpose math where numbers are within the safe integer range.\n- Floating-point / decimal calculations.\n- Situations where performance is critical for smaller numbers (engines are highly\n  optimized for `Number` arithmetic).\n\nUse `BigInt` for:\n- Any calculation involving integers that might exceed `Number.MAX_SAFE_INTEGER`.\n- Cryptography, high-precision finance, or handling large unique IDs.\n- When any potential for rounding errors with large integers is unacceptable.",
+              "line": 180
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "008_primitive-bigint-deep-dive.js",
+      "chapter": "002_PrimitiveDataType",
+      "path": "scripts/002_PrimitiveDataType/008_primitive-bigint-deep-dive.js",
+      "chapterTitle": "Primitives"
+    },
+    {
+      "id": "009",
+      "title": "JavaScript Learning Path: Primitive 3: String",
+      "summary": "A deep dive into the 'String' primitive in JavaScript. This file covers its definition, immutability, Unicode representation, common methods, and interview traps with runnable examples.",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "25 min",
+        "minutes": 25,
+        "prerequisites": [
+          "001"
+        ],
+        "tags": [
+          "string",
+          "unicode",
+          "immutability"
+        ],
+        "line": 6
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 14,
+          "endLine": 21,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a comprehensive exploration of the `String` type. While\nit seems simple, its handling of character encodings, immutability, and\nhidden engine optimizations makes it a rich and sometimes tricky primitive."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a comprehensive exploration of the `String` type. While\nit seems simple, its handling of character encodings, immutability, and\nhidden engine optimizations makes it a rich and sometimes tricky primitive.",
+              "line": 16
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "what-is-a-string",
+          "title": "What is a String?",
+          "number": null,
+          "heading": "✅ What is a String?",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 22,
+          "endLine": 39,
+          "codeLine": 31,
+          "code": "console.log(\"--- String Definition ---\");\nlet str1 = \"Hello\";\nlet str2 = 'World';\nlet str3 = `Hello ${str2}`; // Template literals allow for interpolation.\nconsole.log(\"Single quotes:\", str1);\nconsole.log(\"Double quotes:\", str2);\nconsole.log(\"Template literal:\", str3);",
+          "prose": [
+            "A string is a sequence of characters used to represent textual data. In\nJavaScript, strings can be created using:\n- Single quotes: 'hello'\n- Double quotes: \"hello\"\n- Backticks (Template Literals, ES6+): `hello`"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "A string is a sequence of characters used to represent textual data. In\nJavaScript, strings can be created using:\n- Single quotes: 'hello'\n- Double quotes: \"hello\"\n- Backticks (Template Literals, ES6+): `hello`",
+              "line": 24
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- String Definition ---\");\nlet str1 = \"Hello\";\nlet str2 = 'World';\nlet str3 = `Hello ${str2}`; // Template literals allow for interpolation.\nconsole.log(\"Single quotes:\", str1);\nconsole.log(\"Double quotes:\", str2);\nconsole.log(\"Template literal:\", str3);",
+              "line": 31
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "internal-representation-length",
+          "title": "Internal Representation & .length",
+          "number": null,
+          "heading": "⚙️ Internal Representation & The `.length` Quirk",
+          "marker": "Internal Representation & .length",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 40,
+          "endLine": 57,
+          "codeLine": 53,
+          "code": "console.log('\\n--- Internal Representation & .length ---');\nconsole.log('\"JavaScript\".length:', \"JavaScript\".length); // 10 characters, 10 code units\nconsole.log('\"😀\".length:', \"😀\".length); // 1 visible character, but 2 code units!",
+          "prose": [
+            "JavaScript strings are stored as a sequence of UTF-16 code units. Each code\nunit is 16 bits.\n\nMost common characters (like those in English) fit into a single 16-bit unit.\nHowever, some characters (like many emojis or symbols from non-Latin scripts)\nrequire TWO 16-bit units to be represented. This pair is called a \"surrogate pair\".\n\n⚠️ Interview Trap: A string's `.length` property counts the number of UTF-16\ncode units, NOT the number of visible characters."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "JavaScript strings are stored as a sequence of UTF-16 code units. Each code\nunit is 16 bits.\n\nMost common characters (like those in English) fit into a single 16-bit unit.\nHowever, some characters (like many emojis or symbols from non-Latin scripts)\nrequire TWO 16-bit units to be represented. This pair is called a \"surrogate pair\".\n\n⚠️ Interview Trap: A string's `.length` property counts the number of UTF-16\ncode units, NOT the number of visible characters.",
+              "line": 42
+            },
+            {
+              "type": "code",
+              "text": "console.log('\\n--- Internal Representation & .length ---');\nconsole.log('\"JavaScript\".length:', \"JavaScript\".length); // 10 characters, 10 code units\nconsole.log('\"😀\".length:', \"😀\".length); // 1 visible character, but 2 code units!",
+              "line": 53
+            }
+          ],
+          "expected": [
+            {
+              "line": 54,
+              "text": "10 characters, 10 code units",
+              "kind": "inline",
+              "code": "console.log('\"JavaScript\".length:', \"JavaScript\".length);"
+            },
+            {
+              "line": 55,
+              "text": "1 visible character, but 2 code units!",
+              "kind": "inline",
+              "code": "console.log('\"😀\".length:', \"😀\".length);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "key-properties",
+          "title": "Key Properties",
+          "number": null,
+          "heading": "🌟 Key Properties",
+          "marker": "Key Properties",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 58,
+          "endLine": 77,
+          "codeLine": 62,
+          "code": "console.log('\\n--- Key Properties ---');\n\n// 1. Immutability\n// Strings cannot be changed in place. Any operation that seems to modify a\n// string actually creates and returns a new one.\nlet s = \"hello\";\ns[0] = \"H\"; // This attempt to modify fails silently.\nconsole.log(\"Attempting to modify 'hello' to 'Hello':\", s); // \"hello\" (unchanged)\n\n// 2. Indexed Access\n// You can access individual characters (code units) by their index.\nlet word = \"JS\";\nconsole.log(\"word[0]:\", word[0]); // \"J\"\nconsole.log(\"word.charAt(1):\", word.charAt(1)); // \"S\"",
+          "prose": [
+            "1. Immutability\nStrings cannot be changed in place. Any operation that seems to modify a\nstring actually creates and returns a new one.",
+            "2. Indexed Access\nYou can access individual characters (code units) by their index."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log('\\n--- Key Properties ---');",
+              "line": 62
+            },
+            {
+              "type": "prose",
+              "text": "1. Immutability\nStrings cannot be changed in place. Any operation that seems to modify a\nstring actually creates and returns a new one.",
+              "line": 64
+            },
+            {
+              "type": "code",
+              "text": "let s = \"hello\";\ns[0] = \"H\"; // This attempt to modify fails silently.\nconsole.log(\"Attempting to modify 'hello' to 'Hello':\", s); // \"hello\" (unchanged)",
+              "line": 67
+            },
+            {
+              "type": "prose",
+              "text": "2. Indexed Access\nYou can access individual characters (code units) by their index.",
+              "line": 71
+            },
+            {
+              "type": "code",
+              "text": "let word = \"JS\";\nconsole.log(\"word[0]:\", word[0]); // \"J\"\nconsole.log(\"word.charAt(1):\", word.charAt(1)); // \"S\"",
+              "line": 73
+            }
+          ],
+          "expected": [
+            {
+              "line": 69,
+              "text": "\"hello\" (unchanged)",
+              "kind": "inline",
+              "code": "console.log(\"Attempting to modify 'hello' to 'Hello':\", s);"
+            },
+            {
+              "line": 74,
+              "text": "\"J\"",
+              "kind": "inline",
+              "code": "console.log(\"word[0]:\", word[0]);"
+            },
+            {
+              "line": 75,
+              "text": "\"S\"",
+              "kind": "inline",
+              "code": "console.log(\"word.charAt(1):\", word.charAt(1));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "common-operations",
+          "title": "Common Operations",
+          "number": null,
+          "heading": "🔧 Common Operations",
+          "marker": "Common Operations",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 78,
+          "endLine": 92,
+          "codeLine": 83,
+          "code": "console.log('\\n--- Common Operations ---');\nlet msg = \"JavaScript\";\nconsole.log(`Original message: \"${msg}\"`);\nconsole.log(\"msg.slice(0, 4):\", msg.slice(0, 4)); // \"Java\"\nconsole.log('msg.replace(\"Java\", \"Type\"):', msg.replace(\"Java\", \"Type\")); // \"TypeScript\"\nconsole.log(\"msg.toUpperCase():\", msg.toUpperCase()); // \"JAVASCRIPT\"\nconsole.log('Concatenation with +:', \"Hello\" + \" \" + \"World\"); // \"Hello World\"\nconsole.log('Concatenation with template literal:', `Hello ${\"World\"}`); // \"Hello World\"",
+          "prose": [
+            "All these operations return a NEW string."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "All these operations return a NEW string.",
+              "line": 80
+            },
+            {
+              "type": "code",
+              "text": "console.log('\\n--- Common Operations ---');\nlet msg = \"JavaScript\";\nconsole.log(`Original message: \"${msg}\"`);\nconsole.log(\"msg.slice(0, 4):\", msg.slice(0, 4)); // \"Java\"\nconsole.log('msg.replace(\"Java\", \"Type\"):', msg.replace(\"Java\", \"Type\")); // \"TypeScript\"\nconsole.log(\"msg.toUpperCase():\", msg.toUpperCase()); // \"JAVASCRIPT\"\nconsole.log('Concatenation with +:', \"Hello\" + \" \" + \"World\"); // \"Hello World\"\nconsole.log('Concatenation with template literal:', `Hello ${\"World\"}`); // \"Hello World\"",
+              "line": 83
+            }
+          ],
+          "expected": [
+            {
+              "line": 86,
+              "text": "\"Java\"",
+              "kind": "inline",
+              "code": "console.log(\"msg.slice(0, 4):\", msg.slice(0, 4));"
+            },
+            {
+              "line": 87,
+              "text": "\"TypeScript\"",
+              "kind": "inline",
+              "code": "console.log('msg.replace(\"Java\", \"Type\"):', msg.replace(\"Java\", \"Type\"));"
+            },
+            {
+              "line": 88,
+              "text": "\"JAVASCRIPT\"",
+              "kind": "inline",
+              "code": "console.log(\"msg.toUpperCase():\", msg.toUpperCase());"
+            },
+            {
+              "line": 89,
+              "text": "\"Hello World\"",
+              "kind": "inline",
+              "code": "console.log('Concatenation with +:', \"Hello\" + \" \" + \"World\");"
+            },
+            {
+              "line": 90,
+              "text": "\"Hello World\"",
+              "kind": "inline",
+              "code": "console.log('Concatenation with template literal:', `Hello ${\"World\"}`);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "performance-memory",
+          "title": "Performance & Memory",
+          "number": null,
+          "heading": "⚡ Performance & Memory",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 93,
+          "endLine": 109,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Because strings are immutable, repeatedly concatenating with `+=` inside a\nlarge loop can be inefficient, as it creates many intermediate strings.\nFor performance-critical code, using an array and `join()` is often better.\n\n@example <caption>Inefficient concatenation in a loop</caption>\n// let slowStr = \"\";\n// for (let i = 0; i < 100000; i++) { slowStr += i; } // Creates many strings\n\n@example <caption>More efficient approach</caption>\n// let arr = [];\n// for (let i = 0; i < 100000; i++) { arr.push(i); }\n// const result = arr.join(''); // Creates one final string"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Because strings are immutable, repeatedly concatenating with `+=` inside a\nlarge loop can be inefficient, as it creates many intermediate strings.\nFor performance-critical code, using an array and `join()` is often better.\n\n@example <caption>Inefficient concatenation in a loop</caption>\n// let slowStr = \"\";\n// for (let i = 0; i < 100000; i++) { slowStr += i; } // Creates many strings\n\n@example <caption>More efficient approach</caption>\n// let arr = [];\n// for (let i = 0; i < 100000; i++) { arr.push(i); }\n// const result = arr.join(''); // Creates one final string",
+              "line": 95
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "tricky-cases-unicode-deep-dive",
+          "title": "Tricky Cases & Unicode Deep Dive",
+          "number": null,
+          "heading": "⚠️ Tricky Cases & Unicode Deep Dive",
+          "marker": "Tricky Cases & Unicode Deep Dive",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 110,
+          "endLine": 145,
+          "codeLine": 114,
+          "code": "console.log('\\n--- Tricky Cases & Unicode Deep Dive ---');\n\n// 1. Unicode Quirks & Surrogate Pairs\n// As seen before, characters outside the \"Basic Multilingual Plane\" (BMP) are\n// stored as two code units (a surrogate pair).\nconsole.log('\"💖\".length:', \"💖\".length); // 2\n\n// The correct way to count *visible characters* is to iterate over the string's\n// code points, which the spread syntax (...) and Array.from() do automatically.\nconsole.log('[...\"💖\"].length:', [...\"💖\"].length); // 1\nconsole.log('Array.from(\"💖\").length:', Array.from(\"💖\").length); // 1\nconsole.log('[...\"😀👍\"].length:', [...\"😀👍\"].length); // 2\n\n// Splitting by an empty string also operates on code units, not characters.\nconsole.log('\"💖\".split(\"\").length:', \"💖\".split(\"\").length); // 2\n\n// Accessing by index can break multi-unit characters.\nconsole.log('\"💖\"[0]:', \"💖\"[0]); // Returns the high surrogate, a meaningless symbol\nconsole.log('\"💖\"[1]:', \"💖\"[1]); // Returns the low surrogate\n\n// 2. String Comparisons\n// Strings are compared lexicographically based on their UTF-16 code unit values.\n// Uppercase letters have lower values than lowercase letters.\nconsole.log('\"Z\" > \"a\" is', \"Z\" > \"a\"); // false (code unit for 'Z' is 90, 'a' is 97)\n\n// 3. Falsy String\n// The only falsy string is the empty string. All other strings are truthy.\nconsole.log('Boolean(\"\") is', Boolean(\"\")); // false\nconsole.log('Boolean(\" \") is', Boolean(\" \")); // true (a string with a space is not empty)\nconsole.log('Boolean(\"false\") is', Boolean(\"false\")); // true",
+          "prose": [
+            "1. Unicode Quirks & Surrogate Pairs\nAs seen before, characters outside the \"Basic Multilingual Plane\" (BMP) are\nstored as two code units (a surrogate pair).",
+            "The correct way to count *visible characters* is to iterate over the string's\ncode points, which the spread syntax (...) and Array.from() do automatically.",
+            "Splitting by an empty string also operates on code units, not characters.",
+            "Accessing by index can break multi-unit characters.",
+            "2. String Comparisons\nStrings are compared lexicographically based on their UTF-16 code unit values.\nUppercase letters have lower values than lowercase letters.",
+            "3. Falsy String\nThe only falsy string is the empty string. All other strings are truthy."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log('\\n--- Tricky Cases & Unicode Deep Dive ---');",
+              "line": 114
+            },
+            {
+              "type": "prose",
+              "text": "1. Unicode Quirks & Surrogate Pairs\nAs seen before, characters outside the \"Basic Multilingual Plane\" (BMP) are\nstored as two code units (a surrogate pair).",
+              "line": 116
+            },
+            {
+              "type": "code",
+              "text": "console.log('\"💖\".length:', \"💖\".length); // 2",
+              "line": 119
+            },
+            {
+              "type": "prose",
+              "text": "The correct way to count *visible characters* is to iterate over the string's\ncode points, which the spread syntax (...) and Array.from() do automatically.",
+              "line": 121
+            },
+            {
+              "type": "code",
+              "text": "console.log('[...\"💖\"].length:', [...\"💖\"].length); // 1\nconsole.log('Array.from(\"💖\").length:', Array.from(\"💖\").length); // 1\nconsole.log('[...\"😀👍\"].length:', [...\"😀👍\"].length); // 2",
+              "line": 123
+            },
+            {
+              "type": "prose",
+              "text": "Splitting by an empty string also operates on code units, not characters.",
+              "line": 127
+            },
+            {
+              "type": "code",
+              "text": "console.log('\"💖\".split(\"\").length:', \"💖\".split(\"\").length); // 2",
+              "line": 128
+            },
+            {
+              "type": "prose",
+              "text": "Accessing by index can break multi-unit characters.",
+              "line": 130
+            },
+            {
+              "type": "code",
+              "text": "console.log('\"💖\"[0]:', \"💖\"[0]); // Returns the high surrogate, a meaningless symbol\nconsole.log('\"💖\"[1]:', \"💖\"[1]); // Returns the low surrogate",
+              "line": 131
+            },
+            {
+              "type": "prose",
+              "text": "2. String Comparisons\nStrings are compared lexicographically based on their UTF-16 code unit values.\nUppercase letters have lower values than lowercase letters.",
+              "line": 134
+            },
+            {
+              "type": "code",
+              "text": "console.log('\"Z\" > \"a\" is', \"Z\" > \"a\"); // false (code unit for 'Z' is 90, 'a' is 97)",
+              "line": 137
+            },
+            {
+              "type": "prose",
+              "text": "3. Falsy String\nThe only falsy string is the empty string. All other strings are truthy.",
+              "line": 139
+            },
+            {
+              "type": "code",
+              "text": "console.log('Boolean(\"\") is', Boolean(\"\")); // false\nconsole.log('Boolean(\" \") is', Boolean(\" \")); // true (a string with a space is not empty)\nconsole.log('Boolean(\"false\") is', Boolean(\"false\")); // true",
+              "line": 141
+            }
+          ],
+          "expected": [
+            {
+              "line": 119,
+              "text": "2",
+              "kind": "inline",
+              "code": "console.log('\"💖\".length:', \"💖\".length);"
+            },
+            {
+              "line": 123,
+              "text": "1",
+              "kind": "inline",
+              "code": "console.log('[...\"💖\"].length:', [...\"💖\"].length);"
+            },
+            {
+              "line": 124,
+              "text": "1",
+              "kind": "inline",
+              "code": "console.log('Array.from(\"💖\").length:', Array.from(\"💖\").length);"
+            },
+            {
+              "line": 125,
+              "text": "2",
+              "kind": "inline",
+              "code": "console.log('[...\"😀👍\"].length:', [...\"😀👍\"].length);"
+            },
+            {
+              "line": 128,
+              "text": "2",
+              "kind": "inline",
+              "code": "console.log('\"💖\".split(\"\").length:', \"💖\".split(\"\").length);"
+            },
+            {
+              "line": 131,
+              "text": "Returns the high surrogate, a meaningless symbol",
+              "kind": "inline",
+              "code": "console.log('\"💖\"[0]:', \"💖\"[0]);"
+            },
+            {
+              "line": 132,
+              "text": "Returns the low surrogate",
+              "kind": "inline",
+              "code": "console.log('\"💖\"[1]:', \"💖\"[1]);"
+            },
+            {
+              "line": 137,
+              "text": "false (code unit for 'Z' is 90, 'a' is 97)",
+              "kind": "inline",
+              "code": "console.log('\"Z\" > \"a\" is', \"Z\" > \"a\");"
+            },
+            {
+              "line": 141,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log('Boolean(\"\") is', Boolean(\"\"));"
+            },
+            {
+              "line": 142,
+              "text": "true (a string with a space is not empty)",
+              "kind": "inline",
+              "code": "console.log('Boolean(\" \") is', Boolean(\" \"));"
+            },
+            {
+              "line": 143,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log('Boolean(\"false\") is', Boolean(\"false\"));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "mini-exercises-with-solutions",
+          "title": "Mini-Exercises with Solutions",
+          "number": null,
+          "heading": "🧩 Mini-Exercises with Solutions",
+          "marker": "Mini-Exercises with Solutions",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 146,
+          "endLine": 174,
+          "codeLine": 150,
+          "code": "console.log(\"\\n--- Mini-Exercises with Solutions ---\");\n\n// Q1: What will this print?\nconsole.log('Q1: \"hello\".toUpperCase()[1] ->', \"hello\".toUpperCase()[1]);\n// ✅ Output: \"E\"\n// Step-by-step:\n// 1. \"hello\".toUpperCase() returns a new string: \"HELLO\".\n// 2. [1] accesses the character at index 1 of \"HELLO\", which is \"E\".\n\n// Q2: What is the output?\nconsole.log('Q2.1: \"💖\".length ->', \"💖\".length);\nconsole.log('Q2.2: [...\"💖\"].length ->', [...\"💖\"].length);\n// ✅ Output: 2, then 1\n// Step-by-step:\n// 1. .length counts UTF-16 code units. The \"💖\" emoji is a surrogate pair, consisting of two code units. So, the length is 2.\n// 2. The spread syntax `...` iterates over Unicode code points (visible characters). It sees \"💖\" as a single character. The resulting array has one element, so its length is 1.\n\n// Q3: Predict the output:\nconsole.log('Q3.1: \"2\" + 2 ->', \"2\" + 2);\nconsole.log('Q3.2: \"2\" - 2 ->', \"2\" - 2);",
+          "prose": [
+            "Q1: What will this print?",
+            "✅ Output: \"E\"\nStep-by-step:\n1. \"hello\".toUpperCase() returns a new string: \"HELLO\".\n2. [1] accesses the character at index 1 of \"HELLO\", which is \"E\".",
+            "Q2: What is the output?",
+            "✅ Output: 2, then 1\nStep-by-step:\n1. .length counts UTF-16 code units. The \"💖\" emoji is a surrogate pair, consisting of two code units. So, the length is 2.\n2. The spread syntax `...` iterates over Unicode code points (visible characters). It sees \"💖\" as a single character. The resulting array has one element, so its length is 1.",
+            "Q3: Predict the output:",
+            "✅ Output: \"22\", then 0\nStep-by-step:\n1. The `+` operator performs string concatenation if either operand is a string. So, the number `2` is converted to the string `\"2\"`, and `\"2\" + \"2\"` results in `\"22\"`.\n2. The `-` operator is exclusively for numeric subtraction. It coerces the string `\"2\"` into the number `2`. The operation becomes `2 - 2`, which results in `0`."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Mini-Exercises with Solutions ---\");",
+              "line": 150
+            },
+            {
+              "type": "prose",
+              "text": "Q1: What will this print?",
+              "line": 152
+            },
+            {
+              "type": "code",
+              "text": "console.log('Q1: \"hello\".toUpperCase()[1] ->', \"hello\".toUpperCase()[1]);",
+              "line": 153
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: \"E\"\nStep-by-step:\n1. \"hello\".toUpperCase() returns a new string: \"HELLO\".\n2. [1] accesses the character at index 1 of \"HELLO\", which is \"E\".",
+              "line": 154
+            },
+            {
+              "type": "prose",
+              "text": "Q2: What is the output?",
+              "line": 159
+            },
+            {
+              "type": "code",
+              "text": "console.log('Q2.1: \"💖\".length ->', \"💖\".length);\nconsole.log('Q2.2: [...\"💖\"].length ->', [...\"💖\"].length);",
+              "line": 160
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: 2, then 1\nStep-by-step:\n1. .length counts UTF-16 code units. The \"💖\" emoji is a surrogate pair, consisting of two code units. So, the length is 2.\n2. The spread syntax `...` iterates over Unicode code points (visible characters). It sees \"💖\" as a single character. The resulting array has one element, so its length is 1.",
+              "line": 162
+            },
+            {
+              "type": "prose",
+              "text": "Q3: Predict the output:",
+              "line": 167
+            },
+            {
+              "type": "code",
+              "text": "console.log('Q3.1: \"2\" + 2 ->', \"2\" + 2);\nconsole.log('Q3.2: \"2\" - 2 ->', \"2\" - 2);",
+              "line": 168
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: \"22\", then 0\nStep-by-step:\n1. The `+` operator performs string concatenation if either operand is a string. So, the number `2` is converted to the string `\"2\"`, and `\"2\" + \"2\"` results in `\"22\"`.\n2. The `-` operator is exclusively for numeric subtraction. It coerces the string `\"2\"` into the number `2`. The operation becomes `2 - 2`, which results in `0`.",
+              "line": 170
+            }
+          ],
+          "expected": [
+            {
+              "line": 154,
+              "text": "\"E\"",
+              "kind": "block"
+            },
+            {
+              "line": 162,
+              "text": "2, then 1",
+              "kind": "block"
+            },
+            {
+              "line": 170,
+              "text": "\"22\", then 0",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        }
+      ],
+      "fileName": "009_primitive-string-deep-dive.js",
+      "chapter": "002_PrimitiveDataType",
+      "path": "scripts/002_PrimitiveDataType/009_primitive-string-deep-dive.js",
+      "chapterTitle": "Primitives"
+    },
+    {
+      "id": "010",
+      "title": "JavaScript Learning Path: Primitive 4: Boolean",
+      "summary": "",
+      "metadata": {
+        "difficulty": "beginner",
+        "duration": "25 min",
+        "minutes": 25,
+        "prerequisites": [
+          "001"
+        ],
+        "tags": [
+          "boolean",
+          "truthiness",
+          "coercion",
+          "equality"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 17,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a comprehensive exploration of the `Boolean` type.\nWhile it seems trivial (true/false), its interaction with type coercion\nmakes it one of the most interview-heavy and bug-prone areas in JavaScript."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a comprehensive exploration of the `Boolean` type.\nWhile it seems trivial (true/false), its interaction with type coercion\nmakes it one of the most interview-heavy and bug-prone areas in JavaScript.",
+              "line": 12
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "what-is-a-boolean",
+          "title": "What is a Boolean?",
+          "number": null,
+          "heading": "✅ What is a Boolean?",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 18,
+          "endLine": 23,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "A primitive type that has only two values: `true` and `false`.\nIt's the foundation for all logical operations, conditions, and comparisons."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "A primitive type that has only two values: `true` and `false`.\nIt's the foundation for all logical operations, conditions, and comparisons.",
+              "line": 20
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "internal-behavior-the-new-boolean-trap",
+          "title": "Internal Behavior & The `new Boolean()` Trap",
+          "number": null,
+          "heading": "⚙️ Internal Behavior & The `new Boolean()` Trap",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 24,
+          "endLine": 41,
+          "codeLine": 33,
+          "code": "console.log(\"--- The `new Boolean()` Trap ---\");\nlet primitiveFalse = false;\nlet objectFalse = new Boolean(false);\n\nconsole.log(\"typeof primitiveFalse:\", typeof primitiveFalse); // \"boolean\"\nconsole.log(\"typeof objectFalse:\", typeof objectFalse); // \"object\"\nconsole.log(\"objectFalse is truthy?:\", objectFalse ? \"truthy\" : \"falsy\"); // \"truthy\" ⚠️",
+          "prose": [
+            "Primitives `true` and `false` are simple flags. However, you can create a\n`Boolean` object wrapper using `new Boolean()`. This is highly discouraged.\n\n⚠️ Rule: Never use `new Boolean()`. All objects, including `new Boolean(false)`,\nare \"truthy\" in a boolean context, which defeats the purpose."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Primitives `true` and `false` are simple flags. However, you can create a\n`Boolean` object wrapper using `new Boolean()`. This is highly discouraged.\n\n⚠️ Rule: Never use `new Boolean()`. All objects, including `new Boolean(false)`,\nare \"truthy\" in a boolean context, which defeats the purpose.",
+              "line": 26
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- The `new Boolean()` Trap ---\");\nlet primitiveFalse = false;\nlet objectFalse = new Boolean(false);\n\nconsole.log(\"typeof primitiveFalse:\", typeof primitiveFalse); // \"boolean\"\nconsole.log(\"typeof objectFalse:\", typeof objectFalse); // \"object\"\nconsole.log(\"objectFalse is truthy?:\", objectFalse ? \"truthy\" : \"falsy\"); // \"truthy\" ⚠️",
+              "line": 33
+            }
+          ],
+          "expected": [
+            {
+              "line": 37,
+              "text": "\"boolean\"",
+              "kind": "inline",
+              "code": "console.log(\"typeof primitiveFalse:\", typeof primitiveFalse);"
+            },
+            {
+              "line": 38,
+              "text": "\"object\"",
+              "kind": "inline",
+              "code": "console.log(\"typeof objectFalse:\", typeof objectFalse);"
+            },
+            {
+              "line": 39,
+              "text": "\"truthy\" ⚠️",
+              "kind": "inline",
+              "code": "console.log(\"objectFalse is truthy?:\", objectFalse ? \"truthy\" : \"falsy\");"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "truthy-falsy-examples",
+          "title": "Truthy/Falsy Examples",
+          "number": null,
+          "heading": "🌟 Truthy vs Falsy & The ToBoolean Algorithm",
+          "marker": "Truthy/Falsy Examples",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 42,
+          "endLine": 69,
+          "codeLine": 64,
+          "code": "console.log(\"\\n--- Truthy/Falsy Examples ---\");\nconsole.log(\"Boolean('hello'):\", Boolean(\"hello\")); // true\nconsole.log(\"Boolean([]):\", Boolean([])); // true (empty array is an object)\nconsole.log(\"Boolean({}):\", Boolean({})); // true (empty object)",
+          "prose": [
+            "The ECMAScript specification defines a `ToBoolean` algorithm that determines\nwhether a value is \"truthy\" or \"falsy\" when coerced.\n\nThe rule is simple: \"If a value is in the falsy list, it's false. Otherwise, it's true.\"\n\n✅ The 7 Falsy Values in JavaScript:\n1. false\n2. 0 (and -0)\n3. 0n (BigInt zero)\n4. \"\" (empty string)\n5. null\n6. undefined\n7. NaN\n\n✨ Everything else is TRUTHY. This includes:\n- Non-empty strings: \"hello\", \"0\", \"false\", \" \"\n- All non-zero numbers: 42, -1, Infinity\n- All objects: {}, [], function(){}, new Date()"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "The ECMAScript specification defines a `ToBoolean` algorithm that determines\nwhether a value is \"truthy\" or \"falsy\" when coerced.\n\nThe rule is simple: \"If a value is in the falsy list, it's false. Otherwise, it's true.\"\n\n✅ The 7 Falsy Values in JavaScript:\n1. false\n2. 0 (and -0)\n3. 0n (BigInt zero)\n4. \"\" (empty string)\n5. null\n6. undefined\n7. NaN\n\n✨ Everything else is TRUTHY. This includes:\n- Non-empty strings: \"hello\", \"0\", \"false\", \" \"\n- All non-zero numbers: 42, -1, Infinity\n- All objects: {}, [], function(){}, new Date()",
+              "line": 44
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Truthy/Falsy Examples ---\");\nconsole.log(\"Boolean('hello'):\", Boolean(\"hello\")); // true\nconsole.log(\"Boolean([]):\", Boolean([])); // true (empty array is an object)\nconsole.log(\"Boolean({}):\", Boolean({})); // true (empty object)",
+              "line": 64
+            }
+          ],
+          "expected": [
+            {
+              "line": 65,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Boolean('hello'):\", Boolean(\"hello\"));"
+            },
+            {
+              "line": 66,
+              "text": "true (empty array is an object)",
+              "kind": "inline",
+              "code": "console.log(\"Boolean([]):\", Boolean([]));"
+            },
+            {
+              "line": 67,
+              "text": "true (empty object)",
+              "kind": "inline",
+              "code": "console.log(\"Boolean({}):\", Boolean({}));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "coercion-in-practice",
+          "title": "Coercion in Practice",
+          "number": null,
+          "heading": "⚡ How Coercion Happens in Practice",
+          "marker": "Coercion in Practice",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 70,
+          "endLine": 94,
+          "codeLine": 76,
+          "code": "console.log(\"\\n--- Coercion in Practice ---\");\n\n// 1. In `if` conditions\nif (\"\") {\n  console.log(\"This will not run\");\n} else {\n  console.log(\"if(''): An empty string is falsy.\");\n}\n\n// 2. With `!!` (Double NOT) - A common shorthand for `Boolean()`\nconsole.log(\"!!'Hello':\", !!\"Hello\"); // true\nconsole.log(\"!!0:\", !!0); // false\n\n// 3. In logical operators\nconsole.log(`\"\" || \"default\":`, \"\" || \"default\"); // \"default\" (OR returns the first truthy value)\nconsole.log(`0 && \"next\":`, 0 && \"next\"); // 0 (AND returns the first falsy value)\nconsole.log(`0 ?? \"fallback\":`, 0 ?? \"fallback\"); // 0 (Nullish Coalescing only checks for null/undefined)",
+          "prose": [
+            "1. In `if` conditions",
+            "2. With `!!` (Double NOT) - A common shorthand for `Boolean()`",
+            "3. In logical operators"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Coercion in Practice ---\");",
+              "line": 76
+            },
+            {
+              "type": "prose",
+              "text": "1. In `if` conditions",
+              "line": 78
+            },
+            {
+              "type": "code",
+              "text": "if (\"\") {\n  console.log(\"This will not run\");\n} else {\n  console.log(\"if(''): An empty string is falsy.\");\n}",
+              "line": 79
+            },
+            {
+              "type": "prose",
+              "text": "2. With `!!` (Double NOT) - A common shorthand for `Boolean()`",
+              "line": 85
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"!!'Hello':\", !!\"Hello\"); // true\nconsole.log(\"!!0:\", !!0); // false",
+              "line": 86
+            },
+            {
+              "type": "prose",
+              "text": "3. In logical operators",
+              "line": 89
+            },
+            {
+              "type": "code",
+              "text": "console.log(`\"\" || \"default\":`, \"\" || \"default\"); // \"default\" (OR returns the first truthy value)\nconsole.log(`0 && \"next\":`, 0 && \"next\"); // 0 (AND returns the first falsy value)\nconsole.log(`0 ?? \"fallback\":`, 0 ?? \"fallback\"); // 0 (Nullish Coalescing only checks for null/undefined)",
+              "line": 90
+            }
+          ],
+          "expected": [
+            {
+              "line": 86,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"!!'Hello':\", !!\"Hello\");"
+            },
+            {
+              "line": 87,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"!!0:\", !!0);"
+            },
+            {
+              "line": 90,
+              "text": "\"default\" (OR returns the first truthy value)",
+              "kind": "inline",
+              "code": "console.log(`\"\" || \"default\":`, \"\" || \"default\");"
+            },
+            {
+              "line": 91,
+              "text": "0 (AND returns the first falsy value)",
+              "kind": "inline",
+              "code": "console.log(`0 && \"next\":`, 0 && \"next\");"
+            },
+            {
+              "line": 92,
+              "text": "0 (Nullish Coalescing only checks for null/undefined)",
+              "kind": "inline",
+              "code": "console.log(`0 ?? \"fallback\":`, 0 ?? \"fallback\");"
+            }
+          ],
+          "requires": [
+            "nullish-coalescing"
+          ]
+        },
+        {
+          "id": "tricky-loose-equality",
+          "title": "Tricky Loose Equality (==)",
+          "number": null,
+          "heading": "⚠️ Tricky Cases with Loose Equality (==)",
+          "marker": "Tricky Loose Equality (==)",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 95,
+          "endLine": 114,
+          "codeLine": 101,
+          "code": "console.log(\"\\n--- Tricky Loose Equality (==) ---\");\nconsole.log(\"[] == false is\", [] == false); // true. The coercion process is tricky:\n// 1. The boolean `false` is converted to a number, becoming `0`.\n// 2. The comparison is now `[] == 0`.\n// 3. The array `[]` is an object, so it's converted to a primitive. `[].toString()` results in an empty string `\"\"`.\n// 4. The comparison is now `\"\" == 0`.\n// 5. The string `\"\"` is converted to a number, becoming `0`.\n// 6. The final comparison is `0 == 0`, which is `true`.\n\nconsole.log(\"[] === false is\", [] === false); // false (different types)\nconsole.log('\"0\" == false is', \"0\" == false); // true (coerced: 0 == 0)\nconsole.log(\"null == false is\", null == false); // false (special rule for null/undefined)",
+          "prose": [
+            "Loose equality performs type coercion, leading to surprising results.\nThis is why `===` (strict equality) is almost always preferred.",
+            "1. The boolean `false` is converted to a number, becoming `0`.\n2. The comparison is now `[] == 0`.\n3. The array `[]` is an object, so it's converted to a primitive. `[].toString()` results in an empty string `\"\"`.\n4. The comparison is now `\"\" == 0`.\n5. The string `\"\"` is converted to a number, becoming `0`.\n6. The final comparison is `0 == 0`, which is `true`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Loose equality performs type coercion, leading to surprising results.\nThis is why `===` (strict equality) is almost always preferred.",
+              "line": 97
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Tricky Loose Equality (==) ---\");\nconsole.log(\"[] == false is\", [] == false); // true. The coercion process is tricky:",
+              "line": 101
+            },
+            {
+              "type": "prose",
+              "text": "1. The boolean `false` is converted to a number, becoming `0`.\n2. The comparison is now `[] == 0`.\n3. The array `[]` is an object, so it's converted to a primitive. `[].toString()` results in an empty string `\"\"`.\n4. The comparison is now `\"\" == 0`.\n5. The string `\"\"` is converted to a number, becoming `0`.\n6. The final comparison is `0 == 0`, which is `true`.",
+              "line": 103
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"[] === false is\", [] === false); // false (different types)\nconsole.log('\"0\" == false is', \"0\" == false); // true (coerced: 0 == 0)\nconsole.log(\"null == false is\", null == false); // false (special rule for null/undefined)",
+              "line": 110
+            }
+          ],
+          "expected": [
+            {
+              "line": 102,
+              "text": "true. The coercion process is tricky:",
+              "kind": "inline",
+              "code": "console.log(\"[] == false is\", [] == false);"
+            },
+            {
+              "line": 110,
+              "text": "false (different types)",
+              "kind": "inline",
+              "code": "console.log(\"[] === false is\", [] === false);"
+            },
+            {
+              "line": 111,
+              "text": "true (coerced: 0 == 0)",
+              "kind": "inline",
+              "code": "console.log('\"0\" == false is', \"0\" == false);"
+            },
+            {
+              "line": 112,
+              "text": "false (special rule for null/undefined)",
+              "kind": "inline",
+              "code": "console.log(\"null == false is\", null == false);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "real-world-use-cases",
+          "title": "Real-World Use Cases",
+          "number": null,
+          "heading": "🚀 Real-World Use Cases",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 115,
+          "endLine": 142,
+          "codeLine": 121,
+          "code": "function validateInput(userInput) {\n  // If userInput is \"\", 0, null, or undefined, it's falsy.\n  if (!userInput) {\n    // console.log(\"Validation Error: Input is required!\");\n    return false;\n  }\n  return true;\n}\nvalidateInput(\"\");\n\nfunction handleApiResponse(data) {\n  // Optional chaining `?.` returns undefined if `data` is null/undefined.\n  // `!undefined` is true.\n  if (!data?.length) {\n    // console.log(\"API Response: No records found.\");\n    return \"No records\";\n  }\n  return \"Records found\";\n}\nhandleApiResponse({ length: 0 }); // `data.length` is 0, which is falsy. `!0` is true.",
+          "prose": [
+            "If userInput is \"\", 0, null, or undefined, it's falsy.",
+            "console.log(\"Validation Error: Input is required!\");",
+            "Optional chaining `?.` returns undefined if `data` is null/undefined.\n`!undefined` is true.",
+            "console.log(\"API Response: No records found.\");"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "function validateInput(userInput) {",
+              "line": 121
+            },
+            {
+              "type": "prose",
+              "text": "If userInput is \"\", 0, null, or undefined, it's falsy.",
+              "line": 122
+            },
+            {
+              "type": "code",
+              "text": "  if (!userInput) {",
+              "line": 123
+            },
+            {
+              "type": "prose",
+              "text": "console.log(\"Validation Error: Input is required!\");",
+              "line": 124
+            },
+            {
+              "type": "code",
+              "text": "    return false;\n  }\n  return true;\n}\nvalidateInput(\"\");\n\nfunction handleApiResponse(data) {",
+              "line": 125
+            },
+            {
+              "type": "prose",
+              "text": "Optional chaining `?.` returns undefined if `data` is null/undefined.\n`!undefined` is true.",
+              "line": 132
+            },
+            {
+              "type": "code",
+              "text": "  if (!data?.length) {",
+              "line": 134
+            },
+            {
+              "type": "prose",
+              "text": "console.log(\"API Response: No records found.\");",
+              "line": 135
+            },
+            {
+              "type": "code",
+              "text": "    return \"No records\";\n  }\n  return \"Records found\";\n}\nhandleApiResponse({ length: 0 }); // `data.length` is 0, which is falsy. `!0` is true.",
+              "line": 136
+            }
+          ],
+          "expected": [],
+          "requires": [
+            "optional-chaining"
+          ]
+        },
+        {
+          "id": "mini-exercises-with-solutions",
+          "title": "Mini-Exercises with Solutions",
+          "number": null,
+          "heading": "🧩 Mini-Exercises with Solutions",
+          "marker": "Mini-Exercises with Solutions",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 143,
+          "endLine": 188,
+          "codeLine": 147,
+          "code": "console.log(\"\\n--- Mini-Exercises with Solutions ---\");\n\n// Q1: console.log(Boolean(new Boolean(false)));\nconsole.log(\"Q1: Boolean(new Boolean(false)) ->\", Boolean(new Boolean(false)));\n// ✅ Output: true\n// Step-by-step:\n// 1. `new Boolean(false)` creates an OBJECT that wraps the primitive `false`.\n// 2. In JavaScript, ALL objects are truthy, regardless of their content.\n// 3. `Boolean(anyObject)` therefore evaluates to `true`.\n\n// Q2: console.log([] == true); console.log([0] == false);\nconsole.log(\"Q2.1: [] == true ->\", [] == true);\n// ✅ Output: false\n// Step-by-step:\n// 1. Loose equality `==` with a boolean coerces the boolean to a number. `true` becomes `1`.\n// 2. The comparison is now `[] == 1`.\n// 3. The array `[]` is coerced to a number. `[].toString()` is `\"\"`. `Number(\"\")` is `0`.\n// 4. The final comparison is `0 == 1`, which is `false`.\n\nconsole.log(\"Q2.2: [0] == false ->\", [0] == false);\n// ✅ Output: true\n// Step-by-step:\n// 1. `false` is coerced to `0`. The comparison is `[0] == 0`.\n// 2. The array `[0]` is coerced. `[0].toString()` is `\"0\"`. `Number(\"0\")` is `0`.\n// 3. The final comparison is `0 == 0`, which is `true`.\n\n// Q3: console.log(!!null); console.log(!!\"false\");\nconsole.log(\"Q3.1: !!null ->\", !!null);\n// ✅ Output: false\n// Step-by-step:\n// 1. `null` is one of the 7 falsy values.\n// 2. The first `!` coerces `null` to `false`, then inverts it to `true`.\n// 3. The second `!` inverts `true` back to `false`.\n\nconsole.log('Q3.2: !!\"false\" ->', !!\"false\");",
+          "prose": [
+            "Q1: console.log(Boolean(new Boolean(false)));",
+            "✅ Output: true\nStep-by-step:\n1. `new Boolean(false)` creates an OBJECT that wraps the primitive `false`.\n2. In JavaScript, ALL objects are truthy, regardless of their content.\n3. `Boolean(anyObject)` therefore evaluates to `true`.",
+            "Q2: console.log([] == true); console.log([0] == false);",
+            "✅ Output: false\nStep-by-step:\n1. Loose equality `==` with a boolean coerces the boolean to a number. `true` becomes `1`.\n2. The comparison is now `[] == 1`.\n3. The array `[]` is coerced to a number. `[].toString()` is `\"\"`. `Number(\"\")` is `0`.\n4. The final comparison is `0 == 1`, which is `false`.",
+            "✅ Output: true\nStep-by-step:\n1. `false` is coerced to `0`. The comparison is `[0] == 0`.\n2. The array `[0]` is coerced. `[0].toString()` is `\"0\"`. `Number(\"0\")` is `0`.\n3. The final comparison is `0 == 0`, which is `true`.",
+            "Q3: console.log(!!null); console.log(!!\"false\");",
+            "✅ Output: false\nStep-by-step:\n1. `null` is one of the 7 falsy values.\n2. The first `!` coerces `null` to `false`, then inverts it to `true`.\n3. The second `!` inverts `true` back to `false`.",
+            "✅ Output: true\nStep-by-step:\n1. The string `\"false\"` is NOT an empty string, so it is truthy.\n2. The first `!` coerces `\"false\"` to `true`, then inverts it to `false`.\n3. The second `!` inverts `false` back to `true`."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Mini-Exercises with Solutions ---\");",
+              "line": 147
+            },
+            {
+              "type": "prose",
+              "text": "Q1: console.log(Boolean(new Boolean(false)));",
+              "line": 149
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q1: Boolean(new Boolean(false)) ->\", Boolean(new Boolean(false)));",
+              "line": 150
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: true\nStep-by-step:\n1. `new Boolean(false)` creates an OBJECT that wraps the primitive `false`.\n2. In JavaScript, ALL objects are truthy, regardless of their content.\n3. `Boolean(anyObject)` therefore evaluates to `true`.",
+              "line": 151
+            },
+            {
+              "type": "prose",
+              "text": "Q2: console.log([] == true); console.log([0] == false);",
+              "line": 157
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q2.1: [] == true ->\", [] == true);",
+              "line": 158
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: false\nStep-by-step:\n1. Loose equality `==` with a boolean coerces the boolean to a number. `true` becomes `1`.\n2. The comparison is now `[] == 1`.\n3. The array `[]` is coerced to a number. `[].toString()` is `\"\"`. `Number(\"\")` is `0`.\n4. The final comparison is `0 == 1`, which is `false`.",
+              "line": 159
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q2.2: [0] == false ->\", [0] == false);",
+              "line": 166
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: true\nStep-by-step:\n1. `false` is coerced to `0`. The comparison is `[0] == 0`.\n2. The array `[0]` is coerced. `[0].toString()` is `\"0\"`. `Number(\"0\")` is `0`.\n3. The final comparison is `0 == 0`, which is `true`.",
+              "line": 167
+            },
+            {
+              "type": "prose",
+              "text": "Q3: console.log(!!null); console.log(!!\"false\");",
+              "line": 173
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q3.1: !!null ->\", !!null);",
+              "line": 174
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: false\nStep-by-step:\n1. `null` is one of the 7 falsy values.\n2. The first `!` coerces `null` to `false`, then inverts it to `true`.\n3. The second `!` inverts `true` back to `false`.",
+              "line": 175
+            },
+            {
+              "type": "code",
+              "text": "console.log('Q3.2: !!\"false\" ->', !!\"false\");",
+              "line": 181
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: true\nStep-by-step:\n1. The string `\"false\"` is NOT an empty string, so it is truthy.\n2. The first `!` coerces `\"false\"` to `true`, then inverts it to `false`.\n3. The second `!` inverts `false` back to `true`.",
+              "line": 182
+            }
+          ],
+          "expected": [
+            {
+              "line": 151,
+              "text": "true",
+              "kind": "block"
+            },
+            {
+              "line": 159,
+              "text": "false",
+              "kind": "block"
+            },
+            {
+              "line": 167,
+              "text": "true",
+              "kind": "block"
+            },
+            {
+              "line": 175,
+              "text": "false",
+              "kind": "block"
+            },
+            {
+              "line": 182,
+              "text": "true",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "truthy-vs-falsy-comparison-table",
+          "title": "Truthy vs Falsy Comparison Table",
+          "number": null,
+          "heading": "🧾 Truthy vs Falsy Comparison Table",
+          "marker": "Truthy vs Falsy Comparison Table",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 189,
+          "endLine": 228,
+          "codeLine": 196,
+          "code": "console.log(\"\\n--- Truthy vs Falsy Comparison Table ---\");\n\nconst valuesToTest = [\n  false,\n  true,\n  0,\n  -0,\n  0n,\n  42,\n  -7,\n  NaN,\n  Infinity,\n  -Infinity,\n  \"\",\n  \"0\",\n  \"false\",\n  \" \",\n  [],\n  {},\n  function() {},\n  null,\n  undefined,\n  new Boolean(false),\n];\n\nvaluesToTest.forEach(value => {\n  // Using JSON.stringify for objects/arrays to make them more readable in the log\n  const valueAsString =\n    typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);\n  const label = `${valueAsString} (${typeof value})`.padEnd(30, ' ');\n  console.log(`${label} => ${Boolean(value)}`);\n});",
+          "prose": [
+            "A practical demonstration of the ToBoolean algorithm.",
+            "Using JSON.stringify for objects/arrays to make them more readable in the log"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "A practical demonstration of the ToBoolean algorithm.",
+              "line": 191
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Truthy vs Falsy Comparison Table ---\");\n\nconst valuesToTest = [\n  false,\n  true,\n  0,\n  -0,\n  0n,\n  42,\n  -7,\n  NaN,\n  Infinity,\n  -Infinity,\n  \"\",\n  \"0\",\n  \"false\",\n  \" \",\n  [],\n  {},\n  function() {},\n  null,\n  undefined,\n  new Boolean(false),\n];\n\nvaluesToTest.forEach(value => {",
+              "line": 196
+            },
+            {
+              "type": "prose",
+              "text": "Using JSON.stringify for objects/arrays to make them more readable in the log",
+              "line": 222
+            },
+            {
+              "type": "code",
+              "text": "  const valueAsString =\n    typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);\n  const label = `${valueAsString} (${typeof value})`.padEnd(30, ' ');\n  console.log(`${label} => ${Boolean(value)}`);\n});",
+              "line": 223
+            }
+          ],
+          "expected": [],
+          "requires": [
+            "bigint"
+          ]
+        }
+      ],
+      "fileName": "010_primitive-boolean-deep-dive.js",
+      "chapter": "002_PrimitiveDataType",
+      "path": "scripts/002_PrimitiveDataType/010_primitive-boolean-deep-dive.js",
+      "chapterTitle": "Primitives"
+    },
+    {
+      "id": "011",
+      "title": "JavaScript Learning Path: Primitive 5: undefined",
+      "summary": "",
+      "metadata": {
+        "difficulty": "beginner",
+        "duration": "20 min",
+        "minutes": 20,
+        "prerequisites": [
+          "001"
+        ],
+        "tags": [
+          "undefined",
+          "coercion"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 16,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a comprehensive exploration of the `undefined` type,\na special primitive value that represents the absence of an assigned value."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a comprehensive exploration of the `undefined` type,\na special primitive value that represents the absence of an assigned value.",
+              "line": 12
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-what-is-undefined",
+          "title": "What is `undefined`?",
+          "number": "1",
+          "heading": "1. 🔹 What is `undefined`?",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 17,
+          "endLine": 30,
+          "codeLine": 27,
+          "code": "console.log(\"--- What is undefined? ---\");\nconsole.log(\"typeof undefined:\", typeof undefined); // \"undefined\"",
+          "prose": [
+            "`undefined` is a primitive value automatically assigned to variables that have\njust been declared, or to formal arguments for which there are no actual\narguments. It signifies that \"a variable has been declared but not yet\nassigned a value.\"\n\nIts type is also, uniquely, \"undefined\"."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`undefined` is a primitive value automatically assigned to variables that have\njust been declared, or to formal arguments for which there are no actual\narguments. It signifies that \"a variable has been declared but not yet\nassigned a value.\"\n\nIts type is also, uniquely, \"undefined\".",
+              "line": 19
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- What is undefined? ---\");\nconsole.log(\"typeof undefined:\", typeof undefined); // \"undefined\"",
+              "line": 27
+            }
+          ],
+          "expected": [
+            {
+              "line": 28,
+              "text": "\"undefined\"",
+              "kind": "inline",
+              "code": "console.log(\"typeof undefined:\", typeof undefined);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "when-do-you-get-undefined",
+          "title": "When do you get undefined?",
+          "number": null,
+          "heading": "2. 🔹 When do you get `undefined`?",
+          "marker": "When do you get undefined?",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 31,
+          "endLine": 61,
+          "codeLine": 35,
+          "code": "console.log(\"\\n--- When do you get undefined? ---\");\n\n// (a) Variable declared but not assigned\nlet x;\nconsole.log(\"Declared but not assigned:\", x); // undefined\n\n// (b) Missing function return\nfunction test() {\n  // No return statement\n}\nconsole.log(\"Missing function return:\", test()); // undefined\n\n// (c) Accessing missing object properties\nlet obj = {};\nconsole.log(\"Missing object property:\", obj.key); // undefined\n\n// (d) Array element not set (sparse array)\nlet arr = [1, , 3]; // This is a sparse array with a hole at index 1\nconsole.log(\"Accessing an array hole:\", arr[1]); // undefined\n\n// (e) Function parameters not passed\nfunction greet(name) {\n  console.log(\"Missing function parameter:\", name);\n}\ngreet(); // undefined",
+          "prose": [
+            "(a) Variable declared but not assigned",
+            "(b) Missing function return",
+            "No return statement",
+            "(c) Accessing missing object properties",
+            "(d) Array element not set (sparse array)",
+            "(e) Function parameters not passed"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- When do you get undefined? ---\");",
+              "line": 35
+            },
+            {
+              "type": "prose",
+              "text": "(a) Variable declared but not assigned",
+              "line": 37
+            },
+            {
+              "type": "code",
+              "text": "let x;\nconsole.log(\"Declared but not assigned:\", x); // undefined",
+              "line": 38
+            },
+            {
+              "type": "prose",
+              "text": "(b) Missing function return",
+              "line": 41
+            },
+            {
+              "type": "code",
+              "text": "function test() {",
+              "line": 42
+            },
+            {
+              "type": "prose",
+              "text": "No return statement",
+              "line": 43
+            },
+            {
+              "type": "code",
+              "text": "}\nconsole.log(\"Missing function return:\", test()); // undefined",
+              "line": 44
+            },
+            {
+              "type": "prose",
+              "text": "(c) Accessing missing object properties",
+              "line": 47
+            },
+            {
+              "type": "code",
+              "text": "let obj = {};\nconsole.log(\"Missing object property:\", obj.key); // undefined",
+              "line": 48
+            },
+            {
+              "type": "prose",
+              "text": "(d) Array element not set (sparse array)",
+              "line": 51
+            },
+            {
+              "type": "code",
+              "text": "let arr = [1, , 3]; // This is a sparse array with a hole at index 1\nconsole.log(\"Accessing an array hole:\", arr[1]); // undefined",
+              "line": 52
+            },
+            {
+              "type": "prose",
+              "text": "(e) Function parameters not passed",
+              "line": 55
+            },
+            {
+              "type": "code",
+              "text": "function greet(name) {\n  console.log(\"Missing function parameter:\", name);\n}\ngreet(); // undefined",
+              "line": 56
+            }
+          ],
+          "expected": [
+            {
+              "line": 39,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Declared but not assigned:\", x);"
+            },
+            {
+              "line": 45,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Missing function return:\", test());"
+            },
+            {
+              "line": 49,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Missing object property:\", obj.key);"
+            },
+            {
+              "line": 53,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Accessing an array hole:\", arr[1]);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "3-difference-between-undefined-and-null",
+          "title": "Difference between `undefined` and `null`",
+          "number": "3",
+          "heading": "3. 🔹 Difference between `undefined` and `null`",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 62,
+          "endLine": 73,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "| Feature   | `undefined`                               | `null`                                  |\n| :-------- | :---------------------------------------- | :-------------------------------------- |\n| Meaning   | A variable has been declared but not assigned a value. | A variable has been explicitly assigned \"no value\". |\n| Type      | \"undefined\"                               | \"object\" (a famous quirk in JS)         |\n| Set by    | JavaScript engine automatically           | Developer intentionally                 |"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "| Feature   | `undefined`                               | `null`                                  |\n| :-------- | :---------------------------------------- | :-------------------------------------- |\n| Meaning   | A variable has been declared but not assigned a value. | A variable has been explicitly assigned \"no value\". |\n| Type      | \"undefined\"                               | \"object\" (a famous quirk in JS)         |\n| Set by    | JavaScript engine automatically           | Developer intentionally                 |",
+              "line": 64
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "type-coercion-with-undefined",
+          "title": "Type Coercion with undefined",
+          "number": null,
+          "heading": "4. 🔹 Type Coercion with `undefined`",
+          "marker": "Type Coercion with undefined",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 74,
+          "endLine": 88,
+          "codeLine": 78,
+          "code": "console.log(\"\\n--- Type Coercion with undefined ---\");\nconsole.log(\"Number(undefined):\", Number(undefined)); // NaN\nconsole.log(\"String(undefined):\", String(undefined)); // \"undefined\"\nconsole.log(\"Boolean(undefined):\", Boolean(undefined)); // false\n\n// Loose equality traps:\n// There's a special rule in the `==` algorithm where `null` and `undefined` are loosely equal to each other.\nconsole.log(\"undefined == null:\", undefined == null); // true (special case)\nconsole.log(\"undefined === null:\", undefined === null); // false (different types)",
+          "prose": [
+            "Loose equality traps:\nThere's a special rule in the `==` algorithm where `null` and `undefined` are loosely equal to each other."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Type Coercion with undefined ---\");\nconsole.log(\"Number(undefined):\", Number(undefined)); // NaN\nconsole.log(\"String(undefined):\", String(undefined)); // \"undefined\"\nconsole.log(\"Boolean(undefined):\", Boolean(undefined)); // false",
+              "line": 78
+            },
+            {
+              "type": "prose",
+              "text": "Loose equality traps:\nThere's a special rule in the `==` algorithm where `null` and `undefined` are loosely equal to each other.",
+              "line": 83
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"undefined == null:\", undefined == null); // true (special case)\nconsole.log(\"undefined === null:\", undefined === null); // false (different types)",
+              "line": 85
+            }
+          ],
+          "expected": [
+            {
+              "line": 79,
+              "text": "NaN",
+              "kind": "inline",
+              "code": "console.log(\"Number(undefined):\", Number(undefined));"
+            },
+            {
+              "line": 80,
+              "text": "\"undefined\"",
+              "kind": "inline",
+              "code": "console.log(\"String(undefined):\", String(undefined));"
+            },
+            {
+              "line": 81,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"Boolean(undefined):\", Boolean(undefined));"
+            },
+            {
+              "line": 85,
+              "text": "true (special case)",
+              "kind": "inline",
+              "code": "console.log(\"undefined == null:\", undefined == null);"
+            },
+            {
+              "line": 86,
+              "text": "false (different types)",
+              "kind": "inline",
+              "code": "console.log(\"undefined === null:\", undefined === null);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "5-best-practices",
+          "title": "Best Practices",
+          "number": "5",
+          "heading": "5. 🔹 Best Practices",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 89,
+          "endLine": 98,
+          "codeLine": 96,
+          "code": "let user = null; // Good practice: explicitly clearing a value.",
+          "prose": [
+            "✅ Use `===` when checking for `undefined` or `null` to avoid coercion surprises.\n✅ Prefer assigning `null` when you want to explicitly clear or reset a variable's value.\n❌ Don’t manually assign `undefined`. Let the engine use it to signal an uninitialized state."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "✅ Use `===` when checking for `undefined` or `null` to avoid coercion surprises.\n✅ Prefer assigning `null` when you want to explicitly clear or reset a variable's value.\n❌ Don’t manually assign `undefined`. Let the engine use it to signal an uninitialized state.",
+              "line": 91
+            },
+            {
+              "type": "code",
+              "text": "let user = null; // Good practice: explicitly clearing a value.",
+              "line": 96
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "quick-exercise-with-solution",
+          "title": "Quick Exercise with Solution",
+          "number": null,
+          "heading": "6. 🧩 Quick Exercise with Solution",
+          "marker": "Quick Exercise with Solution",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 99,
+          "endLine": 121,
+          "codeLine": 103,
+          "code": "console.log(\"\\n--- Quick Exercise with Solution ---\");\nlet exerciseVar; // Declared but not assigned, so its value is `undefined`.\n\nconsole.log(\"exerciseVar == null is\", exerciseVar == null);\n// ✅ Output: true\n// Step-by-step: `exerciseVar` is `undefined`. The loose equality `==` has a special\n// rule that `undefined == null` is true.\n\nconsole.log(\"exerciseVar === null is\", exerciseVar === null);\n// ✅ Output: false\n// Step-by-step: `exerciseVar` is `undefined`. Strict equality `===` checks type.\n// `typeof undefined` is \"undefined\", `typeof null` is \"object\". Since the types\n// are different, the result is false.\n\nconsole.log(\"exerciseVar === undefined is\", exerciseVar === undefined);",
+          "prose": [
+            "✅ Output: true\nStep-by-step: `exerciseVar` is `undefined`. The loose equality `==` has a special\nrule that `undefined == null` is true.",
+            "✅ Output: false\nStep-by-step: `exerciseVar` is `undefined`. Strict equality `===` checks type.\n`typeof undefined` is \"undefined\", `typeof null` is \"object\". Since the types\nare different, the result is false.",
+            "✅ Output: true\nStep-by-step: `exerciseVar` is `undefined`. The type and value match perfectly."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Quick Exercise with Solution ---\");\nlet exerciseVar; // Declared but not assigned, so its value is `undefined`.\n\nconsole.log(\"exerciseVar == null is\", exerciseVar == null);",
+              "line": 103
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: true\nStep-by-step: `exerciseVar` is `undefined`. The loose equality `==` has a special\nrule that `undefined == null` is true.",
+              "line": 107
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"exerciseVar === null is\", exerciseVar === null);",
+              "line": 111
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: false\nStep-by-step: `exerciseVar` is `undefined`. Strict equality `===` checks type.\n`typeof undefined` is \"undefined\", `typeof null` is \"object\". Since the types\nare different, the result is false.",
+              "line": 112
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"exerciseVar === undefined is\", exerciseVar === undefined);",
+              "line": 117
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: true\nStep-by-step: `exerciseVar` is `undefined`. The type and value match perfectly.",
+              "line": 118
+            }
+          ],
+          "expected": [
+            {
+              "line": 107,
+              "text": "true",
+              "kind": "block"
+            },
+            {
+              "line": 112,
+              "text": "false",
+              "kind": "block"
+            },
+            {
+              "line": 118,
+              "text": "true",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "extra-brain-benders-with-solutions",
+          "title": "Extra Brain-Benders with Solutions",
+          "number": null,
+          "heading": "7. 🧩 Extra Brain-Benders (Interview-Style) with Solutions",
+          "marker": "Extra Brain-Benders with Solutions",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 122,
+          "endLine": 166,
+          "codeLine": 126,
+          "code": "console.log(\"\\n--- Extra Brain-Benders with Solutions ---\");\n\n// 1. Undefined in arrays (Holes vs. Explicit `undefined`)\nlet benderArr = [undefined, ,];\nconsole.log(\"Bender 1.1 (arr.length):\", benderArr.length); // 2\n// The array has two slots, so its length is 2.\n\nconsole.log(\"Bender 1.2 (arr[0]):\", benderArr[0]); // undefined\n// The value at index 0 was explicitly set to `undefined`.\n\nconsole.log(\"Bender 1.3 (arr[1]):\", benderArr[1]); // undefined\n// Accessing a \"hole\" in a sparse array returns `undefined`.\n\n// The key difference is whether the property exists:\nconsole.log(\"Bender 1.4 (0 in arr):\", 0 in benderArr); // true (index 0 exists)\nconsole.log(\"Bender 1.5 (1 in arr):\", 1 in benderArr); // false (index 1 is a hole, it doesn't exist)\n\n// 2. JSON behavior\nconst jsonInput = { a: undefined, b: null };\nconsole.log(\"Bender 2 (JSON.stringify):\", JSON.stringify(jsonInput));\n// ✅ Output: {\"b\":null}\n// Step-by-step: `JSON.stringify` has a rule to completely omit object\n// properties whose value is `undefined`. However, `null` is a valid JSON\n// value and is preserved.\n\n// 3. Global `undefined` quirk\nconsole.log(\"Bender 3 (Global undefined):\");\n// In modern JavaScript (ES5 strict mode and later), `undefined` is a non-writable,\n// non-configurable global property. Attempting to change it has no effect.\n\n// In a non-strict, older environment, this would have worked:\n// (function() {\n//   var undefined = 123;\n//   console.log(undefined); // Would log 123 in an ES3 engine.\n// })();\n\n// In modern JS:\nvar undefined = 123; // This assignment is ignored in strict mode or modern JS modules.\nconsole.log(\"Value of `undefined` in modern JS:\", undefined); // undefined",
+          "prose": [
+            "1. Undefined in arrays (Holes vs. Explicit `undefined`)",
+            "The array has two slots, so its length is 2.",
+            "The value at index 0 was explicitly set to `undefined`.",
+            "Accessing a \"hole\" in a sparse array returns `undefined`.",
+            "The key difference is whether the property exists:",
+            "2. JSON behavior",
+            "✅ Output: {\"b\":null}\nStep-by-step: `JSON.stringify` has a rule to completely omit object\nproperties whose value is `undefined`. However, `null` is a valid JSON\nvalue and is preserved.",
+            "3. Global `undefined` quirk",
+            "In modern JavaScript (ES5 strict mode and later), `undefined` is a non-writable,\nnon-configurable global property. Attempting to change it has no effect.",
+            "In a non-strict, older environment, this would have worked:\n(function() {\n  var undefined = 123;\n  console.log(undefined); // Would log 123 in an ES3 engine.\n})();",
+            "In modern JS:"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Extra Brain-Benders with Solutions ---\");",
+              "line": 126
+            },
+            {
+              "type": "prose",
+              "text": "1. Undefined in arrays (Holes vs. Explicit `undefined`)",
+              "line": 128
+            },
+            {
+              "type": "code",
+              "text": "let benderArr = [undefined, ,];\nconsole.log(\"Bender 1.1 (arr.length):\", benderArr.length); // 2",
+              "line": 129
+            },
+            {
+              "type": "prose",
+              "text": "The array has two slots, so its length is 2.",
+              "line": 131
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Bender 1.2 (arr[0]):\", benderArr[0]); // undefined",
+              "line": 133
+            },
+            {
+              "type": "prose",
+              "text": "The value at index 0 was explicitly set to `undefined`.",
+              "line": 134
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Bender 1.3 (arr[1]):\", benderArr[1]); // undefined",
+              "line": 136
+            },
+            {
+              "type": "prose",
+              "text": "Accessing a \"hole\" in a sparse array returns `undefined`.",
+              "line": 137
+            },
+            {
+              "type": "prose",
+              "text": "The key difference is whether the property exists:",
+              "line": 139
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Bender 1.4 (0 in arr):\", 0 in benderArr); // true (index 0 exists)\nconsole.log(\"Bender 1.5 (1 in arr):\", 1 in benderArr); // false (index 1 is a hole, it doesn't exist)",
+              "line": 140
+            },
+            {
+              "type": "prose",
+              "text": "2. JSON behavior",
+              "line": 143
+            },
+            {
+              "type": "code",
+              "text": "const jsonInput = { a: undefined, b: null };\nconsole.log(\"Bender 2 (JSON.stringify):\", JSON.stringify(jsonInput));",
+              "line": 144
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: {\"b\":null}\nStep-by-step: `JSON.stringify` has a rule to completely omit object\nproperties whose value is `undefined`. However, `null` is a valid JSON\nvalue and is preserved.",
+              "line": 146
+            },
+            {
+              "type": "prose",
+              "text": "3. Global `undefined` quirk",
+              "line": 151
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Bender 3 (Global undefined):\");",
+              "line": 152
+            },
+            {
+              "type": "prose",
+              "text": "In modern JavaScript (ES5 strict mode and later), `undefined` is a non-writable,\nnon-configurable global property. Attempting to change it has no effect.",
+              "line": 153
+            },
+            {
+              "type": "prose",
+              "text": "In a non-strict, older environment, this would have worked:\n(function() {\n  var undefined = 123;\n  console.log(undefined); // Would log 123 in an ES3 engine.\n})();",
+              "line": 156
+            },
+            {
+              "type": "prose",
+              "text": "In modern JS:",
+              "line": 162
+            },
+            {
+              "type": "code",
+              "text": "var undefined = 123; // This assignment is ignored in strict mode or modern JS modules.\nconsole.log(\"Value of `undefined` in modern JS:\", undefined); // undefined",
+              "line": 163
+            }
+          ],
+          "expected": [
+            {
+              "line": 130,
+              "text": "2",
+              "kind": "inline",
+              "code": "console.log(\"Bender 1.1 (arr.length):\", benderArr.length);"
+            },
+            {
+              "line": 133,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Bender 1.2 (arr[0]):\", benderArr[0]);"
+            },
+            {
+              "line": 136,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Bender 1.3 (arr[1]):\", benderArr[1]);"
+            },
+            {
+              "line": 140,
+              "text": "true (index 0 exists)",
+              "kind": "inline",
+              "code": "console.log(\"Bender 1.4 (0 in arr):\", 0 in benderArr);"
+            },
+            {
+              "line": 141,
+              "text": "false (index 1 is a hole, it doesn't exist)",
+              "kind": "inline",
+              "code": "console.log(\"Bender 1.5 (1 in arr):\", 1 in benderArr);"
+            },
+            {
+              "line": 146,
+              "text": "{\"b\":null}",
+              "kind": "block"
+            },
+            {
+              "line": 164,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Value of `undefined` in modern JS:\", undefined);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "interview-tip",
+          "title": "Interview Tip:",
+          "number": null,
+          "heading": "⚡ Interview Tip:",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 167,
+          "endLine": 174,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Q: \"Is `undefined` a keyword in JavaScript?\"\nA: \"No, it's a global property of the global object. In modern JavaScript (ES5+),\nit's configured as non-writable and non-configurable, making it effectively a\nread-only constant. But in older, non-strict environments, it could be reassigned.\""
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Q: \"Is `undefined` a keyword in JavaScript?\"\nA: \"No, it's a global property of the global object. In modern JavaScript (ES5+),\nit's configured as non-writable and non-configurable, making it effectively a\nread-only constant. But in older, non-strict environments, it could be reassigned.\"",
+              "line": 169
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "011_primitive-undefined-deep-dive.js",
+      "chapter": "002_PrimitiveDataType",
+      "path": "scripts/002_PrimitiveDataType/011_primitive-undefined-deep-dive.js",
+      "chapterTitle": "Primitives"
+    },
+    {
+      "id": "012",
+      "title": "JavaScript Learning Path: Primitive 6: null",
+      "summary": "",
+      "metadata": {
+        "difficulty": "beginner",
+        "duration": "20 min",
+        "minutes": 20,
+        "prerequisites": [
+          "011"
+        ],
+        "tags": [
+          "null",
+          "coercion",
+          "equality"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 16,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a comprehensive exploration of the `null` primitive,\na value that represents the intentional absence of any object value."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a comprehensive exploration of the `null` primitive,\na value that represents the intentional absence of any object value.",
+              "line": 12
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-what-is-null",
+          "title": "What is `null`?",
+          "number": "1",
+          "heading": "1. 🔹 What is `null`?",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 17,
+          "endLine": 32,
+          "codeLine": 29,
+          "code": "console.log(\"--- What is null? ---\");\nconsole.log(\"typeof null:\", typeof null); // \"object\" ❌ (historical bug)",
+          "prose": [
+            "`null` is a primitive value that is intentionally set by a developer to signify\n\"no value\" or an \"empty\" value. It's different from `undefined`, which the\nengine assigns automatically when a value is not present.\n\n🔥 The `typeof null` Bug:\nThis is one of JavaScript's most famous historical quirks. Due to an issue in\nthe original implementation, `typeof null` returns \"object\". This was never\nfixed to avoid breaking existing code on the web."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`null` is a primitive value that is intentionally set by a developer to signify\n\"no value\" or an \"empty\" value. It's different from `undefined`, which the\nengine assigns automatically when a value is not present.\n\n🔥 The `typeof null` Bug:\nThis is one of JavaScript's most famous historical quirks. Due to an issue in\nthe original implementation, `typeof null` returns \"object\". This was never\nfixed to avoid breaking existing code on the web.",
+              "line": 19
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- What is null? ---\");\nconsole.log(\"typeof null:\", typeof null); // \"object\" ❌ (historical bug)",
+              "line": 29
+            }
+          ],
+          "expected": [
+            {
+              "line": 30,
+              "text": "\"object\" ❌ (historical bug)",
+              "kind": "inline",
+              "code": "console.log(\"typeof null:\", typeof null);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "when-to-use-null",
+          "title": "When to use null",
+          "number": null,
+          "heading": "2. 🔹 When to use `null`",
+          "marker": "When to use null",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 33,
+          "endLine": 53,
+          "codeLine": 38,
+          "code": "console.log(\"\\n--- When to use null ---\");\n// To clear or reset a variable, often one that previously held an object.\nlet user = { name: \"Alice\" };\nuser = null; // The 'user' variable is now empty.\nconsole.log(\"Cleared user variable:\", user);\n\n// To signal an intentional \"not found\" result from a function.\nfunction findUser(id) {\n  if (id !== 1) {\n    return null; // Explicitly returning \"not found\"\n  }\n  return { id: 1, name: \"Bob\" };\n}\nconsole.log(\"findUser(0):\", findUser(0));",
+          "prose": [
+            "`null` is used to explicitly signal an absence of value.",
+            "To clear or reset a variable, often one that previously held an object.",
+            "To signal an intentional \"not found\" result from a function."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`null` is used to explicitly signal an absence of value.",
+              "line": 35
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- When to use null ---\");",
+              "line": 38
+            },
+            {
+              "type": "prose",
+              "text": "To clear or reset a variable, often one that previously held an object.",
+              "line": 39
+            },
+            {
+              "type": "code",
+              "text": "let user = { name: \"Alice\" };\nuser = null; // The 'user' variable is now empty.\nconsole.log(\"Cleared user variable:\", user);",
+              "line": 40
+            },
+            {
+              "type": "prose",
+              "text": "To signal an intentional \"not found\" result from a function.",
+              "line": 44
+            },
+            {
+              "type": "code",
+              "text": "function findUser(id) {\n  if (id !== 1) {\n    return null; // Explicitly returning \"not found\"\n  }\n  return { id: 1, name: \"Bob\" };\n}\nconsole.log(\"findUser(0):\", findUser(0));",
+              "line": 45
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "type-coercion-with-null",
+          "title": "Type Coercion with null",
+          "number": null,
+          "heading": "3. 🔹 Type Coercion with `null`",
+          "marker": "Type Coercion with null",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 54,
+          "endLine": 64,
+          "codeLine": 59,
+          "code": "console.log(\"\\n--- Type Coercion with null ---\");\nconsole.log(\"Number(null):\", Number(null)); // 0\nconsole.log(\"String(null):\", String(null)); // \"null\"\nconsole.log(\"Boolean(null):\", Boolean(null)); // false",
+          "prose": [
+            "`null` behaves differently from `undefined` during type coercion."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "`null` behaves differently from `undefined` during type coercion.",
+              "line": 56
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Type Coercion with null ---\");\nconsole.log(\"Number(null):\", Number(null)); // 0\nconsole.log(\"String(null):\", String(null)); // \"null\"\nconsole.log(\"Boolean(null):\", Boolean(null)); // false",
+              "line": 59
+            }
+          ],
+          "expected": [
+            {
+              "line": 60,
+              "text": "0",
+              "kind": "inline",
+              "code": "console.log(\"Number(null):\", Number(null));"
+            },
+            {
+              "line": 61,
+              "text": "\"null\"",
+              "kind": "inline",
+              "code": "console.log(\"String(null):\", String(null));"
+            },
+            {
+              "line": 62,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"Boolean(null):\", Boolean(null));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "the-comparison-paradox-exercise",
+          "title": "The Comparison Paradox Exercise",
+          "number": null,
+          "heading": "4. 🧩 Quick Exercise with Solutions (The Comparison Paradox)",
+          "marker": "The Comparison Paradox Exercise",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 65,
+          "endLine": 97,
+          "codeLine": 70,
+          "code": "console.log(\"\\n--- The Comparison Paradox Exercise ---\");\n\n// Q1: console.log(null == 0);\nconsole.log(\"Q1: null == 0 is\", null == 0);\n// ✅ Output: false\n// Reason: The loose equality `==` has a special rule that `null` is only equal to `undefined`. It does not coerce `null` to a number in this case.\n\n// Q2: console.log(null < 0);\nconsole.log(\"Q2: null < 0 is\", null < 0);\n// ✅ Output: false\n// Reason: Relational operators (`<`, `>`, `<=`, `>=`) DO coerce `null` to a number. `Number(null)` is `0`. The comparison becomes `0 < 0`, which is false.\n\n// Q3: console.log(null <= 0);\nconsole.log(\"Q3: null <= 0 is\", null <= 0);\n// ✅ Output: true\n// Reason: `null` is coerced to `0`. The comparison becomes `0 <= 0`, which is true.\n\n// Q4: console.log(null >= 0);\nconsole.log(\"Q4: null >= 0 is\", null >= 0);\n// ✅ Output: true\n// Reason: `null` is coerced to `0`. The comparison becomes `0 >= 0`, which is true.\n\n// Q5: console.log(null + true);\nconsole.log(\"Q5: null + true is\", null + true);",
+          "prose": [
+            "This exercise reveals the inconsistent coercion rules for `null`.",
+            "Q1: console.log(null == 0);",
+            "✅ Output: false\nReason: The loose equality `==` has a special rule that `null` is only equal to `undefined`. It does not coerce `null` to a number in this case.",
+            "Q2: console.log(null < 0);",
+            "✅ Output: false\nReason: Relational operators (`<`, `>`, `<=`, `>=`) DO coerce `null` to a number. `Number(null)` is `0`. The comparison becomes `0 < 0`, which is false.",
+            "Q3: console.log(null <= 0);",
+            "✅ Output: true\nReason: `null` is coerced to `0`. The comparison becomes `0 <= 0`, which is true.",
+            "Q4: console.log(null >= 0);",
+            "✅ Output: true\nReason: `null` is coerced to `0`. The comparison becomes `0 >= 0`, which is true.",
+            "Q5: console.log(null + true);",
+            "✅ Output: 1\nReason: In an arithmetic context, `null` becomes `0` and `true` becomes `1`. The operation is `0 + 1`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This exercise reveals the inconsistent coercion rules for `null`.",
+              "line": 67
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- The Comparison Paradox Exercise ---\");",
+              "line": 70
+            },
+            {
+              "type": "prose",
+              "text": "Q1: console.log(null == 0);",
+              "line": 72
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q1: null == 0 is\", null == 0);",
+              "line": 73
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: false\nReason: The loose equality `==` has a special rule that `null` is only equal to `undefined`. It does not coerce `null` to a number in this case.",
+              "line": 74
+            },
+            {
+              "type": "prose",
+              "text": "Q2: console.log(null < 0);",
+              "line": 77
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q2: null < 0 is\", null < 0);",
+              "line": 78
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: false\nReason: Relational operators (`<`, `>`, `<=`, `>=`) DO coerce `null` to a number. `Number(null)` is `0`. The comparison becomes `0 < 0`, which is false.",
+              "line": 79
+            },
+            {
+              "type": "prose",
+              "text": "Q3: console.log(null <= 0);",
+              "line": 82
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q3: null <= 0 is\", null <= 0);",
+              "line": 83
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: true\nReason: `null` is coerced to `0`. The comparison becomes `0 <= 0`, which is true.",
+              "line": 84
+            },
+            {
+              "type": "prose",
+              "text": "Q4: console.log(null >= 0);",
+              "line": 87
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q4: null >= 0 is\", null >= 0);",
+              "line": 88
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: true\nReason: `null` is coerced to `0`. The comparison becomes `0 >= 0`, which is true.",
+              "line": 89
+            },
+            {
+              "type": "prose",
+              "text": "Q5: console.log(null + true);",
+              "line": 92
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q5: null + true is\", null + true);",
+              "line": 93
+            },
+            {
+              "type": "prose",
+              "text": "✅ Output: 1\nReason: In an arithmetic context, `null` becomes `0` and `true` becomes `1`. The operation is `0 + 1`.",
+              "line": 94
+            }
+          ],
+          "expected": [
+            {
+              "line": 74,
+              "text": "false",
+              "kind": "block"
+            },
+            {
+              "line": 79,
+              "text": "false",
+              "kind": "block"
+            },
+            {
+              "line": 84,
+              "text": "true",
+              "kind": "block"
+            },
+            {
+              "line": 89,
+              "text": "true",
+              "kind": "block"
+            },
+            {
+              "line": 94,
+              "text": "1",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "hidden-internals-insight",
+          "title": "Hidden Internals Insight",
+          "number": null,
+          "heading": "⚡ Hidden Internals Insight",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 98,
+          "endLine": 106,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "The reason `null >= 0` is true while `null == 0` is false is due to\ndifferent algorithms in the ECMAScript specification:\n- The Abstract Equality Comparison (`==`) has a specific step: \"If x is null and y is undefined, return true\" (and vice-versa), but no rule to convert `null` to a number.\n- The Relational Comparison (`<`, `>=`) algorithm will first convert both operands to numbers if they are not strings. This forces `null` to become `0`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "The reason `null >= 0` is true while `null == 0` is false is due to\ndifferent algorithms in the ECMAScript specification:\n- The Abstract Equality Comparison (`==`) has a specific step: \"If x is null and y is undefined, return true\" (and vice-versa), but no rule to convert `null` to a number.\n- The Relational Comparison (`<`, `>=`) algorithm will first convert both operands to numbers if they are not strings. This forces `null` to become `0`.",
+              "line": 100
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "edge-cases-gotchas",
+          "title": "Edge Cases & Gotchas",
+          "number": null,
+          "heading": "5. 🟣 `null` — Edge Cases & Gotchas",
+          "marker": "Edge Cases & Gotchas",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 107,
+          "endLine": 171,
+          "codeLine": 113,
+          "code": "console.log(\"\\n--- Edge Cases & Gotchas ---\");\n\n// 1. Loose equality trap\nconsole.log(\"null == undefined is\", null == undefined); // true (the only loose equality that works for null)\nconsole.log(\"null == false is\", null == false); // false\n\n// 2. `null` in JSON\n// `null` is a valid value in JSON and is preserved. `undefined` is dropped.\nconsole.log('JSON with null:', JSON.stringify({ a: null, b: 2 })); // {\"a\":null,\"b\":2}\nconsole.log('JSON with undefined:', JSON.stringify({ a: undefined, b: 2 })); // {\"b\":2}\n\n// 3. `null` in arithmetic\nconsole.log(\"null + 5 =\", null + 5); // 5 (null -> 0)\nconsole.log(\"null * 2 =\", null * 2); // 0\nconsole.log(\"null / 0 =\", null / 0); // NaN (because 0 / 0 is mathematically indeterminate)\n\n// 4. Optional Chaining (`?.`)\nlet nullUser = null;\nconsole.log(\"Optional chaining on null:\", nullUser?.name); // undefined (safe, no error)\ntry {\n  console.log(nullUser.name);\n} catch (e) {\n  console.log(\"Direct access on null throws error:\", e.message); // ❌ TypeError\n}\n\n// 5. Nullish Coalescing (`??`) vs. OR (`||`)\n// `??` only triggers for `null` or `undefined`.\nlet val1 = null ?? \"fallback\";\nconsole.log(\"null ?? 'fallback' ->\", val1); // \"fallback\"\n\nlet val2 = 0 ?? \"fallback\";\nconsole.log(\"0 ?? 'fallback' ->\", val2); // 0 (0 is not null/undefined)\n\n// `||` triggers for any falsy value (0, \"\", false, etc.).\nlet val3 = 0 || \"fallback\";\nconsole.log(\"0 || 'fallback' ->\", val3); // \"fallback\"\n\n// 6. `Object.is` vs `===` with `null`\n// For `null`, they behave identically.\nconsole.log(\"Object.is(null, null):\", Object.is(null, null)); // true\nconsole.log(\"null === null:\", null === null); // true\n\n// 7. `delete` vs. assigning `null`\n// Assigning `null` removes the reference from the variable to the object,\n// making the object eligible for garbage collection (if no other references exist).\nlet objToClear = { a: 1 };\nobjToClear = null;\nconsole.log(\"objToClear after assigning null:\", objToClear); // null\n// `delete` is for removing a property from an object, not for clearing a variable.\n\n// 8. Function defaults vs `null`\n// Default parameter values only apply if the argument is `undefined`, not `null`.\nfunction testDefaults(x = 42) {\n  console.log(\"Function default test with\", x, \"->\", x);\n}\ntestDefaults(undefined); // 42 (default applies)\ntestDefaults(null); // null (default is skipped!)",
+          "prose": [
+            "1. Loose equality trap",
+            "2. `null` in JSON\n`null` is a valid value in JSON and is preserved. `undefined` is dropped.",
+            "3. `null` in arithmetic",
+            "4. Optional Chaining (`?.`)",
+            "5. Nullish Coalescing (`??`) vs. OR (`||`)\n`??` only triggers for `null` or `undefined`.",
+            "`||` triggers for any falsy value (0, \"\", false, etc.).",
+            "6. `Object.is` vs `===` with `null`\nFor `null`, they behave identically.",
+            "7. `delete` vs. assigning `null`\nAssigning `null` removes the reference from the variable to the object,\nmaking the object eligible for garbage collection (if no other references exist).",
+            "`delete` is for removing a property from an object, not for clearing a variable.",
+            "8. Function defaults vs `null`\nDefault parameter values only apply if the argument is `undefined`, not `null`."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Edge Cases & Gotchas ---\");",
+              "line": 113
+            },
+            {
+              "type": "prose",
+              "text": "1. Loose equality trap",
+              "line": 115
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"null == undefined is\", null == undefined); // true (the only loose equality that works for null)\nconsole.log(\"null == false is\", null == false); // false",
+              "line": 116
+            },
+            {
+              "type": "prose",
+              "text": "2. `null` in JSON\n`null` is a valid value in JSON and is preserved. `undefined` is dropped.",
+              "line": 119
+            },
+            {
+              "type": "code",
+              "text": "console.log('JSON with null:', JSON.stringify({ a: null, b: 2 })); // {\"a\":null,\"b\":2}\nconsole.log('JSON with undefined:', JSON.stringify({ a: undefined, b: 2 })); // {\"b\":2}",
+              "line": 121
+            },
+            {
+              "type": "prose",
+              "text": "3. `null` in arithmetic",
+              "line": 124
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"null + 5 =\", null + 5); // 5 (null -> 0)\nconsole.log(\"null * 2 =\", null * 2); // 0\nconsole.log(\"null / 0 =\", null / 0); // NaN (because 0 / 0 is mathematically indeterminate)",
+              "line": 125
+            },
+            {
+              "type": "prose",
+              "text": "4. Optional Chaining (`?.`)",
+              "line": 129
+            },
+            {
+              "type": "code",
+              "text": "let nullUser = null;\nconsole.log(\"Optional chaining on null:\", nullUser?.name); // undefined (safe, no error)\ntry {\n  console.log(nullUser.name);\n} catch (e) {\n  console.log(\"Direct access on null throws error:\", e.message); // ❌ TypeError\n}",
+              "line": 130
+            },
+            {
+              "type": "prose",
+              "text": "5. Nullish Coalescing (`??`) vs. OR (`||`)\n`??` only triggers for `null` or `undefined`.",
+              "line": 138
+            },
+            {
+              "type": "code",
+              "text": "let val1 = null ?? \"fallback\";\nconsole.log(\"null ?? 'fallback' ->\", val1); // \"fallback\"\n\nlet val2 = 0 ?? \"fallback\";\nconsole.log(\"0 ?? 'fallback' ->\", val2); // 0 (0 is not null/undefined)",
+              "line": 140
+            },
+            {
+              "type": "prose",
+              "text": "`||` triggers for any falsy value (0, \"\", false, etc.).",
+              "line": 146
+            },
+            {
+              "type": "code",
+              "text": "let val3 = 0 || \"fallback\";\nconsole.log(\"0 || 'fallback' ->\", val3); // \"fallback\"",
+              "line": 147
+            },
+            {
+              "type": "prose",
+              "text": "6. `Object.is` vs `===` with `null`\nFor `null`, they behave identically.",
+              "line": 150
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Object.is(null, null):\", Object.is(null, null)); // true\nconsole.log(\"null === null:\", null === null); // true",
+              "line": 152
+            },
+            {
+              "type": "prose",
+              "text": "7. `delete` vs. assigning `null`\nAssigning `null` removes the reference from the variable to the object,\nmaking the object eligible for garbage collection (if no other references exist).",
+              "line": 155
+            },
+            {
+              "type": "code",
+              "text": "let objToClear = { a: 1 };\nobjToClear = null;\nconsole.log(\"objToClear after assigning null:\", objToClear); // null",
+              "line": 158
+            },
+            {
+              "type": "prose",
+              "text": "`delete` is for removing a property from an object, not for clearing a variable.",
+              "line": 161
+            },
+            {
+              "type": "prose",
+              "text": "8. Function defaults vs `null`\nDefault parameter values only apply if the argument is `undefined`, not `null`.",
+              "line": 163
+            },
+            {
+              "type": "code",
+              "text": "function testDefaults(x = 42) {\n  console.log(\"Function default test with\", x, \"->\", x);\n}\ntestDefaults(undefined); // 42 (default applies)\ntestDefaults(null); // null (default is skipped!)",
+              "line": 165
+            }
+          ],
+          "expected": [
+            {
+              "line": 116,
+              "text": "true (the only loose equality that works for null)",
+              "kind": "inline",
+              "code": "console.log(\"null == undefined is\", null == undefined);"
+            },
+            {
+              "line": 117,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"null == false is\", null == false);"
+            },
+            {
+              "line": 121,
+              "text": "{\"a\":null,\"b\":2}",
+              "kind": "inline",
+              "code": "console.log('JSON with null:', JSON.stringify({ a: null, b: 2 }));"
+            },
+            {
+              "line": 122,
+              "text": "{\"b\":2}",
+              "kind": "inline",
+              "code": "console.log('JSON with undefined:', JSON.stringify({ a: undefined, b: 2 }));"
+            },
+            {
+              "line": 125,
+              "text": "5 (null -> 0)",
+              "kind": "inline",
+              "code": "console.log(\"null + 5 =\", null + 5);"
+            },
+            {
+              "line": 126,
+              "text": "0",
+              "kind": "inline",
+              "code": "console.log(\"null * 2 =\", null * 2);"
+            },
+            {
+              "line": 127,
+              "text": "NaN (because 0 / 0 is mathematically indeterminate)",
+              "kind": "inline",
+              "code": "console.log(\"null / 0 =\", null / 0);"
+            },
+            {
+              "line": 131,
+              "text": "undefined (safe, no error)",
+              "kind": "inline",
+              "code": "console.log(\"Optional chaining on null:\", nullUser?.name);"
+            },
+            {
+              "line": 135,
+              "text": "❌ TypeError",
+              "kind": "inline",
+              "code": "console.log(\"Direct access on null throws error:\", e.message);"
+            },
+            {
+              "line": 141,
+              "text": "\"fallback\"",
+              "kind": "inline",
+              "code": "console.log(\"null ?? 'fallback' ->\", val1);"
+            },
+            {
+              "line": 144,
+              "text": "0 (0 is not null/undefined)",
+              "kind": "inline",
+              "code": "console.log(\"0 ?? 'fallback' ->\", val2);"
+            },
+            {
+              "line": 148,
+              "text": "\"fallback\"",
+              "kind": "inline",
+              "code": "console.log(\"0 || 'fallback' ->\", val3);"
+            },
+            {
+              "line": 152,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Object.is(null, null):\", Object.is(null, null));"
+            },
+            {
+              "line": 153,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"null === null:\", null === null);"
+            },
+            {
+              "line": 160,
+              "text": "null",
+              "kind": "inline",
+              "code": "console.log(\"objToClear after assigning null:\", objToClear);"
+            }
+          ],
+          "requires": [
+            "nullish-coalescing",
+            "optional-chaining"
+          ]
+        },
+        {
+          "id": "6-best-practices",
+          "title": "Best Practices",
+          "number": "6",
+          "heading": "6. 🔹 Best Practices",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 172,
+          "endLine": 178,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "✅ Use `null` when you want to explicitly empty or clear a variable, especially one that held an object.\n✅ Always use strict equality (`===`) when checking for `null` to avoid the confusing coercion rules of `==`.\n✅ In APIs or functions, return `null` to clearly signal \"no result was found,\" as it's a more deliberate signal than `undefined`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "✅ Use `null` when you want to explicitly empty or clear a variable, especially one that held an object.\n✅ Always use strict equality (`===`) when checking for `null` to avoid the confusing coercion rules of `==`.\n✅ In APIs or functions, return `null` to clearly signal \"no result was found,\" as it's a more deliberate signal than `undefined`.",
+              "line": 174
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "012_primitive-null-deep-dive.js",
+      "chapter": "002_PrimitiveDataType",
+      "path": "scripts/002_PrimitiveDataType/012_primitive-null-deep-dive.js",
+      "chapterTitle": "Primitives"
+    },
+    {
+      "id": "013",
+      "title": "JavaScript Learning Path: Primitive 7: Symbol",
+      "summary": "",
+      "metadata": {
+        "difficulty": "advanced",
+        "duration": "30 min",
+        "minutes": 30,
+        "prerequisites": [
+          "009"
+        ],
+        "tags": [
+          "symbol",
+          "well-known symbols",
+          "object keys"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 16,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides an in-depth exploration of the `Symbol` primitive,\nexplaining why it exists, how it works internally, and its important edge cases."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides an in-depth exploration of the `Symbol` primitive,\nexplaining why it exists, how it works internally, and its important edge cases.",
+              "line": 12
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-why-did-we-need-symbol",
+          "title": "Why did we need `Symbol`?",
+          "number": "1",
+          "heading": "1. 🔹 Why did we need `Symbol`?",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 17,
+          "endLine": 40,
+          "codeLine": 34,
+          "code": "console.log(\"--- The Uniqueness of Symbol ---\");\nconst a = Symbol(\"id\");\nconst b = Symbol(\"id\");\nconsole.log(\"Symbol('id') === Symbol('id') is\", a === b); // false ✅",
+          "prose": [
+            "Before ES6, object properties could only be strings. This created a risk of\n\"key collisions,\" where different libraries or parts of an application might\naccidentally overwrite each other's properties on a shared object.\n\n@example <caption>The Problem: Key Collisions</caption>\nconst user = { id: 1, name: \"Alice\" };\n// Library A adds a property\nuser.id = \"lib-a-identifier\";\n// Library B, unaware of Library A, overwrites it\nuser.id = 42; // 💥 Collision! Library A's data is lost.\n\n`Symbol` solves this by creating guaranteed-unique values that can be used as\nobject keys.",
+            "Even with the same description, they are unique internal values."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Before ES6, object properties could only be strings. This created a risk of\n\"key collisions,\" where different libraries or parts of an application might\naccidentally overwrite each other's properties on a shared object.\n\n@example <caption>The Problem: Key Collisions</caption>\nconst user = { id: 1, name: \"Alice\" };\n// Library A adds a property\nuser.id = \"lib-a-identifier\";\n// Library B, unaware of Library A, overwrites it\nuser.id = 42; // 💥 Collision! Library A's data is lost.\n\n`Symbol` solves this by creating guaranteed-unique values that can be used as\nobject keys.",
+              "line": 19
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- The Uniqueness of Symbol ---\");\nconst a = Symbol(\"id\");\nconst b = Symbol(\"id\");\nconsole.log(\"Symbol('id') === Symbol('id') is\", a === b); // false ✅",
+              "line": 34
+            },
+            {
+              "type": "prose",
+              "text": "Even with the same description, they are unique internal values.",
+              "line": 38
+            }
+          ],
+          "expected": [
+            {
+              "line": 37,
+              "text": "false ✅",
+              "kind": "inline",
+              "code": "console.log(\"Symbol('id') === Symbol('id') is\", a === b);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "creating-symbols",
+          "title": "Creating Symbols",
+          "number": null,
+          "heading": "2. 🔹 Creating Symbols",
+          "marker": "Creating Symbols",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 41,
+          "endLine": 51,
+          "codeLine": 47,
+          "code": "console.log(\"\\n--- Creating Symbols ---\");\nconst sym = Symbol(\"optional description\");\nconsole.log(\"A new symbol:\", sym);",
+          "prose": [
+            "A symbol is created by calling the `Symbol()` function. The string passed to it\nis an optional description used only for debugging."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "A symbol is created by calling the `Symbol()` function. The string passed to it\nis an optional description used only for debugging.",
+              "line": 43
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Creating Symbols ---\");\nconst sym = Symbol(\"optional description\");\nconsole.log(\"A new symbol:\", sym);",
+              "line": 47
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "symbols-as-object-keys",
+          "title": "Symbols as Object Keys",
+          "number": null,
+          "heading": "3. 🔹 Symbols as Object Keys",
+          "marker": "Symbols as Object Keys",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 52,
+          "endLine": 80,
+          "codeLine": 57,
+          "code": "console.log(\"\\n--- Symbols as Object Keys ---\");\nconst idKey = Symbol(\"id\");\nconst userWithSymbol = {\n  name: \"Alice\",\n  [idKey]: 123, // Using a symbol as a computed property key\n};\n\nconsole.log(\"User object with symbol key:\", userWithSymbol);\n\n// Symbol keys are ignored by most standard enumeration methods:\nconsole.log(\"Object.keys(userWithSymbol):\", Object.keys(userWithSymbol)); // [\"name\"]\nconsole.log(\"for...in loop:\");\nfor (let key in userWithSymbol) {\n  console.log(\"  -\", key); // logs only \"name\"\n}\nconsole.log(\"JSON.stringify(userWithSymbol):\", JSON.stringify(userWithSymbol)); // {\"name\":\"Alice\"}\n\n// To access symbol keys, you must use specific methods:\nconsole.log(\"Object.getOwnPropertySymbols(userWithSymbol):\", Object.getOwnPropertySymbols(userWithSymbol));\n\n// You can access the value directly if you have a reference to the symbol:\nconsole.log(\"Accessing value via symbol:\", userWithSymbol[idKey]); // 123",
+          "prose": [
+            "Symbols are primarily used as non-enumerable (\"hidden\") object keys.",
+            "Symbol keys are ignored by most standard enumeration methods:",
+            "To access symbol keys, you must use specific methods:",
+            "You can access the value directly if you have a reference to the symbol:"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Symbols are primarily used as non-enumerable (\"hidden\") object keys.",
+              "line": 54
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Symbols as Object Keys ---\");\nconst idKey = Symbol(\"id\");\nconst userWithSymbol = {\n  name: \"Alice\",\n  [idKey]: 123, // Using a symbol as a computed property key\n};\n\nconsole.log(\"User object with symbol key:\", userWithSymbol);",
+              "line": 57
+            },
+            {
+              "type": "prose",
+              "text": "Symbol keys are ignored by most standard enumeration methods:",
+              "line": 66
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Object.keys(userWithSymbol):\", Object.keys(userWithSymbol)); // [\"name\"]\nconsole.log(\"for...in loop:\");\nfor (let key in userWithSymbol) {\n  console.log(\"  -\", key); // logs only \"name\"\n}\nconsole.log(\"JSON.stringify(userWithSymbol):\", JSON.stringify(userWithSymbol)); // {\"name\":\"Alice\"}",
+              "line": 67
+            },
+            {
+              "type": "prose",
+              "text": "To access symbol keys, you must use specific methods:",
+              "line": 74
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Object.getOwnPropertySymbols(userWithSymbol):\", Object.getOwnPropertySymbols(userWithSymbol));",
+              "line": 75
+            },
+            {
+              "type": "prose",
+              "text": "You can access the value directly if you have a reference to the symbol:",
+              "line": 77
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Accessing value via symbol:\", userWithSymbol[idKey]); // 123",
+              "line": 78
+            }
+          ],
+          "expected": [
+            {
+              "line": 67,
+              "text": "[\"name\"]",
+              "kind": "inline",
+              "code": "console.log(\"Object.keys(userWithSymbol):\", Object.keys(userWithSymbol));"
+            },
+            {
+              "line": 70,
+              "text": "logs only \"name\"",
+              "kind": "inline",
+              "code": "console.log(\"  -\", key);"
+            },
+            {
+              "line": 72,
+              "text": "{\"name\":\"Alice\"}",
+              "kind": "inline",
+              "code": "console.log(\"JSON.stringify(userWithSymbol):\", JSON.stringify(userWithSymbol));"
+            },
+            {
+              "line": 78,
+              "text": "123",
+              "kind": "inline",
+              "code": "console.log(\"Accessing value via symbol:\", userWithSymbol[idKey]);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "global-symbol-registry",
+          "title": "Global Symbol Registry",
+          "number": null,
+          "heading": "4. 🔹 Global Symbol Registry",
+          "marker": "Global Symbol Registry",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 81,
+          "endLine": 98,
+          "codeLine": 92,
+          "code": "console.log(\"\\n--- Global Symbol Registry ---\");\nconst s1 = Symbol.for(\"app.id\");\nconst s2 = Symbol.for(\"app.id\");\nconsole.log(\"Symbol.for('app.id') === Symbol.for('app.id') is\", s1 === s2); // true ✅\nconsole.log(\"Symbol.keyFor(s1):\", Symbol.keyFor(s1)); // \"app.id\"",
+          "prose": [
+            "If you need to create a shared symbol that can be accessed across different\nfiles or parts of an application, use the global symbol registry.\n\n- `Symbol.for(key)`: Checks the registry for a symbol with the given key. If it\n  exists, it returns it. Otherwise, it creates a new symbol, adds it to the\n  registry, and returns it.\n- `Symbol.keyFor(symbol)`: Retrieves the key for a registered symbol."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "If you need to create a shared symbol that can be accessed across different\nfiles or parts of an application, use the global symbol registry.\n\n- `Symbol.for(key)`: Checks the registry for a symbol with the given key. If it\n  exists, it returns it. Otherwise, it creates a new symbol, adds it to the\n  registry, and returns it.\n- `Symbol.keyFor(symbol)`: Retrieves the key for a registered symbol.",
+              "line": 83
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Global Symbol Registry ---\");\nconst s1 = Symbol.for(\"app.id\");\nconst s2 = Symbol.for(\"app.id\");\nconsole.log(\"Symbol.for('app.id') === Symbol.for('app.id') is\", s1 === s2); // true ✅\nconsole.log(\"Symbol.keyFor(s1):\", Symbol.keyFor(s1)); // \"app.id\"",
+              "line": 92
+            }
+          ],
+          "expected": [
+            {
+              "line": 95,
+              "text": "true ✅",
+              "kind": "inline",
+              "code": "console.log(\"Symbol.for('app.id') === Symbol.for('app.id') is\", s1 === s2);"
+            },
+            {
+              "line": 96,
+              "text": "\"app.id\"",
+              "kind": "inline",
+              "code": "console.log(\"Symbol.keyFor(s1):\", Symbol.keyFor(s1));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "well-known-symbols",
+          "title": "Well-Known Symbols",
+          "number": null,
+          "heading": "5. 🔹 Well-Known Symbols (Meta Programming)",
+          "marker": "Well-Known Symbols",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 99,
+          "endLine": 176,
+          "codeLine": 105,
+          "code": "console.log(\"\\n--- Well-Known Symbols ---\");\n\n// a) Symbol.iterator — The \"How to Loop Me\" Hook\n// The Problem: By default, you cannot use a `for...of` loop on a plain object.\n// The `for...of` loop needs to know *how* to iterate.\n// How it Works: The loop looks for a method on the object named `[Symbol.iterator]`.\n// This method must return an \"iterator\" object, which has a `next()` method.\n// The `next()` method is called repeatedly to get each value.\nconst range = {\n  from: 1, \n  to: 3,\n  // By adding this method with a computed property name, we make the object \"iterable\".\n  [Symbol.iterator]() {   \n    let current = this.from;\n    const last = this.to;\n\n    // This method must return an iterator object.\n    return {\n      // The iterator object must have a `next()` method. `for...of` calls this.\n      next: () => ({\n        // `value` is the next item in the sequence.\n        value: current <= last ? current++ : undefined,\n        // `done` is a boolean that tells the loop when to stop.\n        done: current > last,\n      }),\n    };\n  },\n};\nconsole.log(\"Custom iterator with for...of:\");\n// Now this works, because our object has provided the instructions.\nfor (let n of range) {\n  console.log(\"  -\", n); // 1, 2, 3\n}\n\n// b) Symbol.toPrimitive — The \"How to Convert Me\" Hook\n// The Problem: By default, using an object in a math or string context results\n// in \"[object Object]\", which is not useful.\n// How it Works: When JavaScript needs to convert an object to a primitive, it\n// looks for a method named `[Symbol.toPrimitive]`. It passes a \"hint\" to this\n// method: \"string\", \"number\", or \"default\".\nconst money = {\n  value: 1000,\n  // This method gets called by the engine during type coercion.\n  [Symbol.toPrimitive](hint) {\n    console.log(`   (hint: ${hint})`);\n    // We can return different values based on the context.\n    return hint === \"string\" ? `$${this.value}` : this.value;\n  },\n};\nconsole.log(\"Custom coercion with Symbol.toPrimitive:\");\nconsole.log(\"  String context:\", String(money)); // \"$1000\"\nconsole.log(\"  Number context:\", +money); // 1000\nconsole.log(\"  Default context (addition):\", money + 500); // 1500 (hint is \"default\", falls back to number)\n\n// c) Symbol.hasInstance — The \"What is an Instance of Me?\" Hook\n// The Problem: The `instanceof` operator normally checks an object's prototype\n// chain. This is rigid.\n// How it Works: When you write `value instanceof MyClass`, the engine looks for a\n// *static* method on `MyClass` named `[Symbol.hasInstance]`. If found, it calls\n// that method with `value` and uses its boolean result, ignoring prototypes.\nclass Even {\n  // This static method hijacks the `instanceof` operator for this class.\n  static [Symbol.hasInstance](n) {\n    // Our custom logic: is `n` an even number?\n    return typeof n === \"number\" && n % 2 === 0;\n  }\n}\nconsole.log(\"Custom `instanceof` with Symbol.hasInstance:\");\nconsole.log(\"  2 instanceof Even:\", 2 instanceof Even); // true\nconsole.log(\"  3 instanceof Even:\", 3 instanceof Even); // false",
+          "prose": [
+            "JavaScript has built-in symbols that allow you to hook into and override the\ndefault behavior of objects.",
+            "a) Symbol.iterator — The \"How to Loop Me\" Hook\nThe Problem: By default, you cannot use a `for...of` loop on a plain object.\nThe `for...of` loop needs to know *how* to iterate.\nHow it Works: The loop looks for a method on the object named `[Symbol.iterator]`.\nThis method must return an \"iterator\" object, which has a `next()` method.\nThe `next()` method is called repeatedly to get each value.",
+            "By adding this method with a computed property name, we make the object \"iterable\".",
+            "This method must return an iterator object.",
+            "The iterator object must have a `next()` method. `for...of` calls this.",
+            "`value` is the next item in the sequence.",
+            "`done` is a boolean that tells the loop when to stop.",
+            "Now this works, because our object has provided the instructions.",
+            "b) Symbol.toPrimitive — The \"How to Convert Me\" Hook\nThe Problem: By default, using an object in a math or string context results\nin \"[object Object]\", which is not useful.\nHow it Works: When JavaScript needs to convert an object to a primitive, it\nlooks for a method named `[Symbol.toPrimitive]`. It passes a \"hint\" to this\nmethod: \"string\", \"number\", or \"default\".",
+            "This method gets called by the engine during type coercion.",
+            "We can return different values based on the context.",
+            "c) Symbol.hasInstance — The \"What is an Instance of Me?\" Hook\nThe Problem: The `instanceof` operator normally checks an object's prototype\nchain. This is rigid.\nHow it Works: When you write `value instanceof MyClass`, the engine looks for a\n*static* method on `MyClass` named `[Symbol.hasInstance]`. If found, it calls\nthat method with `value` and uses its boolean result, ignoring prototypes.",
+            "This static method hijacks the `instanceof` operator for this class.",
+            "Our custom logic: is `n` an even number?"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "JavaScript has built-in symbols that allow you to hook into and override the\ndefault behavior of objects.",
+              "line": 101
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Well-Known Symbols ---\");",
+              "line": 105
+            },
+            {
+              "type": "prose",
+              "text": "a) Symbol.iterator — The \"How to Loop Me\" Hook\nThe Problem: By default, you cannot use a `for...of` loop on a plain object.\nThe `for...of` loop needs to know *how* to iterate.\nHow it Works: The loop looks for a method on the object named `[Symbol.iterator]`.\nThis method must return an \"iterator\" object, which has a `next()` method.\nThe `next()` method is called repeatedly to get each value.",
+              "line": 107
+            },
+            {
+              "type": "code",
+              "text": "const range = {\n  from: 1, \n  to: 3,",
+              "line": 113
+            },
+            {
+              "type": "prose",
+              "text": "By adding this method with a computed property name, we make the object \"iterable\".",
+              "line": 116
+            },
+            {
+              "type": "code",
+              "text": "  [Symbol.iterator]() {   \n    let current = this.from;\n    const last = this.to;",
+              "line": 117
+            },
+            {
+              "type": "prose",
+              "text": "This method must return an iterator object.",
+              "line": 121
+            },
+            {
+              "type": "code",
+              "text": "    return {",
+              "line": 122
+            },
+            {
+              "type": "prose",
+              "text": "The iterator object must have a `next()` method. `for...of` calls this.",
+              "line": 123
+            },
+            {
+              "type": "code",
+              "text": "      next: () => ({",
+              "line": 124
+            },
+            {
+              "type": "prose",
+              "text": "`value` is the next item in the sequence.",
+              "line": 125
+            },
+            {
+              "type": "code",
+              "text": "        value: current <= last ? current++ : undefined,",
+              "line": 126
+            },
+            {
+              "type": "prose",
+              "text": "`done` is a boolean that tells the loop when to stop.",
+              "line": 127
+            },
+            {
+              "type": "code",
+              "text": "        done: current > last,\n      }),\n    };\n  },\n};\nconsole.log(\"Custom iterator with for...of:\");",
+              "line": 128
+            },
+            {
+              "type": "prose",
+              "text": "Now this works, because our object has provided the instructions.",
+              "line": 134
+            },
+            {
+              "type": "code",
+              "text": "for (let n of range) {\n  console.log(\"  -\", n); // 1, 2, 3\n}",
+              "line": 135
+            },
+            {
+              "type": "prose",
+              "text": "b) Symbol.toPrimitive — The \"How to Convert Me\" Hook\nThe Problem: By default, using an object in a math or string context results\nin \"[object Object]\", which is not useful.\nHow it Works: When JavaScript needs to convert an object to a primitive, it\nlooks for a method named `[Symbol.toPrimitive]`. It passes a \"hint\" to this\nmethod: \"string\", \"number\", or \"default\".",
+              "line": 139
+            },
+            {
+              "type": "code",
+              "text": "const money = {\n  value: 1000,",
+              "line": 145
+            },
+            {
+              "type": "prose",
+              "text": "This method gets called by the engine during type coercion.",
+              "line": 147
+            },
+            {
+              "type": "code",
+              "text": "  [Symbol.toPrimitive](hint) {\n    console.log(`   (hint: ${hint})`);",
+              "line": 148
+            },
+            {
+              "type": "prose",
+              "text": "We can return different values based on the context.",
+              "line": 150
+            },
+            {
+              "type": "code",
+              "text": "    return hint === \"string\" ? `$${this.value}` : this.value;\n  },\n};\nconsole.log(\"Custom coercion with Symbol.toPrimitive:\");\nconsole.log(\"  String context:\", String(money)); // \"$1000\"\nconsole.log(\"  Number context:\", +money); // 1000\nconsole.log(\"  Default context (addition):\", money + 500); // 1500 (hint is \"default\", falls back to number)",
+              "line": 151
+            },
+            {
+              "type": "prose",
+              "text": "c) Symbol.hasInstance — The \"What is an Instance of Me?\" Hook\nThe Problem: The `instanceof` operator normally checks an object's prototype\nchain. This is rigid.\nHow it Works: When you write `value instanceof MyClass`, the engine looks for a\n*static* method on `MyClass` named `[Symbol.hasInstance]`. If found, it calls\nthat method with `value` and uses its boolean result, ignoring prototypes.",
+              "line": 159
+            },
+            {
+              "type": "code",
+              "text": "class Even {",
+              "line": 165
+            },
+            {
+              "type": "prose",
+              "text": "This static method hijacks the `instanceof` operator for this class.",
+              "line": 166
+            },
+            {
+              "type": "code",
+              "text": "  static [Symbol.hasInstance](n) {",
+              "line": 167
+            },
+            {
+              "type": "prose",
+              "text": "Our custom logic: is `n` an even number?",
+              "line": 168
+            },
+            {
+              "type": "code",
+              "text": "    return typeof n === \"number\" && n % 2 === 0;\n  }\n}\nconsole.log(\"Custom `instanceof` with Symbol.hasInstance:\");\nconsole.log(\"  2 instanceof Even:\", 2 instanceof Even); // true\nconsole.log(\"  3 instanceof Even:\", 3 instanceof Even); // false",
+              "line": 169
+            }
+          ],
+          "expected": [
+            {
+              "line": 136,
+              "text": "1, 2, 3",
+              "kind": "inline",
+              "code": "console.log(\"  -\", n);"
+            },
+            {
+              "line": 155,
+              "text": "\"$1000\"",
+              "kind": "inline",
+              "code": "console.log(\"  String context:\", String(money));"
+            },
+            {
+              "line": 156,
+              "text": "1000",
+              "kind": "inline",
+              "code": "console.log(\"  Number context:\", +money);"
+            },
+            {
+              "line": 157,
+              "text": "1500 (hint is \"default\", falls back to number)",
+              "kind": "inline",
+              "code": "console.log(\"  Default context (addition):\", money + 500);"
+            },
+            {
+              "line": 173,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"  2 instanceof Even:\", 2 instanceof Even);"
+            },
+            {
+              "line": 174,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"  3 instanceof Even:\", 3 instanceof Even);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "edge-cases",
+          "title": "Edge Cases",
+          "number": null,
+          "heading": "6. 🔹 Edge Cases",
+          "marker": "Edge Cases",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 177,
+          "endLine": 199,
+          "codeLine": 181,
+          "code": "console.log(\"\\n--- Edge Cases ---\");\n\n// ❌ No constructor: `Symbol` is a factory function, not a class.\ntry {\n  new Symbol(\"id\");\n} catch (e) {\n  console.log(\"`new Symbol()` throws error:\", e.message);\n}\n\n// ❌ Cannot be implicitly converted to a string for concatenation.\ntry {\n  \"User ID: \" + Symbol(\"id\");\n} catch (e) {\n  console.log(\"Implicit string concatenation throws error:\", e.message);\n}\n// ✅ Must be converted manually.\nconsole.log(\"Explicit conversion works:\", \"User ID: \" + Symbol(\"id\").toString());",
+          "prose": [
+            "❌ No constructor: `Symbol` is a factory function, not a class.",
+            "❌ Cannot be implicitly converted to a string for concatenation.",
+            "✅ Must be converted manually."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Edge Cases ---\");",
+              "line": 181
+            },
+            {
+              "type": "prose",
+              "text": "❌ No constructor: `Symbol` is a factory function, not a class.",
+              "line": 183
+            },
+            {
+              "type": "code",
+              "text": "try {\n  new Symbol(\"id\");\n} catch (e) {\n  console.log(\"`new Symbol()` throws error:\", e.message);\n}",
+              "line": 184
+            },
+            {
+              "type": "prose",
+              "text": "❌ Cannot be implicitly converted to a string for concatenation.",
+              "line": 190
+            },
+            {
+              "type": "code",
+              "text": "try {\n  \"User ID: \" + Symbol(\"id\");\n} catch (e) {\n  console.log(\"Implicit string concatenation throws error:\", e.message);\n}",
+              "line": 191
+            },
+            {
+              "type": "prose",
+              "text": "✅ Must be converted manually.",
+              "line": 196
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Explicit conversion works:\", \"User ID: \" + Symbol(\"id\").toString());",
+              "line": 197
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "7-interview-corner-cases-recap",
+          "title": "Interview Corner Cases & Recap",
+          "number": "7",
+          "heading": "7. 🔹 Interview Corner Cases & Recap",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 200,
+          "endLine": 224,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Q1: Why not just use `_privateKey` instead of a Symbol?\nA: A string key like `_privateKey` is just a convention. It's still enumerable\n   and can be accidentally overwritten. A `Symbol` is truly unique and hidden\n   from normal iteration, preventing accidental clashes.\n\nQ2: Difference between `Symbol(\"id\")` and `Symbol.for(\"id\")`?\nA: `Symbol(\"id\")` creates a new, unique symbol every time. `Symbol.for(\"id\")`\n   checks a global registry and reuses an existing symbol if one with that\n   key is found, otherwise it creates a new one.\n\nQ3: Can Symbols be used as `WeakMap` keys?\nA: Yes. Both objects and symbols can be keys in a `WeakMap`.\n\n✅ Final Recap:\n- `Symbol` is a unique, immutable primitive type.\n- Its main use is for non-string object property keys to avoid name collisions.\n- Symbol properties are hidden from `for...in`, `Object.keys`, and `JSON.stringify`.\n- `Symbol.for()` creates shareable symbols via a global registry.\n- Well-known symbols (`Symbol.iterator`, etc.) allow for powerful meta-programming."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Q1: Why not just use `_privateKey` instead of a Symbol?\nA: A string key like `_privateKey` is just a convention. It's still enumerable\n   and can be accidentally overwritten. A `Symbol` is truly unique and hidden\n   from normal iteration, preventing accidental clashes.\n\nQ2: Difference between `Symbol(\"id\")` and `Symbol.for(\"id\")`?\nA: `Symbol(\"id\")` creates a new, unique symbol every time. `Symbol.for(\"id\")`\n   checks a global registry and reuses an existing symbol if one with that\n   key is found, otherwise it creates a new one.\n\nQ3: Can Symbols be used as `WeakMap` keys?\nA: Yes. Both objects and symbols can be keys in a `WeakMap`.\n\n✅ Final Recap:\n- `Symbol` is a unique, immutable primitive type.\n- Its main use is for non-string object property keys to avoid name collisions.\n- Symbol properties are hidden from `for...in`, `Object.keys`, and `JSON.stringify`.\n- `Symbol.for()` creates shareable symbols via a global registry.\n- Well-known symbols (`Symbol.iterator`, etc.) allow for powerful meta-programming.",
+              "line": 202
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "exercises-with-solutions",
+          "title": "Exercises with Solutions",
+          "number": null,
+          "heading": "8. 🧩 Exercises with Solutions",
+          "marker": "Exercises with Solutions",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 225,
+          "endLine": 272,
+          "codeLine": 229,
+          "code": "console.log(\"\\n--- Exercises with Solutions ---\");\n\n// Exercise 1: Object with string and symbol keys\nconsole.log(\"\\nExercise 1: Iterating over mixed keys\");\nconst nameKey = \"name\";\nconst idKeyEx1 = Symbol(\"id\");\nconst secretKey = Symbol(\"secret\");\nconst userEx1 = {\n  [nameKey]: \"Alice\",\n  age: 25,\n  [idKeyEx1]: 12345,\n  [secretKey]: \"hidden-data\",\n};\n\nconsole.log(\"  Object.keys:\", Object.keys(userEx1));\nconsole.log(\"  for...in loop keys:\");\nfor (let key in userEx1) console.log(`    - ${key}`);\nconsole.log(\"  Object.getOwnPropertySymbols:\", Object.getOwnPropertySymbols(userEx1));\nconsole.log(\"  Reflect.ownKeys (shows all):\", Reflect.ownKeys(userEx1));\n\n// Exercise 2: Custom class with well-known symbols\nconsole.log(\"\\nExercise 2: Customizing a class with symbols\");\nclass BankAccount {\n  constructor(balance) {\n    this.balance = balance;\n  }\n  // Define custom type conversion behavior\n  [Symbol.toPrimitive](hint) {\n    if (hint === \"string\") return `Balance: $${this.balance}`;\n    if (hint === \"number\") return this.balance;\n    return `Account(${this.balance})`; // default\n  }\n  // Define a custom tag for Object.prototype.toString\n  get [Symbol.toStringTag]() {\n    return \"BankAccount\";\n  }\n}\n\nconst acc = new BankAccount(1500);\nconsole.log(\"  String(acc):\", String(acc));\nconsole.log(\"  +acc:\", +acc);\nconsole.log(\"  acc + 500:\", acc + 500);\nconsole.log(\"  Object.prototype.toString.call(acc):\", Object.prototype.toString.call(acc));",
+          "prose": [
+            "Exercise 1: Object with string and symbol keys",
+            "Exercise 2: Custom class with well-known symbols",
+            "Define custom type conversion behavior",
+            "Define a custom tag for Object.prototype.toString"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Exercises with Solutions ---\");",
+              "line": 229
+            },
+            {
+              "type": "prose",
+              "text": "Exercise 1: Object with string and symbol keys",
+              "line": 231
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\nExercise 1: Iterating over mixed keys\");\nconst nameKey = \"name\";\nconst idKeyEx1 = Symbol(\"id\");\nconst secretKey = Symbol(\"secret\");\nconst userEx1 = {\n  [nameKey]: \"Alice\",\n  age: 25,\n  [idKeyEx1]: 12345,\n  [secretKey]: \"hidden-data\",\n};\n\nconsole.log(\"  Object.keys:\", Object.keys(userEx1));\nconsole.log(\"  for...in loop keys:\");\nfor (let key in userEx1) console.log(`    - ${key}`);\nconsole.log(\"  Object.getOwnPropertySymbols:\", Object.getOwnPropertySymbols(userEx1));\nconsole.log(\"  Reflect.ownKeys (shows all):\", Reflect.ownKeys(userEx1));",
+              "line": 232
+            },
+            {
+              "type": "prose",
+              "text": "Exercise 2: Custom class with well-known symbols",
+              "line": 249
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\nExercise 2: Customizing a class with symbols\");\nclass BankAccount {\n  constructor(balance) {\n    this.balance = balance;\n  }",
+              "line": 250
+            },
+            {
+              "type": "prose",
+              "text": "Define custom type conversion behavior",
+              "line": 255
+            },
+            {
+              "type": "code",
+              "text": "  [Symbol.toPrimitive](hint) {\n    if (hint === \"string\") return `Balance: $${this.balance}`;\n    if (hint === \"number\") return this.balance;\n    return `Account(${this.balance})`; // default\n  }",
+              "line": 256
+            },
+            {
+              "type": "prose",
+              "text": "Define a custom tag for Object.prototype.toString",
+              "line": 261
+            },
+            {
+              "type": "code",
+              "text": "  get [Symbol.toStringTag]() {\n    return \"BankAccount\";\n  }\n}\n\nconst acc = new BankAccount(1500);\nconsole.log(\"  String(acc):\", String(acc));\nconsole.log(\"  +acc:\", +acc);\nconsole.log(\"  acc + 500:\", acc + 500);\nconsole.log(\"  Object.prototype.toString.call(acc):\", Object.prototype.toString.call(acc));",
+              "line": 262
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "013_primitive-symbol-deep-dive.js",
+      "chapter": "002_PrimitiveDataType",
+      "path": "scripts/002_PrimitiveDataType/013_primitive-symbol-deep-dive.js",
+      "chapterTitle": "Primitives"
+    },
+    {
+      "id": "014",
+      "title": "JavaScript Learning Path: Step 1: Variables (The Real Basics)",
+      "summary": "",
+      "metadata": {
+        "difficulty": "beginner",
+        "duration": "25 min",
+        "minutes": 25,
+        "prerequisites": [
+          "001"
+        ],
+        "tags": [
+          "variables",
+          "hoisting",
+          "tdz",
+          "execution context"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 16,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a visual and structured explanation of how JavaScript\nhandles variables, focusing on the internal engine behavior."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a visual and structured explanation of how JavaScript\nhandles variables, focusing on the internal engine behavior.",
+              "line": 12
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "what-is-a-variable",
+          "title": "What is a variable?",
+          "number": null,
+          "heading": "🧠 What is a variable?",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 17,
+          "endLine": 22,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "A variable is a named storage location in memory. Think of it like a box\nwith a label: the box stores data, and the label is the variable name."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "A variable is a named storage location in memory. Think of it like a box\nwith a label: the box stores data, and the label is the variable name.",
+              "line": 19
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "how-js-creates-variables-internally",
+          "title": "How JS Creates Variables (Internally)",
+          "number": null,
+          "heading": "🔎 How JS Creates Variables (Internally)",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 23,
+          "endLine": 38,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "The JavaScript Engine (e.g., V8 in Chrome/Node) processes code in two main steps:\n\n1️⃣ Memory Creation Phase (also known as the Hoisting phase)\n   - The engine scans the code and allocates memory for all variables and functions.\n   - `var` variables: Memory is reserved and initialized with `undefined`.\n   - `let`/`const` variables: Memory is reserved, but they are placed in a\n     \"Temporal Dead Zone\" (TDZ). They exist but cannot be accessed.\n   - `function` declarations: The entire function body is stored in memory.\n\n2️⃣ Execution Phase\n   - The engine runs the code line by line, executing statements and assigning\n     values to the variables in memory."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "The JavaScript Engine (e.g., V8 in Chrome/Node) processes code in two main steps:\n\n1️⃣ Memory Creation Phase (also known as the Hoisting phase)\n   - The engine scans the code and allocates memory for all variables and functions.\n   - `var` variables: Memory is reserved and initialized with `undefined`.\n   - `let`/`const` variables: Memory is reserved, but they are placed in a\n     \"Temporal Dead Zone\" (TDZ). They exist but cannot be accessed.\n   - `function` declarations: The entire function body is stored in memory.\n\n2️⃣ Execution Phase\n   - The engine runs the code line by line, executing statements and assigning\n     values to the variables in memory.",
+              "line": 25
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "visual-representation",
+          "title": "Visual Representation",
+          "number": null,
+          "heading": "📊 Visual Representation",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 39,
+          "endLine": 63,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Consider this code:\n\n  console.log(a);\n  // console.log(b); // This would throw an error\n  // console.log(c); // This would throw an error\n  var a = 10;\n  let b = 20;\n  const c = 30;\n\n### Memory Creation Phase (before execution):\n| Variable | Where is it? | Value now                 |\n| :------- | :----------- | :------------------------ |\n| `a` (var)  | In memory    | `undefined`               |\n| `b` (let)  | In memory    | ❌ In Temporal Dead Zone  |\n| `c` (const)| In memory    | ❌ In Temporal Dead Zone  |\n\n### Execution Phase (line by line):\n1. `console.log(a);` -> Finds `a` in memory, prints its current value: `undefined`.\n2. `var a = 10;` -> Assigns the value `10` to `a`.\n3. `let b = 20;` -> Moves `b` out of the TDZ and assigns the value `20`.\n4. `const c = 30;` -> Moves `c` out of the TDZ and assigns the value `30`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Consider this code:\n\n  console.log(a);\n  // console.log(b); // This would throw an error\n  // console.log(c); // This would throw an error\n  var a = 10;\n  let b = 20;\n  const c = 30;\n\n### Memory Creation Phase (before execution):\n| Variable | Where is it? | Value now                 |\n| :------- | :----------- | :------------------------ |\n| `a` (var)  | In memory    | `undefined`               |\n| `b` (let)  | In memory    | ❌ In Temporal Dead Zone  |\n| `c` (const)| In memory    | ❌ In Temporal Dead Zone  |\n\n### Execution Phase (line by line):\n1. `console.log(a);` -> Finds `a` in memory, prints its current value: `undefined`.\n2. `var a = 10;` -> Assigns the value `10` to `a`.\n3. `let b = 20;` -> Moves `b` out of the TDZ and assigns the value `20`.\n4. `const c = 30;` -> Moves `c` out of the TDZ and assigns the value `30`.",
+              "line": 41
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "comparison-of-var-let-const",
+          "title": "Comparison of `var`, `let`, `const`",
+          "number": null,
+          "heading": "⚖️ Comparison of `var`, `let`, `const`",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 64,
+          "endLine": 78,
+          "codeLine": 76,
+          "code": "console.log(\"--- Practice Exercises (Engine-Thinking) ---\");",
+          "prose": [
+            "| Feature     | `var`          | `let`             | `const`            |\n| :---------- | :------------- | :---------------- | :----------------- |\n| Scope       | Function       | Block             | Block              |\n| Hoisting    | ✅ (`undefined`) | ✅ (TDZ)          | ✅ (TDZ)           |\n| Re-declare  | ✅             | ❌                | ❌                 |\n| Re-assign   | ✅             | ✅                | ❌                 |\n| Best Use    | ❌ Avoid       | ✅ Temporary values | ✅ Fixed references|"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "| Feature     | `var`          | `let`             | `const`            |\n| :---------- | :------------- | :---------------- | :----------------- |\n| Scope       | Function       | Block             | Block              |\n| Hoisting    | ✅ (`undefined`) | ✅ (TDZ)          | ✅ (TDZ)           |\n| Re-declare  | ✅             | ❌                | ❌                 |\n| Re-assign   | ✅             | ✅                | ❌                 |\n| Best Use    | ❌ Avoid       | ✅ Temporary values | ✅ Fixed references|",
+              "line": 66
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- Practice Exercises (Engine-Thinking) ---\");",
+              "line": 76
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "exercise-1-hoisting-basics",
+          "title": "Exercise 1: Hoisting Basics",
+          "number": null,
+          "heading": "✅ Exercise 1: Hoisting Basics",
+          "marker": "Exercise 1: Hoisting Basics",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Exercise 1",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 79,
+          "endLine": 94,
+          "codeLine": 83,
+          "code": "console.log(\"\\n--- Exercise 1: Hoisting Basics ---\");\nconsole.log(\"Value of 'a_ex1' before declaration:\", a_ex1); // undefined\nvar a_ex1 = 100;\n\ntry {\n  console.log(\"Value of 'b_ex1' before declaration:\", b_ex1);\n} catch (e) {\n  console.log(\"Error accessing 'b_ex1':\", e.message); // ReferenceError\n}\nlet b_ex1 = 200;",
+          "prose": [
+            "Hint: During memory creation, `a_ex1` is `undefined`, and `b_ex1` is in the TDZ."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Hint: During memory creation, `a_ex1` is `undefined`, and `b_ex1` is in the TDZ.",
+              "line": 81
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Exercise 1: Hoisting Basics ---\");\nconsole.log(\"Value of 'a_ex1' before declaration:\", a_ex1); // undefined\nvar a_ex1 = 100;\n\ntry {\n  console.log(\"Value of 'b_ex1' before declaration:\", b_ex1);\n} catch (e) {\n  console.log(\"Error accessing 'b_ex1':\", e.message); // ReferenceError\n}\nlet b_ex1 = 200;",
+              "line": 83
+            }
+          ],
+          "expected": [
+            {
+              "line": 84,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Value of 'a_ex1' before declaration:\", a_ex1);"
+            },
+            {
+              "line": 90,
+              "text": "ReferenceError",
+              "kind": "inline",
+              "code": "console.log(\"Error accessing 'b_ex1':\", e.message);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "exercise-2-re-declaration",
+          "title": "Exercise 2: Re-declaration",
+          "number": null,
+          "heading": "✅ Exercise 2: Re-declaration",
+          "marker": "Exercise 2: Re-declaration",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Exercise 2",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 95,
+          "endLine": 113,
+          "codeLine": 99,
+          "code": "console.log(\"\\n--- Exercise 2: Re-declaration ---\");\nvar x_ex2 = 10;\nvar x_ex2 = 20;\nconsole.log(\"Re-declaring 'var x_ex2':\", x_ex2); // 20\n\n// The following code block is commented out because it causes a SyntaxError,\n// which would prevent the entire script from running.\n/*\nlet y_ex2 = 10;\nlet y_ex2 = 20; // ❌ SyntaxError: Identifier 'y_ex2' has already been declared\nconsole.log(y_ex2);\n*/\nconsole.log(\"Re-declaring 'let y_ex2' would cause a SyntaxError.\");",
+          "prose": [
+            "Hint: `var` allows re-declaration, but `let` does not.",
+            "The following code block is commented out because it causes a SyntaxError,\nwhich would prevent the entire script from running.",
+            "let y_ex2 = 10;\nlet y_ex2 = 20; // ❌ SyntaxError: Identifier 'y_ex2' has already been declared\nconsole.log(y_ex2);"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Hint: `var` allows re-declaration, but `let` does not.",
+              "line": 97
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Exercise 2: Re-declaration ---\");\nvar x_ex2 = 10;\nvar x_ex2 = 20;\nconsole.log(\"Re-declaring 'var x_ex2':\", x_ex2); // 20",
+              "line": 99
+            },
+            {
+              "type": "prose",
+              "text": "The following code block is commented out because it causes a SyntaxError,\nwhich would prevent the entire script from running.",
+              "line": 104
+            },
+            {
+              "type": "prose",
+              "text": "let y_ex2 = 10;\nlet y_ex2 = 20; // ❌ SyntaxError: Identifier 'y_ex2' has already been declared\nconsole.log(y_ex2);",
+              "line": 106
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Re-declaring 'let y_ex2' would cause a SyntaxError.\");",
+              "line": 111
+            }
+          ],
+          "expected": [
+            {
+              "line": 102,
+              "text": "20",
+              "kind": "inline",
+              "code": "console.log(\"Re-declaring 'var x_ex2':\", x_ex2);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "exercise-3-block-scope",
+          "title": "Exercise 3: Block Scope",
+          "number": null,
+          "heading": "✅ Exercise 3: Block Scope",
+          "marker": "Exercise 3: Block Scope",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Exercise 3",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 114,
+          "endLine": 138,
+          "codeLine": 118,
+          "code": "console.log(\"\\n--- Exercise 3: Block Scope ---\");\nif (true) {\n  var p_ex3 = 1;\n  let q_ex3 = 2;\n  const r_ex3 = 3;\n}\nconsole.log(\"Value of 'p_ex3' outside block:\", p_ex3); // 1\n\ntry {\n  console.log(\"Value of 'q_ex3' outside block:\", q_ex3);\n} catch (e) {\n  console.log(\"Error accessing 'q_ex3':\", e.message); // ReferenceError\n}\n\ntry {\n  console.log(\"Value of 'r_ex3' outside block:\", r_ex3);\n} catch (e) {\n  console.log(\"Error accessing 'r_ex3':\", e.message); // ReferenceError\n}",
+          "prose": [
+            "Hint: `var` ignores block scope, while `let` and `const` respect it."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Hint: `var` ignores block scope, while `let` and `const` respect it.",
+              "line": 116
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Exercise 3: Block Scope ---\");\nif (true) {\n  var p_ex3 = 1;\n  let q_ex3 = 2;\n  const r_ex3 = 3;\n}\nconsole.log(\"Value of 'p_ex3' outside block:\", p_ex3); // 1\n\ntry {\n  console.log(\"Value of 'q_ex3' outside block:\", q_ex3);\n} catch (e) {\n  console.log(\"Error accessing 'q_ex3':\", e.message); // ReferenceError\n}\n\ntry {\n  console.log(\"Value of 'r_ex3' outside block:\", r_ex3);\n} catch (e) {\n  console.log(\"Error accessing 'r_ex3':\", e.message); // ReferenceError\n}",
+              "line": 118
+            }
+          ],
+          "expected": [
+            {
+              "line": 124,
+              "text": "1",
+              "kind": "inline",
+              "code": "console.log(\"Value of 'p_ex3' outside block:\", p_ex3);"
+            },
+            {
+              "line": 129,
+              "text": "ReferenceError",
+              "kind": "inline",
+              "code": "console.log(\"Error accessing 'q_ex3':\", e.message);"
+            },
+            {
+              "line": 135,
+              "text": "ReferenceError",
+              "kind": "inline",
+              "code": "console.log(\"Error accessing 'r_ex3':\", e.message);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "exercise-4-const-objects",
+          "title": "Exercise 4: Const Objects",
+          "number": null,
+          "heading": "✅ Exercise 4: Const Objects",
+          "marker": "Exercise 4: Const Objects",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Exercise 4",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 139,
+          "endLine": 154,
+          "codeLine": 143,
+          "code": "console.log(\"\\n--- Exercise 4: Const Objects ---\");\nconst obj_ex4 = { lang: \"JS\" };\nobj_ex4.lang = \"Python\"; // This is mutation, which is allowed.\nconsole.log(\"Mutated const object:\", obj_ex4); // { lang: \"Python\" }\n\ntry {\n  obj_ex4 = { lang: \"C++\" }; // This is re-assignment, which is not allowed.\n} catch (e) {\n  console.log(\"Error re-assigning const object:\", e.message); // TypeError\n}",
+          "prose": [
+            "Hint: `const` prevents re-assignment of the variable, not mutation of the object's properties."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Hint: `const` prevents re-assignment of the variable, not mutation of the object's properties.",
+              "line": 141
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Exercise 4: Const Objects ---\");\nconst obj_ex4 = { lang: \"JS\" };\nobj_ex4.lang = \"Python\"; // This is mutation, which is allowed.\nconsole.log(\"Mutated const object:\", obj_ex4); // { lang: \"Python\" }\n\ntry {\n  obj_ex4 = { lang: \"C++\" }; // This is re-assignment, which is not allowed.\n} catch (e) {\n  console.log(\"Error re-assigning const object:\", e.message); // TypeError\n}",
+              "line": 143
+            }
+          ],
+          "expected": [
+            {
+              "line": 146,
+              "text": "{ lang: \"Python\" }",
+              "kind": "inline",
+              "code": "console.log(\"Mutated const object:\", obj_ex4);"
+            },
+            {
+              "line": 151,
+              "text": "TypeError",
+              "kind": "inline",
+              "code": "console.log(\"Error re-assigning const object:\", e.message);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "interview-level-tricky-questions",
+          "title": "Interview-Level Tricky Questions",
+          "number": null,
+          "heading": "🎯 Interview-Level Tricky Questions",
+          "marker": "Interview-Level Tricky Questions",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 155,
+          "endLine": 160,
+          "codeLine": 158,
+          "code": "console.log(\"\\n--- Interview-Level Tricky Questions ---\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Interview-Level Tricky Questions ---\");",
+              "line": 158
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q1-tdz-trap",
+          "title": "Q1: TDZ Trap",
+          "number": null,
+          "heading": "✅ Q1. Temporal Dead Zone (TDZ) Trap",
+          "marker": "Q1: TDZ Trap",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q1",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 161,
+          "endLine": 180,
+          "codeLine": 169,
+          "code": "console.log(\"\\n--- Q1: TDZ Trap ---\");\nlet x_q1 = 10;\n{\n  try {\n    console.log(\"Accessing 'x_q1' inside block:\", x_q1);\n    let x_q1 = 20;\n  } catch (e) {\n    console.log(\"Error in TDZ trap:\", e.message); // ReferenceError\n  }\n}",
+          "prose": [
+            "Explanation: Inside the block `{}`, a new `x_q1` is declared with `let`. This\ninner `x_q1` \"shadows\" the outer `x_q1`. When `console.log(x_q1)` is called inside\nthe block, it refers to the inner `x_q1`. However, the inner `x_q1` is still in its\nTemporal Dead Zone (TDZ) because its declaration line (`let x_q1 = 20`) has not\nbeen executed yet."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Explanation: Inside the block `{}`, a new `x_q1` is declared with `let`. This\ninner `x_q1` \"shadows\" the outer `x_q1`. When `console.log(x_q1)` is called inside\nthe block, it refers to the inner `x_q1`. However, the inner `x_q1` is still in its\nTemporal Dead Zone (TDZ) because its declaration line (`let x_q1 = 20`) has not\nbeen executed yet.",
+              "line": 163
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q1: TDZ Trap ---\");\nlet x_q1 = 10;\n{\n  try {\n    console.log(\"Accessing 'x_q1' inside block:\", x_q1);\n    let x_q1 = 20;\n  } catch (e) {\n    console.log(\"Error in TDZ trap:\", e.message); // ReferenceError\n  }\n}",
+              "line": 169
+            }
+          ],
+          "expected": [
+            {
+              "line": 176,
+              "text": "ReferenceError",
+              "kind": "inline",
+              "code": "console.log(\"Error in TDZ trap:\", e.message);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q2-function-hoisting",
+          "title": "Q2: Function Hoisting",
+          "number": null,
+          "heading": "✅ Q2. Function Hoisting",
+          "marker": "Q2: Function Hoisting",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q2",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 181,
+          "endLine": 207,
+          "codeLine": 191,
+          "code": "console.log(\"\\n--- Q2: Function Hoisting ---\");\nsayHello(); // Works\n\nfunction sayHello() {\n  console.log(\"sayHello() output: Hello!\");\n}\n\ntry {\n  sayHi();\n} catch (e) {\n  console.log(\"sayHi() error:\", e.message); // TypeError: sayHi is not a function\n}\nvar sayHi = function() {\n  console.log(\"Hi!\");\n};",
+          "prose": [
+            "Explanation:\n- `function sayHello() {...}` is a function declaration. The entire function\n  is hoisted during the memory creation phase, so it can be called before it appears.\n- `var sayHi = function() {...}` is a function expression assigned to a `var`.\n  Only the variable declaration `var sayHi` is hoisted and initialized to `undefined`.\n  The function assignment happens during execution. Calling `sayHi()` before the\n  assignment line results in a TypeError because `undefined` is not a function."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Explanation:\n- `function sayHello() {...}` is a function declaration. The entire function\n  is hoisted during the memory creation phase, so it can be called before it appears.\n- `var sayHi = function() {...}` is a function expression assigned to a `var`.\n  Only the variable declaration `var sayHi` is hoisted and initialized to `undefined`.\n  The function assignment happens during execution. Calling `sayHi()` before the\n  assignment line results in a TypeError because `undefined` is not a function.",
+              "line": 183
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q2: Function Hoisting ---\");\nsayHello(); // Works\n\nfunction sayHello() {\n  console.log(\"sayHello() output: Hello!\");\n}\n\ntry {\n  sayHi();\n} catch (e) {\n  console.log(\"sayHi() error:\", e.message); // TypeError: sayHi is not a function\n}\nvar sayHi = function() {\n  console.log(\"Hi!\");\n};",
+              "line": 191
+            }
+          ],
+          "expected": [
+            {
+              "line": 201,
+              "text": "TypeError: sayHi is not a function",
+              "kind": "inline",
+              "code": "console.log(\"sayHi() error:\", e.message);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q3-weird-var-behavior-in-loops",
+          "title": "Q3: Weird `var` Behavior in Loops",
+          "number": null,
+          "heading": "✅ Q3. Weird `var` Behavior in Loops",
+          "marker": "Q3: Weird `var` Behavior in Loops",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q3",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 208,
+          "endLine": 230,
+          "codeLine": 219,
+          "code": "console.log(\"\\n--- Q3: Weird `var` Behavior in Loops ---\");\nconsole.log(\"`var` in a loop will print 3, 3, 3 after 1 second:\");\nfor (var i_q3 = 0; i_q3 < 3; i_q3++) {\n  setTimeout(() => console.log(\"var i_q3:\", i_q3), 1000);\n}\n\nconsole.log(\"\\n`let` in a loop will print 0, 1, 2 after 1 second:\");\nfor (let j_q3 = 0; j_q3 < 3; j_q3++) {\n  setTimeout(() => console.log(\"let j_q3:\", j_q3), 1100); // slightly later to not overlap logs\n}",
+          "prose": [
+            "Explanation: Because `var i` is function-scoped (or global), there is only ONE `i`\nvariable that is shared across all iterations of the loop. The `setTimeout`\ncallbacks are scheduled to run *after* the loop has completely finished. By the\ntime they execute (after ~1000ms), the loop is done and the value of the single `i`\nvariable is 3. Therefore, all three callbacks log the final value of `i`.\n\nThe fix is to use `let`, which creates a new block-scoped `i` for each\niteration of the loop. Each callback then captures its own unique `i`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Explanation: Because `var i` is function-scoped (or global), there is only ONE `i`\nvariable that is shared across all iterations of the loop. The `setTimeout`\ncallbacks are scheduled to run *after* the loop has completely finished. By the\ntime they execute (after ~1000ms), the loop is done and the value of the single `i`\nvariable is 3. Therefore, all three callbacks log the final value of `i`.\n\nThe fix is to use `let`, which creates a new block-scoped `i` for each\niteration of the loop. Each callback then captures its own unique `i`.",
+              "line": 210
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q3: Weird `var` Behavior in Loops ---\");\nconsole.log(\"`var` in a loop will print 3, 3, 3 after 1 second:\");\nfor (var i_q3 = 0; i_q3 < 3; i_q3++) {\n  setTimeout(() => console.log(\"var i_q3:\", i_q3), 1000);\n}\n\nconsole.log(\"\\n`let` in a loop will print 0, 1, 2 after 1 second:\");\nfor (let j_q3 = 0; j_q3 < 3; j_q3++) {\n  setTimeout(() => console.log(\"let j_q3:\", j_q3), 1100); // slightly later to not overlap logs\n}",
+              "line": 219
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "014_variables-hoisting-visual-guide.js",
+      "chapter": "001_VariablesInside",
+      "path": "scripts/001_VariablesInside/014_variables-hoisting-visual-guide.js",
+      "chapterTitle": "Variables"
+    },
+    {
+      "id": "015",
+      "title": "JavaScript Learning Path: Round 2 — Practice Questions",
+      "summary": "",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "40 min",
+        "minutes": 40,
+        "prerequisites": [
+          "005",
+          "014"
+        ],
+        "tags": [
+          "hoisting",
+          "tdz",
+          "closures",
+          "scope",
+          "practice"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 22,
+          "codeLine": 20,
+          "code": "console.log(\"--- Round 2 Practice Questions ---\");",
+          "prose": [
+            "This round includes trickier questions that mix var/let/const, block scope,\nTDZ, hoisting, closures, and object mutability — exactly the kind of traps\ninterviewers love.\n\nTry to predict the output for each question before checking the solutions."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This round includes trickier questions that mix var/let/const, block scope,\nTDZ, hoisting, closures, and object mutability — exactly the kind of traps\ninterviewers love.\n\nTry to predict the output for each question before checking the solutions.",
+              "line": 12
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"--- Round 2 Practice Questions ---\");",
+              "line": 20
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q1-hoisting-shadowing",
+          "title": "Q1: Hoisting + Shadowing",
+          "number": null,
+          "heading": "📝 Q1. Hoisting + Shadowing",
+          "marker": "Q1: Hoisting + Shadowing",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q1",
+          "solutionId": "q1-hoisting-shadowing-solution",
+          "solutionOf": null,
+          "startLine": 23,
+          "endLine": 37,
+          "codeLine": 28,
+          "code": "console.log(\"\\n--- Q1: Hoisting + Shadowing ---\");\nvar a_q1 = 5;\nfunction test_q1() {\n  console.log(\"Q1.1:\", a_q1);\n  var a_q1 = 10;\n  console.log(\"Q1.2:\", a_q1);\n}\ntest_q1();",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q1: Hoisting + Shadowing ---\");\nvar a_q1 = 5;\nfunction test_q1() {\n  console.log(\"Q1.1:\", a_q1);\n  var a_q1 = 10;\n  console.log(\"Q1.2:\", a_q1);\n}\ntest_q1();",
+              "line": 28
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q2-const-reassignment",
+          "title": "Q2: Const & Reassignment",
+          "number": null,
+          "heading": "📝 Q2. Const & Reassignment",
+          "marker": "Q2: Const & Reassignment",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q2",
+          "solutionId": "q2-const-reassignment-solution",
+          "solutionOf": null,
+          "startLine": 38,
+          "endLine": 54,
+          "codeLine": 43,
+          "code": "console.log(\"\\n--- Q2: Const & Reassignment ---\");\nconst arr_q2 = [1, 2, 3];\narr_q2.push(4);\nconsole.log(\"Q2.1:\", arr_q2);\ntry {\n  arr_q2 = [5, 6, 7];\n  console.log(\"Q2.2:\", arr_q2);\n} catch (e) {\n  console.log(\"Q2.2 Error:\", e.message);\n}",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q2: Const & Reassignment ---\");\nconst arr_q2 = [1, 2, 3];\narr_q2.push(4);\nconsole.log(\"Q2.1:\", arr_q2);\ntry {\n  arr_q2 = [5, 6, 7];\n  console.log(\"Q2.2:\", arr_q2);\n} catch (e) {\n  console.log(\"Q2.2 Error:\", e.message);\n}",
+              "line": 43
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q3-tdz-trick",
+          "title": "Q3: TDZ Trick",
+          "number": null,
+          "heading": "📝 Q3. TDZ Trick",
+          "marker": "Q3: TDZ Trick",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q3",
+          "solutionId": "q3-tdz-trick-solution",
+          "solutionOf": null,
+          "startLine": 55,
+          "endLine": 70,
+          "codeLine": 60,
+          "code": "console.log(\"\\n--- Q3: TDZ Trick ---\");\n{\n  try {\n    console.log(\"Q3:\", x_q3);\n    let x_q3 = 100;\n  } catch (e) {\n    console.log(\"Q3 Error:\", e.message);\n  }\n}",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q3: TDZ Trick ---\");\n{\n  try {\n    console.log(\"Q3:\", x_q3);\n    let x_q3 = 100;\n  } catch (e) {\n    console.log(\"Q3 Error:\", e.message);\n  }\n}",
+              "line": 60
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q4-global-vs-block-scope",
+          "title": "Q4: Global vs Block Scope",
+          "number": null,
+          "heading": "📝 Q4. Global vs Block Scope",
+          "marker": "Q4: Global vs Block Scope",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q4",
+          "solutionId": "q4-global-vs-block-scope-solution",
+          "solutionOf": null,
+          "startLine": 71,
+          "endLine": 86,
+          "codeLine": 76,
+          "code": "console.log(\"\\n--- Q4: Global vs Block Scope ---\");\nvar x_q4 = 1;\nlet y_q4 = 2;\n{\n  var x_q4 = 10; // This re-declares and overwrites the same global/function-scoped `x_q4`\n  let y_q4 = 20; // This is a new, block-scoped `y_q4` that shadows the outer one\n  console.log(\"Q4.1 (inside block):\", x_q4, y_q4);\n}\nconsole.log(\"Q4.2 (outside block):\", x_q4, y_q4);",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q4: Global vs Block Scope ---\");\nvar x_q4 = 1;\nlet y_q4 = 2;\n{\n  var x_q4 = 10; // This re-declares and overwrites the same global/function-scoped `x_q4`\n  let y_q4 = 20; // This is a new, block-scoped `y_q4` that shadows the outer one\n  console.log(\"Q4.1 (inside block):\", x_q4, y_q4);\n}\nconsole.log(\"Q4.2 (outside block):\", x_q4, y_q4);",
+              "line": 76
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q5-function-hoisting-with-var",
+          "title": "Q5: Function Hoisting with Var",
+          "number": null,
+          "heading": "📝 Q5. Function Hoisting with Var",
+          "marker": "Q5: Function Hoisting with Var",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q5",
+          "solutionId": "q5-function-hoisting-with-var-expression",
+          "solutionOf": null,
+          "startLine": 87,
+          "endLine": 102,
+          "codeLine": 92,
+          "code": "console.log(\"\\n--- Q5: Function Hoisting with Var ---\");\ntry {\n  sayHi_q5();\n} catch (e) {\n  console.log(\"Q5 Error:\", e.message);\n}\nvar sayHi_q5 = function() {\n  console.log(\"Hi!\");\n};",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q5: Function Hoisting with Var ---\");\ntry {\n  sayHi_q5();\n} catch (e) {\n  console.log(\"Q5 Error:\", e.message);\n}\nvar sayHi_q5 = function() {\n  console.log(\"Hi!\");\n};",
+              "line": 92
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q6-loop-trap-again-logs-after-100ms",
+          "title": "Q6: Loop Trap Again (logs after ~100ms)",
+          "number": null,
+          "heading": "📝 Q6. Loop Trap Again",
+          "marker": "Q6: Loop Trap Again (logs after ~100ms)",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q6",
+          "solutionId": "q6-loop-trap-the-classic",
+          "solutionOf": null,
+          "startLine": 103,
+          "endLine": 116,
+          "codeLine": 108,
+          "code": "console.log(\"\\n--- Q6: Loop Trap Again (logs after ~100ms) ---\");\nfor (var i_q6 = 0; i_q6 < 3; i_q6++) {\n  setTimeout(() => console.log(\"Q6 var:\", i_q6), 100);\n}",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q6: Loop Trap Again (logs after ~100ms) ---\");\nfor (var i_q6 = 0; i_q6 < 3; i_q6++) {\n  setTimeout(() => console.log(\"Q6 var:\", i_q6), 100);\n}",
+              "line": 108
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "brain-benders",
+          "title": "Brain-Benders",
+          "number": null,
+          "heading": "⚡ Round 2 (Extended) — With Brain-Benders",
+          "marker": "Brain-Benders",
+          "level": 1,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 117,
+          "endLine": 122,
+          "codeLine": 120,
+          "code": "console.log(\"\\n--- Brain-Benders ---\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Brain-Benders ---\");",
+              "line": 120
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q7-function-vs-var-hoisting-clash",
+          "title": "Q7: Function vs Var Hoisting Clash",
+          "number": null,
+          "heading": "📝 Q7. Function vs Var Hoisting Clash",
+          "marker": "Q7: Function vs Var Hoisting Clash",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q7",
+          "solutionId": "q7-function-vs-var-hoisting-clash-solution",
+          "solutionOf": null,
+          "startLine": 123,
+          "endLine": 134,
+          "codeLine": 128,
+          "code": "console.log(\"\\n--- Q7: Function vs Var Hoisting Clash ---\");\nconsole.log(\"Q7.1:\", foo_q7);\nfunction foo_q7() { return \"I am a function\"; }\nvar foo_q7 = \"I am a variable\";\nconsole.log(\"Q7.2:\", foo_q7);",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q7: Function vs Var Hoisting Clash ---\");\nconsole.log(\"Q7.1:\", foo_q7);\nfunction foo_q7() { return \"I am a function\"; }\nvar foo_q7 = \"I am a variable\";\nconsole.log(\"Q7.2:\", foo_q7);",
+              "line": 128
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q8-closure-var-let-logs-with-delays",
+          "title": "Q8: Closure + var/let (logs with delays)",
+          "number": null,
+          "heading": "📝 Q8. Closure + var/let",
+          "marker": "Q8: Closure + var/let (logs with delays)",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q8",
+          "solutionId": "q8-closure-var-let",
+          "solutionOf": null,
+          "startLine": 135,
+          "endLine": 151,
+          "codeLine": 140,
+          "code": "console.log(\"\\n--- Q8: Closure + var/let (logs with delays) ---\");\nfunction counter_q8() {\n  for (var i = 0; i < 3; i++) {\n    setTimeout(() => console.log(\"Q8 var:\", i), i * 100 + 200); // Added delay to separate from Q6\n  }\n  for (let j = 0; j < 3; j++) {\n    setTimeout(() => console.log(\"Q8 let:\", j), j * 100 + 200);\n  }\n}\ncounter_q8();",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q8: Closure + var/let (logs with delays) ---\");\nfunction counter_q8() {\n  for (var i = 0; i < 3; i++) {\n    setTimeout(() => console.log(\"Q8 var:\", i), i * 100 + 200); // Added delay to separate from Q6\n  }\n  for (let j = 0; j < 3; j++) {\n    setTimeout(() => console.log(\"Q8 let:\", j), j * 100 + 200);\n  }\n}\ncounter_q8();",
+              "line": 140
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q9-tdz-function-parameter",
+          "title": "Q9: TDZ + Function Parameter",
+          "number": null,
+          "heading": "📝 Q9. TDZ + Function Parameter",
+          "marker": "Q9: TDZ + Function Parameter",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q9",
+          "solutionId": "q9-tdz-with-default-parameters",
+          "solutionOf": null,
+          "startLine": 152,
+          "endLine": 167,
+          "codeLine": 157,
+          "code": "console.log(\"\\n--- Q9: TDZ + Function Parameter ---\");\nfunction test_q9(x = y, y = 2) {\n  console.log(x, y);\n}\ntry {\n  test_q9();\n} catch (e) {\n  console.log(\"Q9 Error:\", e.message);\n}",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q9: TDZ + Function Parameter ---\");\nfunction test_q9(x = y, y = 2) {\n  console.log(x, y);\n}\ntry {\n  test_q9();\n} catch (e) {\n  console.log(\"Q9 Error:\", e.message);\n}",
+              "line": 157
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q10-const-object-mutability",
+          "title": "Q10: const Object Mutability",
+          "number": null,
+          "heading": "📝 Q10. const Object Mutability",
+          "marker": "Q10: const Object Mutability",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q10",
+          "solutionId": "q10-const-object-object-freeze",
+          "solutionOf": null,
+          "startLine": 168,
+          "endLine": 184,
+          "codeLine": 173,
+          "code": "console.log(\"\\n--- Q10: const Object Mutability ---\");\nconst obj_q10 = { name: \"JS\" };\nobj_q10.name = \"JavaScript\";\nconsole.log(\"Q10.1:\", obj_q10);\nObject.freeze(obj_q10);\nobj_q10.name = \"ECMAScript\"; // This mutation will fail silently in non-strict mode\nconsole.log(\"Q10.2:\", obj_q10);",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q10: const Object Mutability ---\");\nconst obj_q10 = { name: \"JS\" };\nobj_q10.name = \"JavaScript\";\nconsole.log(\"Q10.1:\", obj_q10);\nObject.freeze(obj_q10);\nobj_q10.name = \"ECMAScript\"; // This mutation will fail silently in non-strict mode\nconsole.log(\"Q10.2:\", obj_q10);",
+              "line": 173
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "solutions-with-engine-level-reasoning",
+          "title": "Solutions with Engine-Level Reasoning",
+          "number": null,
+          "heading": "✅ Solutions with Engine-Level Reasoning",
+          "marker": "Solutions with Engine-Level Reasoning",
+          "level": 1,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 185,
+          "endLine": 190,
+          "codeLine": 188,
+          "code": "console.log(\"\\n--- Solutions with Engine-Level Reasoning ---\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Solutions with Engine-Level Reasoning ---\");",
+              "line": 188
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q1-hoisting-shadowing-solution",
+          "title": "Q1 — Hoisting + Shadowing",
+          "number": null,
+          "heading": "✅ Q1 — Hoisting + Shadowing",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q1",
+          "solutionId": null,
+          "solutionOf": "q1-hoisting-shadowing",
+          "startLine": 191,
+          "endLine": 212,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output:\n  Q1.1: undefined\n  Q1.2: 10\n\nReasoning:\n1. **Memory Phase (inside `test_q1`):** The declaration `var a_q1` is hoisted to the\n   top of the function's scope and initialized with `undefined`. This inner `a_q1`\n   shadows the outer `a_q1`.\n2. **Execution Phase:**\n   - `console.log(\"Q1.1:\", a_q1)` runs. It looks at the inner `a_q1`, which is currently `undefined`.\n   - `var a_q1 = 10` executes, assigning `10` to the inner `a_q1`.\n   - `console.log(\"Q1.2:\", a_q1)` runs, printing the new value `10`.\n\n**Interview Note:** An inner `var` declaration shadows an outer variable for the\nentire duration of the function scope, and it's hoisted as `undefined`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output:\n  Q1.1: undefined\n  Q1.2: 10\n\nReasoning:\n1. **Memory Phase (inside `test_q1`):** The declaration `var a_q1` is hoisted to the\n   top of the function's scope and initialized with `undefined`. This inner `a_q1`\n   shadows the outer `a_q1`.\n2. **Execution Phase:**\n   - `console.log(\"Q1.1:\", a_q1)` runs. It looks at the inner `a_q1`, which is currently `undefined`.\n   - `var a_q1 = 10` executes, assigning `10` to the inner `a_q1`.\n   - `console.log(\"Q1.2:\", a_q1)` runs, printing the new value `10`.\n\n**Interview Note:** An inner `var` declaration shadows an outer variable for the\nentire duration of the function scope, and it's hoisted as `undefined`.",
+              "line": 193
+            }
+          ],
+          "expected": [
+            {
+              "line": 193,
+              "text": "Q1.1: undefined\nQ1.2: 10",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q2-const-reassignment-solution",
+          "title": "Q2 — const & Reassignment",
+          "number": null,
+          "heading": "✅ Q2 — const & Reassignment",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q2",
+          "solutionId": null,
+          "solutionOf": "q2-const-reassignment",
+          "startLine": 213,
+          "endLine": 232,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output:\n  Q2.1: [ 1, 2, 3, 4 ]\n  Q2.2 Error: Assignment to constant variable.\n\nReasoning:\n1. `const arr_q2` creates a constant *binding* to the array.\n2. `arr_q2.push(4)` is a *mutation* of the array's contents. This is allowed because\n   the binding (the reference to the array in memory) does not change.\n3. `arr_q2 = [5, 6, 7]` is a *re-assignment*. It tries to change the binding to point\n   to a new array. This is forbidden for `const` variables and throws a `TypeError`.\n\n**Interview Note:** `const` freezes the binding (the reference), not the value itself.\nYou can mutate objects and arrays declared with `const`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output:\n  Q2.1: [ 1, 2, 3, 4 ]\n  Q2.2 Error: Assignment to constant variable.\n\nReasoning:\n1. `const arr_q2` creates a constant *binding* to the array.\n2. `arr_q2.push(4)` is a *mutation* of the array's contents. This is allowed because\n   the binding (the reference to the array in memory) does not change.\n3. `arr_q2 = [5, 6, 7]` is a *re-assignment*. It tries to change the binding to point\n   to a new array. This is forbidden for `const` variables and throws a `TypeError`.\n\n**Interview Note:** `const` freezes the binding (the reference), not the value itself.\nYou can mutate objects and arrays declared with `const`.",
+              "line": 215
+            }
+          ],
+          "expected": [
+            {
+              "line": 215,
+              "text": "Q2.1: [ 1, 2, 3, 4 ]\nQ2.2 Error: Assignment to constant variable.",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q3-tdz-trick-solution",
+          "title": "Q3 — TDZ Trick",
+          "number": null,
+          "heading": "✅ Q3 — TDZ Trick",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q3",
+          "solutionId": null,
+          "solutionOf": "q3-tdz-trick",
+          "startLine": 233,
+          "endLine": 247,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output:\n  Q3 Error: Cannot access 'x_q3' before initialization\n\nReasoning:\n1. **Memory Phase:** Inside the block, `let x_q3` is hoisted, but it is placed in the\n   Temporal Dead Zone (TDZ). It exists but is uninitialized and inaccessible.\n2. **Execution Phase:** `console.log(\"Q3:\", x_q3)` attempts to access `x_q3`. Since\n   it's still in the TDZ, a `ReferenceError` is thrown."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output:\n  Q3 Error: Cannot access 'x_q3' before initialization\n\nReasoning:\n1. **Memory Phase:** Inside the block, `let x_q3` is hoisted, but it is placed in the\n   Temporal Dead Zone (TDZ). It exists but is uninitialized and inaccessible.\n2. **Execution Phase:** `console.log(\"Q3:\", x_q3)` attempts to access `x_q3`. Since\n   it's still in the TDZ, a `ReferenceError` is thrown.",
+              "line": 235
+            }
+          ],
+          "expected": [
+            {
+              "line": 235,
+              "text": "Q3 Error: Cannot access 'x_q3' before initialization",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q4-global-vs-block-scope-solution",
+          "title": "Q4 — Global vs Block Scope",
+          "number": null,
+          "heading": "✅ Q4 — Global vs Block Scope",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q4",
+          "solutionId": null,
+          "solutionOf": "q4-global-vs-block-scope",
+          "startLine": 248,
+          "endLine": 269,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output:\n  Q4.1 (inside block): 10 20\n  Q4.2 (outside block): 10 2\n\nReasoning:\n1. `var x_q4 = 10` inside the block refers to the *same* global/function-scoped `x_q4`\n   declared outside. `var` does not respect block scope. So, the outer `x_q4` is\n   reassigned to `10`.\n2. `let y_q4 = 20` inside the block creates a *new*, separate, block-scoped variable\n   that shadows the outer `y_q4`. It only exists within the `{}`.\n3. Inside the block, we log the reassigned `x_q4` (10) and the inner `y_q4` (20).\n4. Outside the block, we log the same `x_q4` (which is now 10) and the original outer `y_q4` (2).\n\n**Interview Note:** `var` ignores block scope and can \"leak\" or overwrite variables,\nwhile `let` is strictly block-scoped."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output:\n  Q4.1 (inside block): 10 20\n  Q4.2 (outside block): 10 2\n\nReasoning:\n1. `var x_q4 = 10` inside the block refers to the *same* global/function-scoped `x_q4`\n   declared outside. `var` does not respect block scope. So, the outer `x_q4` is\n   reassigned to `10`.\n2. `let y_q4 = 20` inside the block creates a *new*, separate, block-scoped variable\n   that shadows the outer `y_q4`. It only exists within the `{}`.\n3. Inside the block, we log the reassigned `x_q4` (10) and the inner `y_q4` (20).\n4. Outside the block, we log the same `x_q4` (which is now 10) and the original outer `y_q4` (2).\n\n**Interview Note:** `var` ignores block scope and can \"leak\" or overwrite variables,\nwhile `let` is strictly block-scoped.",
+              "line": 250
+            }
+          ],
+          "expected": [
+            {
+              "line": 250,
+              "text": "Q4.1 (inside block): 10 20\nQ4.2 (outside block): 10 2",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q5-function-hoisting-with-var-expression",
+          "title": "Q5 — Function Hoisting with `var` (Expression)",
+          "number": null,
+          "heading": "✅ Q5 — Function Hoisting with `var` (Expression)",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q5",
+          "solutionId": null,
+          "solutionOf": "q5-function-hoisting-with-var",
+          "startLine": 270,
+          "endLine": 284,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output:\n  Q5 Error: sayHi_q5 is not a function\n\nReasoning:\n1. **Memory Phase:** The declaration `var sayHi_q5` is hoisted and initialized with `undefined`.\n   The function itself (the expression part) is not hoisted.\n2. **Execution Phase:** `sayHi_q5()` is called. At this moment, the value of `sayHi_q5` is\n   `undefined`. Trying to invoke `undefined` as a function throws a `TypeError`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output:\n  Q5 Error: sayHi_q5 is not a function\n\nReasoning:\n1. **Memory Phase:** The declaration `var sayHi_q5` is hoisted and initialized with `undefined`.\n   The function itself (the expression part) is not hoisted.\n2. **Execution Phase:** `sayHi_q5()` is called. At this moment, the value of `sayHi_q5` is\n   `undefined`. Trying to invoke `undefined` as a function throws a `TypeError`.",
+              "line": 272
+            }
+          ],
+          "expected": [
+            {
+              "line": 272,
+              "text": "Q5 Error: sayHi_q5 is not a function",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q6-loop-trap-the-classic",
+          "title": "Q6 — Loop Trap (The Classic)",
+          "number": null,
+          "heading": "✅ Q6 — Loop Trap (The Classic)",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q6",
+          "solutionId": null,
+          "solutionOf": "q6-loop-trap-again-logs-after-100ms",
+          "startLine": 285,
+          "endLine": 302,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output (after ~100ms):\n  Q6 var: 3\n  Q6 var: 3\n  Q6 var: 3\n\nReasoning:\n1. The `var i_q6` is function-scoped, so there is only one `i_q6` variable shared by\n   all loop iterations and the `setTimeout` callbacks.\n2. The loop runs to completion first. After it finishes, the value of `i_q6` is `3`.\n3. The `setTimeout` callbacks execute *after* the loop is done. When they finally run,\n   they all reference the same `i_q6` variable, which holds the final value of `3`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output (after ~100ms):\n  Q6 var: 3\n  Q6 var: 3\n  Q6 var: 3\n\nReasoning:\n1. The `var i_q6` is function-scoped, so there is only one `i_q6` variable shared by\n   all loop iterations and the `setTimeout` callbacks.\n2. The loop runs to completion first. After it finishes, the value of `i_q6` is `3`.\n3. The `setTimeout` callbacks execute *after* the loop is done. When they finally run,\n   they all reference the same `i_q6` variable, which holds the final value of `3`.",
+              "line": 287
+            }
+          ],
+          "expected": [
+            {
+              "line": 287,
+              "text": "Q6 var: 3\nQ6 var: 3\nQ6 var: 3",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q7-function-vs-var-hoisting-clash-solution",
+          "title": "Q7 — Function vs `var` Hoisting Clash",
+          "number": null,
+          "heading": "✅ Q7 — Function vs `var` Hoisting Clash",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q7",
+          "solutionId": null,
+          "solutionOf": "q7-function-vs-var-hoisting-clash",
+          "startLine": 303,
+          "endLine": 325,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output:\n  Q7.1: ƒ foo_q7() { return \"I am a function\"; }\n  Q7.2: I am a variable\n\nReasoning:\n1. **Memory Phase:** Both the function declaration `foo_q7` and the variable declaration\n   `var foo_q7` are hoisted. Function declarations have higher precedence than `var`\n   declarations. Therefore, `foo_q7` is initialized with the function body.\n2. **Execution Phase:**\n   - The first `console.log` prints the value of `foo_q7`, which is the function.\n   - The line `var foo_q7 = \"I am a variable\"` executes, re-assigning the `foo_q7`\n     variable to the string value.\n   - The second `console.log` prints the new string value.\n\n**Interview Note:** Function declarations are hoisted completely and take precedence over\n`var` declarations during the memory creation phase."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output:\n  Q7.1: ƒ foo_q7() { return \"I am a function\"; }\n  Q7.2: I am a variable\n\nReasoning:\n1. **Memory Phase:** Both the function declaration `foo_q7` and the variable declaration\n   `var foo_q7` are hoisted. Function declarations have higher precedence than `var`\n   declarations. Therefore, `foo_q7` is initialized with the function body.\n2. **Execution Phase:**\n   - The first `console.log` prints the value of `foo_q7`, which is the function.\n   - The line `var foo_q7 = \"I am a variable\"` executes, re-assigning the `foo_q7`\n     variable to the string value.\n   - The second `console.log` prints the new string value.\n\n**Interview Note:** Function declarations are hoisted completely and take precedence over\n`var` declarations during the memory creation phase.",
+              "line": 305
+            }
+          ],
+          "expected": [
+            {
+              "line": 305,
+              "text": "Q7.1: ƒ foo_q7() { return \"I am a function\"; }\nQ7.2: I am a variable",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q8-closure-var-let",
+          "title": "Q8 — Closure + `var`/`let`",
+          "number": null,
+          "heading": "✅ Q8 — Closure + `var`/`let`",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q8",
+          "solutionId": null,
+          "solutionOf": "q8-closure-var-let-logs-with-delays",
+          "startLine": 326,
+          "endLine": 348,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output (with delays):\n  Q8 var: 3\n  Q8 let: 0\n  Q8 var: 3\n  Q8 let: 1\n  Q8 var: 3\n  Q8 let: 2\n\nReasoning:\n- **`var` loop:** As in Q6, all three `setTimeout` callbacks close over the *same* `i`\n  variable. When they execute, `i` is `3`.\n- **`let` loop:** A new block-scoped `j` is created for *each* iteration. The first\n  callback captures `j=0`, the second captures `j=1`, and the third captures `j=2`.\n- **Scheduling:** The timers are scheduled in order. The `i=0` and `j=0` timers are both\n  set for ~0ms delay from when they are scheduled. They will likely fire in the order\n  they were added to the event queue."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output (with delays):\n  Q8 var: 3\n  Q8 let: 0\n  Q8 var: 3\n  Q8 let: 1\n  Q8 var: 3\n  Q8 let: 2\n\nReasoning:\n- **`var` loop:** As in Q6, all three `setTimeout` callbacks close over the *same* `i`\n  variable. When they execute, `i` is `3`.\n- **`let` loop:** A new block-scoped `j` is created for *each* iteration. The first\n  callback captures `j=0`, the second captures `j=1`, and the third captures `j=2`.\n- **Scheduling:** The timers are scheduled in order. The `i=0` and `j=0` timers are both\n  set for ~0ms delay from when they are scheduled. They will likely fire in the order\n  they were added to the event queue.",
+              "line": 328
+            }
+          ],
+          "expected": [
+            {
+              "line": 328,
+              "text": "Q8 var: 3\nQ8 let: 0\nQ8 var: 3\nQ8 let: 1\nQ8 var: 3\nQ8 let: 2",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q9-tdz-with-default-parameters",
+          "title": "Q9 — TDZ with Default Parameters",
+          "number": null,
+          "heading": "✅ Q9 — TDZ with Default Parameters",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q9",
+          "solutionId": null,
+          "solutionOf": "q9-tdz-function-parameter",
+          "startLine": 349,
+          "endLine": 369,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output:\n  Q9 Error: Cannot access 'y' before initialization\n\nReasoning:\nFunction parameters have their own scope and are evaluated from left to right.\n1. The engine tries to determine the value for the first parameter, `x`.\n2. Its default value is `y`.\n3. At this moment, the engine is still in the process of initializing the parameters.\n   The `y` parameter has been declared in the parameter scope but has not yet been\n   initialized (its turn comes next). It is in its TDZ.\n4. Accessing `y` while it's in the TDZ throws a `ReferenceError`.\n\n**Interview Note:** Default parameters are not all initialized at once; they follow a\nleft-to-right evaluation order, and the TDZ applies within that scope."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output:\n  Q9 Error: Cannot access 'y' before initialization\n\nReasoning:\nFunction parameters have their own scope and are evaluated from left to right.\n1. The engine tries to determine the value for the first parameter, `x`.\n2. Its default value is `y`.\n3. At this moment, the engine is still in the process of initializing the parameters.\n   The `y` parameter has been declared in the parameter scope but has not yet been\n   initialized (its turn comes next). It is in its TDZ.\n4. Accessing `y` while it's in the TDZ throws a `ReferenceError`.\n\n**Interview Note:** Default parameters are not all initialized at once; they follow a\nleft-to-right evaluation order, and the TDZ applies within that scope.",
+              "line": 351
+            }
+          ],
+          "expected": [
+            {
+              "line": 351,
+              "text": "Q9 Error: Cannot access 'y' before initialization",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "q10-const-object-object-freeze",
+          "title": "Q10 — `const` object + `Object.freeze`",
+          "number": null,
+          "heading": "✅ Q10 — `const` object + `Object.freeze`",
+          "marker": null,
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q10",
+          "solutionId": null,
+          "solutionOf": "q10-const-object-mutability",
+          "startLine": 370,
+          "endLine": 388,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Output:\n  Q10.1: { name: 'JavaScript' }\n  Q10.2: { name: 'JavaScript' }\n\nReasoning:\n1. `obj_q10.name = \"JavaScript\"` is a valid mutation and works as expected.\n2. `Object.freeze(obj_q10)` makes the properties of the object non-writable and\n   non-configurable. It \"freezes\" the object's current state.\n3. `obj_q10.name = \"ECMAScript\"` is an attempt to write to a non-writable property.\n   - In non-strict mode (the default for most browser consoles and scripts), this\n     assignment fails silently. The value does not change.\n   - In strict mode (`'use strict';`), this would throw a `TypeError`.\n\n**Interview Note:** `Object.freeze()` provides shallow immutability. If the object\ncontained other nested objects, those nested objects would still be mutable."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Output:\n  Q10.1: { name: 'JavaScript' }\n  Q10.2: { name: 'JavaScript' }\n\nReasoning:\n1. `obj_q10.name = \"JavaScript\"` is a valid mutation and works as expected.\n2. `Object.freeze(obj_q10)` makes the properties of the object non-writable and\n   non-configurable. It \"freezes\" the object's current state.\n3. `obj_q10.name = \"ECMAScript\"` is an attempt to write to a non-writable property.\n   - In non-strict mode (the default for most browser consoles and scripts), this\n     assignment fails silently. The value does not change.\n   - In strict mode (`'use strict';`), this would throw a `TypeError`.\n\n**Interview Note:** `Object.freeze()` provides shallow immutability. If the object\ncontained other nested objects, those nested objects would still be mutable.",
+              "line": 372
+            }
+          ],
+          "expected": [
+            {
+              "line": 372,
+              "text": "Q10.1: { name: 'JavaScript' }\nQ10.2: { name: 'JavaScript' }",
+              "kind": "block"
+            }
+          ],
+          "requires": []
+        }
+      ],
+      "fileName": "015_variables-practice-round-2.js",
+      "chapter": "001_VariablesInside",
+      "path": "scripts/001_VariablesInside/015_variables-practice-round-2.js",
+      "chapterTitle": "Variables"
+    },
+    {
+      "id": "016",
+      "title": "JavaScript Learning Path: Type Conversion & Operators Deep Dive",
+      "summary": "",
+      "metadata": {
+        "difficulty": "advanced",
+        "duration": "30 min",
+        "minutes": 30,
+        "prerequisites": [
+          "006",
+          "007",
+          "008",
+          "009",
+          "010",
+          "011",
+          "012",
+          "013"
+        ],
+        "tags": [
+          "coercion",
+          "equality",
+          "operators",
+          "toprimitive"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 10,
+          "endLine": 18,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "This document provides a deep dive into JavaScript's type conversion rules\n(coercion) and how they affect the behavior of arithmetic and comparison\noperators. Understanding this \"hidden machinery\" is crucial for mastering\nJavaScript and acing technical interviews."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "This document provides a deep dive into JavaScript's type conversion rules\n(coercion) and how they affect the behavior of arithmetic and comparison\noperators. Understanding this \"hidden machinery\" is crucial for mastering\nJavaScript and acing technical interviews.",
+              "line": 12
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "the-hidden-machinery-of-type-conversion",
+          "title": "The Hidden Machinery of Type Conversion",
+          "number": null,
+          "heading": "🔹 The Hidden Machinery of Type Conversion",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 19,
+          "endLine": 66,
+          "codeLine": 62,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"🔥 JavaScript Learning Path: Type Conversion & Operators Deep Dive\");\nconsole.log(\"=============================================================================\");",
+          "prose": [
+            "JavaScript has two kinds of type conversions:\n1. **Explicit Conversion (Type Casting):** When you manually convert a type.\n   - e.g., `Number(\"42\")`, `String(123)`\n2. **Implicit Conversion (Type Coercion):** When the JS engine automatically\n   converts types, usually during operations.\n   - e.g., `\"5\" - 2`, `if ([]) { ... }`\n\n--- Core Conversion Paths ---\n\n(A) **ToPrimitive Conversion (for Objects)**\nWhen an object needs to become a primitive, the engine follows these steps:\n1. Call `obj.valueOf()`. If it returns a primitive, use it.\n2. If not, call `obj.toString()`. If it returns a primitive, use it.\n3. If still not a primitive, throw a `TypeError`.\n(Note: `Date` objects are an exception and try `toString()` first for some operations).\n\n(B) **String Conversion (ToString)**\n- `null` -> `\"null\"`\n- `undefined` -> `\"undefined\"`\n- `[]` -> `\"\"`\n- `[1,2]` -> `\"1,2\"`\n- `{}` -> `\"[object Object]\"`\n\n(C) **Number Conversion (ToNumber)**\n- `null` -> `0`\n- `undefined` -> `NaN`\n- `\"\"` -> `0`\n- `\"123\"` -> `123`\n- `\"abc\"` -> `NaN`\n- `[]` -> `0` (because `[].toString()` is `\"\"`, and `Number(\"\")` is `0`)\n- `[1]` -> `1`\n- `[1,2]` -> `NaN`\n- `{}` -> `NaN`\n\n(D) **Boolean Conversion (ToBoolean)**\nOnly 7 values are \"falsy\". Everything else is \"truthy\".\nFalsy values: `false`, `0`, `-0`, `0n`, `\"\"`, `null`, `undefined`, `NaN`.\nTruthy values: `{}`, `[]`, `\"0\"`, `\"false\"`, `function(){}`, etc."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "JavaScript has two kinds of type conversions:\n1. **Explicit Conversion (Type Casting):** When you manually convert a type.\n   - e.g., `Number(\"42\")`, `String(123)`\n2. **Implicit Conversion (Type Coercion):** When the JS engine automatically\n   converts types, usually during operations.\n   - e.g., `\"5\" - 2`, `if ([]) { ... }`\n\n--- Core Conversion Paths ---\n\n(A) **ToPrimitive Conversion (for Objects)**\nWhen an object needs to become a primitive, the engine follows these steps:\n1. Call `obj.valueOf()`. If it returns a primitive, use it.\n2. If not, call `obj.toString()`. If it returns a primitive, use it.\n3. If still not a primitive, throw a `TypeError`.\n(Note: `Date` objects are an exception and try `toString()` first for some operations).\n\n(B) **String Conversion (ToString)**\n- `null` -> `\"null\"`\n- `undefined` -> `\"undefined\"`\n- `[]` -> `\"\"`\n- `[1,2]` -> `\"1,2\"`\n- `{}` -> `\"[object Object]\"`\n\n(C) **Number Conversion (ToNumber)**\n- `null` -> `0`\n- `undefined` -> `NaN`\n- `\"\"` -> `0`\n- `\"123\"` -> `123`\n- `\"abc\"` -> `NaN`\n- `[]` -> `0` (because `[].toString()` is `\"\"`, and `Number(\"\")` is `0`)\n- `[1]` -> `1`\n- `[1,2]` -> `NaN`\n- `{}` -> `NaN`\n\n(D) **Boolean Conversion (ToBoolean)**\nOnly 7 values are \"falsy\". Everything else is \"truthy\".\nFalsy values: `false`, `0`, `-0`, `0n`, `\"\"`, `null`, `undefined`, `NaN`.\nTruthy values: `{}`, `[]`, `\"0\"`, `\"false\"`, `function(){}`, etc.",
+              "line": 21
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"🔥 JavaScript Learning Path: Type Conversion & Operators Deep Dive\");\nconsole.log(\"=============================================================================\");",
+              "line": 62
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "arithmetic-operators",
+          "title": "Arithmetic Operators",
+          "number": null,
+          "heading": "🧮 Deep Dive: Arithmetic Operators",
+          "marker": "Arithmetic Operators",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 67,
+          "endLine": 93,
+          "codeLine": 69,
+          "code": "console.log(\"\\n--- Arithmetic Operators ---\");\n\n// --- 1. The `+` Operator (Addition / Concatenation) ---\n// If either operand is a string (or becomes one), it's concatenation.\nconsole.log('1 + \"2\" ->', 1 + \"2\"); // \"12\"\nconsole.log(\"[] + 1 ->\", [] + 1); // \"1\" (since [] becomes \"\")\nconsole.log(\"[] + {} ->\", [] + {}); // \"[object Object]\" (since [] -> \"\" and {} -> \"[object Object]\")\n// Otherwise, it's numeric addition.\nconsole.log(\"true + true ->\", true + true); // 2 (since true -> 1)\nconsole.log(\"null + 5 ->\", null + 5); // 5 (since null -> 0)\n\n// --- 2. Other Arithmetic Operators (-, *, /, %, **) ---\n// These always coerce operands to numbers.\nconsole.log('\"5\" - 2 ->', \"5\" - 2); // 3\nconsole.log('\"5\" * \"2\" ->', \"5\" * \"2\"); // 10\nconsole.log(\"[] - 1 ->\", [] - 1); // -1 (since [] -> \"\" -> 0)\nconsole.log(\"{} - 1 ->\", {} - 1); // NaN (since {} -> \"[object Object]\" -> NaN)\n\n// --- 3. Remainder `%` vs. Modulo ---\n// The sign of the result matches the sign of the first operand (the dividend).\nconsole.log(\"5 % 2 ->\", 5 % 2);   // 1\nconsole.log(\"-5 % 2 ->\", -5 % 2); // -1 (not 1, as in true modulo)\nconsole.log(\"5 % -2 ->\", 5 % -2); // 1",
+          "prose": [
+            "--- 1. The `+` Operator (Addition / Concatenation) ---\nIf either operand is a string (or becomes one), it's concatenation.",
+            "Otherwise, it's numeric addition.",
+            "--- 2. Other Arithmetic Operators (-, *, /, %, **) ---\nThese always coerce operands to numbers.",
+            "--- 3. Remainder `%` vs. Modulo ---\nThe sign of the result matches the sign of the first operand (the dividend)."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Arithmetic Operators ---\");",
+              "line": 69
+            },
+            {
+              "type": "prose",
+              "text": "--- 1. The `+` Operator (Addition / Concatenation) ---\nIf either operand is a string (or becomes one), it's concatenation.",
+              "line": 71
+            },
+            {
+              "type": "code",
+              "text": "console.log('1 + \"2\" ->', 1 + \"2\"); // \"12\"\nconsole.log(\"[] + 1 ->\", [] + 1); // \"1\" (since [] becomes \"\")\nconsole.log(\"[] + {} ->\", [] + {}); // \"[object Object]\" (since [] -> \"\" and {} -> \"[object Object]\")",
+              "line": 73
+            },
+            {
+              "type": "prose",
+              "text": "Otherwise, it's numeric addition.",
+              "line": 76
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"true + true ->\", true + true); // 2 (since true -> 1)\nconsole.log(\"null + 5 ->\", null + 5); // 5 (since null -> 0)",
+              "line": 77
+            },
+            {
+              "type": "prose",
+              "text": "--- 2. Other Arithmetic Operators (-, *, /, %, **) ---\nThese always coerce operands to numbers.",
+              "line": 80
+            },
+            {
+              "type": "code",
+              "text": "console.log('\"5\" - 2 ->', \"5\" - 2); // 3\nconsole.log('\"5\" * \"2\" ->', \"5\" * \"2\"); // 10\nconsole.log(\"[] - 1 ->\", [] - 1); // -1 (since [] -> \"\" -> 0)\nconsole.log(\"{} - 1 ->\", {} - 1); // NaN (since {} -> \"[object Object]\" -> NaN)",
+              "line": 82
+            },
+            {
+              "type": "prose",
+              "text": "--- 3. Remainder `%` vs. Modulo ---\nThe sign of the result matches the sign of the first operand (the dividend).",
+              "line": 87
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"5 % 2 ->\", 5 % 2);   // 1\nconsole.log(\"-5 % 2 ->\", -5 % 2); // -1 (not 1, as in true modulo)\nconsole.log(\"5 % -2 ->\", 5 % -2); // 1",
+              "line": 89
+            }
+          ],
+          "expected": [
+            {
+              "line": 73,
+              "text": "\"12\"",
+              "kind": "inline",
+              "code": "console.log('1 + \"2\" ->', 1 + \"2\");"
+            },
+            {
+              "line": 74,
+              "text": "\"1\" (since [] becomes \"\")",
+              "kind": "inline",
+              "code": "console.log(\"[] + 1 ->\", [] + 1);"
+            },
+            {
+              "line": 75,
+              "text": "\"[object Object]\" (since [] -> \"\" and {} -> \"[object Object]\")",
+              "kind": "inline",
+              "code": "console.log(\"[] + {} ->\", [] + {});"
+            },
+            {
+              "line": 77,
+              "text": "2 (since true -> 1)",
+              "kind": "inline",
+              "code": "console.log(\"true + true ->\", true + true);"
+            },
+            {
+              "line": 78,
+              "text": "5 (since null -> 0)",
+              "kind": "inline",
+              "code": "console.log(\"null + 5 ->\", null + 5);"
+            },
+            {
+              "line": 82,
+              "text": "3",
+              "kind": "inline",
+              "code": "console.log('\"5\" - 2 ->', \"5\" - 2);"
+            },
+            {
+              "line": 83,
+              "text": "10",
+              "kind": "inline",
+              "code": "console.log('\"5\" * \"2\" ->', \"5\" * \"2\");"
+            },
+            {
+              "line": 84,
+              "text": "-1 (since [] -> \"\" -> 0)",
+              "kind": "inline",
+              "code": "console.log(\"[] - 1 ->\", [] - 1);"
+            },
+            {
+              "line": 85,
+              "text": "NaN (since {} -> \"[object Object]\" -> NaN)",
+              "kind": "inline",
+              "code": "console.log(\"{} - 1 ->\", {} - 1);"
+            },
+            {
+              "line": 89,
+              "text": "1",
+              "kind": "inline",
+              "code": "console.log(\"5 % 2 ->\", 5 % 2);"
+            },
+            {
+              "line": 90,
+              "text": "-1 (not 1, as in true modulo)",
+              "kind": "inline",
+              "code": "console.log(\"-5 % 2 ->\", -5 % 2);"
+            },
+            {
+              "line": 91,
+              "text": "1",
+              "kind": "inline",
+              "code": "console.log(\"5 % -2 ->\", 5 % -2);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "arithmetic-brain-benders-with-solutions",
+          "title": "Arithmetic Brain-Benders with Solutions",
+          "number": null,
+          "heading": "🧠 Arithmetic Brain-Benders with Solutions",
+          "marker": "Arithmetic Brain-Benders with Solutions",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 94,
+          "endLine": 128,
+          "codeLine": 96,
+          "code": "console.log(\"\\n--- Arithmetic Brain-Benders with Solutions ---\");\n\n// Q1: `{} + []` vs `[] + {}`\nconsole.log(\"Q1.1: [] + {} ->\", [] + {}); // \"[object Object]\"\n// Reasoning: `[]` becomes `\"\"`. `{}` becomes `\"[object Object]\"`. Concatenation gives `\"[object Object]\"`.\n\nconsole.log(\"Q1.2: {} + [] ->\", ({} + [])); // In browsers, this often logs 0. In Node.js, it's \"[object Object]\".\n// Reasoning: This is a famous parsing quirk. At the start of a line, `{}` is parsed as an empty code block, not an object literal.\n// The statement is interpreted as `+[]`, which coerces `[]` to a number (`[]` -> `\"\"` -> `0`).\n// Wrapping it in parentheses `({} + [])` forces it to be treated as an expression, yielding \"[object Object]\".\n\n// Q2: Floating Point Precision\nconsole.log(\"Q2.1: 0.1 + 0.2 === 0.3 ->\", 0.1 + 0.2 === 0.3); // false\nconsole.log(\"Q2.2: 0.1 + 0.2 ->\", 0.1 + 0.2); // 0.30000000000000004\n// Reasoning: Binary floating-point representation cannot store 0.1 or 0.2 perfectly, leading to rounding errors.\n\n// Q3: Safe Integer Limit\nconsole.log(\"Q3: 9999999999999999 ->\", 9999999999999999); // 10000000000000000\n// Reasoning: The number is larger than `Number.MAX_SAFE_INTEGER` and loses precision, getting rounded.\n\n// Q4: Distinguishing -0 and 0\nconsole.log(\"Q4.1: -0 === 0 ->\", -0 === 0); // true\nconsole.log(\"Q4.2: Object.is(-0, 0) ->\", Object.is(-0, 0)); // false\nconsole.log(\"Q4.3: 1 / -0 ->\", 1 / -0); // -Infinity\n// Reasoning: `===` treats them as equal. `Object.is` and division can distinguish them.\n\n// Q5: Coercion in Loops\n// for (let i = 0; i < \"1000\"; i++) {}\nconsole.log(\"Q5: The string '1000' in a loop condition is coerced to a number on every iteration, causing a minor performance cost.\");\nconst limit = 1000;",
+          "prose": [
+            "Q1: `{} + []` vs `[] + {}`",
+            "Reasoning: `[]` becomes `\"\"`. `{}` becomes `\"[object Object]\"`. Concatenation gives `\"[object Object]\"`.",
+            "Reasoning: This is a famous parsing quirk. At the start of a line, `{}` is parsed as an empty code block, not an object literal.\nThe statement is interpreted as `+[]`, which coerces `[]` to a number (`[]` -> `\"\"` -> `0`).\nWrapping it in parentheses `({} + [])` forces it to be treated as an expression, yielding \"[object Object]\".",
+            "Q2: Floating Point Precision",
+            "Reasoning: Binary floating-point representation cannot store 0.1 or 0.2 perfectly, leading to rounding errors.",
+            "Q3: Safe Integer Limit",
+            "Reasoning: The number is larger than `Number.MAX_SAFE_INTEGER` and loses precision, getting rounded.",
+            "Q4: Distinguishing -0 and 0",
+            "Reasoning: `===` treats them as equal. `Object.is` and division can distinguish them.",
+            "Q5: Coercion in Loops\nfor (let i = 0; i < \"1000\"; i++) {}",
+            "for (let i = 0; i < limit; i++) {} // Optimized version"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Arithmetic Brain-Benders with Solutions ---\");",
+              "line": 96
+            },
+            {
+              "type": "prose",
+              "text": "Q1: `{} + []` vs `[] + {}`",
+              "line": 98
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q1.1: [] + {} ->\", [] + {}); // \"[object Object]\"",
+              "line": 99
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: `[]` becomes `\"\"`. `{}` becomes `\"[object Object]\"`. Concatenation gives `\"[object Object]\"`.",
+              "line": 100
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q1.2: {} + [] ->\", ({} + [])); // In browsers, this often logs 0. In Node.js, it's \"[object Object]\".",
+              "line": 102
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: This is a famous parsing quirk. At the start of a line, `{}` is parsed as an empty code block, not an object literal.\nThe statement is interpreted as `+[]`, which coerces `[]` to a number (`[]` -> `\"\"` -> `0`).\nWrapping it in parentheses `({} + [])` forces it to be treated as an expression, yielding \"[object Object]\".",
+              "line": 103
+            },
+            {
+              "type": "prose",
+              "text": "Q2: Floating Point Precision",
+              "line": 107
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q2.1: 0.1 + 0.2 === 0.3 ->\", 0.1 + 0.2 === 0.3); // false\nconsole.log(\"Q2.2: 0.1 + 0.2 ->\", 0.1 + 0.2); // 0.30000000000000004",
+              "line": 108
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: Binary floating-point representation cannot store 0.1 or 0.2 perfectly, leading to rounding errors.",
+              "line": 110
+            },
+            {
+              "type": "prose",
+              "text": "Q3: Safe Integer Limit",
+              "line": 112
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q3: 9999999999999999 ->\", 9999999999999999); // 10000000000000000",
+              "line": 113
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: The number is larger than `Number.MAX_SAFE_INTEGER` and loses precision, getting rounded.",
+              "line": 114
+            },
+            {
+              "type": "prose",
+              "text": "Q4: Distinguishing -0 and 0",
+              "line": 116
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q4.1: -0 === 0 ->\", -0 === 0); // true\nconsole.log(\"Q4.2: Object.is(-0, 0) ->\", Object.is(-0, 0)); // false\nconsole.log(\"Q4.3: 1 / -0 ->\", 1 / -0); // -Infinity",
+              "line": 117
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: `===` treats them as equal. `Object.is` and division can distinguish them.",
+              "line": 120
+            },
+            {
+              "type": "prose",
+              "text": "Q5: Coercion in Loops\nfor (let i = 0; i < \"1000\"; i++) {}",
+              "line": 122
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q5: The string '1000' in a loop condition is coerced to a number on every iteration, causing a minor performance cost.\");\nconst limit = 1000;",
+              "line": 124
+            },
+            {
+              "type": "prose",
+              "text": "for (let i = 0; i < limit; i++) {} // Optimized version",
+              "line": 126
+            }
+          ],
+          "expected": [
+            {
+              "line": 99,
+              "text": "\"[object Object]\"",
+              "kind": "inline",
+              "code": "console.log(\"Q1.1: [] + {} ->\", [] + {});"
+            },
+            {
+              "line": 102,
+              "text": "In browsers, this often logs 0. In Node.js, it's \"[object Object]\".",
+              "kind": "inline",
+              "code": "console.log(\"Q1.2: {} + [] ->\", ({} + []));"
+            },
+            {
+              "line": 108,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"Q2.1: 0.1 + 0.2 === 0.3 ->\", 0.1 + 0.2 === 0.3);"
+            },
+            {
+              "line": 109,
+              "text": "0.30000000000000004",
+              "kind": "inline",
+              "code": "console.log(\"Q2.2: 0.1 + 0.2 ->\", 0.1 + 0.2);"
+            },
+            {
+              "line": 113,
+              "text": "10000000000000000",
+              "kind": "inline",
+              "code": "console.log(\"Q3: 9999999999999999 ->\", 9999999999999999);"
+            },
+            {
+              "line": 117,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Q4.1: -0 === 0 ->\", -0 === 0);"
+            },
+            {
+              "line": 118,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"Q4.2: Object.is(-0, 0) ->\", Object.is(-0, 0));"
+            },
+            {
+              "line": 119,
+              "text": "-Infinity",
+              "kind": "inline",
+              "code": "console.log(\"Q4.3: 1 / -0 ->\", 1 / -0);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "comparison-operators",
+          "title": "Comparison Operators",
+          "number": null,
+          "heading": "⚖️ Deep Dive: Comparison Operators",
+          "marker": "Comparison Operators",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 129,
+          "endLine": 152,
+          "codeLine": 131,
+          "code": "console.log(\"\\n--- Comparison Operators ---\");\n\n// --- 1. Strict Equality (`===`) ---\n// No type coercion. If types are different, it's always false.\nconsole.log('0 === \"0\" ->', 0 === \"0\"); // false\nconsole.log(\"NaN === NaN ->\", NaN === NaN); // false (special case)\n\n// --- 2. Loose Equality (`==`) ---\n// Performs type coercion.\nconsole.log('null == undefined ->', null == undefined); // true (special rule)\nconsole.log('\"42\" == 42 ->', \"42\" == 42); // true\nconsole.log('true == 1 ->', true == 1); // true\nconsole.log('[] == 0 ->', [] == 0); // true (since [] -> \"\" -> 0)\nconsole.log('[] == false ->', [] == false); // true (since [] -> 0 and false -> 0)\n\n// --- 3. Relational Operators (<, >) ---\n// If both are strings, it's a lexicographical (alphabetical) comparison.\nconsole.log('\"2\" < \"12\" ->', \"2\" < \"12\"); // false (because \"2\" is alphabetically greater than \"1\")\n// Otherwise, it's a numeric comparison.\nconsole.log('\"2\" < 12 ->', \"2\" < 12); // true",
+          "prose": [
+            "--- 1. Strict Equality (`===`) ---\nNo type coercion. If types are different, it's always false.",
+            "--- 2. Loose Equality (`==`) ---\nPerforms type coercion.",
+            "--- 3. Relational Operators (<, >) ---\nIf both are strings, it's a lexicographical (alphabetical) comparison.",
+            "Otherwise, it's a numeric comparison."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Comparison Operators ---\");",
+              "line": 131
+            },
+            {
+              "type": "prose",
+              "text": "--- 1. Strict Equality (`===`) ---\nNo type coercion. If types are different, it's always false.",
+              "line": 133
+            },
+            {
+              "type": "code",
+              "text": "console.log('0 === \"0\" ->', 0 === \"0\"); // false\nconsole.log(\"NaN === NaN ->\", NaN === NaN); // false (special case)",
+              "line": 135
+            },
+            {
+              "type": "prose",
+              "text": "--- 2. Loose Equality (`==`) ---\nPerforms type coercion.",
+              "line": 138
+            },
+            {
+              "type": "code",
+              "text": "console.log('null == undefined ->', null == undefined); // true (special rule)\nconsole.log('\"42\" == 42 ->', \"42\" == 42); // true\nconsole.log('true == 1 ->', true == 1); // true\nconsole.log('[] == 0 ->', [] == 0); // true (since [] -> \"\" -> 0)\nconsole.log('[] == false ->', [] == false); // true (since [] -> 0 and false -> 0)",
+              "line": 140
+            },
+            {
+              "type": "prose",
+              "text": "--- 3. Relational Operators (<, >) ---\nIf both are strings, it's a lexicographical (alphabetical) comparison.",
+              "line": 146
+            },
+            {
+              "type": "code",
+              "text": "console.log('\"2\" < \"12\" ->', \"2\" < \"12\"); // false (because \"2\" is alphabetically greater than \"1\")",
+              "line": 148
+            },
+            {
+              "type": "prose",
+              "text": "Otherwise, it's a numeric comparison.",
+              "line": 149
+            },
+            {
+              "type": "code",
+              "text": "console.log('\"2\" < 12 ->', \"2\" < 12); // true",
+              "line": 150
+            }
+          ],
+          "expected": [
+            {
+              "line": 135,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log('0 === \"0\" ->', 0 === \"0\");"
+            },
+            {
+              "line": 136,
+              "text": "false (special case)",
+              "kind": "inline",
+              "code": "console.log(\"NaN === NaN ->\", NaN === NaN);"
+            },
+            {
+              "line": 140,
+              "text": "true (special rule)",
+              "kind": "inline",
+              "code": "console.log('null == undefined ->', null == undefined);"
+            },
+            {
+              "line": 141,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log('\"42\" == 42 ->', \"42\" == 42);"
+            },
+            {
+              "line": 142,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log('true == 1 ->', true == 1);"
+            },
+            {
+              "line": 143,
+              "text": "true (since [] -> \"\" -> 0)",
+              "kind": "inline",
+              "code": "console.log('[] == 0 ->', [] == 0);"
+            },
+            {
+              "line": 144,
+              "text": "true (since [] -> 0 and false -> 0)",
+              "kind": "inline",
+              "code": "console.log('[] == false ->', [] == false);"
+            },
+            {
+              "line": 148,
+              "text": "false (because \"2\" is alphabetically greater than \"1\")",
+              "kind": "inline",
+              "code": "console.log('\"2\" < \"12\" ->', \"2\" < \"12\");"
+            },
+            {
+              "line": 150,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log('\"2\" < 12 ->', \"2\" < 12);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "comparison-brain-benders-with-solutions",
+          "title": "Comparison Brain-Benders with Solutions",
+          "number": null,
+          "heading": "🧠 Comparison Brain-Benders with Solutions",
+          "marker": "Comparison Brain-Benders with Solutions",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 153,
+          "endLine": 186,
+          "codeLine": 155,
+          "code": "console.log(\"\\n--- Comparison Brain-Benders with Solutions ---\");\n\n// Q1: `null` vs `undefined`\nconsole.log(\"Q1.1: null == undefined ->\", null == undefined); // true\nconsole.log(\"Q1.2: null === undefined ->\", null === undefined); // false\n// Reasoning: `==` has a special rule making them equal. `===` sees they are different types.\n\n// Q2: Empty arrays and coercion\nconsole.log(\"Q2.1: [] == 0 ->\", [] == 0); // true\nconsole.log(\"Q2.2: [] == false ->\", [] == false); // true\nconsole.log(\"Q2.3: [null] == 0 ->\", [null] == 0); // true\n// Reasoning: In all cases, the array is converted to a primitive. `[].toString()` is `\"\"`. `[null].toString()` is also `\"\"`.\n// The empty string `\"\"` is then converted to the number `0`. The comparison becomes `0 == 0`.\n\n// Q3: Lexicographical comparison\nconsole.log('Q3: \"2\" < \"12\" ->', \"2\" < \"12\"); // false\n// Reasoning: It compares character by character. The first character \"2\" is compared to \"1\". Since \"2\" comes after \"1\" in Unicode order, the expression is false.\n\n// Q4: Boolean and string coercion\nconsole.log('Q4.1: false == \"0\" ->', false == \"0\"); // true\nconsole.log('Q4.2: false === \"0\" ->', false === \"0\"); // false\n// Reasoning: For `==`, `false` becomes `0` and `\"0\"` becomes `0`. `0 == 0` is true. For `===`, types are different.\n\n// Q5: The `NaN` paradox\nconsole.log(\"Q5: NaN === NaN ->\", NaN === NaN); // false\n// Reasoning: By the IEEE-754 standard, NaN is never equal to anything, including itself.\n// Correct way to check:\nconsole.log(\"   Number.isNaN(NaN) ->\", Number.isNaN(NaN)); // true\nconsole.log(\"   Object.is(NaN, NaN) ->\", Object.is(NaN, NaN)); // true",
+          "prose": [
+            "Q1: `null` vs `undefined`",
+            "Reasoning: `==` has a special rule making them equal. `===` sees they are different types.",
+            "Q2: Empty arrays and coercion",
+            "Reasoning: In all cases, the array is converted to a primitive. `[].toString()` is `\"\"`. `[null].toString()` is also `\"\"`.\nThe empty string `\"\"` is then converted to the number `0`. The comparison becomes `0 == 0`.",
+            "Q3: Lexicographical comparison",
+            "Reasoning: It compares character by character. The first character \"2\" is compared to \"1\". Since \"2\" comes after \"1\" in Unicode order, the expression is false.",
+            "Q4: Boolean and string coercion",
+            "Reasoning: For `==`, `false` becomes `0` and `\"0\"` becomes `0`. `0 == 0` is true. For `===`, types are different.",
+            "Q5: The `NaN` paradox",
+            "Reasoning: By the IEEE-754 standard, NaN is never equal to anything, including itself.\nCorrect way to check:"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Comparison Brain-Benders with Solutions ---\");",
+              "line": 155
+            },
+            {
+              "type": "prose",
+              "text": "Q1: `null` vs `undefined`",
+              "line": 157
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q1.1: null == undefined ->\", null == undefined); // true\nconsole.log(\"Q1.2: null === undefined ->\", null === undefined); // false",
+              "line": 158
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: `==` has a special rule making them equal. `===` sees they are different types.",
+              "line": 160
+            },
+            {
+              "type": "prose",
+              "text": "Q2: Empty arrays and coercion",
+              "line": 162
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q2.1: [] == 0 ->\", [] == 0); // true\nconsole.log(\"Q2.2: [] == false ->\", [] == false); // true\nconsole.log(\"Q2.3: [null] == 0 ->\", [null] == 0); // true",
+              "line": 163
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: In all cases, the array is converted to a primitive. `[].toString()` is `\"\"`. `[null].toString()` is also `\"\"`.\nThe empty string `\"\"` is then converted to the number `0`. The comparison becomes `0 == 0`.",
+              "line": 166
+            },
+            {
+              "type": "prose",
+              "text": "Q3: Lexicographical comparison",
+              "line": 169
+            },
+            {
+              "type": "code",
+              "text": "console.log('Q3: \"2\" < \"12\" ->', \"2\" < \"12\"); // false",
+              "line": 170
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: It compares character by character. The first character \"2\" is compared to \"1\". Since \"2\" comes after \"1\" in Unicode order, the expression is false.",
+              "line": 171
+            },
+            {
+              "type": "prose",
+              "text": "Q4: Boolean and string coercion",
+              "line": 173
+            },
+            {
+              "type": "code",
+              "text": "console.log('Q4.1: false == \"0\" ->', false == \"0\"); // true\nconsole.log('Q4.2: false === \"0\" ->', false === \"0\"); // false",
+              "line": 174
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: For `==`, `false` becomes `0` and `\"0\"` becomes `0`. `0 == 0` is true. For `===`, types are different.",
+              "line": 176
+            },
+            {
+              "type": "prose",
+              "text": "Q5: The `NaN` paradox",
+              "line": 178
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q5: NaN === NaN ->\", NaN === NaN); // false",
+              "line": 179
+            },
+            {
+              "type": "prose",
+              "text": "Reasoning: By the IEEE-754 standard, NaN is never equal to anything, including itself.\nCorrect way to check:",
+              "line": 180
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"   Number.isNaN(NaN) ->\", Number.isNaN(NaN)); // true\nconsole.log(\"   Object.is(NaN, NaN) ->\", Object.is(NaN, NaN)); // true",
+              "line": 182
+            }
+          ],
+          "expected": [
+            {
+              "line": 158,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Q1.1: null == undefined ->\", null == undefined);"
+            },
+            {
+              "line": 159,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"Q1.2: null === undefined ->\", null === undefined);"
+            },
+            {
+              "line": 163,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Q2.1: [] == 0 ->\", [] == 0);"
+            },
+            {
+              "line": 164,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Q2.2: [] == false ->\", [] == false);"
+            },
+            {
+              "line": 165,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Q2.3: [null] == 0 ->\", [null] == 0);"
+            },
+            {
+              "line": 170,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log('Q3: \"2\" < \"12\" ->', \"2\" < \"12\");"
+            },
+            {
+              "line": 174,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log('Q4.1: false == \"0\" ->', false == \"0\");"
+            },
+            {
+              "line": 175,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log('Q4.2: false === \"0\" ->', false === \"0\");"
+            },
+            {
+              "line": 179,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"Q5: NaN === NaN ->\", NaN === NaN);"
+            },
+            {
+              "line": 182,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"   Number.isNaN(NaN) ->\", Number.isNaN(NaN));"
+            },
+            {
+              "line": 183,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"   Object.is(NaN, NaN) ->\", Object.is(NaN, NaN));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "interview-grade-hidden-insights",
+          "title": "Interview-Grade Hidden Insights",
+          "number": null,
+          "heading": "🚀 Interview-Grade Hidden Insights",
+          "marker": "Interview-Grade Hidden Insights",
+          "level": 1,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 187,
+          "endLine": 212,
+          "codeLine": 207,
+          "code": "console.log(\"\\n--- Interview-Grade Hidden Insights ---\");\nconsole.log(\"[] == ![] ->\", [] == ![]); // true\nconsole.log(\"[1] + [2,3] ->\", [1] + [2,3]); // \"12,3\"\nconsole.log(\"new Date() + 1 ->\", new Date() + 1); // String concatenation\nconsole.log(\"+new Date() ->\", +new Date()); // Numeric timestamp",
+          "prose": [
+            "1. `[] == ![]` is `true`\n   - `![]` is evaluated first. `[]` is a truthy object, so `![]` becomes `false`.\n   - The comparison is now `[] == false`.\n   - This coerces to `0 == 0`, which is `true`.\n\n2. `[1] + [2,3]` is `\"12,3\"`\n   - Both arrays are converted to strings via `toString()`.\n   - `[1].toString()` is `\"1\"`.\n   - `[2,3].toString()` is `\"2,3\"`.\n   - The `+` operator concatenates them: `\"1\" + \"2,3\"`.\n\n3. `Date` objects prefer string conversion with `+`\n   - `new Date() + 1` results in string concatenation because the default `ToPrimitive`\n     hint for `Date` objects with `+` is \"string\".\n   - `+new Date()` (unary plus) uses a \"number\" hint, resulting in the numeric timestamp."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "1. `[] == ![]` is `true`\n   - `![]` is evaluated first. `[]` is a truthy object, so `![]` becomes `false`.\n   - The comparison is now `[] == false`.\n   - This coerces to `0 == 0`, which is `true`.\n\n2. `[1] + [2,3]` is `\"12,3\"`\n   - Both arrays are converted to strings via `toString()`.\n   - `[1].toString()` is `\"1\"`.\n   - `[2,3].toString()` is `\"2,3\"`.\n   - The `+` operator concatenates them: `\"1\" + \"2,3\"`.\n\n3. `Date` objects prefer string conversion with `+`\n   - `new Date() + 1` results in string concatenation because the default `ToPrimitive`\n     hint for `Date` objects with `+` is \"string\".\n   - `+new Date()` (unary plus) uses a \"number\" hint, resulting in the numeric timestamp.",
+              "line": 189
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Interview-Grade Hidden Insights ---\");\nconsole.log(\"[] == ![] ->\", [] == ![]); // true\nconsole.log(\"[1] + [2,3] ->\", [1] + [2,3]); // \"12,3\"\nconsole.log(\"new Date() + 1 ->\", new Date() + 1); // String concatenation\nconsole.log(\"+new Date() ->\", +new Date()); // Numeric timestamp",
+              "line": 207
+            }
+          ],
+          "expected": [
+            {
+              "line": 208,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"[] == ![] ->\", [] == ![]);"
+            },
+            {
+              "line": 209,
+              "text": "\"12,3\"",
+              "kind": "inline",
+              "code": "console.log(\"[1] + [2,3] ->\", [1] + [2,3]);"
+            },
+            {
+              "line": 210,
+              "text": "String concatenation",
+              "kind": "inline",
+              "code": "console.log(\"new Date() + 1 ->\", new Date() + 1);"
+            },
+            {
+              "line": 211,
+              "text": "Numeric timestamp",
+              "kind": "inline",
+              "code": "console.log(\"+new Date() ->\", +new Date());"
+            }
+          ],
+          "requires": []
+        }
+      ],
+      "fileName": "016_type-conversion-and-operators-deep-dive.js",
+      "chapter": "002_PrimitiveDataType",
+      "path": "scripts/002_PrimitiveDataType/016_type-conversion-and-operators-deep-dive.js",
+      "chapterTitle": "Primitives"
+    },
+    {
+      "id": "017",
+      "title": "JavaScript Learning Path: Logical Operators Deep Dive",
+      "summary": "",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "30 min",
+        "minutes": 30,
+        "prerequisites": [
+          "010",
+          "011",
+          "012"
+        ],
+        "tags": [
+          "logical operators",
+          "short-circuit",
+          "nullish coalescing",
+          "truthiness"
+        ],
+        "line": 2
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 9,
+          "endLine": 15,
+          "codeLine": 11,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"🔥 JavaScript Learning Path: Logical Operators Deep Dive\");\nconsole.log(\"=============================================================================\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"🔥 JavaScript Learning Path: Logical Operators Deep Dive\");\nconsole.log(\"=============================================================================\");",
+              "line": 11
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-or-operator",
+          "title": "OR ( || ) Operator",
+          "number": "1",
+          "heading": "🧠 Logical Operators in JS",
+          "marker": "1. OR ( || ) Operator",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 16,
+          "endLine": 29,
+          "codeLine": 24,
+          "code": "console.log(\"\\n--- 1. OR ( || ) Operator ---\");\nconsole.log('\"hello\" || \"world\" ->', \"hello\" || \"world\"); // \"hello\"\nconsole.log('\"\" || \"fallback\" ->', \"\" || \"fallback\"); // \"fallback\"\nconsole.log(\"0 || null || 'ok' ->\", 0 || null || \"ok\"); // \"ok\"\nconsole.log(\"0 || null || undefined ->\", 0 || null || undefined); // undefined (the last falsy value)",
+          "prose": [
+            "Unlike in many other languages, JS logical operators don't always return a\nboolean. They return one of the actual operand values.",
+            "--- 1. OR ( || ) ---\nEvaluates operands from left to right and returns the *first truthy* value.\nIf all values are falsy, it returns the *last falsy* value."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Unlike in many other languages, JS logical operators don't always return a\nboolean. They return one of the actual operand values.",
+              "line": 18
+            },
+            {
+              "type": "prose",
+              "text": "--- 1. OR ( || ) ---\nEvaluates operands from left to right and returns the *first truthy* value.\nIf all values are falsy, it returns the *last falsy* value.",
+              "line": 21
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 1. OR ( || ) Operator ---\");\nconsole.log('\"hello\" || \"world\" ->', \"hello\" || \"world\"); // \"hello\"\nconsole.log('\"\" || \"fallback\" ->', \"\" || \"fallback\"); // \"fallback\"\nconsole.log(\"0 || null || 'ok' ->\", 0 || null || \"ok\"); // \"ok\"\nconsole.log(\"0 || null || undefined ->\", 0 || null || undefined); // undefined (the last falsy value)",
+              "line": 24
+            }
+          ],
+          "expected": [
+            {
+              "line": 25,
+              "text": "\"hello\"",
+              "kind": "inline",
+              "code": "console.log('\"hello\" || \"world\" ->', \"hello\" || \"world\");"
+            },
+            {
+              "line": 26,
+              "text": "\"fallback\"",
+              "kind": "inline",
+              "code": "console.log('\"\" || \"fallback\" ->', \"\" || \"fallback\");"
+            },
+            {
+              "line": 27,
+              "text": "\"ok\"",
+              "kind": "inline",
+              "code": "console.log(\"0 || null || 'ok' ->\", 0 || null || \"ok\");"
+            },
+            {
+              "line": 28,
+              "text": "undefined (the last falsy value)",
+              "kind": "inline",
+              "code": "console.log(\"0 || null || undefined ->\", 0 || null || undefined);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "2-and-operator",
+          "title": "AND ( && ) Operator",
+          "number": "2",
+          "heading": null,
+          "marker": "2. AND ( && ) Operator",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 30,
+          "endLine": 37,
+          "codeLine": 33,
+          "code": "console.log(\"\\n--- 2. AND ( && ) Operator ---\");\nconsole.log('\"hello\" && \"world\" ->', \"hello\" && \"world\"); // \"world\"\nconsole.log(\"0 && 'ignored' ->\", 0 && \"ignored\"); // 0\nconsole.log(\"42 && true && 'ok' ->\", 42 && true && \"ok\"); // \"ok\"",
+          "prose": [
+            "--- 2. AND ( && ) ---\nEvaluates operands from left to right and returns the *first falsy* value.\nIf all values are truthy, it returns the *last truthy* value."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 2. AND ( && ) ---\nEvaluates operands from left to right and returns the *first falsy* value.\nIf all values are truthy, it returns the *last truthy* value.",
+              "line": 30
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 2. AND ( && ) Operator ---\");\nconsole.log('\"hello\" && \"world\" ->', \"hello\" && \"world\"); // \"world\"\nconsole.log(\"0 && 'ignored' ->\", 0 && \"ignored\"); // 0\nconsole.log(\"42 && true && 'ok' ->\", 42 && true && \"ok\"); // \"ok\"",
+              "line": 33
+            }
+          ],
+          "expected": [
+            {
+              "line": 34,
+              "text": "\"world\"",
+              "kind": "inline",
+              "code": "console.log('\"hello\" && \"world\" ->', \"hello\" && \"world\");"
+            },
+            {
+              "line": 35,
+              "text": "0",
+              "kind": "inline",
+              "code": "console.log(\"0 && 'ignored' ->\", 0 && \"ignored\");"
+            },
+            {
+              "line": 36,
+              "text": "\"ok\"",
+              "kind": "inline",
+              "code": "console.log(\"42 && true && 'ok' ->\", 42 && true && \"ok\");"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "3-not-operator",
+          "title": "NOT ( ! ) Operator",
+          "number": "3",
+          "heading": null,
+          "marker": "3. NOT ( ! ) Operator",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 38,
+          "endLine": 47,
+          "codeLine": 40,
+          "code": "console.log(\"\\n--- 3. NOT ( ! ) Operator ---\");\nconsole.log(\"!0 ->\", !0); // true\nconsole.log('!\"\" ->', !\"\"); // true\nconsole.log(\"!42 ->\", !42); // false\n// Double negation (!!) is a common trick to coerce any value to its boolean equivalent.\nconsole.log('!!\"hello\" ->', !!\"hello\"); // true\nconsole.log(\"!!0 ->\", !!0); // false",
+          "prose": [
+            "--- 3. NOT ( ! ) ---\nConverts its operand to a boolean and then inverts it. Always returns a boolean.",
+            "Double negation (!!) is a common trick to coerce any value to its boolean equivalent."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 3. NOT ( ! ) ---\nConverts its operand to a boolean and then inverts it. Always returns a boolean.",
+              "line": 38
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 3. NOT ( ! ) Operator ---\");\nconsole.log(\"!0 ->\", !0); // true\nconsole.log('!\"\" ->', !\"\"); // true\nconsole.log(\"!42 ->\", !42); // false",
+              "line": 40
+            },
+            {
+              "type": "prose",
+              "text": "Double negation (!!) is a common trick to coerce any value to its boolean equivalent.",
+              "line": 44
+            },
+            {
+              "type": "code",
+              "text": "console.log('!!\"hello\" ->', !!\"hello\"); // true\nconsole.log(\"!!0 ->\", !!0); // false",
+              "line": 45
+            }
+          ],
+          "expected": [
+            {
+              "line": 41,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"!0 ->\", !0);"
+            },
+            {
+              "line": 42,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log('!\"\" ->', !\"\");"
+            },
+            {
+              "line": 43,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"!42 ->\", !42);"
+            },
+            {
+              "line": 45,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log('!!\"hello\" ->', !!\"hello\");"
+            },
+            {
+              "line": 46,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"!!0 ->\", !!0);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "4-short-circuiting",
+          "title": "Short-Circuiting",
+          "number": "4",
+          "heading": null,
+          "marker": "4. Short-Circuiting",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 48,
+          "endLine": 60,
+          "codeLine": 50,
+          "code": "console.log(\"\\n--- 4. Short-Circuiting ---\");\nfunction expensiveOperation() {\n  console.log(\"   (Expensive operation was called!)\");\n  return true;\n}\nconsole.log(\"true || expensiveOperation(): The second part is never evaluated.\");\ntrue || expensiveOperation();\nconsole.log(\"false && expensiveOperation(): The second part is never evaluated.\");\nfalse && expensiveOperation();",
+          "prose": [
+            "--- 4. Short-Circuiting ---\nBoth `&&` and `||` stop evaluating as soon as the result is determined."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 4. Short-Circuiting ---\nBoth `&&` and `||` stop evaluating as soon as the result is determined.",
+              "line": 48
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 4. Short-Circuiting ---\");\nfunction expensiveOperation() {\n  console.log(\"   (Expensive operation was called!)\");\n  return true;\n}\nconsole.log(\"true || expensiveOperation(): The second part is never evaluated.\");\ntrue || expensiveOperation();\nconsole.log(\"false && expensiveOperation(): The second part is never evaluated.\");\nfalse && expensiveOperation();",
+              "line": 50
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "brain-benders-round-1-with-solutions",
+          "title": "Brain-Benders (Round 1) with Solutions",
+          "number": null,
+          "heading": "🚀 Brain-Benders (Round 1) with Solutions",
+          "marker": "Brain-Benders (Round 1) with Solutions",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 61,
+          "endLine": 111,
+          "codeLine": 63,
+          "code": "console.log(\"\\n--- Brain-Benders (Round 1) with Solutions ---\");\n\n// Q1: console.log(\"foo\" || \"bar\" && \"baz\");\nconsole.log('Q1: \"foo\" || \"bar\" && \"baz\" ->', \"foo\" || (\"bar\" && \"baz\"));\n// ✅ Answer: \"foo\"\n// Reasoning: `&&` has higher precedence than `||`.\n// 1. `\"bar\" && \"baz\"` is evaluated first. Both are truthy, so it returns the last one: `\"baz\"`.\n// 2. The expression becomes `\"foo\" || \"baz\"`.\n// 3. `||` returns the first truthy value, which is `\"foo\"`.\n\n// Q2: console.log(0 || (false && \"hello\"));\nconsole.log(\"Q2: 0 || (false && 'hello') ->\", 0 || (false && \"hello\"));\n// ✅ Answer: false\n// Reasoning:\n// 1. The parentheses are evaluated first: `false && \"hello\"`.\n// 2. `&&` finds the first falsy value, which is `false`.\n// 3. The expression becomes `0 || false`.\n// 4. `||` finds the first truthy value. Since both are falsy, it returns the last one: `false`.\n\n// Q3: console.log(null && \"ignored\" || \"fallback\");\nconsole.log(\"Q3: null && 'ignored' || 'fallback' ->\", (null && \"ignored\") || \"fallback\");\n// ✅ Answer: \"fallback\"\n// Reasoning: `&&` has higher precedence.\n// 1. `null && \"ignored\"` is evaluated. `null` is falsy, so it returns `null`.\n// 2. The expression becomes `null || \"fallback\"`.\n// 3. `||` finds the first truthy value. `null` is falsy, so it returns `\"fallback\"`.\n\n// Q4: console.log(!!\"false\" == !!\"true\");\nconsole.log('Q4: !!\"false\" == !!\"true\" ->', !!\"false\" == !!\"true\");\n// ✅ Answer: true\n// Reasoning:\n// 1. `\"false\"` is a non-empty string, which is truthy. `!!\"false\"` becomes `true`.\n// 2. `\"true\"` is also a non-empty string, which is truthy. `!!\"true\"` becomes `true`.\n// 3. The comparison is `true == true`, which is `true`.\n\n// Q5: a() || b();\nconsole.log(\"Q5: a() || b()\");\nlet a_q5 = () => console.log(\"   (A was called)\"); // returns undefined\nlet b_q5 = () => console.log(\"   (B was called)\"); // returns undefined\na_q5() || b_q5();",
+          "prose": [
+            "Q1: console.log(\"foo\" || \"bar\" && \"baz\");",
+            "✅ Answer: \"foo\"\nReasoning: `&&` has higher precedence than `||`.\n1. `\"bar\" && \"baz\"` is evaluated first. Both are truthy, so it returns the last one: `\"baz\"`.\n2. The expression becomes `\"foo\" || \"baz\"`.\n3. `||` returns the first truthy value, which is `\"foo\"`.",
+            "Q2: console.log(0 || (false && \"hello\"));",
+            "✅ Answer: false\nReasoning:\n1. The parentheses are evaluated first: `false && \"hello\"`.\n2. `&&` finds the first falsy value, which is `false`.\n3. The expression becomes `0 || false`.\n4. `||` finds the first truthy value. Since both are falsy, it returns the last one: `false`.",
+            "Q3: console.log(null && \"ignored\" || \"fallback\");",
+            "✅ Answer: \"fallback\"\nReasoning: `&&` has higher precedence.\n1. `null && \"ignored\"` is evaluated. `null` is falsy, so it returns `null`.\n2. The expression becomes `null || \"fallback\"`.\n3. `||` finds the first truthy value. `null` is falsy, so it returns `\"fallback\"`.",
+            "Q4: console.log(!!\"false\" == !!\"true\");",
+            "✅ Answer: true\nReasoning:\n1. `\"false\"` is a non-empty string, which is truthy. `!!\"false\"` becomes `true`.\n2. `\"true\"` is also a non-empty string, which is truthy. `!!\"true\"` becomes `true`.\n3. The comparison is `true == true`, which is `true`.",
+            "Q5: a() || b();",
+            "✅ Console Output: (A was called), then (B was called)\n✅ Final Result Value: undefined\nReasoning:\n1. `a_q5()` is executed. It logs \"(A was called)\" and returns `undefined`.\n2. Since `undefined` is a falsy value, the `||` operator must evaluate the right side.\n3. `b_q5()` is executed. It logs \"(B was called)\" and returns `undefined`.\n4. The final result of the expression is the value of the last evaluated part, which is `undefined`."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Brain-Benders (Round 1) with Solutions ---\");",
+              "line": 63
+            },
+            {
+              "type": "prose",
+              "text": "Q1: console.log(\"foo\" || \"bar\" && \"baz\");",
+              "line": 65
+            },
+            {
+              "type": "code",
+              "text": "console.log('Q1: \"foo\" || \"bar\" && \"baz\" ->', \"foo\" || (\"bar\" && \"baz\"));",
+              "line": 66
+            },
+            {
+              "type": "prose",
+              "text": "✅ Answer: \"foo\"\nReasoning: `&&` has higher precedence than `||`.\n1. `\"bar\" && \"baz\"` is evaluated first. Both are truthy, so it returns the last one: `\"baz\"`.\n2. The expression becomes `\"foo\" || \"baz\"`.\n3. `||` returns the first truthy value, which is `\"foo\"`.",
+              "line": 67
+            },
+            {
+              "type": "prose",
+              "text": "Q2: console.log(0 || (false && \"hello\"));",
+              "line": 73
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q2: 0 || (false && 'hello') ->\", 0 || (false && \"hello\"));",
+              "line": 74
+            },
+            {
+              "type": "prose",
+              "text": "✅ Answer: false\nReasoning:\n1. The parentheses are evaluated first: `false && \"hello\"`.\n2. `&&` finds the first falsy value, which is `false`.\n3. The expression becomes `0 || false`.\n4. `||` finds the first truthy value. Since both are falsy, it returns the last one: `false`.",
+              "line": 75
+            },
+            {
+              "type": "prose",
+              "text": "Q3: console.log(null && \"ignored\" || \"fallback\");",
+              "line": 82
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q3: null && 'ignored' || 'fallback' ->\", (null && \"ignored\") || \"fallback\");",
+              "line": 83
+            },
+            {
+              "type": "prose",
+              "text": "✅ Answer: \"fallback\"\nReasoning: `&&` has higher precedence.\n1. `null && \"ignored\"` is evaluated. `null` is falsy, so it returns `null`.\n2. The expression becomes `null || \"fallback\"`.\n3. `||` finds the first truthy value. `null` is falsy, so it returns `\"fallback\"`.",
+              "line": 84
+            },
+            {
+              "type": "prose",
+              "text": "Q4: console.log(!!\"false\" == !!\"true\");",
+              "line": 90
+            },
+            {
+              "type": "code",
+              "text": "console.log('Q4: !!\"false\" == !!\"true\" ->', !!\"false\" == !!\"true\");",
+              "line": 91
+            },
+            {
+              "type": "prose",
+              "text": "✅ Answer: true\nReasoning:\n1. `\"false\"` is a non-empty string, which is truthy. `!!\"false\"` becomes `true`.\n2. `\"true\"` is also a non-empty string, which is truthy. `!!\"true\"` becomes `true`.\n3. The comparison is `true == true`, which is `true`.",
+              "line": 92
+            },
+            {
+              "type": "prose",
+              "text": "Q5: a() || b();",
+              "line": 98
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q5: a() || b()\");\nlet a_q5 = () => console.log(\"   (A was called)\"); // returns undefined\nlet b_q5 = () => console.log(\"   (B was called)\"); // returns undefined\na_q5() || b_q5();",
+              "line": 99
+            },
+            {
+              "type": "prose",
+              "text": "✅ Console Output: (A was called), then (B was called)\n✅ Final Result Value: undefined\nReasoning:\n1. `a_q5()` is executed. It logs \"(A was called)\" and returns `undefined`.\n2. Since `undefined` is a falsy value, the `||` operator must evaluate the right side.\n3. `b_q5()` is executed. It logs \"(B was called)\" and returns `undefined`.\n4. The final result of the expression is the value of the last evaluated part, which is `undefined`.",
+              "line": 103
+            }
+          ],
+          "expected": [
+            {
+              "line": 67,
+              "text": "\"foo\"",
+              "kind": "block"
+            },
+            {
+              "line": 75,
+              "text": "false",
+              "kind": "block"
+            },
+            {
+              "line": 84,
+              "text": "\"fallback\"",
+              "kind": "block"
+            },
+            {
+              "line": 92,
+              "text": "true",
+              "kind": "block"
+            },
+            {
+              "line": 100,
+              "text": "returns undefined",
+              "kind": "inline",
+              "code": "console.log(\"   (A was called)\");"
+            },
+            {
+              "line": 101,
+              "text": "returns undefined",
+              "kind": "inline",
+              "code": "console.log(\"   (B was called)\");"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "advanced-corner-cases",
+          "title": "Advanced Corner Cases",
+          "number": null,
+          "heading": "⚡ Advanced Corner Cases with Logical Operators",
+          "marker": "Advanced Corner Cases",
+          "level": 1,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 112,
+          "endLine": 115,
+          "codeLine": 114,
+          "code": "console.log(\"\\n--- Advanced Corner Cases ---\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Advanced Corner Cases ---\");",
+              "line": 114
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "case-1-vs",
+          "title": "Case 1: || vs ??",
+          "number": null,
+          "heading": null,
+          "marker": "Case 1: || vs ??",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 116,
+          "endLine": 123,
+          "codeLine": 118,
+          "code": "console.log(\"\\n--- Case 1: || vs ?? ---\");\n// `||` treats any falsy value (0, \"\", false) as \"empty\".\nconsole.log(\"0 || 'default' ->\", 0 || \"default\"); // \"default\"\n// `??` ONLY treats `null` and `undefined` as \"empty\".\nconsole.log(\"0 ?? 'default' ->\", 0 ?? \"default\"); // 0 (safer for defaults when 0 is a valid value)",
+          "prose": [
+            "--- Case 1: `||` vs `??` (Nullish Coalescing Operator) ---",
+            "`||` treats any falsy value (0, \"\", false) as \"empty\".",
+            "`??` ONLY treats `null` and `undefined` as \"empty\"."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 1: `||` vs `??` (Nullish Coalescing Operator) ---",
+              "line": 116
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 1: || vs ?? ---\");",
+              "line": 118
+            },
+            {
+              "type": "prose",
+              "text": "`||` treats any falsy value (0, \"\", false) as \"empty\".",
+              "line": 119
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"0 || 'default' ->\", 0 || \"default\"); // \"default\"",
+              "line": 120
+            },
+            {
+              "type": "prose",
+              "text": "`??` ONLY treats `null` and `undefined` as \"empty\".",
+              "line": 121
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"0 ?? 'default' ->\", 0 ?? \"default\"); // 0 (safer for defaults when 0 is a valid value)",
+              "line": 122
+            }
+          ],
+          "expected": [
+            {
+              "line": 120,
+              "text": "\"default\"",
+              "kind": "inline",
+              "code": "console.log(\"0 || 'default' ->\", 0 || \"default\");"
+            },
+            {
+              "line": 122,
+              "text": "0 (safer for defaults when 0 is a valid value)",
+              "kind": "inline",
+              "code": "console.log(\"0 ?? 'default' ->\", 0 ?? \"default\");"
+            }
+          ],
+          "requires": [
+            "nullish-coalescing"
+          ]
+        },
+        {
+          "id": "case-2-short-circuiting-function-calls",
+          "title": "Case 2: Short-circuiting function calls",
+          "number": null,
+          "heading": null,
+          "marker": "Case 2: Short-circuiting function calls",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 124,
+          "endLine": 132,
+          "codeLine": 125,
+          "code": "console.log(\"\\n--- Case 2: Short-circuiting function calls ---\");\nfunction log(x) {\n  console.log(`   (log function called with: ${x})`);\n  return x;\n}\nconsole.log(\"Result of log(0) && log(1):\", log(0) && log(1)); // Only logs 0\nconsole.log(\"Result of log(1) || log(2):\", log(1) || log(2)); // Only logs 1",
+          "prose": [
+            "--- Case 2: Function calls inside short-circuit ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 2: Function calls inside short-circuit ---",
+              "line": 124
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 2: Short-circuiting function calls ---\");\nfunction log(x) {\n  console.log(`   (log function called with: ${x})`);\n  return x;\n}\nconsole.log(\"Result of log(0) && log(1):\", log(0) && log(1)); // Only logs 0\nconsole.log(\"Result of log(1) || log(2):\", log(1) || log(2)); // Only logs 1",
+              "line": 125
+            }
+          ],
+          "expected": [
+            {
+              "line": 130,
+              "text": "Only logs 0",
+              "kind": "inline",
+              "code": "console.log(\"Result of log(0) && log(1):\", log(0) && log(1));"
+            },
+            {
+              "line": 131,
+              "text": "Only logs 1",
+              "kind": "inline",
+              "code": "console.log(\"Result of log(1) || log(2):\", log(1) || log(2));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-3-truthiness-of-empty-objects-arrays",
+          "title": "Case 3: Truthiness of empty objects/arrays",
+          "number": null,
+          "heading": null,
+          "marker": "Case 3: Truthiness of empty objects/arrays",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 133,
+          "endLine": 139,
+          "codeLine": 134,
+          "code": "console.log(\"\\n--- Case 3: Truthiness of empty objects/arrays ---\");\nconsole.log(\"!![] ->\", !![]);     // true\nconsole.log(\"!!{} ->\", !!{});     // true\nconsole.log('!!\"0\" ->', !!\"0\");   // true\nconsole.log(\"!!0 ->\", !!0);       // false",
+          "prose": [
+            "--- Case 3: Double Negation + Type Confusion ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 3: Double Negation + Type Confusion ---",
+              "line": 133
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 3: Truthiness of empty objects/arrays ---\");\nconsole.log(\"!![] ->\", !![]);     // true\nconsole.log(\"!!{} ->\", !!{});     // true\nconsole.log('!!\"0\" ->', !!\"0\");   // true\nconsole.log(\"!!0 ->\", !!0);       // false",
+              "line": 134
+            }
+          ],
+          "expected": [
+            {
+              "line": 135,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"!![] ->\", !![]);"
+            },
+            {
+              "line": 136,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"!!{} ->\", !!{});"
+            },
+            {
+              "line": 137,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log('!!\"0\" ->', !!\"0\");"
+            },
+            {
+              "line": 138,
+              "text": "false",
+              "kind": "inline",
+              "code": "console.log(\"!!0 ->\", !!0);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-4-precedence-trap",
+          "title": "Case 4: Precedence Trap",
+          "number": null,
+          "heading": null,
+          "marker": "Case 4: Precedence Trap",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 140,
+          "endLine": 143,
+          "codeLine": 141,
+          "code": "console.log(\"\\n--- Case 4: Precedence Trap ---\");\nconsole.log(\"true || false && false ->\", true || (false && false)); // true",
+          "prose": [
+            "--- Case 4: Operator Precedence Trap (&& > ||) ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 4: Operator Precedence Trap (&& > ||) ---",
+              "line": 140
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 4: Precedence Trap ---\");\nconsole.log(\"true || false && false ->\", true || (false && false)); // true",
+              "line": 141
+            }
+          ],
+          "expected": [
+            {
+              "line": 142,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"true || false && false ->\", true || (false && false));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-5-assignment-in-expression",
+          "title": "Case 5: Assignment in Expression",
+          "number": null,
+          "heading": null,
+          "marker": "Case 5: Assignment in Expression",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 144,
+          "endLine": 149,
+          "codeLine": 145,
+          "code": "console.log(\"\\n--- Case 5: Assignment in Expression ---\");\nlet x_case5;\nconsole.log(\"Result of (x = 0) || (x = 5):\", (x_case5 = 0) || (x_case5 = 5)); // 5\nconsole.log(\"Final value of x:\", x_case5); // 5",
+          "prose": [
+            "--- Case 5: Assignment inside Logical Expression ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 5: Assignment inside Logical Expression ---",
+              "line": 144
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 5: Assignment in Expression ---\");\nlet x_case5;\nconsole.log(\"Result of (x = 0) || (x = 5):\", (x_case5 = 0) || (x_case5 = 5)); // 5\nconsole.log(\"Final value of x:\", x_case5); // 5",
+              "line": 145
+            }
+          ],
+          "expected": [
+            {
+              "line": 147,
+              "text": "5",
+              "kind": "inline",
+              "code": "console.log(\"Result of (x = 0) || (x = 5):\", (x_case5 = 0) || (x_case5 = 5));"
+            },
+            {
+              "line": 148,
+              "text": "5",
+              "kind": "inline",
+              "code": "console.log(\"Final value of x:\", x_case5);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-6-mixing-and",
+          "title": "Case 6: Mixing || and ??",
+          "number": null,
+          "heading": null,
+          "marker": "Case 6: Mixing || and ??",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 150,
+          "endLine": 161,
+          "codeLine": 152,
+          "code": "console.log(\"\\n--- Case 6: Mixing || and ?? ---\");\ntry {\n  // This is a SyntaxError because `||` and `??` cannot be mixed without parentheses.\n  // eval('null || undefined ?? \"fallback\"');\n  console.log(\"`null || undefined ?? 'fallback'` would throw a SyntaxError.\");\n} catch (e) {\n  console.log(\"Error from mixing || and ??:\", e.message);\n}\nconsole.log(\"Correct way with parentheses: null || (undefined ?? 'fallback') ->\", null || (undefined ?? 'fallback')); // \"fallback\"",
+          "prose": [
+            "--- Case 6: Mixing `||` and `??` ---",
+            "This is a SyntaxError because `||` and `??` cannot be mixed without parentheses.\neval('null || undefined ?? \"fallback\"');"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 6: Mixing `||` and `??` ---",
+              "line": 150
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 6: Mixing || and ?? ---\");\ntry {",
+              "line": 152
+            },
+            {
+              "type": "prose",
+              "text": "This is a SyntaxError because `||` and `??` cannot be mixed without parentheses.\neval('null || undefined ?? \"fallback\"');",
+              "line": 154
+            },
+            {
+              "type": "code",
+              "text": "  console.log(\"`null || undefined ?? 'fallback'` would throw a SyntaxError.\");\n} catch (e) {\n  console.log(\"Error from mixing || and ??:\", e.message);\n}\nconsole.log(\"Correct way with parentheses: null || (undefined ?? 'fallback') ->\", null || (undefined ?? 'fallback')); // \"fallback\"",
+              "line": 156
+            }
+          ],
+          "expected": [
+            {
+              "line": 160,
+              "text": "\"fallback\"",
+              "kind": "inline",
+              "code": "console.log(\"Correct way with parentheses: null || (undefined ?? 'fallback') ->\", null || (undefined ?? 'fallback'));"
+            }
+          ],
+          "requires": [
+            "nullish-coalescing"
+          ]
+        },
+        {
+          "id": "case-7-arrays-and-strings",
+          "title": "Case 7: Arrays and Strings",
+          "number": null,
+          "heading": null,
+          "marker": "Case 7: Arrays and Strings",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 162,
+          "endLine": 167,
+          "codeLine": 163,
+          "code": "console.log(\"\\n--- Case 7: Arrays and Strings ---\");\nconsole.log('[] && \"hello\" ->', [] && \"hello\"); // \"hello\" (since [] is truthy)\nconsole.log('\"\" || [] ->', \"\" || []); // [] (since \"\" is falsy)",
+          "prose": [
+            "--- Case 7: Arrays and Strings in Logical Ops ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 7: Arrays and Strings in Logical Ops ---",
+              "line": 162
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 7: Arrays and Strings ---\");\nconsole.log('[] && \"hello\" ->', [] && \"hello\"); // \"hello\" (since [] is truthy)\nconsole.log('\"\" || [] ->', \"\" || []); // [] (since \"\" is falsy)",
+              "line": 163
+            }
+          ],
+          "expected": [
+            {
+              "line": 164,
+              "text": "\"hello\" (since [] is truthy)",
+              "kind": "inline",
+              "code": "console.log('[] && \"hello\" ->', [] && \"hello\");"
+            },
+            {
+              "line": 165,
+              "text": "[] (since \"\" is falsy)",
+              "kind": "inline",
+              "code": "console.log('\"\" || [] ->', \"\" || []);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "final-brain-benders-with-solutions",
+          "title": "Final Brain-Benders with Solutions",
+          "number": null,
+          "heading": "🧠 Final Brain-Benders with Solutions",
+          "marker": "Final Brain-Benders with Solutions",
+          "level": 1,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 168,
+          "endLine": 215,
+          "codeLine": 171,
+          "code": "console.log(\"\\n--- Final Brain-Benders with Solutions ---\");\n\n// Q1: console.log(false || {} && []);\nconsole.log(\"Q1: false || {} && [] ->\", false || ({} && []));\n// ✅ Answer: []\n// Reasoning: `&&` has higher precedence. `{}` is truthy, so `{} && []` evaluates to the last operand, `[]`.\n// The expression becomes `false || []`. `false` is falsy, so it returns `[]`.\n\n// Q2: console.log(null ?? false || 0);\nconsole.log(\"Q2: null ?? false || 0 ->\", null ?? (false || 0));\n// ✅ Answer: 0\n// Reasoning: `||` has higher precedence than `??`.\n// 1. `false || 0` is evaluated first. `false` is falsy, so it returns `0`.\n// 2. The expression becomes `null ?? 0`.\n// 3. `??` checks if the left side is `null` or `undefined`. It is, so it returns the right side, `0`.\n\n// Q3: let y; console.log(y ?? (y = 10) && 20);\nlet y_q3;\nconsole.log(\"Q3: y ?? (y = 10) && 20 ->\", y_q3 ?? ((y_q3 = 10) && 20));\nconsole.log(\"   (Final value of y is:\", y_q3, \")\");\n// ✅ Answer: 20\n// Reasoning: `&&` has higher precedence than `??`.\n// 1. The initial value of `y_q3` is `undefined`.\n// 2. The `??` operator checks `y_q3`. Since it's `undefined`, it must evaluate the right-hand side.\n// 3. The right side is `(y_q3 = 10) && 20`.\n// 4. The assignment `y_q3 = 10` happens, and the result of the assignment is `10`, which is truthy.\n// 5. Since the left of `&&` is truthy, it evaluates the right side, `20`. The result of the `&&` expression is `20`.\n// 6. The result of the `??` expression is therefore `20`. After this line, `y_q3` is `10`.\n\n// Q4: console.log(([] || 0) && \"done\");\nconsole.log(\"Q4: ([] || 0) && 'done' ->\", ([] || 0) && \"done\");\n// ✅ Answer: \"done\"\n// Reasoning:\n// 1. `[] || 0` is evaluated. `[]` is truthy, so it returns `[]`.\n// 2. The expression becomes `[] && \"done\"`.\n// 3. `[]` is truthy, so `&&` returns the last operand, `\"done\"`.\n\n// Q5: console.log(\"\" && \"yes\" || \"no\");\nconsole.log(\"Q5: '' && 'yes' || 'no' ->\", (\"\" && \"yes\") || \"no\");",
+          "prose": [
+            "Q1: console.log(false || {} && []);",
+            "✅ Answer: []\nReasoning: `&&` has higher precedence. `{}` is truthy, so `{} && []` evaluates to the last operand, `[]`.\nThe expression becomes `false || []`. `false` is falsy, so it returns `[]`.",
+            "Q2: console.log(null ?? false || 0);",
+            "✅ Answer: 0\nReasoning: `||` has higher precedence than `??`.\n1. `false || 0` is evaluated first. `false` is falsy, so it returns `0`.\n2. The expression becomes `null ?? 0`.\n3. `??` checks if the left side is `null` or `undefined`. It is, so it returns the right side, `0`.",
+            "Q3: let y; console.log(y ?? (y = 10) && 20);",
+            "✅ Answer: 20\nReasoning: `&&` has higher precedence than `??`.\n1. The initial value of `y_q3` is `undefined`.\n2. The `??` operator checks `y_q3`. Since it's `undefined`, it must evaluate the right-hand side.\n3. The right side is `(y_q3 = 10) && 20`.\n4. The assignment `y_q3 = 10` happens, and the result of the assignment is `10`, which is truthy.\n5. Since the left of `&&` is truthy, it evaluates the right side, `20`. The result of the `&&` expression is `20`.\n6. The result of the `??` expression is therefore `20`. After this line, `y_q3` is `10`.",
+            "Q4: console.log(([] || 0) && \"done\");",
+            "✅ Answer: \"done\"\nReasoning:\n1. `[] || 0` is evaluated. `[]` is truthy, so it returns `[]`.\n2. The expression becomes `[] && \"done\"`.\n3. `[]` is truthy, so `&&` returns the last operand, `\"done\"`.",
+            "Q5: console.log(\"\" && \"yes\" || \"no\");",
+            "✅ Answer: \"no\"\nReasoning: `&&` has higher precedence.\n1. `\"\" && \"yes\"` is evaluated. `\"\"` is falsy, so it returns `\"\"`.\n2. The expression becomes `\"\" || \"no\"`.\n3. `\"\"` is falsy, so `||` returns the other operand, `\"no\"`."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Final Brain-Benders with Solutions ---\");",
+              "line": 171
+            },
+            {
+              "type": "prose",
+              "text": "Q1: console.log(false || {} && []);",
+              "line": 173
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q1: false || {} && [] ->\", false || ({} && []));",
+              "line": 174
+            },
+            {
+              "type": "prose",
+              "text": "✅ Answer: []\nReasoning: `&&` has higher precedence. `{}` is truthy, so `{} && []` evaluates to the last operand, `[]`.\nThe expression becomes `false || []`. `false` is falsy, so it returns `[]`.",
+              "line": 175
+            },
+            {
+              "type": "prose",
+              "text": "Q2: console.log(null ?? false || 0);",
+              "line": 179
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q2: null ?? false || 0 ->\", null ?? (false || 0));",
+              "line": 180
+            },
+            {
+              "type": "prose",
+              "text": "✅ Answer: 0\nReasoning: `||` has higher precedence than `??`.\n1. `false || 0` is evaluated first. `false` is falsy, so it returns `0`.\n2. The expression becomes `null ?? 0`.\n3. `??` checks if the left side is `null` or `undefined`. It is, so it returns the right side, `0`.",
+              "line": 181
+            },
+            {
+              "type": "prose",
+              "text": "Q3: let y; console.log(y ?? (y = 10) && 20);",
+              "line": 187
+            },
+            {
+              "type": "code",
+              "text": "let y_q3;\nconsole.log(\"Q3: y ?? (y = 10) && 20 ->\", y_q3 ?? ((y_q3 = 10) && 20));\nconsole.log(\"   (Final value of y is:\", y_q3, \")\");",
+              "line": 188
+            },
+            {
+              "type": "prose",
+              "text": "✅ Answer: 20\nReasoning: `&&` has higher precedence than `??`.\n1. The initial value of `y_q3` is `undefined`.\n2. The `??` operator checks `y_q3`. Since it's `undefined`, it must evaluate the right-hand side.\n3. The right side is `(y_q3 = 10) && 20`.\n4. The assignment `y_q3 = 10` happens, and the result of the assignment is `10`, which is truthy.\n5. Since the left of `&&` is truthy, it evaluates the right side, `20`. The result of the `&&` expression is `20`.\n6. The result of the `??` expression is therefore `20`. After this line, `y_q3` is `10`.",
+              "line": 191
+            },
+            {
+              "type": "prose",
+              "text": "Q4: console.log(([] || 0) && \"done\");",
+              "line": 200
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q4: ([] || 0) && 'done' ->\", ([] || 0) && \"done\");",
+              "line": 201
+            },
+            {
+              "type": "prose",
+              "text": "✅ Answer: \"done\"\nReasoning:\n1. `[] || 0` is evaluated. `[]` is truthy, so it returns `[]`.\n2. The expression becomes `[] && \"done\"`.\n3. `[]` is truthy, so `&&` returns the last operand, `\"done\"`.",
+              "line": 202
+            },
+            {
+              "type": "prose",
+              "text": "Q5: console.log(\"\" && \"yes\" || \"no\");",
+              "line": 208
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Q5: '' && 'yes' || 'no' ->\", (\"\" && \"yes\") || \"no\");",
+              "line": 209
+            },
+            {
+              "type": "prose",
+              "text": "✅ Answer: \"no\"\nReasoning: `&&` has higher precedence.\n1. `\"\" && \"yes\"` is evaluated. `\"\"` is falsy, so it returns `\"\"`.\n2. The expression becomes `\"\" || \"no\"`.\n3. `\"\"` is falsy, so `||` returns the other operand, `\"no\"`.",
+              "line": 210
+            }
+          ],
+          "expected": [
+            {
+              "line": 175,
+              "text": "[]",
+              "kind": "block"
+            },
+            {
+              "line": 181,
+              "text": "0",
+              "kind": "block"
+            },
+            {
+              "line": 191,
+              "text": "20",
+              "kind": "block"
+            },
+            {
+              "line": 202,
+              "text": "\"done\"",
+              "kind": "block"
+            },
+            {
+              "line": 210,
+              "text": "\"no\"",
+              "kind": "block"
+            }
+          ],
+          "requires": [
+            "nullish-coalescing"
+          ]
+        }
+      ],
+      "fileName": "017_logical-operators-deep-dive.js",
+      "chapter": "003_OperatorsInside",
+      "path": "scripts/003_OperatorsInside/017_logical-operators-deep-dive.js",
+      "chapterTitle": "Operators"
+    },
+    {
+      "id": "018",
+      "title": "JavaScript Learning Path: Bitwise Operator Optimizations",
+      "summary": "A deep dive into Bitwise Operators in JavaScript, focusing on real-world optimizations, performance tricks, and interview-level brain-benders.",
+      "metadata": {
+        "difficulty": "advanced",
+        "duration": "20 min",
+        "minutes": 20,
+        "prerequisites": [
+          "006"
+        ],
+        "tags": [
+          "bitwise",
+          "32-bit integers",
+          "performance"
+        ],
+        "line": 5
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 12,
+          "endLine": 18,
+          "codeLine": 14,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"⚡ JavaScript Learning Path: Bitwise Operator Optimizations\");\nconsole.log(\"=============================================================================\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"⚡ JavaScript Learning Path: Bitwise Operator Optimizations\");\nconsole.log(\"=============================================================================\");",
+              "line": 14
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-double-not-for-fast-truncation",
+          "title": "Double NOT (~~) for Fast Truncation",
+          "number": "1",
+          "heading": "🔹 1. ~~ (Double Bitwise NOT) → Fast Math.floor() (for positives)",
+          "marker": "1. Double NOT (~~) for Fast Truncation",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 19,
+          "endLine": 31,
+          "codeLine": 21,
+          "code": "console.log(\"\\n--- 1. Double NOT (~~) for Fast Truncation ---\");\n// Why it works: The first NOT `~` inverts all bits and converts the float to a\n// 32-bit integer, effectively truncating the decimal. The second `~` inverts\n// the bits back, resulting in the final truncated integer.\nconsole.log(\"~~4.9 ->\", ~~4.9); // 4\n\n// ⚠️ Caveat: For negative numbers, it truncates towards zero, unlike Math.floor().\nconsole.log(\"~~-4.9 ->\", ~~-4.9); // -4\nconsole.log(\"Math.floor(-4.9) ->\", Math.floor(-4.9)); // -5",
+          "prose": [
+            "Why it works: The first NOT `~` inverts all bits and converts the float to a\n32-bit integer, effectively truncating the decimal. The second `~` inverts\nthe bits back, resulting in the final truncated integer.",
+            "⚠️ Caveat: For negative numbers, it truncates towards zero, unlike Math.floor()."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 1. Double NOT (~~) for Fast Truncation ---\");",
+              "line": 21
+            },
+            {
+              "type": "prose",
+              "text": "Why it works: The first NOT `~` inverts all bits and converts the float to a\n32-bit integer, effectively truncating the decimal. The second `~` inverts\nthe bits back, resulting in the final truncated integer.",
+              "line": 22
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"~~4.9 ->\", ~~4.9); // 4",
+              "line": 25
+            },
+            {
+              "type": "prose",
+              "text": "⚠️ Caveat: For negative numbers, it truncates towards zero, unlike Math.floor().",
+              "line": 27
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"~~-4.9 ->\", ~~-4.9); // -4\nconsole.log(\"Math.floor(-4.9) ->\", Math.floor(-4.9)); // -5",
+              "line": 28
+            }
+          ],
+          "expected": [
+            {
+              "line": 25,
+              "text": "4",
+              "kind": "inline",
+              "code": "console.log(\"~~4.9 ->\", ~~4.9);"
+            },
+            {
+              "line": 28,
+              "text": "-4",
+              "kind": "inline",
+              "code": "console.log(\"~~-4.9 ->\", ~~-4.9);"
+            },
+            {
+              "line": 29,
+              "text": "-5",
+              "kind": "inline",
+              "code": "console.log(\"Math.floor(-4.9) ->\", Math.floor(-4.9));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "2-bitwise-and-1-for-even-odd-check",
+          "title": "Bitwise AND (& 1) for Even/Odd Check",
+          "number": "2",
+          "heading": "🔹 2. num & 1 → Even/Odd Check",
+          "marker": "2. Bitwise AND (& 1) for Even/Odd Check",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 32,
+          "endLine": 44,
+          "codeLine": 34,
+          "code": "console.log(\"\\n--- 2. Bitwise AND (& 1) for Even/Odd Check ---\");\n// Why it works: The binary representation of any odd number ends in 1, and any\n// even number ends in 0. The `& 1` operation (a \"bitmask\") isolates this last\n// bit. If the result is 1, the number is odd; if 0, it's even. This is often\n// faster than `num % 2 === 0`.\nconsole.log(\"5 & 1 (is 1, so odd) ->\", 5 & 1); // 1\nconsole.log(\"8 & 1 (is 0, so even) ->\", 8 & 1); // 0\nconsole.log(5 & 1 ? \"odd\" : \"even\"); // \"odd\"\nconsole.log(8 & 1 ? \"odd\" : \"even\"); // \"even\"",
+          "prose": [
+            "Why it works: The binary representation of any odd number ends in 1, and any\neven number ends in 0. The `& 1` operation (a \"bitmask\") isolates this last\nbit. If the result is 1, the number is odd; if 0, it's even. This is often\nfaster than `num % 2 === 0`."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 2. Bitwise AND (& 1) for Even/Odd Check ---\");",
+              "line": 34
+            },
+            {
+              "type": "prose",
+              "text": "Why it works: The binary representation of any odd number ends in 1, and any\neven number ends in 0. The `& 1` operation (a \"bitmask\") isolates this last\nbit. If the result is 1, the number is odd; if 0, it's even. This is often\nfaster than `num % 2 === 0`.",
+              "line": 35
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"5 & 1 (is 1, so odd) ->\", 5 & 1); // 1\nconsole.log(\"8 & 1 (is 0, so even) ->\", 8 & 1); // 0\nconsole.log(5 & 1 ? \"odd\" : \"even\"); // \"odd\"\nconsole.log(8 & 1 ? \"odd\" : \"even\"); // \"even\"",
+              "line": 39
+            }
+          ],
+          "expected": [
+            {
+              "line": 39,
+              "text": "1",
+              "kind": "inline",
+              "code": "console.log(\"5 & 1 (is 1, so odd) ->\", 5 & 1);"
+            },
+            {
+              "line": 40,
+              "text": "0",
+              "kind": "inline",
+              "code": "console.log(\"8 & 1 (is 0, so even) ->\", 8 & 1);"
+            },
+            {
+              "line": 41,
+              "text": "\"odd\"",
+              "kind": "inline",
+              "code": "console.log(5 & 1 ? \"odd\" : \"even\");"
+            },
+            {
+              "line": 42,
+              "text": "\"even\"",
+              "kind": "inline",
+              "code": "console.log(8 & 1 ? \"odd\" : \"even\");"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "3-xor-swap-trick",
+          "title": "XOR (^) Swap Trick",
+          "number": "3",
+          "heading": "🔹 3. XOR Swap Trick (Swap without Temp Variable)",
+          "marker": "3. XOR (^) Swap Trick",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 45,
+          "endLine": 59,
+          "codeLine": 47,
+          "code": "console.log(\"\\n--- 3. XOR (^) Swap Trick ---\");\n// Why it works: The XOR operator has the property that `(x ^ y) ^ y = x`. By\n// applying it three times in a specific sequence, the values of `a` and `b`\n// are swapped without needing a temporary variable. This is more of a classic\n// computer science puzzle than a practical JS optimization today.\nlet a = 5; // binary 101\nlet b = 3; // binary 011\na = a ^ b; // a is now 6 (110)\nb = a ^ b; // b is now 5 (110 ^ 011 = 101)\na = a ^ b; // a is now 3 (110 ^ 101 = 011)\nconsole.log(\"a, b after XOR swap:\", a, b); // 3 5",
+          "prose": [
+            "Why it works: The XOR operator has the property that `(x ^ y) ^ y = x`. By\napplying it three times in a specific sequence, the values of `a` and `b`\nare swapped without needing a temporary variable. This is more of a classic\ncomputer science puzzle than a practical JS optimization today."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 3. XOR (^) Swap Trick ---\");",
+              "line": 47
+            },
+            {
+              "type": "prose",
+              "text": "Why it works: The XOR operator has the property that `(x ^ y) ^ y = x`. By\napplying it three times in a specific sequence, the values of `a` and `b`\nare swapped without needing a temporary variable. This is more of a classic\ncomputer science puzzle than a practical JS optimization today.",
+              "line": 48
+            },
+            {
+              "type": "code",
+              "text": "let a = 5; // binary 101\nlet b = 3; // binary 011\na = a ^ b; // a is now 6 (110)\nb = a ^ b; // b is now 5 (110 ^ 011 = 101)\na = a ^ b; // a is now 3 (110 ^ 101 = 011)\nconsole.log(\"a, b after XOR swap:\", a, b); // 3 5",
+              "line": 52
+            }
+          ],
+          "expected": [
+            {
+              "line": 57,
+              "text": "3 5",
+              "kind": "inline",
+              "code": "console.log(\"a, b after XOR swap:\", a, b);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "4-bitwise-or-0-to-truncate-to-integer",
+          "title": "Bitwise OR (| 0) to Truncate to Integer",
+          "number": "4",
+          "heading": "🔹 4. Force to 32-bit Integer using | 0",
+          "marker": "4. Bitwise OR (| 0) to Truncate to Integer",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 60,
+          "endLine": 69,
+          "codeLine": 62,
+          "code": "console.log(\"\\n--- 4. Bitwise OR (| 0) to Truncate to Integer ---\");\n// Why it works: The bitwise OR operator `|` forces its operands to be treated\n// as 32-bit integers. OR-ing with 0 has no effect on the integer bits but\n// effectively truncates any decimal part. It behaves like Math.trunc().\nconsole.log(\"3.7 | 0 ->\", 3.7 | 0);   // 3\nconsole.log(\"-3.7 | 0 ->\", -3.7 | 0); // -3",
+          "prose": [
+            "Why it works: The bitwise OR operator `|` forces its operands to be treated\nas 32-bit integers. OR-ing with 0 has no effect on the integer bits but\neffectively truncates any decimal part. It behaves like Math.trunc()."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 4. Bitwise OR (| 0) to Truncate to Integer ---\");",
+              "line": 62
+            },
+            {
+              "type": "prose",
+              "text": "Why it works: The bitwise OR operator `|` forces its operands to be treated\nas 32-bit integers. OR-ing with 0 has no effect on the integer bits but\neffectively truncates any decimal part. It behaves like Math.trunc().",
+              "line": 63
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"3.7 | 0 ->\", 3.7 | 0);   // 3\nconsole.log(\"-3.7 | 0 ->\", -3.7 | 0); // -3",
+              "line": 66
+            }
+          ],
+          "expected": [
+            {
+              "line": 66,
+              "text": "3",
+              "kind": "inline",
+              "code": "console.log(\"3.7 | 0 ->\", 3.7 | 0);"
+            },
+            {
+              "line": 67,
+              "text": "-3",
+              "kind": "inline",
+              "code": "console.log(\"-3.7 | 0 ->\", -3.7 | 0);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "5-bit-masking-with-and",
+          "title": "Bit Masking with AND (&)",
+          "number": "5",
+          "heading": "🔹 5. Bit Masking (Extract specific bits)",
+          "marker": "5. Bit Masking with AND (&)",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 70,
+          "endLine": 83,
+          "codeLine": 72,
+          "code": "console.log(\"\\n--- 5. Bit Masking with AND (&) ---\");\n// Why it works: A \"mask\" is a binary number with specific bits set to 1.\n// Using the AND `&` operator with a mask effectively zeroes out any bits that\n// are not set in the mask, allowing you to extract or check for specific bits.\nlet permissions = 0b1011; // 11 in decimal\nlet READ_PERMISSION = 0b0100; // 4\nconsole.log(\"Has read permission?\", (permissions & READ_PERMISSION) > 0); // true\n\nlet mask = 0b1111; // A mask to keep the last 4 bits\nconsole.log(\"123 & mask (binary 1111011 & 00001111) ->\", 123 & mask); // 11 (binary 1011)",
+          "prose": [
+            "Why it works: A \"mask\" is a binary number with specific bits set to 1.\nUsing the AND `&` operator with a mask effectively zeroes out any bits that\nare not set in the mask, allowing you to extract or check for specific bits."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 5. Bit Masking with AND (&) ---\");",
+              "line": 72
+            },
+            {
+              "type": "prose",
+              "text": "Why it works: A \"mask\" is a binary number with specific bits set to 1.\nUsing the AND `&` operator with a mask effectively zeroes out any bits that\nare not set in the mask, allowing you to extract or check for specific bits.",
+              "line": 73
+            },
+            {
+              "type": "code",
+              "text": "let permissions = 0b1011; // 11 in decimal\nlet READ_PERMISSION = 0b0100; // 4\nconsole.log(\"Has read permission?\", (permissions & READ_PERMISSION) > 0); // true\n\nlet mask = 0b1111; // A mask to keep the last 4 bits\nconsole.log(\"123 & mask (binary 1111011 & 00001111) ->\", 123 & mask); // 11 (binary 1011)",
+              "line": 76
+            }
+          ],
+          "expected": [
+            {
+              "line": 78,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"Has read permission?\", (permissions & READ_PERMISSION) > 0);"
+            },
+            {
+              "line": 81,
+              "text": "11 (binary 1011)",
+              "kind": "inline",
+              "code": "console.log(\"123 & mask (binary 1111011 & 00001111) ->\", 123 & mask);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "6-bitwise-shifts-for-fast-math",
+          "title": "Bitwise Shifts (<<, >>) for Fast Math",
+          "number": "6",
+          "heading": "🔹 6. Fast Power of Two Multiplication/Division",
+          "marker": "6. Bitwise Shifts (<<, >>) for Fast Math",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 84,
+          "endLine": 95,
+          "codeLine": 86,
+          "code": "console.log(\"\\n--- 6. Bitwise Shifts (<<, >>) for Fast Math ---\");\n// Why it works: Shifting bits to the left is equivalent to multiplying by 2 for\n// each position shifted. Shifting to the right is equivalent to dividing by 2.\n// This is much faster than standard multiplication/division.\nconsole.log(\"5 << 1 (5 * 2^1) ->\", 5 << 1);   // 10\nconsole.log(\"5 << 3 (5 * 2^3) ->\", 5 << 3);   // 40\nconsole.log(\"20 >> 1 (20 / 2^1) ->\", 20 >> 1);  // 10\nconsole.log(\"20 >> 2 (20 / 2^2) ->\", 20 >> 2);  // 5",
+          "prose": [
+            "Why it works: Shifting bits to the left is equivalent to multiplying by 2 for\neach position shifted. Shifting to the right is equivalent to dividing by 2.\nThis is much faster than standard multiplication/division."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 6. Bitwise Shifts (<<, >>) for Fast Math ---\");",
+              "line": 86
+            },
+            {
+              "type": "prose",
+              "text": "Why it works: Shifting bits to the left is equivalent to multiplying by 2 for\neach position shifted. Shifting to the right is equivalent to dividing by 2.\nThis is much faster than standard multiplication/division.",
+              "line": 87
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"5 << 1 (5 * 2^1) ->\", 5 << 1);   // 10\nconsole.log(\"5 << 3 (5 * 2^3) ->\", 5 << 3);   // 40\nconsole.log(\"20 >> 1 (20 / 2^1) ->\", 20 >> 1);  // 10\nconsole.log(\"20 >> 2 (20 / 2^2) ->\", 20 >> 2);  // 5",
+              "line": 90
+            }
+          ],
+          "expected": [
+            {
+              "line": 90,
+              "text": "10",
+              "kind": "inline",
+              "code": "console.log(\"5 << 1 (5 * 2^1) ->\", 5 << 1);"
+            },
+            {
+              "line": 91,
+              "text": "40",
+              "kind": "inline",
+              "code": "console.log(\"5 << 3 (5 * 2^3) ->\", 5 << 3);"
+            },
+            {
+              "line": 92,
+              "text": "10",
+              "kind": "inline",
+              "code": "console.log(\"20 >> 1 (20 / 2^1) ->\", 20 >> 1);"
+            },
+            {
+              "line": 93,
+              "text": "5",
+              "kind": "inline",
+              "code": "console.log(\"20 >> 2 (20 / 2^2) ->\", 20 >> 2);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "7-unsigned-right-shift",
+          "title": "Unsigned Right Shift (>>>)",
+          "number": "7",
+          "heading": "🔹 7. Convert Negative Numbers to Unsigned (>>>)",
+          "marker": "7. Unsigned Right Shift (>>>)",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 96,
+          "endLine": 105,
+          "codeLine": 98,
+          "code": "console.log(\"\\n--- 7. Unsigned Right Shift (>>>) ---\");\n// Why it works: The standard right shift `>>` is \"sign-propagating\" (it fills\n// new bits with the sign bit). The unsigned right shift `>>>` always fills\n// new bits with 0, effectively treating the number as an unsigned 32-bit integer.\nconsole.log(\"-5 >> 0 ->\", -5 >> 0);     // -5 (sign is preserved)\nconsole.log(\"-5 >>> 0 ->\", -5 >>> 0); // 4294967291 (interpreted as a large positive unsigned integer)",
+          "prose": [
+            "Why it works: The standard right shift `>>` is \"sign-propagating\" (it fills\nnew bits with the sign bit). The unsigned right shift `>>>` always fills\nnew bits with 0, effectively treating the number as an unsigned 32-bit integer."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 7. Unsigned Right Shift (>>>) ---\");",
+              "line": 98
+            },
+            {
+              "type": "prose",
+              "text": "Why it works: The standard right shift `>>` is \"sign-propagating\" (it fills\nnew bits with the sign bit). The unsigned right shift `>>>` always fills\nnew bits with 0, effectively treating the number as an unsigned 32-bit integer.",
+              "line": 99
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"-5 >> 0 ->\", -5 >> 0);     // -5 (sign is preserved)\nconsole.log(\"-5 >>> 0 ->\", -5 >>> 0); // 4294967291 (interpreted as a large positive unsigned integer)",
+              "line": 102
+            }
+          ],
+          "expected": [
+            {
+              "line": 102,
+              "text": "-5 (sign is preserved)",
+              "kind": "inline",
+              "code": "console.log(\"-5 >> 0 ->\", -5 >> 0);"
+            },
+            {
+              "line": 103,
+              "text": "4294967291 (interpreted as a large positive unsigned integer)",
+              "kind": "inline",
+              "code": "console.log(\"-5 >>> 0 ->\", -5 >>> 0);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "quick-summary-of-use-cases",
+          "title": "Quick Summary of Use Cases",
+          "number": null,
+          "heading": "🎯 Quick Summary of Use Cases",
+          "marker": null,
+          "level": 1,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 106,
+          "endLine": 120,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "| Trick        | Use Case                | Notes                                       |\n| :----------- | :---------------------- | :------------------------------------------ |\n| `~~x`        | Fast truncation         | Beware negative numbers (differs from `Math.floor`) |\n| `x & 1`      | Even/Odd check          | Faster than modulo                          |\n| `a^=b^=a^=b` | Memory swap trick       | Interview use, not production               |\n| `x | 0`      | Truncate to int         | Similar to `Math.trunc()`                   |\n| `& mask`     | Extract bits            | Used in graphics/flags                      |\n| `<<`, `>>`   | Multiply/div by 2^k     | Fastest, but only for ints                  |\n| `>>>`        | Unsigned conversion     | Useful in binary ops                        |"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "| Trick        | Use Case                | Notes                                       |\n| :----------- | :---------------------- | :------------------------------------------ |\n| `~~x`        | Fast truncation         | Beware negative numbers (differs from `Math.floor`) |\n| `x & 1`      | Even/Odd check          | Faster than modulo                          |\n| `a^=b^=a^=b` | Memory swap trick       | Interview use, not production               |\n| `x | 0`      | Truncate to int         | Similar to `Math.trunc()`                   |\n| `& mask`     | Extract bits            | Used in graphics/flags                      |\n| `<<`, `>>`   | Multiply/div by 2^k     | Fastest, but only for ints                  |\n| `>>>`        | Unsigned conversion     | Useful in binary ops                        |",
+              "line": 108
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "brain-bender",
+          "title": "Brain-Bender",
+          "number": null,
+          "heading": "🧠 Interview Brain-Bender",
+          "marker": "Brain-Bender",
+          "level": 1,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 121,
+          "endLine": 131,
+          "codeLine": 129,
+          "code": "console.log(\"\\n--- Brain-Bender ---\");\nconsole.log(\"How can you properly floor -3.7 to -4 using bitwise operators?\");",
+          "prose": [
+            "❓ Imagine you want to floor a negative decimal properly using bitwise operators\n(so -3.7 becomes -4).\n\nHow can you modify the `~~` or `|0` trick to achieve that?"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "❓ Imagine you want to floor a negative decimal properly using bitwise operators\n(so -3.7 becomes -4).\n\nHow can you modify the `~~` or `|0` trick to achieve that?",
+              "line": 123
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Brain-Bender ---\");\nconsole.log(\"How can you properly floor -3.7 to -4 using bitwise operators?\");",
+              "line": 129
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "018_bitwise-operators-deep-dive.js",
+      "chapter": "003_OperatorsInside",
+      "path": "scripts/003_OperatorsInside/018_bitwise-operators-deep-dive.js",
+      "chapterTitle": "Operators"
+    },
+    {
+      "id": "019",
+      "title": "JavaScript Learning Path: Assignment & Destructuring Deep Dive",
+      "summary": "A deep dive into JavaScript's Assignment Operators and Destructuring syntax, covering the internal evaluation process, reference vs. value, and common interview brain-benders.",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "30 min",
+        "minutes": 30,
+        "prerequisites": [
+          "004"
+        ],
+        "tags": [
+          "assignment",
+          "references",
+          "destructuring"
+        ],
+        "line": 6
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 13,
+          "endLine": 19,
+          "codeLine": 15,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"🔥 JavaScript Learning Path: Assignment & Destructuring Deep Dive\");\nconsole.log(\"=============================================================================\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"🔥 JavaScript Learning Path: Assignment & Destructuring Deep Dive\");\nconsole.log(\"=============================================================================\");",
+              "line": 15
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "case-1-assignment-with-primitives",
+          "title": "Case 1: Assignment with Primitives",
+          "number": null,
+          "heading": "🔍 Assignment in JavaScript = A Two-Phase Process",
+          "marker": "Case 1: Assignment with Primitives",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 20,
+          "endLine": 36,
+          "codeLine": 29,
+          "code": "console.log(\"\\n--- Case 1: Assignment with Primitives ---\");\n// Primitives (Number, String, Boolean, etc.) are assigned by value.\n// A copy of the value is created.\nlet x_c1 = 5;\nlet y_c1 = x_c1; // y_c1 gets a copy of the value 5.\ny_c1 = 10; // This only changes y_c1, not x_c1.\nconsole.log(\"x_c1, y_c1 ->\", x_c1, y_c1); // 5 10",
+          "prose": [
+            "When you write `a = b`, it's not a single action. The engine does this:\n1. Evaluate RHS (Right-Hand Side): Get the actual value or reference from `b`.\n2. Resolve LHS (Left-Hand Side): Find the memory location for `a`.\n3. Assign: Copy the value/reference from RHS to the LHS location.\nThis model explains many corner cases.",
+            "--- Case 1: Assignment with Primitives ---",
+            "Primitives (Number, String, Boolean, etc.) are assigned by value.\nA copy of the value is created."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "When you write `a = b`, it's not a single action. The engine does this:\n1. Evaluate RHS (Right-Hand Side): Get the actual value or reference from `b`.\n2. Resolve LHS (Left-Hand Side): Find the memory location for `a`.\n3. Assign: Copy the value/reference from RHS to the LHS location.\nThis model explains many corner cases.",
+              "line": 22
+            },
+            {
+              "type": "prose",
+              "text": "--- Case 1: Assignment with Primitives ---",
+              "line": 28
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 1: Assignment with Primitives ---\");",
+              "line": 29
+            },
+            {
+              "type": "prose",
+              "text": "Primitives (Number, String, Boolean, etc.) are assigned by value.\nA copy of the value is created.",
+              "line": 30
+            },
+            {
+              "type": "code",
+              "text": "let x_c1 = 5;\nlet y_c1 = x_c1; // y_c1 gets a copy of the value 5.\ny_c1 = 10; // This only changes y_c1, not x_c1.\nconsole.log(\"x_c1, y_c1 ->\", x_c1, y_c1); // 5 10",
+              "line": 32
+            }
+          ],
+          "expected": [
+            {
+              "line": 35,
+              "text": "5 10",
+              "kind": "inline",
+              "code": "console.log(\"x_c1, y_c1 ->\", x_c1, y_c1);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-2-assignment-with-objects",
+          "title": "Case 2: Assignment with Objects",
+          "number": null,
+          "heading": null,
+          "marker": "Case 2: Assignment with Objects",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 37,
+          "endLine": 45,
+          "codeLine": 38,
+          "code": "console.log(\"\\n--- Case 2: Assignment with Objects ---\");\n// Objects (including arrays and functions) are assigned by reference.\n// Both variables point to the *same* object in memory.\nlet obj1_c2 = { name: \"JS\" };\nlet obj2_c2 = obj1_c2; // obj2_c2 now points to the same object as obj1_c2.\nobj2_c2.name = \"ECMAScript\"; // Mutating the object through one variable affects the other.\nconsole.log(\"obj1_c2.name ->\", obj1_c2.name); // ECMAScript",
+          "prose": [
+            "--- Case 2: Assignment with Objects (Reference!) ---",
+            "Objects (including arrays and functions) are assigned by reference.\nBoth variables point to the *same* object in memory."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 2: Assignment with Objects (Reference!) ---",
+              "line": 37
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 2: Assignment with Objects ---\");",
+              "line": 38
+            },
+            {
+              "type": "prose",
+              "text": "Objects (including arrays and functions) are assigned by reference.\nBoth variables point to the *same* object in memory.",
+              "line": 39
+            },
+            {
+              "type": "code",
+              "text": "let obj1_c2 = { name: \"JS\" };\nlet obj2_c2 = obj1_c2; // obj2_c2 now points to the same object as obj1_c2.\nobj2_c2.name = \"ECMAScript\"; // Mutating the object through one variable affects the other.\nconsole.log(\"obj1_c2.name ->\", obj1_c2.name); // ECMAScript",
+              "line": 41
+            }
+          ],
+          "expected": [
+            {
+              "line": 44,
+              "text": "ECMAScript",
+              "kind": "inline",
+              "code": "console.log(\"obj1_c2.name ->\", obj1_c2.name);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-3-chained-assignments",
+          "title": "Case 3: Chained Assignments",
+          "number": null,
+          "heading": null,
+          "marker": "Case 3: Chained Assignments",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 46,
+          "endLine": 52,
+          "codeLine": 47,
+          "code": "console.log(\"\\n--- Case 3: Chained Assignments ---\");\n// Assignment is right-to-left associative. `a = b = c = 10` is like `a = (b = (c = 10))`.\nlet a_c3, b_c3, c_c3;\na_c3 = b_c3 = c_c3 = 10;\nconsole.log(\"a, b, c ->\", a_c3, b_c3, c_c3); // 10 10 10",
+          "prose": [
+            "--- Case 3: Assignment in Chains ---",
+            "Assignment is right-to-left associative. `a = b = c = 10` is like `a = (b = (c = 10))`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 3: Assignment in Chains ---",
+              "line": 46
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 3: Chained Assignments ---\");",
+              "line": 47
+            },
+            {
+              "type": "prose",
+              "text": "Assignment is right-to-left associative. `a = b = c = 10` is like `a = (b = (c = 10))`.",
+              "line": 48
+            },
+            {
+              "type": "code",
+              "text": "let a_c3, b_c3, c_c3;\na_c3 = b_c3 = c_c3 = 10;\nconsole.log(\"a, b, c ->\", a_c3, b_c3, c_c3); // 10 10 10",
+              "line": 49
+            }
+          ],
+          "expected": [
+            {
+              "line": 51,
+              "text": "10 10 10",
+              "kind": "inline",
+              "code": "console.log(\"a, b, c ->\", a_c3, b_c3, c_c3);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-4-assignment-to-non-writable",
+          "title": "Case 4: Assignment to Non-Writable",
+          "number": null,
+          "heading": null,
+          "marker": "Case 4: Assignment to Non-Writable",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 53,
+          "endLine": 62,
+          "codeLine": 54,
+          "code": "console.log(\"\\n--- Case 4: Assignment to Non-Writable ---\");\n// You cannot assign a new value to a constant.\nconst PI_c4 = 3.14;\ntry {\n  PI_c4 = 3.1415;\n} catch (e) {\n  console.log(\"Error assigning to const:\", e.message); // TypeError\n}",
+          "prose": [
+            "--- Case 4: Assignment to Non-Writable ---",
+            "You cannot assign a new value to a constant."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 4: Assignment to Non-Writable ---",
+              "line": 53
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 4: Assignment to Non-Writable ---\");",
+              "line": 54
+            },
+            {
+              "type": "prose",
+              "text": "You cannot assign a new value to a constant.",
+              "line": 55
+            },
+            {
+              "type": "code",
+              "text": "const PI_c4 = 3.14;\ntry {\n  PI_c4 = 3.1415;\n} catch (e) {\n  console.log(\"Error assigning to const:\", e.message); // TypeError\n}",
+              "line": 56
+            }
+          ],
+          "expected": [
+            {
+              "line": 60,
+              "text": "TypeError",
+              "kind": "inline",
+              "code": "console.log(\"Error assigning to const:\", e.message);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-5-destructuring-assignment",
+          "title": "Case 5: Destructuring Assignment",
+          "number": null,
+          "heading": null,
+          "marker": "Case 5: Destructuring Assignment",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 63,
+          "endLine": 69,
+          "codeLine": 64,
+          "code": "console.log(\"\\n--- Case 5: Destructuring Assignment ---\");\n// A shorter syntax to unpack values from arrays or properties from objects.\nlet [x_c5, y_c5] = [10, 20];\nlet { name: name_c5, age: age_c5 } = { name: \"Alice\", age: 25 };\nconsole.log(\"x, y, name, age ->\", x_c5, y_c5, name_c5, age_c5); // 10 20 Alice 25",
+          "prose": [
+            "--- Case 5: Destructuring Assignment ---",
+            "A shorter syntax to unpack values from arrays or properties from objects."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 5: Destructuring Assignment ---",
+              "line": 63
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 5: Destructuring Assignment ---\");",
+              "line": 64
+            },
+            {
+              "type": "prose",
+              "text": "A shorter syntax to unpack values from arrays or properties from objects.",
+              "line": 65
+            },
+            {
+              "type": "code",
+              "text": "let [x_c5, y_c5] = [10, 20];\nlet { name: name_c5, age: age_c5 } = { name: \"Alice\", age: 25 };\nconsole.log(\"x, y, name, age ->\", x_c5, y_c5, name_c5, age_c5); // 10 20 Alice 25",
+              "line": 66
+            }
+          ],
+          "expected": [
+            {
+              "line": 68,
+              "text": "10 20 Alice 25",
+              "kind": "inline",
+              "code": "console.log(\"x, y, name, age ->\", x_c5, y_c5, name_c5, age_c5);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-6-assignment-as-an-expression",
+          "title": "Case 6: Assignment as an Expression",
+          "number": null,
+          "heading": null,
+          "marker": "Case 6: Assignment as an Expression",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 70,
+          "endLine": 76,
+          "codeLine": 71,
+          "code": "console.log(\"\\n--- Case 6: Assignment as an Expression ---\");\n// The assignment operator `=` returns the value that was assigned.\nlet x_c6;\nlet y_c6 = (x_c6 = 5); // x_c6 is assigned 5, and the result (5) is assigned to y_c6.\nconsole.log(\"x, y ->\", x_c6, y_c6); // 5 5",
+          "prose": [
+            "--- Case 6: Assignment as an Expression ---",
+            "The assignment operator `=` returns the value that was assigned."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 6: Assignment as an Expression ---",
+              "line": 70
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 6: Assignment as an Expression ---\");",
+              "line": 71
+            },
+            {
+              "type": "prose",
+              "text": "The assignment operator `=` returns the value that was assigned.",
+              "line": 72
+            },
+            {
+              "type": "code",
+              "text": "let x_c6;\nlet y_c6 = (x_c6 = 5); // x_c6 is assigned 5, and the result (5) is assigned to y_c6.\nconsole.log(\"x, y ->\", x_c6, y_c6); // 5 5",
+              "line": 73
+            }
+          ],
+          "expected": [
+            {
+              "line": 75,
+              "text": "5 5",
+              "kind": "inline",
+              "code": "console.log(\"x, y ->\", x_c6, y_c6);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "case-7-property-vs-variable",
+          "title": "Case 7: Property vs Variable",
+          "number": null,
+          "heading": null,
+          "marker": "Case 7: Property vs Variable",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 77,
+          "endLine": 84,
+          "codeLine": 78,
+          "code": "console.log(\"\\n--- Case 7: Property vs Variable ---\");\n// Assignment to an object property also returns the assigned value.\nlet obj_c7 = {};\nlet a_c7 = (obj_c7.prop = 100);\nconsole.log(\"a, obj.prop ->\", a_c7, obj_c7.prop); // 100 100",
+          "prose": [
+            "--- Case 7: Property vs Variable ---",
+            "Assignment to an object property also returns the assigned value."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Case 7: Property vs Variable ---",
+              "line": 77
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Case 7: Property vs Variable ---\");",
+              "line": 78
+            },
+            {
+              "type": "prose",
+              "text": "Assignment to an object property also returns the assigned value.",
+              "line": 79
+            },
+            {
+              "type": "code",
+              "text": "let obj_c7 = {};\nlet a_c7 = (obj_c7.prop = 100);\nconsole.log(\"a, obj.prop ->\", a_c7, obj_c7.prop); // 100 100",
+              "line": 80
+            }
+          ],
+          "expected": [
+            {
+              "line": 82,
+              "text": "100 100",
+              "kind": "inline",
+              "code": "console.log(\"a, obj.prop ->\", a_c7, obj_c7.prop);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "brain-bender-chained-assignment-with-mutation",
+          "title": "Brain-Bender: Chained Assignment with Mutation",
+          "number": null,
+          "heading": "⚔️ Brain-Bender (Interview Trick)",
+          "marker": "Brain-Bender: Chained Assignment with Mutation",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 85,
+          "endLine": 105,
+          "codeLine": 87,
+          "code": "console.log(\"\\n--- Brain-Bender: Chained Assignment with Mutation ---\");\nlet a_bb = { n: 1 };\nlet b_bb = a_bb; // `b_bb` and `a_bb` point to the same object { n: 1 }\n\n// The tricky line:\n// 1. The LHS reference `a_bb.x` is resolved first. At this point, `a_bb` points to the original object `{ n: 1 }`.\n//    So, the engine knows it needs to set the `x` property on *that* object.\n// 2. The RHS expression `a_bb = { n: 2 }` is evaluated.\n//    - `a_bb` is reassigned to point to a new object `{ n: 2 }`.\n//    - The result of this assignment expression is the new object, `{ n: 2 }`.\n// 3. The engine completes the original assignment from step 1: it assigns the result from step 2 (`{ n: 2 }`)\n//    to the property `x` of the object it identified in step 1. Since `b_bb` still points to that original\n//    object, this is equivalent to `b_bb.x = { n: 2 }`.\na_bb.x = a_bb = { n: 2 };\n\nconsole.log(\"a.x ->\", a_bb.x); // `a_bb` is now the new object `{ n: 2 }`, which has no `x` property.\nconsole.log(\"b.x ->\", b_bb.x); // `b_bb` still points to the original object, which was mutated.",
+          "prose": [
+            "The tricky line:\n1. The LHS reference `a_bb.x` is resolved first. At this point, `a_bb` points to the original object `{ n: 1 }`.\n   So, the engine knows it needs to set the `x` property on *that* object.\n2. The RHS expression `a_bb = { n: 2 }` is evaluated.\n   - `a_bb` is reassigned to point to a new object `{ n: 2 }`.\n   - The result of this assignment expression is the new object, `{ n: 2 }`.\n3. The engine completes the original assignment from step 1: it assigns the result from step 2 (`{ n: 2 }`)\n   to the property `x` of the object it identified in step 1. Since `b_bb` still points to that original\n   object, this is equivalent to `b_bb.x = { n: 2 }`."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Brain-Bender: Chained Assignment with Mutation ---\");\nlet a_bb = { n: 1 };\nlet b_bb = a_bb; // `b_bb` and `a_bb` point to the same object { n: 1 }",
+              "line": 87
+            },
+            {
+              "type": "prose",
+              "text": "The tricky line:\n1. The LHS reference `a_bb.x` is resolved first. At this point, `a_bb` points to the original object `{ n: 1 }`.\n   So, the engine knows it needs to set the `x` property on *that* object.\n2. The RHS expression `a_bb = { n: 2 }` is evaluated.\n   - `a_bb` is reassigned to point to a new object `{ n: 2 }`.\n   - The result of this assignment expression is the new object, `{ n: 2 }`.\n3. The engine completes the original assignment from step 1: it assigns the result from step 2 (`{ n: 2 }`)\n   to the property `x` of the object it identified in step 1. Since `b_bb` still points to that original\n   object, this is equivalent to `b_bb.x = { n: 2 }`.",
+              "line": 91
+            },
+            {
+              "type": "code",
+              "text": "a_bb.x = a_bb = { n: 2 };\n\nconsole.log(\"a.x ->\", a_bb.x); // `a_bb` is now the new object `{ n: 2 }`, which has no `x` property.\nconsole.log(\"b.x ->\", b_bb.x); // `b_bb` still points to the original object, which was mutated.",
+              "line": 100
+            }
+          ],
+          "expected": [
+            {
+              "line": 102,
+              "text": "`a_bb` is now the new object `{ n: 2 }`, which has no `x` property.",
+              "kind": "inline",
+              "code": "console.log(\"a.x ->\", a_bb.x);"
+            },
+            {
+              "line": 103,
+              "text": "`b_bb` still points to the original object, which was mutated.",
+              "kind": "inline",
+              "code": "console.log(\"b.x ->\", b_bb.x);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "deep-dive-destructuring-in-javascript",
+          "title": "Deep Dive: Destructuring in JavaScript",
+          "number": null,
+          "heading": "🔑 Deep Dive: Destructuring in JavaScript",
+          "marker": null,
+          "level": 1,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 106,
+          "endLine": 112,
+          "codeLine": 108,
+          "code": "console.log(\"\\n=============================================================================\");\nconsole.log(\"🔑 Deep Dive: Destructuring in JavaScript\");\nconsole.log(\"=============================================================================\");",
+          "prose": [
+            "Destructuring is syntactic sugar to unpack values from arrays or objects."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n=============================================================================\");\nconsole.log(\"🔑 Deep Dive: Destructuring in JavaScript\");\nconsole.log(\"=============================================================================\");",
+              "line": 108
+            },
+            {
+              "type": "prose",
+              "text": "Destructuring is syntactic sugar to unpack values from arrays or objects.",
+              "line": 111
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-array-destructuring",
+          "title": "Array Destructuring",
+          "number": "1",
+          "heading": null,
+          "marker": "1. Array Destructuring",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 113,
+          "endLine": 120,
+          "codeLine": 114,
+          "code": "console.log(\"\\n--- 1. Array Destructuring ---\");\nconst [a_d1, b_d1, c_d1] = [10, 20, 30];\nconsole.log(\"a, b, c ->\", a_d1, b_d1, c_d1); // 10 20 30\n// Skipping values with commas\nconst [first_d1, , third_d1] = [100, 200, 300];\nconsole.log(\"first, third ->\", first_d1, third_d1); // 100 300",
+          "prose": [
+            "--- 1. Array Destructuring ---",
+            "Skipping values with commas"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 1. Array Destructuring ---",
+              "line": 113
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 1. Array Destructuring ---\");\nconst [a_d1, b_d1, c_d1] = [10, 20, 30];\nconsole.log(\"a, b, c ->\", a_d1, b_d1, c_d1); // 10 20 30",
+              "line": 114
+            },
+            {
+              "type": "prose",
+              "text": "Skipping values with commas",
+              "line": 117
+            },
+            {
+              "type": "code",
+              "text": "const [first_d1, , third_d1] = [100, 200, 300];\nconsole.log(\"first, third ->\", first_d1, third_d1); // 100 300",
+              "line": 118
+            }
+          ],
+          "expected": [
+            {
+              "line": 116,
+              "text": "10 20 30",
+              "kind": "inline",
+              "code": "console.log(\"a, b, c ->\", a_d1, b_d1, c_d1);"
+            },
+            {
+              "line": 119,
+              "text": "100 300",
+              "kind": "inline",
+              "code": "console.log(\"first, third ->\", first_d1, third_d1);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "2-object-destructuring",
+          "title": "Object Destructuring",
+          "number": "2",
+          "heading": null,
+          "marker": "2. Object Destructuring",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 121,
+          "endLine": 129,
+          "codeLine": 122,
+          "code": "console.log(\"\\n--- 2. Object Destructuring ---\");\nconst user_d2 = { id: 1, name: \"Alice\", age: 25 };\nconst { id: id_d2, name: name_d2 } = user_d2;\nconsole.log(\"id, name ->\", id_d2, name_d2); // 1 Alice\n// Renaming variables\nconst { name: username_d2 } = user_d2;\nconsole.log(\"username ->\", username_d2); // Alice",
+          "prose": [
+            "--- 2. Object Destructuring ---",
+            "Renaming variables"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 2. Object Destructuring ---",
+              "line": 121
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 2. Object Destructuring ---\");\nconst user_d2 = { id: 1, name: \"Alice\", age: 25 };\nconst { id: id_d2, name: name_d2 } = user_d2;\nconsole.log(\"id, name ->\", id_d2, name_d2); // 1 Alice",
+              "line": 122
+            },
+            {
+              "type": "prose",
+              "text": "Renaming variables",
+              "line": 126
+            },
+            {
+              "type": "code",
+              "text": "const { name: username_d2 } = user_d2;\nconsole.log(\"username ->\", username_d2); // Alice",
+              "line": 127
+            }
+          ],
+          "expected": [
+            {
+              "line": 125,
+              "text": "1 Alice",
+              "kind": "inline",
+              "code": "console.log(\"id, name ->\", id_d2, name_d2);"
+            },
+            {
+              "line": 128,
+              "text": "Alice",
+              "kind": "inline",
+              "code": "console.log(\"username ->\", username_d2);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "3-default-values",
+          "title": "Default Values",
+          "number": "3",
+          "heading": null,
+          "marker": "3. Default Values",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 130,
+          "endLine": 137,
+          "codeLine": 131,
+          "code": "console.log(\"\\n--- 3. Default Values ---\");\n// Provides a fallback if the value is `undefined`.\nconst [a_d3 = 10, b_d3 = 20] = [5];\nconsole.log(\"a, b ->\", a_d3, b_d3); // 5 20\nconst { role: role_d3 = \"guest\" } = { name: \"Alice\" };\nconsole.log(\"role ->\", role_d3); // guest",
+          "prose": [
+            "--- 3. Default Values ---",
+            "Provides a fallback if the value is `undefined`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 3. Default Values ---",
+              "line": 130
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 3. Default Values ---\");",
+              "line": 131
+            },
+            {
+              "type": "prose",
+              "text": "Provides a fallback if the value is `undefined`.",
+              "line": 132
+            },
+            {
+              "type": "code",
+              "text": "const [a_d3 = 10, b_d3 = 20] = [5];\nconsole.log(\"a, b ->\", a_d3, b_d3); // 5 20\nconst { role: role_d3 = \"guest\" } = { name: \"Alice\" };\nconsole.log(\"role ->\", role_d3); // guest",
+              "line": 133
+            }
+          ],
+          "expected": [
+            {
+              "line": 134,
+              "text": "5 20",
+              "kind": "inline",
+              "code": "console.log(\"a, b ->\", a_d3, b_d3);"
+            },
+            {
+              "line": 136,
+              "text": "guest",
+              "kind": "inline",
+              "code": "console.log(\"role ->\", role_d3);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "4-nested-destructuring",
+          "title": "Nested Destructuring",
+          "number": "4",
+          "heading": null,
+          "marker": "4. Nested Destructuring",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 138,
+          "endLine": 146,
+          "codeLine": 139,
+          "code": "console.log(\"\\n--- 4. Nested Destructuring ---\");\nconst user_d4 = { id: 1, profile: { name: \"Alice\", address: { city: \"Paris\" } } };\nconst { profile: { address: { city: city_d4 } } } = user_d4;\nconsole.log(\"city ->\", city_d4); // Paris\n// With defaults to prevent errors on missing properties\nconst { profile: { address: { city: city_d4_safe } = {} } = {} } = {};\nconsole.log(\"Safe nested city ->\", city_d4_safe); // undefined (no crash)",
+          "prose": [
+            "--- 4. Nested Destructuring ---",
+            "With defaults to prevent errors on missing properties"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 4. Nested Destructuring ---",
+              "line": 138
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 4. Nested Destructuring ---\");\nconst user_d4 = { id: 1, profile: { name: \"Alice\", address: { city: \"Paris\" } } };\nconst { profile: { address: { city: city_d4 } } } = user_d4;\nconsole.log(\"city ->\", city_d4); // Paris",
+              "line": 139
+            },
+            {
+              "type": "prose",
+              "text": "With defaults to prevent errors on missing properties",
+              "line": 143
+            },
+            {
+              "type": "code",
+              "text": "const { profile: { address: { city: city_d4_safe } = {} } = {} } = {};\nconsole.log(\"Safe nested city ->\", city_d4_safe); // undefined (no crash)",
+              "line": 144
+            }
+          ],
+          "expected": [
+            {
+              "line": 142,
+              "text": "Paris",
+              "kind": "inline",
+              "code": "console.log(\"city ->\", city_d4);"
+            },
+            {
+              "line": 145,
+              "text": "undefined (no crash)",
+              "kind": "inline",
+              "code": "console.log(\"Safe nested city ->\", city_d4_safe);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "5-rest-operator",
+          "title": "Rest Operator",
+          "number": "5",
+          "heading": null,
+          "marker": "5. Rest Operator",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 147,
+          "endLine": 154,
+          "codeLine": 148,
+          "code": "console.log(\"\\n--- 5. Rest Operator ---\");\n// Collects the remaining elements or properties.\nconst [first_d5, ...rest_d5] = [10, 20, 30, 40];\nconsole.log(\"first, rest ->\", first_d5, rest_d5); // 10 [ 20, 30, 40 ]\nconst { id: id_d5, ...details_d5 } = { id: 1, name: \"Alice\", age: 25 };\nconsole.log(\"details ->\", details_d5); // { name: 'Alice', age: 25 }",
+          "prose": [
+            "--- 5. Rest Operator with Destructuring ---",
+            "Collects the remaining elements or properties."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 5. Rest Operator with Destructuring ---",
+              "line": 147
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 5. Rest Operator ---\");",
+              "line": 148
+            },
+            {
+              "type": "prose",
+              "text": "Collects the remaining elements or properties.",
+              "line": 149
+            },
+            {
+              "type": "code",
+              "text": "const [first_d5, ...rest_d5] = [10, 20, 30, 40];\nconsole.log(\"first, rest ->\", first_d5, rest_d5); // 10 [ 20, 30, 40 ]\nconst { id: id_d5, ...details_d5 } = { id: 1, name: \"Alice\", age: 25 };\nconsole.log(\"details ->\", details_d5); // { name: 'Alice', age: 25 }",
+              "line": 150
+            }
+          ],
+          "expected": [
+            {
+              "line": 151,
+              "text": "10 [ 20, 30, 40 ]",
+              "kind": "inline",
+              "code": "console.log(\"first, rest ->\", first_d5, rest_d5);"
+            },
+            {
+              "line": 153,
+              "text": "{ name: 'Alice', age: 25 }",
+              "kind": "inline",
+              "code": "console.log(\"details ->\", details_d5);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "6-function-parameter-destructuring",
+          "title": "Function Parameter Destructuring",
+          "number": "6",
+          "heading": null,
+          "marker": "6. Function Parameter Destructuring",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 155,
+          "endLine": 162,
+          "codeLine": 156,
+          "code": "console.log(\"\\n--- 6. Function Parameter Destructuring ---\");\nfunction printUser({ name, age }) {\n  console.log(`User: ${name}, Age: ${age}`);\n}\nprintUser({ name: \"Alice\", age: 25 });",
+          "prose": [
+            "--- 6. Function Parameter Destructuring ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 6. Function Parameter Destructuring ---",
+              "line": 155
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 6. Function Parameter Destructuring ---\");\nfunction printUser({ name, age }) {\n  console.log(`User: ${name}, Age: ${age}`);\n}\nprintUser({ name: \"Alice\", age: 25 });",
+              "line": 156
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "destructuring-brain-benders-for-you-to-solve",
+          "title": "Destructuring Brain-Benders (for you to solve)",
+          "number": null,
+          "heading": "🚀 Destructuring Brain-Benders",
+          "marker": "Destructuring Brain-Benders (for you to solve)",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 163,
+          "endLine": 185,
+          "codeLine": 165,
+          "code": "console.log(\"\\n--- Destructuring Brain-Benders (for you to solve) ---\");\n\n// Q1: What will this log?\nconsole.log(\"\\nQ1:\");\nconst [a_db1, b_db1 = a_db1] = [1];\nconsole.log(\"  const [a, b = a] = [1]; ->\", a_db1, b_db1);\n\n// Q2: Predict output:\nconsole.log(\"\\nQ2:\");\nconst { x: y_db2 = 10 } = { x: undefined };\nconsole.log(\"  const { x: y = 10 } = { x: undefined }; ->\", y_db2);\n\n// Q3: Predict output:\nconsole.log(\"\\nQ3:\");\ntry {\n  const { a: a_db3, b: { c: c_db3 } } = { a: 1 };\n  console.log(\"  const { a, b: { c } } = { a: 1 }; ->\", c_db3);\n} catch (e) {\n  console.log(\"  Error in Q3:\", e.message);\n}",
+          "prose": [
+            "Q1: What will this log?",
+            "Q2: Predict output:",
+            "Q3: Predict output:"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Destructuring Brain-Benders (for you to solve) ---\");",
+              "line": 165
+            },
+            {
+              "type": "prose",
+              "text": "Q1: What will this log?",
+              "line": 167
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\nQ1:\");\nconst [a_db1, b_db1 = a_db1] = [1];\nconsole.log(\"  const [a, b = a] = [1]; ->\", a_db1, b_db1);",
+              "line": 168
+            },
+            {
+              "type": "prose",
+              "text": "Q2: Predict output:",
+              "line": 172
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\nQ2:\");\nconst { x: y_db2 = 10 } = { x: undefined };\nconsole.log(\"  const { x: y = 10 } = { x: undefined }; ->\", y_db2);",
+              "line": 173
+            },
+            {
+              "type": "prose",
+              "text": "Q3: Predict output:",
+              "line": 177
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\nQ3:\");\ntry {\n  const { a: a_db3, b: { c: c_db3 } } = { a: 1 };\n  console.log(\"  const { a, b: { c } } = { a: 1 }; ->\", c_db3);\n} catch (e) {\n  console.log(\"  Error in Q3:\", e.message);\n}",
+              "line": 178
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "019_assignment-and-destructuring-deep-dive.js",
+      "chapter": "003_OperatorsInside",
+      "path": "scripts/003_OperatorsInside/019_assignment-and-destructuring-deep-dive.js",
+      "chapterTitle": "Operators"
+    },
+    {
+      "id": "020",
+      "title": "JavaScript Learning Path: Internals of Destructuring",
+      "summary": "A deep dive into how JavaScript destructuring works under the hood in engines like V8 and SpiderMonkey. This file explains the \"syntactic sugar\" by showing the code it translates to.",
+      "metadata": {
+        "difficulty": "advanced",
+        "duration": "25 min",
+        "minutes": 25,
+        "prerequisites": [
+          "019"
+        ],
+        "tags": [
+          "destructuring",
+          "internals",
+          "iterators"
+        ],
+        "line": 6
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 13,
+          "endLine": 22,
+          "codeLine": 15,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"⚙️ JavaScript Learning Path: Internals of Destructuring\");\nconsole.log(\"=============================================================================\");",
+          "prose": [
+            "At its core, destructuring is just syntactic sugar.\nThe engine translates it into property lookups and assignments during execution."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"⚙️ JavaScript Learning Path: Internals of Destructuring\");\nconsole.log(\"=============================================================================\");",
+              "line": 15
+            },
+            {
+              "type": "prose",
+              "text": "At its core, destructuring is just syntactic sugar.\nThe engine translates it into property lookups and assignments during execution.",
+              "line": 19
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-array-destructuring-internals",
+          "title": "Array Destructuring Internals",
+          "number": "1",
+          "heading": "1. Array Destructuring Internals",
+          "marker": "1. Array Destructuring Internals",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 23,
+          "endLine": 38,
+          "codeLine": 25,
+          "code": "console.log(\"\\n--- 1. Array Destructuring Internals ---\");\n\n// Your code:\nconst [arr_a, arr_b] = [10, 20];\nconsole.log(\"const [a, b] = [10, 20]; ->\", `a=${arr_a}, b=${arr_b}`);\n\n// 🔍 Engine expands it roughly like:\n/*\nlet temp = [10, 20];\nlet a = temp[0];\nlet b = temp[1];\n*/\nconsole.log(\"✅ So destructuring is not magic — it’s just shorthand for indexing.\");",
+          "prose": [
+            "Your code:",
+            "🔍 Engine expands it roughly like:",
+            "let temp = [10, 20];\nlet a = temp[0];\nlet b = temp[1];"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 1. Array Destructuring Internals ---\");",
+              "line": 25
+            },
+            {
+              "type": "prose",
+              "text": "Your code:",
+              "line": 27
+            },
+            {
+              "type": "code",
+              "text": "const [arr_a, arr_b] = [10, 20];\nconsole.log(\"const [a, b] = [10, 20]; ->\", `a=${arr_a}, b=${arr_b}`);",
+              "line": 28
+            },
+            {
+              "type": "prose",
+              "text": "🔍 Engine expands it roughly like:",
+              "line": 31
+            },
+            {
+              "type": "prose",
+              "text": "let temp = [10, 20];\nlet a = temp[0];\nlet b = temp[1];",
+              "line": 32
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"✅ So destructuring is not magic — it’s just shorthand for indexing.\");",
+              "line": 37
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "advanced-case-skipping-values",
+          "title": "Advanced Case: Skipping values",
+          "number": null,
+          "heading": null,
+          "marker": "Advanced Case: Skipping values",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 39,
+          "endLine": 62,
+          "codeLine": 40,
+          "code": "console.log(\"\\n--- Advanced Case: Skipping values ---\");\n// Your code:\nconst [skip_a, , skip_b] = [10, 20, 30];\nconsole.log(\"const [a, , b] = [10, 20, 30]; ->\", `a=${skip_a}, b=${skip_b}`);\n\n// Internally:\n/*\nlet temp = [10, 20, 30];\nlet a = temp[0];\n// skip temp[1]\nlet b = temp[2];\n*/\n\n// ⚠️ Performance Note: Skipped values are still evaluated, only not assigned.\nconsole.log(\"\\n⚠️ Skipped values are still evaluated:\");\nfunction heavy() {\n  console.log(\"   (heavy function called)\");\n  return 42;\n}\nconst [heavy_a, , heavy_b] = [1, heavy(), 3];",
+          "prose": [
+            "--- Advanced Case: Skipping values ---",
+            "Your code:",
+            "Internally:",
+            "let temp = [10, 20, 30];\nlet a = temp[0];\n// skip temp[1]\nlet b = temp[2];",
+            "⚠️ Performance Note: Skipped values are still evaluated, only not assigned.",
+            "prints \"(heavy function called)\" even though the result is skipped"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Advanced Case: Skipping values ---",
+              "line": 39
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Advanced Case: Skipping values ---\");",
+              "line": 40
+            },
+            {
+              "type": "prose",
+              "text": "Your code:",
+              "line": 41
+            },
+            {
+              "type": "code",
+              "text": "const [skip_a, , skip_b] = [10, 20, 30];\nconsole.log(\"const [a, , b] = [10, 20, 30]; ->\", `a=${skip_a}, b=${skip_b}`);",
+              "line": 42
+            },
+            {
+              "type": "prose",
+              "text": "Internally:",
+              "line": 45
+            },
+            {
+              "type": "prose",
+              "text": "let temp = [10, 20, 30];\nlet a = temp[0];\n// skip temp[1]\nlet b = temp[2];",
+              "line": 46
+            },
+            {
+              "type": "prose",
+              "text": "⚠️ Performance Note: Skipped values are still evaluated, only not assigned.",
+              "line": 53
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n⚠️ Skipped values are still evaluated:\");\nfunction heavy() {\n  console.log(\"   (heavy function called)\");\n  return 42;\n}\nconst [heavy_a, , heavy_b] = [1, heavy(), 3];",
+              "line": 54
+            },
+            {
+              "type": "prose",
+              "text": "prints \"(heavy function called)\" even though the result is skipped",
+              "line": 60
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "2-object-destructuring-internals",
+          "title": "Object Destructuring Internals",
+          "number": "2",
+          "heading": "2. Object Destructuring Internals",
+          "marker": "2. Object Destructuring Internals",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 63,
+          "endLine": 70,
+          "codeLine": 65,
+          "code": "console.log(\"\\n--- 2. Object Destructuring Internals ---\");\n\n// Your code:\nconst { x: obj_x, y: obj_y } = { x: 10, y: 20 };\nconsole.log(\"const { x, y } = { x: 10, y: 20 }; ->\", `x=${obj_x}, y=${obj_y}`);",
+          "prose": [
+            "Your code:"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 2. Object Destructuring Internals ---\");",
+              "line": 65
+            },
+            {
+              "type": "prose",
+              "text": "Your code:",
+              "line": 67
+            },
+            {
+              "type": "code",
+              "text": "const { x: obj_x, y: obj_y } = { x: 10, y: 20 };\nconsole.log(\"const { x, y } = { x: 10, y: 20 }; ->\", `x=${obj_x}, y=${obj_y}`);",
+              "line": 68
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "renaming",
+          "title": "Renaming",
+          "number": null,
+          "heading": null,
+          "marker": "Renaming",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 71,
+          "endLine": 77,
+          "codeLine": 72,
+          "code": "console.log(\"\\n--- Renaming ---\");\nconst { x: foo } = { x: 10 };\nconsole.log(\"const { x: foo } = { x: 10 }; ->\", `foo=${foo}`);",
+          "prose": [
+            "--- Renaming ---",
+            "⚠️ Notice: `x` does not exist as a variable now, only `foo`."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Renaming ---",
+              "line": 71
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Renaming ---\");\nconst { x: foo } = { x: 10 };\nconsole.log(\"const { x: foo } = { x: 10 }; ->\", `foo=${foo}`);",
+              "line": 72
+            },
+            {
+              "type": "prose",
+              "text": "⚠️ Notice: `x` does not exist as a variable now, only `foo`.",
+              "line": 75
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "3-default-values-internals",
+          "title": "Default Values Internals",
+          "number": "3",
+          "heading": "3. Default Values Internals",
+          "marker": "3. Default Values Internals",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 78,
+          "endLine": 89,
+          "codeLine": 80,
+          "code": "console.log(\"\\n--- 3. Default Values Internals ---\");\n\nconst [def_a = 5, def_b = 10] = [undefined, 20];\nconsole.log(\"const [a = 5, b = 10] = [undefined, 20]; ->\", `a=${def_a}, b=${def_b}`);\n\n// 👉 Default values only trigger on `undefined`, not `null` or other falsy values.\nconst [def_c = 5] = [null];\nconsole.log(\"const [a = 5] = [null]; -> a is\", def_c); // null (NOT 5)",
+          "prose": [
+            "👉 Default values only trigger on `undefined`, not `null` or other falsy values."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 3. Default Values Internals ---\");\n\nconst [def_a = 5, def_b = 10] = [undefined, 20];\nconsole.log(\"const [a = 5, b = 10] = [undefined, 20]; ->\", `a=${def_a}, b=${def_b}`);",
+              "line": 80
+            },
+            {
+              "type": "prose",
+              "text": "👉 Default values only trigger on `undefined`, not `null` or other falsy values.",
+              "line": 85
+            },
+            {
+              "type": "code",
+              "text": "const [def_c = 5] = [null];\nconsole.log(\"const [a = 5] = [null]; -> a is\", def_c); // null (NOT 5)",
+              "line": 86
+            }
+          ],
+          "expected": [
+            {
+              "line": 87,
+              "text": "null (NOT 5)",
+              "kind": "inline",
+              "code": "console.log(\"const [a = 5] = [null]; -> a is\", def_c);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "4-nested-destructuring-internals",
+          "title": "Nested Destructuring Internals",
+          "number": "4",
+          "heading": "4. Nested Destructuring Internals",
+          "marker": "4. Nested Destructuring Internals",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 90,
+          "endLine": 103,
+          "codeLine": 92,
+          "code": "console.log(\"\\n--- 4. Nested Destructuring Internals ---\");\n\nconst user_nested = { profile: { address: { city: \"New York\" } } };\nconst { profile: { address: { city } } } = user_nested;\nconsole.log(\"const { profile: { address: { city } } } = user; -> city is\", city);\n\n// ⚠️ If `user.profile` is undefined, this throws. That’s why people combine it with default values:\nconst user_safe = {};\nconst { profile: { address: { city: safe_city } = {} } = {} } = user_safe || {};\nconsole.log(\"Safe nested destructuring on empty object -> city is\", safe_city); // undefined",
+          "prose": [
+            "⚠️ If `user.profile` is undefined, this throws. That’s why people combine it with default values:"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 4. Nested Destructuring Internals ---\");\n\nconst user_nested = { profile: { address: { city: \"New York\" } } };\nconst { profile: { address: { city } } } = user_nested;\nconsole.log(\"const { profile: { address: { city } } } = user; -> city is\", city);",
+              "line": 92
+            },
+            {
+              "type": "prose",
+              "text": "⚠️ If `user.profile` is undefined, this throws. That’s why people combine it with default values:",
+              "line": 98
+            },
+            {
+              "type": "code",
+              "text": "const user_safe = {};\nconst { profile: { address: { city: safe_city } = {} } = {} } = user_safe || {};\nconsole.log(\"Safe nested destructuring on empty object -> city is\", safe_city); // undefined",
+              "line": 99
+            }
+          ],
+          "expected": [
+            {
+              "line": 101,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Safe nested destructuring on empty object -> city is\", safe_city);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "5-rest-operator-internals",
+          "title": "Rest Operator Internals",
+          "number": "5",
+          "heading": "5. Rest Operator Internals",
+          "marker": "5. Rest Operator Internals",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 104,
+          "endLine": 112,
+          "codeLine": 106,
+          "code": "console.log(\"\\n--- 5. Rest Operator Internals ---\");\n\nconst { id: rest_id, ...rest } = { id: 1, name: \"Alice\", age: 25 };\nconsole.log(\"const { id, ...rest } = ...; -> id is\", rest_id, \"and rest is\", rest);",
+          "prose": [
+            "⚠️ Rest creates a shallow copy of remaining keys."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 5. Rest Operator Internals ---\");\n\nconst { id: rest_id, ...rest } = { id: 1, name: \"Alice\", age: 25 };\nconsole.log(\"const { id, ...rest } = ...; -> id is\", rest_id, \"and rest is\", rest);",
+              "line": 106
+            },
+            {
+              "type": "prose",
+              "text": "⚠️ Rest creates a shallow copy of remaining keys.",
+              "line": 110
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "6-function-parameter-destructuring-internals",
+          "title": "Function Parameter Destructuring Internals",
+          "number": "6",
+          "heading": "6. Function Parameter Destructuring Internals",
+          "marker": "6. Function Parameter Destructuring Internals",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 113,
+          "endLine": 123,
+          "codeLine": 115,
+          "code": "console.log(\"\\n--- 6. Function Parameter Destructuring Internals ---\");\n\nfunction greet({ name, age }) {\n  console.log(`   Hello, ${name}! You are ${age}.`);\n}\ngreet({ name: \"Bob\", age: 30 });\nconsole.log(\"✅ Function parameter destructuring is just 'auto unpacking.'\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 6. Function Parameter Destructuring Internals ---\");\n\nfunction greet({ name, age }) {\n  console.log(`   Hello, ${name}! You are ${age}.`);\n}\ngreet({ name: \"Bob\", age: 30 });\nconsole.log(\"✅ Function parameter destructuring is just 'auto unpacking.'\");",
+              "line": 115
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "brain-bender-internals-solutions",
+          "title": "Brain-Bender Internals & Solutions",
+          "number": null,
+          "heading": "🧠 Brain-Bender Internals & Solutions",
+          "marker": "Brain-Bender Internals & Solutions",
+          "level": 1,
+          "kind": "solution",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 124,
+          "endLine": 127,
+          "codeLine": 126,
+          "code": "console.log(\"\\n--- Brain-Bender Internals & Solutions ---\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Brain-Bender Internals & Solutions ---\");",
+              "line": 126
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q1-why-does-const-a-b-a-null-throw-an-error",
+          "title": "Q1: Why does `const { a: { b } } = { a: null }` throw an error?",
+          "number": null,
+          "heading": null,
+          "marker": "Q1: Why does `const { a: { b } } = { a: null }` throw an error?",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q1",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 128,
+          "endLine": 135,
+          "codeLine": 128,
+          "code": "console.log(\"\\n--- Q1: Why does `const { a: { b } } = { a: null }` throw an error? ---\");\ntry {\n  const { a: { b: bender_b1 } } = { a: null };\n} catch (e) {\n  console.log(\"   Error:\", e.message);\n}\nconsole.log(\"   Engine tries `temp.a.b`, which is `null.b`, causing a TypeError.\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q1: Why does `const { a: { b } } = { a: null }` throw an error? ---\");\ntry {\n  const { a: { b: bender_b1 } } = { a: null };\n} catch (e) {\n  console.log(\"   Error:\", e.message);\n}\nconsole.log(\"   Engine tries `temp.a.b`, which is `null.b`, causing a TypeError.\");",
+              "line": 128
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q2-why-does-const-a-b-not-crash",
+          "title": "Q2: Why does `const { a: { b } = {} } = {}` NOT crash?",
+          "number": null,
+          "heading": null,
+          "marker": "Q2: Why does `const { a: { b } = {} } = {}` NOT crash?",
+          "level": 2,
+          "kind": "solution",
+          "exerciseId": "Q2",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 136,
+          "endLine": 141,
+          "codeLine": 136,
+          "code": "console.log(\"\\n--- Q2: Why does `const { a: { b } = {} } = {}` NOT crash? ---\");\nconst { a: { b: bender_b2 } = {} } = {};\nconsole.log(\"   Result of b is:\", bender_b2); // undefined\nconsole.log(\"   Engine uses default `{}` for `a`, so `a.b` is just `undefined`.\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q2: Why does `const { a: { b } = {} } = {}` NOT crash? ---\");\nconst { a: { b: bender_b2 } = {} } = {};\nconsole.log(\"   Result of b is:\", bender_b2); // undefined\nconsole.log(\"   Engine uses default `{}` for `a`, so `a.b` is just `undefined`.\");",
+              "line": 136
+            }
+          ],
+          "expected": [
+            {
+              "line": 138,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"   Result of b is:\", bender_b2);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "real-optimization-insight",
+          "title": "Real Optimization Insight",
+          "number": null,
+          "heading": "⚡ Real Optimization Insight",
+          "marker": "Real Optimization Insight",
+          "level": 1,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 142,
+          "endLine": 150,
+          "codeLine": 145,
+          "code": "console.log(\"\\n--- Real Optimization Insight ---\");\nconsole.log(\"Best practice: For deep paths, use optional chaining for performance and readability:\");\nconst user_deep = {};\nconst city_optional = user_deep?.profile?.address?.city;\nconsole.log(\"   user?.profile?.address?.city ->\", city_optional); // undefined (no error)",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Real Optimization Insight ---\");\nconsole.log(\"Best practice: For deep paths, use optional chaining for performance and readability:\");\nconst user_deep = {};\nconst city_optional = user_deep?.profile?.address?.city;\nconsole.log(\"   user?.profile?.address?.city ->\", city_optional); // undefined (no error)",
+              "line": 145
+            }
+          ],
+          "expected": [
+            {
+              "line": 149,
+              "text": "undefined (no error)",
+              "kind": "inline",
+              "code": "console.log(\"   user?.profile?.address?.city ->\", city_optional);"
+            }
+          ],
+          "requires": [
+            "optional-chaining"
+          ]
+        }
+      ],
+      "fileName": "020_destructuring-internals-deep-dive.js",
+      "chapter": "004_Destructuring_Spred&Rest",
+      "path": "scripts/004_Destructuring_Spred&Rest/020_destructuring-internals-deep-dive.js",
+      "chapterTitle": "Destructuring, Spread & Rest"
+    },
+    {
+      "id": "021",
+      "title": "JavaScript Learning Path: Destructuring Use Cases & Gotchas",
+      "summary": "A deep dive into special use cases, gotchas, and common patterns for JavaScript destructuring.",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "20 min",
+        "minutes": 20,
+        "prerequisites": [
+          "019",
+          "020"
+        ],
+        "tags": [
+          "destructuring",
+          "gotchas"
+        ],
+        "line": 5
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 12,
+          "endLine": 18,
+          "codeLine": 14,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"🎯 JavaScript Learning Path: Destructuring Use Cases & Gotchas\");\nconsole.log(\"=============================================================================\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"🎯 JavaScript Learning Path: Destructuring Use Cases & Gotchas\");\nconsole.log(\"=============================================================================\");",
+              "line": 14
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-swapping-variables",
+          "title": "Swapping Variables",
+          "number": "1",
+          "heading": "1. Swapping Variables",
+          "marker": "1. Swapping Variables",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 19,
+          "endLine": 27,
+          "codeLine": 21,
+          "code": "console.log(\"\\n--- 1. Swapping Variables ---\");\nlet a_s1 = 1, b_s1 = 2;\n[a_s1, b_s1] = [b_s1, a_s1]; // Classic trick with array destructuring\nconsole.log(\"Swapped a and b ->\", `a=${a_s1}, b=${b_s1}`); // 2, 1\nconsole.log(\"✅ Internally: engine just makes a temporary array and reassigns.\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 1. Swapping Variables ---\");\nlet a_s1 = 1, b_s1 = 2;\n[a_s1, b_s1] = [b_s1, a_s1]; // Classic trick with array destructuring\nconsole.log(\"Swapped a and b ->\", `a=${a_s1}, b=${b_s1}`); // 2, 1\nconsole.log(\"✅ Internally: engine just makes a temporary array and reassigns.\");",
+              "line": 21
+            }
+          ],
+          "expected": [
+            {
+              "line": 24,
+              "text": "2, 1",
+              "kind": "inline",
+              "code": "console.log(\"Swapped a and b ->\", `a=${a_s1}, b=${b_s1}`);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "2-destructuring-strings",
+          "title": "Destructuring Strings",
+          "number": "2",
+          "heading": "2. Destructuring Strings",
+          "marker": "2. Destructuring Strings",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 28,
+          "endLine": 39,
+          "codeLine": 30,
+          "code": "console.log(\"\\n--- 2. Destructuring Strings ---\");\n// Strings are iterable, so array destructuring works.\nconst [x_s2, y_s2, z_s2] = \"hey\";\nconsole.log(\"const [x, y, z] = 'hey' ->\", `x=${x_s2}, y=${y_s2}, z=${z_s2}`); // h e y\n\n// Strings also have properties (like objects).\nconst { length: len_s2 } = \"hello\";\nconsole.log(\"const { length } = 'hello' ->\", len_s2); // 5",
+          "prose": [
+            "Strings are iterable, so array destructuring works.",
+            "Strings also have properties (like objects)."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 2. Destructuring Strings ---\");",
+              "line": 30
+            },
+            {
+              "type": "prose",
+              "text": "Strings are iterable, so array destructuring works.",
+              "line": 31
+            },
+            {
+              "type": "code",
+              "text": "const [x_s2, y_s2, z_s2] = \"hey\";\nconsole.log(\"const [x, y, z] = 'hey' ->\", `x=${x_s2}, y=${y_s2}, z=${z_s2}`); // h e y",
+              "line": 32
+            },
+            {
+              "type": "prose",
+              "text": "Strings also have properties (like objects).",
+              "line": 35
+            },
+            {
+              "type": "code",
+              "text": "const { length: len_s2 } = \"hello\";\nconsole.log(\"const { length } = 'hello' ->\", len_s2); // 5",
+              "line": 36
+            }
+          ],
+          "expected": [
+            {
+              "line": 33,
+              "text": "h e y",
+              "kind": "inline",
+              "code": "console.log(\"const [x, y, z] = 'hey' ->\", `x=${x_s2}, y=${y_s2}, z=${z_s2}`);"
+            },
+            {
+              "line": 37,
+              "text": "5",
+              "kind": "inline",
+              "code": "console.log(\"const { length } = 'hello' ->\", len_s2);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "3-destructuring-in-loops",
+          "title": "Destructuring in Loops",
+          "number": "3",
+          "heading": "3. Destructuring in Loops",
+          "marker": "3. Destructuring in Loops",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 40,
+          "endLine": 52,
+          "codeLine": 42,
+          "code": "console.log(\"\\n--- 3. Destructuring in Loops ---\");\nconst users_s3 = [\n  { id: 1, name: \"Alice\" },\n  { id: 2, name: \"Bob\" }\n];\nconsole.log(\"Looping over users array:\");\nfor (const { id, name } of users_s3) {\n  console.log(`  - ID: ${id}, Name: ${name}`);\n}",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 3. Destructuring in Loops ---\");\nconst users_s3 = [\n  { id: 1, name: \"Alice\" },\n  { id: 2, name: \"Bob\" }\n];\nconsole.log(\"Looping over users array:\");\nfor (const { id, name } of users_s3) {\n  console.log(`  - ID: ${id}, Name: ${name}`);\n}",
+              "line": 42
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "4-function-parameter-defaults",
+          "title": "Function Parameter Defaults",
+          "number": "4",
+          "heading": "4. Setting Defaults in Function Parameters",
+          "marker": "4. Function Parameter Defaults",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 53,
+          "endLine": 65,
+          "codeLine": 55,
+          "code": "console.log(\"\\n--- 4. Function Parameter Defaults ---\");\n// The `= {}` provides a default for the entire destructured parameter.\nfunction connect({ host = \"localhost\", port = 80 } = {}) {\n  console.log(`   Connecting to ${host}:${port}`);\n}\nconsole.log(\"Calling connect():\");\nconnect(); // localhost 80\nconsole.log(\"Calling connect({ host: '127.0.0.1' }):\");\nconnect({ host: \"127.0.0.1\" }); // 127.0.0.1 80",
+          "prose": [
+            "The `= {}` provides a default for the entire destructured parameter."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 4. Function Parameter Defaults ---\");",
+              "line": 55
+            },
+            {
+              "type": "prose",
+              "text": "The `= {}` provides a default for the entire destructured parameter.",
+              "line": 56
+            },
+            {
+              "type": "code",
+              "text": "function connect({ host = \"localhost\", port = 80 } = {}) {\n  console.log(`   Connecting to ${host}:${port}`);\n}\nconsole.log(\"Calling connect():\");\nconnect(); // localhost 80\nconsole.log(\"Calling connect({ host: '127.0.0.1' }):\");\nconnect({ host: \"127.0.0.1\" }); // 127.0.0.1 80",
+              "line": 57
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "5-ignoring-values",
+          "title": "Ignoring Values",
+          "number": "5",
+          "heading": "5. Ignoring Values",
+          "marker": "5. Ignoring Values",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 66,
+          "endLine": 75,
+          "codeLine": 68,
+          "code": "console.log(\"\\n--- 5. Ignoring Values ---\");\nconst [a_s5, , b_s5] = [1, 2, 3];\nconsole.log(\"Ignoring with commas [a, , b]:\", `a=${a_s5}, b=${b_s5}`); // 1 3\n\nconst { x_s5, ...rest_s5 } = { x: 1, y: 2, z: 3 };\nconsole.log(\"Ignoring with rest operator {...rest}:\", rest_s5); // { y: 2, z: 3 }",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 5. Ignoring Values ---\");\nconst [a_s5, , b_s5] = [1, 2, 3];\nconsole.log(\"Ignoring with commas [a, , b]:\", `a=${a_s5}, b=${b_s5}`); // 1 3\n\nconst { x_s5, ...rest_s5 } = { x: 1, y: 2, z: 3 };\nconsole.log(\"Ignoring with rest operator {...rest}:\", rest_s5); // { y: 2, z: 3 }",
+              "line": 68
+            }
+          ],
+          "expected": [
+            {
+              "line": 70,
+              "text": "1 3",
+              "kind": "inline",
+              "code": "console.log(\"Ignoring with commas [a, , b]:\", `a=${a_s5}, b=${b_s5}`);"
+            },
+            {
+              "line": 73,
+              "text": "{ y: 2, z: 3 }",
+              "kind": "inline",
+              "code": "console.log(\"Ignoring with rest operator {...rest}:\", rest_s5);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "6-dynamic-keys",
+          "title": "Dynamic Keys",
+          "number": "6",
+          "heading": "6. Destructuring with Dynamic Keys",
+          "marker": "6. Dynamic Keys",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 76,
+          "endLine": 83,
+          "codeLine": 78,
+          "code": "console.log(\"\\n--- 6. Dynamic Keys ---\");\nconst key_s6 = \"age\";\nconst { [key_s6]: userAge_s6 } = { name: \"Sam\", age: 25 };\nconsole.log(\"Destructuring with a dynamic key 'age':\", userAge_s6); // 25",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 6. Dynamic Keys ---\");\nconst key_s6 = \"age\";\nconst { [key_s6]: userAge_s6 } = { name: \"Sam\", age: 25 };\nconsole.log(\"Destructuring with a dynamic key 'age':\", userAge_s6); // 25",
+              "line": 78
+            }
+          ],
+          "expected": [
+            {
+              "line": 81,
+              "text": "25",
+              "kind": "inline",
+              "code": "console.log(\"Destructuring with a dynamic key 'age':\", userAge_s6);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "7-nested-default-values",
+          "title": "Nested Default Values",
+          "number": "7",
+          "heading": "7. Nested Default Values",
+          "marker": "7. Nested Default Values",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 84,
+          "endLine": 90,
+          "codeLine": 86,
+          "code": "console.log(\"\\n--- 7. Nested Default Values ---\");\nconst { profile: { city: city_s7 = \"Unknown\" } = {} } = {};\nconsole.log(\"Safely getting a nested property:\", city_s7); // \"Unknown\"",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 7. Nested Default Values ---\");\nconst { profile: { city: city_s7 = \"Unknown\" } = {} } = {};\nconsole.log(\"Safely getting a nested property:\", city_s7); // \"Unknown\"",
+              "line": 86
+            }
+          ],
+          "expected": [
+            {
+              "line": 88,
+              "text": "\"Unknown\"",
+              "kind": "inline",
+              "code": "console.log(\"Safely getting a nested property:\", city_s7);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "gotchas",
+          "title": "Gotchas",
+          "number": null,
+          "heading": "⚠️ Gotchas",
+          "marker": "⚠️ Gotchas",
+          "level": 1,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 91,
+          "endLine": 94,
+          "codeLine": 93,
+          "code": "console.log(\"\\n--- ⚠️ Gotchas ---\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- ⚠️ Gotchas ---\");",
+              "line": 93
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "gotcha-1-primitive-destructuring",
+          "title": "Gotcha 1: Primitive Destructuring",
+          "number": null,
+          "heading": null,
+          "marker": "Gotcha 1: Primitive Destructuring",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 95,
+          "endLine": 100,
+          "codeLine": 96,
+          "code": "console.log(\"\\n--- Gotcha 1: Primitive Destructuring ---\");\nconst { toString: ts_g1 } = 123;\nconsole.log(\"`toString` from number 123:\", ts_g1 === Number.prototype.toString); // true\nconsole.log(\"✅ Works because primitives are auto-boxed (wrapped in objects).\");",
+          "prose": [
+            "--- 1. Primitive Destructuring ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 1. Primitive Destructuring ---",
+              "line": 95
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Gotcha 1: Primitive Destructuring ---\");\nconst { toString: ts_g1 } = 123;\nconsole.log(\"`toString` from number 123:\", ts_g1 === Number.prototype.toString); // true\nconsole.log(\"✅ Works because primitives are auto-boxed (wrapped in objects).\");",
+              "line": 96
+            }
+          ],
+          "expected": [
+            {
+              "line": 98,
+              "text": "true",
+              "kind": "inline",
+              "code": "console.log(\"`toString` from number 123:\", ts_g1 === Number.prototype.toString);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "gotcha-2-invalid-left-hand-side",
+          "title": "Gotcha 2: Invalid Left-Hand Side",
+          "number": null,
+          "heading": null,
+          "marker": "Gotcha 2: Invalid Left-Hand Side",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 101,
+          "endLine": 107,
+          "codeLine": 102,
+          "code": "console.log(\"\\n--- Gotcha 2: Invalid Left-Hand Side ---\");\nlet a_g2;\n// { a_g2 } = { a: 10 }; // ❌ SyntaxError: JS thinks `{}` starts a code block.\n({ a_g2 } = { a: 10 }); // ✅ OK: Parentheses force it to be an expression.\nconsole.log(\"Destructuring assignment needs parentheses:\", a_g2);",
+          "prose": [
+            "--- 2. Invalid Left-Hand Side ---",
+            "{ a_g2 } = { a: 10 }; // ❌ SyntaxError: JS thinks `{}` starts a code block."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 2. Invalid Left-Hand Side ---",
+              "line": 101
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Gotcha 2: Invalid Left-Hand Side ---\");\nlet a_g2;",
+              "line": 102
+            },
+            {
+              "type": "prose",
+              "text": "{ a_g2 } = { a: 10 }; // ❌ SyntaxError: JS thinks `{}` starts a code block.",
+              "line": 104
+            },
+            {
+              "type": "code",
+              "text": "({ a_g2 } = { a: 10 }); // ✅ OK: Parentheses force it to be an expression.\nconsole.log(\"Destructuring assignment needs parentheses:\", a_g2);",
+              "line": 105
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "gotcha-3-duplicate-variables",
+          "title": "Gotcha 3: Duplicate Variables",
+          "number": null,
+          "heading": null,
+          "marker": "Gotcha 3: Duplicate Variables",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 108,
+          "endLine": 120,
+          "codeLine": 109,
+          "code": "console.log(\"\\n--- Gotcha 3: Duplicate Variables ---\");\ntry {\n  // This would cause a SyntaxError if not in a try-catch or commented out.\n  // eval('const { a, a } = { a: 1 };');\n  console.log(\"`const { a, a } = { a: 1 }` is a SyntaxError: Duplicate declaration.\");\n} catch (e) {\n  // This catch block is just to prevent the script from crashing.\n  // In a real file, this would be a syntax error caught by the parser.\n}\n\nconsole.log(\"\\n✅ Destructuring is flexible, but pitfalls appear with defaults, nesting, and unusual assignments.\");",
+          "prose": [
+            "--- 3. Duplicate Variables ---",
+            "This would cause a SyntaxError if not in a try-catch or commented out.\neval('const { a, a } = { a: 1 };');",
+            "This catch block is just to prevent the script from crashing.\nIn a real file, this would be a syntax error caught by the parser."
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- 3. Duplicate Variables ---",
+              "line": 108
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Gotcha 3: Duplicate Variables ---\");\ntry {",
+              "line": 109
+            },
+            {
+              "type": "prose",
+              "text": "This would cause a SyntaxError if not in a try-catch or commented out.\neval('const { a, a } = { a: 1 };');",
+              "line": 111
+            },
+            {
+              "type": "code",
+              "text": "  console.log(\"`const { a, a } = { a: 1 }` is a SyntaxError: Duplicate declaration.\");\n} catch (e) {",
+              "line": 113
+            },
+            {
+              "type": "prose",
+              "text": "This catch block is just to prevent the script from crashing.\nIn a real file, this would be a syntax error caught by the parser.",
+              "line": 115
+            },
+            {
+              "type": "code",
+              "text": "}\n\nconsole.log(\"\\n✅ Destructuring is flexible, but pitfalls appear with defaults, nesting, and unusual assignments.\");",
+              "line": 117
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "021_destructuring-use-cases-and-gotchas.js",
+      "chapter": "004_Destructuring_Spred&Rest",
+      "path": "scripts/004_Destructuring_Spred&Rest/021_destructuring-use-cases-and-gotchas.js",
+      "chapterTitle": "Destructuring, Spread & Rest"
+    },
+    {
+      "id": "022",
+      "title": "JavaScript Learning Path: Spread (...) & Rest (...) Operators",
+      "summary": "A deep dive into the Spread (...) and Rest (...) operators, covering their differences, use cases, hidden internals, performance, and common interview questions.",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "25 min",
+        "minutes": 25,
+        "prerequisites": [
+          "019"
+        ],
+        "tags": [
+          "spread",
+          "rest",
+          "shallow copy"
+        ],
+        "line": 6
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 13,
+          "endLine": 21,
+          "codeLine": 15,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"🌟 JavaScript Learning Path: Spread (...) & Rest (...) Operators\");\nconsole.log(\"=============================================================================\");",
+          "prose": [
+            "They look the same (...), but context decides their meaning."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"🌟 JavaScript Learning Path: Spread (...) & Rest (...) Operators\");\nconsole.log(\"=============================================================================\");",
+              "line": 15
+            },
+            {
+              "type": "prose",
+              "text": "They look the same (...), but context decides their meaning.",
+              "line": 19
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-spread-operator-expands",
+          "title": "Spread Operator (Expands)",
+          "number": "1",
+          "heading": "1. Spread Operator (...) -> Expands values",
+          "marker": "1. Spread Operator (Expands)",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 22,
+          "endLine": 39,
+          "codeLine": 24,
+          "code": "console.log(\"\\n--- 1. Spread Operator (Expands) ---\");\n\n// Example with Arrays: Expands elements into a new array.\nconst arr_s1 = [1, 2, 3];\nconst newArr_s1 = [0, ...arr_s1, 4];\nconsole.log(\"Spreading an array [0, ...[1,2,3], 4]:\", newArr_s1); // [0, 1, 2, 3, 4]\n\n// Example with Strings: Expands a string into its characters.\nconsole.log(\"Spreading a string [...'hello']:\", [...\"hello\"]); // ['h', 'e', 'l', 'l', 'o']\n\n// Example with Objects: Expands properties into a new object.\nconst obj1_s1 = { a: 1, b: 2 };\nconst obj2_s1 = { ...obj1_s1, c: 3 };\nconsole.log(\"Spreading an object { ...{a:1, b:2}, c:3 }:\", obj2_s1); // { a: 1, b: 2, c: 3 }",
+          "prose": [
+            "Example with Arrays: Expands elements into a new array.",
+            "Example with Strings: Expands a string into its characters.",
+            "Example with Objects: Expands properties into a new object."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 1. Spread Operator (Expands) ---\");",
+              "line": 24
+            },
+            {
+              "type": "prose",
+              "text": "Example with Arrays: Expands elements into a new array.",
+              "line": 26
+            },
+            {
+              "type": "code",
+              "text": "const arr_s1 = [1, 2, 3];\nconst newArr_s1 = [0, ...arr_s1, 4];\nconsole.log(\"Spreading an array [0, ...[1,2,3], 4]:\", newArr_s1); // [0, 1, 2, 3, 4]",
+              "line": 27
+            },
+            {
+              "type": "prose",
+              "text": "Example with Strings: Expands a string into its characters.",
+              "line": 31
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Spreading a string [...'hello']:\", [...\"hello\"]); // ['h', 'e', 'l', 'l', 'o']",
+              "line": 32
+            },
+            {
+              "type": "prose",
+              "text": "Example with Objects: Expands properties into a new object.",
+              "line": 34
+            },
+            {
+              "type": "code",
+              "text": "const obj1_s1 = { a: 1, b: 2 };\nconst obj2_s1 = { ...obj1_s1, c: 3 };\nconsole.log(\"Spreading an object { ...{a:1, b:2}, c:3 }:\", obj2_s1); // { a: 1, b: 2, c: 3 }",
+              "line": 35
+            }
+          ],
+          "expected": [
+            {
+              "line": 29,
+              "text": "[0, 1, 2, 3, 4]",
+              "kind": "inline",
+              "code": "console.log(\"Spreading an array [0, ...[1,2,3], 4]:\", newArr_s1);"
+            },
+            {
+              "line": 32,
+              "text": "['h', 'e', 'l', 'l', 'o']",
+              "kind": "inline",
+              "code": "console.log(\"Spreading a string [...'hello']:\", [...\"hello\"]);"
+            },
+            {
+              "line": 37,
+              "text": "{ a: 1, b: 2, c: 3 }",
+              "kind": "inline",
+              "code": "console.log(\"Spreading an object { ...{a:1, b:2}, c:3 }:\", obj2_s1);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "2-rest-operator-collects",
+          "title": "Rest Operator (Collects)",
+          "number": "2",
+          "heading": "2. Rest Operator (...) -> Collects values",
+          "marker": "2. Rest Operator (Collects)",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 40,
+          "endLine": 58,
+          "codeLine": 42,
+          "code": "console.log(\"\\n--- 2. Rest Operator (Collects) ---\");\n\n// Example in Functions: Packs all remaining arguments into an array.\nfunction sum(...nums) {\n  return nums.reduce((a, b) => a + b, 0);\n}\nconsole.log(\"Rest in function sum(1, 2, 3, 4):\", sum(1, 2, 3, 4)); // 10\n\n// Example with Object Destructuring: Collects remaining properties.\nconst { a: a_s2, ...rest_s2 } = { a: 10, b: 20, c: 30 };\nconsole.log(\"Rest in object destructuring:\", rest_s2); // { b: 20, c: 30 }\n\n// Example with Array Destructuring: Collects remaining elements.\nconst [first_s2, ...others_s2] = [10, 20, 30, 40];\nconsole.log(\"Rest in array destructuring:\", others_s2); // [20, 30, 40]",
+          "prose": [
+            "Example in Functions: Packs all remaining arguments into an array.",
+            "Example with Object Destructuring: Collects remaining properties.",
+            "Example with Array Destructuring: Collects remaining elements."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 2. Rest Operator (Collects) ---\");",
+              "line": 42
+            },
+            {
+              "type": "prose",
+              "text": "Example in Functions: Packs all remaining arguments into an array.",
+              "line": 44
+            },
+            {
+              "type": "code",
+              "text": "function sum(...nums) {\n  return nums.reduce((a, b) => a + b, 0);\n}\nconsole.log(\"Rest in function sum(1, 2, 3, 4):\", sum(1, 2, 3, 4)); // 10",
+              "line": 45
+            },
+            {
+              "type": "prose",
+              "text": "Example with Object Destructuring: Collects remaining properties.",
+              "line": 50
+            },
+            {
+              "type": "code",
+              "text": "const { a: a_s2, ...rest_s2 } = { a: 10, b: 20, c: 30 };\nconsole.log(\"Rest in object destructuring:\", rest_s2); // { b: 20, c: 30 }",
+              "line": 51
+            },
+            {
+              "type": "prose",
+              "text": "Example with Array Destructuring: Collects remaining elements.",
+              "line": 54
+            },
+            {
+              "type": "code",
+              "text": "const [first_s2, ...others_s2] = [10, 20, 30, 40];\nconsole.log(\"Rest in array destructuring:\", others_s2); // [20, 30, 40]",
+              "line": 55
+            }
+          ],
+          "expected": [
+            {
+              "line": 48,
+              "text": "10",
+              "kind": "inline",
+              "code": "console.log(\"Rest in function sum(1, 2, 3, 4):\", sum(1, 2, 3, 4));"
+            },
+            {
+              "line": 52,
+              "text": "{ b: 20, c: 30 }",
+              "kind": "inline",
+              "code": "console.log(\"Rest in object destructuring:\", rest_s2);"
+            },
+            {
+              "line": 56,
+              "text": "[20, 30, 40]",
+              "kind": "inline",
+              "code": "console.log(\"Rest in array destructuring:\", others_s2);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "3-golden-rule",
+          "title": "Golden Rule",
+          "number": "3",
+          "heading": "3. Key Difference (Golden Rule)",
+          "marker": "3. Golden Rule",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 59,
+          "endLine": 65,
+          "codeLine": 61,
+          "code": "console.log(\"\\n--- 3. Golden Rule ---\");\nconsole.log(\"✅ Spread = expands data (used in creation/calls).\");\nconsole.log(\"✅ Rest = collects data (used in destructuring/function params).\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 3. Golden Rule ---\");\nconsole.log(\"✅ Spread = expands data (used in creation/calls).\");\nconsole.log(\"✅ Rest = collects data (used in destructuring/function params).\");",
+              "line": 61
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "4-real-world-use-cases",
+          "title": "Real-World Use Cases",
+          "number": "4",
+          "heading": "4. Real-World Use Cases",
+          "marker": "4. Real-World Use Cases",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 66,
+          "endLine": 85,
+          "codeLine": 68,
+          "code": "console.log(\"\\n--- 4. Real-World Use Cases ---\");\n\n// Merging arrays\nconst arr1_s4 = [1, 2], arr2_s4 = [3, 4];\nconst mergedArr_s4 = [...arr1_s4, ...arr2_s4];\nconsole.log(\"Merging arrays:\", mergedArr_s4);\n\n// Copying objects (shallow copy)\nconst original_s4 = { x: 1, y: 2 };\nconst copy_s4 = { ...original_s4 };\nconsole.log(\"Shallow copying an object:\", copy_s4);\n\n// Immutable updates\nconst user_s4 = { name: \"Alice\", age: 20 };\nconst updatedUser_s4 = { ...user_s4, age: 21 }; // Doesn't mutate original\nconsole.log(\"Immutable update:\", updatedUser_s4);",
+          "prose": [
+            "Merging arrays",
+            "Copying objects (shallow copy)",
+            "Immutable updates"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 4. Real-World Use Cases ---\");",
+              "line": 68
+            },
+            {
+              "type": "prose",
+              "text": "Merging arrays",
+              "line": 70
+            },
+            {
+              "type": "code",
+              "text": "const arr1_s4 = [1, 2], arr2_s4 = [3, 4];\nconst mergedArr_s4 = [...arr1_s4, ...arr2_s4];\nconsole.log(\"Merging arrays:\", mergedArr_s4);",
+              "line": 71
+            },
+            {
+              "type": "prose",
+              "text": "Copying objects (shallow copy)",
+              "line": 75
+            },
+            {
+              "type": "code",
+              "text": "const original_s4 = { x: 1, y: 2 };\nconst copy_s4 = { ...original_s4 };\nconsole.log(\"Shallow copying an object:\", copy_s4);",
+              "line": 76
+            },
+            {
+              "type": "prose",
+              "text": "Immutable updates",
+              "line": 80
+            },
+            {
+              "type": "code",
+              "text": "const user_s4 = { name: \"Alice\", age: 20 };\nconst updatedUser_s4 = { ...user_s4, age: 21 }; // Doesn't mutate original\nconsole.log(\"Immutable update:\", updatedUser_s4);",
+              "line": 81
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "hidden-internals-performance",
+          "title": "Hidden Internals & Performance",
+          "number": null,
+          "heading": "🛠 Hidden Internals of Spread & Rest",
+          "marker": "Hidden Internals & Performance",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 86,
+          "endLine": 100,
+          "codeLine": 88,
+          "code": "console.log(\"\\n--- Hidden Internals & Performance ---\");\n\n// Spread creates a SHALLOW copy. Nested objects are references.\nconst nested_hi = [{ x: 1 }, { y: 2 }];\nconst copy_hi = [...nested_hi];\ncopy_hi[0].x = 99;\nconsole.log(\"Spread is a shallow copy. Original was mutated:\", nested_hi[0].x); // 99\n\n// Performance: Spread is O(n) because it iterates over all elements.\n// Avoid repeated spreading of large arrays inside loops.\nconsole.log(\"Performance: Spread is O(n). Avoid in tight loops on large arrays.\");",
+          "prose": [
+            "Spread creates a SHALLOW copy. Nested objects are references.",
+            "Performance: Spread is O(n) because it iterates over all elements.\nAvoid repeated spreading of large arrays inside loops."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Hidden Internals & Performance ---\");",
+              "line": 88
+            },
+            {
+              "type": "prose",
+              "text": "Spread creates a SHALLOW copy. Nested objects are references.",
+              "line": 90
+            },
+            {
+              "type": "code",
+              "text": "const nested_hi = [{ x: 1 }, { y: 2 }];\nconst copy_hi = [...nested_hi];\ncopy_hi[0].x = 99;\nconsole.log(\"Spread is a shallow copy. Original was mutated:\", nested_hi[0].x); // 99",
+              "line": 91
+            },
+            {
+              "type": "prose",
+              "text": "Performance: Spread is O(n) because it iterates over all elements.\nAvoid repeated spreading of large arrays inside loops.",
+              "line": 96
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Performance: Spread is O(n). Avoid in tight loops on large arrays.\");",
+              "line": 98
+            }
+          ],
+          "expected": [
+            {
+              "line": 94,
+              "text": "99",
+              "kind": "inline",
+              "code": "console.log(\"Spread is a shallow copy. Original was mutated:\", nested_hi[0].x);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "advanced-corner-cases-gotchas",
+          "title": "Advanced Corner Cases & Gotchas",
+          "number": null,
+          "heading": "⚡ Advanced Corner Cases & Gotchas",
+          "marker": "Advanced Corner Cases & Gotchas",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 101,
+          "endLine": 136,
+          "codeLine": 103,
+          "code": "console.log(\"\\n--- Advanced Corner Cases & Gotchas ---\");\n\n// 1. Non-Iterable Spread\nconst notIterable_ac = { a: 1, b: 2 };\ntry {\n  const fail_ac = [...notIterable_ac];\n} catch (e) {\n  console.log(\"Array spread on non-iterable object fails:\", e.message);\n}\n\n// 2. Property Overwrites in Object Spread\nconst a_ac = { x: 1, y: 2 };\nconst b_ac = { y: 99, z: 100 };\nconst merged_ac = { ...a_ac, ...b_ac };\nconsole.log(\"Rightmost spread wins on overwrite:\", merged_ac); // { x: 1, y: 99, z: 100 }\n\n// 3. Undefined & Null in Spread\nconsole.log(\"Spreading null/undefined in an object is safe:\", { ...null, ...undefined }); // {}\ntry {\n  console.log([...null]);\n} catch (e) {\n  console.log(\"Spreading null in an array throws error:\", e.message);\n}\n\n// 4. Spread in Function Calls\nfunction add(a, b, c) { return a + b + c; }\nconst nums_ac = [1, 2, 3];\nconsole.log(\"Spreading array into function arguments:\", add(...nums_ac)); // 6\n\n// 5. Rest must be last in destructuring\n// const { ...details, id } = user; // ❌ SyntaxError\nconsole.log(\"Gotcha: Rest element must be last in a destructuring pattern.\");",
+          "prose": [
+            "1. Non-Iterable Spread",
+            "2. Property Overwrites in Object Spread",
+            "3. Undefined & Null in Spread",
+            "4. Spread in Function Calls",
+            "5. Rest must be last in destructuring\nconst { ...details, id } = user; // ❌ SyntaxError"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Advanced Corner Cases & Gotchas ---\");",
+              "line": 103
+            },
+            {
+              "type": "prose",
+              "text": "1. Non-Iterable Spread",
+              "line": 105
+            },
+            {
+              "type": "code",
+              "text": "const notIterable_ac = { a: 1, b: 2 };\ntry {\n  const fail_ac = [...notIterable_ac];\n} catch (e) {\n  console.log(\"Array spread on non-iterable object fails:\", e.message);\n}",
+              "line": 106
+            },
+            {
+              "type": "prose",
+              "text": "2. Property Overwrites in Object Spread",
+              "line": 113
+            },
+            {
+              "type": "code",
+              "text": "const a_ac = { x: 1, y: 2 };\nconst b_ac = { y: 99, z: 100 };\nconst merged_ac = { ...a_ac, ...b_ac };\nconsole.log(\"Rightmost spread wins on overwrite:\", merged_ac); // { x: 1, y: 99, z: 100 }",
+              "line": 114
+            },
+            {
+              "type": "prose",
+              "text": "3. Undefined & Null in Spread",
+              "line": 119
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Spreading null/undefined in an object is safe:\", { ...null, ...undefined }); // {}\ntry {\n  console.log([...null]);\n} catch (e) {\n  console.log(\"Spreading null in an array throws error:\", e.message);\n}",
+              "line": 120
+            },
+            {
+              "type": "prose",
+              "text": "4. Spread in Function Calls",
+              "line": 127
+            },
+            {
+              "type": "code",
+              "text": "function add(a, b, c) { return a + b + c; }\nconst nums_ac = [1, 2, 3];\nconsole.log(\"Spreading array into function arguments:\", add(...nums_ac)); // 6",
+              "line": 128
+            },
+            {
+              "type": "prose",
+              "text": "5. Rest must be last in destructuring\nconst { ...details, id } = user; // ❌ SyntaxError",
+              "line": 132
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"Gotcha: Rest element must be last in a destructuring pattern.\");",
+              "line": 134
+            }
+          ],
+          "expected": [
+            {
+              "line": 117,
+              "text": "{ x: 1, y: 99, z: 100 }",
+              "kind": "inline",
+              "code": "console.log(\"Rightmost spread wins on overwrite:\", merged_ac);"
+            },
+            {
+              "line": 120,
+              "text": "{}",
+              "kind": "inline",
+              "code": "console.log(\"Spreading null/undefined in an object is safe:\", { ...null, ...undefined });"
+            },
+            {
+              "line": 130,
+              "text": "6",
+              "kind": "inline",
+              "code": "console.log(\"Spreading array into function arguments:\", add(...nums_ac));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "interview-brain-benders",
+          "title": "Interview Brain-Benders",
+          "number": null,
+          "heading": "🧠 Interview Brain-Benders",
+          "marker": "Interview Brain-Benders",
+          "level": 1,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 137,
+          "endLine": 140,
+          "codeLine": 139,
+          "code": "console.log(\"\\n--- Interview Brain-Benders ---\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Interview Brain-Benders ---\");",
+              "line": 139
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q1-shallow-copy",
+          "title": "Q1: Shallow Copy",
+          "number": null,
+          "heading": null,
+          "marker": "Q1: Shallow Copy",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q1",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 141,
+          "endLine": 148,
+          "codeLine": 142,
+          "code": "console.log(\"\\n--- Q1: Shallow Copy ---\");\nconst obj1_bb = { a: 1, b: { c: 2 } };\nconst obj2_bb = { ...obj1_bb };\nobj2_bb.b.c = 99;\nconsole.log(\"What is obj1.b.c?\", obj1_bb.b.c);\nconsole.log(\"✅ Answer: 99. The nested object `b` was a reference, not a copy.\");",
+          "prose": [
+            "--- Q1: Shallow Copy Mutation ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Q1: Shallow Copy Mutation ---",
+              "line": 141
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q1: Shallow Copy ---\");\nconst obj1_bb = { a: 1, b: { c: 2 } };\nconst obj2_bb = { ...obj1_bb };\nobj2_bb.b.c = 99;\nconsole.log(\"What is obj1.b.c?\", obj1_bb.b.c);\nconsole.log(\"✅ Answer: 99. The nested object `b` was a reference, not a copy.\");",
+              "line": 142
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q2-spread-vs-flatten",
+          "title": "Q2: Spread vs. Flatten",
+          "number": null,
+          "heading": null,
+          "marker": "Q2: Spread vs. Flatten",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q2",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 149,
+          "endLine": 155,
+          "codeLine": 150,
+          "code": "console.log(\"\\n--- Q2: Spread vs. Flatten ---\");\nconst arr1_bb = [1, 2, 3];\nconst arr2_bb = [...arr1_bb, arr1_bb];\nconsole.log(\"What is the output of [...arr1, arr1]?\", arr2_bb);\nconsole.log(\"✅ Answer: [1, 2, 3, [1, 2, 3]]. Spread doesn't flatten nested arrays.\");",
+          "prose": [
+            "--- Q2: Spread vs. Flatten ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Q2: Spread vs. Flatten ---",
+              "line": 149
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q2: Spread vs. Flatten ---\");\nconst arr1_bb = [1, 2, 3];\nconst arr2_bb = [...arr1_bb, arr1_bb];\nconsole.log(\"What is the output of [...arr1, arr1]?\", arr2_bb);\nconsole.log(\"✅ Answer: [1, 2, 3, [1, 2, 3]]. Spread doesn't flatten nested arrays.\");",
+              "line": 150
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "q3-performance-in-a-loop",
+          "title": "Q3: Performance in a Loop",
+          "number": null,
+          "heading": null,
+          "marker": "Q3: Performance in a Loop",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": "Q3",
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 156,
+          "endLine": 167,
+          "codeLine": 157,
+          "code": "console.log(\"\\n--- Q3: Performance in a Loop ---\");\nconsole.log(\"Why is this code bad for performance?\");\nconsole.log(\"`for (let i=0; i<N; i++) { arr = [...arr, i]; }`\");\nconsole.log(\"✅ Answer: It creates a new array copy on every iteration, making the total complexity O(n²).\");\nconsole.log(\"Better way is using `arr.push(i)`, which is an O(1) operation on average.\");\n\nlet goodArr = [];\nfor (let i = 0; i < 10000; i++) {\n  goodArr.push(i); // Efficient\n}\nconsole.log(\"Efficient loop finished with length:\", goodArr.length);",
+          "prose": [
+            "--- Q3: Performance in a Loop ---"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "--- Q3: Performance in a Loop ---",
+              "line": 156
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Q3: Performance in a Loop ---\");\nconsole.log(\"Why is this code bad for performance?\");\nconsole.log(\"`for (let i=0; i<N; i++) { arr = [...arr, i]; }`\");\nconsole.log(\"✅ Answer: It creates a new array copy on every iteration, making the total complexity O(n²).\");\nconsole.log(\"Better way is using `arr.push(i)`, which is an O(1) operation on average.\");\n\nlet goodArr = [];\nfor (let i = 0; i < 10000; i++) {\n  goodArr.push(i); // Efficient\n}\nconsole.log(\"Efficient loop finished with length:\", goodArr.length);",
+              "line": 157
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "022_spread-and-rest-operators.js",
+      "chapter": "004_Destructuring_Spred&Rest",
+      "path": "scripts/004_Destructuring_Spred&Rest/022_spread-and-rest-operators.js",
+      "chapterTitle": "Destructuring, Spread & Rest"
+    },
+    {
+      "id": "023",
+      "title": "JavaScript Learning Path: Advanced Spread/Rest Tricks",
+      "summary": "A deep dive into advanced tricks, pro-use cases, and hidden traps of the Spread (...) and Rest (...) operators in JavaScript.",
+      "metadata": {
+        "difficulty": "intermediate",
+        "duration": "20 min",
+        "minutes": 20,
+        "prerequisites": [
+          "022"
+        ],
+        "tags": [
+          "spread",
+          "rest",
+          "immutability",
+          "shallow copy"
+        ],
+        "line": 5
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 12,
+          "endLine": 18,
+          "codeLine": 14,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"🚀 JavaScript Learning Path: Advanced Spread/Rest Tricks\");\nconsole.log(\"=============================================================================\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"🚀 JavaScript Learning Path: Advanced Spread/Rest Tricks\");\nconsole.log(\"=============================================================================\");",
+              "line": 14
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-shallow-vs-deep-copy-trap",
+          "title": "Shallow vs. Deep Copy Trap",
+          "number": "1",
+          "heading": "1. Shallow vs. Deep Copy — The Trap",
+          "marker": "1. Shallow vs. Deep Copy Trap",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 19,
+          "endLine": 37,
+          "codeLine": 22,
+          "code": "console.log(\"\\n--- 1. Shallow vs. Deep Copy Trap ---\");\nconst obj_s1 = { a: 1, b: { c: 2 } };\nconst copy_s1 = { ...obj_s1 };\ncopy_s1.b.c = 99;\nconsole.log(\"Original object was mutated (obj.b.c):\", obj_s1.b.c); // 99 ❌\nconsole.log(\"👉 Why? Spread only performs a shallow copy. Nested objects are copied by reference.\");\n\nconsole.log(\"\\n✅ Solution (Deep Copy):\");\nconst deep2 = structuredClone(obj_s1);\ndeep2.b.c = 500; // Mutate the deep copy\nconsole.log(\"Original object is unaffected by structuredClone:\", obj_s1.b.c); // 99",
+          "prose": [
+            "Other methods:\nconst deep1 = JSON.parse(JSON.stringify(obj)); // Fails on Dates, Functions, undefined\nconst deep3 = _.cloneDeep(obj); // Requires Lodash library"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 1. Shallow vs. Deep Copy Trap ---\");\nconst obj_s1 = { a: 1, b: { c: 2 } };\nconst copy_s1 = { ...obj_s1 };\ncopy_s1.b.c = 99;\nconsole.log(\"Original object was mutated (obj.b.c):\", obj_s1.b.c); // 99 ❌\nconsole.log(\"👉 Why? Spread only performs a shallow copy. Nested objects are copied by reference.\");\n\nconsole.log(\"\\n✅ Solution (Deep Copy):\");\nconst deep2 = structuredClone(obj_s1);\ndeep2.b.c = 500; // Mutate the deep copy\nconsole.log(\"Original object is unaffected by structuredClone:\", obj_s1.b.c); // 99",
+              "line": 22
+            },
+            {
+              "type": "prose",
+              "text": "Other methods:\nconst deep1 = JSON.parse(JSON.stringify(obj)); // Fails on Dates, Functions, undefined\nconst deep3 = _.cloneDeep(obj); // Requires Lodash library",
+              "line": 33
+            }
+          ],
+          "expected": [
+            {
+              "line": 26,
+              "text": "99 ❌",
+              "kind": "inline",
+              "code": "console.log(\"Original object was mutated (obj.b.c):\", obj_s1.b.c);"
+            },
+            {
+              "line": 32,
+              "text": "99",
+              "kind": "inline",
+              "code": "console.log(\"Original object is unaffected by structuredClone:\", obj_s1.b.c);"
+            }
+          ],
+          "requires": [
+            "structured-clone"
+          ]
+        },
+        {
+          "id": "2-merging-objects-overwrites",
+          "title": "Merging Objects & Overwrites",
+          "number": "2",
+          "heading": "2. Merging Objects — Property Overwrites",
+          "marker": "2. Merging Objects & Overwrites",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 38,
+          "endLine": 49,
+          "codeLine": 40,
+          "code": "console.log(\"\\n--- 2. Merging Objects & Overwrites ---\");\nconst a_s2 = { x: 1, y: 2 };\nconst b_s2 = { y: 10, z: 3 };\nconst merged_s2 = { ...a_s2, ...b_s2 };\nconsole.log(\"Later spread overwrites earlier:\", merged_s2); // { x: 1, y: 10, z: 3 }\n\nconst mergedSafe_s2 = { ...b_s2, ...a_s2 };\nconsole.log(\"Reversing order preserves earlier values:\", mergedSafe_s2); // { y: 2, z: 3, x: 1 }",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 2. Merging Objects & Overwrites ---\");\nconst a_s2 = { x: 1, y: 2 };\nconst b_s2 = { y: 10, z: 3 };\nconst merged_s2 = { ...a_s2, ...b_s2 };\nconsole.log(\"Later spread overwrites earlier:\", merged_s2); // { x: 1, y: 10, z: 3 }\n\nconst mergedSafe_s2 = { ...b_s2, ...a_s2 };\nconsole.log(\"Reversing order preserves earlier values:\", mergedSafe_s2); // { y: 2, z: 3, x: 1 }",
+              "line": 40
+            }
+          ],
+          "expected": [
+            {
+              "line": 44,
+              "text": "{ x: 1, y: 10, z: 3 }",
+              "kind": "inline",
+              "code": "console.log(\"Later spread overwrites earlier:\", merged_s2);"
+            },
+            {
+              "line": 47,
+              "text": "{ y: 2, z: 3, x: 1 }",
+              "kind": "inline",
+              "code": "console.log(\"Reversing order preserves earlier values:\", mergedSafe_s2);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "3-immutable-array-updates",
+          "title": "Immutable Array Updates",
+          "number": "3",
+          "heading": "3. Spread in Arrays — Immutable Updates",
+          "marker": "3. Immutable Array Updates",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 50,
+          "endLine": 61,
+          "codeLine": 52,
+          "code": "console.log(\"\\n--- 3. Immutable Array Updates ---\");\nconst users_s3 = [{ id: 1, active: false }, { id: 2, active: false }];\nconst updated_s3 = users_s3.map(u =>\n  u.id === 2 ? { ...u, active: true } : u\n);\nconsole.log(\"Original users array:\", users_s3);\nconsole.log(\"Updated users array (immutable):\", updated_s3);\nconsole.log(\"👉 Spread avoids mutation, which is key for state management (e.g., React).\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 3. Immutable Array Updates ---\");\nconst users_s3 = [{ id: 1, active: false }, { id: 2, active: false }];\nconst updated_s3 = users_s3.map(u =>\n  u.id === 2 ? { ...u, active: true } : u\n);\nconsole.log(\"Original users array:\", users_s3);\nconsole.log(\"Updated users array (immutable):\", updated_s3);\nconsole.log(\"👉 Spread avoids mutation, which is key for state management (e.g., React).\");",
+              "line": 52
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "4-rest-parameters-for-flexible-apis",
+          "title": "Rest Parameters for Flexible APIs",
+          "number": "4",
+          "heading": "4. Rest Parameters — Flexible APIs",
+          "marker": "4. Rest Parameters for Flexible APIs",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 62,
+          "endLine": 72,
+          "codeLine": 64,
+          "code": "console.log(\"\\n--- 4. Rest Parameters for Flexible APIs ---\");\nfunction logAll(first, ...rest) {\n  console.log(\"  First argument:\", first);\n  console.log(\"  Rest of arguments (as a real array):\", rest);\n  console.log(\"  Can we use .map() on rest? ->\", rest.map(arg => `[${arg}]`));\n}\nlogAll(\"A\", \"B\", \"C\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 4. Rest Parameters for Flexible APIs ---\");\nfunction logAll(first, ...rest) {\n  console.log(\"  First argument:\", first);\n  console.log(\"  Rest of arguments (as a real array):\", rest);\n  console.log(\"  Can we use .map() on rest? ->\", rest.map(arg => `[${arg}]`));\n}\nlogAll(\"A\", \"B\", \"C\");",
+              "line": 64
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "5-destructuring-with-rest",
+          "title": "Destructuring with Rest",
+          "number": "5",
+          "heading": "5. Destructuring + Rest",
+          "marker": "5. Destructuring with Rest",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 73,
+          "endLine": 83,
+          "codeLine": 75,
+          "code": "console.log(\"\\n--- 5. Destructuring with Rest ---\");\nconst { a: a_s5, ...rest_s5 } = { a: 1, b: 2, c: 3 };\nconsole.log(\"Rest of object properties:\", rest_s5); // { b: 2, c: 3 }\n\nconst [head_s5, ...tail_s5] = [10, 20, 30];\nconsole.log(\"Rest of array elements:\", tail_s5); // [20, 30]\nconsole.log(\"👉 Hidden Gotcha: ...rest must be the last element in a destructuring pattern.\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 5. Destructuring with Rest ---\");\nconst { a: a_s5, ...rest_s5 } = { a: 1, b: 2, c: 3 };\nconsole.log(\"Rest of object properties:\", rest_s5); // { b: 2, c: 3 }\n\nconst [head_s5, ...tail_s5] = [10, 20, 30];\nconsole.log(\"Rest of array elements:\", tail_s5); // [20, 30]\nconsole.log(\"👉 Hidden Gotcha: ...rest must be the last element in a destructuring pattern.\");",
+              "line": 75
+            }
+          ],
+          "expected": [
+            {
+              "line": 77,
+              "text": "{ b: 2, c: 3 }",
+              "kind": "inline",
+              "code": "console.log(\"Rest of object properties:\", rest_s5);"
+            },
+            {
+              "line": 80,
+              "text": "[20, 30]",
+              "kind": "inline",
+              "code": "console.log(\"Rest of array elements:\", tail_s5);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "6-spreading-non-iterables",
+          "title": "Spreading Non-Iterables",
+          "number": "6",
+          "heading": "6. Handling Non-Iterables (Corner Case)",
+          "marker": "6. Spreading Non-Iterables",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 84,
+          "endLine": 98,
+          "codeLine": 86,
+          "code": "console.log(\"\\n--- 6. Spreading Non-Iterables ---\");\nconst obj_s6 = { a: 1, b: 2 };\ntry {\n  console.log([...obj_s6]);\n} catch (e) {\n  console.log(\"Spreading a plain object into an array fails:\", e.message);\n}\nconsole.log(\"✅ Trick: Convert object to an iterable structure first.\");\nconsole.log(\"Spreading Object.entries(obj):\", [...Object.entries(obj_s6)]);\nconsole.log(\"Spreading Object.keys(obj):\", [...Object.keys(obj_s6)]);\nconsole.log(\"Spreading Object.values(obj):\", [...Object.values(obj_s6)]);",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 6. Spreading Non-Iterables ---\");\nconst obj_s6 = { a: 1, b: 2 };\ntry {\n  console.log([...obj_s6]);\n} catch (e) {\n  console.log(\"Spreading a plain object into an array fails:\", e.message);\n}\nconsole.log(\"✅ Trick: Convert object to an iterable structure first.\");\nconsole.log(\"Spreading Object.entries(obj):\", [...Object.entries(obj_s6)]);\nconsole.log(\"Spreading Object.keys(obj):\", [...Object.keys(obj_s6)]);\nconsole.log(\"Spreading Object.values(obj):\", [...Object.values(obj_s6)]);",
+              "line": 86
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "8-conditional-spreading",
+          "title": "Conditional Spreading",
+          "number": "8",
+          "heading": "8. Advanced Trick — Conditional Spreading",
+          "marker": "8. Conditional Spreading",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 99,
+          "endLine": 109,
+          "codeLine": 101,
+          "code": "console.log(\"\\n--- 8. Conditional Spreading ---\");\nconst condition_s8 = true;\nconst obj_s8 = {\n  a: 1,\n  ...(condition_s8 ? { b: 2 } : {}),\n};\nconsole.log(\"Conditionally added property 'b':\", obj_s8); // { a: 1, b: 2 }",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 8. Conditional Spreading ---\");\nconst condition_s8 = true;\nconst obj_s8 = {\n  a: 1,\n  ...(condition_s8 ? { b: 2 } : {}),\n};\nconsole.log(\"Conditionally added property 'b':\", obj_s8); // { a: 1, b: 2 }",
+              "line": 101
+            }
+          ],
+          "expected": [
+            {
+              "line": 107,
+              "text": "{ a: 1, b: 2 }",
+              "kind": "inline",
+              "code": "console.log(\"Conditionally added property 'b':\", obj_s8);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "9-merging-defaults",
+          "title": "Merging Defaults",
+          "number": "9",
+          "heading": "9. Merging Defaults with Rest",
+          "marker": "9. Merging Defaults",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 110,
+          "endLine": 122,
+          "codeLine": 112,
+          "code": "console.log(\"\\n--- 9. Merging Defaults ---\");\nfunction setup(options) {\n  const defaults = { debug: false, verbose: false, port: 8080 };\n  const finalConfig = { ...defaults, ...options };\n  console.log(\"  Final config:\", finalConfig);\n  return finalConfig;\n}\nconsole.log(\"Calling setup({ debug: true }):\");\nsetup({ debug: true });",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 9. Merging Defaults ---\");\nfunction setup(options) {\n  const defaults = { debug: false, verbose: false, port: 8080 };\n  const finalConfig = { ...defaults, ...options };\n  console.log(\"  Final config:\", finalConfig);\n  return finalConfig;\n}\nconsole.log(\"Calling setup({ debug: true }):\");\nsetup({ debug: true });",
+              "line": 112
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "interview-brain-benders-for-you-to-solve",
+          "title": "Interview Brain-Benders (for you to solve)",
+          "number": null,
+          "heading": "🎯 Interview Brain-Benders (for you to solve)",
+          "marker": "Interview Brain-Benders (for you to solve)",
+          "level": 1,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 123,
+          "endLine": 130,
+          "codeLine": 125,
+          "code": "console.log(\"\\n--- Interview Brain-Benders (for you to solve) ---\");\nconsole.log(\"\\nQ1: What happens if you spread a Set into an Array?\");\nconsole.log(\"Q2: How does spread handle symbol properties in objects?\");\nconsole.log(\"Q3: Why is spreading arrays sometimes slower than concat()?\");\nconsole.log(\"Q4: Can you use rest in object destructuring with getters? What happens?\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- Interview Brain-Benders (for you to solve) ---\");\nconsole.log(\"\\nQ1: What happens if you spread a Set into an Array?\");\nconsole.log(\"Q2: How does spread handle symbol properties in objects?\");\nconsole.log(\"Q3: Why is spreading arrays sometimes slower than concat()?\");\nconsole.log(\"Q4: Can you use rest in object destructuring with getters? What happens?\");",
+              "line": 125
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "023_spread-and-rest-advanced-tricks.js",
+      "chapter": "004_Destructuring_Spred&Rest",
+      "path": "scripts/004_Destructuring_Spred&Rest/023_spread-and-rest-advanced-tricks.js",
+      "chapterTitle": "Destructuring, Spread & Rest"
+    },
+    {
+      "id": "024",
+      "title": "JavaScript Learning Path: Spread/Rest Internals & Edge Cases",
+      "summary": "A deep dive into hidden internals, edge cases, and advanced patterns for JavaScript's Spread and Rest operators.",
+      "metadata": {
+        "difficulty": "advanced",
+        "duration": "20 min",
+        "minutes": 20,
+        "prerequisites": [
+          "013",
+          "022",
+          "023"
+        ],
+        "tags": [
+          "spread",
+          "rest",
+          "symbol",
+          "getters",
+          "iterables"
+        ],
+        "line": 5
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 12,
+          "endLine": 18,
+          "codeLine": 14,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"⚡ JavaScript Learning Path: Spread/Rest Internals & Edge Cases\");\nconsole.log(\"=============================================================================\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"⚡ JavaScript Learning Path: Spread/Rest Internals & Edge Cases\");\nconsole.log(\"=============================================================================\");",
+              "line": 14
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-symbol-properties-are-skipped-by-spread",
+          "title": "Symbol Properties are Skipped by Spread",
+          "number": "1",
+          "heading": "1. Symbol Properties — Lost in Spread",
+          "marker": "1. Symbol Properties are Skipped by Spread",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 19,
+          "endLine": 36,
+          "codeLine": 21,
+          "code": "console.log(\"\\n--- 1. Symbol Properties are Skipped by Spread ---\");\n// Spread only copies own enumerable string-keyed properties.\nconst sym_s1 = Symbol(\"secret\");\nconst obj_s1 = { a: 1, [sym_s1]: 42 };\n\nconst copy_s1 = { ...obj_s1 };\nconsole.log(\"Original object:\", obj_s1);\nconsole.log(\"Copy with spread:\", copy_s1); // { a: 1 }\nconsole.log(\"Symbol property in copy is undefined:\", copy_s1[sym_s1]); // undefined ❌\n\nconsole.log(\"\\n✅ To keep symbols, use Object.assign or explicit copying:\");\nconst copyWithSymbols_s1 = Object.assign({}, obj_s1);\nconsole.log(\"Copy with Object.assign preserves symbols:\", copyWithSymbols_s1);\nconsole.log(\"Symbol property in Object.assign copy:\", copyWithSymbols_s1[sym_s1]); // 42",
+          "prose": [
+            "Spread only copies own enumerable string-keyed properties."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 1. Symbol Properties are Skipped by Spread ---\");",
+              "line": 21
+            },
+            {
+              "type": "prose",
+              "text": "Spread only copies own enumerable string-keyed properties.",
+              "line": 22
+            },
+            {
+              "type": "code",
+              "text": "const sym_s1 = Symbol(\"secret\");\nconst obj_s1 = { a: 1, [sym_s1]: 42 };\n\nconst copy_s1 = { ...obj_s1 };\nconsole.log(\"Original object:\", obj_s1);\nconsole.log(\"Copy with spread:\", copy_s1); // { a: 1 }\nconsole.log(\"Symbol property in copy is undefined:\", copy_s1[sym_s1]); // undefined ❌\n\nconsole.log(\"\\n✅ To keep symbols, use Object.assign or explicit copying:\");\nconst copyWithSymbols_s1 = Object.assign({}, obj_s1);\nconsole.log(\"Copy with Object.assign preserves symbols:\", copyWithSymbols_s1);\nconsole.log(\"Symbol property in Object.assign copy:\", copyWithSymbols_s1[sym_s1]); // 42",
+              "line": 23
+            }
+          ],
+          "expected": [
+            {
+              "line": 28,
+              "text": "{ a: 1 }",
+              "kind": "inline",
+              "code": "console.log(\"Copy with spread:\", copy_s1);"
+            },
+            {
+              "line": 29,
+              "text": "undefined ❌",
+              "kind": "inline",
+              "code": "console.log(\"Symbol property in copy is undefined:\", copy_s1[sym_s1]);"
+            },
+            {
+              "line": 34,
+              "text": "42",
+              "kind": "inline",
+              "code": "console.log(\"Symbol property in Object.assign copy:\", copyWithSymbols_s1[sym_s1]);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "2-spread-with-set-and-map",
+          "title": "Spread with Set and Map",
+          "number": "2",
+          "heading": "2. Spread with Set / Map",
+          "marker": "2. Spread with Set and Map",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 37,
+          "endLine": 53,
+          "codeLine": 40,
+          "code": "console.log(\"\\n--- 2. Spread with Set and Map ---\");\n// Spread converts a Set into an Array of its values.\nconst set_s2 = new Set([1, 2, 3, 3]); // Set only stores unique values\nconsole.log(\"Spreading a Set:\", [...set_s2]); // [1, 2, 3]\n\n// Spread converts a Map into an Array of its [key, value] pairs.\nconst map_s2 = new Map([[\"a\", 1], [\"b\", 2]]);\nconsole.log(\"Spreading a Map:\", [...map_s2]); // [ ['a', 1], ['b', 2] ]\n\nconsole.log(\"\\nPro Trick: Convert Map to Object\");\nconst objFromMap_s2 = Object.fromEntries(map_s2);\nconsole.log(\"Object.fromEntries(map):\", objFromMap_s2); // { a: 1, b: 2 }",
+          "prose": [
+            "Spread converts a Set into an Array of its values.",
+            "Spread converts a Map into an Array of its [key, value] pairs."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 2. Spread with Set and Map ---\");",
+              "line": 40
+            },
+            {
+              "type": "prose",
+              "text": "Spread converts a Set into an Array of its values.",
+              "line": 41
+            },
+            {
+              "type": "code",
+              "text": "const set_s2 = new Set([1, 2, 3, 3]); // Set only stores unique values\nconsole.log(\"Spreading a Set:\", [...set_s2]); // [1, 2, 3]",
+              "line": 42
+            },
+            {
+              "type": "prose",
+              "text": "Spread converts a Map into an Array of its [key, value] pairs.",
+              "line": 45
+            },
+            {
+              "type": "code",
+              "text": "const map_s2 = new Map([[\"a\", 1], [\"b\", 2]]);\nconsole.log(\"Spreading a Map:\", [...map_s2]); // [ ['a', 1], ['b', 2] ]\n\nconsole.log(\"\\nPro Trick: Convert Map to Object\");\nconst objFromMap_s2 = Object.fromEntries(map_s2);\nconsole.log(\"Object.fromEntries(map):\", objFromMap_s2); // { a: 1, b: 2 }",
+              "line": 46
+            }
+          ],
+          "expected": [
+            {
+              "line": 43,
+              "text": "[1, 2, 3]",
+              "kind": "inline",
+              "code": "console.log(\"Spreading a Set:\", [...set_s2]);"
+            },
+            {
+              "line": 47,
+              "text": "[ ['a', 1], ['b', 2] ]",
+              "kind": "inline",
+              "code": "console.log(\"Spreading a Map:\", [...map_s2]);"
+            },
+            {
+              "line": 51,
+              "text": "{ a: 1, b: 2 }",
+              "kind": "inline",
+              "code": "console.log(\"Object.fromEntries(map):\", objFromMap_s2);"
+            }
+          ],
+          "requires": [
+            "object-from-entries"
+          ]
+        },
+        {
+          "id": "3-array-like-objects-trap",
+          "title": "Array-Like Objects Trap",
+          "number": "3",
+          "heading": "3. Array-Like Objects — Trap",
+          "marker": "3. Array-Like Objects Trap",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 54,
+          "endLine": 68,
+          "codeLine": 56,
+          "code": "console.log(\"\\n--- 3. Array-Like Objects Trap ---\");\n// Spread requires an object to be *iterable*, not just \"array-like\".\nconst arrayLike_s3 = { 0: \"x\", 1: \"y\", length: 2 };\ntry {\n  console.log([...arrayLike_s3]);\n} catch (e) {\n  console.log(\"Spreading an array-like object fails:\", e.message); // ❌ TypeError\n}\n\nconsole.log(\"✅ Fix with Array.from():\");\nconsole.log(\"Array.from(arrayLike):\", Array.from(arrayLike_s3)); // ['x', 'y']",
+          "prose": [
+            "Spread requires an object to be *iterable*, not just \"array-like\"."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 3. Array-Like Objects Trap ---\");",
+              "line": 56
+            },
+            {
+              "type": "prose",
+              "text": "Spread requires an object to be *iterable*, not just \"array-like\".",
+              "line": 57
+            },
+            {
+              "type": "code",
+              "text": "const arrayLike_s3 = { 0: \"x\", 1: \"y\", length: 2 };\ntry {\n  console.log([...arrayLike_s3]);\n} catch (e) {\n  console.log(\"Spreading an array-like object fails:\", e.message); // ❌ TypeError\n}\n\nconsole.log(\"✅ Fix with Array.from():\");\nconsole.log(\"Array.from(arrayLike):\", Array.from(arrayLike_s3)); // ['x', 'y']",
+              "line": 58
+            }
+          ],
+          "expected": [
+            {
+              "line": 62,
+              "text": "❌ TypeError",
+              "kind": "inline",
+              "code": "console.log(\"Spreading an array-like object fails:\", e.message);"
+            },
+            {
+              "line": 66,
+              "text": "['x', 'y']",
+              "kind": "inline",
+              "code": "console.log(\"Array.from(arrayLike):\", Array.from(arrayLike_s3));"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "4-duplicate-keys-in-object-spread",
+          "title": "Duplicate Keys in Object Spread",
+          "number": "4",
+          "heading": "4. Duplicate Keys in Object Spread",
+          "marker": "4. Duplicate Keys in Object Spread",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 69,
+          "endLine": 78,
+          "codeLine": 71,
+          "code": "console.log(\"\\n--- 4. Duplicate Keys in Object Spread ---\");\nconst a_s4 = { x: 1, y: 10 };\nconst b_s4 = { x: 2, z: 3 };\nconst c_s4 = { ...a_s4, ...b_s4, x: 99 };\nconsole.log(\"Merged object with overrides:\", c_s4); // { x: 99, y: 10, z: 3 }\nconsole.log(\"👉 Rule: The last occurrence of a key wins.\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 4. Duplicate Keys in Object Spread ---\");\nconst a_s4 = { x: 1, y: 10 };\nconst b_s4 = { x: 2, z: 3 };\nconst c_s4 = { ...a_s4, ...b_s4, x: 99 };\nconsole.log(\"Merged object with overrides:\", c_s4); // { x: 99, y: 10, z: 3 }\nconsole.log(\"👉 Rule: The last occurrence of a key wins.\");",
+              "line": 71
+            }
+          ],
+          "expected": [
+            {
+              "line": 75,
+              "text": "{ x: 99, y: 10, z: 3 }",
+              "kind": "inline",
+              "code": "console.log(\"Merged object with overrides:\", c_s4);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "5-getter-traps",
+          "title": "Getter Traps",
+          "number": "5",
+          "heading": "5. Getter Traps",
+          "marker": "5. Getter Traps",
+          "level": 2,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 79,
+          "endLine": 92,
+          "codeLine": 81,
+          "code": "console.log(\"\\n--- 5. Getter Traps ---\");\nconst obj_s5 = {\n  get x() {\n    console.log(\"   (getter for 'x' was called)\");\n    return 42;\n  }\n};\nconsole.log(\"Creating a copy with spread...\");\nconst copy_s5 = { ...obj_s5 }; // The getter is called here!\nconsole.log(\"The copied object has the *value*, not the getter:\", copy_s5); // { x: 42 }",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 5. Getter Traps ---\");\nconst obj_s5 = {\n  get x() {\n    console.log(\"   (getter for 'x' was called)\");\n    return 42;\n  }\n};\nconsole.log(\"Creating a copy with spread...\");\nconst copy_s5 = { ...obj_s5 }; // The getter is called here!\nconsole.log(\"The copied object has the *value*, not the getter:\", copy_s5); // { x: 42 }",
+              "line": 81
+            }
+          ],
+          "expected": [
+            {
+              "line": 90,
+              "text": "{ x: 42 }",
+              "kind": "inline",
+              "code": "console.log(\"The copied object has the *value*, not the getter:\", copy_s5);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "6-prototype-chain-is-ignored",
+          "title": "Prototype Chain is Ignored",
+          "number": "6",
+          "heading": "6. Prototype Chain — Ignored",
+          "marker": "6. Prototype Chain is Ignored",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 93,
+          "endLine": 105,
+          "codeLine": 95,
+          "code": "console.log(\"\\n--- 6. Prototype Chain is Ignored ---\");\nconst proto_s6 = { p: 1 };\nconst obj_s6 = Object.create(proto_s6);\nobj_s6.a = 2;\n\nconsole.log(\"Original object's 'p' property (from proto):\", obj_s6.p); // 1\nconst copy_s6 = { ...obj_s6 };\nconsole.log(\"Spread copy only has own properties:\", copy_s6); // { a: 2 }\nconsole.log(\"Spread copy does not have 'p':\", copy_s6.p); // undefined",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 6. Prototype Chain is Ignored ---\");\nconst proto_s6 = { p: 1 };\nconst obj_s6 = Object.create(proto_s6);\nobj_s6.a = 2;\n\nconsole.log(\"Original object's 'p' property (from proto):\", obj_s6.p); // 1\nconst copy_s6 = { ...obj_s6 };\nconsole.log(\"Spread copy only has own properties:\", copy_s6); // { a: 2 }\nconsole.log(\"Spread copy does not have 'p':\", copy_s6.p); // undefined",
+              "line": 95
+            }
+          ],
+          "expected": [
+            {
+              "line": 100,
+              "text": "1",
+              "kind": "inline",
+              "code": "console.log(\"Original object's 'p' property (from proto):\", obj_s6.p);"
+            },
+            {
+              "line": 102,
+              "text": "{ a: 2 }",
+              "kind": "inline",
+              "code": "console.log(\"Spread copy only has own properties:\", copy_s6);"
+            },
+            {
+              "line": 103,
+              "text": "undefined",
+              "kind": "inline",
+              "code": "console.log(\"Spread copy does not have 'p':\", copy_s6.p);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "7-rest-in-destructuring-pitfall",
+          "title": "Rest in Destructuring Pitfall",
+          "number": "7",
+          "heading": "7. Rest in Object Destructuring — Hidden Pitfall",
+          "marker": "7. Rest in Destructuring Pitfall",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 106,
+          "endLine": 116,
+          "codeLine": 108,
+          "code": "console.log(\"\\n--- 7. Rest in Destructuring Pitfall ---\");\nconst sym_s7 = Symbol(\"secret\");\nconst base_s7 = { a: 1, b: 2, [sym_s7]: \"hidden\" };\nObject.defineProperty(base_s7, 'c', { value: 3, enumerable: false });\n\nconst { a: a_s7, ...rest_s7 } = base_s7;\nconsole.log(\"Rest object:\", rest_s7); // { b: 2 }\nconsole.log(\"👉 Rest also only collects own, enumerable, string-keyed properties.\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 7. Rest in Destructuring Pitfall ---\");\nconst sym_s7 = Symbol(\"secret\");\nconst base_s7 = { a: 1, b: 2, [sym_s7]: \"hidden\" };\nObject.defineProperty(base_s7, 'c', { value: 3, enumerable: false });\n\nconst { a: a_s7, ...rest_s7 } = base_s7;\nconsole.log(\"Rest object:\", rest_s7); // { b: 2 }\nconsole.log(\"👉 Rest also only collects own, enumerable, string-keyed properties.\");",
+              "line": 108
+            }
+          ],
+          "expected": [
+            {
+              "line": 114,
+              "text": "{ b: 2 }",
+              "kind": "inline",
+              "code": "console.log(\"Rest object:\", rest_s7);"
+            }
+          ],
+          "requires": []
+        }
+      ],
+      "fileName": "024_spread-and-rest-internals-and-edge-cases.js",
+      "chapter": "004_Destructuring_Spred&Rest",
+      "path": "scripts/004_Destructuring_Spred&Rest/024_spread-and-rest-internals-and-edge-cases.js",
+      "chapterTitle": "Destructuring, Spread & Rest"
+    },
+    {
+      "id": "025",
+      "title": "JavaScript Learning Path: Conditional Branching",
+      "summary": "A deep dive into conditional branching in JavaScript, covering if/else, switch, ternary operators, and common pitfalls.",
+      "metadata": {
+        "difficulty": "beginner",
+        "duration": "25 min",
+        "minutes": 25,
+        "prerequisites": [
+          "010",
+          "017"
+        ],
+        "tags": [
+          "conditionals",
+          "switch",
+          "ternary",
+          "truthiness"
+        ],
+        "line": 5
+      },
+      "sections": [
+        {
+          "id": "introduction",
+          "title": "Introduction",
+          "number": null,
+          "heading": null,
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 12,
+          "endLine": 18,
+          "codeLine": 14,
+          "code": "console.log(\"=============================================================================\");\nconsole.log(\"🧩 JavaScript Learning Path: Conditional Branching\");\nconsole.log(\"=============================================================================\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"=============================================================================\");\nconsole.log(\"🧩 JavaScript Learning Path: Conditional Branching\");\nconsole.log(\"=============================================================================\");",
+              "line": 14
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-what-it-means",
+          "title": "What It Means",
+          "number": "1",
+          "heading": "1. What It Means",
+          "marker": null,
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 19,
+          "endLine": 30,
+          "codeLine": null,
+          "code": "",
+          "prose": [
+            "Conditional branching means executing different code paths depending on\nconditions (true/false decisions).\n\nJavaScript supports several branching constructs:\n1. `if / else if / else`\n2. `switch`\n3. Ternary Operator (`condition ? expr1 : expr2`)\n4. Short-circuiting with `&&` and `||`"
+          ],
+          "blocks": [
+            {
+              "type": "prose",
+              "text": "Conditional branching means executing different code paths depending on\nconditions (true/false decisions).\n\nJavaScript supports several branching constructs:\n1. `if / else if / else`\n2. `switch`\n3. Ternary Operator (`condition ? expr1 : expr2`)\n4. Short-circuiting with `&&` and `||`",
+              "line": 21
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "1-if-else",
+          "title": "if / else",
+          "number": "1",
+          "heading": "1. if / else (The Classic)",
+          "marker": "1. if / else",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 31,
+          "endLine": 49,
+          "codeLine": 33,
+          "code": "console.log(\"\\n--- 1. if / else ---\");\nlet age_s2 = 20;\nif (age_s2 >= 18) {\n  console.log(\"if (age >= 18) with age=20 ->\", \"Adult\");\n} else {\n  console.log(\"if (age >= 18) with age=20 ->\", \"Minor\");\n}\n\n// Internal behavior: The expression inside if() is coerced to a boolean.\n// The 7 Falsy Values: false, 0, -0, 0n, \"\", null, undefined, NaN\n// Everything else is truthy.\nconsole.log(\"\\nTruthy/Falsy coercion in `if`:\");\nif (\"0\") console.log(\"  if ('0') -> runs (non-empty string is truthy)\");\nif ([]) console.log(\"  if ([]) -> runs (empty array is an object, which is truthy)\");\nif (0) { /* does not run */ } else { console.log(\"  if (0) -> does not run (0 is falsy)\"); }",
+          "prose": [
+            "Internal behavior: The expression inside if() is coerced to a boolean.\nThe 7 Falsy Values: false, 0, -0, 0n, \"\", null, undefined, NaN\nEverything else is truthy."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 1. if / else ---\");\nlet age_s2 = 20;\nif (age_s2 >= 18) {\n  console.log(\"if (age >= 18) with age=20 ->\", \"Adult\");\n} else {\n  console.log(\"if (age >= 18) with age=20 ->\", \"Minor\");\n}",
+              "line": 33
+            },
+            {
+              "type": "prose",
+              "text": "Internal behavior: The expression inside if() is coerced to a boolean.\nThe 7 Falsy Values: false, 0, -0, 0n, \"\", null, undefined, NaN\nEverything else is truthy.",
+              "line": 41
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\nTruthy/Falsy coercion in `if`:\");\nif (\"0\") console.log(\"  if ('0') -> runs (non-empty string is truthy)\");\nif ([]) console.log(\"  if ([]) -> runs (empty array is an object, which is truthy)\");\nif (0) { /* does not run */ } else { console.log(\"  if (0) -> does not run (0 is falsy)\"); }",
+              "line": 44
+            }
+          ],
+          "expected": [],
+          "requires": []
+        },
+        {
+          "id": "2-else-if",
+          "title": "else if",
+          "number": "2",
+          "heading": "2. else if",
+          "marker": "2. else if",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 50,
+          "endLine": 63,
+          "codeLine": 52,
+          "code": "console.log(\"\\n--- 2. else if ---\");\n// Evaluates sequentially top to bottom. First true branch executes.\nlet score_s3 = 85;\nif (score_s3 >= 90) {\n  console.log(\"Score 85 -> A\");\n} else if (score_s3 >= 75) {\n  console.log(\"Score 85 -> B\"); // This one runs\n} else {\n  console.log(\"Score 85 -> C\");\n}",
+          "prose": [
+            "Evaluates sequentially top to bottom. First true branch executes."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 2. else if ---\");",
+              "line": 52
+            },
+            {
+              "type": "prose",
+              "text": "Evaluates sequentially top to bottom. First true branch executes.",
+              "line": 53
+            },
+            {
+              "type": "code",
+              "text": "let score_s3 = 85;\nif (score_s3 >= 90) {\n  console.log(\"Score 85 -> A\");\n} else if (score_s3 >= 75) {\n  console.log(\"Score 85 -> B\"); // This one runs\n} else {\n  console.log(\"Score 85 -> C\");\n}",
+              "line": 54
+            }
+          ],
+          "expected": [
+            {
+              "line": 58,
+              "text": "This one runs",
+              "kind": "inline",
+              "code": "console.log(\"Score 85 -> B\");"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "3-ternary-operator",
+          "title": "Ternary Operator",
+          "number": "3",
+          "heading": "3. Ternary Operator ? :",
+          "marker": "3. Ternary Operator",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 64,
+          "endLine": 79,
+          "codeLine": 66,
+          "code": "console.log(\"\\n--- 3. Ternary Operator ---\");\n// A compact form of if/else that returns a value.\nlet age_s4 = 20;\nlet status_s4 = (age_s4 >= 18) ? \"Adult\" : \"Minor\";\nconsole.log(\"Ternary for age 20 ->\", status_s4); // Adult\n\n// It's right-associative: a ? b : c ? d : e is parsed as a ? b : (c ? d : e)\nlet isAdmin = false;\nlet isUser = true;\nlet msg = isAdmin ? \"Admin\" : isUser ? \"User\" : \"Guest\";\nconsole.log(\"Nested ternary:\", msg); // User\nconsole.log(\"  (Note: Deeply nested ternaries can harm readability.)\");",
+          "prose": [
+            "A compact form of if/else that returns a value.",
+            "It's right-associative: a ? b : c ? d : e is parsed as a ? b : (c ? d : e)"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 3. Ternary Operator ---\");",
+              "line": 66
+            },
+            {
+              "type": "prose",
+              "text": "A compact form of if/else that returns a value.",
+              "line": 67
+            },
+            {
+              "type": "code",
+              "text": "let age_s4 = 20;\nlet status_s4 = (age_s4 >= 18) ? \"Adult\" : \"Minor\";\nconsole.log(\"Ternary for age 20 ->\", status_s4); // Adult",
+              "line": 68
+            },
+            {
+              "type": "prose",
+              "text": "It's right-associative: a ? b : c ? d : e is parsed as a ? b : (c ? d : e)",
+              "line": 72
+            },
+            {
+              "type": "code",
+              "text": "let isAdmin = false;\nlet isUser = true;\nlet msg = isAdmin ? \"Admin\" : isUser ? \"User\" : \"Guest\";\nconsole.log(\"Nested ternary:\", msg); // User\nconsole.log(\"  (Note: Deeply nested ternaries can harm readability.)\");",
+              "line": 73
+            }
+          ],
+          "expected": [
+            {
+              "line": 70,
+              "text": "Adult",
+              "kind": "inline",
+              "code": "console.log(\"Ternary for age 20 ->\", status_s4);"
+            },
+            {
+              "line": 76,
+              "text": "User",
+              "kind": "inline",
+              "code": "console.log(\"Nested ternary:\", msg);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "4-switch",
+          "title": "switch",
+          "number": "4",
+          "heading": "4. switch",
+          "marker": "4. switch",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 80,
+          "endLine": 118,
+          "codeLine": 82,
+          "code": "console.log(\"\\n--- 4. switch ---\");\n// Uses strict equality (===) for comparisons.\nlet color_s5 = \"red\";\nconsole.log(\"Switch for color 'red':\");\nswitch (color_s5) {\n  case \"red\":\n    console.log(\"  - Stop\");\n    break;\n  case \"green\":\n    console.log(\"  - Go\");\n    break;\n  default:\n    console.log(\"  - Wait\");\n}\n\n// Example of \"fall-through\" (when `break` is omitted)\nlet level = 2;\nconsole.log(\"\\nSwitch with fall-through:\");\nswitch (level) {\n  case 1:\n    console.log(\"  - Level 1 access\");\n  case 2:\n    console.log(\"  - Level 2 access\"); // Starts here\n  case 3:\n    console.log(\"  - Level 3 access\"); // Falls through to here\n    break; // Stops here\n}\n\n// Example pitfall: strict equality\nlet x_s5 = \"1\";\nconsole.log(\"\\nSwitch uses strict equality (===):\");\nswitch (x_s5) {\n  case 1: console.log(\"  - number one\"); break;\n  case \"1\": console.log(\"  - string one\"); break; // This one matches\n}",
+          "prose": [
+            "Uses strict equality (===) for comparisons.",
+            "Example of \"fall-through\" (when `break` is omitted)",
+            "Example pitfall: strict equality"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 4. switch ---\");",
+              "line": 82
+            },
+            {
+              "type": "prose",
+              "text": "Uses strict equality (===) for comparisons.",
+              "line": 83
+            },
+            {
+              "type": "code",
+              "text": "let color_s5 = \"red\";\nconsole.log(\"Switch for color 'red':\");\nswitch (color_s5) {\n  case \"red\":\n    console.log(\"  - Stop\");\n    break;\n  case \"green\":\n    console.log(\"  - Go\");\n    break;\n  default:\n    console.log(\"  - Wait\");\n}",
+              "line": 84
+            },
+            {
+              "type": "prose",
+              "text": "Example of \"fall-through\" (when `break` is omitted)",
+              "line": 97
+            },
+            {
+              "type": "code",
+              "text": "let level = 2;\nconsole.log(\"\\nSwitch with fall-through:\");\nswitch (level) {\n  case 1:\n    console.log(\"  - Level 1 access\");\n  case 2:\n    console.log(\"  - Level 2 access\"); // Starts here\n  case 3:\n    console.log(\"  - Level 3 access\"); // Falls through to here\n    break; // Stops here\n}",
+              "line": 98
+            },
+            {
+              "type": "prose",
+              "text": "Example pitfall: strict equality",
+              "line": 110
+            },
+            {
+              "type": "code",
+              "text": "let x_s5 = \"1\";\nconsole.log(\"\\nSwitch uses strict equality (===):\");\nswitch (x_s5) {\n  case 1: console.log(\"  - number one\"); break;\n  case \"1\": console.log(\"  - string one\"); break; // This one matches\n}",
+              "line": 111
+            }
+          ],
+          "expected": [
+            {
+              "line": 104,
+              "text": "Starts here",
+              "kind": "inline",
+              "code": "console.log(\"  - Level 2 access\");"
+            },
+            {
+              "line": 106,
+              "text": "Falls through to here",
+              "kind": "inline",
+              "code": "console.log(\"  - Level 3 access\");"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "5-short-circuit-branching",
+          "title": "Short-Circuit Branching",
+          "number": "5",
+          "heading": "5. Short-Circuit Branching ( && and || )",
+          "marker": "5. Short-Circuit Branching",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 119,
+          "endLine": 132,
+          "codeLine": 121,
+          "code": "console.log(\"\\n--- 5. Short-Circuit Branching ---\");\n// && returns the first falsy value or the last truthy value.\n// Often used for conditional execution.\nlet loggedIn_s6 = true;\nlet username_s6 = loggedIn_s6 && \"Alice\";\nconsole.log(\"`loggedIn && 'Alice'` ->\", username_s6); // \"Alice\"\n\n// || returns the first truthy value or the last falsy value.\n// Often used for setting default values.\nconsole.log(\"`null || 'default'` ->\", null || \"default\"); // \"default\"",
+          "prose": [
+            "&& returns the first falsy value or the last truthy value.\nOften used for conditional execution.",
+            "|| returns the first truthy value or the last falsy value.\nOften used for setting default values."
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 5. Short-Circuit Branching ---\");",
+              "line": 121
+            },
+            {
+              "type": "prose",
+              "text": "&& returns the first falsy value or the last truthy value.\nOften used for conditional execution.",
+              "line": 122
+            },
+            {
+              "type": "code",
+              "text": "let loggedIn_s6 = true;\nlet username_s6 = loggedIn_s6 && \"Alice\";\nconsole.log(\"`loggedIn && 'Alice'` ->\", username_s6); // \"Alice\"",
+              "line": 124
+            },
+            {
+              "type": "prose",
+              "text": "|| returns the first truthy value or the last falsy value.\nOften used for setting default values.",
+              "line": 128
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"`null || 'default'` ->\", null || \"default\"); // \"default\"",
+              "line": 130
+            }
+          ],
+          "expected": [
+            {
+              "line": 126,
+              "text": "\"Alice\"",
+              "kind": "inline",
+              "code": "console.log(\"`loggedIn && 'Alice'` ->\", username_s6);"
+            },
+            {
+              "line": 130,
+              "text": "\"default\"",
+              "kind": "inline",
+              "code": "console.log(\"`null || 'default'` ->\", null || \"default\");"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "6-common-pitfalls-gotchas",
+          "title": "Common Pitfalls & Gotchas",
+          "number": "6",
+          "heading": "6. Common Pitfalls & Gotchas",
+          "marker": "6. Common Pitfalls & Gotchas",
+          "level": 2,
+          "kind": "lesson",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 133,
+          "endLine": 162,
+          "codeLine": 135,
+          "code": "console.log(\"\\n--- 6. Common Pitfalls & Gotchas ---\");\n\n// 1. Falsy traps\nconsole.log(\"\\n1. Falsy traps: `if(0)` won't run, but `if('0')` will.\");\n\n// 2. switch fall-through (without `break`)\nlet n_p2 = 1;\nconsole.log(\"\\nSwitch fall-through example:\");\nswitch (n_p2) {\n  case 1: console.log(\"  - one\"); // Starts here\n  case 2: console.log(\"  - two\"); // Falls through to here\n  case 3: console.log(\"  - three\"); // And here\n    break;\n  case 4: console.log(\"  - four\");\n}\n\n// 3. Assignment vs. comparison\nlet a_p3 = 5;\nif (a_p3 = 0) { // This is an assignment. The result of `a_p3 = 0` is 0, which is falsy.\n  console.log(\"Oops, this will not run.\");\n}\nconsole.log(\"Value of `a` after `if (a = 0)`:\", a_p3); // 0\n\n// 4. Nested ternary readability\nlet authStatus = isAdmin ? \"Admin Access\" : isUser ? \"User Access\" : \"Guest Access\";\nconsole.log(\"\\n4. Nested ternaries can be hard to read:\", authStatus);",
+          "prose": [
+            "1. Falsy traps",
+            "2. switch fall-through (without `break`)",
+            "3. Assignment vs. comparison",
+            "4. Nested ternary readability"
+          ],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 6. Common Pitfalls & Gotchas ---\");",
+              "line": 135
+            },
+            {
+              "type": "prose",
+              "text": "1. Falsy traps",
+              "line": 137
+            },
+            {
+              "type": "code",
+              "text": "console.log(\"\\n1. Falsy traps: `if(0)` won't run, but `if('0')` will.\");",
+              "line": 138
+            },
+            {
+              "type": "prose",
+              "text": "2. switch fall-through (without `break`)",
+              "line": 140
+            },
+            {
+              "type": "code",
+              "text": "let n_p2 = 1;\nconsole.log(\"\\nSwitch fall-through example:\");\nswitch (n_p2) {\n  case 1: console.log(\"  - one\"); // Starts here\n  case 2: console.log(\"  - two\"); // Falls through to here\n  case 3: console.log(\"  - three\"); // And here\n    break;\n  case 4: console.log(\"  - four\");\n}",
+              "line": 141
+            },
+            {
+              "type": "prose",
+              "text": "3. Assignment vs. comparison",
+              "line": 151
+            },
+            {
+              "type": "code",
+              "text": "let a_p3 = 5;\nif (a_p3 = 0) { // This is an assignment. The result of `a_p3 = 0` is 0, which is falsy.\n  console.log(\"Oops, this will not run.\");\n}\nconsole.log(\"Value of `a` after `if (a = 0)`:\", a_p3); // 0",
+              "line": 152
+            },
+            {
+              "type": "prose",
+              "text": "4. Nested ternary readability",
+              "line": 158
+            },
+            {
+              "type": "code",
+              "text": "let authStatus = isAdmin ? \"Admin Access\" : isUser ? \"User Access\" : \"Guest Access\";\nconsole.log(\"\\n4. Nested ternaries can be hard to read:\", authStatus);",
+              "line": 159
+            }
+          ],
+          "expected": [
+            {
+              "line": 144,
+              "text": "Starts here",
+              "kind": "inline",
+              "code": "console.log(\"  - one\");"
+            },
+            {
+              "line": 145,
+              "text": "Falls through to here",
+              "kind": "inline",
+              "code": "console.log(\"  - two\");"
+            },
+            {
+              "line": 146,
+              "text": "And here",
+              "kind": "inline",
+              "code": "console.log(\"  - three\");"
+            },
+            {
+              "line": 156,
+              "text": "0",
+              "kind": "inline",
+              "code": "console.log(\"Value of `a` after `if (a = 0)`:\", a_p3);"
+            }
+          ],
+          "requires": []
+        },
+        {
+          "id": "7-interview-traps",
+          "title": "Interview Traps",
+          "number": "7",
+          "heading": "7. 🎯 Interview Traps",
+          "marker": "7. Interview Traps",
+          "level": 1,
+          "kind": "exercise",
+          "exerciseId": null,
+          "solutionId": null,
+          "solutionOf": null,
+          "startLine": 163,
+          "endLine": 170,
+          "codeLine": 165,
+          "code": "console.log(\"\\n--- 7. Interview Traps ---\");\nconsole.log(\"Q: Difference between == and === in switch? -> A: `switch` always uses strict equality (`===`).\");\nconsole.log(\"Q: Why does if([]) execute? -> A: Because an empty array is an object, and all objects are truthy.\");\nconsole.log(\"Q: How to avoid switch fall-through? -> A: Use `break` or `return` in each case block.\");\nconsole.log(\"Q: Can you replace if/else with ternary everywhere? -> A: Not for complex statements. Ternary is an expression that returns a value, while `if` executes statements.\");",
+          "prose": [],
+          "blocks": [
+            {
+              "type": "code",
+              "text": "console.log(\"\\n--- 7. Interview Traps ---\");\nconsole.log(\"Q: Difference between == and === in switch? -> A: `switch` always uses strict equality (`===`).\");\nconsole.log(\"Q: Why does if([]) execute? -> A: Because an empty array is an object, and all objects are truthy.\");\nconsole.log(\"Q: How to avoid switch fall-through? -> A: Use `break` or `return` in each case block.\");\nconsole.log(\"Q: Can you replace if/else with ternary everywhere? -> A: Not for complex statements. Ternary is an expression that returns a value, while `if` executes statements.\");",
+              "line": 165
+            }
+          ],
+          "expected": [],
+          "requires": []
+        }
+      ],
+      "fileName": "025_conditional-branching.js",
+      "chapter": "005_Conditionals_Loops",
+      "path": "scripts/005_Conditionals_Loops/025_conditional-branching.js",
+      "chapterTitle": "Conditionals & Loops"
+    }
+  ];
+})(typeof self !== "undefined" ? self : this);
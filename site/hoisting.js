@@ -0,0 +1,186 @@
+/**
+ * @fileoverview The hoisting visualizer on hoisting.html.
+ *
+ * Finds the snippet's bindings and statements here (see `lib/hoisting.js`),
+ * then runs the instrumented snippet in a sandboxed frame, which reports the
+ * value of every binding after each top-level statement. The snippet is kept
+ * in the URL (`hoisting.html?code=…`) so tables can be shared.
+ *
+ * Needs `lib/js-tokens.js`, `lib/inspect.js`, `lib/statements.js`,
+ * `lib/hoisting.js`, `site/dom.js`, `site/frame-runner.js` and
+ * `site/tool-page.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { RECORDER_NAME, analyzeHoisting, instrument } = self.LessonKit.hoisting;
+  const { element } = self.LessonKit.dom;
+  const { setPermalink, addExamples, startRecordedRun } = self.LessonKit.toolPage;
+
+  const FRAME_SCRIPTS = ["lib/js-tokens.js", "lib/statements.js", "lib/hoisting.js"];
+  const EXAMPLES = [
+    {
+      label: "var, let and const (lesson 014)",
+      code: "console.log(a);\n// console.log(b); // This would throw an error\nvar a = 10;\nlet b = 20;\nconst c = 30;",
+    },
+    {
+      label: "Function vs var clash (015, Q7)",
+      code: 'console.log("Q7.1:", foo_q7);\nfunction foo_q7() { return "I am a function"; }\nvar foo_q7 = "I am a variable";\nconsole.log("Q7.2:", foo_q7);',
+    },
+    {
+      label: "Declaration vs expression",
+      code: 'console.log(sayHello());\nfunction sayHello() { return "Hello"; }\n\nconsole.log(typeof sayHi);\nvar sayHi = function () { return "Hi"; };\nconsole.log(sayHi());',
+    },
+    {
+      label: "Reading a let too early",
+      code: "let total = 1;\ntotal = total + price;\nlet price = 10;",
+    },
+  ];
+
+  /**
+   * Creates a table with a header row.
+   *
+   * @param {string[]} headings
+   * @returns {{ table: HTMLTableElement, body: HTMLTableSectionElement }}
+   */
+  function createTable(headings) {
+    const table = element("table", "hoisting-table");
+    const headRow = element("tr");
+    for (const heading of headings) headRow.append(element("th", null, heading));
+    table.append(element("thead"), element("tbody"));
+    table.tHead.append(headRow);
+    return { table, body: table.tBodies[0] };
+  }
+
+  /**
+   * Renders the memory creation table and its notes.
+   *
+   * @param {import("../lib/hoisting").HoistingAnalysis} analysis
+   * @returns {DocumentFragment}
+   */
+  function renderCreation(analysis) {
+    const fragment = document.createDocumentFragment();
+    fragment.append(element("h2", null, "Memory Creation Phase (before execution)"));
+    if (analysis.bindings.length === 0) {
+      fragment.append(element("p", null, "The snippet declares nothing in its top-level scope."));
+      return fragment;
+    }
+
+    const { table, body } = createTable(["Variable", "Declared as", "Value now"]);
+    for (const binding of analysis.bindings) {
+      const row = element("tr");
+      const value = element("td", binding.creation === "tdz" ? "hoisting-tdz" : null);
+      value.append(binding.creation === "tdz" ? binding.creationText : element("code", null, binding.creationText));
+      const name = element("td");
+      name.append(element("code", null, binding.name));
+      row.append(name, element("td", null, binding.kind), value);
+      body.append(row);
+    }
+    fragment.append(table);
+
+    const notes = analysis.bindings.filter((binding) => binding.note);
+    if (notes.length > 0) {
+      const list = element("ul", "hoisting-notes");
+      for (const binding of notes) list.append(element("li", null, binding.note.replace(/`/g, "")));
+      fragment.append(list);
+    }
+    return fragment;
+  }
+
+  /**
+   * Renders the execution table, one row per top-level statement that ran.
+   *
+   * @param {import("../lib/hoisting").HoistingAnalysis} analysis
+   * @param {import("../lib/hoisting").HoistingRun} run
+   * @returns {DocumentFragment}
+   */
+  function renderExecution(analysis, run) {
+    const fragment = document.createDocumentFragment();
+    fragment.append(element("h2", null, "Execution Phase (line by line)"));
+    const names = analysis.bindings.map((binding) => binding.name);
+    const { table, body } = createTable(["Line", "Statement", ...names, "Printed"]);
+    for (const th of [...table.tHead.rows[0].cells].slice(2, 2 + names.length)) th.className = "hoisting-name";
+
+    run.steps.forEach((step) => {
+      const statement = analysis.statements[step.statement];
+      const row = element("tr", step.error ? "hoisting-failed" : null);
+      const code = element("td");
+      code.append(element("code", null, statement ? statement.text : ""));
+      row.append(element("td", "hoisting-line", statement ? String(statement.line) : "?"), code);
+      for (const name of names) {
+        const value = step.error ? "" : step.values[name] || "";
+        const classes = [value === "TDZ" ? "hoisting-tdz" : "", step.changed.includes(name) ? "hoisting-changed" : ""];
+        row.append(element("td", classes.filter(Boolean).join(" ") || null, value));
+      }
+      row.append(element("td", "hoisting-printed", step.error ? `❌ ${step.error}` : step.output.join("\n")));
+      body.append(row);
+    });
+    fragment.append(table);
+
+    const last = run.steps[run.steps.length - 1];
+    if (last && last.error && last.statement < analysis.statements.length - 1) {
+      const line = analysis.statements[last.statement].line;
+      fragment.append(element("p", "hoisting-notes", `Execution stopped at line ${line}; the statements after it never ran.`));
+    }
+    return fragment;
+  }
+
+  function init() {
+    const form = document.getElementById("hoisting-form");
+    const input = document.getElementById("hoisting-code");
+    const status = document.getElementById("hoisting-status");
+    const output = document.getElementById("hoisting-tables");
+    let running = null;
+
+    const visualize = () => {
+      if (running) running.stop();
+      running = null;
+      output.replaceChildren();
+      status.textContent = "";
+
+      const source = input.value;
+      setPermalink({ code: source });
+
+      const analysis = analyzeHoisting(source);
+      output.append(renderCreation(analysis));
+      status.textContent = "Running…";
+
+      running = startRecordedRun(
+        {
+          recorder: RECORDER_NAME,
+          create: "LessonKit.hoisting.createRecorder()",
+          prepare: `${RECORDER_NAME}.watchConsole(console);\n`,
+          sections: [{ title: "Snippet", code: instrument(source, analysis) }],
+          type: "hoisting",
+          scripts: FRAME_SCRIPTS,
+          title: "Sandbox for the hoisting visualizer",
+        },
+        (run) => {
+          running = null;
+          status.textContent = "";
+          output.append(renderExecution(analysis, run));
+        }
+      );
+    };
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      visualize();
+    });
+
+    addExamples(EXAMPLES, { label: (example) => example.label }, (example) => {
+      input.value = example.code;
+      visualize();
+    });
+
+    const params = new URLSearchParams(location.search);
+    input.value = params.has("code") ? params.get("code") : EXAMPLES[0].code;
+    visualize();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview The IEEE-754 bit inspector on ieee754.html.
+ *
+ * Evaluates one or two expressions in a sandboxed frame, which inspects the
+ * numbers they give (see `lib/ieee754.js`) and reports back. Each number is
+ * shown as its 64 bits, coloured by part, with the exponent worked out, the
+ * exact decimal value stored and the next double up. With two numbers, the
+ * bits that differ are marked and the distance between them is given. The
+ * expressions are kept in the URL (`ieee754.html?a=0.1+%2B+0.2&b=0.3`) so
+ * inspections can be shared.
+ *
+ * Needs `lib/ieee754.js`, `site/dom.js`, `site/frame-runner.js` and
+ * `site/tool-page.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { compareNumbers, describeKind, describeExponent, describeNext, describeComparison } = self.LessonKit.ieee754;
+  const { startFrame } = self.LessonKit.frameRunner;
+  const { element } = self.LessonKit.dom;
+  const { setPermalink, addExamples } = self.LessonKit.toolPage;
+
+  const FRAME_SCRIPTS = ["lib/ieee754.js"];
+  const EXAMPLES = [
+    { label: "0.1 + 0.2 vs 0.3", a: "0.1 + 0.2", b: "0.3" },
+    { label: "-0 vs 0", a: "-0", b: "0" },
+    { label: "MAX_SAFE_INTEGER + 1 vs + 2", a: "Number.MAX_SAFE_INTEGER + 1", b: "Number.MAX_SAFE_INTEGER + 2" },
+    { label: "1 vs 1 + EPSILON", a: "1", b: "1 + Number.EPSILON" },
+    { label: "Number.MAX_VALUE", a: "Number.MAX_VALUE", b: "" },
+    { label: "Number.MIN_VALUE", a: "Number.MIN_VALUE", b: "" },
+    { label: "NaN vs Infinity", a: "NaN", b: "Infinity" },
+  ];
+  const PARTS = [
+    { name: "sign", key: "sign", start: 0 },
+    { name: "exponent", key: "exponent", start: 1 },
+    { name: "mantissa", key: "mantissa", start: 12 },
+  ];
+
+  /**
+   * Renders the 64 bits of a number, grouped into sign, exponent and
+   * mantissa, with the bits listed in `differing` marked.
+   *
+   * @param {import("../lib/ieee754").NumberBits} number
+   * @param {number[]} differing
+   * @returns {HTMLElement}
+   */
+  function renderBits(number, differing) {
+    const wrapper = element("div", "ieee-bits");
+    for (const part of PARTS) {
+      const group = element("span", `ieee-part ieee-${part.name}`);
+      const bits = element("span", "ieee-part-bits");
+      [...number[part.key]].forEach((bit, offset) => {
+        const position = part.start + offset;
+        const span = element("span", differing.includes(position) ? "ieee-bit ieee-differs" : "ieee-bit", bit);
+        span.title = `bit ${63 - position}`;
+        bits.append(span);
+      });
+      group.append(bits, element("span", "ieee-part-name", part.name));
+      wrapper.append(group);
+    }
+    return wrapper;
+  }
+
+  /**
+   * Renders one inspected number: its bits and what they mean.
+   *
+   * @param {import("../lib/ieee754").NumberBits} number
+   * @param {string} label The expression it came from.
+   * @param {number[]} differing
+   * @returns {HTMLElement}
+   */
+  function renderNumber(number, label, differing) {
+    const section = element("section", "ieee-number");
+    const heading = element("h2");
+    heading.append(element("code", null, label));
+    if (label !== number.value) heading.append(" → ", element("code", null, number.value));
+    section.append(heading, renderBits(number, differing));
+
+    const table = element("table", "hoisting-table ieee-details");
+    const rows = [
+      ["Sign", `${number.sign} (${number.sign === "1" ? "negative" : "positive"})`],
+      ["Exponent", describeExponent(number)],
+      ["Kind", describeKind(number)],
+      ["Stored exactly", number.stored],
+      ["Next double up", describeNext(number)],
+    ];
+    for (const [name, value] of rows) {
+      const row = element("tr");
+      const cell = element("td");
+      cell.append(element("code", name === "Stored exactly" ? "ieee-stored" : null, value));
+      row.append(element("th", null, name), cell);
+      table.append(row);
+    }
+    section.append(table);
+    return section;
+  }
+
+  function init() {
+    const form = document.getElementById("ieee754-form");
+    const inputA = document.getElementById("ieee754-a");
+    const inputB = document.getElementById("ieee754-b");
+    const status = document.getElementById("ieee754-status");
+    const output = document.getElementById("ieee754-numbers");
+    let running = null;
+
+    const inspect = () => {
+      if (running) running.stop();
+      running = null;
+      output.replaceChildren();
+      status.textContent = "";
+
+      const labels = [inputA.value.trim(), inputB.value.trim()].filter(Boolean);
+      const params = { a: inputA.value.trim() };
+      if (inputB.value.trim()) params.b = inputB.value.trim();
+      setPermalink(params);
+      if (labels.length === 0) {
+        status.textContent = "Enter a number to inspect.";
+        return;
+      }
+
+      // Each expression is made and inspected on its own, so one that throws
+      // or is not a Number does not hide the other.
+      const makers = labels.map((label) => `() => (${label}\n)`).join(", ");
+      const code =
+        `lessonFrame.report({ type: "ieee754", results: [${makers}].map((make) => {\n` +
+        `  try { return { number: LessonKit.ieee754.inspectNumber(make()) }; }\n` +
+        `  catch (error) { return { error: \`\${error.name}: \${error.message}\` }; }\n` +
+        `}) });`;
+      running = startFrame({ code, scripts: FRAME_SCRIPTS, title: "Sandbox for the bit inspector" }, (message) => {
+        if (message.type === "error") {
+          status.textContent = `The expressions could not be run: ${message.message}`;
+        } else if (message.type === "done") {
+          running.stop();
+          running = null;
+        }
+        if (message.type !== "ieee754") return;
+
+        const { results } = message;
+        const failed = results.map((result, index) => (result.error ? `${labels[index]}: ${result.error}` : null)).filter(Boolean);
+        status.textContent = failed.join(" ");
+        const numbers = results.map((result) => result.number);
+        const comparison = numbers.length === 2 && numbers.every(Boolean) ? compareNumbers(numbers[0], numbers[1]) : null;
+        numbers.forEach((number, index) => {
+          if (number) output.append(renderNumber(number, labels[index], comparison ? comparison.differing : []));
+        });
+        if (comparison) {
+          const summary = element("div", "ieee-comparison");
+          for (const line of describeComparison(comparison)) summary.append(element("p", null, line));
+          output.append(summary);
+        }
+      });
+    };
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      inspect();
+    });
+
+    addExamples(EXAMPLES, { label: (example) => example.label, code: true }, (example) => {
+      inputA.value = example.a;
+      inputB.value = example.b;
+      inspect();
+    });
+
+    const params = new URLSearchParams(location.search);
+    inputA.value = params.has("a") ? params.get("a") : EXAMPLES[0].a;
+    inputB.value = params.has("a") ? params.get("b") || "" : EXAMPLES[0].b;
+    inspect();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Shows the learner's progress on index.html: how much of each
+ * chapter is done next to its heading, and how far each lesson got next to
+ * its link.
+ *
+ * A chapter's percentage counts every section opened and every quiz question
+ * answered right; a lesson is complete when all of its sections and
+ * questions are. Following a lesson's link marks the lesson as opened.
+ *
+ * Needs `site/generated/lessons.js`, `site/dom.js` and `site/progress.js` to be
+ * loaded first.
+ */
+(function () {
+  "use strict";
+
+  const progress = self.LessonKit.progress;
+  const { element } = self.LessonKit.dom;
+  const lessonsById = new Map(self.LessonKit.lessons.map((lesson) => [lesson.id, lesson]));
+
+  /**
+   * Describes a lesson's progress in a few words.
+   *
+   * @param {Object} lessonProgress Result of `LessonKit.progress.lessonProgress`.
+   * @returns {string}
+   */
+  function describeLesson(lessonProgress) {
+    if (lessonProgress.complete) return "✓ complete";
+    if (!lessonProgress.opened) return "";
+    const parts = [`${lessonProgress.sectionsOpened}/${lessonProgress.sections} sections`];
+    if (lessonProgress.questions > 0) parts.push(`${lessonProgress.questionsCorrect}/${lessonProgress.questions} questions`);
+    return parts.join(" · ");
+  }
+
+  /**
+   * Returns the element that shows progress inside `container`, creating it
+   * after `anchor` the first time.
+   */
+  function badge(container, anchor, className) {
+    let node = container.querySelector(`:scope > .${className}`);
+    if (!node) {
+      node = element("span", className);
+      anchor.after(node);
+    }
+    return node;
+  }
+
+  function render() {
+    const data = progress.load();
+    let anyProgress = false;
+
+    for (const list of document.querySelectorAll("ul.lessons[data-chapter]")) {
+      let done = 0;
+      let total = 0;
+      let completeLessons = 0;
+      const items = list.querySelectorAll("li[data-lesson-id]");
+
+      for (const item of items) {
+        const lesson = lessonsById.get(item.dataset.lessonId);
+        if (!lesson) continue;
+        const lessonProgress = progress.lessonProgress(lesson, data);
+        done += lessonProgress.sectionsOpened + lessonProgress.questionsCorrect;
+        total += lessonProgress.sections + lessonProgress.questions;
+        if (lessonProgress.complete) completeLessons++;
+        if (lessonProgress.opened) anyProgress = true;
+
+        item.classList.toggle("lesson-opened", lessonProgress.opened);
+        item.classList.toggle("lesson-complete", lessonProgress.complete);
+        const links = item.querySelectorAll(":scope > a");
+        badge(item, links[links.length - 1], "lesson-progress").textContent = describeLesson(lessonProgress);
+      }
+
+      const heading = list.previousElementSibling;
+      if (!heading || heading.tagName !== "H2") continue;
+      const percent = total === 0 ? 0 : Math.round((done / total) * 100);
+      const chapterBadge = badge(heading, heading.lastChild, "chapter-progress");
+      chapterBadge.textContent = `${completeLessons}/${items.length} lessons complete · ${percent}%`;
+      chapterBadge.classList.toggle("chapter-complete", completeLessons === items.length);
+    }
+
+    const summary = document.getElementById("progress");
+    if (summary) summary.hidden = !anyProgress;
+  }
+
+  function init() {
+    const summary = document.getElementById("progress");
+    if (summary) {
+      const reset = element("button", "progress-reset", "Reset my progress");
+      reset.type = "button";
+      reset.addEventListener("click", () => {
+        if (!confirm("Forget which lessons you opened and which questions you answered?")) return;
+        progress.reset();
+        render();
+      });
+      summary.append(
+        "Your progress is saved in this browser only, next to each chapter and lesson below. ",
+        reset
+      );
+    }
+
+    document.addEventListener("click", (event) => {
+      const link = event.target.closest && event.target.closest("li[data-lesson-id] > a");
+      if (!link) return;
+      progress.markLessonOpened(link.parentElement.dataset.lessonId);
+      render();
+    });
+
+    render();
+    // Coming back from a lesson, possibly from the back/forward cache, or
+    // progress made in another tab.
+    window.addEventListener("pageshow", render);
+    window.addEventListener("storage", render);
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Runs inside each lesson's sandboxed iframe, before the lesson.
+ *
+ * Wraps the frame's console so every call is still printed to DevTools but is
+ * also posted to the page that owns the frame, both as formatted text and as
+ * value trees the page can render as expandable objects, and reports
+ * uncaught errors (including a script that fails to load) and sections
+ * skipped for lack of a feature the same way.
+ * Posts "done" when the lesson script has run and "idle" once its timers
+ * have fired too. Needs `lib/inspect.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const CHANNEL = "lesson-frame";
+  const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug"];
+  const { formatArgs, toTree } = self.LessonKit.inspect;
+
+  /**
+   * Sends a message to the host page. The frame has an opaque origin, so the
+   * target origin cannot be narrowed; the host checks `event.source` instead.
+   *
+   * @param {Object} message
+   */
+  function post(message) {
+    parent.postMessage({ channel: CHANNEL, ...message }, "*");
+  }
+
+  // While muted (see `lessonFrame.mute` below), nothing is posted to the page.
+  let muted = false;
+
+  for (const method of CONSOLE_METHODS) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      original(...args);
+      if (muted) return;
+      post({ type: "console", method, text: formatArgs(args), parts: args.map((arg) => toTree(arg)) });
+    };
+  }
+
+  // Capture phase also sees resource errors, such as a <script src> that 404s.
+  addEventListener(
+    "error",
+    (event) => {
+      if (muted) return;
+      if (event.target && event.target.tagName === "SCRIPT") {
+        post({ type: "error", message: `Could not load ${event.target.getAttribute("src")}` });
+        return;
+      }
+      const error = event.error;
+      post({
+        type: "error",
+        message: error ? `${error.name}: ${error.message}` : event.message,
+        line: event.lineno || null,
+      });
+    },
+    true
+  );
+
+  addEventListener("unhandledrejection", (event) => {
+    if (muted) return;
+    post({ type: "error", message: `Unhandled rejection: ${formatArgs([event.reason])}` });
+  });
+
+  // Track pending timers so the page knows when a lesson has finished
+  // printing, including output from setTimeout callbacks.
+  const pendingTimers = new Set();
+  const nativeSetTimeout = self.setTimeout.bind(self);
+  const nativeClearTimeout = self.clearTimeout.bind(self);
+  const nativeSetInterval = self.setInterval.bind(self);
+  const nativeClearInterval = self.clearInterval.bind(self);
+  let loaded = false;
+  let idleCheck = null;
+
+  /**
+   * Posts "idle" once the lesson has loaded and no timers are left. The
+   * check is deferred by a macrotask so promise callbacks can settle first.
+   */
+  function checkIdle() {
+    if (!loaded || pendingTimers.size > 0 || idleCheck !== null) return;
+    idleCheck = nativeSetTimeout(() => {
+      idleCheck = null;
+      if (pendingTimers.size === 0) post({ type: "idle" });
+    }, 0);
+  }
+
+  self.setTimeout = (callback, delay, ...args) => {
+    const id = nativeSetTimeout(() => {
+      pendingTimers.delete(id);
+      try {
+        if (typeof callback === "function") callback(...args);
+      } finally {
+        checkIdle();
+      }
+    }, delay);
+    pendingTimers.add(id);
+    return id;
+  };
+  self.clearTimeout = (id) => {
+    nativeClearTimeout(id);
+    if (pendingTimers.delete(id)) checkIdle();
+  };
+  self.setInterval = (...args) => {
+    const id = nativeSetInterval(...args);
+    pendingTimers.add(id);
+    return id;
+  };
+  self.clearInterval = (id) => {
+    nativeClearInterval(id);
+    if (pendingTimers.delete(id)) checkIdle();
+  };
+
+  // Lets the page run earlier sections of a lesson silently before the one
+  // the learner is looking at: `mute()` before them, `unmute()` after, which
+  // also cancels any timers they left behind. `skip()` reports a section the
+  // page did not run because the browser lacks a feature it needs, and
+  // `report()` sends a result of the page's own, such as explain.html's trace.
+  self.lessonFrame = {
+    mute() {
+      muted = true;
+    },
+    unmute() {
+      muted = false;
+      for (const id of pendingTimers) {
+        nativeClearTimeout(id);
+        nativeClearInterval(id);
+      }
+      pendingTimers.clear();
+    },
+    skip(title, reason) {
+      if (!muted) post({ type: "skipped", title, reason });
+    },
+    report(message) {
+      post(message);
+    },
+  };
+
+  addEventListener("load", () => {
+    loaded = true;
+    post({ type: "done" });
+    checkIdle();
+  });
+})();
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Runs every lesson linked from index.html in its own sandboxed
+ * iframe and shows each lesson's console output under its link, so the
+ * output can be read without DevTools (on a tablet, for example). The output
+ * itself is rendered by `site/console-view.js`.
+ *
+ * Each frame (see `site/frame-runner.js`) is a separate realm with its own
+ * global object, so top-level names such as `a` or `arr` can repeat across
+ * lessons, and an error in one lesson cannot stop the next one from running.
+ *
+ * The code comes from `site/generated/lessons.js` and runs inline, with each
+ * section at its line in the file, so an uncaught error is reported with its
+ * message and the line it is on. When the browser lacks a feature that some
+ * section of a lesson requires (see `lib/features.js`), the lesson runs
+ * section by section instead and that section is skipped with a note, so the
+ * rest still runs. Needs `lib/js-tokens.js`, `lib/features.js`,
+ * `site/generated/lessons.js`, `site/dom.js`, `site/frame-runner.js` and
+ * `site/console-view.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { startFrame } = self.LessonKit.frameRunner;
+  const { createConsoleView } = self.LessonKit.consoleView;
+  const { missingFeatures, describeRequirement } = self.LessonKit.features;
+  const { element } = self.LessonKit.dom;
+  const lessons = self.LessonKit.lessons || [];
+
+  /**
+   * Creates the output panel shown under a lesson link.
+   *
+   * @param {HTMLLIElement} item
+   * @returns {{ summary: HTMLElement, log: HTMLElement }}
+   */
+  function createOutputPanel(item) {
+    const details = element("details", "lesson-output");
+    const summary = element("summary", null, "Running…");
+    const log = element("div", "console-panel");
+    details.append(summary, log);
+    item.append(details);
+    return { summary, log };
+  }
+
+  /**
+   * Puts the code of a lesson's sections back together as one script, with
+   * blank lines where the prose was, so every line is where it is in the file.
+   *
+   * @param {import("../lib/lesson-model").LessonModel} lesson
+   * @returns {string}
+   */
+  function lessonCode(lesson) {
+    const lines = [];
+    for (const section of lesson.sections) {
+      if (!section.code) continue;
+      while (lines.length < section.codeLine - 1) lines.push("");
+      lines.push(...section.code.split("\n"));
+    }
+    return lines.join("\n");
+  }
+
+  /**
+   * Describes how to run a lesson: the whole file, or its sections one by
+   * one when this browser cannot run some of them.
+   *
+   * @param {HTMLAnchorElement} link
+   * @returns {{ code: string } | { sections: Array<{ title: string, code?: string, skipped?: string }> }}
+   */
+  function planRun(link) {
+    const lesson = lessons.find((candidate) => candidate.id === link.closest("li").dataset.lessonId);
+    if (!lesson) {
+      return { sections: [{ title: link.textContent, skipped: "it is missing from site/generated/lessons.js; run tools/build-index.js" }] };
+    }
+    if (lesson.sections.every((section) => missingFeatures(section.requires).length === 0)) {
+      return { code: lessonCode(lesson) };
+    }
+    return {
+      sections: lesson.sections
+        .filter((section) => section.code)
+        .map((section) => {
+          const missing = missingFeatures(section.requires);
+          return { title: section.title, code: section.code, skipped: missing.length > 0 ? describeRequirement(missing) : undefined };
+        }),
+    };
+  }
+
+  /**
+   * Starts one lesson in a fresh sandboxed frame.
+   *
+   * @param {HTMLAnchorElement} link
+   */
+  function startLesson(link) {
+    const panel = createOutputPanel(link.closest("li"));
+    const view = createConsoleView(panel.log);
+
+    const updateSummary = () => {
+      const { lines, errors, done } = view.state;
+      const status = errors > 0 ? "❌" : done ? "✅" : "⏳";
+      panel.summary.textContent = `${status} Output (${lines} line(s)${errors > 0 ? `, ${errors} error(s)` : ""})`;
+    };
+
+    updateSummary();
+    startFrame({ ...planRun(link), title: `Sandbox for ${link.textContent}` }, (message) => {
+      view.handle(message);
+      updateSummary();
+    });
+  }
+
+  function init() {
+    for (const link of document.querySelectorAll("ul.lessons a:not(.lesson-playground)")) startLesson(link);
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
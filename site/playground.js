@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Lesson playground for lesson.html.
+ *
+ * Shows one lesson (`lesson.html#018`) section by section: the explanation,
+ * then the section's code in an editor that can be run in place and reset to
+ * the original. A section runs in a fresh sandboxed frame after the code of
+ * every section above it, which runs silently, so variables and functions
+ * declared earlier in the lesson are still defined.
+ *
+ * A section that needs a language feature this browser lacks (see
+ * `lib/features.js`) shows "requires ES2020 BigInt" instead of its editor,
+ * and is left out of the code run before later sections.
+ *
+ * `lesson.html#018/3-xor-swap-trick` scrolls to a section. Sections count as
+ * opened for the learner's progress (`site/progress.js`) once they scroll into
+ * view. Needs `lib/js-tokens.js`, `lib/features.js`,
+ * `site/generated/lessons.js`, `site/dom.js`, `site/frame-runner.js`,
+ * `site/console-view.js` and `site/progress.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { startFrame } = self.LessonKit.frameRunner;
+  const { createConsoleView } = self.LessonKit.consoleView;
+  const { missingFeatures, describeRequirement } = self.LessonKit.features;
+  const progress = self.LessonKit.progress;
+  const lessons = self.LessonKit.lessons;
+  const { element } = self.LessonKit.dom;
+
+  const KIND_LABELS = { exercise: "Exercise", solution: "Solution" };
+
+  let sectionObserver = null;
+
+  /**
+   * Reads `#<lesson id>[/<section id>]` from the URL.
+   *
+   * @returns {{ lessonId: string, sectionId: string|null }}
+   */
+  function parseHash() {
+    const [lessonId = "", sectionId = null] = decodeURIComponent(location.hash.slice(1)).split("/");
+    return { lessonId: lessonId.padStart(3, "0"), sectionId };
+  }
+
+  /**
+   * Splits a section's prose into what comes before its code and after it.
+   * Comments in between are part of the code shown in the editor.
+   *
+   * @param {Object} section
+   * @returns {{ before: string[], after: string[] }}
+   */
+  function splitProse(section) {
+    const prose = section.blocks.filter((block) => block.type === "prose");
+    if (section.codeLine === null) return { before: prose.map((block) => block.text), after: [] };
+    const codeEnd = section.codeLine + section.code.split("\n").length - 1;
+    return {
+      before: prose.filter((block) => block.line < section.codeLine).map((block) => block.text),
+      after: prose.filter((block) => block.line > codeEnd).map((block) => block.text),
+    };
+  }
+
+  /**
+   * Renders the editor, buttons and output panel for a section with code.
+   *
+   * @param {Object} section
+   * @param {function(): string} getSetup Returns the code of the sections above.
+   * @returns {{ element: HTMLElement, getCode: function(): string }}
+   */
+  function createPlayground(section, getSetup) {
+    const wrapper = element("div", "playground");
+    const editor = element("textarea", "playground-editor");
+    editor.value = section.code;
+    editor.rows = Math.min(section.code.split("\n").length + 1, 30);
+    editor.spellcheck = false;
+    editor.setAttribute("aria-label", `Code for ${section.title}`);
+
+    const runButton = element("button", "playground-run", "▶ Run");
+    const resetButton = element("button", "playground-reset", "↺ Reset");
+    resetButton.disabled = true;
+    const toolbar = element("div", "playground-toolbar");
+    toolbar.append(runButton, resetButton);
+
+    const log = element("div", "console-panel");
+    log.hidden = true;
+    const view = createConsoleView(log, { sections: false });
+    let running = null;
+
+    const run = () => {
+      if (running) running.stop();
+      view.clear();
+      log.hidden = false;
+      running = startFrame({ code: editor.value, setup: getSetup(), title: `Sandbox for ${section.title}` }, view.handle);
+    };
+
+    const reset = () => {
+      if (running) running.stop();
+      running = null;
+      editor.value = section.code;
+      resetButton.disabled = true;
+      view.clear();
+      log.hidden = true;
+    };
+
+    editor.addEventListener("input", () => {
+      resetButton.disabled = editor.value === section.code;
+    });
+    editor.addEventListener("keydown", (event) => {
+      if (event.key === "Enter" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        run();
+      } else if (event.key === "Tab" && !event.shiftKey) {
+        event.preventDefault();
+        editor.setRangeText("  ", editor.selectionStart, editor.selectionEnd, "end");
+        resetButton.disabled = editor.value === section.code;
+      }
+    });
+    runButton.addEventListener("click", run);
+    resetButton.addEventListener("click", reset);
+
+    wrapper.append(editor, toolbar, log);
+    return { element: wrapper, getCode: () => editor.value };
+  }
+
+  /**
+   * Marks sections as opened once they have been on screen. Without
+   * IntersectionObserver every section counts as opened right away.
+   *
+   * @param {string} lessonId
+   * @param {HTMLElement[]} sections
+   */
+  function trackOpenedSections(lessonId, sections) {
+    if (sectionObserver) sectionObserver.disconnect();
+    if (typeof IntersectionObserver === "undefined") {
+      for (const section of sections) progress.markSectionOpened(lessonId, section.id);
+      return;
+    }
+    sectionObserver = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (!entry.isIntersecting) continue;
+        progress.markSectionOpened(lessonId, entry.target.id);
+        sectionObserver.unobserve(entry.target);
+      }
+    });
+    for (const section of sections) sectionObserver.observe(section);
+  }
+
+  /**
+   * Renders the difficulty, estimated time, prerequisites and tags of a lesson.
+   *
+   * @param {Object} metadata See `LessonMetadata` in `lib/lesson-model.js`.
+   * @returns {HTMLElement}
+   */
+  function renderMetadata(metadata) {
+    const node = element("p", "lesson-meta", [metadata.difficulty, metadata.duration].filter(Boolean).join(" · "));
+    if (metadata.prerequisites.length > 0) {
+      node.append(" · Builds on ");
+      metadata.prerequisites.forEach((id, index) => {
+        if (index > 0) node.append(", ");
+        const prerequisite = lessons.find((lesson) => lesson.id === id);
+        const link = Object.assign(element("a", null, id), { href: `#${id}` });
+        if (prerequisite) link.title = prerequisite.title;
+        node.append(link);
+      });
+    }
+    for (const tag of metadata.tags) node.append(element("span", "lesson-tag", tag));
+    return node;
+  }
+
+  /**
+   * Renders one lesson into the page.
+   *
+   * @param {HTMLElement} root
+   * @param {number} index Position of the lesson in `LessonKit.lessons`.
+   */
+  function renderLesson(root, index) {
+    const lesson = lessons[index];
+    document.title = `${lesson.id} · ${lesson.title} · JavaScript Tutorials`;
+
+    const nav = element("nav", "lesson-nav");
+    const previous = lessons[index - 1];
+    const next = lessons[index + 1];
+    if (previous) nav.append(Object.assign(element("a", null, `← ${previous.id}`), { href: `#${previous.id}` }));
+    nav.append(Object.assign(element("a", null, "All lessons"), { href: "index.html" }));
+    if (next) nav.append(Object.assign(element("a", null, `${next.id} →`), { href: `#${next.id}` }));
+
+    const header = element("header", "lesson-header");
+    header.append(
+      element("p", "lesson-chapter", lesson.chapterTitle),
+      element("h1", null, `${lesson.id} · ${lesson.title}`),
+      element("p", "lesson-path", lesson.path)
+    );
+    if (lesson.metadata) header.append(renderMetadata(lesson.metadata));
+    if (lesson.summary) header.append(element("p", "lesson-summary", lesson.summary));
+
+    const playgrounds = [];
+    const sections = lesson.sections.map((section) => {
+      const container = element("section", `lesson-section lesson-${section.kind}`);
+      container.id = section.id;
+      const heading = element(section.level === 1 ? "h2" : "h3", null, section.number ? `${section.number}. ${section.title}` : section.title);
+      if (KIND_LABELS[section.kind]) heading.prepend(element("span", "section-kind", KIND_LABELS[section.kind]), " ");
+      container.append(heading);
+
+      const { before, after } = splitProse(section);
+      for (const text of before) container.append(element("div", "prose", text));
+      const missing = missingFeatures(section.requires);
+      if (section.code && missing.length > 0) {
+        const notice = element("p", "feature-notice", `This section ${describeRequirement(missing)}, which this browser does not support.`);
+        const code = element("pre", "code");
+        code.append(element("code", null, section.code));
+        container.append(notice, code);
+      } else if (section.code) {
+        const earlier = playgrounds.slice();
+        const playground = createPlayground(section, () => earlier.map((other) => other.getCode()).join("\n"));
+        playgrounds.push(playground);
+        container.append(playground.element);
+      }
+      for (const text of after) container.append(element("div", "prose", text));
+      return container;
+    });
+
+    root.replaceChildren(nav, header, ...sections, nav.cloneNode(true));
+    progress.markLessonOpened(lesson.id);
+    trackOpenedSections(lesson.id, sections);
+  }
+
+  function render() {
+    const root = document.getElementById("lesson");
+    const { lessonId, sectionId } = parseHash();
+    const index = lessons.findIndex((lesson) => lesson.id === lessonId);
+    if (index === -1) {
+      const message = element("p", null, "No lesson selected. Pick one from the ");
+      message.append(Object.assign(element("a", null, "lesson list"), { href: "index.html" }), ".");
+      root.replaceChildren(message);
+      return;
+    }
+    if (root.dataset.lesson !== lessonId) {
+      renderLesson(root, index);
+      root.dataset.lesson = lessonId;
+    }
+    const target = sectionId && document.getElementById(sectionId);
+    if (target) target.scrollIntoView();
+    else window.scrollTo(0, 0);
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", render);
+  } else {
+    render();
+  }
+  window.addEventListener("hashchange", render);
+})();
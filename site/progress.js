@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Learner progress, kept in this browser's `localStorage` and
+ * nowhere else.
+ *
+ * Records which lessons and sections have been opened (the lesson
+ * playground marks a section when it scrolls into view) and which quiz
+ * questions were answered exactly right. index.html sums this up per
+ * chapter; see `site/index-progress.js`.
+ *
+ * When storage is unavailable (some browsers block it for `file://` pages,
+ * or in private windows) progress lasts until the page is closed.
+ * Exposed as `LessonKit.progress`. Needs `site/dom.js` to be loaded first.
+ */
+(function (root) {
+  "use strict";
+
+  const STORAGE_KEY = "lessonkit:progress";
+
+  const store = root.LessonKit.dom.createStore(STORAGE_KEY);
+
+  /**
+   * @typedef {Object} ProgressData
+   * @property {Object<string, string>} lessons Lesson id -> when it was first opened.
+   * @property {Object<string, string>} sections "lessonId/sectionId" -> when it was first opened.
+   * @property {Object<string, string>} questions "lessonId/sectionId" -> when it was first answered right.
+   */
+
+  function emptyData() {
+    return { lessons: {}, sections: {}, questions: {} };
+  }
+
+  /**
+   * Reads the stored progress. Unreadable data counts as no progress.
+   *
+   * @returns {ProgressData}
+   */
+  function load() {
+    return { ...emptyData(), ...store.load() };
+  }
+
+  function save(data) {
+    store.save(data);
+  }
+
+  /**
+   * Records `key` in one of the progress maps, keeping the first time it happened.
+   * Reads the stored data again first, so other open tabs' progress is kept.
+   */
+  function record(group, key) {
+    const data = load();
+    if (data[group][key]) return;
+    data[group][key] = new Date().toISOString();
+    save(data);
+  }
+
+  /**
+   * Whether a section counts as a quiz question: an exercise that names its
+   * question ("Q1", "Exercise 2", …) and has code to run.
+   *
+   * @param {Object} section Section model.
+   * @returns {boolean}
+   */
+  function isQuestion(section) {
+    return section.kind === "exercise" && Boolean(section.exerciseId) && section.code.trim() !== "";
+  }
+
+  /**
+   * @typedef {Object} LessonProgress
+   * @property {boolean} opened
+   * @property {number} sectionsOpened
+   * @property {number} sections
+   * @property {number} questionsCorrect
+   * @property {number} questions
+   * @property {boolean} complete Every section opened and every question answered right.
+   */
+
+  /**
+   * Sums up one lesson.
+   *
+   * @param {Object} lesson Lesson model from `LessonKit.lessons`.
+   * @param {ProgressData} [data] Defaults to the stored progress.
+   * @returns {LessonProgress}
+   */
+  function lessonProgress(lesson, data = load()) {
+    const questions = lesson.sections.filter(isQuestion);
+    const sectionsOpened = lesson.sections.filter((section) => data.sections[`${lesson.id}/${section.id}`]).length;
+    const questionsCorrect = questions.filter((section) => data.questions[`${lesson.id}/${section.id}`]).length;
+    const opened = Boolean(data.lessons[lesson.id]) || sectionsOpened > 0;
+    return {
+      opened,
+      sectionsOpened,
+      sections: lesson.sections.length,
+      questionsCorrect,
+      questions: questions.length,
+      complete: opened && sectionsOpened === lesson.sections.length && questionsCorrect === questions.length,
+    };
+  }
+
+  root.LessonKit = root.LessonKit || {};
+  root.LessonKit.progress = {
+    load,
+    isQuestion,
+    lessonProgress,
+    markLessonOpened: (lessonId) => record("lessons", lessonId),
+    markSectionOpened: (lessonId, sectionId) => record("sections", `${lessonId}/${sectionId}`),
+    markQuestionCorrect: (lessonId, sectionId) => record("questions", `${lessonId}/${sectionId}`),
+    reset: () => save(emptyData()),
+  };
+})(self);
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview "Predict the output" quiz for quiz.html.
+ *
+ * Every exercise section of a lesson that names a question ("Q1",
+ * "Exercise 2", …) and has code becomes a question. The page shows the
+ * question's code with its answer comments removed and asks for the
+ * predicted output. Only after the code has run in a sandboxed frame does it
+ * show the diff between prediction and real output, followed by the matching
+ * solution text (or the question's own explanation when there is no separate
+ * solution section).
+ *
+ * Questions can be linked to as `quiz.html#015/q1-hoisting-shadowing`.
+ * Questions answered exactly right are saved to the learner's progress
+ * (`site/progress.js`) and ticked in the question list. A question that needs a
+ * language feature this browser lacks (see `lib/features.js`) cannot be run;
+ * its solution is shown instead. Needs `lib/js-tokens.js`, `lib/features.js`,
+ * `lib/output-diff.js`, `site/generated/lessons.js`, `site/dom.js`,
+ * `site/frame-runner.js` and `site/progress.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { tokenize } = self.LessonKit.jsTokens;
+  const { diffLines } = self.LessonKit.outputDiff;
+  const { missingFeatures, describeRequirement } = self.LessonKit.features;
+  const { collectOutput } = self.LessonKit.frameRunner;
+  const progress = self.LessonKit.progress;
+  const lessons = self.LessonKit.lessons;
+  const { element } = self.LessonKit.dom;
+
+  const SECTION_MARKER = /^\s*---\s*(.+?)\s*---\s*$/;
+  const MARKER_LINE = /^\s*console\.log\(\s*(["'`])\\n---.*---\1\s*\);?\s*$/;
+  const DIFF_SIGNS = { same: "  ", missing: "- ", extra: "+ " };
+
+  /**
+   * @typedef {Object} Question
+   * @property {Object} lesson Lesson model from `LessonKit.lessons`.
+   * @property {Object} section The exercise section.
+   * @property {Object|null} solution The linked solution section, if any.
+   * @property {string} key `lessonId/sectionId`, used in the URL hash.
+   */
+
+  /**
+   * Collects the quiz questions from every lesson, in lesson order.
+   *
+   * @returns {Question[]}
+   */
+  function findQuestions() {
+    const questions = [];
+    for (const lesson of lessons) {
+      for (const section of lesson.sections) {
+        if (!progress.isQuestion(section)) continue;
+        const solution = lesson.sections.find((candidate) => candidate.id === section.solutionId) || null;
+        questions.push({ lesson, section, solution, key: `${lesson.id}/${section.id}` });
+      }
+    }
+    return questions;
+  }
+
+  /**
+   * Prepares a question's code for display: drops the `--- Title ---` marker
+   * and every comment that trails code on the same line, since lessons put
+   * the expected output there.
+   *
+   * @param {string} code
+   * @returns {string}
+   */
+  function hideAnswers(code) {
+    const tokens = tokenize(code);
+    let result = "";
+    let last = 0;
+    tokens.forEach((token, index) => {
+      const previous = tokens[index - 1];
+      const trailing = token.type === "comment" && token.value.startsWith("//") && previous && previous.line === token.line;
+      if (!trailing) return;
+      result += code.slice(last, previous.end);
+      last = token.end;
+    });
+    result += code.slice(last);
+    return result
+      .split("\n")
+      .filter((line) => !MARKER_LINE.test(line))
+      .join("\n")
+      .trim();
+  }
+
+  /**
+   * Turns collected output into the lines a learner would have seen, without
+   * section markers.
+   *
+   * @param {{ output: Array<{ text: string }>, errors: Array<{ message: string }> }} result
+   *   Result of `LessonKit.frameRunner.collectOutput`.
+   * @returns {string[]}
+   */
+  function outputLines(result) {
+    const lines = result.output.map((entry) => entry.text).filter((text) => !SECTION_MARKER.test(text));
+    for (const error of result.errors) lines.push(`Uncaught ${error.message}`);
+    return lines;
+  }
+
+  function init() {
+    const root = document.getElementById("quiz");
+    const questions = findQuestions();
+    if (questions.length === 0) {
+      root.textContent = "No questions found. Run `node tools/build-index.js` to generate the lesson data.";
+      return;
+    }
+
+    const picker = element("select", "quiz-picker");
+    let group = null;
+    questions.forEach((question, index) => {
+      if (!group || group.dataset.lesson !== question.lesson.id) {
+        group = element("optgroup");
+        group.dataset.lesson = question.lesson.id;
+        group.label = `${question.lesson.id} · ${question.lesson.title}`;
+        picker.append(group);
+      }
+      const option = element("option", null, question.section.title);
+      option.value = String(index);
+      group.append(option);
+    });
+
+    const markAnswered = () => {
+      const { questions: answered } = progress.load();
+      questions.forEach((question, index) => {
+        picker.options[index].textContent = `${answered[question.key] ? "✓ " : ""}${question.section.title}`;
+      });
+    };
+
+    const previousButton = element("button", null, "← Previous");
+    const nextButton = element("button", null, "Next →");
+    const nav = element("div", "quiz-nav");
+    nav.append(previousButton, picker, nextButton);
+
+    const title = element("h2");
+    const source = element("p", "quiz-source");
+    const code = element("pre", "quiz-code");
+    const label = element("label", "quiz-label", "What will this print? One line per console.log:");
+    const prediction = element("textarea", "quiz-prediction");
+    prediction.rows = 6;
+    prediction.spellcheck = false;
+    label.append(prediction);
+    const runButton = element("button", "quiz-run", "Run and compare");
+    const result = element("div", "quiz-result");
+    const solution = element("section", "quiz-solution");
+
+    root.append(nav, title, source, code, label, runButton, result, solution);
+
+    let current = 0;
+    let runId = 0;
+
+    const show = (index) => {
+      current = (index + questions.length) % questions.length;
+      runId++;
+      const question = questions[current];
+      picker.value = String(current);
+      title.textContent = question.section.title;
+      source.textContent = `From ${question.lesson.path}, line ${question.section.codeLine}`;
+      code.textContent = hideAnswers(question.section.code);
+      prediction.value = "";
+      runButton.disabled = false;
+      result.replaceChildren();
+      solution.replaceChildren();
+      solution.hidden = true;
+      if (location.hash !== `#${question.key}`) history.replaceState(null, "", `#${question.key}`);
+      progress.markSectionOpened(question.lesson.id, question.section.id);
+
+      const missing = missingFeatures(question.section.requires);
+      if (missing.length > 0) {
+        runButton.disabled = true;
+        result.replaceChildren(element("p", "feature-notice", `This question ${describeRequirement(missing)}, which this browser does not support.`));
+        revealSolution(question);
+      }
+    };
+
+    const revealSolution = (question) => {
+      const texts = question.solution ? question.solution.prose : question.section.prose;
+      solution.replaceChildren(element("h3", null, question.solution ? question.solution.title : "Explanation"));
+      if (texts.length === 0) {
+        solution.append(element("p", null, "This question has no written solution; the output above is the answer."));
+      }
+      for (const text of texts) solution.append(element("div", "quiz-solution-text", text));
+      solution.hidden = false;
+    };
+
+    const run = async () => {
+      const question = questions[current];
+      const id = ++runId;
+      runButton.disabled = true;
+      result.replaceChildren(element("p", null, "Running…"));
+
+      const collected = await collectOutput({ code: question.section.code, title: question.section.title });
+      if (id !== runId) return;
+
+      const actual = outputLines(collected);
+      const diff = diffLines(prediction.value, actual);
+      const verdict = diff.exact
+        ? "✅ Exactly right!"
+        : `❌ ${diff.matched} of ${diff.total} line(s) right. "-" lines were predicted but not printed, "+" lines were printed but not predicted.`;
+
+      const list = element("pre", "quiz-diff");
+      for (const line of diff.lines) list.append(element("div", `diff-${line.type}`, DIFF_SIGNS[line.type] + line.text));
+      result.replaceChildren(element("p", "quiz-verdict", verdict), list);
+      if (diff.exact) {
+        progress.markQuestionCorrect(question.lesson.id, question.section.id);
+        markAnswered();
+      }
+      if (collected.timedOut) result.append(element("p", null, "⏱️ Stopped waiting for timers after 5 seconds."));
+
+      revealSolution(question);
+      runButton.disabled = false;
+    };
+
+    picker.addEventListener("change", () => show(Number(picker.value)));
+    previousButton.addEventListener("click", () => show(current - 1));
+    nextButton.addEventListener("click", () => show(current + 1));
+    runButton.addEventListener("click", run);
+
+    markAnswered();
+    const fromHash = questions.findIndex((question) => `#${question.key}` === location.hash);
+    show(fromHash === -1 ? 0 : fromHash);
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Lesson search for search.html.
+ *
+ * Searches as you type (see `lib/search.js` for the ranking) and links every
+ * result to its section in the lesson playground. The query is kept in the
+ * URL (`search.html?q=negative+zero`), so searches can be shared and the
+ * search box on index.html can submit to this page.
+ *
+ * Needs `lib/search.js`, `site/generated/lessons.js`, `site/dom.js` and
+ * `site/tool-page.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { createSearchIndex, search } = self.LessonKit.search;
+  const lessons = self.LessonKit.lessons;
+  const { element } = self.LessonKit.dom;
+  const { setPermalink } = self.LessonKit.toolPage;
+
+  const KIND_LABELS = { exercise: "Exercise", solution: "Solution" };
+  const RESULT_LIMIT = 30;
+
+  /**
+   * Renders a snippet with its matches in `<mark>`.
+   *
+   * @param {{ text: string, ranges: Array<[number, number]> }} snippet
+   * @returns {HTMLElement}
+   */
+  function renderSnippet({ text, ranges }) {
+    const node = element("p", "search-snippet");
+    let last = 0;
+    for (const [start, end] of ranges) {
+      node.append(text.slice(last, start), element("mark", null, text.slice(start, end)));
+      last = end;
+    }
+    node.append(text.slice(last));
+    return node;
+  }
+
+  function init() {
+    const input = document.getElementById("search-query");
+    const status = document.getElementById("search-status");
+    const list = document.getElementById("search-results");
+    const index = createSearchIndex(lessons);
+
+    const update = () => {
+      const query = input.value.trim();
+      setPermalink(query ? { q: query } : {});
+      if (!query) {
+        status.textContent = "";
+        list.replaceChildren();
+        return;
+      }
+
+      const results = search(index, query, { limit: RESULT_LIMIT });
+      status.textContent = results.length === 0
+        ? "No sections match. Try fewer or different words."
+        : `${results.length}${results.length === RESULT_LIMIT ? "+" : ""} matching section(s), best first.`;
+      list.replaceChildren(
+        ...results.map((result) => {
+          const item = element("li", "search-result");
+          const link = element("a", null, result.sectionTitle);
+          link.href = `lesson.html#${result.lessonId}/${result.sectionId}`;
+          const heading = element("p", "search-result-title");
+          if (KIND_LABELS[result.kind]) heading.append(element("span", "section-kind", KIND_LABELS[result.kind]), " ");
+          heading.append(link);
+          item.append(
+            heading,
+            element("p", "search-result-lesson", `${result.lessonId} · ${result.lessonTitle} · line ${result.line}`),
+            renderSnippet(result.snippet)
+          );
+          return item;
+        })
+      );
+    };
+
+    input.value = new URLSearchParams(location.search).get("q") || "";
+    input.addEventListener("input", update);
+    update();
+    input.focus();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
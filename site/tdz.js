@@ -0,0 +1,237 @@
+/**
+ * @fileoverview The TDZ stepper on tdz.html.
+ *
+ * Finds the snippet's scopes and statements here (see `lib/tdz-stepper.js`),
+ * then runs the instrumented snippet in a sandboxed frame, which reports
+ * every frame in scope before each statement. The steps are then shown one
+ * at a time: the statement in the code, each frame with its bindings, and,
+ * for the step that throws, the read that hit the Temporal Dead Zone. The
+ * snippet is kept in the URL (`tdz.html?code=…`) so runs can be shared.
+ *
+ * Needs `lib/js-tokens.js`, `lib/inspect.js`, `lib/statements.js`,
+ * `lib/tdz-stepper.js`, `site/dom.js`, `site/frame-runner.js` and
+ * `site/tool-page.js` to be loaded first.
+ */
+(function () {
+  "use strict";
+
+  const { RECORDER_NAME, analyzeScopes, instrument, locateAccess, explainAccess } = self.LessonKit.tdzStepper;
+  const { element } = self.LessonKit.dom;
+  const { setPermalink, addExamples, startRecordedRun } = self.LessonKit.toolPage;
+
+  const FRAME_SCRIPTS = ["lib/js-tokens.js", "lib/statements.js", "lib/tdz-stepper.js"];
+  const EXAMPLES = [
+    {
+      label: "TDZ confusion (lesson 003)",
+      code: "{\n  console.log(a); // ❌ ReferenceError\n  let a = 20;\n  console.log(a); // 20\n}",
+    },
+    {
+      label: "TDZ trick (015, Q3)",
+      code: '{\n  try {\n    console.log("Q3:", x_q3);\n    let x_q3 = 100;\n  } catch (e) {\n    console.log("Q3 Error:", e.message);\n  }\n}',
+    },
+    {
+      label: "TDZ + function parameter (015, Q9)",
+      code: 'function test_q9(x = y, y = 2) {\n  console.log(x, y);\n}\ntry {\n  test_q9();\n} catch (e) {\n  console.log("Q9 Error:", e.message);\n}',
+    },
+    {
+      label: "A default that reads an earlier parameter",
+      code: 'function greet(name, greeting = "Hello, " + name) {\n  let punctuation = "!";\n  return greeting + punctuation;\n}\nconsole.log(greet("Ada"));',
+    },
+    {
+      label: "Block scope shadowing (003)",
+      code: "let x = 1;\n{\n  let x = 2; // This `x` is different from the outer `x`.\n  console.log(x); // 2\n}\nconsole.log(x); // 1",
+    },
+  ];
+
+  /**
+   * Renders the snippet with the step's statement highlighted and, when it
+   * threw in the TDZ, the read that did marked.
+   *
+   * @param {import("../lib/tdz-stepper").ScopeAnalysis} analysis
+   * @param {import("../lib/tdz-stepper").Statement} statement
+   * @param {import("../lib/tdz-stepper").Access|null} access
+   * @returns {HTMLElement}
+   */
+  function renderCode(analysis, statement, access) {
+    const { source } = analysis;
+    const pre = element("pre", "tdz-code");
+    const current = element("span", "tdz-current");
+    if (access && access.read.start >= statement.start && access.read.end <= statement.end) {
+      current.append(
+        source.slice(statement.start, access.read.start),
+        element("mark", "tdz-access", source.slice(access.read.start, access.read.end)),
+        source.slice(access.read.end, statement.end)
+      );
+    } else {
+      current.textContent = source.slice(statement.start, statement.end);
+    }
+    pre.append(source.slice(0, statement.start), current, source.slice(statement.end));
+    return pre;
+  }
+
+  /**
+   * Renders every frame of a step as a table of its bindings. Bindings whose
+   * state or value differs from the step before are highlighted.
+   *
+   * @param {import("../lib/tdz-stepper").ScopeAnalysis} analysis
+   * @param {import("../lib/tdz-stepper").Step} step
+   * @param {import("../lib/tdz-stepper").Step|null} previous
+   * @returns {HTMLElement}
+   */
+  function renderFrames(analysis, step, previous) {
+    const wrapper = element("div", "tdz-frames");
+    for (const frame of step.frames) {
+      const scope = analysis.scopes[frame.scope];
+      const before = previous && previous.frames.find((candidate) => candidate.scope === frame.scope);
+      const section = element("section", `tdz-frame tdz-frame-${scope.kind}`);
+      section.append(element("h3", null, scope.kind === "global" ? scope.label : `${scope.label} · line ${scope.line}`));
+      if (scope.note) section.append(element("p", "hoisting-notes", scope.note));
+      if (scope.bindings.length === 0) {
+        section.append(element("p", "hoisting-notes", "Declares nothing."));
+        wrapper.append(section);
+        continue;
+      }
+
+      const table = element("table", "hoisting-table tdz-bindings");
+      for (const binding of scope.bindings) {
+        const value = frame.values[binding.name];
+        const old = before && before.values[binding.name];
+        const changed = value && old && (value.state !== old.state || value.value !== old.value);
+        const row = element("tr");
+        const name = element("td");
+        name.append(element("code", null, binding.name));
+        let cell;
+        if (!value) cell = element("td", "tdz-shadowed", "shadowed by an inner scope");
+        else if (value.state === "uninitialized") cell = element("td", "hoisting-tdz", "❌ uninitialized (TDZ)");
+        else cell = element("td", null, value.value);
+        if (changed) cell.classList.add("hoisting-changed");
+        row.append(name, element("td", null, binding.kind), cell);
+        table.append(row);
+      }
+      section.append(table);
+      wrapper.append(section);
+    }
+    return wrapper;
+  }
+
+  /**
+   * Renders the stepper for a run: the controls, then the current step.
+   *
+   * @param {import("../lib/tdz-stepper").ScopeAnalysis} analysis
+   * @param {import("../lib/tdz-stepper").StepperRun} run
+   * @returns {HTMLElement}
+   */
+  function renderStepper(analysis, run) {
+    const wrapper = element("div", "tdz-stepper");
+    const controls = element("p", "tdz-controls");
+    const previousButton = element("button", null, "◀ Previous");
+    const nextButton = element("button", null, "Next ▶");
+    const slider = element("input");
+    const position = element("span", "tdz-position");
+    const view = element("div", "tdz-step");
+    previousButton.type = nextButton.type = "button";
+    slider.type = "range";
+    slider.min = "1";
+    slider.max = String(run.steps.length);
+    slider.setAttribute("aria-label", "Step");
+    controls.append(previousButton, " ", nextButton, " ", slider, " ", position);
+
+    let current = 0;
+    const show = (index) => {
+      const step = run.steps[index];
+      const statement = analysis.statements[step.statement];
+      const access = locateAccess(analysis, step);
+      slider.value = String(index + 1);
+      previousButton.disabled = index === 0;
+      nextButton.disabled = index === run.steps.length - 1;
+      const what = statement.kind === "parameter" ? `the default of ${statement.text}` : "";
+      position.textContent = `Step ${index + 1} of ${run.steps.length} · line ${statement.line}${what ? ` · ${what}` : ""}`;
+
+      view.replaceChildren(renderCode(analysis, statement, access));
+      if (step.error) {
+        const error = element("div", "tdz-error");
+        error.append(element("p", null, `❌ ${step.error.message}${step.error.caught ? " — caught by a catch clause" : ""}`));
+        if (access) error.append(element("p", null, `At line ${access.read.line}, column ${access.read.column}: ${explainAccess(access).replace(/`/g, "")}`));
+        view.append(error);
+      }
+      if (step.output.length > 0) view.append(element("pre", "tdz-output", step.output.join("\n")));
+      view.append(renderFrames(analysis, step, index > 0 ? run.steps[index - 1] : null));
+      current = index;
+    };
+
+    const thrown = run.steps.findIndex((step) => step.error);
+    if (thrown !== -1) {
+      const jump = element("button", null, "Go to the error");
+      jump.type = "button";
+      jump.addEventListener("click", () => show(thrown));
+      controls.append(" ", jump);
+    }
+    previousButton.addEventListener("click", () => show(Math.max(current - 1, 0)));
+    nextButton.addEventListener("click", () => show(Math.min(current + 1, run.steps.length - 1)));
+    slider.addEventListener("input", () => show(Number(slider.value) - 1));
+    wrapper.append(controls, view);
+    if (run.truncated) wrapper.append(element("p", "hoisting-notes", "Only the first 500 steps were recorded."));
+    show(0);
+    return wrapper;
+  }
+
+  function init() {
+    const form = document.getElementById("tdz-form");
+    const input = document.getElementById("tdz-code");
+    const status = document.getElementById("tdz-status");
+    const output = document.getElementById("tdz-steps");
+    let running = null;
+
+    const step = () => {
+      if (running) running.stop();
+      running = null;
+      output.replaceChildren();
+      status.textContent = "";
+
+      const source = input.value;
+      setPermalink({ code: source });
+
+      const analysis = analyzeScopes(source);
+      status.textContent = "Running…";
+
+      running = startRecordedRun(
+        {
+          recorder: RECORDER_NAME,
+          create: "LessonKit.tdzStepper.createRecorder()",
+          prepare: `${RECORDER_NAME}.watchConsole(console);\n`,
+          sections: [{ title: "Snippet", code: instrument(analysis) }],
+          type: "tdz",
+          scripts: FRAME_SCRIPTS,
+          title: "Sandbox for the TDZ stepper",
+        },
+        (run) => {
+          running = null;
+          if (run.error) status.textContent = `The snippet did not run: ${run.error}`;
+          else if (run.steps.length === 0) status.textContent = "The snippet has no statements to step through.";
+          else status.textContent = "";
+          if (run.steps.length > 0) output.append(renderStepper(analysis, run));
+        }
+      );
+    };
+
+    form.addEventListener("submit", (event) => {
+      event.preventDefault();
+      step();
+    });
+
+    addExamples(EXAMPLES, { label: (example) => example.label }, (example) => {
+      input.value = example.code;
+      step();
+    });
+
+    const params = new URLSearchParams(location.search);
+    input.value = params.has("code") ? params.get("code") : EXAMPLES[2].code;
+    step();
+  }
+
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", init);
+  } else {
+    init();
+  }
+})();
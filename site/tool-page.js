@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Scaffolding shared by the tool pages (the tracers, the
+ * visualizers, the bit inspector, search): a permalink kept in the query
+ * string, the "Try:" buttons that load an example, and a sandboxed run that
+ * reports what a recorder saw.
+ *
+ * Exposed as `LessonKit.toolPage`. Needs `site/dom.js` to be loaded first,
+ * and `site/frame-runner.js` for {@link startRecordedRun}.
+ */
+(function (root) {
+  "use strict";
+
+  const { element } = root.LessonKit.dom;
+
+  /**
+   * Keeps the page's inputs in its query string, so what it shows can be
+   * shared as a link. Without parameters, the query string is removed.
+   *
+   * @param {Object<string, string>} params
+   */
+  function setPermalink(params) {
+    const query = String(new URLSearchParams(params));
+    try {
+      history.replaceState(null, "", query ? `?${query}` : location.pathname);
+    } catch (error) {
+      // Some browsers do not let file:// pages change their query string.
+    }
+  }
+
+  /**
+   * Adds a button for each example after the page's "Try:" paragraph
+   * (`.explain-examples`).
+   *
+   * @template T
+   * @param {T[]} examples
+   * @param {{ label: function(T): string, code?: boolean }} options `code`
+   *   shows the labels as code.
+   * @param {function(T): void} choose Called with the example clicked.
+   */
+  function addExamples(examples, { label, code = false }, choose) {
+    const container = document.querySelector(".explain-examples");
+    for (const example of examples) {
+      const button = element("button", code ? "example-button example-code" : "example-button", label(example));
+      button.type = "button";
+      button.addEventListener("click", () => choose(example));
+      container.append(" ", button);
+    }
+  }
+
+  /**
+   * Runs instrumented code in a sandboxed frame, as scripts of their own: one
+   * that creates the recorder, one per piece of the learner's code, and one
+   * that reports the recorder's result, which still runs when the code stops
+   * with an error. Uncaught errors are passed to the recorder's `fail`.
+   *
+   * @param {Object} run
+   * @param {string} run.recorder Global name of the recorder.
+   * @param {string} run.create Expression that creates the recorder.
+   * @param {string} [run.prepare] More code for the recorder's script.
+   * @param {Array<{ title: string, code: string }>} run.sections
+   * @param {string} [run.finish] Code to run just before the report.
+   * @param {string} run.type Type of the report message.
+   * @param {string[]} run.scripts Extra frame scripts (see `site/frame-runner.js`).
+   * @param {string} run.title Title of the frame.
+   * @param {function(Object): void} onReport Called once with the result,
+   *   after the frame has been removed.
+   * @returns {{ stop: function(): void }}
+   */
+  function startRecordedRun({ recorder, create, prepare = "", sections, finish = "", type, scripts, title }, onReport) {
+    const running = root.LessonKit.frameRunner.startFrame(
+      {
+        sections: [
+          {
+            title: "Recorder",
+            code: `self.${recorder} = ${create};\n${prepare}addEventListener("error", (event) => ${recorder}.fail(event.error || event.message));`,
+          },
+          ...sections,
+          { title: "Report", code: `${finish}lessonFrame.report({ type: ${JSON.stringify(type)}, run: ${recorder}.result() });` },
+        ],
+        scripts,
+        title,
+      },
+      (message) => {
+        if (message.type !== type) return;
+        running.stop();
+        onReport(message.run);
+      }
+    );
+    return { stop: running.stop };
+  }
+
+  root.LessonKit = root.LessonKit || {};
+  root.LessonKit.toolPage = {
+    setPermalink,
+    addExamples,
+    startRecordedRun,
+  };
+})(self);
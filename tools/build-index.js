@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Regenerates the chapter lists in index.html from `scripts/`,
+ * and the lesson data the in-browser tools read.
+ *
+ * Chapters come from the `NNN_` folder prefixes and lessons from the `NNN_`
+ * file prefixes, so the page can no longer drift from the folder. The lists
+ * are written between the `lessons:start` and `lessons:end` markers; the
+ * order of the links is also the order in which the page runs the lessons.
+ *
+ * `site/generated/lessons.js` holds the parsed model of every lesson (see
+ * `lib/lesson-model.js`) as `LessonKit.lessons`. It is a script rather than
+ * a JSON file so that pages opened from `file://` can load it.
+ *
+ * Usage:
+ *   node tools/build-index.js           # rewrite index.html and the lesson data
+ *   node tools/build-index.js --check   # fail if either is out of date
+ *
+ * The pages read the lesson data without knowing whether it still matches
+ * `scripts/`, so run `node tools/check.js`, which runs `--check` along with
+ * the other checks, after changing a lesson.
+ *
+ * Fails without writing anything when a lesson is missing from the numbering,
+ * two chapters or lessons share a number, a script has no `NNN_` prefix, a
+ * lesson's metadata is incomplete, or a section uses a newer language feature
+ * it does not declare with `@requires` (see `tools/prerequisites.js`).
+ * Lessons that depend on one numbered after them are only warned about.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+const { ROOT_DIR, findLessons, findLessonProblems, chapterTitle, loadLessonModel } = require("./lessons");
+const { checkMetadata } = require("./prerequisites");
+
+const INDEX_PATH = path.join(ROOT_DIR, "index.html");
+const DATA_PATH = path.join(ROOT_DIR, "site", "generated", "lessons.js");
+const START_MARKER = "<!-- lessons:start -->";
+const END_MARKER = "<!-- lessons:end -->";
+const INDENT = "    ";
+
+const USAGE = `Usage: node tools/build-index.js [--check]
+
+Options:
+  --check   Exit with status 1 if the generated files do not match scripts/, without writing
+  --help    Show this message`;
+
+/**
+ * Escapes text for HTML element content and attribute values.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders the difficulty and estimated time of a lesson, with its
+ * prerequisites and tags as a tooltip.
+ *
+ * @param {import("../lib/lesson-model").LessonMetadata|null} metadata
+ * @returns {string} Empty when the lesson declares no metadata.
+ */
+function renderLessonMeta(metadata) {
+  if (!metadata) return "";
+  const details = [];
+  if (metadata.prerequisites.length > 0) details.push(`Builds on ${metadata.prerequisites.join(", ")}`);
+  if (metadata.tags.length > 0) details.push(`Tags: ${metadata.tags.join(", ")}`);
+  const title = details.length > 0 ? ` title="${escapeHtml(details.join(". "))}"` : "";
+  const text = [metadata.difficulty, metadata.duration].filter(Boolean).join(" · ");
+  return ` <span class="lesson-meta"${title}>${escapeHtml(text)}</span>`;
+}
+
+/**
+ * Renders one `<h2>` + `<ul class="lessons">` block per chapter.
+ *
+ * @param {import("./lessons").LessonModel[]} models Lessons sorted by number.
+ * @returns {string}
+ */
+function renderLessonLists(models) {
+  const chapters = new Map();
+  for (const model of models) {
+    if (!chapters.has(model.chapter)) chapters.set(model.chapter, []);
+    chapters.get(model.chapter).push(model);
+  }
+
+  const blocks = [...chapters.keys()].sort().map((chapter) => {
+    const items = chapters.get(chapter).map(
+      (model) =>
+        `${INDENT}${INDENT}<li data-lesson-id="${model.id}">` +
+        `<a href="${escapeHtml(model.path)}">${escapeHtml(model.fileName)}</a> ` +
+        `<a class="lesson-playground" href="lesson.html#${model.id}">playground</a>` +
+        `${renderLessonMeta(model.metadata)}</li>`
+    );
+    return [
+      `${INDENT}<h2>${escapeHtml(chapterTitle(chapter))}</h2>`,
+      `${INDENT}<ul class="lessons" data-chapter="${escapeHtml(chapter)}">`,
+      ...items,
+      `${INDENT}</ul>`,
+    ].join("\n");
+  });
+
+  return [
+    `${INDENT}${START_MARKER}`,
+    `${INDENT}<!-- Generated by tools/build-index.js from scripts/. Do not edit by hand. -->`,
+    blocks.join("\n\n"),
+    `${INDENT}${END_MARKER}`,
+  ].join("\n");
+}
+
+/**
+ * Replaces the generated region of index.html.
+ *
+ * @param {string} html Current contents of index.html.
+ * @param {string} lists Output of {@link renderLessonLists}.
+ * @returns {string}
+ * @throws {Error} When the markers are missing or out of order.
+ */
+function replaceGeneratedRegion(html, lists) {
+  const start = html.indexOf(START_MARKER);
+  const end = html.indexOf(END_MARKER);
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`index.html must contain ${START_MARKER} followed by ${END_MARKER}.`);
+  }
+  const lineStart = html.lastIndexOf("\n", start) + 1;
+  return html.slice(0, lineStart) + lists + html.slice(end + END_MARKER.length);
+}
+
+/**
+ * Renders `site/generated/lessons.js`.
+ *
+ * @param {import("./lessons").LessonModel[]} models
+ * @returns {string}
+ */
+function renderLessonData(models) {
+  return [
+    "// Generated by tools/build-index.js from scripts/. Do not edit by hand.",
+    "(function (root) {",
+    "  root.LessonKit = root.LessonKit || {};",
+    `  root.LessonKit.lessons = ${JSON.stringify(models, null, 2).replace(/\n/g, "\n  ")};`,
+    '})(typeof self !== "undefined" ? self : this);',
+    "",
+  ].join("\n");
+}
+
+/**
+ * Reads a file, treating a missing one as empty.
+ *
+ * @param {string} filePath
+ * @returns {string}
+ */
+function readIfExists(filePath) {
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : "";
+}
+
+function main() {
+  let values;
+  try {
+    ({ values } = util.parseArgs({
+      args: process.argv.slice(2),
+      options: { check: { type: "boolean", default: false }, help: { type: "boolean", short: "h", default: false } },
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const problems = findLessonProblems();
+  if (problems.length > 0) {
+    console.error("Cannot build the lesson index:");
+    for (const problem of problems) console.error(`  ✗ ${problem}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const lessons = findLessons();
+  const models = lessons.map((lesson) => ({ ...loadLessonModel(lesson), chapterTitle: chapterTitle(lesson.chapter) }));
+  const metadataProblems = checkMetadata(models);
+  const errors = metadataProblems.filter((problem) => problem.severity === "error");
+  if (errors.length > 0) {
+    console.error("Cannot build the lesson index:");
+    for (const problem of errors) console.error(`  ✗ ${problem.message}`);
+    process.exitCode = 1;
+    return;
+  }
+  for (const problem of metadataProblems) console.error(`⚠ ${problem.message}`);
+
+  const outputs = [
+    { path: INDEX_PATH, build: (current) => replaceGeneratedRegion(current, renderLessonLists(models)) },
+    { path: DATA_PATH, build: () => renderLessonData(models) },
+  ].map((output) => {
+    const current = readIfExists(output.path);
+    return { ...output, name: path.relative(ROOT_DIR, output.path), current, next: output.build(current) };
+  });
+
+  if (values.check) {
+    const stale = outputs.filter((output) => output.next !== output.current);
+    for (const output of stale) {
+      console.error(`${output.name} is out of date. Run \`node tools/build-index.js\` to regenerate it.`);
+    }
+    if (stale.length > 0) process.exitCode = 1;
+    else console.log(`Generated files are up to date (${lessons.length} lessons).`);
+    return;
+  }
+
+  for (const output of outputs) {
+    const changed = output.next !== output.current;
+    if (changed) {
+      fs.mkdirSync(path.dirname(output.path), { recursive: true });
+      fs.writeFileSync(output.path, output.next);
+    }
+    console.log(`${changed ? "Updated" : "Unchanged"}: ${output.name} (${lessons.length} lessons).`);
+  }
+}
+
+main();
@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Checks that `lib/bigint-json.js` round-trips BigInts and the
+ * data around them in every encoding, and that it refuses, with its own
+ * error, the inputs it cannot read exactly.
+ *
+ * Usage:
+ *   node tools/check-bigint-json.js
+ *   node tools/check-bigint-json.js --verbose   # also list the checks that pass
+ *
+ * Exits with status 1 when at least one check fails.
+ */
+
+const assert = require("assert");
+const util = require("util");
+
+const { ENCODINGS, stringify, parse } = require("../lib/bigint-json");
+
+const USAGE = `Usage: node tools/check-bigint-json.js [options]
+
+Options:
+  --verbose          Also list the checks that pass
+  --help             Show this message`;
+
+// Values that must come back exactly as they went out, in every encoding.
+const ROUND_TRIPS = {
+  "64-bit IDs": { id: 2n ** 64n - 1n, parent: -(2n ** 63n), small: 0n },
+  "BigInts in arrays and nested objects": { users: [{ id: 12345678901234567890n, name: "Ada" }], deep: { ids: [1n, 2n] } },
+  "a BigInt on its own": 9007199254740993n,
+  "strings that look like tags": { note: "99n", quoted: "'99n", twice: "''-1n", plain: "n", word: "fun" },
+  "objects shaped like $bigint objects": { a: { $bigint: "1" }, b: { $$bigint: "2" }, c: { $bigint: "3", other: true } },
+  "numbers and other values": { n: 42, x: 1.5, neg: -0.25, yes: true, no: null, list: [1, "1", [2n]] },
+};
+
+// Calls that must throw, and what they must throw.
+const ERRORS = [
+  {
+    name: "an unsafe integer without paths",
+    run: () => parse('{"x":9007199254740993}'),
+    error: { name: "RangeError", message: /^9007199254740993 at \$\.x is beyond Number\.MAX_SAFE_INTEGER/ },
+  },
+  {
+    name: "an unsafe integer outside the paths",
+    run: () => parse('{"id":18446744073709551615,"other":18446744073709551615}', { encoding: "number", paths: ["$.id"] }),
+    error: { name: "RangeError", message: / at \$\.other / },
+  },
+  {
+    name: "an unsafe integer in the object encoding",
+    run: () => parse('[{"$bigint":"1"},12345678901234567890]', { encoding: "object" }),
+    error: { name: "RangeError", message: / at \$\[1\] / },
+  },
+  {
+    name: "a $bigint object without digits",
+    run: () => parse('{"id":{"$bigint":"12a"}}', { encoding: "object" }),
+    error: { name: "SyntaxError", message: /\$bigint at \$\.id must be a string of digits/ },
+  },
+  { name: "an unknown encoding", run: () => stringify(1n, { encoding: "hex" }), error: { name: "RangeError" } },
+  { name: "an unknown unsafe policy", run: () => parse("1", { unsafe: "round" }), error: { name: "RangeError" } },
+  { name: "a path pattern that is not a path", run: () => parse("{}", { paths: ["$.a["] }), error: { name: "SyntaxError" } },
+  { name: "text that is not JSON", run: () => parse('{"a" 1}'), error: { name: "SyntaxError" } },
+];
+
+// Calls that must give a value.
+const RESULTS = [
+  { name: "unsafe integers read as BigInts", run: () => parse('{"x":9007199254740993}', { unsafe: "bigint" }), expected: { x: 9007199254740993n } },
+  { name: "unsafe integers rounded", run: () => parse('{"x":9007199254740993}', { unsafe: "number" }), expected: { x: 9007199254740992 } },
+  { name: "safe integers stay Numbers", run: () => parse('{"x":9007199254740991,"y":1e300}'), expected: { x: 9007199254740991, y: 1e300 } },
+  {
+    name: "tags outside the paths stay strings",
+    run: () => parse('{"id":"5n","note":"5n"}', { paths: ["$.id"] }),
+    expected: { id: 5n, note: "5n" },
+  },
+  {
+    name: "integers at the paths become BigInts",
+    run: () => parse('{"users":[{"id":1,"age":30}],"a":{"b":[2]}}', { encoding: "number", paths: ["$.users[*].id", /^\$\.a\./] }),
+    expected: { users: [{ id: 1n, age: 30 }], a: { b: [2n] } },
+  },
+  { name: "digits in strings are left alone", run: () => parse('{"s":"9007199254740993"}'), expected: { s: "9007199254740993" } },
+  {
+    name: "the number encoding writes bare digits",
+    run: () => stringify({ id: 2n ** 64n - 1n }, { encoding: "number" }),
+    expected: '{"id":18446744073709551615}',
+  },
+  {
+    name: "the replacer sees BigInts",
+    run: () => stringify({ a: 1n, b: 2n }, { replacer: (key, value) => (key === "b" ? undefined : value) }),
+    expected: '{"a":"1n"}',
+  },
+];
+
+/**
+ * Runs one check.
+ *
+ * @param {function(): void} check Throws when the check fails.
+ * @returns {string|null} Why it failed.
+ */
+function attempt(check) {
+  try {
+    check();
+    return null;
+  } catch (error) {
+    return error.message.split("\n")[0];
+  }
+}
+
+function main() {
+  let values;
+  try {
+    values = util.parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        verbose: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      strict: true,
+    }).values;
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Without a tag, the number encoding needs to be told where the BigInts are.
+  const numberPaths = ["$", "$.**.id", "$.parent", "$.small", "$.deep.ids[*]", "$.list[2][0]"];
+  const checks = [];
+  for (const encoding of ENCODINGS) {
+    for (const [name, value] of Object.entries(ROUND_TRIPS)) {
+      const options = encoding === "number" ? { encoding, paths: numberPaths } : { encoding };
+      checks.push({ name: `${encoding}: ${name}`, check: () => assert.deepStrictEqual(parse(stringify(value, { encoding }), options), value) });
+    }
+  }
+  for (const { name, run, error } of ERRORS) checks.push({ name: `throws: ${name}`, check: () => assert.throws(run, error) });
+  for (const { name, run, expected } of RESULTS) checks.push({ name, check: () => assert.deepStrictEqual(run(), expected) });
+
+  let failed = 0;
+  for (const { name, check } of checks) {
+    const failure = attempt(check);
+    if (failure) {
+      failed++;
+      console.log(`  ✗ ${name}: ${failure}`);
+    } else if (values.verbose) {
+      console.log(`  ✓ ${name}`);
+    }
+  }
+  console.log(`Ran ${checks.length} check(s): ${checks.length - failed} passed, ${failed} failed.`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main();
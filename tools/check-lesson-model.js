@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Checks how `lib/lesson-model.js` splits the lessons: the
+ * sections and their kinds in a few lessons whose headings are written in
+ * different styles, that the code of the sections, put back at their
+ * `codeLine`, gives every lesson's code token for token, and that
+ * `lib/js-tokens.js` tells regex literals from division.
+ *
+ * Usage:
+ *   node tools/check-lesson-model.js
+ *   node tools/check-lesson-model.js --verbose   # also list the checks that pass
+ *
+ * Exits with status 1 when at least one check fails.
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const util = require("util");
+
+const { findLessons, loadLessonModel } = require("./lessons");
+const { tokenize } = require("../lib/js-tokens");
+
+const USAGE = `Usage: node tools/check-lesson-model.js [options]
+
+Options:
+  --verbose          Also list the checks that pass
+  --help             Show this message`;
+
+// The kind and title of every section, in order: 014 titles its exercises
+// with markers that differ from their headings, 015 answers them in a
+// "Solutions" part, and 016 mixes solved brain-benders into the lesson.
+const SECTIONS = {
+  "014": [
+    ["lesson", "Introduction"],
+    ["lesson", "What is a variable?"],
+    ["lesson", "How JS Creates Variables (Internally)"],
+    ["lesson", "Visual Representation"],
+    ["lesson", "Comparison of `var`, `let`, `const`"],
+    ["exercise", "Exercise 1: Hoisting Basics"],
+    ["exercise", "Exercise 2: Re-declaration"],
+    ["exercise", "Exercise 3: Block Scope"],
+    ["exercise", "Exercise 4: Const Objects"],
+    ["exercise", "Interview-Level Tricky Questions"],
+    ["exercise", "Q1: TDZ Trap"],
+    ["exercise", "Q2: Function Hoisting"],
+    ["exercise", "Q3: Weird `var` Behavior in Loops"],
+  ],
+  "015": [
+    ["lesson", "Introduction"],
+    ["exercise", "Q1: Hoisting + Shadowing"],
+    ["exercise", "Q2: Const & Reassignment"],
+    ["exercise", "Q3: TDZ Trick"],
+    ["exercise", "Q4: Global vs Block Scope"],
+    ["exercise", "Q5: Function Hoisting with Var"],
+    ["exercise", "Q6: Loop Trap Again (logs after ~100ms)"],
+    ["exercise", "Brain-Benders"],
+    ["exercise", "Q7: Function vs Var Hoisting Clash"],
+    ["exercise", "Q8: Closure + var/let (logs with delays)"],
+    ["exercise", "Q9: TDZ + Function Parameter"],
+    ["exercise", "Q10: const Object Mutability"],
+    ["solution", "Solutions with Engine-Level Reasoning"],
+    ["solution", "Q1 — Hoisting + Shadowing"],
+    ["solution", "Q2 — const & Reassignment"],
+    ["solution", "Q3 — TDZ Trick"],
+    ["solution", "Q4 — Global vs Block Scope"],
+    ["solution", "Q5 — Function Hoisting with `var` (Expression)"],
+    ["solution", "Q6 — Loop Trap (The Classic)"],
+    ["solution", "Q7 — Function vs `var` Hoisting Clash"],
+    ["solution", "Q8 — Closure + `var`/`let`"],
+    ["solution", "Q9 — TDZ with Default Parameters"],
+    ["solution", "Q10 — `const` object + `Object.freeze`"],
+  ],
+  "016": [
+    ["lesson", "Introduction"],
+    ["lesson", "The Hidden Machinery of Type Conversion"],
+    ["lesson", "Arithmetic Operators"],
+    ["solution", "Arithmetic Brain-Benders with Solutions"],
+    ["lesson", "Comparison Operators"],
+    ["solution", "Comparison Brain-Benders with Solutions"],
+    ["lesson", "Interview-Grade Hidden Insights"],
+  ],
+};
+
+// Expressions, and the regex literals in them; every other `/` is division.
+const SLASHES = [
+  { source: "a / b / c", regexes: [] },
+  { source: "1 /2/ 3", regexes: [] },
+  { source: "(a) / 2", regexes: [] },
+  { source: "arr[0] / 2", regexes: [] },
+  { source: "({}) / 2", regexes: [] },
+  { source: "i++ / 2", regexes: [] },
+  { source: "this / 2", regexes: [] },
+  { source: "`${a}` / 2", regexes: [] },
+  { source: "x = y /* comment */ / 2", regexes: [] },
+  { source: "a = b\n/ 2", regexes: [] },
+  { source: "x /= 2", regexes: [] },
+  { source: "x = /ab+c/g.test(s)", regexes: ["/ab+c/g"] },
+  { source: "return /x/", regexes: ["/x/"] },
+  { source: "typeof /x/", regexes: ["/x/"] },
+  { source: "case /x/:", regexes: ["/x/"] },
+  { source: "!/a/.test(s) && /b/.test(s)", regexes: ["/a/", "/b/"] },
+  { source: "[/a/, f(/b/)]", regexes: ["/a/", "/b/"] },
+  { source: "/[/]/.test(s)", regexes: ["/[/]/"] },
+  { source: 's.replace(/\\//g, "")', regexes: ["/\\//g"] },
+];
+
+/**
+ * The tokens of some code that are not comments or whitespace, with the
+ * line they start on.
+ *
+ * @param {string} source
+ * @returns {string[]} `line N: token` for each token.
+ */
+function codeTokens(source) {
+  return tokenize(source)
+    .filter((token) => token.type !== "comment" && token.type !== "whitespace")
+    .map((token) => `line ${token.line}: ${token.value}`);
+}
+
+/**
+ * Puts the code of every section back at its line, leaving the other lines
+ * empty.
+ *
+ * @param {LessonModel} model
+ * @returns {string}
+ */
+function rebuildCode(model) {
+  const lines = [];
+  for (const section of model.sections) {
+    if (section.codeLine === null) continue;
+    section.code.split("\n").forEach((text, index) => {
+      lines[section.codeLine - 1 + index] = text;
+    });
+  }
+  return Array.from(lines, (text) => text || "").join("\n");
+}
+
+/**
+ * Checks that two lists are the same, naming the first item that differs.
+ *
+ * @param {string[]} actual
+ * @param {string[]} expected
+ */
+function assertSameItems(actual, expected) {
+  const index = actual.findIndex((item, i) => item !== expected[i]);
+  if (index !== -1) assert.fail(`${actual[index]} where ${expected[index] || "nothing"} was expected`);
+  if (actual.length < expected.length) assert.fail(`${expected[actual.length]} is missing`);
+}
+
+/**
+ * Runs one check.
+ *
+ * @param {function(): void} check Throws when the check fails.
+ * @returns {string|null} Why it failed.
+ */
+function attempt(check) {
+  try {
+    check();
+    return null;
+  } catch (error) {
+    return error.message.split("\n")[0];
+  }
+}
+
+function main() {
+  let values;
+  try {
+    values = util.parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        verbose: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      strict: true,
+    }).values;
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const lessons = findLessons();
+  const checks = [];
+  for (const [id, expected] of Object.entries(SECTIONS)) {
+    const lesson = lessons.find((candidate) => candidate.id === id);
+    checks.push({
+      name: `sections of ${id}`,
+      check: () => {
+        assert.ok(lesson, `there is no lesson ${id}`);
+        const describe = ([kind, title]) => `${kind} ${JSON.stringify(title)}`;
+        const sections = loadLessonModel(lesson).sections.map((section) => describe([section.kind, section.title]));
+        assertSameItems(sections, expected.map(describe));
+      },
+    });
+  }
+  for (const lesson of lessons) {
+    checks.push({
+      name: `code of ${lesson.id} rebuilt from its sections`,
+      check: () => assertSameItems(codeTokens(rebuildCode(loadLessonModel(lesson))), codeTokens(fs.readFileSync(lesson.path, "utf8"))),
+    });
+  }
+  for (const { source, regexes } of SLASHES) {
+    checks.push({
+      name: `regexes in ${JSON.stringify(source)}`,
+      check: () => {
+        const found = tokenize(source).filter((token) => token.type === "regex").map((token) => token.value);
+        assertSameItems(found, regexes);
+      },
+    });
+  }
+
+  let failed = 0;
+  for (const { name, check } of checks) {
+    const failure = attempt(check);
+    if (failure) {
+      failed++;
+      console.log(`  ✗ ${name}: ${failure}`);
+    } else if (values.verbose) {
+      console.log(`  ✓ ${name}`);
+    }
+  }
+  console.log(`Ran ${checks.length} check(s): ${checks.length - failed} passed, ${failed} failed.`);
+  if (failed > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Runs every check of the repo in one go: that the generated
+ * files (`index.html`'s chapter lists and `site/generated/lessons.js`) match
+ * `scripts/`, that every lesson runs without throwing, and the checks of the
+ * libraries. Run it after changing a lesson or anything in `lib/` or
+ * `tools/`.
+ *
+ * Each check is one of the tools in `tools/`, run as its own process with
+ * its output shown as it comes.
+ *
+ * Usage:
+ *   node tools/check.js
+ *
+ * Exits with status 1 when at least one check fails.
+ */
+
+const childProcess = require("child_process");
+const path = require("path");
+const util = require("util");
+
+// The checks, in the order they run: a tool and its arguments.
+const CHECKS = [
+  { name: "generated files", args: ["build-index.js", "--check"] },
+  { name: "lessons", args: ["run-lessons.js", "--quiet"] },
+  { name: "lesson model", args: ["check-lesson-model.js"] },
+  { name: "BigInt JSON", args: ["check-bigint-json.js"] },
+];
+
+const USAGE = `Usage: node tools/check.js
+
+Runs these checks and tells which failed:
+${CHECKS.map((check) => `  node tools/${check.args.join(" ")}`).join("\n")}`;
+
+function main() {
+  let values;
+  try {
+    ({ values } = util.parseArgs({
+      args: process.argv.slice(2),
+      options: { help: { type: "boolean", short: "h", default: false } },
+    }));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const failed = [];
+  for (const { name, args } of CHECKS) {
+    console.log(`== ${name}: node tools/${args.join(" ")}`);
+    const [script, ...rest] = args;
+    const result = childProcess.spawnSync(process.execPath, [path.join(__dirname, script), ...rest], { stdio: "inherit" });
+    if (result.status !== 0) failed.push(name);
+  }
+  console.log(
+    failed.length === 0 ? `All ${CHECKS.length} checks passed.` : `${failed.length} of ${CHECKS.length} checks failed: ${failed.join(", ")}.`
+  );
+  if (failed.length > 0) process.exitCode = 1;
+}
+
+main();
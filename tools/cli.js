@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Option parsing shared by the command-line tools in `tools/`.
+ *
+ * Every tool that works on lessons accepts the same `--chapter` and
+ * `--lesson` filters, so they are declared once here.
+ */
+
+const util = require("util");
+
+const LESSON_FILTER_OPTIONS = {
+  chapter: { type: "string", multiple: true, default: [] },
+  lesson: { type: "string", multiple: true, default: [] },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const LESSON_FILTER_USAGE = `  --chapter <name>   Only lessons in this chapter, e.g. 002_PrimitiveDataType or 002 (repeatable)
+  --lesson <NNN>     Only this lesson number, e.g. 016 (repeatable)`;
+
+/**
+ * `util.parseArgs`, except that an argument starting with a dash that is not
+ * one of the declared options is read as a positional (or as the value of
+ * the string option before it) when it is a number or an expression, as in
+ * `-0` or `"-1 >>> 0"`, instead of failing as an unknown option. Those are
+ * arguments that start with a single dash followed by anything other than
+ * declared short options, or with two dashes and a name with whitespace in
+ * it. A mistyped long option such as `--chaptr` still fails.
+ *
+ * @param {Object} config Same as for `util.parseArgs`; `strict` is always on.
+ * @returns {{ values: Object, positionals: string[] }}
+ * @throws {TypeError} On unknown flags or missing values.
+ */
+function parseArguments({ args, options, allowPositionals = false }) {
+  const shorts = new Set(Object.values(options).map((option) => option.short).filter(Boolean));
+  const isExpression = (arg) => {
+    if (arg.startsWith("--")) return /\s/.test(arg.slice(2).split("=")[0]);
+    return arg.length > 1 && arg.startsWith("-") && ![...arg.slice(1)].every((char) => shorts.has(char));
+  };
+  const optionNamed = (arg) => {
+    const name = arg.startsWith("--")
+      ? arg.slice(2)
+      : Object.keys(options).find((key) => arg.length === 2 && options[key].short === arg[1]);
+    return name && options[name] ? name : null;
+  };
+
+  // Expressions taken as positionals get a leading space, so parseArgs does
+  // not read them as options, and lose it again afterwards.
+  const escaped = new Set();
+  const rewritten = [];
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === "--") {
+      rewritten.push(...args.slice(index));
+      break;
+    }
+    const name = optionNamed(arg);
+    if (name && options[name].type === "string" && index + 1 < args.length && isExpression(args[index + 1])) {
+      rewritten.push(`--${name}=${args[++index]}`);
+    } else if (allowPositionals && isExpression(arg)) {
+      escaped.add(rewritten.length);
+      rewritten.push(` ${arg}`);
+    } else {
+      rewritten.push(arg);
+    }
+  }
+
+  const parsed = util.parseArgs({ args: rewritten, options, allowPositionals, strict: true, tokens: true });
+  return {
+    values: parsed.values,
+    positionals: parsed.tokens
+      .filter((token) => token.kind === "positional")
+      .map((token) => (escaped.has(token.index) ? token.value.slice(1) : token.value)),
+  };
+}
+
+/**
+ * Parses `argv` against the shared lesson filters plus tool-specific options.
+ *
+ * @param {string[]} argv Arguments after the script name.
+ * @param {Object} [options] Extra `util.parseArgs` option declarations.
+ * @param {{ positionals?: boolean }} [settings]
+ * @returns {{ values: Object, positionals: string[], filters: { chapters: string[], lessons: string[] } }}
+ * @throws {TypeError} On unknown flags or missing values.
+ */
+function parseOptions(argv, options = {}, { positionals = false } = {}) {
+  const parsed = parseArguments({
+    args: argv,
+    options: { ...LESSON_FILTER_OPTIONS, ...options },
+    allowPositionals: positionals,
+  });
+
+  return {
+    values: parsed.values,
+    positionals: parsed.positionals,
+    filters: {
+      chapters: parsed.values.chapter,
+      lessons: parsed.values.lesson.map((id) => id.padStart(3, "0")),
+    },
+  };
+}
+
+/**
+ * Parses a non-negative number option, throwing a readable error otherwise.
+ *
+ * @param {string} name Option name, used in the error message.
+ * @param {string} value Raw option value.
+ * @returns {number}
+ */
+function parseNonNegative(name, value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new TypeError(`Invalid --${name} value: ${value}`);
+  }
+  return number;
+}
+
+module.exports = {
+  LESSON_FILTER_USAGE,
+  parseArguments,
+  parseOptions,
+  parseNonNegative,
+};
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Prints the equality matrix of a set of values (see
+ * `lib/equality-matrix.js`): every pair compared with `==`, `===`,
+ * `Object.is`, `<` and `>=`. Without values, the standard set is used: 0,
+ * -0, "", "0", [], [0], {}, null, undefined, NaN, false, true, 0n and
+ * Symbol().
+ *
+ * Each value is an expression, evaluated in a fresh V8 context after the
+ * optional setup code, once for each side of each comparison. To see how a
+ * cell got its result, pass its expression to `tools/explain-coercion.js`.
+ *
+ * Usage:
+ *   node tools/equality-matrix.js                      # every operator, standard values
+ *   node tools/equality-matrix.js --operator == --operator Object.is
+ *   node tools/equality-matrix.js --value null --value 0 --value '"0"' --json
+ */
+
+const util = require("util");
+const vm = require("vm");
+
+const { STANDARD_VALUES, OPERATORS, valuesCode, buildMatrix, formatMatrix } = require("../lib/equality-matrix");
+
+const TIMEOUT = 1000;
+
+const USAGE = `Usage: node tools/equality-matrix.js [options]
+
+Options:
+  --value <expr>     A value to compare (repeatable); by default, the standard set
+  --setup <code>     Code to run first, e.g. to declare the objects the values use
+  --operator <op>    Only this operator: ${OPERATORS.join(", ")} (repeatable)
+  --json             Print the matrix as JSON
+  --help             Show this message`;
+
+function main() {
+  let values;
+  try {
+    const parsed = util.parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        value: { type: "string", multiple: true, default: [] },
+        setup: { type: "string", default: "" },
+        operator: { type: "string", multiple: true, default: [] },
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      strict: true,
+    });
+    values = parsed.values;
+    const unknown = values.operator.find((operator) => !OPERATORS.includes(operator));
+    if (unknown) throw new TypeError(`Unknown --operator: ${unknown}`);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const expressions = values.value.length > 0 ? values.value : STANDARD_VALUES;
+  const operators = values.operator.length > 0 ? values.operator : OPERATORS;
+
+  // The values are made and compared in the context, so the time limit also
+  // stops a valueOf or toString that never returns.
+  let matrix;
+  try {
+    const context = vm.createContext({ buildMatrix });
+    if (values.setup) vm.runInContext(values.setup, context, { filename: "setup", timeout: TIMEOUT });
+    matrix = vm.runInContext(`buildMatrix(${valuesCode(expressions)}, { operators: ${JSON.stringify(operators)} })`, context, {
+      filename: "values",
+      timeout: TIMEOUT,
+    });
+  } catch (error) {
+    console.error(`${error.name}: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (values.json) {
+    console.log(JSON.stringify(matrix, null, 2));
+    return;
+  }
+  console.log(operators.map((operator) => formatMatrix(matrix, operator)).join("\n\n"));
+}
+
+main();
@@ -0,0 +1,327 @@
+/**
+ * @fileoverview Pairs each `console.log(...)` in a lesson with its trailing
+ * "expected output" comment and checks the claim against what really ran.
+ *
+ *   console.log("~~4.9 ->", ~~4.9); // 4
+ *   console.log("a, b after XOR swap:", a, b); // 3 5
+ *   console.log(a === b); // false ✅
+ *
+ * A claim is one or more values written the way the console prints them
+ * (numbers, BigInts, quoted strings, arrays, objects, bare words), optionally
+ * followed by a note such as `(since [] -> "" -> 0)` or a ✅/❌ marker. The
+ * values are compared with the last arguments of the call, so a leading
+ * label string does not need to be repeated in the comment. Comments that
+ * are explanations rather than values ("Numeric timestamp") are reported as
+ * unchecked instead of guessed at.
+ */
+
+const util = require("util");
+const { findConsoleComments } = require("../lib/lesson-model");
+
+const LEADING_MARKER = /^(?:✅|❌|⚠️|⚠|💥|👉|🚫)\s*/u;
+const ALLOWED_REMAINDER = /^(?:$|[(\-—–.;:]|→|<-|✅|❌|⚠️|⚠|💥)/u;
+const ERROR_CLAIM = /^([A-Z]\w*Error)\b(?::\s*(.+?))?\s*(?:\(.*\))?$/;
+const NUMBER_LITERAL = /^-?(?:Infinity|NaN|(?:\d[\d_]*(?:\.\d+)?|\.\d+)(?:e[+-]?\d+)?n?)(?![\w$])/i;
+const WORD_LITERAL = /^[A-Za-z_$][\w$]*/;
+const LABEL_ENDING = /(?::|->|=>|\?|=)\s*$/;
+
+/**
+ * @typedef {Object} Claim
+ * @property {number} line First line of the console call.
+ * @property {number} endLine Line holding the call's closing parenthesis and the comment.
+ * @property {string} comment Comment text without the leading `//`.
+ * @property {string} kind "values", "error" or "prose".
+ * @property {Array<ClaimValue>} [values] Parsed values, for kind "values".
+ * @property {string} [raw] Source text of the parsed values, for kind "values".
+ * @property {string} [name] Error constructor name, for kind "error".
+ * @property {string} [message] Error message, for kind "error" when given.
+ */
+
+/**
+ * @typedef {Object} ClaimValue
+ * @property {string} type "number", "bigint", "string", "word", "literal", "array" or "object".
+ * @property {*} [value] Primitive value for the scalar types.
+ * @property {ClaimValue[]} [items] Elements of an array claim.
+ * @property {Array<[string, ClaimValue]>} [entries] Key/value pairs of an object claim.
+ */
+
+/**
+ * Reads one console-style value from the start of `text`.
+ *
+ * @param {string} text
+ * @returns {{ value: ClaimValue, rest: string }|null} Null when no value starts here.
+ */
+function readValue(text) {
+  const char = text[0];
+
+  if (char === '"' || char === "'" || char === "`") {
+    let i = 1;
+    let value = "";
+    while (i < text.length && text[i] !== char) {
+      if (text[i] === "\\" && i + 1 < text.length) i++;
+      value += text[i++];
+    }
+    if (i >= text.length) return null;
+    return { value: { type: "string", value }, rest: text.slice(i + 1) };
+  }
+
+  if (char === "[") return readList(text.slice(1), "]", (items) => ({ type: "array", items }));
+  if (char === "{") return readObject(text.slice(1));
+
+  const number = NUMBER_LITERAL.exec(text);
+  if (number) {
+    const literal = number[0].replace(/_/g, "");
+    const value = literal.endsWith("n")
+      ? { type: "bigint", value: BigInt(literal.slice(0, -1)) }
+      : { type: "number", value: Number(literal) };
+    return { value, rest: text.slice(number[0].length) };
+  }
+
+  const word = WORD_LITERAL.exec(text);
+  if (word) {
+    const literals = { true: true, false: false, null: null, undefined: undefined };
+    const value = word[0] in literals
+      ? { type: "literal", value: literals[word[0]] }
+      : { type: "word", value: word[0] };
+    return { value, rest: text.slice(word[0].length) };
+  }
+
+  return null;
+}
+
+/**
+ * Reads comma-separated values up to `close`.
+ *
+ * @param {string} text Text just after the opening bracket.
+ * @param {string} close Closing bracket.
+ * @param {function(ClaimValue[]): ClaimValue} build
+ * @returns {{ value: ClaimValue, rest: string }|null}
+ */
+function readList(text, close, build) {
+  const items = [];
+  let rest = text.trimStart();
+  while (!rest.startsWith(close)) {
+    const item = readValue(rest);
+    if (!item) return null;
+    items.push(item.value);
+    rest = item.rest.trimStart();
+    if (rest.startsWith(",")) rest = rest.slice(1).trimStart();
+    else if (!rest.startsWith(close)) return null;
+  }
+  return { value: build(items), rest: rest.slice(close.length) };
+}
+
+/**
+ * Reads `key: value` pairs up to the closing brace.
+ *
+ * @param {string} text Text just after the opening brace.
+ * @returns {{ value: ClaimValue, rest: string }|null}
+ */
+function readObject(text) {
+  const entries = [];
+  let rest = text.trimStart();
+  while (!rest.startsWith("}")) {
+    const key = readValue(rest);
+    if (!key || !["string", "word", "literal", "number"].includes(key.value.type)) return null;
+    rest = key.rest.trimStart();
+    if (!rest.startsWith(":")) return null;
+    const value = readValue(rest.slice(1).trimStart());
+    if (!value) return null;
+    entries.push([String(key.value.value), value.value]);
+    rest = value.rest.trimStart();
+    if (rest.startsWith(",")) rest = rest.slice(1).trimStart();
+    else if (!rest.startsWith("}")) return null;
+  }
+  return { value: { type: "object", entries }, rest: rest.slice(1) };
+}
+
+/**
+ * Interprets the text of a trailing comment.
+ *
+ * @param {string} comment Comment text without the leading `//`.
+ * @returns {Object|null} Claim fields (`kind` plus details), or null when the
+ *   comment is only a marker such as `✅`.
+ */
+function parseClaim(comment) {
+  let text = comment.trim();
+  while (LEADING_MARKER.test(text)) text = text.replace(LEADING_MARKER, "");
+  if (text === "") return null;
+
+  const error = ERROR_CLAIM.exec(text);
+  if (error) return { kind: "error", name: error[1], message: error[2] };
+
+  const values = [];
+  let rest = text;
+  for (;;) {
+    const next = readValue(rest);
+    if (!next) break;
+    values.push(next.value);
+    rest = next.rest.trimStart();
+    if (rest.startsWith(",") && readValue(rest.slice(1).trimStart())) {
+      rest = rest.slice(1).trimStart();
+    } else if (ALLOWED_REMAINDER.test(rest)) {
+      break;
+    }
+  }
+
+  // "String concatenation" is an explanation, not two logged words.
+  const words = values.filter((value) => value.type === "word").length;
+  if (values.length > 0 && words < 2 && ALLOWED_REMAINDER.test(rest)) {
+    return { kind: "values", values, raw: text.slice(0, text.length - rest.length).trim() };
+  }
+  return { kind: "prose" };
+}
+
+/**
+ * Finds every console call that ends with a trailing `//` comment.
+ *
+ * @param {string} source Lesson source.
+ * @returns {Claim[]}
+ */
+function findClaims(source) {
+  const claims = [];
+  for (const { line, endLine, comment } of findConsoleComments(source)) {
+    const claim = parseClaim(comment);
+    if (claim) claims.push({ line, endLine, comment, ...claim });
+  }
+  return claims;
+}
+
+/**
+ * Compares a claimed value with a value the lesson actually logged.
+ *
+ * @param {ClaimValue} claimed
+ * @param {*} actual
+ * @returns {boolean}
+ */
+function valueMatches(claimed, actual) {
+  switch (claimed.type) {
+    case "string":
+      return actual === claimed.value;
+    case "word":
+      return typeof actual === "string" && actual === claimed.value;
+    case "number":
+      // The console prints the number 5 and the string "5" identically.
+      return Object.is(actual, claimed.value) || actual === String(claimed.value);
+    case "bigint":
+      return actual === claimed.value;
+    case "literal":
+      return Object.is(actual, claimed.value) || actual === String(claimed.value);
+    case "array":
+      return (
+        Array.isArray(actual) &&
+        actual.length === claimed.items.length &&
+        claimed.items.every((item, index) => valueMatches(item, actual[index]))
+      );
+    case "object": {
+      if (actual === null || typeof actual !== "object" || Array.isArray(actual)) return false;
+      const symbols = Object.getOwnPropertySymbols(actual).filter((symbol) =>
+        Object.prototype.propertyIsEnumerable.call(actual, symbol)
+      );
+      const keys = [...Object.keys(actual), ...symbols];
+      return (
+        keys.length === claimed.entries.length &&
+        claimed.entries.every(([key, value]) => keys.includes(key) && valueMatches(value, actual[key]))
+      );
+    }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Collapses whitespace and quote style so `{ a: 'x' }` equals `{a:"x"}`.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return text.replace(/\s+/g, "").replace(/'/g, '"');
+}
+
+/**
+ * Formats logged values the way the console shows them inside a message.
+ *
+ * @param {Array<*>} values
+ * @returns {string}
+ */
+function formatValues(values) {
+  return values.map((value) => (typeof value === "string" ? value : util.inspect(value))).join(" ");
+}
+
+/**
+ * Checks one execution of a console call against its claim.
+ *
+ * @param {Claim} claim
+ * @param {Array<*>} args Arguments of that execution.
+ * @returns {{ status: string, actual: string }} Status is "pass", "mismatch" or "unchecked".
+ */
+function checkExecution(claim, args) {
+  if (claim.kind === "error") {
+    const errorArg = args.find((arg) => arg && typeof arg === "object" && typeof arg.name === "string" && "message" in arg);
+    if (errorArg) {
+      const matches = errorArg.name === claim.name && (!claim.message || errorArg.message === claim.message);
+      return { status: matches ? "pass" : "mismatch", actual: `${errorArg.name}: ${errorArg.message}` };
+    }
+    const last = args[args.length - 1];
+    if (claim.message && typeof last === "string") {
+      return { status: last === claim.message ? "pass" : "mismatch", actual: last };
+    }
+    return { status: "unchecked", actual: formatValues(args.slice(-1)) };
+  }
+
+  // A leading "label:" or "label ->" string is never part of the claim.
+  const values = typeof args[0] === "string" && args.length > 1 && LABEL_ENDING.test(args[0]) ? args.slice(1) : args;
+  if (claim.kind !== "values" || claim.values.length > values.length) {
+    return { status: "unchecked", actual: formatValues(values) };
+  }
+
+  const compared = values.slice(values.length - claim.values.length);
+  const actual = formatValues(compared);
+  const matches =
+    claim.values.every((value, index) => valueMatches(value, compared[index])) ||
+    normalizeText(claim.raw) === normalizeText(actual) ||
+    (compared.length === 1 && Array.isArray(compared[0]) && claim.values.length > 1 &&
+      valueMatches({ type: "array", items: claim.values }, compared[0]));
+
+  return { status: matches ? "pass" : "mismatch", actual };
+}
+
+/**
+ * @typedef {Object} ClaimResult
+ * @property {Claim} claim
+ * @property {string} status "pass", "mismatch", "unchecked" or "not-run".
+ * @property {string[]} actual What each execution of the call logged.
+ */
+
+/**
+ * Checks every claim in a lesson against the console output it produced.
+ *
+ * A call that runs several times (inside a loop, say) passes only if every
+ * run matches; if only some runs match, the claim is reported as unchecked
+ * because the comment cannot describe all of them.
+ *
+ * @param {string} source Lesson source.
+ * @param {import("./sandbox").ConsoleEntry[]} output Captured output of that source.
+ * @returns {ClaimResult[]}
+ */
+function checkClaims(source, output) {
+  return findClaims(source).map((claim) => {
+    const executions = output.filter((entry) => entry.line >= claim.line && entry.line <= claim.endLine);
+    if (executions.length === 0) return { claim, status: "not-run", actual: [] };
+
+    const checks = executions.map((entry) => checkExecution(claim, entry.args));
+    const statuses = new Set(checks.map((check) => check.status));
+    let status = "unchecked";
+    if (statuses.size === 1) status = checks[0].status;
+    else if (!statuses.has("pass")) status = statuses.has("mismatch") ? "mismatch" : "unchecked";
+
+    return { claim, status, actual: checks.map((check) => check.actual) };
+  });
+}
+
+module.exports = {
+  parseClaim,
+  findClaims,
+  checkClaims,
+};
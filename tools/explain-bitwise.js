@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Shows the bits behind every bitwise operator in an
+ * expression: each operand after ToInt32 or ToUint32 as 32 bits in two's
+ * complement, the result, and where a fraction was dropped, a number wrapped
+ * around or a shift filled in the sign bit (see `lib/bitwise.js`).
+ *
+ * The expression is evaluated in a fresh V8 context, after the optional
+ * setup code.
+ *
+ * Usage:
+ *   node tools/explain-bitwise.js "~~-4.9"
+ *   node tools/explain-bitwise.js "-1 >>> 0"
+ *   node tools/explain-bitwise.js "a = a ^ b, b = a ^ b, a = a ^ b" --setup "let a = 5, b = 3;"
+ *   node tools/explain-bitwise.js "5 << 3" --json
+ */
+
+const vm = require("vm");
+
+const { parseArguments } = require("./cli");
+const { RECORDER_NAME, OPERATORS, instrumentExpression, createRecorder, formatSteps } = require("../lib/bitwise");
+
+const TIMEOUT = 1000;
+
+const USAGE = `Usage: node tools/explain-bitwise.js "<expression>" [options]
+
+Every ${OPERATORS.join(" ")} in the expression is shown, except inside calls, literals
+and function bodies.
+
+Options:
+  --setup <code>     Code to run first, e.g. to declare the variables the expression uses
+  --json             Print the operations and the run as JSON
+  --help             Show this message`;
+
+function main() {
+  let values;
+  let instrumented;
+  try {
+    const parsed = parseArguments({
+      args: process.argv.slice(2),
+      options: {
+        setup: { type: "string", default: "" },
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      allowPositionals: true,
+    });
+    values = parsed.values;
+    if (!values.help) {
+      if (parsed.positionals.length !== 1) throw new TypeError("Give one expression to explain, in quotes.");
+      instrumented = instrumentExpression(parsed.positionals[0]);
+    }
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // The setup's top-level declarations are shared with the expression, run
+  // as a second script in the same context.
+  const recorder = createRecorder();
+  try {
+    const context = vm.createContext({ console, [RECORDER_NAME]: recorder });
+    if (values.setup) vm.runInContext(values.setup, context, { filename: "setup", timeout: TIMEOUT });
+    vm.runInContext(instrumented.code, context, { filename: "expression", timeout: TIMEOUT });
+  } catch (error) {
+    recorder.fail(error);
+  }
+
+  const run = recorder.result();
+  if (run.errors.length > 0) process.exitCode = 1;
+  if (values.json) {
+    console.log(JSON.stringify({ operations: instrumented.operations, run }, null, 2));
+    return;
+  }
+  console.log(formatSteps(instrumented, run));
+}
+
+main();
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Explains how `==`, `===`, `Object.is`, `+` or a relational
+ * operator gets its result, one specification step at a time (see `lib/coercion-trace.js`).
+ *
+ * The operands are evaluated in a fresh V8 context, after the optional
+ * setup code, so they can be any expressions: objects with their own
+ * `valueOf` or `Symbol.toPrimitive`, dates, BigInts.
+ *
+ * Usage:
+ *   node tools/explain-coercion.js "[] == ![]"
+ *   node tools/explain-coercion.js "money + 1" --setup "const money = { valueOf() { return 5; } };"
+ *   node tools/explain-coercion.js "null >= 0" --json
+ *   node tools/explain-coercion.js "Object.is(-0, 0)"
+ *   node tools/explain-coercion.js "-0 == false"
+ */
+
+const vm = require("vm");
+
+const { parseArguments } = require("./cli");
+const { OPERATORS, traceOperation, parseExpression, formatTrace } = require("../lib/coercion-trace");
+
+const TIMEOUT = 1000;
+
+const USAGE = `Usage: node tools/explain-coercion.js "<left> <operator> <right>" [options]
+
+The operator is one of ${OPERATORS.filter((operator) => operator !== "Object.is").join(" ")}, or write Object.is(<left>, <right>).
+
+Options:
+  --setup <code>     Code to run first, e.g. to declare the objects the expression uses
+  --json             Print the trace as JSON
+  --help             Show this message`;
+
+function main() {
+  let values;
+  let expression;
+  try {
+    const parsed = parseArguments({
+      args: process.argv.slice(2),
+      options: {
+        setup: { type: "string", default: "" },
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      allowPositionals: true,
+    });
+    values = parsed.values;
+    if (!values.help) {
+      if (parsed.positionals.length !== 1) throw new TypeError("Give one expression to explain, in quotes.");
+      expression = parseExpression(parsed.positionals[0]);
+    }
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Top-level declarations in the setup are shared with the later scripts
+  // run in the same context, just as between classic <script> tags. The
+  // trace itself runs in the context too, so the time limit also stops a
+  // valueOf or toString that never returns.
+  let trace;
+  try {
+    const context = vm.createContext({ console, traceOperation });
+    if (values.setup) vm.runInContext(values.setup, context, { filename: "setup", timeout: TIMEOUT });
+    trace = vm.runInContext(
+      `traceOperation(${JSON.stringify(expression.operator)}, (${expression.left}\n), (${expression.right}\n))`,
+      context,
+      { filename: "expression", timeout: TIMEOUT }
+    );
+  } catch (error) {
+    console.error(`${error.name}: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(values.json ? JSON.stringify(trace, null, 2) : formatTrace(trace));
+}
+
+main();
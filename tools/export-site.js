@@ -0,0 +1,305 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Exports every lesson as a static HTML page that reads like an
+ * article rather than a script.
+ *
+ * Each lesson is parsed into sections (see `lib/lesson-model.js`) and run in
+ * the sandbox. Comment prose is formatted (`lib/prose-format.js`): tables,
+ * lists, `@example` captions, **bold**. Code is syntax-highlighted, and every
+ * code block is followed by the output its own `console` calls really
+ * printed, matched by line number. The result is a folder of plain HTML and
+ * CSS, with no scripts and nothing loaded from the network, so it works
+ * offline and from `file://`.
+ *
+ * Usage:
+ *   node tools/export-site.js                     # every lesson, into dist/site
+ *   node tools/export-site.js --out /tmp/lessons
+ *   node tools/export-site.js --chapter 003       # only these lessons
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { LESSON_FILTER_USAGE, parseOptions } = require("./cli");
+const { ROOT_DIR, findLessons, filterLessons, chapterTitle, loadLessonModel } = require("./lessons");
+const { runLesson } = require("./sandbox");
+const { escapeHtml, highlight } = require("../lib/highlight");
+const { formatInline, formatProse } = require("../lib/prose-format");
+
+const DEFAULT_OUT_DIR = path.join(ROOT_DIR, "dist", "site");
+const STYLESHEETS = ["lessons.css", "export.css"];
+const SITE_TITLE = "JavaScript Tutorials";
+const SECTION_MARKER = /^\s*---\s*(.+?)\s*---\s*$/;
+const KIND_LABELS = { exercise: "Exercise", solution: "Solution" };
+
+const USAGE = `Usage: node tools/export-site.js [options]
+
+Options:
+${LESSON_FILTER_USAGE}
+  --out <dir>        Where to write the site (default: dist/site)
+  --help             Show this message`;
+
+/**
+ * @typedef {Object} ExportedLesson
+ * @property {import("./lessons").Lesson} lesson
+ * @property {import("./lessons").LessonModel} model
+ * @property {import("./sandbox").LessonResult} result
+ * @property {string} page File name of the lesson's page, e.g. "016_type-conversion.html".
+ */
+
+/**
+ * Finds the line of the lesson an uncaught error was thrown from.
+ *
+ * @param {*} error
+ * @param {string} filename Lesson path, as passed to the sandbox.
+ * @returns {number|null}
+ */
+function errorLine(error, filename) {
+  const stack = (error && error.stack) || "";
+  const frame = stack.split("\n").find((line) => line.includes(`${filename}:`));
+  const match = frame && /:(\d+):\d+\)?$/.exec(frame);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Renders the output printed by one code block.
+ *
+ * @param {{ method: string, text: string }[]} entries
+ * @returns {string}
+ */
+function renderOutput(entries) {
+  if (entries.length === 0) return "";
+  const lines = entries.map((entry) => `<div class="console-line console-${entry.method}">${escapeHtml(entry.text)}</div>`);
+  return `<div class="console-panel">\n${lines.join("\n")}\n</div>`;
+}
+
+/**
+ * Sorts a lesson's output into its code blocks. A console call belongs to the
+ * code block that contains its line; output from a callback therefore shows
+ * up under the code that defines the callback. Section markers are left out,
+ * since every section already has a heading.
+ *
+ * @param {ExportedLesson} exported
+ * @returns {{ byBlock: Map<Object, Object[]>, unplaced: Object[] }}
+ */
+function placeOutput({ lesson, model, result }) {
+  const codeBlocks = model.sections.flatMap((section) => section.blocks.filter((block) => block.type === "code"));
+  const byBlock = new Map(codeBlocks.map((block) => [block, []]));
+  const unplaced = [];
+
+  const place = (line, entry) => {
+    const block = line && codeBlocks.find((candidate) => line >= candidate.line && line < candidate.line + candidate.text.split("\n").length);
+    if (block) byBlock.get(block).push(entry);
+    else unplaced.push(entry);
+  };
+
+  for (const entry of result.output) {
+    if (!SECTION_MARKER.test(entry.text)) place(entry.line, entry);
+  }
+  for (const error of result.errors) {
+    place(errorLine(error, lesson.relativePath), { method: "uncaught", text: `Uncaught ${(error && error.stack) || String(error)}` });
+  }
+  return { byBlock, unplaced };
+}
+
+/**
+ * Renders the sidebar: every chapter with its lessons, and the sections of
+ * the current lesson.
+ *
+ * @param {ExportedLesson[]} exported
+ * @param {ExportedLesson|null} current
+ * @returns {string}
+ */
+function renderSidebar(exported, current) {
+  const html = [`<nav class="export-sidebar">`, `<p><a href="index.html">${SITE_TITLE}</a></p>`];
+  let chapter = null;
+  for (const item of exported) {
+    if (item.lesson.chapter !== chapter) {
+      if (chapter !== null) html.push("</ul>");
+      chapter = item.lesson.chapter;
+      html.push(`<h2>${escapeHtml(chapterTitle(chapter))}</h2>`, "<ul>");
+    }
+    const isCurrent = item === current;
+    html.push(`<li${isCurrent ? ' class="current"' : ""}><a href="${escapeHtml(item.page)}">${item.lesson.id} · ${formatInline(item.model.title)}</a>`);
+    if (isCurrent && item.model.sections.length > 0) {
+      html.push('<ul class="section-links">');
+      for (const section of item.model.sections) {
+        html.push(`<li><a href="#${escapeHtml(section.id)}">${formatInline(sectionTitle(section))}</a></li>`);
+      }
+      html.push("</ul>");
+    }
+    html.push("</li>");
+  }
+  if (chapter !== null) html.push("</ul>");
+  html.push("</nav>");
+  return html.join("\n");
+}
+
+/**
+ * @param {Object} section
+ * @returns {string}
+ */
+function sectionTitle(section) {
+  return section.number ? `${section.number}. ${section.title}` : section.title;
+}
+
+/**
+ * Renders one section: its heading, then its prose and code in source order,
+ * each code block followed by its output.
+ *
+ * @param {Object} section
+ * @param {Map<Object, Object[]>} byBlock
+ * @returns {string}
+ */
+function renderSection(section, byBlock) {
+  const tag = section.level === 1 ? "h2" : "h3";
+  const label = KIND_LABELS[section.kind] ? `<span class="section-kind">${KIND_LABELS[section.kind]}</span> ` : "";
+  const html = [
+    `<section id="${escapeHtml(section.id)}" class="lesson-section lesson-${section.kind}">`,
+    `<${tag}>${label}${formatInline(sectionTitle(section))}<a class="section-anchor" href="#${escapeHtml(section.id)}" aria-label="Link to this section">#</a></${tag}>`,
+  ];
+  for (const block of section.blocks) {
+    if (block.type === "prose") {
+      html.push(formatProse(block.text));
+    } else {
+      html.push(`<pre class="code lesson-code"><code>${highlight(block.text)}</code></pre>`, renderOutput(byBlock.get(block)));
+    }
+  }
+  html.push("</section>");
+  return html.filter(Boolean).join("\n");
+}
+
+/**
+ * Wraps page content in the shared layout.
+ *
+ * @param {string} title
+ * @param {string} sidebar
+ * @param {string} main
+ * @returns {string}
+ */
+function renderPage(title, sidebar, main) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+${STYLESHEETS.map((name) => `<link rel="stylesheet" href="${name}">`).join("\n")}
+</head>
+<body class="export">
+<div class="export-layout">
+${sidebar}
+<main>
+${main}
+</main>
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders a lesson's page.
+ *
+ * @param {ExportedLesson[]} exported
+ * @param {number} index
+ * @returns {string}
+ */
+function renderLessonPage(exported, index) {
+  const current = exported[index];
+  const { lesson, model, result } = current;
+  const { byBlock, unplaced } = placeOutput(current);
+
+  const main = [
+    '<header class="lesson-header">',
+    `<p class="lesson-chapter">${escapeHtml(chapterTitle(lesson.chapter))}</p>`,
+    `<h1>${lesson.id} · ${formatInline(model.title)}</h1>`,
+    `<p class="lesson-path">${escapeHtml(lesson.relativePath)}</p>`,
+    model.summary ? `<div class="lesson-summary">${formatProse(model.summary)}</div>` : "",
+    "</header>",
+    ...model.sections.map((section) => renderSection(section, byBlock)),
+  ];
+  if (unplaced.length > 0) {
+    main.push('<section class="lesson-section">', "<h2>Other output</h2>", renderOutput(unplaced), "</section>");
+  }
+  if (result.timedOut) main.push("<p>⏱️ Timers kept rescheduling themselves and were cancelled.</p>");
+
+  const previous = exported[index - 1];
+  const next = exported[index + 1];
+  main.push(
+    '<nav class="export-pager">',
+    previous ? `<a href="${escapeHtml(previous.page)}">← ${previous.lesson.id} · ${formatInline(previous.model.title)}</a>` : "<span></span>",
+    next ? `<a href="${escapeHtml(next.page)}">${next.lesson.id} · ${formatInline(next.model.title)} →</a>` : "<span></span>",
+    "</nav>"
+  );
+
+  const title = `${lesson.id} · ${model.title} · ${SITE_TITLE}`;
+  return renderPage(title, renderSidebar(exported, current), main.filter(Boolean).join("\n"));
+}
+
+/**
+ * Renders the table of contents.
+ *
+ * @param {ExportedLesson[]} exported
+ * @returns {string}
+ */
+function renderIndexPage(exported) {
+  const main = [`<h1>${SITE_TITLE}</h1>`];
+  let chapter = null;
+  for (const { lesson, model, page } of exported) {
+    if (lesson.chapter !== chapter) {
+      if (chapter !== null) main.push("</ul>");
+      chapter = lesson.chapter;
+      main.push(`<h2>${escapeHtml(chapterTitle(chapter))}</h2>`, '<ul class="lessons">');
+    }
+    main.push(`<li><a href="${escapeHtml(page)}">${lesson.id} · ${formatInline(model.title)}</a></li>`);
+  }
+  if (chapter !== null) main.push("</ul>");
+  return renderPage(SITE_TITLE, renderSidebar(exported, null), main.join("\n"));
+}
+
+async function main() {
+  let values;
+  let filters;
+  try {
+    ({ values, filters } = parseOptions(process.argv.slice(2), { out: { type: "string" } }));
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const lessons = filterLessons(findLessons(), filters);
+  if (lessons.length === 0) {
+    console.error("No lessons match the given filters.");
+    process.exitCode = 2;
+    return;
+  }
+
+  const exported = [];
+  for (const lesson of lessons) {
+    // Virtual timers put timer output in a fixed order and skip the waiting.
+    const result = await runLesson(lesson, { virtualTimers: true });
+    exported.push({ lesson, model: loadLessonModel(lesson), result, page: lesson.fileName.replace(/\.js$/, ".html") });
+  }
+
+  const outDir = values.out ? path.resolve(values.out) : DEFAULT_OUT_DIR;
+  fs.mkdirSync(outDir, { recursive: true });
+  for (const name of STYLESHEETS) fs.copyFileSync(path.join(ROOT_DIR, "site", name), path.join(outDir, name));
+  fs.writeFileSync(path.join(outDir, "index.html"), renderIndexPage(exported));
+  exported.forEach((item, index) => fs.writeFileSync(path.join(outDir, item.page), renderLessonPage(exported, index)));
+
+  const failed = exported.filter((item) => item.result.errors.length > 0);
+  console.log(`Exported ${exported.length} lesson(s) to ${path.relative(process.cwd(), outDir) || "."}.`);
+  for (const { lesson, result } of failed) {
+    console.log(`  ⚠️  ${lesson.relativePath} threw ${result.errors.length} uncaught error(s); they are shown on its page.`);
+  }
+}
+
+main();
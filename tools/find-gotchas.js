@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Checks JavaScript files for the traps the lessons teach (see
+ * `lib/gotchas.js`) and links every finding to the lesson section that
+ * explains it.
+ *
+ * Usage:
+ *   node tools/find-gotchas.js src/                 # every .js, .mjs and .cjs file below src/
+ *   node tools/find-gotchas.js app.js --rule global-isnan
+ *   node tools/find-gotchas.js src/ --json
+ *
+ * Exits with status 1 when there is at least one warning; hints alone do not
+ * fail the run.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+const { RULES, findGotchas } = require("../lib/gotchas");
+const { findLessons, loadLessonModel } = require("./lessons");
+
+const EXTENSIONS = new Set([".js", ".mjs", ".cjs"]);
+const SKIPPED_DIRECTORIES = new Set(["node_modules", "dist"]);
+
+const USAGE = `Usage: node tools/find-gotchas.js <file or folder>... [options]
+
+Folders are searched recursively for .js, .mjs and .cjs files, skipping
+node_modules, dist and hidden folders.
+
+Options:
+  --rule <id>        Only report this rule (repeatable): ${Object.keys(RULES).join(", ")}
+  --json             Print the findings as JSON
+  --help             Show this message`;
+
+/**
+ * Lists the script files at the given paths.
+ *
+ * @param {string[]} paths Files or folders.
+ * @returns {string[]}
+ * @throws {Error} When a path does not exist.
+ */
+function collectFiles(paths) {
+  const files = [];
+  const visit = (target, explicit) => {
+    const stats = fs.statSync(target);
+    if (stats.isDirectory()) {
+      const name = path.basename(target);
+      if (!explicit && (SKIPPED_DIRECTORIES.has(name) || name.startsWith("."))) return;
+      for (const entry of fs.readdirSync(target).sort()) visit(path.join(target, entry), false);
+    } else if (explicit || EXTENSIONS.has(path.extname(target))) {
+      files.push(target);
+    }
+  };
+  for (const target of paths) visit(target, true);
+  return files;
+}
+
+/**
+ * Looks up the titles of the lesson sections the rules link to.
+ *
+ * @returns {Map<string, { title: string, link: string }>} Keyed by `lessonId/sectionId`.
+ */
+function resolveLessonLinks() {
+  const wanted = new Set(Object.values(RULES).flatMap((rule) => rule.lessons.map((entry) => entry.lesson)));
+  const links = new Map();
+  for (const lesson of findLessons().filter((candidate) => wanted.has(candidate.id))) {
+    const model = loadLessonModel(lesson);
+    for (const section of model.sections) {
+      links.set(`${model.id}/${section.id}`, { title: `${model.id} · ${section.title}`, link: `lesson.html#${model.id}/${section.id}` });
+    }
+  }
+  return links;
+}
+
+function main() {
+  let values;
+  let positionals;
+  try {
+    ({ values, positionals } = util.parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        rule: { type: "string", multiple: true, default: [] },
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      allowPositionals: true,
+    }));
+    const unknown = values.rule.filter((id) => !RULES[id]);
+    if (unknown.length > 0) throw new TypeError(`Unknown --rule: ${unknown.join(", ")}`);
+    if (!values.help && positionals.length === 0) throw new TypeError("Give at least one file or folder to check.");
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let files;
+  try {
+    files = collectFiles(positionals);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 2;
+    return;
+  }
+
+  const links = resolveLessonLinks();
+  const results = files.map((file) => {
+    const findings = findGotchas(fs.readFileSync(file, "utf8"))
+      .filter((finding) => values.rule.length === 0 || values.rule.includes(finding.rule))
+      .map((finding) => ({
+        ...finding,
+        lessons: RULES[finding.rule].lessons.map(
+          ({ lesson, section }) => links.get(`${lesson}/${section}`) || { title: lesson, link: `lesson.html#${lesson}` }
+        ),
+      }));
+    return { file, findings };
+  });
+
+  const findings = results.flatMap((result) => result.findings);
+  const warnings = findings.filter((finding) => finding.severity === "warning").length;
+  if (warnings > 0) process.exitCode = 1;
+
+  if (values.json) {
+    console.log(JSON.stringify(results.filter((result) => result.findings.length > 0), null, 2));
+    return;
+  }
+
+  for (const { file, findings: found } of results) {
+    for (const finding of found) {
+      console.log(`${file}:${finding.line}:${finding.column}  ${finding.severity}  ${finding.rule}`);
+      console.log(`    ${finding.message}`);
+      for (const lesson of finding.lessons) console.log(`    → ${lesson.title}: ${lesson.link}`);
+    }
+  }
+  if (findings.length === 0) {
+    console.log(`No gotchas found in ${files.length} file(s).`);
+  } else {
+    console.log(
+      `\n${findings.length} finding(s) in ${results.filter((result) => result.findings.length > 0).length} of ${files.length} file(s): ` +
+        `${warnings} warning(s), ${findings.length - warnings} hint(s).`
+    );
+  }
+}
+
+main();
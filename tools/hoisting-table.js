@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Prints the "Memory Creation Phase" and "Execution Phase"
+ * tables of lesson 014 for any snippet (see `lib/hoisting.js`), as Markdown.
+ *
+ * The snippet is run in a fresh V8 context to fill in the execution table.
+ * Timers are accepted but their callbacks never run: the tables follow the
+ * synchronous run of the top-level code.
+ *
+ * Usage:
+ *   node tools/hoisting-table.js snippet.js
+ *   node tools/hoisting-table.js --code 'console.log(a); var a = 1; let b = 2;'
+ *   node tools/hoisting-table.js --lesson 015 --section q7-function-vs-var-hoisting-clash
+ */
+
+const vm = require("vm");
+
+const { LESSON_FILTER_USAGE, parseOptions } = require("./cli");
+const { readSnippet } = require("./lessons");
+const { RECORDER_NAME, analyzeHoisting, instrument, createRecorder, formatTables } = require("../lib/hoisting");
+
+const TIMEOUT = 1000;
+
+const USAGE = `Usage: node tools/hoisting-table.js [<file>] [options]
+
+Give the snippet as a file, with --code, or as a lesson (or one of its sections).
+
+Options:
+  --code <snippet>   The code to explain
+${LESSON_FILTER_USAGE}
+  --section <id>     With a single --lesson, only this section, e.g. q7-function-vs-var-hoisting-clash
+  --json             Print the analysis and the run as JSON
+  --help             Show this message`;
+
+/**
+ * Runs the instrumented snippet and returns what the recorder saw.
+ *
+ * @param {string} source
+ * @param {import("../lib/hoisting").HoistingAnalysis} analysis
+ * @returns {import("../lib/hoisting").HoistingRun}
+ */
+function runSnippet(source, analysis) {
+  const recorder = createRecorder();
+  const quiet = () => {};
+  const context = vm.createContext({
+    console: { log: quiet, info: quiet, warn: quiet, error: quiet, debug: quiet },
+    setTimeout: () => 0,
+    setInterval: () => 0,
+    clearTimeout: quiet,
+    clearInterval: quiet,
+  });
+  recorder.watchConsole(context.console);
+  context[RECORDER_NAME] = recorder;
+  try {
+    vm.runInContext(instrument(source, analysis), context, { filename: "snippet.js", timeout: TIMEOUT });
+  } catch (error) {
+    recorder.fail(error);
+  }
+  return recorder.result();
+}
+
+function main() {
+  let snippet;
+  let values;
+  try {
+    const parsed = parseOptions(
+      process.argv.slice(2),
+      { code: { type: "string" }, section: { type: "string" }, json: { type: "boolean", default: false } },
+      { positionals: true }
+    );
+    values = parsed.values;
+    if (!values.help) snippet = readSnippet({ files: parsed.positionals, code: values.code, section: values.section }, parsed.filters);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const analysis = analyzeHoisting(snippet.source);
+  const run = runSnippet(snippet.source, analysis);
+  if (values.json) {
+    console.log(JSON.stringify({ analysis, run }, null, 2));
+    return;
+  }
+  console.log(`## ${snippet.name}\n`);
+  console.log(formatTables(analysis, run));
+}
+
+main();
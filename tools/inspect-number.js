@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Prints the 64-bit IEEE-754 layout of a Number (see
+ * `lib/ieee754.js`): its sign, exponent and mantissa bits, the exact decimal
+ * value stored, and the gap to the next double. Given two, also lines their
+ * bits up and tells how far apart they are.
+ *
+ * Each number is an expression, evaluated in a fresh V8 context.
+ *
+ * Usage:
+ *   node tools/inspect-number.js 0.1
+ *   node tools/inspect-number.js "0.1 + 0.2" 0.3
+ *   node tools/inspect-number.js -0 0
+ */
+
+const vm = require("vm");
+
+const { parseArguments } = require("./cli");
+const { inspectNumber, formatNumber, formatComparison, compareNumbers } = require("../lib/ieee754");
+
+const TIMEOUT = 1000;
+
+const USAGE = `Usage: node tools/inspect-number.js [options] <expr> [<expr>]
+
+Give one number to inspect, or two to compare side by side.
+
+Options:
+  --json             Print the inspection (and comparison) as JSON
+  --help             Show this message`;
+
+function main() {
+  let values;
+  let expressions;
+  try {
+    const parsed = parseArguments({
+      args: process.argv.slice(2),
+      options: {
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      allowPositionals: true,
+    });
+    values = parsed.values;
+    expressions = parsed.positionals;
+    if (!values.help && (expressions.length < 1 || expressions.length > 2)) throw new TypeError("Give one or two numbers, in quotes.");
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const context = vm.createContext({});
+  const numbers = [];
+  for (const expression of expressions) {
+    try {
+      numbers.push(inspectNumber(vm.runInContext(`(${expression}\n)`, context, { filename: "number", timeout: TIMEOUT })));
+    } catch (error) {
+      console.error(`Could not inspect ${expression}: ${error.name}: ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  if (values.json) {
+    const comparison = numbers.length === 2 ? compareNumbers(numbers[0], numbers[1]) : undefined;
+    console.log(JSON.stringify({ numbers, comparison }, null, 2));
+    return;
+  }
+  const blocks = numbers.map((number, index) => formatNumber(number, expressions[index]));
+  if (numbers.length === 2) blocks.push(formatComparison(numbers[0], numbers[1], expressions));
+  console.log(blocks.join("\n\n"));
+}
+
+main();
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Discovers the lesson scripts that live under `scripts/`.
+ *
+ * Lessons are organised as `scripts/NNN_ChapterName/NNN_lesson-name.js`. The
+ * chapter prefix orders the folders and the lesson prefix is a number that is
+ * unique across the whole course (lesson 014 lives in chapter 001, for
+ * example), so lessons are always sorted by their own number.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const { parseLesson } = require("../lib/lesson-model");
+
+const ROOT_DIR = path.resolve(__dirname, "..");
+const SCRIPTS_DIR = path.join(ROOT_DIR, "scripts");
+
+const CHAPTER_PATTERN = /^(\d{3})_(.+)$/;
+const LESSON_PATTERN = /^(\d{3})_(.+)\.js$/;
+
+// Display titles for chapter folders whose names don't read well on their own.
+const CHAPTER_TITLES = {
+  "000_Fundamentals": "Fundamentals",
+  "001_VariablesInside": "Variables",
+  "002_PrimitiveDataType": "Primitives",
+  "003_OperatorsInside": "Operators",
+  "004_Destructuring_Spred&Rest": "Destructuring, Spread & Rest",
+  "005_Conditionals_Loops": "Conditionals & Loops",
+};
+
+/**
+ * @typedef {Object} Lesson
+ * @property {string} id Three-digit lesson number, e.g. "016".
+ * @property {string} name Lesson slug without prefix or extension.
+ * @property {string} fileName File name, e.g. "016_type-conversion-and-operators-deep-dive.js".
+ * @property {string} chapter Chapter folder name, e.g. "002_PrimitiveDataType".
+ * @property {string} chapterId Three-digit chapter number, e.g. "002".
+ * @property {string} path Absolute path to the script.
+ * @property {string} relativePath Path relative to the repository root, with forward slashes.
+ */
+
+/**
+ * Lists every `NNN_*.js` lesson inside the `NNN_*` chapter folders.
+ *
+ * @param {string} [scriptsDir] Directory to scan. Defaults to the repo's `scripts/`.
+ * @returns {Lesson[]} Lessons sorted by lesson number.
+ */
+function findLessons(scriptsDir = SCRIPTS_DIR) {
+  const lessons = [];
+
+  for (const chapterEntry of fs.readdirSync(scriptsDir, { withFileTypes: true })) {
+    const chapterMatch = CHAPTER_PATTERN.exec(chapterEntry.name);
+    if (!chapterEntry.isDirectory() || !chapterMatch) continue;
+
+    const chapterDir = path.join(scriptsDir, chapterEntry.name);
+    for (const fileName of fs.readdirSync(chapterDir)) {
+      const lessonMatch = LESSON_PATTERN.exec(fileName);
+      if (!lessonMatch) continue;
+
+      const fullPath = path.join(chapterDir, fileName);
+      lessons.push({
+        id: lessonMatch[1],
+        name: lessonMatch[2],
+        fileName,
+        chapter: chapterEntry.name,
+        chapterId: chapterMatch[1],
+        path: fullPath,
+        relativePath: path.relative(ROOT_DIR, fullPath).split(path.sep).join("/"),
+      });
+    }
+  }
+
+  return lessons.sort((a, b) => a.id.localeCompare(b.id) || a.chapter.localeCompare(b.chapter));
+}
+
+/**
+ * Keeps the lessons that match at least one chapter or lesson filter. With no
+ * filters at all, every lesson is kept.
+ *
+ * A chapter filter matches either the full folder name ("002_PrimitiveDataType")
+ * or just its number ("002"). A lesson filter matches the lesson number ("016").
+ *
+ * @param {Lesson[]} lessons
+ * @param {{ chapters?: string[], lessons?: string[] }} filters
+ * @returns {Lesson[]}
+ */
+function filterLessons(lessons, { chapters = [], lessons: lessonIds = [] } = {}) {
+  if (chapters.length === 0 && lessonIds.length === 0) return lessons;
+
+  return lessons.filter(
+    (lesson) =>
+      chapters.some((chapter) => chapter === lesson.chapter || chapter === lesson.chapterId) ||
+      lessonIds.includes(lesson.id)
+  );
+}
+
+/**
+ * Returns the display title of a chapter folder, e.g. "Variables" for
+ * "001_VariablesInside". Folders without an entry in `CHAPTER_TITLES` get
+ * their name split into words ("006_ArraysAndObjects" -> "Arrays And Objects").
+ *
+ * @param {string} chapter Chapter folder name.
+ * @returns {string}
+ */
+function chapterTitle(chapter) {
+  if (CHAPTER_TITLES[chapter]) return CHAPTER_TITLES[chapter];
+  const match = CHAPTER_PATTERN.exec(chapter);
+  const name = match ? match[2] : chapter;
+  return name.replace(/_/g, " ").replace(/([a-z])([A-Z])/g, "$1 $2");
+}
+
+/**
+ * Checks the `scripts/` folder for problems that would make the lesson list
+ * ambiguous or incomplete: script files without an `NNN_` prefix, two
+ * chapters or two lessons sharing a number, and gaps in the lesson numbering.
+ *
+ * @param {string} [scriptsDir] Directory to scan. Defaults to the repo's `scripts/`.
+ * @returns {string[]} One human-readable message per problem; empty when all is well.
+ */
+function findLessonProblems(scriptsDir = SCRIPTS_DIR) {
+  const problems = [];
+  const chaptersById = new Map();
+
+  for (const entry of fs.readdirSync(scriptsDir, { withFileTypes: true })) {
+    const location = `scripts/${entry.name}`;
+    if (!entry.isDirectory()) {
+      if (entry.name.endsWith(".js")) problems.push(`${location} is not inside a chapter folder.`);
+      continue;
+    }
+
+    const chapterMatch = CHAPTER_PATTERN.exec(entry.name);
+    if (!chapterMatch) {
+      problems.push(`${location}/ does not start with a three-digit chapter number (NNN_Name).`);
+      continue;
+    }
+
+    const sameNumber = chaptersById.get(chapterMatch[1]);
+    if (sameNumber) {
+      problems.push(`Chapters ${sameNumber} and ${entry.name} share the number ${chapterMatch[1]}.`);
+    } else {
+      chaptersById.set(chapterMatch[1], entry.name);
+    }
+
+    for (const fileName of fs.readdirSync(path.join(scriptsDir, entry.name))) {
+      if (fileName.endsWith(".js") && !LESSON_PATTERN.test(fileName)) {
+        problems.push(`${location}/${fileName} does not start with a three-digit lesson number (NNN_name.js).`);
+      }
+    }
+  }
+
+  const lessons = findLessons(scriptsDir);
+  for (let i = 1; i < lessons.length; i++) {
+    const previous = lessons[i - 1];
+    const current = lessons[i];
+    if (previous.id === current.id) {
+      problems.push(`Lessons ${previous.relativePath} and ${current.relativePath} share the number ${current.id}.`);
+      continue;
+    }
+    for (let missing = Number(previous.id) + 1; missing < Number(current.id); missing++) {
+      problems.push(
+        `Lesson ${String(missing).padStart(3, "0")} is missing: numbering jumps from ${previous.id} to ${current.id}.`
+      );
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * @typedef {import("../lib/lesson-model").LessonModel & { id: string, fileName: string, chapter: string, path: string }} LessonModel
+ */
+
+/**
+ * Reads a lesson and parses it into sections (see `lib/lesson-model.js`),
+ * adding where the lesson lives to the model.
+ *
+ * @param {Lesson} lesson
+ * @returns {LessonModel}
+ */
+function loadLessonModel(lesson) {
+  const model = parseLesson(fs.readFileSync(lesson.path, "utf8"), lesson);
+  return { ...model, id: lesson.id, fileName: lesson.fileName, chapter: lesson.chapter, path: lesson.relativePath };
+}
+
+/**
+ * Reads the snippet a tool was pointed at: a file, code given on the command
+ * line, or a lesson (or one of its sections) picked with the lesson filters.
+ *
+ * @param {{ files: string[], code?: string, section?: string }} source
+ * @param {{ chapters: string[], lessons: string[] }} filters
+ * @returns {{ name: string, source: string }}
+ * @throws {Error} When no source, or more than one, is given, or it does not exist.
+ */
+function readSnippet({ files, code, section }, filters) {
+  const fromLesson = filters.lessons.length > 0 || filters.chapters.length > 0;
+  const given = [files.length > 0, code !== undefined, fromLesson].filter(Boolean).length;
+  if (given !== 1 || files.length > 1) throw new TypeError("Give exactly one snippet: a file, --code, or --lesson.");
+  if (section && filters.lessons.length !== 1) throw new TypeError("--section needs exactly one --lesson.");
+
+  if (code !== undefined) return { name: "--code", source: code };
+  if (files.length > 0) return { name: files[0], source: fs.readFileSync(files[0], "utf8") };
+
+  const lessons = filterLessons(findLessons(), filters);
+  if (lessons.length !== 1) throw new Error(lessons.length === 0 ? "No lessons match the given filters." : "The filters match more than one lesson.");
+  if (!section) return { name: lessons[0].relativePath, source: fs.readFileSync(lessons[0].path, "utf8") };
+
+  const model = loadLessonModel(lessons[0]);
+  const found = model.sections.find((candidate) => candidate.id === section);
+  if (!found) throw new Error(`Lesson ${model.id} has no section "${section}".`);
+  return { name: `${model.id} · ${found.title}`, source: found.code };
+}
+
+module.exports = {
+  ROOT_DIR,
+  SCRIPTS_DIR,
+  findLessons,
+  filterLessons,
+  chapterTitle,
+  findLessonProblems,
+  loadLessonModel,
+  readSnippet,
+};
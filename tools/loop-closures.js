@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Shows, for every loop in a snippet that makes closures,
+ * whether each iteration got its own binding (`let`) or all of them shared
+ * one (`var`), and which binding each closure captured (see
+ * `lib/closures.js`).
+ *
+ * The snippet is run in a fresh V8 context, with timers on a virtual clock
+ * (see `lib/virtual-clock.js`) that is flushed once the snippet has run, so
+ * `setTimeout` callbacks run right away, in due-time order.
+ *
+ * Usage:
+ *   node tools/loop-closures.js snippet.js
+ *   node tools/loop-closures.js --code 'for (var i = 0; i < 3; i++) setTimeout(() => console.log(i));'
+ *   node tools/loop-closures.js --lesson 015 --section q8-closure-var-let-logs-with-delays
+ */
+
+const vm = require("vm");
+
+const { LESSON_FILTER_USAGE, parseOptions } = require("./cli");
+const { readSnippet } = require("./lessons");
+const { RECORDER_NAME, analyzeClosures, instrument, createRecorder, formatClosures } = require("../lib/closures");
+const { createVirtualClock } = require("../lib/virtual-clock");
+
+const TIMEOUT = 1000;
+
+const USAGE = `Usage: node tools/loop-closures.js [<file>] [options]
+
+Give the snippet as a file, with --code, or as a lesson (or one of its sections).
+
+Options:
+  --code <snippet>   The code to run
+${LESSON_FILTER_USAGE}
+  --section <id>     With a single --lesson, only this section, e.g. q8-closure-var-let-logs-with-delays
+  --json             Print the analysis and the run as JSON
+  --help             Show this message`;
+
+/**
+ * Runs the instrumented snippet, then its timers, and returns what the
+ * recorder saw.
+ *
+ * @param {import("../lib/closures").ClosureAnalysis} analysis
+ * @returns {import("../lib/closures").ClosureRun}
+ */
+function runSnippet(analysis) {
+  const recorder = createRecorder();
+  const clock = createVirtualClock({ maxCallbacks: 1000 });
+  const quiet = () => {};
+  const context = vm.createContext({
+    console: { log: quiet, info: quiet, warn: quiet, error: quiet, debug: quiet },
+    setTimeout: clock.setTimeout,
+    setInterval: clock.setInterval,
+    clearTimeout: clock.clearTimeout,
+    clearInterval: clock.clearInterval,
+  });
+  recorder.watchConsole(context.console);
+  context[RECORDER_NAME] = recorder;
+  // Flushed from inside the context, so the time limit covers the callbacks too.
+  context.__flushTimers = () => clock.flush({ onError: recorder.fail });
+  try {
+    vm.runInContext(instrument(analysis), context, { filename: "snippet.js", timeout: TIMEOUT });
+  } catch (error) {
+    recorder.fail(error);
+  }
+  try {
+    vm.runInContext("__flushTimers();", context, { timeout: TIMEOUT });
+  } catch (error) {
+    recorder.fail(error);
+  }
+  return recorder.result();
+}
+
+function main() {
+  let snippet;
+  let values;
+  try {
+    const parsed = parseOptions(
+      process.argv.slice(2),
+      { code: { type: "string" }, section: { type: "string" }, json: { type: "boolean", default: false } },
+      { positionals: true }
+    );
+    values = parsed.values;
+    if (!values.help) snippet = readSnippet({ files: parsed.positionals, code: values.code, section: values.section }, parsed.filters);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const analysis = analyzeClosures(snippet.source);
+  const run = runSnippet(analysis);
+  if (values.json) {
+    console.log(JSON.stringify({ analysis, run }, null, 2));
+    return;
+  }
+  console.log(`${snippet.name}\n`);
+  console.log(formatClosures(analysis, run));
+}
+
+main();
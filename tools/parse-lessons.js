@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Prints the structured model of each lesson as JSON.
+ *
+ * The model (see `lib/lesson-model.js`) splits a lesson into sections with
+ * their code, prose, expected-output comments, and whether each one is a
+ * lesson, an exercise or a solution.
+ *
+ * Usage:
+ *   node tools/parse-lessons.js                        # every lesson, as JSON
+ *   node tools/parse-lessons.js --lesson 015 --outline # section list only
+ *   node tools/parse-lessons.js --out lessons.json
+ */
+
+const fs = require("fs");
+
+const { LESSON_FILTER_USAGE, parseOptions } = require("./cli");
+const { findLessons, filterLessons, loadLessonModel } = require("./lessons");
+
+const USAGE = `Usage: node tools/parse-lessons.js [options]
+
+Options:
+${LESSON_FILTER_USAGE}
+  --outline          Print one line per section instead of JSON
+  --out <file>       Write the JSON to a file instead of stdout
+  --help             Show this message`;
+
+const KIND_LABELS = { lesson: " ", exercise: "?", solution: "✓" };
+
+/**
+ * Renders the section list of a lesson, one line per section.
+ *
+ * @param {import("./lessons").LessonModel} model
+ * @returns {string}
+ */
+function formatOutline(model) {
+  const lines = [`${model.id} · ${model.title} (${model.path})`];
+  for (const section of model.sections) {
+    const indent = section.level === 1 ? "  " : "    ";
+    const link = section.solutionId ? ` → #${section.solutionId}` : section.solutionOf ? ` ← #${section.solutionOf}` : "";
+    const expected = section.expected.length > 0 ? `, ${section.expected.length} expected` : "";
+    lines.push(
+      `${indent}${KIND_LABELS[section.kind]} ${section.title}  #${section.id}` +
+        `  (lines ${section.startLine}–${section.endLine}${expected})${link}`
+    );
+  }
+  return lines.join("\n");
+}
+
+function main() {
+  let options;
+  let filters;
+  try {
+    const parsed = parseOptions(process.argv.slice(2), {
+      outline: { type: "boolean", default: false },
+      out: { type: "string" },
+    });
+    filters = parsed.filters;
+    options = parsed.values;
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const lessons = filterLessons(findLessons(), filters);
+  if (lessons.length === 0) {
+    console.error("No lessons match the given filters.");
+    process.exitCode = 2;
+    return;
+  }
+
+  const models = lessons.map(loadLessonModel);
+  if (options.outline) {
+    console.log(models.map(formatOutline).join("\n\n"));
+    return;
+  }
+
+  const json = JSON.stringify(models, null, 2);
+  if (options.out) {
+    fs.writeFileSync(options.out, `${json}\n`);
+    console.log(`Wrote ${models.length} lesson model(s) to ${options.out}.`);
+  } else {
+    console.log(json);
+  }
+}
+
+main();
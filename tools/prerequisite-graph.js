@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Prints the prerequisite graph of the lessons, built from the
+ * `@prerequisites` each lesson declares (see `lib/lesson-model.js`).
+ *
+ * Problems with the metadata are reported on stderr: a lesson that depends
+ * on one numbered after it is a warning, a prerequisite that is not a lesson
+ * or a missing difficulty or duration is an error.
+ *
+ * Usage:
+ *   node tools/prerequisite-graph.js                    # one line per lesson
+ *   node tools/prerequisite-graph.js --format mermaid --out graph.mmd
+ *   node tools/prerequisite-graph.js --lesson 016       # 016 and everything it builds on
+ *
+ * Exits with status 1 when the metadata has errors, or with --strict when it
+ * has warnings.
+ */
+
+const fs = require("fs");
+
+const { LESSON_FILTER_USAGE, parseOptions } = require("./cli");
+const { findLessons, filterLessons, loadLessonModel } = require("./lessons");
+const {
+  checkMetadata,
+  buildPrerequisiteGraph,
+  learningPath,
+  subgraph,
+  formatText,
+  formatMermaid,
+  formatDot,
+} = require("./prerequisites");
+
+const FORMATTERS = { text: formatText, mermaid: formatMermaid, dot: formatDot };
+
+const USAGE = `Usage: node tools/prerequisite-graph.js [options]
+
+Options:
+${LESSON_FILTER_USAGE}
+                     The graph then holds these lessons and all of their prerequisites.
+  --format <name>    text (default), mermaid or dot
+  --out <file>       Write the graph to a file instead of stdout
+  --strict           Exit with status 1 on warnings too
+  --help             Show this message`;
+
+function main() {
+  let options;
+  let filters;
+  try {
+    const parsed = parseOptions(process.argv.slice(2), {
+      format: { type: "string", default: "text" },
+      out: { type: "string" },
+      strict: { type: "boolean", default: false },
+    });
+    filters = parsed.filters;
+    options = parsed.values;
+    if (!FORMATTERS[options.format]) throw new TypeError(`Unknown --format: ${options.format}`);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const lessons = findLessons();
+  const selected = filterLessons(lessons, filters);
+  if (selected.length === 0) {
+    console.error("No lessons match the given filters.");
+    process.exitCode = 2;
+    return;
+  }
+
+  const models = lessons.map(loadLessonModel);
+  const problems = checkMetadata(models);
+  for (const problem of problems) console.error(`${problem.severity === "error" ? "✗" : "⚠"} ${problem.message}`);
+
+  let graph = buildPrerequisiteGraph(models);
+  if (selected.length < lessons.length) {
+    graph = subgraph(graph, learningPath(graph, selected.map((lesson) => lesson.id)));
+  }
+
+  const output = FORMATTERS[options.format](graph);
+  if (options.out) {
+    fs.writeFileSync(options.out, `${output}\n`);
+    console.log(`Wrote the prerequisite graph of ${graph.nodes.length} lesson(s) to ${options.out}.`);
+  } else {
+    console.log(output);
+  }
+
+  const errors = problems.filter((problem) => problem.severity === "error").length;
+  if (errors > 0 || (options.strict && problems.length > 0)) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,251 @@
+/**
+ * @fileoverview Checks the metadata lessons declare (see `lib/lesson-model.js`)
+ * and builds the graph of their prerequisites.
+ *
+ * Every lesson must name its difficulty and estimated time, and its
+ * prerequisites must be other lessons. A lesson that depends on one numbered
+ * after it is allowed but reported as a warning: the course is read in
+ * numerical order, so the learner will not have seen that lesson yet.
+ *
+ * Sections must also declare, with `@requires`, every newer language feature
+ * their code uses (see `lib/features.js`), or older browsers would fail on
+ * them instead of skipping them.
+ */
+
+const { FEATURES, findUsedFeatures } = require("../lib/features");
+const { chapterTitle } = require("./lessons");
+
+const DIFFICULTIES = ["beginner", "intermediate", "advanced"];
+
+/**
+ * @typedef {Object} MetadataProblem
+ * @property {string} lessonId
+ * @property {"error"|"warning"} severity
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} PrerequisiteGraph
+ * @property {Array<{ id: string, title: string, chapter: string, difficulty: string|null, minutes: number|null }>} nodes
+ *   In lesson order.
+ * @property {Array<{ from: string, to: string, forward: boolean }>} edges
+ *   `from` is the prerequisite of `to`; `forward` when it is numbered after `to`.
+ */
+
+/**
+ * Checks the metadata of every lesson and the features each section requires.
+ *
+ * @param {import("./lessons").LessonModel[]} models
+ * @returns {MetadataProblem[]}
+ */
+function checkMetadata(models) {
+  const problems = [];
+  const ids = new Set(models.map((model) => model.id));
+
+  for (const model of models) {
+    const report = (severity, message) => problems.push({ lessonId: model.id, severity, message });
+    const metadata = model.metadata;
+    if (!metadata) {
+      report("error", `${model.path} declares no metadata (@difficulty, @duration, @prerequisites, @tags).`);
+      continue;
+    }
+
+    const where = `${model.path}:${metadata.line}`;
+    if (!metadata.difficulty) {
+      report("error", `${where} has no @difficulty.`);
+    } else if (!DIFFICULTIES.includes(metadata.difficulty)) {
+      report("error", `${where} has an unknown @difficulty "${metadata.difficulty}" (use ${DIFFICULTIES.join(", ")}).`);
+    }
+    if (!metadata.duration) {
+      report("error", `${where} has no @duration.`);
+    } else if (metadata.minutes === null) {
+      report("error", `${where} has a @duration that is not a number of minutes: "${metadata.duration}".`);
+    }
+
+    const seen = new Set();
+    for (const id of metadata.prerequisites) {
+      if (seen.has(id)) {
+        report("warning", `${where} lists prerequisite ${id} twice.`);
+      } else if (id === model.id) {
+        report("error", `${where} lists itself as a prerequisite.`);
+      } else if (!ids.has(id)) {
+        report("error", `${where} lists prerequisite "${id}", which is not a lesson.`);
+      } else if (id > model.id) {
+        report("warning", `Lesson ${model.id} depends on ${id}, which is numbered after it.`);
+      }
+      seen.add(id);
+    }
+  }
+
+  for (const model of models) {
+    for (const section of model.sections) {
+      const where = `${model.path}:${section.startLine} (${section.title})`;
+      for (const id of section.requires) {
+        if (!FEATURES[id]) {
+          problems.push({
+            lessonId: model.id,
+            severity: "error",
+            message: `${where} requires unknown feature "${id}" (known: ${Object.keys(FEATURES).join(", ")}).`,
+          });
+        }
+      }
+      const undeclared = findUsedFeatures(section.code).filter((id) => !section.requires.includes(id));
+      if (undeclared.length > 0) {
+        problems.push({
+          lessonId: model.id,
+          severity: "error",
+          message: `${where} uses ${undeclared.join(", ")} without declaring it: add \`@requires ${undeclared.join(", ")}\` to its heading comment.`,
+        });
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Builds the prerequisite graph. Prerequisites that are not lessons are left
+ * out (see {@link checkMetadata}).
+ *
+ * @param {import("./lessons").LessonModel[]} models
+ * @returns {PrerequisiteGraph}
+ */
+function buildPrerequisiteGraph(models) {
+  const ids = new Set(models.map((model) => model.id));
+  const nodes = models.map((model) => ({
+    id: model.id,
+    title: model.title,
+    chapter: model.chapter,
+    difficulty: model.metadata ? model.metadata.difficulty : null,
+    minutes: model.metadata ? model.metadata.minutes : null,
+  }));
+
+  const edges = [];
+  for (const model of models) {
+    const prerequisites = model.metadata ? new Set(model.metadata.prerequisites) : new Set();
+    for (const id of prerequisites) {
+      if (ids.has(id) && id !== model.id) edges.push({ from: id, to: model.id, forward: id > model.id });
+    }
+  }
+
+  return { nodes, edges };
+}
+
+/**
+ * Lists the lessons to read before the given ones, direct or not, followed
+ * by the given lessons themselves, in lesson order.
+ *
+ * @param {PrerequisiteGraph} graph
+ * @param {string[]} lessonIds
+ * @returns {string[]}
+ */
+function learningPath(graph, lessonIds) {
+  const needed = new Set();
+  const visit = (id) => {
+    if (needed.has(id)) return;
+    needed.add(id);
+    for (const edge of graph.edges) if (edge.to === id) visit(edge.from);
+  };
+  lessonIds.forEach(visit);
+  return graph.nodes.map((node) => node.id).filter((id) => needed.has(id));
+}
+
+/**
+ * Keeps the nodes with the given ids and the edges between them.
+ *
+ * @param {PrerequisiteGraph} graph
+ * @param {string[]} lessonIds
+ * @returns {PrerequisiteGraph}
+ */
+function subgraph(graph, lessonIds) {
+  const keep = new Set(lessonIds);
+  return {
+    nodes: graph.nodes.filter((node) => keep.has(node.id)),
+    edges: graph.edges.filter((edge) => keep.has(edge.from) && keep.has(edge.to)),
+  };
+}
+
+/**
+ * Renders the graph as one line per lesson: "005 var vs let vs const ← 002, 003, 004".
+ *
+ * @param {PrerequisiteGraph} graph
+ * @returns {string}
+ */
+function formatText(graph) {
+  return graph.nodes
+    .map((node) => {
+      const details = [node.difficulty, node.minutes === null ? null : `${node.minutes} min`].filter(Boolean);
+      const prerequisites = graph.edges
+        .filter((edge) => edge.to === node.id)
+        .map((edge) => (edge.forward ? `${edge.from} (⚠ later)` : edge.from));
+      return (
+        `${node.id} ${node.title}` +
+        (details.length > 0 ? ` [${details.join(", ")}]` : "") +
+        (prerequisites.length > 0 ? ` ← ${prerequisites.join(", ")}` : "")
+      );
+    })
+    .join("\n");
+}
+
+/**
+ * Quotes a Mermaid label.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function quote(text) {
+  return `"${text.replace(/"/g, "#quot;")}"`;
+}
+
+/**
+ * Renders the graph as a Mermaid flowchart, grouped by chapter. Forward
+ * dependencies are drawn as dotted arrows.
+ *
+ * @param {PrerequisiteGraph} graph
+ * @returns {string}
+ */
+function formatMermaid(graph) {
+  const lines = ["flowchart TD"];
+  const chapters = new Map();
+  for (const node of graph.nodes) {
+    if (!chapters.has(node.chapter)) chapters.set(node.chapter, []);
+    chapters.get(node.chapter).push(node);
+  }
+  for (const [chapter, nodes] of chapters) {
+    lines.push(`  subgraph chapter_${chapter.slice(0, 3)} [${quote(chapterTitle(chapter))}]`);
+    for (const node of nodes) lines.push(`    L${node.id}[${quote(`${node.id} ${node.title}`)}]`);
+    lines.push("  end");
+  }
+  for (const edge of graph.edges) lines.push(`  L${edge.from} ${edge.forward ? "-.->|⚠ later|" : "-->"} L${edge.to}`);
+  return lines.join("\n");
+}
+
+/**
+ * Renders the graph in Graphviz DOT. Forward dependencies are drawn as
+ * dashed red arrows.
+ *
+ * @param {PrerequisiteGraph} graph
+ * @returns {string}
+ */
+function formatDot(graph) {
+  const lines = ["digraph prerequisites {", "  rankdir=LR;", "  node [shape=box];"];
+  for (const node of graph.nodes) {
+    lines.push(`  "${node.id}" [label=${JSON.stringify(`${node.id} ${node.title}`)}];`);
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  "${edge.from}" -> "${edge.to}"${edge.forward ? ' [style=dashed, color=red, label="later"]' : ""};`);
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+
+module.exports = {
+  DIFFICULTIES,
+  checkMetadata,
+  buildPrerequisiteGraph,
+  learningPath,
+  subgraph,
+  formatText,
+  formatMermaid,
+  formatDot,
+};
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line runner for the lesson scripts.
+ *
+ * Runs every lesson under `scripts/NNN_*` in its own isolated context and
+ * prints each lesson's output under a header, followed by a summary of the
+ * lessons that threw uncaught errors.
+ *
+ * Usage:
+ *   node tools/run-lessons.js                          # every lesson
+ *   node tools/run-lessons.js --chapter 002_PrimitiveDataType
+ *   node tools/run-lessons.js --lesson 016 --lesson 018
+ *   node tools/run-lessons.js --chapter 003 --quiet    # summary only
+ *   node tools/run-lessons.js --lesson 015 --virtual-timers
+ *
+ * Exits with status 1 when at least one lesson threw.
+ */
+
+const { LESSON_FILTER_USAGE, parseOptions, parseNonNegative } = require("./cli");
+const { findLessons, filterLessons } = require("./lessons");
+const { runLesson } = require("./sandbox");
+
+const USAGE = `Usage: node tools/run-lessons.js [options]
+
+Options:
+${LESSON_FILTER_USAGE}
+  --timeout <ms>     How long a lesson may run, and then wait for its timers
+                     (default: 5000)
+  --virtual-timers   Run timers on a virtual clock, right after the section that
+                     scheduled them, instead of waiting for them in real time
+  --quiet            Print the summary only, not each lesson's output
+  --help             Show this message`;
+
+/**
+ * Formats an uncaught error, preferring its stack trace.
+ *
+ * @param {*} error
+ * @returns {string}
+ */
+function describeError(error) {
+  return (error && error.stack) || String(error);
+}
+
+async function main() {
+  let options;
+  let filters;
+  try {
+    const parsed = parseOptions(process.argv.slice(2), {
+      timeout: { type: "string", default: "5000" },
+      quiet: { type: "boolean", default: false },
+      "virtual-timers": { type: "boolean", default: false },
+    });
+    filters = parsed.filters;
+    options = { ...parsed.values, timeout: parseNonNegative("timeout", parsed.values.timeout) };
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const lessons = filterLessons(findLessons(), filters);
+  if (lessons.length === 0) {
+    console.error("No lessons match the given filters.");
+    process.exitCode = 2;
+    return;
+  }
+
+  const failures = [];
+
+  for (const lesson of lessons) {
+    const result = await runLesson(lesson, { timeout: options.timeout, virtualTimers: options["virtual-timers"] });
+
+    if (!options.quiet) {
+      console.log("=".repeat(79));
+      console.log(`📘 ${lesson.id} · ${lesson.relativePath}`);
+      console.log("=".repeat(79));
+      for (const entry of result.output) {
+        const stream = entry.method === "error" || entry.method === "warn" ? console.error : console.log;
+        stream(entry.text);
+      }
+      if (result.timedOut) {
+        console.log(
+          options["virtual-timers"]
+            ? "⏱️  Timers kept rescheduling themselves and were cancelled."
+            : `⏱️  Timers still pending after ${options.timeout}ms were cancelled.`
+        );
+      }
+      for (const error of result.errors) {
+        console.log(`❌ Uncaught: ${describeError(error)}`);
+      }
+      console.log("");
+    }
+
+    if (result.errors.length > 0) failures.push({ lesson, errors: result.errors });
+  }
+
+  console.log(`Ran ${lessons.length} lesson(s): ${lessons.length - failures.length} passed, ${failures.length} threw.`);
+  for (const { lesson, errors } of failures) {
+    const firstError = errors[0];
+    console.log(`  ❌ ${lesson.relativePath}: ${(firstError && firstError.message) || String(firstError)}`);
+  }
+
+  if (failures.length > 0) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Runs a single lesson script in its own fresh V8 context.
+ *
+ * Every lesson gets a brand-new global object, so top-level `let`/`const`
+ * names never clash between lessons and one lesson's uncaught error cannot
+ * stop another from running. Console calls are captured instead of printed,
+ * and pending timers are awaited so late output still belongs to its lesson.
+ * A script that runs longer than the time limit, such as one stuck in an
+ * endless loop, is stopped and the timeout recorded as its error.
+ *
+ * With `virtualTimers`, timers run on a virtual clock (see
+ * `lib/virtual-clock.js`) instead, in due-time order and without any real
+ * waiting, and the lesson runs one section (see `lib/lesson-model.js`) at a
+ * time, each as a script of its own. Between two sections the event loop
+ * turns as it would after a whole script: promise callbacks run first, then
+ * the timers one by one, each followed by the promise callbacks it queued.
+ * Timer output then lands right after the section that scheduled it. The
+ * sections share their top-level declarations, but a function declared in
+ * one section cannot be called from an earlier one, and an uncaught error
+ * only stops the rest of its own section.
+ */
+
+const fs = require("fs");
+const util = require("util");
+const vm = require("vm");
+
+const { parseLesson } = require("../lib/lesson-model");
+const { createVirtualClock } = require("../lib/virtual-clock");
+
+const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug"];
+// Timer callbacks run between two sections, so an interval nobody clears stops here.
+const MAX_TIMER_CALLBACKS = 10000;
+
+/**
+ * @typedef {Object} ConsoleEntry
+ * @property {string} method Console method that was called ("log", "warn", ...).
+ * @property {Array<*>} args The raw arguments passed to the console method.
+ * @property {string} text The arguments formatted the way Node's console would print them.
+ * @property {number|null} line 1-based line of the console call in the lesson, if known.
+ */
+
+/**
+ * @typedef {Object} LessonResult
+ * @property {ConsoleEntry[]} output Everything the lesson logged, in order.
+ * @property {Error[]} errors Uncaught errors, including ones thrown from timer callbacks.
+ * @property {boolean} timedOut Whether timers were still pending when the time limit hit
+ *   (with virtual timers: when the callback limit stopped an endless interval).
+ */
+
+/**
+ * Finds the line in `filename` that called into the console, by reading the
+ * innermost stack frame that belongs to the lesson.
+ *
+ * @param {string} filename
+ * @returns {number|null}
+ */
+function findCallerLine(filename) {
+  const frames = new Error().stack.split("\n");
+  for (const frame of frames) {
+    if (!frame.includes(`${filename}:`)) continue;
+    const match = /:(\d+):\d+\)?$/.exec(frame);
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+/**
+ * Creates a console replacement that records calls into `output`.
+ *
+ * @param {ConsoleEntry[]} output
+ * @param {string} filename Lesson file name, used to locate each call.
+ * @returns {Object}
+ */
+function createCapturingConsole(output, filename) {
+  const capturingConsole = {};
+  for (const method of CONSOLE_METHODS) {
+    capturingConsole[method] = (...args) => {
+      output.push({ method, args, text: util.format(...args), line: findCallerLine(filename) });
+    };
+  }
+  return capturingConsole;
+}
+
+/**
+ * Waits for the next turn of the event loop, after pending promise callbacks.
+ *
+ * @returns {Promise<void>}
+ */
+function nextTask() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Runs the lesson source section by section with timers on a virtual clock.
+ * Resolves as soon as the last section and every timer have run.
+ *
+ * @param {string} source
+ * @param {string} filename
+ * @param {number} timeout How long each section may run, in ms.
+ * @returns {Promise<LessonResult>}
+ */
+async function runWithVirtualTimers(source, filename, timeout) {
+  const output = [];
+  const errors = [];
+  const clock = createVirtualClock();
+  const onError = (error) => errors.push(error);
+  let exhausted = false;
+
+  const context = vm.createContext({
+    console: createCapturingConsole(output, filename),
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout,
+    setInterval: clock.setInterval,
+    clearInterval: clock.clearInterval,
+    queueMicrotask,
+    structuredClone,
+  });
+
+  // Runs timers one per task, so the promise callbacks queued before each one run first.
+  const settle = async () => {
+    await nextTask();
+    for (let ran = 0; clock.pending() > 0; ran++) {
+      if (ran >= MAX_TIMER_CALLBACKS) {
+        exhausted = true;
+        return;
+      }
+      clock.tick({ onError });
+      await nextTask();
+    }
+  };
+
+  const sections = parseLesson(source).sections.filter((section) => section.code);
+  const scripts = sections.length > 0 ? sections.map((section) => ({ code: section.code, lineOffset: section.codeLine - 1 })) : [{ code: source, lineOffset: 0 }];
+
+  process.on("unhandledRejection", onError);
+  for (const { code, lineOffset } of scripts) {
+    try {
+      new vm.Script(code, { filename, lineOffset }).runInContext(context, { timeout });
+    } catch (error) {
+      errors.push(error);
+    }
+    await settle();
+  }
+  process.removeListener("unhandledRejection", onError);
+  return { output, errors, timedOut: exhausted };
+}
+
+/**
+ * Runs the lesson source in a new context and waits for its timers to settle.
+ *
+ * @param {string} source Lesson source code.
+ * @param {Object} [options]
+ * @param {string} [options.filename] File name used in stack traces.
+ * @param {number} [options.timeout=5000] How long the script may run, and then
+ *   how long to wait for pending timers, in ms.
+ * @param {boolean} [options.virtualTimers=false] Run the lesson a section at a
+ *   time, with timers on a virtual clock that runs them after each section.
+ *   `timeout` then only limits each section.
+ * @returns {Promise<LessonResult>}
+ */
+function runSource(source, { filename = "lesson.js", timeout = 5000, virtualTimers = false } = {}) {
+  if (virtualTimers) return runWithVirtualTimers(source, filename, timeout);
+
+  const output = [];
+  const errors = [];
+  const pendingTimers = new Set();
+
+  return new Promise((resolve) => {
+    let settled = false;
+    let deadline = null;
+
+    const finish = (timedOut) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(deadline);
+      process.removeListener("unhandledRejection", onUnhandledRejection);
+      for (const handle of pendingTimers) clearTimeout(handle);
+      pendingTimers.clear();
+      resolve({ output, errors, timedOut });
+    };
+
+    const settleIfIdle = () => {
+      if (pendingTimers.size === 0) setImmediate(() => pendingTimers.size === 0 && finish(false));
+    };
+
+    const onUnhandledRejection = (reason) => errors.push(reason);
+
+    const guard = (callback) => (...args) => {
+      try {
+        callback(...args);
+      } catch (error) {
+        errors.push(error);
+      }
+    };
+
+    const sandboxSetTimeout = (callback, delay, ...args) => {
+      const handle = setTimeout(() => {
+        pendingTimers.delete(handle);
+        guard(callback)(...args);
+        settleIfIdle();
+      }, delay);
+      pendingTimers.add(handle);
+      return handle;
+    };
+
+    const sandboxSetInterval = (callback, delay, ...args) => {
+      const handle = setInterval(() => guard(callback)(...args), delay);
+      pendingTimers.add(handle);
+      return handle;
+    };
+
+    const sandboxClearTimer = (handle) => {
+      clearTimeout(handle);
+      pendingTimers.delete(handle);
+      settleIfIdle();
+    };
+
+    const context = vm.createContext({
+      console: createCapturingConsole(output, filename),
+      setTimeout: sandboxSetTimeout,
+      clearTimeout: sandboxClearTimer,
+      setInterval: sandboxSetInterval,
+      clearInterval: sandboxClearTimer,
+      queueMicrotask,
+      structuredClone,
+    });
+
+    process.on("unhandledRejection", onUnhandledRejection);
+
+    try {
+      new vm.Script(source, { filename }).runInContext(context, { timeout });
+    } catch (error) {
+      errors.push(error);
+    }
+    deadline = setTimeout(() => finish(true), timeout);
+    settleIfIdle();
+  });
+}
+
+/**
+ * Reads a lesson from disk and runs it with {@link runSource}.
+ *
+ * @param {import("./lessons").Lesson} lesson
+ * @param {Object} [options] Same options as {@link runSource}, minus `filename`.
+ * @returns {Promise<LessonResult>}
+ */
+function runLesson(lesson, options = {}) {
+  const source = fs.readFileSync(lesson.path, "utf8");
+  return runSource(source, { ...options, filename: lesson.relativePath });
+}
+
+module.exports = {
+  runSource,
+  runLesson,
+};
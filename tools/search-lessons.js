@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Searches section titles, prose and code across the lessons
+ * and prints the best-matching sections (see `lib/search.js` for how they are
+ * ranked).
+ *
+ * Each result shows where the section starts in the lesson file and the
+ * playground link that opens it.
+ *
+ * Usage:
+ *   node tools/search-lessons.js "negative zero"
+ *   node tools/search-lessons.js hoisting --chapter 001 --limit 5
+ *   node tools/search-lessons.js '"0.1 + 0.2"' --json
+ *   node tools/search-lessons.js -0
+ *
+ * Exits with status 1 when nothing matches.
+ */
+
+const { LESSON_FILTER_USAGE, parseOptions, parseNonNegative } = require("./cli");
+const { findLessons, filterLessons, loadLessonModel } = require("./lessons");
+const { createSearchIndex, search } = require("../lib/search");
+
+const USAGE = `Usage: node tools/search-lessons.js <query> [options]
+
+Words match their simple variants, symbols match as written, and "quoted text"
+matches as a phrase.
+
+Options:
+${LESSON_FILTER_USAGE}
+  --limit <n>        Show at most this many results (default: 10)
+  --json             Print the results as JSON
+  --help             Show this message`;
+
+const KIND_LABELS = { exercise: "[exercise] ", solution: "[solution] " };
+
+/**
+ * Marks the matches in a snippet with brackets, for terminals.
+ *
+ * @param {{ text: string, ranges: Array<[number, number]> }} snippet
+ * @returns {string}
+ */
+function markSnippet({ text, ranges }) {
+  let marked = "";
+  let last = 0;
+  for (const [start, end] of ranges) {
+    marked += `${text.slice(last, start)}[${text.slice(start, end)}]`;
+    last = end;
+  }
+  return marked + text.slice(last);
+}
+
+function main() {
+  let values;
+  let positionals;
+  let filters;
+  let limit;
+  try {
+    ({ values, positionals, filters } = parseOptions(
+      process.argv.slice(2),
+      { limit: { type: "string", default: "10" }, json: { type: "boolean", default: false } },
+      { positionals: true }
+    ));
+    limit = parseNonNegative("limit", values.limit);
+    if (!values.help && positionals.join(" ").trim() === "") throw new TypeError("Missing search query.");
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const lessons = filterLessons(findLessons(), filters);
+  if (lessons.length === 0) {
+    console.error("No lessons match the given filters.");
+    process.exitCode = 2;
+    return;
+  }
+
+  const query = positionals.join(" ");
+  const results = search(createSearchIndex(lessons.map(loadLessonModel)), query, { limit });
+
+  if (values.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else if (results.length === 0) {
+    console.log(`No sections match "${query}".`);
+  } else {
+    results.forEach((result, index) => {
+      console.log(`${index + 1}. ${result.lessonId} · ${KIND_LABELS[result.kind] || ""}${result.sectionTitle}  (score ${result.score})`);
+      console.log(`   ${result.lessonPath}:${result.line}  ·  lesson.html#${result.lessonId}/${result.sectionId}`);
+      console.log(`   ${markSnippet(result.snippet)}`);
+    });
+  }
+
+  if (results.length === 0) process.exitCode = 1;
+}
+
+main();
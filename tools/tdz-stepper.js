@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Steps through a snippet one statement at a time and prints
+ * every scope frame with the state of its bindings (see
+ * `lib/tdz-stepper.js`), marking the exact read that throws a
+ * ReferenceError in the Temporal Dead Zone.
+ *
+ * The snippet is run in a fresh V8 context. Timers are accepted but their
+ * callbacks never run.
+ *
+ * Usage:
+ *   node tools/tdz-stepper.js snippet.js
+ *   node tools/tdz-stepper.js --code 'function f(x = y, y = 2) {} f();'
+ *   node tools/tdz-stepper.js --lesson 015 --section q9-tdz-function-parameter
+ */
+
+const vm = require("vm");
+
+const { LESSON_FILTER_USAGE, parseOptions } = require("./cli");
+const { readSnippet } = require("./lessons");
+const { RECORDER_NAME, analyzeScopes, instrument, createRecorder, formatSteps } = require("../lib/tdz-stepper");
+
+const TIMEOUT = 1000;
+
+const USAGE = `Usage: node tools/tdz-stepper.js [<file>] [options]
+
+Give the snippet as a file, with --code, or as a lesson (or one of its sections).
+
+Options:
+  --code <snippet>   The code to step through
+${LESSON_FILTER_USAGE}
+  --section <id>     With a single --lesson, only this section, e.g. q9-tdz-function-parameter
+  --json             Print the analysis and the run as JSON
+  --help             Show this message`;
+
+/**
+ * Runs the instrumented snippet and returns what the recorder saw.
+ *
+ * @param {import("../lib/tdz-stepper").ScopeAnalysis} analysis
+ * @returns {import("../lib/tdz-stepper").StepperRun}
+ */
+function runSnippet(analysis) {
+  const recorder = createRecorder();
+  const quiet = () => {};
+  const context = vm.createContext({
+    console: { log: quiet, info: quiet, warn: quiet, error: quiet, debug: quiet },
+    setTimeout: () => 0,
+    setInterval: () => 0,
+    clearTimeout: quiet,
+    clearInterval: quiet,
+  });
+  recorder.watchConsole(context.console);
+  context[RECORDER_NAME] = recorder;
+  try {
+    vm.runInContext(instrument(analysis), context, { filename: "snippet.js", timeout: TIMEOUT });
+  } catch (error) {
+    recorder.fail(error);
+  }
+  return recorder.result();
+}
+
+function main() {
+  let snippet;
+  let values;
+  try {
+    const parsed = parseOptions(
+      process.argv.slice(2),
+      { code: { type: "string" }, section: { type: "string" }, json: { type: "boolean", default: false } },
+      { positionals: true }
+    );
+    values = parsed.values;
+    if (!values.help) snippet = readSnippet({ files: parsed.positionals, code: values.code, section: values.section }, parsed.filters);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const analysis = analyzeScopes(snippet.source);
+  const run = runSnippet(analysis);
+  if (values.json) {
+    console.log(JSON.stringify({ analysis, run }, null, 2));
+    return;
+  }
+  console.log(`${snippet.name}\n`);
+  console.log(formatSteps(analysis, run));
+}
+
+main();
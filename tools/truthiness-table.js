@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Prints a truthiness table (see `lib/truthiness.js`): for
+ * each value, `Boolean(v)`, `!!v`, the branch `if (v)` takes, and what
+ * `v || "fb"`, `v ?? "fb"` and `v && "x"` evaluate to. Without values, the
+ * ones lesson 010 tests are used.
+ *
+ * Each value is an expression, evaluated in a fresh V8 context after the
+ * optional setup code, and shown in the table as written.
+ *
+ * Usage:
+ *   node tools/truthiness-table.js                     # the values of lesson 010
+ *   node tools/truthiness-table.js --value '[]' --value '"0"' --value 'new Boolean(false)'
+ *   node tools/truthiness-table.js --format markdown --out truthiness.md
+ */
+
+const fs = require("fs");
+const util = require("util");
+const vm = require("vm");
+
+const { LESSON_VALUES, buildTable, formatConsole, formatHtml, formatMarkdown } = require("../lib/truthiness");
+
+const TIMEOUT = 1000;
+const FORMATTERS = { console: formatConsole, html: formatHtml, markdown: formatMarkdown };
+
+const USAGE = `Usage: node tools/truthiness-table.js [options]
+
+Options:
+  --value <expr>     A value to put in the table (repeatable); by default, the values of lesson 010
+  --setup <code>     Code to run first, e.g. to declare the objects the values use
+  --format <name>    console (default), html or markdown
+  --out <file>       Write the table to a file instead of stdout
+  --help             Show this message`;
+
+function main() {
+  let values;
+  try {
+    const parsed = util.parseArgs({
+      args: process.argv.slice(2),
+      options: {
+        value: { type: "string", multiple: true, default: [] },
+        setup: { type: "string", default: "" },
+        format: { type: "string", default: "console" },
+        out: { type: "string" },
+        help: { type: "boolean", short: "h", default: false },
+      },
+      strict: true,
+    });
+    values = parsed.values;
+    if (!FORMATTERS[values.format]) throw new TypeError(`Unknown --format: ${values.format}`);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const expressions = values.value.length > 0 ? values.value : LESSON_VALUES;
+  const context = vm.createContext({});
+  const evaluated = [];
+  let current = "the setup";
+  try {
+    if (values.setup) vm.runInContext(values.setup, context, { filename: "setup", timeout: TIMEOUT });
+    for (const expression of expressions) {
+      current = expression;
+      evaluated.push(vm.runInContext(`(${expression}\n)`, context, { filename: "value", timeout: TIMEOUT }));
+    }
+  } catch (error) {
+    console.error(`Could not evaluate ${current}: ${error.name}: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const output = FORMATTERS[values.format](buildTable(evaluated, { labels: expressions }));
+  if (values.out) {
+    fs.writeFileSync(values.out, `${output}\n`);
+    console.log(`Wrote the truthiness table of ${expressions.length} value(s) to ${values.out}.`);
+  } else {
+    console.log(output);
+  }
+}
+
+main();
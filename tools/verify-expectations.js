@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Verifies the "expected output" comments in the lessons.
+ *
+ * Runs each lesson in isolation, pairs every `console.log(...); // claim`
+ * with what that call really printed, and reports every line where the
+ * claim and the output differ.
+ *
+ * Usage:
+ *   node tools/verify-expectations.js                  # every lesson
+ *   node tools/verify-expectations.js --lesson 018
+ *   node tools/verify-expectations.js --verbose        # also list unchecked claims
+ *
+ * Exits with status 1 when at least one claim does not match.
+ */
+
+const fs = require("fs");
+
+const { LESSON_FILTER_USAGE, parseOptions, parseNonNegative } = require("./cli");
+const { checkClaims } = require("./expectations");
+const { findLessons, filterLessons } = require("./lessons");
+const { runLesson } = require("./sandbox");
+
+const USAGE = `Usage: node tools/verify-expectations.js [options]
+
+Options:
+${LESSON_FILTER_USAGE}
+  --timeout <ms>     How long a lesson may run, and then wait for its timers
+                     (default: 5000)
+  --verbose          Also list claims that could not be checked or never ran
+  --help             Show this message`;
+
+const STATUS_LABELS = {
+  mismatch: "✗ differs",
+  unchecked: "? unchecked",
+  "not-run": "- never ran",
+};
+
+async function main() {
+  let options;
+  let filters;
+  try {
+    const parsed = parseOptions(process.argv.slice(2), {
+      timeout: { type: "string", default: "5000" },
+      verbose: { type: "boolean", default: false },
+    });
+    filters = parsed.filters;
+    options = { ...parsed.values, timeout: parseNonNegative("timeout", parsed.values.timeout) };
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exitCode = 2;
+    return;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const lessons = filterLessons(findLessons(), filters);
+  const totals = { pass: 0, mismatch: 0, unchecked: 0, "not-run": 0 };
+
+  for (const lesson of lessons) {
+    const source = fs.readFileSync(lesson.path, "utf8");
+    const { output } = await runLesson(lesson, { timeout: options.timeout });
+    const results = checkClaims(source, output);
+
+    const reported = results.filter((result) => result.status === "mismatch" || (options.verbose && result.status !== "pass"));
+    for (const result of results) totals[result.status]++;
+    if (reported.length === 0) continue;
+
+    console.log(lesson.relativePath);
+    for (const { claim, status, actual } of reported) {
+      console.log(`  ${STATUS_LABELS[status]} at line ${claim.endLine}: // ${claim.comment}`);
+      const distinct = [...new Set(actual)];
+      if (distinct.length > 0) console.log(`      actual: ${distinct.join(" | ")}`);
+    }
+    console.log("");
+  }
+
+  const checked = totals.pass + totals.mismatch;
+  console.log(
+    `Checked ${checked} claim(s) in ${lessons.length} lesson(s): ${totals.pass} match, ${totals.mismatch} differ` +
+      ` (${totals.unchecked} unchecked, ${totals["not-run"]} never ran).`
+  );
+
+  if (totals.mismatch > 0) process.exitCode = 1;
+}
+
+main();